@@ -4,7 +4,8 @@
  */
 
 const {setGlobalOptions} = require("firebase-functions");
-const {onRequest} = require("firebase-functions/v2/https");
+const {onRequest, onCall, HttpsError} = require("firebase-functions/v2/https");
+const {onDocumentWritten} = require("firebase-functions/v2/firestore");
 const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
 const OpenAI = require("openai");
@@ -258,3 +259,153 @@ exports.openaiChat = onRequest(
       }
     },
 );
+
+/**
+ * Compare two board role maps
+ * @param {Object} a - Role map {uid: role}
+ * @param {Object} b - Role map {uid: role}
+ * @return {boolean} True if both maps grant the same roles
+ */
+function rolesEqual(a = {}, b = {}) {
+  const aKeys = Object.keys(a);
+  if (aKeys.length !== Object.keys(b).length) return false;
+  return aKeys.every((uid) => a[uid] === b[uid]);
+}
+
+/**
+ * Mirror board roles from Firestore into the Realtime Database
+ * RTDB rules can't read Firestore, so cursors, presence and active edits
+ * check membership against boardRoles/{boardId}
+ */
+exports.syncBoardRoles = onDocumentWritten(
+    "boards/{boardId}",
+    async (event) => {
+      const {boardId} = event.params;
+      const rolesRef = admin.database().ref(`boardRoles/${boardId}`);
+      const after = event.data.after.exists ? event.data.after.data() : null;
+
+      if (!after) {
+        await rolesRef.remove();
+        logger.info("Board deleted, removed roles mirror", {boardId});
+        return;
+      }
+
+      const before = event.data.before.exists ?
+        event.data.before.data() : null;
+      if (before && rolesEqual(before.roles, after.roles)) return;
+
+      await rolesRef.set(after.roles || {});
+      logger.info("Synced board roles", {
+        boardId,
+        memberCount: Object.keys(after.roles || {}).length,
+      });
+    },
+);
+
+// Same shape as the client's board IDs (src/utils/boardRoutes.js)
+const BOARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DEFAULT_BOARD_NAME = "Untitled board";
+const LEGACY_DEFAULT_BOARD_ID = "default";
+
+/**
+ * Collect everyone who worked on a board from its shapes and comments
+ * @param {Array} shapeDocs - Shape snapshots
+ * @param {Array} commentDocs - Comment snapshots
+ * @return {Array<{uid: string, name: string, since: number}>} Oldest first
+ */
+function collectContributors(shapeDocs, commentDocs) {
+  const contributors = new Map();
+  const add = (uid, name, createdAt) => {
+    if (typeof uid !== "string" || !uid) return;
+    const since = createdAt && createdAt.toMillis ?
+      createdAt.toMillis() : Number.MAX_SAFE_INTEGER;
+    const known = contributors.get(uid);
+    if (!known || since < known.since) {
+      contributors.set(uid, {uid, name: (known && known.name) || name, since});
+    }
+  };
+
+  shapeDocs.forEach((snap) => {
+    const data = snap.data();
+    add(data.createdBy, data.createdByName, data.createdAt);
+    add(data.updatedBy, data.updatedByName, data.updatedAt);
+  });
+  commentDocs.forEach((snap) => {
+    const data = snap.data();
+    add(data.authorId, data.authorName, data.createdAt);
+  });
+
+  return [...contributors.values()].sort((a, b) => a.since - b.since);
+}
+
+/**
+ * Backfill metadata for a board that predates board docs (e.g. "default")
+ * Everyone who created, edited or commented keeps access as an editor and the
+ * earliest contributor becomes the owner, so no visitor can claim the board
+ * just by opening it first. Boards without content are left for the client to
+ * create as new boards, except "default": clients can't create that one, so
+ * whoever opens it first while it's empty becomes its owner.
+ */
+exports.backfillLegacyBoard = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to open boards");
+  }
+
+  const boardId = request.data && request.data.boardId;
+  if (typeof boardId !== "string" || !BOARD_ID_PATTERN.test(boardId)) {
+    throw new HttpsError("invalid-argument", "Invalid board ID");
+  }
+
+  const db = admin.firestore();
+  const boardRef = db.collection("boards").doc(boardId);
+
+  return db.runTransaction(async (tx) => {
+    const boardSnap = await tx.get(boardRef);
+    if (boardSnap.exists) return {backfilled: false};
+
+    const [shapesSnap, commentsSnap] = await Promise.all([
+      tx.get(boardRef.collection("shapes")),
+      tx.get(boardRef.collection("comments")),
+    ]);
+    let contributors = collectContributors(
+        shapesSnap.docs, commentsSnap.docs,
+    );
+    if (contributors.length === 0) {
+      if (boardId !== LEGACY_DEFAULT_BOARD_ID) return {backfilled: false};
+      const {name, email} = request.auth.token;
+      contributors = [{
+        uid: request.auth.uid,
+        name: name || (email ? email.split("@")[0] : null),
+        email: email ? email.toLowerCase() : null,
+      }];
+    }
+
+    const owner = contributors[0];
+    const roles = {};
+    const memberProfiles = {};
+    contributors.forEach(({uid, name, email}) => {
+      roles[uid] = uid === owner.uid ? "owner" : "editor";
+      memberProfiles[uid] = {name: name || "Anonymous", email: email || null};
+    });
+
+    tx.set(boardRef, {
+      name: DEFAULT_BOARD_NAME,
+      ownerId: owner.uid,
+      ownerName: memberProfiles[owner.uid].name,
+      memberIds: contributors.map(({uid}) => uid),
+      roles,
+      memberProfiles,
+      archived: false,
+      isPublic: false,
+      thumbnail: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    logger.info("Backfilled legacy board", {
+      boardId,
+      ownerId: owner.uid,
+      memberCount: contributors.length,
+    });
+    return {backfilled: true};
+  });
+});
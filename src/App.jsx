@@ -9,9 +9,20 @@ import { CanvasProvider } from './context/CanvasContext'
 import { CommentsProvider, useComments } from './context/CommentsContext'
 import { AIProvider, useAI } from './context/AIContext'
 import { useAuth } from './context/AuthContext'
+import { BoardProvider } from './context/BoardContext'
+import { useBoard } from './hooks/useBoard'
+import { useBoardRoute } from './hooks/useBoardRoute'
+import { useBoardThumbnail } from './hooks/useBoardThumbnail'
+import BoardDashboard from './components/dashboard/BoardDashboard'
+import BoardAccessDenied from './components/common/BoardAccessDenied'
+import PublicViewBanner from './components/common/PublicViewBanner'
 import LayersPanel from './components/layout/LayersPanel'
+import InspectorPanel from './components/layout/InspectorPanel'
 import AIPanel from './components/ai/AIPanel'
 import CommentsPanel from './components/collaboration/CommentsPanel'
+import ShareDialog from './components/collaboration/ShareDialog'
+import { BOARD_ROLES } from './utils/boardRoles'
+import { subscribeToBoard } from './services/boardService'
 
 // Lazy load heavy components (includes Konva - 969KB)
 const Canvas = lazy(() => import('./components/canvas/Canvas'))
@@ -19,27 +30,150 @@ const Toolbar = lazy(() => import('./components/canvas/Toolbar'))
 const Sidebar = lazy(() => import('./components/layout/Sidebar'))
 
 function App() {
+  const { boardId, publicBoardId, shareToken, navigateToBoard, navigateToDashboard } = useBoardRoute();
+
+  if (publicBoardId) {
+    return <PublicBoardShell boardId={publicBoardId} onOpenBoard={navigateToBoard} onOpenDashboard={navigateToDashboard} />;
+  }
+
+  if (!boardId) {
+    return <DashboardShell onOpenBoard={navigateToBoard} />;
+  }
+
+  return (
+    <BoardProvider boardId={boardId} shareToken={shareToken}>
+      <BoardGate onSwitchBoard={navigateToBoard} onOpenDashboard={navigateToDashboard} />
+    </BoardProvider>
+  )
+}
+
+// Only mount the canvas once we know the user may see the board
+function BoardGate({ onSwitchBoard, onOpenDashboard }) {
+  const { boardId, canView, canEdit, canComment, isLoading } = useBoard();
+  const { user } = useAuth();
+
+  if (!user || isLoading || !canView) {
+    return (
+      <PageShell>
+        {isLoading ? (
+          <div className="app-loading">
+            <Spinner message="Loading board..." />
+          </div>
+        ) : (
+          <BoardAccessDenied onOpenDashboard={onOpenDashboard} />
+        )}
+      </PageShell>
+    );
+  }
+
   return (
-    <CanvasProvider>
-      <CommentsProvider>
-        <AIProvider>
-          <AppShell />
+    <CanvasProvider boardId={boardId} readOnly={!canEdit}>
+      <CommentsProvider boardId={boardId} canComment={canComment}>
+        {/* AI conversation is per board; remount to reset history and abort in-flight requests */}
+        <AIProvider key={boardId}>
+          <AppShell onSwitchBoard={onSwitchBoard} onOpenDashboard={onOpenDashboard} />
         </AIProvider>
       </CommentsProvider>
     </CanvasProvider>
-  )
+  );
 }
 
-function AppShell() {
-  const { state: { onlineUsers, loadingShapes } } = useCanvas();
+function PageShell({ children }) {
+  return (
+    <div className="app">
+      <Header showMenuButton={false} />
+      <PrivateRoute>
+        <main className="app-main">
+          {children}
+        </main>
+      </PrivateRoute>
+    </div>
+  );
+}
+
+function DashboardShell({ onOpenBoard }) {
+  return (
+    <PageShell>
+      <BoardDashboard onOpenBoard={onOpenBoard} />
+    </PageShell>
+  );
+}
+
+// Signed-out, read-only view of a public board: pan/zoom only, no presence or cursors
+function PublicBoardShell({ boardId, onOpenBoard, onOpenDashboard }) {
+  const { user } = useAuth();
+  const [board, setBoard] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    setIsLoading(true);
+    const unsubscribe = subscribeToBoard({
+      boardId,
+      onChange: (nextBoard) => {
+        setBoard(nextBoard);
+        setIsLoading(false);
+      },
+      onError: () => {
+        setBoard(null);
+        setIsLoading(false);
+      },
+    });
+    return () => unsubscribe();
+  }, [boardId]);
+
+  const isMember = !!user?.uid && !!board?.memberIds?.includes(user.uid);
+
+  let content;
+  if (isLoading) {
+    content = (
+      <div className="app-loading">
+        <Spinner message="Loading board..." />
+      </div>
+    );
+  } else if (!board?.isPublic) {
+    content = <BoardAccessDenied onOpenDashboard={user ? onOpenDashboard : undefined} />;
+  } else {
+    content = (
+      <CanvasProvider boardId={boardId} publicView>
+        <Suspense fallback={<div className="app-loading"><Spinner message="Loading canvas..." /></div>}>
+          <div className="app-main__canvas-area">
+            <PublicViewBanner
+              boardName={board.name}
+              onOpenInEditor={isMember ? () => onOpenBoard(boardId) : undefined}
+            />
+            <Canvas showGrid={true} />
+          </div>
+        </Suspense>
+      </CanvasProvider>
+    );
+  }
+
+  return (
+    <div className="app">
+      <Header showMenuButton={false} />
+      <main className="app-main">
+        {content}
+      </main>
+    </div>
+  );
+}
+
+function AppShell({ onSwitchBoard, onOpenDashboard }) {
+  const { boardId, readOnly, state: { onlineUsers, loadingShapes } } = useCanvas();
   const { loading: authLoading } = useAuth();
+  const { role } = useBoard();
   const { panelOpen: aiPanelOpen, openPanel: openAIPanel, closePanel: closeAIPanel } = useAI();
   const { isPanelOpen: commentsPanelOpen, openPanel: openCommentsPanel, closePanel: closeCommentsPanel } = useComments();
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [shareDialogOpen, setShareDialogOpen] = useState(false);
   const [layersPanelOpen, setLayersPanelOpen] = useState(() => {
     const saved = localStorage.getItem('layersPanelOpen');
     return saved ? JSON.parse(saved) : false;
   });
+  const [inspectorPanelOpen, setInspectorPanelOpen] = useState(() => {
+    const saved = localStorage.getItem('inspectorPanelOpen');
+    return saved ? JSON.parse(saved) : false;
+  });
   const openShortcutsRef = useRef(null);
 
   const registerOpenShortcuts = useCallback((openFn) => {
@@ -51,68 +185,74 @@ function AppShell() {
     setSidebarOpen(!sidebarOpen);
   };
 
+  const handleOpenShare = useCallback(() => setShareDialogOpen(true), []);
+  const handleCloseShare = useCallback(() => setShareDialogOpen(false), []);
+  const isOwner = role === BOARD_ROLES.OWNER;
+
   const handleOpenShortcuts = useCallback(() => {
     if (openShortcutsRef.current) {
       openShortcutsRef.current();
     }
   }, []);
 
+  // The right-side panels share one slot; opening one closes the others
+  const closeOtherPanels = useCallback((keep) => {
+    if (keep !== 'layers') setLayersPanelOpen(false);
+    if (keep !== 'inspector') setInspectorPanelOpen(false);
+    if (keep !== 'ai' && aiPanelOpen) closeAIPanel();
+    if (keep !== 'comments' && commentsPanelOpen) closeCommentsPanel();
+  }, [aiPanelOpen, commentsPanelOpen, closeAIPanel, closeCommentsPanel]);
+
   const handleToggleLayers = useCallback(() => {
     const newLayersOpen = !layersPanelOpen;
     setLayersPanelOpen(newLayersOpen);
-    // Close other panels when layers panel opens
-    if (newLayersOpen) {
-      if (aiPanelOpen) {
-        closeAIPanel();
-      }
-      if (commentsPanelOpen) {
-        closeCommentsPanel();
-      }
-    }
-  }, [layersPanelOpen, aiPanelOpen, commentsPanelOpen, closeAIPanel, closeCommentsPanel]);
+    if (newLayersOpen) closeOtherPanels('layers');
+  }, [layersPanelOpen, closeOtherPanels]);
+
+  const handleToggleInspector = useCallback(() => {
+    const newInspectorOpen = !inspectorPanelOpen;
+    setInspectorPanelOpen(newInspectorOpen);
+    if (newInspectorOpen) closeOtherPanels('inspector');
+  }, [inspectorPanelOpen, closeOtherPanels]);
 
   const handleToggleAI = useCallback(() => {
-    const newAIOpen = !aiPanelOpen;
-    if (newAIOpen) {
+    if (!aiPanelOpen) {
       openAIPanel();
-      // Close other panels when AI panel opens
-      if (layersPanelOpen) {
-        setLayersPanelOpen(false);
-      }
-      if (commentsPanelOpen) {
-        closeCommentsPanel();
-      }
+      closeOtherPanels('ai');
     } else {
       closeAIPanel();
     }
-  }, [aiPanelOpen, layersPanelOpen, commentsPanelOpen, openAIPanel, closeAIPanel, closeCommentsPanel]);
+  }, [aiPanelOpen, openAIPanel, closeAIPanel, closeOtherPanels]);
 
   const handleToggleComments = useCallback(() => {
-    const newCommentsOpen = !commentsPanelOpen;
-    if (newCommentsOpen) {
+    if (!commentsPanelOpen) {
       openCommentsPanel();
-      // Close other panels when comments panel opens
-      if (layersPanelOpen) {
-        setLayersPanelOpen(false);
-      }
-      if (aiPanelOpen) {
-        closeAIPanel();
-      }
+      closeOtherPanels('comments');
     } else {
       closeCommentsPanel();
     }
-  }, [commentsPanelOpen, layersPanelOpen, aiPanelOpen, openCommentsPanel, closeCommentsPanel, closeAIPanel]);
+  }, [commentsPanelOpen, openCommentsPanel, closeCommentsPanel, closeOtherPanels]);
+
+  useBoardThumbnail();
 
   // Persist layers panel state
   useEffect(() => {
     localStorage.setItem('layersPanelOpen', JSON.stringify(layersPanelOpen));
   }, [layersPanelOpen]);
 
+  // Persist inspector panel state
+  useEffect(() => {
+    localStorage.setItem('inspectorPanelOpen', JSON.stringify(inspectorPanelOpen));
+  }, [inspectorPanelOpen]);
+
   // Global keyboard shortcut for AI panel (Cmd/Ctrl+K)
+  // The AI edits the board, so it's unavailable to viewers and commenters
   useEffect(() => {
+    if (readOnly) return;
+
     const handleKeyDown = (e) => {
-      // Cmd/Ctrl + K to toggle AI panel
-      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+      // Cmd/Ctrl + K to toggle AI panel (Cmd/Ctrl + Alt + K creates a component)
+      if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key === 'k') {
         e.preventDefault();
         handleToggleAI();
       }
@@ -120,14 +260,22 @@ function AppShell() {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleToggleAI]);
+  }, [handleToggleAI, readOnly]);
 
   const isLoading = authLoading || loadingShapes;
 
   return (
     <div className="app">
-      <Header onMenuToggle={handleMenuToggle} onOpenShortcuts={handleOpenShortcuts} />
-      <ConnectionBanner boardId="default" />
+      <Header
+        onMenuToggle={handleMenuToggle}
+        onOpenShortcuts={handleOpenShortcuts}
+        boardId={boardId}
+        onSwitchBoard={onSwitchBoard}
+        onOpenDashboard={onOpenDashboard}
+        onOpenShare={isOwner ? handleOpenShare : undefined}
+      />
+      {isOwner && <ShareDialog isOpen={shareDialogOpen} onClose={handleCloseShare} />}
+      <ConnectionBanner boardId={boardId} />
       <PrivateRoute>
         <main className="app-main">
           {isLoading ? (
@@ -139,24 +287,32 @@ function AppShell() {
               <div className="app-main__canvas-area">
                 <Toolbar 
                   onToggleLayers={handleToggleLayers}
-                  onToggleAI={handleToggleAI}
+                  onToggleAI={readOnly ? undefined : handleToggleAI}
                   onToggleComments={handleToggleComments}
+                  onToggleInspector={handleToggleInspector}
                   layersPanelOpen={layersPanelOpen}
                   aiPanelOpen={aiPanelOpen}
                   commentsPanelOpen={commentsPanelOpen}
+                  inspectorPanelOpen={inspectorPanelOpen}
                 />
                 <Canvas 
                   showGrid={true} 
                   onCanvasClick={() => setLayersPanelOpen(false)}
                   onOpenShortcuts={registerOpenShortcuts}
+                  onOpenBoard={onSwitchBoard}
+                  inspectorOpen={inspectorPanelOpen}
                 />
               </div>
-              <Sidebar open={sidebarOpen} users={onlineUsers} isHidden={layersPanelOpen} />
+              <Sidebar open={sidebarOpen} users={onlineUsers} isHidden={layersPanelOpen || inspectorPanelOpen} />
               <LayersPanel 
                 isOpen={layersPanelOpen} 
                 onClose={() => setLayersPanelOpen(false)} 
               />
-              <AIPanel />
+              <InspectorPanel
+                isOpen={inspectorPanelOpen}
+                onClose={() => setInspectorPanelOpen(false)}
+              />
+              {!readOnly && <AIPanel />}
               <CommentsPanel />
             </Suspense>
           )}
@@ -1,30 +1,55 @@
 /**
- * AlignmentToolbar - Floating toolbar for aligning and distributing shapes
+ * AlignmentToolbar - Floating toolbar for aligning, distributing, spacing and sizing shapes
  * Appears when 2+ shapes are selected
  */
 
 import { useState } from 'react';
 import {
-  alignLeft,
-  alignCenter,
-  alignRight,
-  alignTop,
-  alignMiddle,
-  alignBottom,
+  alignShapes,
   distributeHorizontally,
   distributeVertically,
+  setSpacing,
+  stackShapes,
+  tidyUp,
+  matchSize,
   canAlign,
   canDistribute,
+  ALIGN_TARGETS,
+  LAYOUT_AXES,
 } from '../../utils/alignment';
 import './AlignmentToolbar.css';
 
-const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
+/**
+ * @param {Array<Object>} selectedShapes - Shapes to arrange
+ * @param {Function} onAlign - Called with (updates, type)
+ * @param {Object} position - Screen position { x, y }
+ * @param {string} alignTarget - ALIGN_TARGETS value shapes are aligned to
+ * @param {Function} onAlignTargetChange - Called with the chosen ALIGN_TARGETS value
+ * @param {Object|null} keyShape - Key object (the shape selected first)
+ * @param {Object} viewport - Visible canvas { x, y, width, height }
+ * @param {number} spacing - Gap for spacing, stacking and tidying up
+ * @param {Function} onSpacingChange - Called with the new gap
+ */
+const AlignmentToolbar = ({
+  selectedShapes,
+  onAlign,
+  position,
+  alignTarget = ALIGN_TARGETS.SELECTION,
+  onAlignTargetChange,
+  keyShape = null,
+  viewport = null,
+  spacing,
+  onSpacingChange,
+}) => {
   const [previewMode, setPreviewMode] = useState(null);
 
   if (!canAlign(selectedShapes)) {
     return null;
   }
 
+  const alignBy = type => shapes => alignShapes(shapes, type, { target: alignTarget, keyShape, viewport });
+  const sizeKey = alignTarget === ALIGN_TARGETS.KEY_OBJECT ? keyShape : null;
+
   const handleAlign = (alignmentFn, type) => {
     const updates = alignmentFn(selectedShapes);
     if (updates && updates.length > 0) {
@@ -54,11 +79,22 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
     >
       <div className="alignment-toolbar__section">
         <span className="alignment-toolbar__label">Align</span>
+        <select
+          className="alignment-toolbar__select"
+          value={alignTarget}
+          onChange={(e) => onAlignTargetChange?.(e.target.value)}
+          title="Align to"
+          aria-label="Align to"
+        >
+          <option value={ALIGN_TARGETS.SELECTION}>Selection</option>
+          <option value={ALIGN_TARGETS.CANVAS}>Canvas</option>
+          <option value={ALIGN_TARGETS.KEY_OBJECT}>Key object (first selected)</option>
+        </select>
         <div className="alignment-toolbar__buttons">
           <button
             className="alignment-toolbar__button"
-            onClick={() => handleAlign(alignLeft, 'left')}
-            onMouseEnter={() => handlePreview(alignLeft)}
+            onClick={() => handleAlign(alignBy('left'), 'left')}
+            onMouseEnter={() => handlePreview(alignBy('left'))}
             onMouseLeave={clearPreview}
             title="Align Left (Ctrl+Shift+L)"
             aria-label="Align left"
@@ -73,8 +109,8 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
 
           <button
             className="alignment-toolbar__button"
-            onClick={() => handleAlign(alignCenter, 'center')}
-            onMouseEnter={() => handlePreview(alignCenter)}
+            onClick={() => handleAlign(alignBy('center'), 'center')}
+            onMouseEnter={() => handlePreview(alignBy('center'))}
             onMouseLeave={clearPreview}
             title="Align Center (Ctrl+Shift+C)"
             aria-label="Align center horizontally"
@@ -89,8 +125,8 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
 
           <button
             className="alignment-toolbar__button"
-            onClick={() => handleAlign(alignRight, 'right')}
-            onMouseEnter={() => handlePreview(alignRight)}
+            onClick={() => handleAlign(alignBy('right'), 'right')}
+            onMouseEnter={() => handlePreview(alignBy('right'))}
             onMouseLeave={clearPreview}
             title="Align Right (Ctrl+Shift+R)"
             aria-label="Align right"
@@ -111,8 +147,8 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
         <div className="alignment-toolbar__buttons">
           <button
             className="alignment-toolbar__button"
-            onClick={() => handleAlign(alignTop, 'top')}
-            onMouseEnter={() => handlePreview(alignTop)}
+            onClick={() => handleAlign(alignBy('top'), 'top')}
+            onMouseEnter={() => handlePreview(alignBy('top'))}
             onMouseLeave={clearPreview}
             title="Align Top (Ctrl+Shift+T)"
             aria-label="Align top"
@@ -127,8 +163,8 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
 
           <button
             className="alignment-toolbar__button"
-            onClick={() => handleAlign(alignMiddle, 'middle')}
-            onMouseEnter={() => handlePreview(alignMiddle)}
+            onClick={() => handleAlign(alignBy('middle'), 'middle')}
+            onMouseEnter={() => handlePreview(alignBy('middle'))}
             onMouseLeave={clearPreview}
             title="Align Middle (Ctrl+Shift+M)"
             aria-label="Align middle vertically"
@@ -143,8 +179,8 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
 
           <button
             className="alignment-toolbar__button"
-            onClick={() => handleAlign(alignBottom, 'bottom')}
-            onMouseEnter={() => handlePreview(alignBottom)}
+            onClick={() => handleAlign(alignBy('bottom'), 'bottom')}
+            onMouseEnter={() => handlePreview(alignBy('bottom'))}
             onMouseLeave={clearPreview}
             title="Align Bottom (Ctrl+Shift+B)"
             aria-label="Align bottom"
@@ -201,6 +237,137 @@ const AlignmentToolbar = ({ selectedShapes, onAlign, position }) => {
           </div>
         </>
       )}
+
+      <div className="alignment-toolbar__divider" />
+
+      <div className="alignment-toolbar__section">
+        <span className="alignment-toolbar__label">Spacing</span>
+        <input
+          className="alignment-toolbar__input"
+          type="number"
+          min="0"
+          value={spacing}
+          onChange={(e) => onSpacingChange?.(Math.max(0, Number(e.target.value) || 0))}
+          title="Gap between shapes (px)"
+          aria-label="Spacing"
+        />
+        <div className="alignment-toolbar__buttons">
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => setSpacing(shapes, LAYOUT_AXES.HORIZONTAL, spacing), 'space-h')}
+            onMouseEnter={() => handlePreview(shapes => setSpacing(shapes, LAYOUT_AXES.HORIZONTAL, spacing))}
+            onMouseLeave={clearPreview}
+            title="Set Horizontal Spacing"
+            aria-label="Set horizontal spacing"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <rect x="1" y="4" width="4" height="8" fill="currentColor"/>
+              <rect x="11" y="4" width="4" height="8" fill="currentColor"/>
+              <path d="M6 8 L10 8 M6 6 L6 10 M10 6 L10 10" stroke="currentColor" strokeWidth="1"/>
+            </svg>
+          </button>
+
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => setSpacing(shapes, LAYOUT_AXES.VERTICAL, spacing), 'space-v')}
+            onMouseEnter={() => handlePreview(shapes => setSpacing(shapes, LAYOUT_AXES.VERTICAL, spacing))}
+            onMouseLeave={clearPreview}
+            title="Set Vertical Spacing"
+            aria-label="Set vertical spacing"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <rect x="4" y="1" width="8" height="4" fill="currentColor"/>
+              <rect x="4" y="11" width="8" height="4" fill="currentColor"/>
+              <path d="M8 6 L8 10 M6 6 L10 6 M6 10 L10 10" stroke="currentColor" strokeWidth="1"/>
+            </svg>
+          </button>
+
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => stackShapes(shapes, LAYOUT_AXES.HORIZONTAL, spacing), 'stack-horizontal')}
+            onMouseEnter={() => handlePreview(shapes => stackShapes(shapes, LAYOUT_AXES.HORIZONTAL, spacing))}
+            onMouseLeave={clearPreview}
+            title="Stack in a Row (Ctrl+Alt+H)"
+            aria-label="Stack horizontally"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <line x1="0" y1="2" x2="16" y2="2" stroke="currentColor" strokeWidth="1"/>
+              <rect x="1" y="4" width="4" height="9" fill="currentColor"/>
+              <rect x="6" y="4" width="4" height="6" fill="currentColor"/>
+              <rect x="11" y="4" width="4" height="11" fill="currentColor"/>
+            </svg>
+          </button>
+
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => stackShapes(shapes, LAYOUT_AXES.VERTICAL, spacing), 'stack-vertical')}
+            onMouseEnter={() => handlePreview(shapes => stackShapes(shapes, LAYOUT_AXES.VERTICAL, spacing))}
+            onMouseLeave={clearPreview}
+            title="Stack in a Column (Ctrl+Alt+V)"
+            aria-label="Stack vertically"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <line x1="2" y1="0" x2="2" y2="16" stroke="currentColor" strokeWidth="1"/>
+              <rect x="4" y="1" width="9" height="4" fill="currentColor"/>
+              <rect x="4" y="6" width="6" height="4" fill="currentColor"/>
+              <rect x="4" y="11" width="11" height="4" fill="currentColor"/>
+            </svg>
+          </button>
+
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => tidyUp(shapes, spacing), 'tidy-up')}
+            onMouseEnter={() => handlePreview(shapes => tidyUp(shapes, spacing))}
+            onMouseLeave={clearPreview}
+            title="Tidy Up into a Grid (Ctrl+Alt+Shift+T)"
+            aria-label="Tidy up"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <rect x="1" y="1" width="6" height="6" fill="currentColor"/>
+              <rect x="9" y="1" width="6" height="6" fill="currentColor"/>
+              <rect x="1" y="9" width="6" height="6" fill="currentColor"/>
+              <rect x="9" y="9" width="6" height="6" fill="currentColor"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      <div className="alignment-toolbar__divider" />
+
+      <div className="alignment-toolbar__section">
+        <span className="alignment-toolbar__label">Size</span>
+        <div className="alignment-toolbar__buttons">
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => matchSize(shapes, 'width', sizeKey), 'match-width')}
+            onMouseEnter={() => handlePreview(shapes => matchSize(shapes, 'width', sizeKey))}
+            onMouseLeave={clearPreview}
+            title="Match Width (Ctrl+Alt+Shift+W)"
+            aria-label="Match width"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <rect x="2" y="2" width="12" height="4" fill="currentColor"/>
+              <rect x="2" y="10" width="12" height="4" fill="currentColor"/>
+              <path d="M1 8 L15 8" stroke="currentColor" strokeWidth="1" strokeDasharray="1,1"/>
+            </svg>
+          </button>
+
+          <button
+            className="alignment-toolbar__button"
+            onClick={() => handleAlign(shapes => matchSize(shapes, 'height', sizeKey), 'match-height')}
+            onMouseEnter={() => handlePreview(shapes => matchSize(shapes, 'height', sizeKey))}
+            onMouseLeave={clearPreview}
+            title="Match Height (Ctrl+Alt+Shift+H)"
+            aria-label="Match height"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+              <rect x="2" y="2" width="4" height="12" fill="currentColor"/>
+              <rect x="10" y="2" width="4" height="12" fill="currentColor"/>
+              <path d="M8 1 L8 15" stroke="currentColor" strokeWidth="1" strokeDasharray="1,1"/>
+            </svg>
+          </button>
+        </div>
+      </div>
     </div>
   );
 };
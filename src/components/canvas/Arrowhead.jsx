@@ -0,0 +1,71 @@
+/**
+ * Arrowhead Component - Renders one end cap of a line or arrow
+ * Heads are drawn pointing along +x, then rotated to the line's direction at the tip
+ */
+
+import { Group, Line, Circle } from 'react-konva';
+import { ARROWHEAD_STYLES, getArrowheadSize } from '../../utils/lines';
+
+const Arrowhead = ({ style, x, y, rotation, color, strokeWidth, shadow = {} }) => {
+  if (!style || style === ARROWHEAD_STYLES.NONE) return null;
+
+  const size = getArrowheadSize(strokeWidth);
+  const half = size / 2;
+
+  let head;
+  switch (style) {
+    case ARROWHEAD_STYLES.TRIANGLE:
+      head = (
+        <Line
+          points={[0, 0, -size, -half, -size, half]}
+          closed
+          fill={color}
+          stroke={color}
+          strokeWidth={1}
+          lineJoin="round"
+          {...shadow}
+        />
+      );
+      break;
+
+    case ARROWHEAD_STYLES.OPEN:
+      head = (
+        <Line
+          points={[-size, -half, 0, 0, -size, half]}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          lineCap="round"
+          lineJoin="round"
+          {...shadow}
+        />
+      );
+      break;
+
+    case ARROWHEAD_STYLES.CIRCLE:
+      head = <Circle x={-half} y={0} radius={half} fill={color} {...shadow} />;
+      break;
+
+    case ARROWHEAD_STYLES.BAR:
+      head = (
+        <Line
+          points={[0, -half, 0, half]}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          lineCap="round"
+          {...shadow}
+        />
+      );
+      break;
+
+    default:
+      return null;
+  }
+
+  return (
+    <Group x={x} y={y} rotation={rotation}>
+      {head}
+    </Group>
+  );
+};
+
+export default Arrowhead;
@@ -3,18 +3,94 @@
  * Uses react-konva for performant rendering
  */
 
-import { useRef, useEffect, useCallback, useState, useMemo } from 'react';
-import { Stage, Layer, Transformer } from 'react-konva';
+import { Fragment, useRef, useEffect, useCallback, useState, useMemo } from 'react';
+import { Stage, Layer, Transformer, Line, Group, Text, Rect } from 'react-konva';
+import toast from 'react-hot-toast';
 import { useCanvas, useCanvasActions } from '../../context/CanvasContext';
 import { useAuth } from '../../context/AuthContext';
 import { isFirebaseReady, waitForFirebase } from '../../services/firebase';
-import { calculateNewScale, calculateZoomPosition } from '../../utils/canvas';
-import { createShape } from '../../utils/shapes';
+import { calculateNewScale, calculateZoomPosition, calculateViewportForBounds, interpolateViewport } from '../../utils/canvas';
+import { createShape, SHAPE_TYPES, DEFAULT_PEN_COLOR, DEFAULT_PEN_STROKE_WIDTH, STICKY_COLORS } from '../../utils/shapes';
+import { isLinearShape, getLineBounds } from '../../utils/lines';
+import {
+  PATH_TENSION,
+  PEN_MIN_POINT_DISTANCE,
+  PEN_SIMPLIFY_TOLERANCE,
+  isStrokeShape,
+  appendStrokePoint,
+  strokeToPath,
+} from '../../utils/paths';
+import { routeConnectors, getBoundShapeIds } from '../../utils/connectors';
+import { STICKY_PADDING, isStickyShape, getStickyTextStyle, getStickyHeight } from '../../utils/sticky';
+import { measureTextHeight, measureTextWidth } from '../../utils/textMeasure';
+import { getTextShapeStyle, formatListText } from '../../utils/textStyle';
+import { getTextRuns, hasRunFormatting, normalizeRuns } from '../../utils/textRuns';
+import { LINK_TYPES, getLinkType, getLinkLabel, parseShapeHash, buildShapeUrl } from '../../utils/links';
+import { getShapeBounds, getKeyShape, ALIGN_TARGETS, DEFAULT_LAYOUT_SPACING } from '../../utils/alignment';
+import { getStyleUpdate } from '../../utils/shapeStyle';
+import { supportsGradient } from '../../utils/gradients';
+import { normalizeGradientSafe, getPredominantColor } from '../../utils/colorNormalizer';
+import {
+  FRAME_LABEL_FONT_SIZE,
+  FRAME_LABEL_GAP,
+  isFrame,
+  getFrameContentNodeId,
+  getFrameDescendantIds,
+  findContainingFrame,
+  assignContainingFrame,
+  getFrameChildOverrides,
+  getFrameContentMoves,
+  buildShapeTree,
+  flattenShapeTree,
+  getShapeUpdateChanges,
+} from '../../utils/frames';
+import { applyAutoLayouts } from '../../utils/autoLayout';
+import {
+  isGroup,
+  getGroupMemberIds,
+  withGroupMembers,
+  getGroupChain,
+  getSelectionTargetId,
+  getGroupBounds,
+} from '../../utils/groups';
+import {
+  isComponent,
+  isInstance,
+  getComponentContents,
+  getInstanceMembers,
+  placeInstanceMember,
+  createComponent,
+  createInstance,
+  setInstanceOverride,
+  INSTANCE_GAP,
+} from '../../utils/components';
+import {
+  TABLE_CELL_PADDING,
+  isTable,
+  getCellRect,
+  getTableTextStyle,
+  parseCellKey,
+  addTableRow,
+  addTableColumn,
+  removeTableRow,
+  removeTableColumn,
+} from '../../utils/tables';
+import { getGridDrawSize } from '../../utils/snapping';
+import { exportFrameToPNG } from '../../utils/exportCanvas';
+import { SHAPES_LAYER_NAME } from '../../utils/svgExport';
 import { useRealtimeCursor } from '../../hooks/useRealtimeCursor';
 import { useRealtimePresence } from '../../hooks/useRealtimePresence';
+import { useRealtimeStrokes } from '../../hooks/useRealtimeStrokes';
 import { useShapeTransform } from '../../hooks/useShapeTransform';
 import { useCanvasKeyboardShortcuts } from '../../hooks/useCanvasKeyboardShortcuts';
-import { CreateShapeCommand, DeleteShapeCommand, MoveShapeCommand, UpdateShapeCommand, BringToFrontCommand, SendToBackCommand, BringForwardCommand, SendBackwardCommand, BatchCommand } from '../../utils/commands';
+import { useBoardGuides } from '../../hooks/useBoardGuides';
+import { useRulerGuides } from '../../hooks/useRulerGuides';
+import { useCanvasSnapping } from '../../hooks/useCanvasSnapping';
+import { useImageInsert } from '../../hooks/useImageInsert';
+import { useConnectorEditing } from '../../hooks/useConnectorEditing';
+import { useTableEditing } from '../../hooks/useTableEditing';
+import { useAutoLayoutFrames } from '../../hooks/useAutoLayoutFrames';
+import { CreateShapeCommand, DeleteShapeCommand, MoveShapeCommand, UpdateShapeCommand, BringToFrontCommand, SendToBackCommand, BringForwardCommand, SendBackwardCommand, BatchCommand, GroupShapesCommand } from '../../utils/commands';
 import { debounce } from '../../utils/debounce';
 import { subscribeToDragUpdates } from '../../services/dragBroadcastService';
 import Shape from './Shape';
@@ -28,6 +104,13 @@ import SelectionBox from './SelectionBox';
 import ShapeContextMenu from './ShapeContextMenu';
 import ShapeTooltip from './ShapeTooltip';
 import AlignmentToolbar from './AlignmentToolbar';
+import LineStyleToolbar from './LineStyleToolbar';
+import ConnectorAnchors from './ConnectorAnchors';
+import LinkDialog from './LinkDialog';
+import StylePanel from './StylePanel';
+import SnapGuides from './SnapGuides';
+import Rulers from './Rulers';
+import GuideLines from './GuideLines';
 import './Canvas.css';
 
 /**
@@ -44,16 +127,31 @@ const getShapeCenter = (shape) => {
   };
 };
 
-const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenShortcuts }) => {
-  const { state, firestoreActions, commandActions, stageRef, setIsExportingRef, drag, transform } = useCanvas();
+/**
+ * Height a sticky note needs to show the given text
+ * @param {Object} sticky - Sticky shape
+ * @param {string} text - Text being edited
+ * @returns {number}
+ */
+const measureStickyHeight = (sticky, text) =>
+  getStickyHeight(sticky, measureTextHeight({ ...getStickyTextStyle(sticky), text }));
+
+const VIEWPORT_ANIMATION_MS = 450; // Moving the viewport to a linked shape
+
+const Canvas = ({ showGrid = false, onCanvasClick, onOpenShortcuts, onOpenBoard, inspectorOpen = false }) => {
+  const { boardId, readOnly, publicView, state, firestoreActions, directActions, commandActions, stageRef, setIsExportingRef, insertImagesRef, remoteEditIdsRef, drag, transform } = useCanvas();
   const { user } = useAuth();
   const transformerRef = useRef(null);
   const shapeRefsRef = useRef({});
   const actions = useCanvasActions();
   const [editingTextId, setEditingTextId] = useState(null);
   const [editingText, setEditingText] = useState('');
+  const [editingMemberId, setEditingMemberId] = useState(null); // Member of the edited instance whose text is overridden
+  const [editingCellKey, setEditingCellKey] = useState(null); // Cell of the edited table
+  const [editingRuns, setEditingRuns] = useState(null); // Formatted runs of the edited text shape (null for plain text)
   const [showShortcuts, setShowShortcuts] = useState(false);
-  const [colorPickerState, setColorPickerState] = useState({ isOpen: false, shapeId: null, x: 0, y: 0 });
+  const [colorPickerState, setColorPickerState] = useState({ isOpen: false, shapeId: null, memberId: null, x: 0, y: 0 });
+  const [linkDialogShapeId, setLinkDialogShapeId] = useState(null);
   const [clipboard, setClipboard] = useState(null);
   const [selectionBox, setSelectionBox] = useState({ visible: false, x: 0, y: 0, width: 0, height: 0 });
   const [isSelecting, setIsSelecting] = useState(false);
@@ -64,22 +162,80 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
   const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0, shapeId: null });
   const [hoveredShapes, setHoveredShapes] = useState({}); // Track which shapes are being hovered { [shapeId]: true }
   const [alignmentToolbarPos, setAlignmentToolbarPos] = useState(null); // Position for alignment toolbar
+  const [alignTarget, setAlignTarget] = useState(ALIGN_TARGETS.SELECTION); // What the alignment toolbar and shortcuts align to
+  const [layoutSpacing, setLayoutSpacing] = useState(DEFAULT_LAYOUT_SPACING); // Gap for spacing, stacking and tidying up
+  const [liveShapeAttrs, setLiveShapeAttrs] = useState({}); // In-progress local drag/transform of shapes connectors are bound to
+  const [draftStroke, setDraftStroke] = useState(null); // Flat points of the pen stroke being drawn
+  const [liveFrames, setLiveFrames] = useState({}); // Frames being dragged/resized locally: frameId -> { attrs, isMove }
+  const [enteredGroupId, setEnteredGroupId] = useState(null); // Group entered with a double-click; clicks select inside it
   const selectionStartRef = useRef(null);
-  const { remoteCursors, publishLocalCursor, clearLocalCursor } = useRealtimeCursor({ boardId });
+  const strokePointsRef = useRef(null);
+  const { remoteCursors, publishLocalCursor, clearLocalCursor } = useRealtimeCursor({ boardId, enabled: !publicView });
+  const { remoteStrokes, publishLocalStroke, clearLocalStroke } = useRealtimeStrokes({ boardId, enabled: !publicView });
+  const { guides, addGuide, moveGuide, removeGuide, toggleGuideLock } = useBoardGuides({ boardId, readOnly });
   const debouncedTextSaveRef = useRef(null);
+  const textEditorRef = useRef(null);
+  const viewportAnimationRef = useRef(null);
+
+  const { shapes, selectedId, selectedIds, currentTool, scale, position, stageSize, loadingShapes, onlineUsers, hiddenLayers, snapSettings } = state;
+
+  // Shape callbacks are memoized with the shape, so they read current state through refs
+  const shapesRef = useRef(shapes);
+  shapesRef.current = shapes;
+  const selectedIdsRef = useRef(selectedIds);
+  selectedIdsRef.current = selectedIds;
+  const enteredGroupIdRef = useRef(enteredGroupId);
+  enteredGroupIdRef.current = enteredGroupId;
+  const committedNodeMoveRef = useRef(false);
+
+  // Selected groups are moved and transformed through their members (groups have no node of their own)
+  const transformerIdsKey = useMemo(
+    () => withGroupMembers(shapes, selectedIds).join(','),
+    [shapes, selectedIds]
+  );
+
+  // Auto-layout frames re-flow from whatever is in state, so remote changes to their children
+  // (and remote drags) show up laid out straight away
+  const laidOutShapes = useMemo(() => applyAutoLayouts(shapes), [shapes]);
 
-  const { shapes, selectedId, selectedIds, currentTool, scale, position, stageSize, loadingShapes, onlineUsers, hiddenLayers } = state;
+  // Connector endpoints follow the shapes they're bound to, including remote drags
+  // (already in state) and local drags/transforms (live attrs, not yet committed).
+  // Contents of a frame being dragged move with it, unless they're selected and dragged themselves.
+  const routedShapes = useMemo(() => {
+    const frameMoves = {};
+    Object.entries(liveFrames).forEach(([frameId, { attrs, isMove }]) => {
+      if (isMove) frameMoves[frameId] = attrs;
+    });
+    const childMoves = getFrameChildOverrides(laidOutShapes, frameMoves);
+    withGroupMembers(laidOutShapes, selectedIdsRef.current).forEach(id => delete childMoves[id]);
+
+    const movedShapes = Object.keys(childMoves).length > 0
+      ? laidOutShapes.map(shape => (childMoves[shape.id] ? { ...shape, ...childMoves[shape.id] } : shape))
+      : laidOutShapes;
+    return routeConnectors(movedShapes, liveShapeAttrs);
+  }, [laidOutShapes, liveShapeAttrs, liveFrames]);
+  // What each component's instances draw; recomputed as the masters change, so edits propagate
+  const componentContents = useMemo(() => getComponentContents(routedShapes), [routedShapes]);
+
+  const boundShapeIdsRef = useRef(new Set());
+  boundShapeIdsRef.current = useMemo(() => getBoundShapeIds(shapes), [shapes]);
 
-  // Sort shapes by zIndex and filter out hidden layers (memoized for performance)
+  // Sort shapes by zIndex and filter out hidden layers, including the contents of hidden frames and groups (memoized for performance)
   const sortedShapes = useMemo(() => {
-    return [...shapes]
-      .filter(shape => !hiddenLayers.has(shape.id))
+    const hiddenContents = getFrameDescendantIds(routedShapes, [...hiddenLayers]);
+    const hiddenMembers = getGroupMemberIds(routedShapes, [...hiddenLayers]);
+    return [...routedShapes]
+      .filter(shape => !hiddenLayers.has(shape.id) && !hiddenContents.has(shape.id) && !hiddenMembers.has(shape.id))
       .sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0));
-  }, [shapes, hiddenLayers]);
+  }, [routedShapes, hiddenLayers]);
 
-  // Viewport culling: only render shapes visible in current view (with padding)
-  const visibleShapes = useMemo(() => {
-    if (!stageSize.width || !stageSize.height) return sortedShapes;
+  // Frames and groups hold their contents, so shapes are rendered as a tree
+  const shapeTree = useMemo(() => buildShapeTree(sortedShapes), [sortedShapes]);
+
+  // Viewport culling: only render shapes visible in current view (with padding).
+  // Frame and group contents are kept whenever their frame or group is; exports render everything.
+  const visibleTree = useMemo(() => {
+    if (!stageSize.width || !stageSize.height || isExporting) return shapeTree;
 
     const viewport = {
       x: -position.x / scale,
@@ -91,22 +247,50 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
     // Add padding to prevent pop-in at edges
     const PADDING = 200;
 
-    return sortedShapes.filter(shape => {
-      // Calculate shape bounds
-      const shapeWidth = shape.width ?? (shape.radius ? shape.radius * 2 : 100);
-      const shapeHeight = shape.height ?? (shape.radius ? shape.radius * 2 : 100);
-      const shapeRight = shape.x + shapeWidth;
-      const shapeBottom = shape.y + shapeHeight;
+    return shapeTree.filter(({ shape }) => {
+      // Calculate shape bounds (lines can extend left of/above their origin; groups span their members)
+      const groupBounds = isGroup(shape) ? getGroupBounds(routedShapes, shape.id) : null;
+      if (isGroup(shape) && !groupBounds) return false;
+      const lineBounds = groupBounds || (isStrokeShape(shape) ? getLineBounds(shape) : null);
+      const shapeLeft = lineBounds ? lineBounds.x : shape.x;
+      const shapeTop = lineBounds ? lineBounds.y : shape.y;
+      const shapeWidth = lineBounds ? lineBounds.width : shape.width ?? (shape.radius ? shape.radius * 2 : 100);
+      const shapeHeight = lineBounds ? lineBounds.height : shape.height ?? (shape.radius ? shape.radius * 2 : 100);
+      const shapeRight = shapeLeft + shapeWidth;
+      const shapeBottom = shapeTop + shapeHeight;
 
       // Check if shape intersects with viewport (with padding)
       return (
         shapeRight > viewport.x - PADDING &&
-        shape.x < viewport.x + viewport.width + PADDING &&
+        shapeLeft < viewport.x + viewport.width + PADDING &&
         shapeBottom > viewport.y - PADDING &&
-        shape.y < viewport.y + viewport.height + PADDING
+        shapeTop < viewport.y + viewport.height + PADDING
       );
     });
-  }, [sortedShapes, position, scale, stageSize]);
+  }, [shapeTree, routedShapes, position, scale, stageSize, isExporting]);
+
+  const enteredGroupBounds = useMemo(
+    () => (enteredGroupId ? getGroupBounds(routedShapes, enteredGroupId) : null),
+    [routedShapes, enteredGroupId]
+  );
+
+  const visibleShapes = useMemo(
+    () => flattenShapeTree(visibleTree).map(({ shape }) => shape),
+    [visibleTree]
+  );
+  const visibleShapesRef = useRef(visibleShapes);
+  visibleShapesRef.current = visibleShapes;
+
+  const { toggleAutoLayout, getResizeStates } = useAutoLayoutFrames({
+    routedShapes,
+    activeEdits,
+    shapesRef,
+    shapeRefsRef,
+    transformerRef,
+    remoteEditIdsRef,
+    firestoreActions,
+    commandActions,
+  });
   
   // Handle shape hover state changes
   const handleShapeHover = useCallback((shapeId, isHovered) => {
@@ -135,19 +319,29 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
   }, [onOpenShortcuts]);
 
   // Presence subscription lifecycle tied to Canvas mount
-  useRealtimePresence({ boardId });
+  useRealtimePresence({ boardId, enabled: !publicView });
 
   // Update transformer when selection changes
   useEffect(() => {
     if (transformerRef.current) {
-      const selectedNodes = selectedIds
+      // Lines and arrows are edited with their own endpoint handles, unless they're part of a selected group
+      const selectedNodes = transformerIdsKey.split(',')
         .map(id => shapeRefsRef.current[id])
-        .filter(node => node);
+        .filter(node => node && !(node.hasName('linear-shape') && selectedIds.includes(node.id())));
       
       transformerRef.current.nodes(selectedNodes);
       transformerRef.current.getLayer()?.batchDraw();
     }
-  }, [selectedIds]);
+  }, [selectedIds, transformerIdsKey]);
+
+  // Leave an entered group once the selection moves out of it (or it's gone)
+  useEffect(() => {
+    if (!enteredGroupId) return;
+    const insideGroup = shapes.some(s => s.id === enteredGroupId)
+      && selectedIds.length > 0
+      && selectedIds.every(id => getGroupChain(shapes, id).includes(enteredGroupId));
+    if (!insideGroup) setEnteredGroupId(null);
+  }, [enteredGroupId, selectedIds, shapes]);
 
   // Track shape updates for visual feedback flash
   useEffect(() => {
@@ -183,7 +377,7 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
 
   // Drag subscription for real-time shape movement
   useEffect(() => {
-    if (!user) return undefined;
+    if (!user || publicView) return undefined;
     
     // Custom subscription to track active edits
     const unsubscribe = subscribeToDragUpdates({
@@ -225,11 +419,11 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
       drag.stopDragSubscription();
       clearInterval(cleanupInterval);
     };
-  }, [boardId, drag, user]);
+  }, [boardId, drag, user, publicView]);
 
   // Transform subscription for real-time shape transforms
   useEffect(() => {
-    if (!user) return undefined;
+    if (!user || publicView) return undefined;
     
     const unsubscribe = transform.startTransformSubscription({
       boardId,
@@ -239,7 +433,7 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
     return () => {
       transform.stopTransformSubscription();
     };
-  }, [boardId, transform, user]);
+  }, [boardId, transform, user, publicView]);
 
   // Don't auto-subscribe to comments - subscribe on-demand when user interacts
   // This prevents unnecessary Firestore connections that trigger reconciliation
@@ -280,10 +474,26 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
     }
   }, [actions]);
 
-  // Handle mouse down on stage for selection box
+  // Handle mouse down on stage for selection box or a pen stroke
   const handleStageMouseDown = useCallback((e) => {
+    // Pen tool: start a freehand stroke (shapes don't listen while it's active)
+    if (currentTool === SHAPE_TYPES.PATH && !publicView && !readOnly) {
+      const pointerPosition = stageRef.current.getPointerPosition();
+      const x = (pointerPosition.x - position.x) / scale;
+      const y = (pointerPosition.y - position.y) / scale;
+
+      strokePointsRef.current = [x, y];
+      setDraftStroke(strokePointsRef.current);
+      publishLocalStroke({
+        points: strokePointsRef.current,
+        stroke: DEFAULT_PEN_COLOR,
+        strokeWidth: DEFAULT_PEN_STROKE_WIDTH,
+      });
+      return;
+    }
+
     // Only start selection box on empty stage in select mode
-    if (e.target === e.target.getStage() && !currentTool) {
+    if (e.target === e.target.getStage() && !currentTool && !publicView) {
       const stage = stageRef.current;
       const pointerPosition = stage.getPointerPosition();
       
@@ -295,10 +505,25 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
       setIsSelecting(true);
       setSelectionBox({ visible: true, x, y, width: 0, height: 0 });
     }
-  }, [currentTool, scale, position]);
+  }, [currentTool, scale, position, publicView, readOnly, publishLocalStroke]);
 
-  // Handle mouse move for selection box
+  // Handle mouse move for selection box or pen stroke
   const handleStageMouseMove = useCallback((e) => {
+    if (strokePointsRef.current) {
+      const pointerPosition = stageRef.current?.getPointerPosition();
+      if (!pointerPosition) return;
+      const x = (pointerPosition.x - position.x) / scale;
+      const y = (pointerPosition.y - position.y) / scale;
+
+      const points = appendStrokePoint(strokePointsRef.current, x, y, PEN_MIN_POINT_DISTANCE / scale);
+      if (points !== strokePointsRef.current) {
+        strokePointsRef.current = points;
+        setDraftStroke(points);
+        publishLocalStroke({ points, stroke: DEFAULT_PEN_COLOR, strokeWidth: DEFAULT_PEN_STROKE_WIDTH });
+      }
+      return;
+    }
+
     if (!isSelecting || !selectionStartRef.current) return;
     
     const stage = stageRef.current;
@@ -325,10 +550,35 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
       width: Math.abs(width),
       height: Math.abs(height),
     });
-  }, [isSelecting, scale, position]);
+  }, [isSelecting, scale, position, publishLocalStroke]);
+
+  // Finish the pen stroke: simplify it and save it as a path shape
+  const finishStroke = useCallback(() => {
+    const points = strokePointsRef.current;
+    if (!points) return;
+
+    strokePointsRef.current = null;
+    setDraftStroke(null);
+    clearLocalStroke();
+
+    const path = strokeToPath(points, PEN_SIMPLIFY_TOLERANCE / scale);
+    if (!path) return;
+
+    const newShape = assignContainingFrame(
+      shapesRef.current,
+      createShape(SHAPE_TYPES.PATH, path.x, path.y, { points: path.points })
+    );
+    const command = new CreateShapeCommand(newShape, firestoreActions, actions);
+    commandActions.executeCommand(command);
+  }, [scale, clearLocalStroke, firestoreActions, actions, commandActions]);
 
-  // Handle mouse up to complete selection
+  // Handle mouse up to complete selection or pen stroke
   const handleStageMouseUp = useCallback((e) => {
+    if (strokePointsRef.current) {
+      finishStroke();
+      return;
+    }
+
     if (isSelecting) {
       // Calculate which shapes intersect with the selection box
       const box = selectionBox;
@@ -337,6 +587,17 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
         // Only select if box is large enough (avoids accidental tiny drags)
         const selectedShapeIds = shapes
           .filter(shape => {
+            if (isGroup(shape)) return false;
+            if (isStrokeShape(shape)) {
+              const bounds = getLineBounds(shape);
+              return (
+                bounds.x < box.x + box.width &&
+                bounds.x + bounds.width > box.x &&
+                bounds.y < box.y + box.height &&
+                bounds.y + bounds.height > box.y
+              );
+            }
+
             // Check if shape intersects with selection box
             const shapeRight = shape.x + (shape.width || shape.radius * 2 || 100);
             const shapeBottom = shape.y + (shape.height || shape.radius * 2 || 50);
@@ -348,7 +609,9 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
               shapeBottom > box.y
             );
           })
-          .map(shape => shape.id);
+          // Shapes in a group select the whole group (or its member, inside an entered group)
+          .map(shape => getSelectionTargetId(shapes, shape.id, enteredGroupId))
+          .filter((id, index, ids) => ids.indexOf(id) === index);
         
         if (selectedShapeIds.length > 0) {
           actions.setSelectedIds(selectedShapeIds);
@@ -363,13 +626,18 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
       setSelectionBox({ visible: false, x: 0, y: 0, width: 0, height: 0 });
       selectionStartRef.current = null;
     }
-  }, [isSelecting, selectionBox, shapes, actions]);
+  }, [isSelecting, selectionBox, shapes, enteredGroupId, actions, finishStroke]);
 
   // Handle stage click for shape creation or deselection
   const handleStageClick = useCallback((e) => {
-    // Click on empty area
-    if (e.target === e.target.getStage()) {
-      if (currentTool) {
+    if (publicView) return;
+
+    // Click on empty area; with a tool active, clicking a frame draws inside it
+    const clickedFrame = currentTool && isFrame(shapesRef.current.find(s => s.id === e.target.id()));
+    if (e.target === e.target.getStage() || clickedFrame) {
+      if (currentTool === SHAPE_TYPES.PATH) {
+        // Pen strokes are created on mouse up
+      } else if (currentTool) {
         // Create a new shape at click position
         const stage = stageRef.current;
         const pointerPosition = stage.getPointerPosition();
@@ -378,7 +646,7 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
         const x = (pointerPosition.x - position.x) / scale;
         const y = (pointerPosition.y - position.y) / scale;
         
-        const newShape = createShape(currentTool, x, y);
+        const newShape = assignContainingFrame(shapesRef.current, createShape(currentTool, x, y));
         
         // Use CommandHistory for undo/redo support
         const command = new CreateShapeCommand(newShape, firestoreActions, actions);
@@ -391,7 +659,7 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
         actions.clearSelection();
       }
     }
-  }, [currentTool, actions, scale, position, firestoreActions, commandActions, isSelecting]);
+  }, [currentTool, actions, scale, position, firestoreActions, commandActions, isSelecting, publicView]);
 
   const handlePointerMove = useCallback(() => {
     const stage = stageRef.current;
@@ -407,7 +675,8 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
 
   const handlePointerLeave = useCallback(() => {
     clearLocalCursor();
-  }, [clearLocalCursor]);
+    finishStroke();
+  }, [clearLocalCursor, finishStroke]);
 
   // Handle cursor updates during stage drag (Chrome compatibility)
   const handleStageDrag = useCallback(() => {
@@ -423,89 +692,347 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
     publishLocalCursor({ x, y, scaleOverride: scale });
   }, [scale, publishLocalCursor]);
 
-  // Handle text editing
-  const handleStartEdit = useCallback((shapeId) => {
-    const shape = shapes.find(s => s.id === shapeId);
-    if (shape) {
-      setEditingTextId(shapeId);
-      setEditingText(shape.text);
-      
-      // Create debounced save function for auto-save
-      if (!debouncedTextSaveRef.current) {
-        debouncedTextSaveRef.current = debounce((id, text) => {
-          firestoreActions.updateShapeText(id, text || 'Double-click to edit');
-        }, 500); // 500ms debounce
+  // Konva moves the stage itself while panning; keep the view position in state once the pan ends
+  const handleStageDragEnd = useCallback((e) => {
+    const stage = stageRef.current;
+    if (!stage || e.target !== stage) return;
+    actions.setPosition(stage.position());
+  }, [stageRef, actions]);
+
+  const { guidePreview, handleRulerDrag, handleRulerDrop, handleGuideMove } = useRulerGuides({
+    position,
+    scale,
+    snapSettings,
+    addGuide,
+    moveGuide,
+  });
+
+  const { insertImageFiles, handleDragOver, handleDrop } = useImageInsert({
+    boardId,
+    readOnly,
+    publicView,
+    stageRef,
+    stageSize,
+    position,
+    scale,
+    shapesRef,
+    insertImagesRef,
+    actions,
+    firestoreActions,
+    commandActions,
+  });
+
+  // Save edited text; sticky notes may be left empty and grow to fit their text,
+  // text edited inside an instance is saved as an override, a table cell writes just that cell,
+  // and a text shape keeps the runs of its formatted words (or drops them once none are left)
+  const saveEditedText = useCallback((id, text, memberId = null, cellKey = null, runs = null) => {
+    const shape = shapesRef.current.find(s => s.id === id);
+    if (cellKey) {
+      if (shape) directActions.updateTableCell(id, cellKey, text);
+    } else if (memberId) {
+      const master = shapesRef.current.find(s => s.id === memberId);
+      if (shape && master) {
+        directActions.updateShape(id, { overrides: setInstanceOverride(shape, master, { text }) });
       }
+    } else if (isStickyShape(shape)) {
+      directActions.updateShape(id, { text, height: measureStickyHeight(shape, text) });
+    } else if (runs) {
+      directActions.updateShape(id, text
+        ? { text, runs: hasRunFormatting(runs) ? normalizeRuns(runs) : null }
+        : { text: 'Double-click to edit', runs: null });
+    } else {
+      directActions.updateShapeText(id, text || 'Double-click to edit');
+    }
+  }, [directActions]);
+
+  // Open the text editor (memberId: a text member of an instance, cellKey: a table cell)
+  const startTextEdit = useCallback((shapeId, { memberId = null, cellKey = null, text, runs = null }) => {
+    setEditingTextId(shapeId);
+    setEditingMemberId(memberId);
+    setEditingCellKey(cellKey);
+    setEditingText(text);
+    setEditingRuns(runs);
+
+    // Create debounced save function for auto-save
+    if (!debouncedTextSaveRef.current) {
+      debouncedTextSaveRef.current = debounce((id, editedText, editedMemberId, editedCellKey, editedRuns) => {
+        saveEditedText(id, editedText, editedMemberId, editedCellKey, editedRuns);
+      }, 500); // 500ms debounce
+    }
+  }, [saveEditedText]);
+
+  const { contextTable, handleEditCell, commitCellEdit, handleChangeTable } = useTableEditing({
+    shapes,
+    contextMenu,
+    readOnly,
+    startTextEdit,
+    firestoreActions,
+    directActions,
+    commandActions,
+  });
+
+  // Handle text editing (memberId: a text member of an instance)
+  const handleStartEdit = useCallback((shapeId, memberId = null) => {
+    if (readOnly) return;
+    const shape = shapes.find(s => s.id === shapeId);
+    const member = memberId ? shapes.find(s => s.id === memberId) : null;
+    if (shape && (!memberId || member)) {
+      startTextEdit(shapeId, {
+        memberId,
+        text: member ? shape.overrides?.[memberId]?.text ?? member.text : shape.text,
+        // Overrides only hold plain text, so formatting is edited on the text shapes themselves
+        runs: !member && shape.type === SHAPE_TYPES.TEXT ? getTextRuns(shape) : null,
+      });
     }
-  }, [shapes, firestoreActions]);
+  }, [shapes, startTextEdit, readOnly]);
 
-  const handleColorChange = useCallback((shapeId, position) => {
+  const handleColorChange = useCallback((shapeId, position, memberId = null) => {
+    if (readOnly) return;
+    // Instances override the fill of their members; lines and paths have none
+    if (memberId && isStrokeShape(shapesRef.current.find(s => s.id === memberId))) return;
     setColorPickerState({
       isOpen: true,
       shapeId,
+      memberId,
       x: position.x,
       y: position.y,
     });
-  }, []);
+  }, [readOnly]);
 
-  const handleSelectColor = useCallback((color) => {
-    if (colorPickerState.shapeId) {
-      const shape = shapes.find(s => s.id === colorPickerState.shapeId);
-      if (shape) {
-        // Use UpdateShapeCommand for undo/redo support
+  // Animate the viewport to a shape (centered, zooming out if it doesn't fit) and select it
+  const focusShape = useCallback((shapeId) => {
+    const currentShapes = shapesRef.current;
+    const target = currentShapes.find(s => s.id === shapeId);
+    const bounds = isGroup(target) ? getGroupBounds(currentShapes, shapeId) : target && getShapeBounds(target);
+    const stage = stageRef.current;
+    if (!bounds || !stage) {
+      toast.error('The linked shape no longer exists');
+      return;
+    }
+
+    const size = { width: stage.width(), height: stage.height() };
+    const from = { scale: stage.scaleX(), position: stage.position() };
+    const to = calculateViewportForBounds(bounds, size, from.scale);
+    const start = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - start) / VIEWPORT_ANIMATION_MS);
+      const viewport = interpolateViewport(from, to, progress, size);
+      actions.setScale(viewport.scale);
+      actions.setPosition(viewport.position);
+      viewportAnimationRef.current = progress < 1 ? requestAnimationFrame(step) : null;
+    };
+    cancelAnimationFrame(viewportAnimationRef.current);
+    viewportAnimationRef.current = requestAnimationFrame(step);
+    actions.setSelectedId(getSelectionTargetId(currentShapes, shapeId, enteredGroupIdRef.current));
+  }, [stageRef, actions]);
+
+  useEffect(() => () => cancelAnimationFrame(viewportAnimationRef.current), []);
+
+  // A board opened through a link to one of its shapes (#shape=...) moves to that shape
+  useEffect(() => {
+    if (loadingShapes) return;
+    const shapeId = parseShapeHash(window.location.hash);
+    if (!shapeId) return;
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+    focusShape(shapeId);
+  }, [loadingShapes, boardId, focusShape]);
+
+  // Follow a shape's link: web addresses open in a new tab, shapes on this board are moved to,
+  // and other boards are opened (at the linked shape, if any)
+  const handleFollowLink = useCallback((link) => {
+    switch (getLinkType(link)) {
+      case LINK_TYPES.URL:
+        window.open(link.url, '_blank', 'noopener,noreferrer');
+        break;
+      case LINK_TYPES.SHAPE:
+        focusShape(link.shapeId);
+        break;
+      case LINK_TYPES.BOARD:
+        if (link.boardId === boardId) {
+          if (link.shapeId) focusShape(link.shapeId);
+        } else if (onOpenBoard) {
+          onOpenBoard(link.boardId, { shapeId: link.shapeId ?? null });
+        } else {
+          window.location.assign(buildShapeUrl(link.boardId, link.shapeId, window.location.origin));
+        }
+        break;
+      default:
+        break;
+    }
+  }, [focusShape, boardId, onOpenBoard]);
+
+  // Set or remove (null) a shape's link (undoable)
+  const handleSaveLink = useCallback((shapeId, link) => {
+    const shape = shapesRef.current.find(s => s.id === shapeId);
+    if (!shape) return;
+    const command = new UpdateShapeCommand(shapeId, { link: shape.link ?? null }, { link }, firestoreActions);
+    commandActions.executeCommand(command);
+  }, [firestoreActions, commandActions]);
+
+  const handleCopyShapeLink = useCallback(async (shapeId) => {
+    try {
+      await navigator.clipboard.writeText(buildShapeUrl(boardId, shapeId, window.location.origin));
+      toast.success('Link to shape copied');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  }, [boardId]);
+
+  // Close any open editors when edit access is lost
+  useEffect(() => {
+    if (readOnly) {
+      setEditingTextId(null);
+      setColorPickerState({ isOpen: false, shapeId: null, memberId: null, x: 0, y: 0 });
+      setLinkDialogShapeId(null);
+      setContextMenu(prev => (prev.visible ? { ...prev, visible: false } : prev));
+    }
+  }, [readOnly]);
+
+  // Shape the color picker is recoloring (an instance member with its overrides applied)
+  const colorPickerShape = useMemo(() => {
+    const shape = shapes.find(s => s.id === colorPickerState.shapeId);
+    if (!shape || !colorPickerState.memberId) return shape || null;
+    const master = shapes.find(s => s.id === colorPickerState.memberId);
+    return master ? { ...master, ...shape.overrides?.[master.id] } : null;
+  }, [shapes, colorPickerState.shapeId, colorPickerState.memberId]);
+
+  // Writes a color picker change to its shape, or as overrides on the instance member
+  const applyPickedFill = useCallback((updates) => {
+    if (colorPickerState.memberId) {
+      const instance = shapes.find(s => s.id === colorPickerState.shapeId);
+      const master = shapes.find(s => s.id === colorPickerState.memberId);
+      if (instance && master) {
         const command = new UpdateShapeCommand(
-          colorPickerState.shapeId,
-          { fill: shape.fill }, // old color
-          { fill: color }, // new color
+          instance.id,
+          { overrides: instance.overrides || {} },
+          { overrides: setInstanceOverride(instance, master, updates) },
           firestoreActions
         );
         commandActions.executeCommand(command);
       }
+    } else if (colorPickerState.shapeId) {
+      const shape = shapes.find(s => s.id === colorPickerState.shapeId);
+      if (shape) {
+        // Use UpdateShapeCommand for undo/redo support
+        const oldProps = Object.fromEntries(Object.keys(updates).map(key => [key, shape[key] ?? null]));
+        const command = new UpdateShapeCommand(colorPickerState.shapeId, oldProps, updates, firestoreActions);
+        commandActions.executeCommand(command);
+      }
+    }
+  }, [colorPickerState.shapeId, colorPickerState.memberId, shapes, firestoreActions, commandActions]);
+
+  const handleSelectColor = useCallback((color) => {
+    if (!colorPickerShape) return;
+    // Lines and arrows have no fill; their color is the stroke
+    if (isStrokeShape(colorPickerShape)) {
+      applyPickedFill({ stroke: color });
+    } else {
+      // A solid color replaces any gradient
+      applyPickedFill(colorPickerShape.fillGradient ? { fill: color, fillGradient: null } : { fill: color });
     }
-  }, [colorPickerState.shapeId, shapes, firestoreActions, commandActions]);
+  }, [colorPickerShape, applyPickedFill]);
+
+  const handleSelectGradient = useCallback((gradient) => {
+    const result = normalizeGradientSafe(gradient);
+    if (!result.ok) return;
+    // The solid fill follows the gradient's main color for anything that reads a single color
+    applyPickedFill({ fill: getPredominantColor(result.gradient), fillGradient: result.gradient });
+  }, [applyPickedFill]);
 
-  const handleTextChange = useCallback((newText) => {
+  const handleTextChange = useCallback((newText, newRuns = null) => {
     setEditingText(newText);
+    setEditingRuns(newRuns);
     
     // Auto-save with debounce
     if (editingTextId && debouncedTextSaveRef.current) {
-      debouncedTextSaveRef.current(editingTextId, newText);
+      debouncedTextSaveRef.current(editingTextId, newText, editingMemberId, editingCellKey, newRuns);
     }
-  }, [editingTextId]);
+  }, [editingTextId, editingMemberId, editingCellKey]);
 
   const handleFinishEdit = useCallback(() => {
     if (editingTextId) {
       // Cancel any pending debounced save
       debouncedTextSaveRef.current?.cancel();
       
-      // Immediately save on blur
-      firestoreActions.updateShapeText(editingTextId, editingText || 'Double-click to edit');
+      // Immediately save on blur (a table cell as one undoable edit)
+      if (editingCellKey) {
+        commitCellEdit(editingTextId, editingCellKey, editingText);
+      } else {
+        saveEditedText(editingTextId, editingText, editingMemberId, null, editingRuns);
+      }
       setEditingTextId(null);
+      setEditingMemberId(null);
+      setEditingCellKey(null);
       setEditingText('');
+      setEditingRuns(null);
     }
-  }, [editingTextId, editingText, firestoreActions]);
+  }, [editingTextId, editingText, editingMemberId, editingCellKey, editingRuns, saveEditedText, commitCellEdit]);
+
+  // Formatting from the text toolbar; a text switched to fixed width keeps its current
+  // width and wraps inside it from then on
+  const handleTextFormatChange = useCallback((updates) => {
+    const shape = shapesRef.current.find(s => s.id === editingTextId);
+    if (!shape) return;
+    const width = updates.fixedWidth
+      ? Math.ceil(measureTextWidth({
+        ...getTextShapeStyle(shape),
+        text: formatListText(editingText, shape.listStyle),
+        fontSize: shape.fontSize,
+      }))
+      : undefined;
+    directActions.updateShape(editingTextId, width ? { ...updates, width } : updates);
+  }, [editingTextId, editingText, directActions]);
+
+  // Formatting from the text toolbar for the words selected in the editor
+  const handleFormatSelection = useCallback((command, value) => (
+    textEditorRef.current?.formatSelection(command, value) ?? false
+  ), []);
 
   // Use custom hooks for transform and keyboard shortcuts
   const { handleTransformStart, handleTransformEnd } = useShapeTransform({
-    selectedIds,
     shapes,
     transformerRef,
     firestoreActions,
     commandActions,
   });
 
-  // Handle alignment operations
+  // Apply alignment and layout updates ({ id, ...props }) as one undoable step
   const handleAlign = useCallback((updates, alignmentType) => {
     if (!updates || updates.length === 0) return;
 
-    // Batch update all aligned shapes
-    firestoreActions.batchUpdatePosition(updates);
-  }, [firestoreActions]);
+    const commands = getShapeUpdateChanges(shapesRef.current, updates).map(({ id, oldState, newState }) => (
+      new UpdateShapeCommand(id, oldState, newState, firestoreActions)
+    ));
+    if (commands.length === 0) return;
+    commandActions.executeCommand(
+      commands.length > 1 ? new BatchCommand(commands, `Arrange shapes (${alignmentType})`) : commands[0]
+    );
+  }, [firestoreActions, commandActions]);
+
+  // Shapes the alignment toolbar and shortcuts arrange (groups are arranged through their members)
+  const alignedShapes = useMemo(
+    () => shapes.filter(s => selectedIds.includes(s.id) && !isGroup(s)),
+    [shapes, selectedIds]
+  );
+
+  // Visible canvas area in canvas coordinates
+  const viewportBounds = useMemo(() => ({
+    x: -position.x / scale,
+    y: -position.y / scale,
+    width: stageSize.width / scale,
+    height: stageSize.height / scale,
+  }), [position, scale, stageSize]);
+
+  // Shortcuts align and space shapes the way the toolbar is set to
+  const alignOptions = useMemo(
+    () => ({ target: alignTarget, viewport: viewportBounds, spacing: layoutSpacing }),
+    [alignTarget, viewportBounds, layoutSpacing]
+  );
 
   // Calculate alignment toolbar position based on selected shapes
   useEffect(() => {
     if (selectedIds.length >= 2 && stageRef.current) {
-      const selectedShapes = shapes.filter(s => selectedIds.includes(s.id));
+      const selectedShapes = shapes.filter(s => selectedIds.includes(s.id) && !isGroup(s));
       if (selectedShapes.length < 2) {
         setAlignmentToolbarPos(null);
         return;
@@ -516,12 +1043,20 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
         if (s.type === 'circle') {
           return [s.x - (s.radius || 0), s.x + (s.radius || 0)];
         }
+        if (isStrokeShape(s)) {
+          const bounds = getLineBounds(s);
+          return [bounds.x, bounds.x + bounds.width];
+        }
         return [s.x, s.x + (s.width || 100)];
       });
       const ys = selectedShapes.flatMap(s => {
         if (s.type === 'circle') {
           return [s.y - (s.radius || 0), s.y + (s.radius || 0)];
         }
+        if (isStrokeShape(s)) {
+          const bounds = getLineBounds(s);
+          return [bounds.y, bounds.y + bounds.height];
+        }
         return [s.y, s.y + (s.height || 100)];
       });
 
@@ -541,23 +1076,474 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
     }
   }, [selectedIds, shapes, stageRef]);
 
+  // Style toolbar for a single selected line or arrow
+  const selectedLine = selectedIds.length === 1
+    ? routedShapes.find(s => s.id === selectedIds[0] && isLinearShape(s))
+    : null;
+
+  const lineStyleToolbarPos = useMemo(() => {
+    if (!selectedLine) return null;
+    const bounds = getLineBounds(selectedLine);
+    return {
+      x: bounds.x * scale + position.x,
+      y: Math.max(70, bounds.y * scale + position.y - 50), // Position above the line
+    };
+  }, [selectedLine, scale, position]);
+
+  const handleLineStyleChange = useCallback((updates) => {
+    if (!selectedLine) return;
+    const oldState = Object.fromEntries(Object.keys(updates).map(key => [key, selectedLine[key]]));
+    const command = new UpdateShapeCommand(selectedLine.id, oldState, updates, firestoreActions);
+    commandActions.executeCommand(command);
+  }, [selectedLine, firestoreActions, commandActions]);
+
+  // Shapes the appearance panel edits: the selection, with groups standing for their members
+  const styleTargets = useMemo(() => {
+    const ids = new Set(withGroupMembers(shapes, selectedIds));
+    return shapes.filter(s => ids.has(s.id) && !isGroup(s));
+  }, [shapes, selectedIds]);
+
+  // Apply an appearance change to every target as one undoable step
+  const handleStyleChange = useCallback((changes) => {
+    const commands = styleTargets.flatMap(shape => {
+      const updates = getStyleUpdate(shape, changes);
+      if (!updates) return [];
+      const oldState = Object.fromEntries(Object.keys(updates).map(key => [key, shape[key] ?? null]));
+      return [new UpdateShapeCommand(shape.id, oldState, updates, firestoreActions)];
+    });
+    if (commands.length === 0) return;
+    commandActions.executeCommand(commands.length > 1 ? new BatchCommand(commands, 'Change appearance') : commands[0]);
+  }, [styleTargets, firestoreActions, commandActions]);
+
+  // Track local drags/transforms of frames (their contents and clip follow them)
+  // and of bound shapes (their connectors re-route live)
+  const handleLiveShapeChange = useCallback((shapeId, attrs, meta) => {
+    if (!attrs || isFrame(shapesRef.current.find(s => s.id === shapeId))) {
+      setLiveFrames(prev => {
+        if (attrs) return { ...prev, [shapeId]: { attrs, isMove: Boolean(meta?.isMove) } };
+        if (!(shapeId in prev)) return prev;
+        const next = { ...prev };
+        delete next[shapeId];
+        return next;
+      });
+    }
+    if (attrs && !boundShapeIdsRef.current.has(shapeId)) return;
+    setLiveShapeAttrs(prev => {
+      if (attrs) return { ...prev, [shapeId]: attrs };
+      if (!(shapeId in prev)) return prev;
+      const next = { ...prev };
+      delete next[shapeId];
+      return next;
+    });
+  }, []);
+
+  const { anchorHint, handleEndpointDragMove, commitConnectorChange } = useConnectorEditing({
+    shapesRef,
+    firestoreActions,
+    commandActions,
+  });
+
+  // Frame options in the context menu
+  const contextFrame = contextMenu.visible
+    ? shapes.find(s => s.id === contextMenu.shapeId && isFrame(s)) || null
+    : null;
+
+  const handleExportFrame = useCallback(async (frame) => {
+    try {
+      await exportFrameToPNG(stageRef, frame, `${frame.name || 'frame'}.png`, {
+        onBeforeExport: () => {
+          // Hide UI elements (labels, transformer, selection box)
+          setIsExporting(true);
+          actions.clearSelection();
+        },
+        onAfterExport: () => setIsExporting(false),
+      });
+    } catch {
+      toast.error(`Couldn't export ${frame.name || 'frame'}`);
+    }
+  }, [stageRef, actions]);
+
+  // Component options in the context menu: the clicked instance and its component
+  const contextInstance = contextMenu.visible
+    ? shapes.find(s => s.id === contextMenu.shapeId && isInstance(s)) || null
+    : null;
+  const contextComponent = contextMenu.visible
+    ? shapes.find(s => s.id === (contextInstance?.componentId ?? contextMenu.shapeId) && isComponent(s)) || null
+    : null;
+
+  // Turn the selection into a component master
+  const handleCreateComponent = useCallback(() => {
+    const members = shapesRef.current.filter(s => selectedIdsRef.current.includes(s.id));
+    if (members.length === 0) return;
+
+    const component = createComponent(members);
+    commandActions.executeCommand(new GroupShapesCommand(component, members, firestoreActions));
+    actions.setSelectedIds([component.id]);
+  }, [firestoreActions, commandActions, actions]);
+
+  // Place a new instance next to a component's master or one of its instances
+  const handleCreateInstance = useCallback((component, nextTo) => {
+    const content = componentContents[component.id];
+    if (!content) return;
+
+    const anchor = isInstance(nextTo) ? nextTo : content.bounds;
+    const instance = assignContainingFrame(
+      shapesRef.current,
+      createInstance(component, content, anchor.x + anchor.width + INSTANCE_GAP, anchor.y)
+    );
+    commandActions.executeCommand(new CreateShapeCommand(instance, firestoreActions, actions));
+    actions.setSelectedId(instance.id);
+  }, [componentContents, firestoreActions, commandActions, actions]);
+
+  /**
+   * Commit dragged shapes as one undoable step
+   * A frame brings its contents along; a shape (or a whole group) dropped into or out of a frame is re-parented.
+   * @param {Array<Object>} moves - [{ id, oldState: { x, y }, newState: { x, y } }]
+   */
+  const commitShapeMoves = useCallback((moves) => {
+    const currentShapes = shapesRef.current;
+    const newPositions = new Map(moves.map(({ id, newState }) => [id, newState]));
+    const movedShapes = currentShapes.map(s => (newPositions.has(s.id) ? { ...s, ...newPositions.get(s.id) } : s));
+    const commands = [];
+    const movedGroupIds = new Set();
+
+    const reparent = (id, parentId, stored, oldState, newState) => {
+      commands.push(new UpdateShapeCommand(
+        id,
+        { ...oldState, parentId: stored.parentId ?? null },
+        { ...newState, parentId },
+        firestoreActions
+      ));
+    };
+
+    moves.forEach(({ id, oldState, newState }) => {
+      const stored = currentShapes.find(s => s.id === id);
+      if (!stored) return;
+
+      // Grouped shapes follow their outermost group into or out of frames
+      const groupChain = getGroupChain(currentShapes, id);
+      if (groupChain.length > 0) {
+        movedGroupIds.add(groupChain[groupChain.length - 1]);
+        commands.push(new MoveShapeCommand(id, oldState, newState, firestoreActions));
+        return;
+      }
+
+      const parentId = findContainingFrame(movedShapes, { ...stored, ...newState })?.id ?? null;
+      if (parentId !== (stored.parentId ?? null)) {
+        reparent(id, parentId, stored, oldState, newState);
+      } else {
+        commands.push(new MoveShapeCommand(id, oldState, newState, firestoreActions));
+      }
+    });
+
+    movedGroupIds.forEach((groupId) => {
+      const group = currentShapes.find(s => s.id === groupId);
+      const bounds = getGroupBounds(movedShapes, groupId);
+      if (!group || !bounds) return;
+      const memberIds = [...getGroupMemberIds(currentShapes, [groupId])];
+      const parentId = findContainingFrame(movedShapes, { ...bounds, id: groupId }, { excludeIds: memberIds })?.id ?? null;
+
+      [group, ...currentShapes.filter(s => memberIds.includes(s.id))]
+        .filter(shape => parentId !== (shape.parentId ?? null))
+        .forEach((shape) => {
+          reparent(shape.id, parentId, shape, {}, {});
+        });
+    });
+
+    // Selected contents were dragged along with the frame and commit their own move
+    const skipIds = new Set([...newPositions.keys(), ...selectedIdsRef.current]);
+    moves.forEach(({ id, oldState, newState }) => {
+      if (!isFrame(currentShapes.find(s => s.id === id))) return;
+      getFrameContentMoves(currentShapes, id, newState.x - oldState.x, newState.y - oldState.y)
+        .filter(({ id: contentId }) => !skipIds.has(contentId))
+        .forEach((move) => {
+          skipIds.add(move.id);
+          commands.push(new MoveShapeCommand(move.id, move.oldState, move.newState, firestoreActions));
+        });
+    });
+
+    if (commands.length === 0) return;
+    commandActions.executeCommand(commands.length > 1
+      ? new BatchCommand(commands, moves.length > 1 ? 'Move shapes' : 'Move frame')
+      : commands[0]);
+  }, [firestoreActions, commandActions]);
+
+  /**
+   * Commit a drag of every shape on the Transformer (a multi-selection or a group)
+   * Each dragged node ends its own drag; the first one commits them all.
+   */
+  const commitTransformerMove = useCallback(() => {
+    if (committedNodeMoveRef.current) return;
+    committedNodeMoveRef.current = true;
+    queueMicrotask(() => {
+      committedNodeMoveRef.current = false;
+    });
+
+    const moves = (transformerRef.current?.nodes() ?? [])
+      .map((node) => {
+        const stored = shapesRef.current.find(s => s.id === node.id());
+        if (!stored || (stored.x === node.x() && stored.y === node.y())) return null;
+        return { id: stored.id, oldState: { x: stored.x, y: stored.y }, newState: { x: node.x(), y: node.y() } };
+      })
+      .filter(Boolean);
+    if (moves.length > 0) commitShapeMoves(moves);
+  }, [commitShapeMoves]);
+
+  // Whether a shape is one of several moved/transformed together by the Transformer
+  const isOnMultiNodeTransformer = (shapeId) => {
+    const nodes = transformerRef.current?.nodes() ?? [];
+    return nodes.length > 1 && nodes.some(node => node.id() === shapeId);
+  };
+
+  // Dragging a shape in a group that isn't selected drags the whole group
+  const startGroupDrag = useCallback((shapeId) => {
+    const currentShapes = shapesRef.current;
+    const targetId = getSelectionTargetId(currentShapes, shapeId, enteredGroupIdRef.current);
+    if (targetId === shapeId || selectedIdsRef.current.includes(targetId)) return;
+
+    actions.setSelectedId(targetId);
+    getGroupMemberIds(currentShapes, [targetId]).forEach((id) => {
+      const node = shapeRefsRef.current[id];
+      if (node && !node.isDragging()) node.startDrag();
+    });
+  }, [actions]);
+
+  // Holding Ctrl/Cmd turns snapping off
+  const { snapGuides, snapDragPosition, snapResizeBox, endSnapping } = useCanvasSnapping({
+    stageRef,
+    transformerRef,
+    shapeRefsRef,
+    shapesRef,
+    selectedIdsRef,
+    enteredGroupIdRef,
+    visibleShapesRef,
+    snapSettings,
+    guides,
+  });
+
+  // Double-click on a grouped shape enters its group and selects the next level down
+  const handleEnterGroup = useCallback((shapeId) => {
+    const currentShapes = shapesRef.current;
+    const targetId = getSelectionTargetId(currentShapes, shapeId, enteredGroupIdRef.current);
+    if (targetId === shapeId || !isGroup(currentShapes.find(s => s.id === targetId))) return false;
+
+    setEnteredGroupId(targetId);
+    actions.setSelectedId(getSelectionTargetId(currentShapes, shapeId, targetId));
+    return true;
+  }, [actions]);
+
   // Handle keyboard shortcuts using custom hook
   useCanvasKeyboardShortcuts({
+    enabled: !publicView,
     editingTextId,
     selectedIds,
-    shapes,
+    shapes: routedShapes,
     clipboard,
     setClipboard,
     actions,
     firestoreActions,
     commandActions,
     handleAlign,
+    alignOptions,
     setShowShortcuts,
     setContextMenu,
+    onPasteImages: insertImageFiles,
+    onCreateComponent: handleCreateComponent,
   });
 
+  // Render one shape with the canvas handlers wired to it
+  const renderShape = (shape) => {
+    // Hide shape if it's being edited (or just the member being edited, inside an instance;
+    // a table stays visible under the cell editor)
+    if (shape.id === editingTextId && !editingMemberId && !editingCellKey) {
+      return null;
+    }
+    let component = isInstance(shape) ? componentContents[shape.componentId] : undefined;
+    if (component && shape.id === editingTextId) {
+      component = { ...component, shapes: component.shapes.filter(member => member.id !== editingMemberId) };
+    }
+
+    const activeEdit = activeEdits[shape.id];
+    const isBeingEdited = activeEdit && activeEdit.userId !== user?.uid;
+    const recentEdit = recentEdits[shape.id];
+    const showEditFlash = recentEdit && recentEdit.userId !== user?.uid;
+
+    return (
+      <Shape
+        key={shape.id}
+        ref={(node) => {
+          if (node) {
+            shapeRefsRef.current[shape.id] = node;
+          } else {
+            delete shapeRefsRef.current[shape.id];
+          }
+        }}
+        shape={shape}
+        isSelected={selectedIds.includes(shape.id)}
+        isBeingEdited={isBeingEdited}
+        editorUserId={activeEdit?.userId}
+        showEditFlash={showEditFlash}
+        flashEditorUserId={recentEdit?.userId}
+        onlineUsers={onlineUsers}
+        boardId={boardId}
+        readOnly={readOnly}
+        component={component}
+        onSelect={() => {
+          // Only allow selection in select mode (public view is pan/zoom only)
+          if (!currentTool && !publicView) {
+            actions.setSelectedId(getSelectionTargetId(shapesRef.current, shape.id, enteredGroupIdRef.current));
+          }
+        }}
+        onToggleSelect={(shapeId) => {
+          // Toggle selection with shift/cmd key
+          if (!currentTool && !publicView) {
+            actions.toggleSelectedId(getSelectionTargetId(shapesRef.current, shapeId, enteredGroupIdRef.current));
+          }
+        }}
+        onChange={(newAttrs, metadata) => {
+          // Check if this change should use undo/redo
+          if (metadata && metadata.oldState) {
+            if (metadata.isMove && isOnMultiNodeTransformer(shape.id)) {
+              // Several shapes dragged together (a multi-selection or a group) - one undo step
+              commitTransformerMove();
+              return;
+            }
+            if (metadata.isTransform && !metadata.endpoint && !metadata.tableHandle && isOnMultiNodeTransformer(shape.id)) {
+              // Committed for all nodes by useShapeTransform
+              return;
+            }
+            if (isLinearShape(shape) && commitConnectorChange(shape, newAttrs, metadata)) {
+              return;
+            }
+            if (metadata.isMove) {
+              // Drag operation - moves frame contents and re-parents the shape
+              commitShapeMoves([{ id: shape.id, oldState: metadata.oldState, newState: { x: newAttrs.x, y: newAttrs.y } }]);
+            } else if (metadata.isTransform) {
+              // Transform operation - use UpdateShapeCommand
+              const { oldState, newState } = getResizeStates(shape, metadata.oldState, newAttrs);
+              const command = new UpdateShapeCommand(
+                shape.id,
+                oldState, // all old properties
+                newState, // all new properties
+                firestoreActions
+              );
+              commandActions.executeCommand(command);
+            }
+          } else {
+            // Direct update without undo/redo (e.g., text editing during drag)
+            directActions.updateShape(shape.id, newAttrs);
+          }
+        }}
+        onDragStart={() => {
+          // Mark shape as being edited locally
+          setLocallyEditingShapes(prev => new Set([...prev, shape.id]));
+          startGroupDrag(shape.id);
+        }}
+        onDragMove={(x, y) => {
+          drag.publishDrag({ boardId, shapeId: shape.id, x, y });
+        }}
+        onSnapDrag={snapDragPosition}
+        onDragEnd={() => {
+          endSnapping();
+
+          // Remove from locally editing set
+          setLocallyEditingShapes(prev => {
+            const next = new Set(prev);
+            next.delete(shape.id);
+            return next;
+          });
+
+          // Clear drag broadcast
+          drag.clearDrag({ boardId, shapeId: shape.id });
+        }}
+        onTransformStart={() => {
+          // Mark shape as being transformed locally
+          setLocallyEditingShapes(prev => new Set([...prev, shape.id]));
+        }}
+        onTransformMove={(transformData) => {
+          transform.publishTransform({ boardId, shapeId: shape.id, ...transformData });
+        }}
+        onTransformEnd={() => {
+          // Remove from locally editing set
+          setLocallyEditingShapes(prev => {
+            const next = new Set(prev);
+            next.delete(shape.id);
+            return next;
+          });
+
+          transform.clearTransform({ boardId, shapeId: shape.id });
+        }}
+        onLiveChange={(attrs, meta) => handleLiveShapeChange(shape.id, attrs, meta)}
+        onEndpointDragMove={(end, points) => handleEndpointDragMove(shape, end, points)}
+        onEnterGroup={handleEnterGroup}
+        onStartEdit={handleStartEdit}
+        onEditCell={handleEditCell}
+        onColorChange={handleColorChange}
+        onFollowLink={handleFollowLink}
+        onContextMenu={(e) => {
+          e.evt.preventDefault();
+          if (readOnly) return;
+          const stage = e.target.getStage();
+          const pointerPosition = stage.getPointerPosition();
+          const targetId = getSelectionTargetId(shapesRef.current, shape.id, enteredGroupIdRef.current);
+          setContextMenu({
+            visible: true,
+            x: pointerPosition.x,
+            y: pointerPosition.y,
+            shapeId: targetId,
+          });
+          // Select the shape (or its group) if it's not already selected
+          if (!selectedIds.includes(targetId)) {
+            actions.setSelectedId(targetId);
+          }
+        }}
+        onHoverChange={handleShapeHover}
+      />
+    );
+  };
+
+  // Frames draw their contents on top of themselves, clipped to the frame unless clipping is off.
+  // Groups only draw their members.
+  const renderShapeNode = ({ shape, children }) => {
+    if (isGroup(shape)) {
+      return <Fragment key={shape.id}>{children.map(renderShapeNode)}</Fragment>;
+    }
+    if (!isFrame(shape)) return renderShape(shape);
+
+    // Follow the frame while it is dragged or resized, before the change is committed
+    const bounds = liveFrames[shape.id] ? { ...shape, ...liveFrames[shape.id].attrs } : shape;
+    const clip = shape.clipContent !== false
+      ? { clipX: bounds.x, clipY: bounds.y, clipWidth: bounds.width, clipHeight: bounds.height }
+      : {};
+
+    return (
+      <Fragment key={shape.id}>
+        {!isExporting && (
+          <Text
+            x={bounds.x}
+            y={bounds.y - (FRAME_LABEL_FONT_SIZE + FRAME_LABEL_GAP) / scale}
+            text={shape.name || 'Frame'}
+            fontSize={FRAME_LABEL_FONT_SIZE / scale}
+            fill="#6B7280"
+            listening={false}
+          />
+        )}
+        <Group id={getFrameContentNodeId(shape.id)}>
+          {renderShape(shape)}
+          <Group {...clip}>
+            {children.map(renderShapeNode)}
+          </Group>
+        </Group>
+      </Fragment>
+    );
+  };
+
   return (
-    <div className={`canvas-container ${currentTool === 'pan' ? 'panning' : ''} ${currentTool && currentTool !== 'pan' ? 'tool-active' : ''}`}>
+    <div
+      className={`canvas-container ${currentTool === 'pan' ? 'panning' : ''} ${currentTool && currentTool !== 'pan' ? 'tool-active' : ''}`}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
       {loadingShapes && (
         <div className="canvas-loading-overlay" role="status" aria-live="polite">
           <div className="spinner" />
@@ -583,6 +1569,7 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
         onMouseUp={handleStageMouseUp}
         onTouchMove={handlePointerMove}
         onDragMove={handleStageDrag}
+        onDragEnd={handleStageDragEnd}
         onMouseLeave={handlePointerLeave}
         onTouchEnd={handlePointerLeave}
       >
@@ -592,155 +1579,63 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
             <GridBackground
               width={stageSize.width / scale}
               height={stageSize.height / scale}
+              gridSize={getGridDrawSize(snapSettings.gridSize, scale)}
               offsetX={-position.x / scale}
               offsetY={-position.y / scale}
             />
           </Layer>
         )}
         
-        {/* Main shapes layer */}
-        <Layer>
-          {visibleShapes.map((shape) => {
-            // Hide shape if it's being edited
-            if (shape.id === editingTextId) {
-              return null;
-            }
-            
-            const activeEdit = activeEdits[shape.id];
-            const isBeingEdited = activeEdit && activeEdit.userId !== user?.uid;
-            const recentEdit = recentEdits[shape.id];
-            const showEditFlash = recentEdit && recentEdit.userId !== user?.uid;
-            
-            return (
-              <Shape
-                key={shape.id}
-                ref={(node) => {
-                  if (node) {
-                    shapeRefsRef.current[shape.id] = node;
-                  } else {
-                    delete shapeRefsRef.current[shape.id];
-                  }
-                }}
-                shape={shape}
-                isSelected={selectedIds.includes(shape.id)}
-                isBeingEdited={isBeingEdited}
-                editorUserId={activeEdit?.userId}
-                showEditFlash={showEditFlash}
-                flashEditorUserId={recentEdit?.userId}
-                onlineUsers={onlineUsers}
-                boardId={boardId}
-                onSelect={() => {
-                  // Only allow selection in select mode
-                  if (!currentTool) {
-                    actions.setSelectedId(shape.id);
-                  }
-                }}
-                onToggleSelect={(shapeId) => {
-                  // Toggle selection with shift/cmd key
-                  if (!currentTool) {
-                    actions.toggleSelectedId(shapeId);
-                  }
-                }}
-                onChange={(newAttrs, metadata) => {
-                  // Check if this change should use undo/redo
-                  if (metadata && metadata.oldState) {
-                    if (metadata.isMove) {
-                      // Drag operation - use MoveShapeCommand
-                      const command = new MoveShapeCommand(
-                        shape.id,
-                        metadata.oldState, // { x, y }
-                        { x: newAttrs.x, y: newAttrs.y },
-                        firestoreActions
-                      );
-                      commandActions.executeCommand(command);
-                    } else if (metadata.isTransform) {
-                      // Transform operation - use UpdateShapeCommand
-                      const command = new UpdateShapeCommand(
-                        shape.id,
-                        metadata.oldState, // all old properties
-                        newAttrs, // all new properties
-                        firestoreActions
-                      );
-                      commandActions.executeCommand(command);
-                    }
-                  } else {
-                    // Direct update without undo/redo (e.g., text editing during drag)
-                    firestoreActions.updateShape(shape.id, newAttrs);
-                  }
-                }}
-                onDragStart={() => {
-                  // Mark shape as being edited locally
-                  setLocallyEditingShapes(prev => new Set([...prev, shape.id]));
-                }}
-                onDragMove={(x, y) => {
-                  drag.publishDrag({ boardId, shapeId: shape.id, x, y });
-                }}
-                onDragEnd={() => {
-                  // Remove from locally editing set
-                  setLocallyEditingShapes(prev => {
-                    const next = new Set(prev);
-                    next.delete(shape.id);
-                    return next;
-                  });
-                  
-                  // Clear drag broadcast
-                  drag.clearDrag({ boardId, shapeId: shape.id });
-                }}
-                onTransformStart={() => {
-                  // Mark shape as being transformed locally
-                  setLocallyEditingShapes(prev => new Set([...prev, shape.id]));
-                }}
-                onTransformMove={(transformData) => {
-                  transform.publishTransform({ boardId, shapeId: shape.id, ...transformData });
-                }}
-                onTransformEnd={() => {
-                  // Remove from locally editing set
-                  setLocallyEditingShapes(prev => {
-                    const next = new Set(prev);
-                    next.delete(shape.id);
-                    return next;
-                  });
-                  
-                  transform.clearTransform({ boardId, shapeId: shape.id });
-                }}
-                onStartEdit={handleStartEdit}
-                onColorChange={handleColorChange}
-                onContextMenu={(e) => {
-                  e.evt.preventDefault();
-                  const stage = e.target.getStage();
-                  const pointerPosition = stage.getPointerPosition();
-                  setContextMenu({
-                    visible: true,
-                    x: pointerPosition.x,
-                    y: pointerPosition.y,
-                    shapeId: shape.id,
-                  });
-                  // Select the shape if it's not already selected
-                  if (!selectedIds.includes(shape.id)) {
-                    actions.setSelectedId(shape.id);
-                  }
-                }}
-                onHoverChange={handleShapeHover}
-              />
-            );
-          })}
+        {/* Main shapes layer (not listening while drawing, so pen strokes can start over shapes) */}
+        <Layer name={SHAPES_LAYER_NAME} listening={currentTool !== SHAPE_TYPES.PATH}>
+          {visibleTree.map(renderShapeNode)}
+
+          {/* Outline of the group being edited inside */}
+          {enteredGroupBounds && !isExporting && (
+            <Rect
+              {...enteredGroupBounds}
+              stroke="#3498db"
+              strokeWidth={1 / scale}
+              dash={[4 / scale, 4 / scale]}
+              listening={false}
+            />
+          )}
           
           {/* Global Transformer for selected shapes - hide during export */}
-          {selectedIds.length > 0 && !isExporting && (
+          {selectedIds.length > 0 && !isExporting && !publicView && (
             <Transformer
               ref={transformerRef}
+              resizeEnabled={!readOnly}
+              rotateEnabled={!readOnly && !selectedIds.some(id => isFrame(shapes.find(s => s.id === id)))} // Frames stay axis-aligned so they can clip
               onTransformStart={handleTransformStart}
-              onTransformEnd={handleTransformEnd}
+              onTransformEnd={() => {
+                endSnapping();
+                handleTransformEnd();
+              }}
               boundBoxFunc={(oldBox, newBox) => {
                 // Limit minimum size
                 if (newBox.width < 5 || newBox.height < 5) {
                   return oldBox;
                 }
-                return newBox;
+                return snapResizeBox(oldBox, newBox);
               }}
             />
           )}
           
+          {/* Smart guides while dragging or resizing */}
+          {snapGuides.length > 0 && !isExporting && (
+            <SnapGuides guides={snapGuides} scale={scale} />
+          )}
+
+          {/* Anchor preview while dragging a line end */}
+          {anchorHint && (
+            <ConnectorAnchors
+              shape={shapes.find(s => s.id === anchorHint.shapeId)}
+              anchor={anchorHint.anchor}
+              scale={scale}
+            />
+          )}
+
           {/* Selection box for lasso selection */}
           <SelectionBox
             x={selectionBox.x}
@@ -751,6 +1646,47 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
           />
         </Layer>
 
+        {/* Ruler guides - hidden during export */}
+        {snapSettings.rulers && !isExporting && (
+          <Layer>
+            <GuideLines
+              guides={guides}
+              preview={guidePreview}
+              viewport={viewportBounds}
+              scale={scale}
+              readOnly={readOnly}
+              onMove={handleGuideMove}
+              onRemove={guide => removeGuide(guide.id)}
+              onToggleLock={guide => toggleGuideLock(guide.id)}
+            />
+          </Layer>
+        )}
+
+        {/* Pen strokes in progress: collaborators' and our own */}
+        <Layer listening={false}>
+          {remoteStrokes.map((remoteStroke) => (
+            <Line
+              key={remoteStroke.userId}
+              points={remoteStroke.points}
+              stroke={remoteStroke.stroke || DEFAULT_PEN_COLOR}
+              strokeWidth={remoteStroke.strokeWidth || DEFAULT_PEN_STROKE_WIDTH}
+              tension={PATH_TENSION}
+              lineCap="round"
+              lineJoin="round"
+            />
+          ))}
+          {draftStroke && (
+            <Line
+              points={draftStroke.length === 2 ? [...draftStroke, ...draftStroke] : draftStroke}
+              stroke={DEFAULT_PEN_COLOR}
+              strokeWidth={DEFAULT_PEN_STROKE_WIDTH}
+              tension={PATH_TENSION}
+              lineCap="round"
+              lineJoin="round"
+            />
+          )}
+        </Layer>
+
         {/* Remote cursors layer */}
         <Layer listening={false}>
           {remoteCursors.map((cursor) => {
@@ -786,33 +1722,89 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
                 x={centerX}
                 y={tooltipY}
                 onlineUsers={onlineUsers}
+                linkLabel={getLinkLabel(shape.link, shapes)}
               />
             );
           })}
         </Layer>
       </Stage>
 
+      {snapSettings.rulers && !isExporting && (
+        <Rulers
+          stageRef={stageRef}
+          scale={scale}
+          position={position}
+          stageSize={stageSize}
+          readOnly={readOnly}
+          onGuideDrag={handleRulerDrag}
+          onGuideDrop={handleRulerDrop}
+        />
+      )}
+
       {/* Text editor overlay */}
       {editingTextId && (() => {
-        const shape = shapes.find(s => s.id === editingTextId);
-        if (!shape) return null;
+        const editedShape = shapes.find(s => s.id === editingTextId);
+        // Text inside an instance is edited where the instance draws it
+        const content = editingMemberId && editedShape ? componentContents[editedShape.componentId] : null;
+        const member = getInstanceMembers(editedShape, content).find(m => m.id === editingMemberId);
+        const shape = member ? placeInstanceMember(editedShape, content, member) : editedShape;
+        if (!shape || (editingMemberId && !member)) return null;
+        // A table cell is edited in a box over the cell (rotation is not taken into account)
+        const cell = editingCellKey && isTable(shape) ? parseCellKey(editingCellKey) : null;
+        const cellRect = cell && cell.row < shape.rowHeights.length && cell.column < shape.columnWidths.length
+          ? getCellRect(shape, cell.row, cell.column)
+          : null;
+        if (editingCellKey && !cellRect) return null;
+
+        if (cellRect) {
+          const textStyle = getTableTextStyle(shape);
+          return (
+            <TextEditor
+              value={editingText}
+              onChange={handleTextChange}
+              onBlur={handleFinishEdit}
+              x={shape.x + cellRect.x}
+              y={shape.y + cellRect.y}
+              fontSize={textStyle.fontSize}
+              scale={scale}
+              stagePosition={position}
+              note={{
+                width: cellRect.width,
+                minHeight: cellRect.height,
+                padding: TABLE_CELL_PADDING,
+                background: shape.fill,
+                color: shape.textColor,
+                fontFamily: textStyle.fontFamily,
+                lineHeight: textStyle.lineHeight,
+              }}
+            />
+          );
+        }
         
         return (
           <>
-            <TextFormatToolbar
+            {!editingMemberId && <TextFormatToolbar
               fontStyle={shape.fontStyle || 'normal'}
               textDecoration={shape.textDecoration || ''}
+              fontFamily={getTextShapeStyle(shape).fontFamily}
+              align={getTextShapeStyle(shape).align}
+              lineHeight={getTextShapeStyle(shape).lineHeight}
+              letterSpacing={getTextShapeStyle(shape).letterSpacing}
+              listStyle={shape.listStyle}
+              fixedWidth={Boolean(shape.fixedWidth)}
+              fill={shape.fill}
+              showLayoutOptions={shape.type === SHAPE_TYPES.TEXT}
               x={shape.x}
               y={shape.y}
               scale={scale}
               stagePosition={position}
-              onFormatChange={(updates) => {
-                // Update the shape with new formatting
-                firestoreActions.updateShape(editingTextId, updates);
-              }}
-            />
+              onFormatChange={handleTextFormatChange}
+              onFormatSelection={editingRuns ? handleFormatSelection : null}
+            />}
             <TextEditor
+              ref={textEditorRef}
               value={editingText}
+              runs={editingRuns}
               onChange={handleTextChange}
               onBlur={handleFinishEdit}
               x={shape.x}
@@ -820,6 +1812,16 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
               fontSize={shape.fontSize}
               scale={scale}
               stagePosition={position}
+              textStyle={shape.type === SHAPE_TYPES.TEXT ? getTextShapeStyle(shape) : null}
+              note={isStickyShape(shape) ? {
+                width: shape.width,
+                minHeight: shape.minHeight ?? shape.height,
+                padding: STICKY_PADDING,
+                background: shape.fill,
+                color: shape.textColor,
+                fontFamily: getStickyTextStyle(shape).fontFamily,
+                lineHeight: getStickyTextStyle(shape).lineHeight,
+              } : null}
             />
           </>
         );
@@ -827,11 +1829,28 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
       <ShortcutsModal isOpen={showShortcuts} onClose={() => setShowShortcuts(false)} />
       <ColorPicker
         isOpen={colorPickerState.isOpen}
-        onClose={() => setColorPickerState({ isOpen: false, shapeId: null, x: 0, y: 0 })}
+        onClose={() => setColorPickerState({ isOpen: false, shapeId: null, memberId: null, x: 0, y: 0 })}
         onSelectColor={handleSelectColor}
+        onSelectGradient={supportsGradient(colorPickerShape) ? handleSelectGradient : null}
+        gradient={colorPickerShape?.fillGradient || null}
+        currentColor={colorPickerShape?.fill}
         x={colorPickerState.x}
         y={colorPickerState.y}
+        presetColors={isStickyShape(shapes.find(s => s.id === colorPickerState.shapeId)) ? STICKY_COLORS : null}
+        presetLabel="Sticky colors"
       />
+      {linkDialogShapeId && shapes.some(s => s.id === linkDialogShapeId) && (
+        <LinkDialog
+          shape={shapes.find(s => s.id === linkDialogShapeId)}
+          shapes={shapes}
+          boardId={boardId}
+          onSave={(link) => {
+            handleSaveLink(linkDialogShapeId, link);
+            setLinkDialogShapeId(null);
+          }}
+          onClose={() => setLinkDialogShapeId(null)}
+        />
+      )}
       {contextMenu.visible && contextMenu.shapeId && (
         <ShapeContextMenu
           x={contextMenu.x}
@@ -853,17 +1872,67 @@ const Canvas = ({ showGrid = false, boardId = 'default', onCanvasClick, onOpenSh
             const command = new SendBackwardCommand(contextMenu.shapeId, sortedShapes, firestoreActions);
             commandActions.executeCommand(command);
           }}
+          onChangeColor={() => {
+            handleColorChange(contextMenu.shapeId, { x: contextMenu.x, y: contextMenu.y });
+          }}
+          link={shapes.find(s => s.id === contextMenu.shapeId)?.link || null}
+          onEditLink={() => setLinkDialogShapeId(contextMenu.shapeId)}
+          onOpenLink={() => handleFollowLink(shapes.find(s => s.id === contextMenu.shapeId)?.link)}
+          onRemoveLink={() => handleSaveLink(contextMenu.shapeId, null)}
+          onCopyShapeLink={() => handleCopyShapeLink(contextMenu.shapeId)}
+          instance={contextInstance}
+          component={contextComponent}
+          onCreateComponent={handleCreateComponent}
+          onCreateInstance={() => handleCreateInstance(contextComponent, contextInstance)}
+          onResetOverrides={() => {
+            const command = new UpdateShapeCommand(contextInstance.id, { overrides: contextInstance.overrides || {} }, { overrides: {} }, firestoreActions);
+            commandActions.executeCommand(command);
+          }}
+          table={contextTable}
+          onAddTableRow={() => handleChangeTable(contextTable, addTableRow)}
+          onAddTableColumn={() => handleChangeTable(contextTable, addTableColumn)}
+          onRemoveTableRow={() => handleChangeTable(contextTable, removeTableRow)}
+          onRemoveTableColumn={() => handleChangeTable(contextTable, removeTableColumn)}
+          frame={contextFrame}
+          onExportFrame={() => handleExportFrame(contextFrame)}
+          onToggleClipContent={() => {
+            const clipContent = contextFrame.clipContent !== false;
+            const command = new UpdateShapeCommand(contextFrame.id, { clipContent }, { clipContent: !clipContent }, firestoreActions);
+            commandActions.executeCommand(command);
+          }}
+          onToggleAutoLayout={() => toggleAutoLayout(contextFrame)}
         />
       )}
       
       {/* Alignment Toolbar */}
-      {alignmentToolbarPos && selectedIds.length >= 2 && !isExporting && (
+      {alignmentToolbarPos && selectedIds.length >= 2 && !isExporting && !readOnly && (
         <AlignmentToolbar
-          selectedShapes={shapes.filter(s => selectedIds.includes(s.id))}
+          selectedShapes={alignedShapes}
           onAlign={handleAlign}
           position={alignmentToolbarPos}
+          alignTarget={alignTarget}
+          onAlignTargetChange={setAlignTarget}
+          keyShape={getKeyShape(alignedShapes, selectedIds)}
+          viewport={viewportBounds}
+          spacing={layoutSpacing}
+          onSpacingChange={setLayoutSpacing}
+        />
+      )}
+
+      {/* Line style toolbar */}
+      {selectedLine && !isExporting && !readOnly && (
+        <LineStyleToolbar
+          shape={selectedLine}
+          position={lineStyleToolbarPos}
+          onStyleChange={handleLineStyleChange}
         />
       )}
+
+      {/* Appearance panel */}
+      {/* The inspector panel shows the same controls when it's open */}
+      {styleTargets.length > 0 && !isExporting && !readOnly && !inspectorOpen && (
+        <StylePanel shapes={styleTargets} onStyleChange={handleStyleChange} />
+      )}
     </div>
   );
 };
@@ -1,5 +1,12 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
+import {
+  GRADIENT_TYPES,
+  MIN_GRADIENT_STOPS,
+  MAX_GRADIENT_STOPS,
+  createDefaultGradient,
+  gradientToCSS,
+} from '../../utils/gradients';
 import './ColorPicker.css';
 
 const COLORS = [
@@ -9,8 +16,167 @@ const COLORS = [
   '#264653', '#2A9D8F', '#E9C46A', '#F4A261', '#E76F51',
 ];
 
-const ColorPicker = ({ isOpen, onClose, onSelectColor, x, y }) => {
+const ColorGrid = ({ onPick, label = 'Select color' }) => (
+  <div className="color-picker__grid">
+    {COLORS.map((color) => (
+      <button
+        key={color}
+        className="color-picker__swatch"
+        style={{ backgroundColor: color }}
+        onClick={() => onPick(color)}
+        title={color}
+        aria-label={`${label} ${color}`}
+      />
+    ))}
+  </div>
+);
+
+// Edits a copy of the gradient; nothing changes on the canvas until it's applied
+const GradientEditor = ({ gradient, currentColor, onApply }) => {
+  const [draft, setDraft] = useState(() => gradient || createDefaultGradient(currentColor));
+  const [activeIndex, setActiveIndex] = useState(0);
+  const activeStop = draft.stops[activeIndex];
+
+  const updateStop = (changes) => {
+    setDraft(prev => ({
+      ...prev,
+      stops: prev.stops.map((stop, i) => (i === activeIndex ? { ...stop, ...changes } : stop)),
+    }));
+  };
+
+  // New stops go halfway to the next stop (or the previous one after the last)
+  const addStop = () => {
+    const neighbour = draft.stops[activeIndex + 1] || draft.stops[activeIndex - 1];
+    const offset = Math.round(((activeStop.offset + neighbour.offset) / 2) * 100) / 100;
+    const stops = [...draft.stops];
+    stops.splice(activeIndex + 1, 0, { offset, color: activeStop.color });
+    setDraft({ ...draft, stops });
+    setActiveIndex(activeIndex + 1);
+  };
+
+  const removeStop = () => {
+    setDraft({ ...draft, stops: draft.stops.filter((_, i) => i !== activeIndex) });
+    setActiveIndex(Math.max(0, activeIndex - 1));
+  };
+
+  const setType = (type) => {
+    setDraft(type === GRADIENT_TYPES.LINEAR
+      ? { type, angle: draft.angle ?? 90, stops: draft.stops }
+      : { type, stops: draft.stops });
+  };
+
+  return (
+    <div className="color-picker__gradient">
+      <div className="color-picker__tabs" role="group" aria-label="Gradient type">
+        {[[GRADIENT_TYPES.LINEAR, 'Linear'], [GRADIENT_TYPES.RADIAL, 'Radial']].map(([type, label]) => (
+          <button
+            key={type}
+            type="button"
+            className={`color-picker__tab ${draft.type === type ? 'active' : ''}`}
+            aria-pressed={draft.type === type}
+            onClick={() => setType(type)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div
+        className="color-picker__gradient-preview"
+        style={{ background: gradientToCSS(draft) }}
+        aria-hidden="true"
+      />
+
+      {draft.type === GRADIENT_TYPES.LINEAR && (
+        <label className="color-picker__field">
+          <span className="color-picker__field-label">Angle</span>
+          <input
+            type="range"
+            min={0}
+            max={359}
+            value={draft.angle ?? 0}
+            onChange={(e) => setDraft({ ...draft, angle: Number(e.target.value) })}
+            aria-label="Gradient angle"
+          />
+          <span className="color-picker__field-value">{draft.angle ?? 0}°</span>
+        </label>
+      )}
+
+      <div className="color-picker__stops" role="group" aria-label="Color stops">
+        {draft.stops.map((stop, i) => (
+          <button
+            key={i}
+            type="button"
+            className={`color-picker__stop ${i === activeIndex ? 'active' : ''}`}
+            style={{ backgroundColor: stop.color }}
+            onClick={() => setActiveIndex(i)}
+            aria-pressed={i === activeIndex}
+            aria-label={`Stop ${i + 1} at ${Math.round(stop.offset * 100)}%`}
+          />
+        ))}
+        <button
+          type="button"
+          className="color-picker__stop-action"
+          onClick={addStop}
+          disabled={draft.stops.length >= MAX_GRADIENT_STOPS}
+          aria-label="Add stop"
+        >
+          +
+        </button>
+        <button
+          type="button"
+          className="color-picker__stop-action"
+          onClick={removeStop}
+          disabled={draft.stops.length <= MIN_GRADIENT_STOPS}
+          aria-label="Remove stop"
+        >
+          −
+        </button>
+      </div>
+
+      <label className="color-picker__field">
+        <span className="color-picker__field-label">Position</span>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={Math.round(activeStop.offset * 100)}
+          onChange={(e) => updateStop({ offset: Number(e.target.value) / 100 })}
+          aria-label="Stop position"
+        />
+        <span className="color-picker__field-value">{Math.round(activeStop.offset * 100)}%</span>
+      </label>
+
+      <ColorGrid onPick={(color) => updateStop({ color })} label="Set stop color" />
+
+      <button type="button" className="color-picker__apply" onClick={() => onApply(draft)}>
+        Apply gradient
+      </button>
+    </div>
+  );
+};
+
+const ColorPicker = ({
+  isOpen,
+  onClose,
+  onSelectColor,
+  x,
+  y,
+  presetColors = null,
+  presetLabel = 'Presets',
+  onSelectGradient = null,
+  gradient = null,
+  currentColor,
+}) => {
   const pickerRef = useRef(null);
+  const [mode, setMode] = useState('solid');
+  const [wasOpen, setWasOpen] = useState(false);
+
+  // Each time it opens, start on the kind of fill the shape has
+  if (isOpen !== wasOpen) {
+    setWasOpen(isOpen);
+    if (isOpen) setMode(gradient && onSelectGradient ? 'gradient' : 'solid');
+  }
 
   useEffect(() => {
     if (isOpen) {
@@ -43,6 +209,13 @@ const ColorPicker = ({ isOpen, onClose, onSelectColor, x, y }) => {
     onClose();
   };
 
+  const handleApplyGradient = (value) => {
+    onSelectGradient(value);
+    onClose();
+  };
+
+  const showGradient = Boolean(onSelectGradient) && mode === 'gradient';
+
   return createPortal(
     <div
       className="color-picker"
@@ -64,18 +237,43 @@ const ColorPicker = ({ isOpen, onClose, onSelectColor, x, y }) => {
           ×
         </button>
       </div>
-      <div className="color-picker__grid">
-        {COLORS.map((color) => (
-          <button
-            key={color}
-            className="color-picker__swatch"
-            style={{ backgroundColor: color }}
-            onClick={() => handleColorClick(color)}
-            title={color}
-            aria-label={`Select color ${color}`}
-          />
-        ))}
-      </div>
+      {onSelectGradient && (
+        <div className="color-picker__tabs" role="tablist" aria-label="Fill type">
+          {[['solid', 'Solid'], ['gradient', 'Gradient']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              role="tab"
+              className={`color-picker__tab ${mode === value ? 'active' : ''}`}
+              aria-selected={mode === value}
+              onClick={() => setMode(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {showGradient && (
+        <GradientEditor gradient={gradient} currentColor={currentColor} onApply={handleApplyGradient} />
+      )}
+      {!showGradient && presetColors?.length > 0 && (
+        <>
+          <div className="color-picker__section-label">{presetLabel}</div>
+          <div className="color-picker__grid color-picker__grid--presets">
+            {presetColors.map((color) => (
+              <button
+                key={color}
+                className="color-picker__swatch"
+                style={{ backgroundColor: color }}
+                onClick={() => handleColorClick(color)}
+                title={color}
+                aria-label={`Select ${presetLabel.toLowerCase()} ${color}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+      {!showGradient && <ColorGrid onPick={handleColorClick} />}
     </div>,
     document.body
   );
@@ -0,0 +1,35 @@
+/**
+ * ConnectorAnchors Component - Shows where a dragged line end will attach
+ * Draws the target shape's side anchors, highlighting the one it will bind to
+ */
+
+import { Group, Circle } from 'react-konva';
+import { ANCHORS, getSideAnchors } from '../../utils/connectors';
+
+const ConnectorAnchors = ({ shape, anchor, scale = 1 }) => {
+  if (!shape) return null;
+
+  // Keep dots the same on-screen size at any zoom
+  const radius = 5 / scale;
+
+  return (
+    <Group listening={false}>
+      {getSideAnchors(shape).map(point => {
+        const isActive = anchor === ANCHORS.AUTO || point.anchor === anchor;
+        return (
+          <Circle
+            key={point.anchor}
+            x={point.x}
+            y={point.y}
+            radius={isActive ? radius * 1.4 : radius}
+            fill={isActive ? '#3498db' : '#ffffff'}
+            stroke="#3498db"
+            strokeWidth={2 / scale}
+          />
+        );
+      })}
+    </Group>
+  );
+};
+
+export default ConnectorAnchors;
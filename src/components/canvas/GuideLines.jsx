@@ -0,0 +1,84 @@
+/**
+ * GuideLines - Ruler guides drawn across the visible canvas
+ * Unlocked guides drag along their axis, and are removed when dropped back on their ruler;
+ * double-click locks or unlocks a guide. Locked guides are dashed.
+ */
+
+import { Line } from 'react-konva';
+import { GUIDE_COLOR, GUIDE_ORIENTATIONS, isOverRuler } from '../../utils/guides';
+
+const HIT_WIDTH = 7; // Screen pixels
+
+/**
+ * @param {Array<Object>} guides - [{ id, orientation, position, locked }]
+ * @param {Object|null} preview - Guide being dragged out of a ruler { orientation, position }
+ * @param {Object} viewport - Visible canvas area { x, y, width, height }
+ * @param {number} scale - Canvas zoom
+ * @param {boolean} readOnly - Guides are shown but can't be changed
+ * @param {Function} onMove - Called with (guide, position) when a guide is dropped on the canvas
+ * @param {Function} onRemove - Called with (guide) when a guide is dropped on its ruler
+ * @param {Function} onToggleLock - Called with (guide) on double-click
+ */
+const GuideLines = ({ guides, preview = null, viewport, scale, readOnly = false, onMove, onRemove, onToggleLock }) => {
+  // Lines reach a view's length past each edge, so they still cover the canvas while it is panned
+  const getPoints = ({ orientation, position }) => (orientation === GUIDE_ORIENTATIONS.VERTICAL
+    ? [position, viewport.y - viewport.height, position, viewport.y + 2 * viewport.height]
+    : [viewport.x - viewport.width, position, viewport.x + 2 * viewport.width, position]);
+
+  const setCursor = (e, cursor) => {
+    const container = e.target.getStage()?.container();
+    if (container) container.style.cursor = cursor;
+  };
+
+  return (
+    <>
+      {guides.map((guide) => {
+        const vertical = guide.orientation === GUIDE_ORIENTATIONS.VERTICAL;
+        const editable = !readOnly && !guide.locked;
+
+        return (
+          <Line
+            key={guide.id}
+            points={getPoints(guide)}
+            stroke={GUIDE_COLOR}
+            strokeWidth={1 / scale}
+            hitStrokeWidth={HIT_WIDTH / scale}
+            dash={guide.locked ? [4 / scale, 4 / scale] : undefined}
+            draggable={editable}
+            // Guides only move across their own axis
+            dragBoundFunc={function keepOnAxis(pos) {
+              const current = this.absolutePosition();
+              return vertical ? { x: pos.x, y: current.y } : { x: current.x, y: pos.y };
+            }}
+            onMouseEnter={(e) => editable && setCursor(e, vertical ? 'col-resize' : 'row-resize')}
+            onMouseLeave={(e) => setCursor(e, '')}
+            onDblClick={() => !readOnly && onToggleLock(guide)}
+            onDragEnd={(e) => {
+              const node = e.target;
+              const offset = vertical ? node.x() : node.y();
+              node.position({ x: 0, y: 0 });
+              setCursor(e, '');
+
+              const pointer = node.getStage().getPointerPosition();
+              if (pointer && isOverRuler(guide.orientation, pointer)) {
+                onRemove(guide);
+              } else {
+                onMove(guide, guide.position + offset);
+              }
+            }}
+          />
+        );
+      })}
+      {preview && (
+        <Line
+          points={getPoints(preview)}
+          stroke={GUIDE_COLOR}
+          strokeWidth={1 / scale}
+          listening={false}
+        />
+      )}
+    </>
+  );
+};
+
+export default GuideLines;
@@ -0,0 +1,89 @@
+/**
+ * LineStyleToolbar - Floating toolbar for line and arrow styling
+ * Appears when a single line or arrow is selected
+ */
+
+import {
+  ARROWHEAD_STYLES,
+  ARROWHEAD_LABELS,
+  DASH_PATTERNS,
+  LINE_STROKE_WIDTHS,
+  getDashPatternName,
+} from '../../utils/lines';
+import './LineStyleToolbar.css';
+
+const DASH_LABELS = {
+  solid: 'Solid',
+  dashed: 'Dashed',
+  dotted: 'Dotted',
+};
+
+const LineStyleToolbar = ({ shape, position, onStyleChange }) => {
+  if (!shape) return null;
+
+  const strokeWidth = shape.strokeWidth || 2;
+  const widthOptions = LINE_STROKE_WIDTHS.includes(strokeWidth)
+    ? LINE_STROKE_WIDTHS
+    : [...LINE_STROKE_WIDTHS, strokeWidth].sort((a, b) => a - b);
+
+  const renderArrowheadSelect = (key, label) => (
+    <label className="line-style-toolbar__field">
+      <span className="line-style-toolbar__label">{label}</span>
+      <select
+        className="line-style-toolbar__select"
+        value={shape[key] || ARROWHEAD_STYLES.NONE}
+        onChange={(e) => onStyleChange({ [key]: e.target.value })}
+        aria-label={`${label} arrowhead`}
+      >
+        {Object.values(ARROWHEAD_STYLES).map(style => (
+          <option key={style} value={style}>{ARROWHEAD_LABELS[style]}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div
+      className="line-style-toolbar"
+      style={{
+        left: position?.x || 0,
+        top: position?.y || 0,
+      }}
+    >
+      {renderArrowheadSelect('startArrowhead', 'Start')}
+      {renderArrowheadSelect('endArrowhead', 'End')}
+
+      <div className="line-style-toolbar__divider" />
+
+      <label className="line-style-toolbar__field">
+        <span className="line-style-toolbar__label">Dash</span>
+        <select
+          className="line-style-toolbar__select"
+          value={getDashPatternName(shape.dash)}
+          onChange={(e) => onStyleChange({ dash: DASH_PATTERNS[e.target.value] })}
+          aria-label="Dash style"
+        >
+          {Object.keys(DASH_PATTERNS).map(name => (
+            <option key={name} value={name}>{DASH_LABELS[name]}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="line-style-toolbar__field">
+        <span className="line-style-toolbar__label">Width</span>
+        <select
+          className="line-style-toolbar__select"
+          value={strokeWidth}
+          onChange={(e) => onStyleChange({ strokeWidth: Number(e.target.value) })}
+          aria-label="Stroke width"
+        >
+          {widthOptions.map(width => (
+            <option key={width} value={width}>{width}px</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default LineStyleToolbar;
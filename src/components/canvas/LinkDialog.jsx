@@ -0,0 +1,118 @@
+/**
+ * LinkDialog - Attach a link to a shape
+ * Links go to a web address, another board (pasted board URL), or a shape picked on this board
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { LINK_TYPES, getLinkType, getLinkInputValue, parseLinkInput } from '../../utils/links';
+import { getShapeName } from '../../utils/shapeNames';
+import './LinkDialog.css';
+
+const LinkDialog = ({ shape, shapes, boardId, onSave, onClose }) => {
+  const dialogRef = useRef(null);
+  const link = shape.link || null;
+  const [address, setAddress] = useState(() => getLinkInputValue(link, window.location.origin));
+  const [targetShapeId, setTargetShapeId] = useState(() => (
+    getLinkType(link) === LINK_TYPES.SHAPE ? link.shapeId : ''
+  ));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    dialogRef.current?.querySelector('input')?.focus();
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  // Other shapes on the board, top layer first like the layers panel
+  const targets = shapes
+    .filter(candidate => candidate.id !== shape.id)
+    .sort((a, b) => (b.zIndex ?? 0) - (a.zIndex ?? 0));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (targetShapeId) {
+      onSave({ shapeId: targetShapeId });
+      return;
+    }
+    const parsed = parseLinkInput(address, { origin: window.location.origin, boardId });
+    if (!parsed) {
+      setError('Enter a web address (like example.com) or a link to a board');
+      return;
+    }
+    onSave(parsed);
+  };
+
+  return createPortal(
+    <div className="link-dialog-overlay" onClick={onClose}>
+      <form
+        className="link-dialog"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => e.stopPropagation()} // Keep typing out of canvas shortcuts
+        onSubmit={handleSubmit}
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="link-dialog-title"
+      >
+        <h2 id="link-dialog-title" className="link-dialog__title">{link ? 'Edit link' : 'Add link'}</h2>
+
+        <label className="link-dialog__label" htmlFor="link-dialog-address">Web address or board link</label>
+        <input
+          id="link-dialog-address"
+          className="link-dialog__input"
+          placeholder="https://example.com"
+          value={address}
+          onChange={(e) => {
+            setAddress(e.target.value);
+            setTargetShapeId('');
+            setError(null);
+          }}
+        />
+
+        <label className="link-dialog__label" htmlFor="link-dialog-shape">Or a shape on this board</label>
+        <select
+          id="link-dialog-shape"
+          className="link-dialog__input"
+          value={targetShapeId}
+          onChange={(e) => {
+            setTargetShapeId(e.target.value);
+            if (e.target.value) setAddress('');
+            setError(null);
+          }}
+        >
+          <option value="">None</option>
+          {targets.map(target => (
+            <option key={target.id} value={target.id}>{getShapeName(target)}</option>
+          ))}
+        </select>
+
+        {error && <p className="link-dialog__error" role="alert">{error}</p>}
+        <p className="link-dialog__hint">Ctrl/Cmd + click the shape to follow its link.</p>
+
+        <div className="link-dialog__actions">
+          {link && (
+            <button type="button" className="link-dialog__secondary link-dialog__remove" onClick={() => onSave(null)}>
+              Remove link
+            </button>
+          )}
+          <button type="button" className="link-dialog__secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="link-dialog__primary" disabled={!address.trim() && !targetShapeId}>
+            Save
+          </button>
+        </div>
+      </form>
+    </div>,
+    document.body
+  );
+};
+
+export default LinkDialog;
@@ -0,0 +1,131 @@
+/**
+ * Rulers - Canvas coordinates along the top and left edges of the canvas, following pan and zoom
+ * Dragging out of a ruler places a guide: the top ruler makes horizontal guides, the left one vertical guides.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { GUIDE_ORIENTATIONS, RULER_SIZE, getRulerTicks } from '../../utils/guides';
+import './Rulers.css';
+
+const MINOR_TICK_LENGTH = 5;
+const LABEL_FONT_SIZE = 9;
+
+// One ruler: horizontal along the top, vertical down the left
+const Ruler = ({ vertical, length, offset, scale, onMouseDown }) => {
+  const ticks = getRulerTicks(offset, length, scale);
+
+  return (
+    <svg
+      className={`ruler ${vertical ? 'ruler--vertical' : 'ruler--horizontal'}`}
+      width={vertical ? RULER_SIZE : length}
+      height={vertical ? length : RULER_SIZE}
+      onMouseDown={onMouseDown}
+      aria-hidden="true"
+    >
+      {ticks.map(({ screen, value, major }) => {
+        const tickLength = major ? RULER_SIZE : MINOR_TICK_LENGTH;
+        return (
+          <g key={value}>
+            {vertical ? (
+              <line x1={RULER_SIZE - tickLength} y1={screen} x2={RULER_SIZE} y2={screen} />
+            ) : (
+              <line x1={screen} y1={RULER_SIZE - tickLength} x2={screen} y2={RULER_SIZE} />
+            )}
+            {major && (
+              <text
+                x={vertical ? LABEL_FONT_SIZE : screen + 3}
+                y={vertical ? screen - 3 : LABEL_FONT_SIZE + 1}
+                fontSize={LABEL_FONT_SIZE}
+                transform={vertical ? `rotate(-90 ${LABEL_FONT_SIZE} ${screen - 3})` : undefined}
+              >
+                {value}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * @param {Object} stageRef - Konva stage, followed while it is dragged to pan
+ * @param {number} scale - Canvas zoom
+ * @param {Object} position - Stage position { x, y }
+ * @param {Object} stageSize - { width, height }
+ * @param {boolean} readOnly - Rulers only show coordinates; no guides are dragged out
+ * @param {Function} onGuideDrag - Called with (orientation, screenPoint) while a new guide is dragged
+ * @param {Function} onGuideDrop - Called with (orientation, screenPoint) when it is released
+ */
+const Rulers = ({ stageRef, scale, position, stageSize, readOnly = false, onGuideDrag, onGuideDrop }) => {
+  const rootRef = useRef(null);
+  const [dragOrientation, setDragOrientation] = useState(null);
+  const [panPosition, setPanPosition] = useState(null); // Stage position during a pan drag
+  const callbacksRef = useRef({ onGuideDrag, onGuideDrop });
+  callbacksRef.current = { onGuideDrag, onGuideDrop };
+
+  // The view position is only stored when a pan ends, so follow the stage until then
+  useEffect(() => {
+    const stage = stageRef?.current;
+    if (!stage) return undefined;
+
+    stage.on('dragmove.rulers', (e) => {
+      if (e.target === stage) setPanPosition(stage.position());
+    });
+    stage.on('dragend.rulers', () => setPanPosition(null));
+    return () => stage.off('.rulers');
+  }, [stageRef]);
+
+  const offset = panPosition || position;
+
+  useEffect(() => {
+    if (!dragOrientation) return undefined;
+
+    // Points relative to the canvas, which the rulers cover
+    const toScreenPoint = (e) => {
+      const rect = rootRef.current.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    const handleMouseMove = (e) => {
+      callbacksRef.current.onGuideDrag?.(dragOrientation, toScreenPoint(e));
+    };
+    const handleMouseUp = (e) => {
+      setDragOrientation(null);
+      callbacksRef.current.onGuideDrop?.(dragOrientation, toScreenPoint(e));
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [dragOrientation]);
+
+  const startGuide = (orientation) => (e) => {
+    if (readOnly || e.button !== 0) return;
+    e.preventDefault();
+    setDragOrientation(orientation);
+  };
+
+  return (
+    <div ref={rootRef} className={`rulers ${readOnly ? 'rulers--read-only' : ''}`} data-testid="rulers">
+      <Ruler
+        length={stageSize.width}
+        offset={offset.x}
+        scale={scale}
+        onMouseDown={startGuide(GUIDE_ORIENTATIONS.HORIZONTAL)}
+      />
+      <Ruler
+        vertical
+        length={stageSize.height}
+        offset={offset.y}
+        scale={scale}
+        onMouseDown={startGuide(GUIDE_ORIENTATIONS.VERTICAL)}
+      />
+      <div className="rulers__corner" />
+    </div>
+  );
+};
+
+export default Rulers;
@@ -1,20 +1,55 @@
 /**
- * Shape Component - Renders different shape types (rect, circle, text)
- * Handles selection, dragging, and transformation
+ * Shape Component - Renders different shape types (rect, circle, ellipse, polygon, star, text, triangle, line, arrow, path, image, sticky, component instance, table)
+ * Handles selection, dragging, and transformation; lines and arrows edit via endpoint handles,
+ * table columns and rows via border handles
  */
 
 import React, { useRef, useEffect, useCallback, useState, forwardRef } from 'react';
-import { Rect, Circle, Text, Line, Group } from 'react-konva';
-import { SHAPE_TYPES } from '../../utils/shapes';
+import { Rect, Circle, Ellipse, RegularPolygon, Star, Text, Line, Group, Image as KonvaImage } from 'react-konva';
+import { SHAPE_TYPES, DEFAULT_POLYGON_SIDES, MIN_POLYGON_SIDES, DEFAULT_STAR_POINTS } from '../../utils/shapes';
+import {
+  LINE_ENDS,
+  getEndpoint,
+  getEndpointAngle,
+  setEndpoint,
+  getTrimmedLinePoints,
+} from '../../utils/lines';
+import { PATH_TENSION } from '../../utils/paths';
+import { STICKY_PADDING, STICKY_CORNER_RADIUS, getStickyTextStyle } from '../../utils/sticky';
+import { getTextShapeStyle, formatListText } from '../../utils/textStyle';
+import { getTextRuns, hasRunFormatting, layoutTextRuns } from '../../utils/textRuns';
+import { getShapeOpacity, getShadowProps, getStrokeStyleProps } from '../../utils/shapeStyle';
+import { getGradientFillProps } from '../../utils/gradients';
+import { measureTextWidth } from '../../utils/textMeasure';
+import { getTransformedAttrs, getTransformStartState } from '../../utils/shapeTransform';
+import { getInstanceMembers, getInstanceScale, getInstanceMemberNodeId } from '../../utils/components';
+import {
+  TABLE_CELL_PADDING,
+  getCellAt,
+  getCellKey,
+  getCellText,
+  getTableTextStyle,
+  getTrackOffsets,
+  resizeTableColumn,
+  resizeTableRow,
+} from '../../utils/tables';
 import { throttle } from '../../utils/throttle';
 import { getUserColor } from '../../utils/getUserColor';
 import { setEditBuffer, removeEditBuffer } from '../../offline/editBuffers';
+import { useImageElement } from '../../hooks/useImageElement';
+import Arrowhead from './Arrowhead';
 
 const DRAG_THROTTLE_MS = 100;
 const TRANSFORM_THROTTLE_MS = 100;
 const BUFFER_THROTTLE_MS = 250; // Throttle buffer writes
+const ENDPOINT_HANDLE_RADIUS = 6;
+const MIN_LINE_HIT_WIDTH = 16; // Thin lines are hard to click otherwise
+const TABLE_HANDLE_SIZE = 8; // Grab area across a table's column and row borders
+const IMAGE_PLACEHOLDER_FILL = '#eceff1'; // Shown while an image loads or if it fails, and for instances of a deleted component
+const IMAGE_PLACEHOLDER_STROKE = '#b0bec5';
+const noop = () => {};
 
-const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, showEditFlash, flashEditorUserId, onlineUsers = [], onSelect, onChange, onDragStart, onDragMove, onDragEnd, onTransformStart, onTransformMove, onTransformEnd, onStartEdit, onColorChange, onToggleSelect, onContextMenu, onHoverChange }, ref) => {
+const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, showEditFlash, flashEditorUserId, onlineUsers = [], onSelect, onChange, onDragStart, onDragMove, onDragEnd, onSnapDrag, onTransformStart, onTransformMove, onTransformEnd, onLiveChange, onEndpointDragMove, onEnterGroup, onStartEdit, onEditCell, onColorChange, onFollowLink, onToggleSelect, onContextMenu, onHoverChange, readOnly = false, component = null }, ref) => {
   const shapeRef = ref || useRef();
   const dragStartStateRef = useRef(null);
   const transformStartStateRef = useRef(null);
@@ -22,6 +57,9 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
   const throttledTransformRef = useRef(null);
   const throttledBufferRef = useRef(null);
   const [showTooltip, setShowTooltip] = useState(false);
+  const [endpointDragPoints, setEndpointDragPoints] = useState(null); // Live points while an endpoint handle is dragged
+  const [tableResize, setTableResize] = useState(null); // Live track sizes while a table border is dragged
+  const { image, status: imageStatus } = useImageElement(shape.type === SHAPE_TYPES.IMAGE ? shape : null);
   
   // Notify parent when hover state changes
   useEffect(() => {
@@ -31,6 +69,11 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
   }, [showTooltip, shape.id, onHoverChange]);
 
   const handleClick = (e) => {
+    // Ctrl/Cmd + click follows a link instead of changing the selection
+    if (shape.link && e.evt && (e.evt.ctrlKey || e.evt.metaKey) && onFollowLink) {
+      onFollowLink(shape.link);
+      return;
+    }
     // Check if shift key is pressed for multi-select
     if (e.evt && (e.evt.shiftKey || e.evt.metaKey)) {
       if (onToggleSelect) {
@@ -109,7 +152,12 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     if (throttledDragRef.current) {
       throttledDragRef.current(x, y);
     }
-  }, [shape]);
+
+    // Unthrottled so bound connectors and frame contents follow the pointer
+    if (onLiveChange) {
+      onLiveChange({ x, y }, { isMove: true });
+    }
+  }, [shape, onLiveChange]);
 
   const handleDragEnd = useCallback((e) => {
     const x = e.target.x();
@@ -125,6 +173,10 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     });
     
     dragStartStateRef.current = null;
+
+    if (onLiveChange) {
+      onLiveChange(null);
+    }
     
     // Clean up drag broadcast
     if (onDragEnd) {
@@ -135,29 +187,15 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     removeEditBuffer(shape.id).catch(() => {
       // ignore errors
     });
-  }, [shape.id, onChange, onDragEnd]);
+  }, [shape.id, onChange, onDragEnd, onLiveChange]);
 
   const handleTransformStart = useCallback(() => {
     // Capture state before transform for undo
     const node = shapeRef.current;
     if (!node) return;
 
-    transformStartStateRef.current = {
-      x: shape.x,
-      y: shape.y,
-      rotation: shape.rotation || 0,
-    };
+    transformStartStateRef.current = getTransformStartState(shape);
 
-    // Capture dimension-specific properties
-    if (shape.type === SHAPE_TYPES.RECT || shape.type === SHAPE_TYPES.TRIANGLE) {
-      transformStartStateRef.current.width = shape.width;
-      transformStartStateRef.current.height = shape.height;
-    } else if (shape.type === SHAPE_TYPES.CIRCLE) {
-      transformStartStateRef.current.radius = shape.radius;
-    } else if (shape.type === SHAPE_TYPES.TEXT) {
-      transformStartStateRef.current.fontSize = shape.fontSize;
-    }
-    
     // Notify parent that transform started
     if (onTransformStart) {
       onTransformStart();
@@ -188,38 +226,21 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     if (throttledTransformRef.current) {
       throttledTransformRef.current(transformData);
     }
-  }, [shape]);
+
+    if (onLiveChange) {
+      onLiveChange(getTransformedAttrs(node, shape));
+    }
+  }, [shape, onLiveChange]);
 
   const handleTransformEnd = useCallback(() => {
     const node = shapeRef.current;
     if (!node) return;
 
-    const scaleX = node.scaleX();
-    const scaleY = node.scaleY();
-
-    // Reset scale and apply it to dimensions
+    // Apply scale to dimensions based on shape type, then reset it
+    const updates = getTransformedAttrs(node, shape);
     node.scaleX(1);
     node.scaleY(1);
 
-    const updates = {
-      x: node.x(),
-      y: node.y(),
-      rotation: node.rotation(),
-    };
-
-    // Update dimensions based on shape type
-    if (shape.type === SHAPE_TYPES.RECT) {
-      updates.width = Math.max(5, node.width() * scaleX);
-      updates.height = Math.max(5, node.height() * scaleY);
-    } else if (shape.type === SHAPE_TYPES.CIRCLE) {
-      updates.radius = Math.max(5, node.radius() * Math.max(scaleX, scaleY));
-    } else if (shape.type === SHAPE_TYPES.TEXT) {
-      updates.fontSize = Math.max(5, node.fontSize() * scaleX);
-    } else if (shape.type === SHAPE_TYPES.TRIANGLE) {
-      updates.width = Math.max(5, node.width() * scaleX);
-      updates.height = Math.max(5, node.height() * scaleY);
-    }
-
     // Pass both old and new state for undo/redo
     onChange(updates, {
       oldState: transformStartStateRef.current,
@@ -227,6 +248,10 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     });
     
     transformStartStateRef.current = null;
+
+    if (onLiveChange) {
+      onLiveChange(null);
+    }
     
     // Clean up transform broadcast
     if (onTransformEnd) {
@@ -237,11 +262,134 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     removeEditBuffer(shape.id).catch(() => {
       // ignore errors
     });
-  }, [shape.id, shape.type, onChange, onTransformEnd]);
+  }, [shape, onChange, onTransformEnd, onLiveChange]);
+
+  // Endpoint handles (lines and arrows): drag one end, commit points on release
+  const handleEndpointDragStart = useCallback((e) => {
+    e.cancelBubble = true; // Don't start a drag of the whole line
+    transformStartStateRef.current = { points: shape.points };
+    if (onTransformStart) {
+      onTransformStart();
+    }
+  }, [shape.points, onTransformStart]);
+
+  const handleEndpointDragMove = useCallback((e, end) => {
+    e.cancelBubble = true;
+    const points = setEndpoint(shape.points, end, e.target.x(), e.target.y());
+    setEndpointDragPoints(points);
+
+    if (throttledBufferRef.current) {
+      throttledBufferRef.current({
+        ...shape,
+        points,
+      });
+    }
+
+    // Lets the canvas preview which shape the end would bind to
+    if (onEndpointDragMove) {
+      onEndpointDragMove(end, points);
+    }
+  }, [shape, onEndpointDragMove]);
+
+  const handleEndpointDragEnd = useCallback((e, end) => {
+    e.cancelBubble = true;
+    const points = setEndpoint(shape.points, end, e.target.x(), e.target.y());
+    setEndpointDragPoints(null);
+
+    onChange({ points }, {
+      oldState: transformStartStateRef.current,
+      isTransform: true,
+      endpoint: end,
+    });
+
+    transformStartStateRef.current = null;
+
+    if (onTransformEnd) {
+      onTransformEnd();
+    }
+
+    removeEditBuffer(shape.id).catch(() => {
+      // ignore errors
+    });
+  }, [shape.id, shape.points, onChange, onTransformEnd]);
+
+  // Table border handles: drag a column's right edge or a row's bottom edge, commit on release
+  const getTableResize = (e, axis, index) => {
+    const offsets = getTrackOffsets(axis === 'column' ? shape.columnWidths : shape.rowHeights);
+    const edge = (axis === 'column' ? e.target.x() : e.target.y()) + TABLE_HANDLE_SIZE / 2;
+    return axis === 'column'
+      ? resizeTableColumn(shape, index, edge - offsets[index])
+      : resizeTableRow(shape, index, edge - offsets[index]);
+  };
+
+  // Keep the handle on its border (clamped to the minimum size, and off the other axis)
+  const placeTableHandle = (e, axis, index, updates) => {
+    const sizes = axis === 'column' ? updates.columnWidths : updates.rowHeights;
+    const edge = getTrackOffsets(sizes)[index + 1] - TABLE_HANDLE_SIZE / 2;
+    e.target.position(axis === 'column' ? { x: edge, y: 0 } : { x: 0, y: edge });
+  };
+
+  const handleTableResizeStart = (e, axis) => {
+    e.cancelBubble = true; // Don't start a drag of the whole table
+    transformStartStateRef.current = axis === 'column'
+      ? { columnWidths: shape.columnWidths, width: shape.width }
+      : { rowHeights: shape.rowHeights, height: shape.height };
+    if (onTransformStart) {
+      onTransformStart();
+    }
+  };
+
+  const handleTableResizeMove = (e, axis, index) => {
+    e.cancelBubble = true;
+    const updates = getTableResize(e, axis, index);
+    placeTableHandle(e, axis, index, updates);
+    setTableResize(updates);
+
+    // Bound connectors follow the table's new size
+    if (onLiveChange) {
+      onLiveChange(updates);
+    }
+  };
+
+  const handleTableResizeEnd = (e, axis, index) => {
+    e.cancelBubble = true;
+    const updates = getTableResize(e, axis, index);
+    placeTableHandle(e, axis, index, updates);
+    setTableResize(null);
+
+    onChange(updates, {
+      oldState: transformStartStateRef.current,
+      isTransform: true,
+      tableHandle: axis,
+    });
+
+    transformStartStateRef.current = null;
+
+    if (onLiveChange) {
+      onLiveChange(null);
+    }
+    if (onTransformEnd) {
+      onTransformEnd();
+    }
+  };
+
+  // Double-click on a table edits the cell under the pointer
+  const handleTableDoubleClick = () => {
+    if (readOnly) return;
+    if (onEnterGroup?.(shape.id)) return;
+    const point = shapeRef.current?.getRelativePointerPosition();
+    const cell = point && getCellAt(shape, point.x, point.y);
+    if (cell && onEditCell) {
+      onEditCell(shape.id, getCellKey(cell.row, cell.column));
+    }
+  };
 
   const handleDoubleClick = (e) => {
-    if (shape.type === SHAPE_TYPES.TEXT && onStartEdit) {
-      // Text shapes: open text editor
+    if (readOnly) return;
+    // A shape in a group enters the group first
+    if (onEnterGroup?.(shape.id)) return;
+    if ((shape.type === SHAPE_TYPES.TEXT || shape.type === SHAPE_TYPES.STICKY) && onStartEdit) {
+      // Text shapes and sticky notes: open text editor
       onStartEdit(shape.id);
     } else if (onColorChange) {
       // Other shapes: open color picker
@@ -251,6 +399,21 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
     }
   };
 
+  const handleEnterGroup = () => {
+    if (!readOnly) onEnterGroup?.(shape.id);
+  };
+
+  // Double-click on a member drawn inside an instance overrides its text or fill
+  const handleEditInstanceMember = (memberId) => {
+    if (readOnly || onEnterGroup?.(shape.id)) return;
+    onStartEdit?.(shape.id, memberId);
+  };
+
+  const handleRecolorInstanceMember = (memberId, position) => {
+    if (readOnly || onEnterGroup?.(shape.id)) return;
+    onColorChange?.(shape.id, position, memberId);
+  };
+
   // Get editor color for conflict indicator and edit flash
   const editorColor = isBeingEdited ? getUserColor(editorUserId, onlineUsers) : null;
   const flashColor = showEditFlash ? getUserColor(flashEditorUserId, onlineUsers) : null;
@@ -262,10 +425,14 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
       id: shape.id, // Important: Set ID so Transformer can identify nodes
       onClick: handleClick,
       onTap: handleClick,
-      draggable: shape.draggable !== false && !isBeingEdited, // Disable drag if being edited by someone else
+      draggable: shape.draggable !== false && !isBeingEdited && !readOnly, // Disable drag if being edited by someone else or view-only
+      onDblClick: handleEnterGroup, // Shapes with their own double-click action replace this
+      onDblTap: handleEnterGroup,
       onDragStart: handleDragStart,
       onDragMove: handleDragMove,
       onDragEnd: handleDragEnd,
+      // Konva calls drag bounds with the dragged node as `this`
+      dragBoundFunc: onSnapDrag ? function snapDrag(pos) { return onSnapDrag(shape.id, this, pos); } : undefined,
       onTransformStart: handleTransformStart,
       onTransform: handleTransform,
       onTransformEnd: handleTransformEnd,
@@ -289,7 +456,14 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
       shadowOpacity: 0.8,
     } : {};
 
+    // The shape's own appearance; conflict and flash styling are drawn over it
+    const opacity = (conflictStyle.opacity || 1) * getShapeOpacity(shape);
+    const shadowProps = getShadowProps(shape);
+    const strokeStyle = getStrokeStyleProps(shape);
+    const fillProps = getGradientFillProps(shape);
+
     switch (shape.type) {
+      case SHAPE_TYPES.FRAME: // Its name label and contents are drawn by the canvas
       case SHAPE_TYPES.RECT:
         return (
           <Rect
@@ -300,11 +474,104 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
             y={shape.y}
             width={shape.width}
             height={shape.height}
+            cornerRadius={shape.cornerRadius || 0}
+            fill={shape.fill}
+            {...fillProps}
+            stroke={conflictStyle.stroke || shape.stroke}
+            strokeWidth={conflictStyle.strokeWidth || shape.strokeWidth}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            opacity={opacity}
+            rotation={shape.rotation || 0}
+          />
+        );
+
+      case SHAPE_TYPES.IMAGE: {
+        // Placeholder box until the picture loads (or if it can't be loaded)
+        const placeholder = imageStatus !== 'loaded';
+        return (
+          <KonvaImage
+            {...commonProps}
+            x={shape.x}
+            y={shape.y}
+            width={shape.width}
+            height={shape.height}
+            image={image || undefined}
+            fill={placeholder ? IMAGE_PLACEHOLDER_FILL : undefined}
+            stroke={conflictStyle.stroke || (placeholder ? IMAGE_PLACEHOLDER_STROKE : undefined)}
+            strokeWidth={conflictStyle.strokeWidth || (placeholder ? 1 : 0)}
+            dash={conflictStyle.dash || (placeholder ? [6, 4] : undefined)}
+            opacity={opacity}
+            {...shadowProps}
+            rotation={shape.rotation || 0}
+          />
+        );
+      }
+
+      case SHAPE_TYPES.ELLIPSE:
+        return (
+          <Ellipse
+            {...commonProps}
+            onDblClick={handleDoubleClick}
+            onDblTap={handleDoubleClick}
+            x={shape.x}
+            y={shape.y}
+            radiusX={shape.radiusX}
+            radiusY={shape.radiusY}
+            fill={shape.fill}
+            {...fillProps}
+            stroke={conflictStyle.stroke || shape.stroke}
+            strokeWidth={conflictStyle.strokeWidth || shape.strokeWidth}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            opacity={opacity}
+            rotation={shape.rotation || 0}
+          />
+        );
+
+      case SHAPE_TYPES.POLYGON:
+        return (
+          <RegularPolygon
+            {...commonProps}
+            onDblClick={handleDoubleClick}
+            onDblTap={handleDoubleClick}
+            x={shape.x}
+            y={shape.y}
+            sides={Math.max(MIN_POLYGON_SIDES, shape.sides || DEFAULT_POLYGON_SIDES)}
+            radius={shape.radius}
             fill={shape.fill}
+            {...fillProps}
             stroke={conflictStyle.stroke || shape.stroke}
             strokeWidth={conflictStyle.strokeWidth || shape.strokeWidth}
-            dash={conflictStyle.dash}
-            opacity={conflictStyle.opacity || 1}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            opacity={opacity}
+            rotation={shape.rotation || 0}
+          />
+        );
+
+      case SHAPE_TYPES.STAR:
+        return (
+          <Star
+            {...commonProps}
+            onDblClick={handleDoubleClick}
+            onDblTap={handleDoubleClick}
+            x={shape.x}
+            y={shape.y}
+            numPoints={shape.numPoints || DEFAULT_STAR_POINTS}
+            innerRadius={shape.innerRadius}
+            outerRadius={shape.outerRadius}
+            fill={shape.fill}
+            {...fillProps}
+            stroke={conflictStyle.stroke || shape.stroke}
+            strokeWidth={conflictStyle.strokeWidth || shape.strokeWidth}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            opacity={opacity}
             rotation={shape.rotation || 0}
           />
         );
@@ -319,32 +586,137 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
             y={shape.y}
             radius={shape.radius}
             fill={shape.fill}
+            {...fillProps}
             stroke={conflictStyle.stroke || shape.stroke}
             strokeWidth={conflictStyle.strokeWidth || shape.strokeWidth}
-            dash={conflictStyle.dash}
-            opacity={conflictStyle.opacity || 1}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            opacity={opacity}
           />
         );
 
-      case SHAPE_TYPES.TEXT:
+      case SHAPE_TYPES.TEXT: {
+        const textStyle = getTextShapeStyle(shape);
+        const runs = getTextRuns(shape);
+        if (hasRunFormatting(runs)) {
+          // Konva.Text has one format, so each formatted piece of a line is a Text of its own
+          const layout = layoutTextRuns(runs, {
+            ...textStyle,
+            fontSize: shape.fontSize,
+            fill: shape.fill,
+            listStyle: shape.listStyle,
+          }, (text, fontStyle) => measureTextWidth({
+            text,
+            fontStyle,
+            fontSize: shape.fontSize,
+            fontFamily: textStyle.fontFamily,
+            letterSpacing: textStyle.letterSpacing,
+          }));
+          return (
+            <Group
+              {...commonProps}
+              onDblClick={handleDoubleClick}
+              onDblTap={handleDoubleClick}
+              x={shape.x}
+              y={shape.y}
+              width={layout.width}
+              height={layout.height}
+              opacity={opacity}
+            >
+              {/* Makes the gaps between words clickable */}
+              <Rect
+                width={layout.width}
+                height={layout.height}
+                fill="transparent"
+                stroke={conflictStyle.stroke}
+                strokeWidth={conflictStyle.strokeWidth ? 1 : 0}
+              />
+              {layout.lines.flatMap((line, i) => line.fragments.map((fragment, j) => (
+                <Text
+                  key={`${i}-${j}`}
+                  x={fragment.x}
+                  y={line.y}
+                  text={fragment.text}
+                  fontSize={shape.fontSize}
+                  fontFamily={textStyle.fontFamily}
+                  fontStyle={fragment.fontStyle}
+                  textDecoration={fragment.textDecoration}
+                  fill={fragment.fill}
+                  lineHeight={textStyle.lineHeight}
+                  letterSpacing={textStyle.letterSpacing}
+                  {...shadowProps}
+                  listening={false}
+                />
+              )))}
+            </Group>
+          );
+        }
         return (
           <Text
             {...commonProps}
+            {...textStyle}
             onDblClick={handleDoubleClick}
             onDblTap={handleDoubleClick}
             x={shape.x}
             y={shape.y}
-            text={shape.text}
+            text={formatListText(shape.text, shape.listStyle)}
             fontSize={shape.fontSize}
-            fontStyle={shape.fontStyle || 'normal'}
-            textDecoration={shape.textDecoration || ''}
             fill={shape.fill}
-            fontFamily="Arial"
             stroke={conflictStyle.stroke}
             strokeWidth={conflictStyle.strokeWidth ? 1 : 0}
-            opacity={conflictStyle.opacity || 1}
+            opacity={opacity}
+            {...shadowProps}
           />
         );
+      }
+
+      case SHAPE_TYPES.STICKY: {
+        const textStyle = getStickyTextStyle(shape);
+        return (
+          <Group
+            {...commonProps}
+            onDblClick={handleDoubleClick}
+            onDblTap={handleDoubleClick}
+            x={shape.x}
+            y={shape.y}
+            width={shape.width}
+            height={shape.height}
+            rotation={shape.rotation || 0}
+            opacity={opacity}
+          >
+            <Rect
+              width={shape.width}
+              height={shape.height}
+              cornerRadius={STICKY_CORNER_RADIUS}
+              fill={shape.fill}
+              {...fillProps}
+              stroke={conflictStyle.stroke}
+              strokeWidth={conflictStyle.strokeWidth || 0}
+              dash={conflictStyle.dash}
+              shadowColor={conflictStyle.shadowColor || 'rgba(0, 0, 0, 0.25)'}
+              shadowBlur={conflictStyle.shadowBlur || 6}
+              shadowOffsetY={conflictStyle.shadowColor ? 0 : 2}
+              shadowOpacity={conflictStyle.shadowOpacity || 1}
+              {...(!conflictStyle.shadowColor && shadowProps)} // A shadow of its own replaces the note's lift
+            />
+            <Text
+              x={STICKY_PADDING}
+              y={STICKY_PADDING}
+              width={textStyle.width}
+              text={shape.text}
+              fontSize={textStyle.fontSize}
+              fontFamily={textStyle.fontFamily}
+              lineHeight={textStyle.lineHeight}
+              fontStyle={shape.fontStyle || 'normal'}
+              textDecoration={shape.textDecoration || ''}
+              fill={shape.textColor}
+              wrap="word"
+              listening={false}
+            />
+          </Group>
+        );
+      }
 
       case SHAPE_TYPES.TRIANGLE: {
         const w = shape.width;
@@ -366,15 +738,259 @@ const Shape = forwardRef(({ shape, isSelected, isBeingEdited, editorUserId, show
             points={points}
             closed
             fill={shape.fill}
+            {...fillProps}
             stroke={conflictStyle.stroke || shape.stroke}
             strokeWidth={conflictStyle.strokeWidth || shape.strokeWidth}
-            dash={conflictStyle.dash}
-            opacity={conflictStyle.opacity || 1}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            opacity={opacity}
             rotation={shape.rotation || 0}
           />
         );
       }
 
+      case SHAPE_TYPES.INSTANCE: {
+        const { scaleX, scaleY } = getInstanceScale(shape, component);
+        return (
+          <Group
+            {...commonProps}
+            // Members handle double-clicks themselves
+            {...(component && { onDblClick: undefined, onDblTap: undefined })}
+            x={shape.x}
+            y={shape.y}
+            rotation={shape.rotation || 0}
+            opacity={opacity}
+          >
+            {component ? (
+              <Group
+                scaleX={scaleX}
+                scaleY={scaleY}
+                offsetX={component.bounds.x}
+                offsetY={component.bounds.y}
+              >
+                {getInstanceMembers(shape, component).map(member => (
+                  <MemoizedShape
+                    key={member.id}
+                    shape={{ ...member, id: getInstanceMemberNodeId(shape.id, member.id), draggable: false }}
+                    onSelect={noop}
+                    onChange={noop}
+                    onStartEdit={() => handleEditInstanceMember(member.id)}
+                    onColorChange={(id, position) => handleRecolorInstanceMember(member.id, position)}
+                    readOnly={readOnly}
+                  />
+                ))}
+              </Group>
+            ) : (
+              // The component was deleted; keep the instance visible so it can be removed
+              <Rect
+                width={shape.width}
+                height={shape.height}
+                stroke={conflictStyle.stroke || IMAGE_PLACEHOLDER_STROKE}
+                strokeWidth={conflictStyle.strokeWidth || 1}
+                dash={conflictStyle.dash || [6, 4]}
+                fill={IMAGE_PLACEHOLDER_FILL}
+              />
+            )}
+          </Group>
+        );
+      }
+
+      case SHAPE_TYPES.TABLE: {
+        const table = tableResize ? { ...shape, ...tableResize } : shape;
+        const columnOffsets = getTrackOffsets(table.columnWidths);
+        const rowOffsets = getTrackOffsets(table.rowHeights);
+        const textStyle = getTableTextStyle(table);
+        const gridColor = conflictStyle.stroke || table.stroke;
+        const showHandles = isSelected && !readOnly && !isBeingEdited;
+        return (
+          <Group
+            {...commonProps}
+            onDblClick={handleTableDoubleClick}
+            onDblTap={handleTableDoubleClick}
+            x={table.x}
+            y={table.y}
+            width={table.width}
+            height={table.height}
+            rotation={table.rotation || 0}
+            opacity={opacity}
+          >
+            <Rect
+              width={table.width}
+              height={table.height}
+              fill={table.fill}
+              {...getGradientFillProps(table)}
+              stroke={gridColor}
+              strokeWidth={conflictStyle.strokeWidth || table.strokeWidth}
+              {...strokeStyle}
+              dash={conflictStyle.dash || strokeStyle.dash}
+              {...(conflictStyle.shadowColor ? {
+                shadowColor: conflictStyle.shadowColor,
+                shadowBlur: conflictStyle.shadowBlur,
+                shadowOpacity: conflictStyle.shadowOpacity,
+              } : shadowProps)}
+            />
+            {columnOffsets.slice(1, -1).map(x => (
+              <Line
+                key={`column-${x}`}
+                points={[x, 0, x, table.height]}
+                stroke={gridColor}
+                strokeWidth={table.strokeWidth}
+                listening={false}
+              />
+            ))}
+            {rowOffsets.slice(1, -1).map(y => (
+              <Line
+                key={`row-${y}`}
+                points={[0, y, table.width, y]}
+                stroke={gridColor}
+                strokeWidth={table.strokeWidth}
+                listening={false}
+              />
+            ))}
+            {table.rowHeights.map((rowHeight, row) => table.columnWidths.map((columnWidth, column) => {
+              const text = getCellText(table, getCellKey(row, column));
+              if (!text) return null;
+              return (
+                <Text
+                  key={getCellKey(row, column)}
+                  x={columnOffsets[column] + TABLE_CELL_PADDING}
+                  y={rowOffsets[row] + TABLE_CELL_PADDING}
+                  width={Math.max(1, columnWidth - TABLE_CELL_PADDING * 2)}
+                  height={Math.max(1, rowHeight - TABLE_CELL_PADDING * 2)}
+                  text={text}
+                  fontSize={textStyle.fontSize}
+                  fontFamily={textStyle.fontFamily}
+                  lineHeight={textStyle.lineHeight}
+                  fill={table.textColor}
+                  verticalAlign="middle"
+                  wrap="word"
+                  ellipsis
+                  listening={false}
+                />
+              );
+            }))}
+            {showHandles && table.columnWidths.map((columnWidth, column) => (
+              <Rect
+                key={`column-handle-${column}`}
+                name="table-resize-handle"
+                x={columnOffsets[column + 1] - TABLE_HANDLE_SIZE / 2}
+                y={0}
+                width={TABLE_HANDLE_SIZE}
+                height={table.height}
+                fill="transparent"
+                draggable
+                onDragStart={(e) => handleTableResizeStart(e, 'column')}
+                onDragMove={(e) => handleTableResizeMove(e, 'column', column)}
+                onDragEnd={(e) => handleTableResizeEnd(e, 'column', column)}
+              />
+            ))}
+            {showHandles && table.rowHeights.map((rowHeight, row) => (
+              <Rect
+                key={`row-handle-${row}`}
+                name="table-resize-handle"
+                x={0}
+                y={rowOffsets[row + 1] - TABLE_HANDLE_SIZE / 2}
+                width={table.width}
+                height={TABLE_HANDLE_SIZE}
+                fill="transparent"
+                draggable
+                onDragStart={(e) => handleTableResizeStart(e, 'row')}
+                onDragMove={(e) => handleTableResizeMove(e, 'row', row)}
+                onDragEnd={(e) => handleTableResizeEnd(e, 'row', row)}
+              />
+            ))}
+          </Group>
+        );
+      }
+
+      case SHAPE_TYPES.PATH:
+        return (
+          <Line
+            {...commonProps}
+            x={shape.x}
+            y={shape.y}
+            points={shape.points || []}
+            stroke={conflictStyle.stroke || shape.stroke}
+            strokeWidth={shape.strokeWidth || 2}
+            {...shadowProps}
+            {...strokeStyle}
+            dash={conflictStyle.dash || strokeStyle.dash}
+            tension={PATH_TENSION}
+            hitStrokeWidth={Math.max(MIN_LINE_HIT_WIDTH, (shape.strokeWidth || 2) + 10)}
+            opacity={opacity}
+            rotation={shape.rotation || 0}
+          />
+        );
+
+      case SHAPE_TYPES.LINE:
+      case SHAPE_TYPES.ARROW: {
+        const points = endpointDragPoints || shape.points || [];
+        const color = conflictStyle.stroke || shape.stroke;
+        const strokeWidth = shape.strokeWidth || 2;
+        const showHandles = isSelected && !readOnly && !isBeingEdited;
+        return (
+          <Group
+            {...commonProps}
+            name="linear-shape" // Excluded from the Transformer; endpoints are edited with handles
+            onDblClick={handleDoubleClick}
+            onDblTap={handleDoubleClick}
+            x={shape.x}
+            y={shape.y}
+            rotation={shape.rotation || 0}
+            opacity={opacity}
+          >
+            <Line
+              points={getTrimmedLinePoints(points, {
+                startArrowhead: shape.startArrowhead,
+                endArrowhead: shape.endArrowhead,
+                strokeWidth,
+              })}
+              stroke={color}
+              strokeWidth={strokeWidth}
+              {...shadowProps}
+              {...strokeStyle}
+              dash={conflictStyle.dash || strokeStyle.dash}
+              hitStrokeWidth={Math.max(MIN_LINE_HIT_WIDTH, strokeWidth + 10)}
+            />
+            {[LINE_ENDS.START, LINE_ENDS.END].map(end => {
+              const tip = getEndpoint(points, end);
+              return (
+                <Arrowhead
+                  key={`head-${end}`}
+                  style={end === LINE_ENDS.START ? shape.startArrowhead : shape.endArrowhead}
+                  x={tip.x}
+                  y={tip.y}
+                  rotation={getEndpointAngle(points, end)}
+                  color={color}
+                  strokeWidth={strokeWidth}
+                  shadow={shadowProps}
+                />
+              );
+            })}
+            {showHandles && [LINE_ENDS.START, LINE_ENDS.END].map(end => {
+              const handle = getEndpoint(points, end);
+              return (
+                <Circle
+                  key={`handle-${end}`}
+                  name="line-endpoint-handle"
+                  x={handle.x}
+                  y={handle.y}
+                  radius={ENDPOINT_HANDLE_RADIUS}
+                  fill="#ffffff"
+                  stroke="#3498db"
+                  strokeWidth={2}
+                  draggable
+                  onDragStart={handleEndpointDragStart}
+                  onDragMove={(e) => handleEndpointDragMove(e, end)}
+                  onDragEnd={(e) => handleEndpointDragEnd(e, end)}
+                />
+              );
+            })}
+          </Group>
+        );
+      }
+
       default:
         return null;
     }
@@ -437,7 +1053,9 @@ const MemoizedShape = React.memo(Shape, (prevProps, nextProps) => {
     prevProps.isSelected === nextProps.isSelected &&
     prevProps.isBeingEdited === nextProps.isBeingEdited &&
     prevProps.showEditFlash === nextProps.showEditFlash &&
-    prevProps.editorUserId === nextProps.editorUserId
+    prevProps.editorUserId === nextProps.editorUserId &&
+    prevProps.readOnly === nextProps.readOnly &&
+    prevProps.component === nextProps.component
   );
 });
 
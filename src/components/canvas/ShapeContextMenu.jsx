@@ -1,12 +1,12 @@
 /**
  * ShapeContextMenu - Right-click context menu for shapes
- * Provides z-index controls and other shape operations
+ * Provides z-index controls, color, link, component, table and frame options and other shape operations
  */
 
 import { useEffect } from 'react';
 import './ShapeContextMenu.css';
 
-const ShapeContextMenu = ({ x, y, onClose, onBringToFront, onSendToBack, onBringForward, onSendBackward }) => {
+const ShapeContextMenu = ({ x, y, onClose, onBringToFront, onSendToBack, onBringForward, onSendBackward, onChangeColor, link = null, onEditLink, onOpenLink, onRemoveLink, onCopyShapeLink, component = null, instance = null, onCreateComponent, onCreateInstance, onResetOverrides, table = null, onAddTableRow, onAddTableColumn, onRemoveTableRow, onRemoveTableColumn, frame = null, onExportFrame, onToggleClipContent, onToggleAutoLayout }) => {
   // Close menu when clicking outside or pressing Escape
   useEffect(() => {
     const handleClick = () => onClose();
@@ -23,6 +23,8 @@ const ShapeContextMenu = ({ x, y, onClose, onBringToFront, onSendToBack, onBring
     };
   }, [onClose]);
 
+  const hasOverrides = Object.keys(instance?.overrides || {}).length > 0;
+
   const handleMenuClick = (e, action) => {
     e.stopPropagation();
     action();
@@ -70,6 +72,149 @@ const ShapeContextMenu = ({ x, y, onClose, onBringToFront, onSendToBack, onBring
           <span className="menu-shortcut">Ctrl+[</span>
         </button>
       </div>
+      {onChangeColor && (
+        <div className="menu-section">
+          <div className="menu-section-label">Style</div>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onChangeColor)}
+          >
+            <span className="menu-icon">🎨</span>
+            Change Color…
+          </button>
+        </div>
+      )}
+      {onEditLink && (
+        <div className="menu-section">
+          <div className="menu-section-label">Link</div>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onEditLink)}
+          >
+            <span className="menu-icon">🔗</span>
+            {link ? 'Edit Link…' : 'Add Link…'}
+          </button>
+          {link && (
+            <>
+              <button
+                className="menu-item"
+                onClick={(e) => handleMenuClick(e, onOpenLink)}
+              >
+                <span className="menu-icon">↗</span>
+                Open Link
+                <span className="menu-shortcut">Ctrl+Click</span>
+              </button>
+              <button
+                className="menu-item"
+                onClick={(e) => handleMenuClick(e, onRemoveLink)}
+              >
+                <span className="menu-icon">✕</span>
+                Remove Link
+              </button>
+            </>
+          )}
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onCopyShapeLink)}
+          >
+            <span className="menu-icon">📋</span>
+            Copy Link to Shape
+          </button>
+        </div>
+      )}
+      {onCreateComponent && (component || !instance || hasOverrides) && (
+        <div className="menu-section">
+          <div className="menu-section-label">Component</div>
+          {component ? (
+            <button
+              className="menu-item"
+              onClick={(e) => handleMenuClick(e, onCreateInstance)}
+            >
+              <span className="menu-icon">❖</span>
+              Create Instance
+            </button>
+          ) : !instance && (
+            <button
+              className="menu-item"
+              onClick={(e) => handleMenuClick(e, onCreateComponent)}
+            >
+              <span className="menu-icon">❖</span>
+              Create Component
+              <span className="menu-shortcut">Ctrl+Alt+K</span>
+            </button>
+          )}
+          {hasOverrides && (
+            <button
+              className="menu-item"
+              onClick={(e) => handleMenuClick(e, onResetOverrides)}
+            >
+              <span className="menu-icon">↺</span>
+              Reset Overrides
+            </button>
+          )}
+        </div>
+      )}
+      {table && (
+        <div className="menu-section">
+          <div className="menu-section-label">Table</div>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onAddTableRow)}
+          >
+            <span className="menu-icon">＋</span>
+            Add Row
+          </button>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onAddTableColumn)}
+          >
+            <span className="menu-icon">＋</span>
+            Add Column
+          </button>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onRemoveTableRow)}
+            disabled={table.rowHeights.length <= 1}
+          >
+            <span className="menu-icon">－</span>
+            Remove Last Row
+          </button>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onRemoveTableColumn)}
+            disabled={table.columnWidths.length <= 1}
+          >
+            <span className="menu-icon">－</span>
+            Remove Last Column
+          </button>
+        </div>
+      )}
+      {frame && (
+        <div className="menu-section">
+          <div className="menu-section-label">Frame</div>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onToggleClipContent)}
+          >
+            <span className="menu-icon">{frame.clipContent !== false ? '☑' : '☐'}</span>
+            Clip Content
+          </button>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onToggleAutoLayout)}
+          >
+            <span className="menu-icon">{frame.autoLayout ? '☑' : '☐'}</span>
+            Auto Layout
+          </button>
+          <button
+            className="menu-item"
+            onClick={(e) => handleMenuClick(e, onExportFrame)}
+          >
+            <span className="menu-icon">🖼️</span>
+            Export Frame as PNG
+          </button>
+        </div>
+      )}
     </div>
   );
 };
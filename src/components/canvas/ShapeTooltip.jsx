@@ -1,12 +1,12 @@
 /**
- * ShapeTooltip - Shows attribution info on hover
+ * ShapeTooltip - Shows attribution info on hover, and where the shape links to
  */
 
 import { Label, Tag, Text } from 'react-konva';
 import { getUserDisplayName } from '../../utils/getUserColor';
 
-const ShapeTooltip = ({ shape, x, y, onlineUsers = [] }) => {
-  if (!shape.createdBy) return null;
+const ShapeTooltip = ({ shape, x, y, onlineUsers = [], linkLabel = null }) => {
+  if (!shape.createdBy && !linkLabel) return null;
 
   // Use stored name first, fallback to onlineUsers lookup for real-time updates
   const creatorName = shape.createdByName || getUserDisplayName(shape.createdBy, onlineUsers);
@@ -28,12 +28,15 @@ const ShapeTooltip = ({ shape, x, y, onlineUsers = [] }) => {
   const timeAgo = getTimeAgo(shape.updatedAt);
 
   // Build tooltip text
-  let tooltipText = `Created by ${creatorName}`;
-  if (editorName) {
-    tooltipText += `\nEdited ${timeAgo} by ${editorName}`;
-  } else {
-    tooltipText += `\nCreated ${timeAgo}`;
+  const lines = [];
+  if (shape.createdBy) {
+    lines.push(`Created by ${creatorName}`);
+    lines.push(editorName ? `Edited ${timeAgo} by ${editorName}` : `Created ${timeAgo}`);
   }
+  if (linkLabel) {
+    lines.push(`🔗 ${linkLabel}`, 'Ctrl/Cmd + click to open');
+  }
+  const tooltipText = lines.join('\n');
 
   return (
     <Label
@@ -0,0 +1,47 @@
+/**
+ * SnapGuides - Red guide lines shown while a dragged or resized shape lines up with others
+ * Each guide is labeled with the distance to the nearest aligned shape; sizes stay constant across zoom levels.
+ */
+
+import { Fragment } from 'react';
+import { Line, Label, Tag, Text } from 'react-konva';
+
+const GUIDE_COLOR = '#FF3B30';
+const LABEL_FONT_SIZE = 11; // Screen pixels
+const LABEL_OFFSET = 4; // Screen pixels from the guide
+
+const SnapGuides = ({ guides, scale }) => (
+  <>
+    {guides.map((guide) => {
+      const vertical = guide.orientation === 'vertical';
+      const points = vertical
+        ? [guide.position, guide.start, guide.position, guide.end]
+        : [guide.start, guide.position, guide.end, guide.position];
+      const { distance } = guide;
+      const middle = distance ? (distance.start + distance.end) / 2 : 0;
+
+      return (
+        <Fragment key={`${guide.orientation}-${guide.position}`}>
+          <Line points={points} stroke={GUIDE_COLOR} strokeWidth={1 / scale} listening={false} />
+          {distance && (
+            <Label
+              x={vertical ? guide.position + LABEL_OFFSET / scale : middle}
+              y={vertical ? middle : guide.position + LABEL_OFFSET / scale}
+              listening={false}
+            >
+              <Tag fill={GUIDE_COLOR} cornerRadius={2 / scale} />
+              <Text
+                text={String(Math.round(distance.length))}
+                fontSize={LABEL_FONT_SIZE / scale}
+                padding={2 / scale}
+                fill="#FFFFFF"
+              />
+            </Label>
+          )}
+        </Fragment>
+      );
+    })}
+  </>
+);
+
+export default SnapGuides;
@@ -0,0 +1,219 @@
+/**
+ * StylePanel - Appearance controls for the selected shapes
+ * Edits opacity and drop shadow, plus dash, line caps and joins of outlines. With several shapes
+ * selected each control shows their shared value, or "Mixed" when they differ.
+ * Sliders commit when released, so dragging one is a single undo step.
+ * Floats over the canvas, or sits in the inspector panel when embedded.
+ */
+
+import { useState } from 'react';
+import { DASH_PATTERNS, getDashPatternName } from '../../utils/lines';
+import {
+  LINE_CAPS,
+  LINE_JOINS,
+  MAX_SHADOW_BLUR,
+  MAX_SHADOW_OFFSET,
+  SHADOW_COLORS,
+  MIXED,
+  supportsShadow,
+  supportsStrokeStyle,
+  getShapeOpacity,
+  getShapeShadow,
+  getLineCap,
+  getLineJoin,
+  getCommonValue,
+} from '../../utils/shapeStyle';
+import './StylePanel.css';
+
+const DASH_LABELS = {
+  solid: 'Solid',
+  dashed: 'Dashed',
+  dotted: 'Dotted',
+};
+
+const CAP_LABELS = {
+  butt: 'Flat',
+  round: 'Round',
+  square: 'Square',
+};
+
+const JOIN_LABELS = {
+  miter: 'Sharp',
+  round: 'Round',
+  bevel: 'Bevel',
+};
+
+const RangeField = ({ label, value, min, max, step = 1, format = String, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+  const mixed = value === MIXED;
+  const shown = draft ?? (mixed ? min : value);
+
+  const commit = () => {
+    if (draft === null) return;
+    setDraft(null);
+    if (draft !== value) onCommit(draft);
+  };
+
+  return (
+    <label className="style-panel__field">
+      <span className="style-panel__label">{label}</span>
+      <input
+        type="range"
+        className="style-panel__range"
+        min={min}
+        max={max}
+        step={step}
+        value={shown}
+        onChange={(e) => setDraft(Number(e.target.value))}
+        onPointerUp={commit}
+        onKeyUp={commit}
+        onBlur={commit}
+        aria-label={label}
+      />
+      <span className="style-panel__value">{mixed && draft === null ? 'Mixed' : format(shown)}</span>
+    </label>
+  );
+};
+
+const SelectField = ({ label, value, options, labels, onChange }) => (
+  <label className="style-panel__field">
+    <span className="style-panel__label">{label}</span>
+    <select
+      className="style-panel__select"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+    >
+      {value === MIXED && <option value={MIXED} disabled>Mixed</option>}
+      {options.map(option => (
+        <option key={option} value={option}>{labels[option]}</option>
+      ))}
+    </select>
+  </label>
+);
+
+const StylePanel = ({ shapes, onStyleChange, embedded = false }) => {
+  if (!shapes || shapes.length === 0) return null;
+
+  const shadowShapes = shapes.filter(supportsShadow);
+  const outlineShapes = shapes.filter(supportsStrokeStyle);
+
+  const opacity = getCommonValue(shapes, getShapeOpacity);
+  const shadow = getCommonValue(shadowShapes, getShapeShadow);
+  const hasShadow = getCommonValue(shadowShapes, shape => Boolean(getShapeShadow(shape)));
+  const shadowValue = (key) => getCommonValue(shadowShapes.filter(getShapeShadow), shape => getShapeShadow(shape)[key]);
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const pixels = (value) => `${value}px`;
+
+  return (
+    <div className={`style-panel ${embedded ? 'style-panel--embedded' : ''}`} role="region" aria-label="Appearance">
+      <h3 className="style-panel__title">Appearance</h3>
+
+      <RangeField
+        label="Opacity"
+        value={opacity}
+        min={0}
+        max={1}
+        step={0.05}
+        format={percent}
+        onCommit={(value) => onStyleChange({ opacity: value })}
+      />
+
+      {shadowShapes.length > 0 && (
+        <div className="style-panel__section">
+          <label className="style-panel__toggle">
+            <input
+              type="checkbox"
+              checked={hasShadow === true}
+              ref={(input) => {
+                if (input) input.indeterminate = hasShadow === MIXED;
+              }}
+              onChange={(e) => onStyleChange({ shadow: e.target.checked ? {} : null })}
+            />
+            <span className="style-panel__label">Shadow</span>
+          </label>
+
+          {hasShadow !== false && (
+            <>
+              <div className="style-panel__swatches" role="group" aria-label="Shadow color">
+                {SHADOW_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    className={`style-panel__swatch ${shadow !== MIXED && shadow?.color === color ? 'active' : ''}`}
+                    style={{ backgroundColor: color }}
+                    onClick={() => onStyleChange({ shadow: { color } })}
+                    title={color}
+                    aria-label={`Shadow color ${color}`}
+                  />
+                ))}
+              </div>
+              <RangeField
+                label="Blur"
+                value={shadowValue('blur')}
+                min={0}
+                max={MAX_SHADOW_BLUR}
+                format={pixels}
+                onCommit={(blur) => onStyleChange({ shadow: { blur } })}
+              />
+              <RangeField
+                label="X"
+                value={shadowValue('offsetX')}
+                min={-MAX_SHADOW_OFFSET}
+                max={MAX_SHADOW_OFFSET}
+                format={pixels}
+                onCommit={(offsetX) => onStyleChange({ shadow: { offsetX } })}
+              />
+              <RangeField
+                label="Y"
+                value={shadowValue('offsetY')}
+                min={-MAX_SHADOW_OFFSET}
+                max={MAX_SHADOW_OFFSET}
+                format={pixels}
+                onCommit={(offsetY) => onStyleChange({ shadow: { offsetY } })}
+              />
+              <RangeField
+                label="Strength"
+                value={shadowValue('opacity')}
+                min={0}
+                max={1}
+                step={0.05}
+                format={percent}
+                onCommit={(value) => onStyleChange({ shadow: { opacity: value } })}
+              />
+            </>
+          )}
+        </div>
+      )}
+
+      {outlineShapes.length > 0 && (
+        <div className="style-panel__section">
+          <SelectField
+            label="Dash"
+            value={getCommonValue(outlineShapes, shape => getDashPatternName(shape.dash))}
+            options={Object.keys(DASH_PATTERNS)}
+            labels={DASH_LABELS}
+            onChange={(name) => onStyleChange({ dash: DASH_PATTERNS[name] })}
+          />
+          <SelectField
+            label="Caps"
+            value={getCommonValue(outlineShapes, getLineCap)}
+            options={LINE_CAPS}
+            labels={CAP_LABELS}
+            onChange={(lineCap) => onStyleChange({ lineCap })}
+          />
+          <SelectField
+            label="Corners"
+            value={getCommonValue(outlineShapes, getLineJoin)}
+            options={LINE_JOINS}
+            labels={JOIN_LABELS}
+            onChange={(lineJoin) => onStyleChange({ lineJoin })}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StylePanel;
@@ -1,45 +1,114 @@
 /**
- * TextEditor Component - Inline text editor for text shapes
- * Shows an HTML textarea when editing text
+ * TextEditor Component - Inline text editor for text shapes and sticky notes
+ * A contenteditable box drawn over the shape. Text shapes edit rich text runs (formatting
+ * of individual words); other text (sticky notes, table cells, instance text) stays plain.
  */
 
-import { useEffect, useRef } from 'react';
+import { forwardRef, useImperativeHandle, useLayoutEffect, useRef } from 'react';
+import { getRunsText, readRunsFromElement, writeRunsToElement } from '../../utils/textRuns';
 import './TextEditor.css';
 
-const TextEditor = ({ 
-  value, 
-  onChange, 
-  onBlur, 
-  x, 
-  y, 
-  fontSize, 
+// Formatting commands the toolbar can apply to the selected words
+const SELECTION_COMMANDS = ['bold', 'italic', 'underline', 'strikeThrough', 'foreColor'];
+
+const FORMAT_SHORTCUT_KEYS = ['b', 'i', 'u'];
+
+const TextEditor = forwardRef(({
+  value,
+  runs = null, // Rich text runs of a text shape; plain text is edited when not given
+  onChange, // (text, runs) - runs is null for plain text
+  onBlur,
+  x,
+  y,
+  fontSize,
   scale,
-  stagePosition 
-}) => {
-  const textareaRef = useRef(null);
+  stagePosition,
+  note = null, // Sticky note box: { width, minHeight, padding, background, color, fontFamily, lineHeight }
+  textStyle = null, // Text shape typography: { fontFamily, fontStyle, textDecoration, align, lineHeight, letterSpacing, width }
+}, ref) => {
+  const editorRef = useRef(null);
+  const initialRunsRef = useRef(runs || (value ? [{ text: value }] : []));
+  const isRichText = Boolean(runs);
+
+  // The content is written once; from then on the element holds it, so the caret never jumps
+  useLayoutEffect(() => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    writeRunsToElement(editor, initialRunsRef.current);
 
-  useEffect(() => {
     // Focus and select all text when editor appears
-    if (textareaRef.current) {
-      textareaRef.current.focus();
-      textareaRef.current.select();
-    }
+    editor.focus();
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    selection?.removeAllRanges();
+    selection?.addRange(range);
   }, []);
 
+  const emitChange = () => {
+    const editedRuns = readRunsFromElement(editorRef.current);
+    onChange(getRunsText(editedRuns), isRichText ? editedRuns : null);
+  };
+
+  useImperativeHandle(ref, () => ({
+    /**
+     * Format the selected words (bold, italic, underline, strikeThrough or foreColor)
+     * @returns {boolean} False when nothing is selected, so the caller can format the whole text
+     */
+    formatSelection: (command, commandValue) => {
+      const editor = editorRef.current;
+      const selection = window.getSelection();
+      if (!isRichText || !editor || !SELECTION_COMMANDS.includes(command) || !document.execCommand) return false;
+      if (!selection || selection.isCollapsed || !editor.contains(selection.anchorNode)) return false;
+      // Select everything and the whole text is formatted instead, like the shape's own format
+      if (getRunsText(readRunsFromElement(editor)) === selection.toString()) return false;
+      document.execCommand('styleWithCSS', false, true);
+      document.execCommand(command, false, commandValue);
+      emitChange();
+      return true;
+    },
+  }));
+
+  const insertLineBreak = (e) => {
+    if (!document.execCommand) return; // Let the browser add its own line
+    e.preventDefault();
+    document.execCommand('insertLineBreak');
+    emitChange();
+  };
+
   const handleKeyDown = (e) => {
     // Stop propagation to prevent canvas shortcuts
     e.stopPropagation();
-    
-    // Blur on Enter (without Shift)
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      textareaRef.current?.blur();
+
+    if (e.key === 'Enter') {
+      // Blur on Enter (without Shift); notes take new lines and finish with Cmd/Ctrl + Enter
+      if (!e.shiftKey && (!note || e.metaKey || e.ctrlKey)) {
+        e.preventDefault();
+        editorRef.current?.blur();
+      } else {
+        insertLineBreak(e);
+      }
     }
-    
+
     // Blur on Escape
     if (e.key === 'Escape') {
       e.preventDefault();
-      textareaRef.current?.blur();
+      editorRef.current?.blur();
+    }
+
+    // The browser's own bold/italic/underline shortcuts only apply to rich text
+    if (!isRichText && (e.metaKey || e.ctrlKey) && FORMAT_SHORTCUT_KEYS.includes(e.key.toLowerCase())) {
+      e.preventDefault();
+    }
+  };
+
+  // Pasted content arrives as plain text, formatted like the text around the caret
+  const handlePaste = (e) => {
+    e.preventDefault();
+    const text = e.clipboardData?.getData('text/plain');
+    if (text && document.execCommand) {
+      document.execCommand('insertText', false, text);
+      emitChange();
     }
   };
 
@@ -50,20 +119,43 @@ const TextEditor = ({
     left: `${x * scale + stagePosition.x}px`,
     fontSize: `${fontSize * scale}px`,
     transform: 'translate(0, 0)',
+    ...(textStyle && {
+      fontFamily: textStyle.fontFamily,
+      fontWeight: textStyle.fontStyle?.includes('bold') ? 'bold' : 'normal',
+      fontStyle: textStyle.fontStyle?.includes('italic') ? 'italic' : 'normal',
+      textDecoration: textStyle.textDecoration || 'none',
+      textAlign: textStyle.align,
+      lineHeight: textStyle.lineHeight,
+      letterSpacing: `${(textStyle.letterSpacing || 0) * scale}px`,
+      // Auto-width text only breaks lines where the text does
+      ...(textStyle.width ? { width: `${textStyle.width * scale}px`, boxSizing: 'content-box' } : { whiteSpace: 'pre' }),
+    }),
+    ...(note && {
+      width: `${note.width * scale}px`,
+      minHeight: `${note.minHeight * scale}px`,
+      padding: `${note.padding * scale}px`,
+      background: note.background,
+      color: note.color,
+      fontFamily: note.fontFamily,
+      lineHeight: note.lineHeight,
+    }),
   };
 
   return (
-    <textarea
-      ref={textareaRef}
-      className="text-editor"
+    <div
+      ref={editorRef}
+      className={`text-editor ${note ? 'text-editor--note' : ''}`}
       style={editorStyle}
-      value={value}
-      onChange={(e) => onChange(e.target.value)}
+      contentEditable
+      suppressContentEditableWarning
+      role="textbox"
+      aria-multiline="true"
+      onInput={emitChange}
       onBlur={onBlur}
       onKeyDown={handleKeyDown}
+      onPaste={handlePaste}
     />
   );
-};
+});
 
 export default TextEditor;
-
@@ -1,19 +1,42 @@
 /**
  * TextFormatToolbar Component - Formatting options for text shapes
- * Shows Bold, Italic, and Underline controls when editing text
+ * Shows Bold, Italic, and Underline controls when editing text; text shapes also get
+ * font family, color, alignment, line height, letter spacing, wrapping and list controls.
+ * With words selected in a text shape, bold, italic, underline and color apply to just those words.
+ * Menus are made of buttons rather than <select>s so the text editor keeps focus.
  */
 
+import { useState } from 'react';
+import { FONT_FAMILIES, TEXT_ALIGNS, LINE_HEIGHTS, LETTER_SPACINGS, LIST_STYLES, TEXT_COLORS } from '../../utils/textStyle';
 import './TextFormatToolbar.css';
 
+const ALIGN_ICONS = {
+  left: 'M4 6h16M4 10h10M4 14h16M4 18h10',
+  center: 'M4 6h16M7 10h10M4 14h16M7 18h10',
+  right: 'M4 6h16M10 10h10M4 14h16M10 18h10',
+  justify: 'M4 6h16M4 10h16M4 14h16M4 18h16',
+};
+
 const TextFormatToolbar = ({ 
   fontStyle,
   textDecoration, 
+  fontFamily = 'Arial',
+  align = 'left',
+  lineHeight = 1,
+  letterSpacing = 0,
+  listStyle = LIST_STYLES.NONE,
+  fixedWidth = false,
+  fill = '#000000',
+  showLayoutOptions = false, // Text shapes only; sticky notes keep the basic controls
   x, 
   y, 
   scale, 
   stagePosition, 
-  onFormatChange 
+  onFormatChange,
+  onFormatSelection = null, // (command, value) => whether the selected words were formatted
 }) => {
+  const [openMenu, setOpenMenu] = useState(null); // 'font', 'color', 'lineHeight' or 'letterSpacing'
+
   const toolbarStyle = {
     position: 'absolute',
     top: `${y * scale + stagePosition.y - 45}px`, // Above the text editor
@@ -28,6 +51,7 @@ const TextFormatToolbar = ({
   };
 
   const toggleBold = () => {
+    if (onFormatSelection?.('bold')) return;
     const currentStyle = fontStyle || 'normal';
     const isBold = currentStyle.includes('bold');
     
@@ -43,6 +67,7 @@ const TextFormatToolbar = ({
   };
 
   const toggleItalic = () => {
+    if (onFormatSelection?.('italic')) return;
     const currentStyle = fontStyle || 'normal';
     const isItalic = currentStyle.includes('italic');
     
@@ -58,6 +83,7 @@ const TextFormatToolbar = ({
   };
 
   const toggleUnderline = () => {
+    if (onFormatSelection?.('underline')) return;
     const currentDecoration = textDecoration || '';
     const isUnderlined = currentDecoration.includes('underline');
     
@@ -71,6 +97,43 @@ const TextFormatToolbar = ({
     }
   };
 
+  const toggleMenu = (menu) => {
+    setOpenMenu(prev => (prev === menu ? null : menu));
+  };
+
+  const chooseFromMenu = (updates) => {
+    onFormatChange(updates);
+    setOpenMenu(null);
+  };
+
+  const chooseColor = (color) => {
+    if (!onFormatSelection?.('foreColor', color)) onFormatChange({ fill: color });
+    setOpenMenu(null);
+  };
+
+  const toggleList = (style) => {
+    onFormatChange({ listStyle: listStyle === style ? LIST_STYLES.NONE : style });
+  };
+
+  // Options of an open menu; choosing one sets `key` on the text
+  const renderMenu = (menu, key, options, current, renderLabel) => (
+    openMenu === menu && (
+      <div className="format-menu">
+        {options.map(option => (
+          <button
+            key={option}
+            className={option === current ? 'format-menu-item active' : 'format-menu-item'}
+            onClick={() => chooseFromMenu({ [key]: option })}
+            onMouseDown={handleMouseDown}
+            type="button"
+          >
+            {renderLabel(option)}
+          </button>
+        ))}
+      </div>
+    )
+  );
+
   const currentStyle = fontStyle || 'normal';
   const isBold = currentStyle.includes('bold');
   const isItalic = currentStyle.includes('italic');
@@ -105,6 +168,120 @@ const TextFormatToolbar = ({
       >
         <span style={{ textDecoration: 'underline' }}>U</span>
       </button>
+      {showLayoutOptions && (
+        <>
+          <div className="format-divider" />
+          <div className="format-menu-anchor">
+            <button
+              className="format-btn format-btn--wide"
+              onClick={() => toggleMenu('font')}
+              onMouseDown={handleMouseDown}
+              title="Font"
+              type="button"
+              style={{ fontFamily }}
+            >
+              {fontFamily}
+            </button>
+            {renderMenu('font', 'fontFamily', FONT_FAMILIES, fontFamily, option => <span style={{ fontFamily: option }}>{option}</span>)}
+          </div>
+          <div className="format-menu-anchor">
+            <button
+              className="format-btn"
+              onClick={() => toggleMenu('color')}
+              onMouseDown={handleMouseDown}
+              title="Text color"
+              type="button"
+            >
+              <span className="format-color-label" style={{ borderBottomColor: fill }}>A</span>
+            </button>
+            {openMenu === 'color' && (
+              <div className="format-menu format-menu--swatches">
+                {TEXT_COLORS.map(color => (
+                  <button
+                    key={color}
+                    className={color === fill ? 'format-swatch active' : 'format-swatch'}
+                    style={{ background: color }}
+                    onClick={() => chooseColor(color)}
+                    onMouseDown={handleMouseDown}
+                    title={color}
+                    type="button"
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="format-divider" />
+          {TEXT_ALIGNS.map(option => (
+            <button
+              key={option}
+              className={align === option ? 'format-btn active' : 'format-btn'}
+              onClick={() => onFormatChange({ align: option })}
+              onMouseDown={handleMouseDown}
+              title={`Align ${option}`}
+              type="button"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+                <path d={ALIGN_ICONS[option]} />
+              </svg>
+            </button>
+          ))}
+          <div className="format-divider" />
+          <button
+            className={listStyle === LIST_STYLES.BULLET ? 'format-btn active' : 'format-btn'}
+            onClick={() => toggleList(LIST_STYLES.BULLET)}
+            onMouseDown={handleMouseDown}
+            title="Bulleted list"
+            type="button"
+          >
+            •
+          </button>
+          <button
+            className={listStyle === LIST_STYLES.NUMBERED ? 'format-btn active' : 'format-btn'}
+            onClick={() => toggleList(LIST_STYLES.NUMBERED)}
+            onMouseDown={handleMouseDown}
+            title="Numbered list"
+            type="button"
+          >
+            1.
+          </button>
+          <div className="format-divider" />
+          <div className="format-menu-anchor">
+            <button
+              className="format-btn format-btn--wide"
+              onClick={() => toggleMenu('lineHeight')}
+              onMouseDown={handleMouseDown}
+              title="Line height"
+              type="button"
+            >
+              ↕ {lineHeight}
+            </button>
+            {renderMenu('lineHeight', 'lineHeight', LINE_HEIGHTS, lineHeight, option => option)}
+          </div>
+          <div className="format-menu-anchor">
+            <button
+              className="format-btn format-btn--wide"
+              onClick={() => toggleMenu('letterSpacing')}
+              onMouseDown={handleMouseDown}
+              title="Letter spacing"
+              type="button"
+            >
+              ↔ {letterSpacing}
+            </button>
+            {renderMenu('letterSpacing', 'letterSpacing', LETTER_SPACINGS, letterSpacing, option => `${option}px`)}
+          </div>
+          <button
+            className={fixedWidth ? 'format-btn active' : 'format-btn'}
+            onClick={() => onFormatChange({ fixedWidth: !fixedWidth })}
+            onMouseDown={handleMouseDown}
+            title={fixedWidth ? 'Fixed width: text wraps (click for auto width)' : 'Auto width (click to wrap at a fixed width)'}
+            type="button"
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M4 4v16M20 4v16M8 9h8a3 3 0 0 1 0 6h-3M15 13l-2 2 2 2" />
+            </svg>
+          </button>
+        </>
+      )}
     </div>
   );
 };
@@ -7,28 +7,63 @@ import { useState, useRef, useEffect } from 'react';
 import { useCanvas, useCanvasActions } from '../../context/CanvasContext';
 import { SHAPE_TYPES } from '../../utils/shapes';
 import { exportCanvasToPNG, exportCanvasToSVG } from '../../utils/exportCanvas';
+import { SUPPORTED_IMAGE_TYPES } from '../../utils/images';
+import { GRID_SIZES } from '../../utils/snapping';
 import './Toolbar.css';
 
-const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen, aiPanelOpen, commentsPanelOpen }) => {
-  const { state, stageRef, setIsExportingRef } = useCanvas();
+const Toolbar = ({
+  onToggleLayers,
+  onToggleAI,
+  onToggleComments,
+  onToggleInspector,
+  layersPanelOpen,
+  aiPanelOpen,
+  commentsPanelOpen,
+  inspectorPanelOpen,
+}) => {
+  const { state, stageRef, setIsExportingRef, insertImagesRef, readOnly } = useCanvas();
   const actions = useCanvasActions();
-  const { currentTool } = state;
+  const { currentTool, snapSettings } = state;
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showSnapMenu, setShowSnapMenu] = useState(false);
   const exportButtonRef = useRef(null);
+  const snapButtonRef = useRef(null);
+  const imageInputRef = useRef(null);
 
   const tools = [
     { id: null, label: 'Select', iconPath: '/icons/cursor.svg', title: 'Select and move shapes (Esc)' },
     { id: 'pan', label: 'Pan', iconPath: '/icons/pan.svg', title: 'Pan the canvas (H)' },
     { id: SHAPE_TYPES.RECT, label: 'Rectangle', iconPath: '/icons/rectangle.svg', title: 'Draw rectangle' },
     { id: SHAPE_TYPES.CIRCLE, label: 'Circle', iconPath: '/icons/circle.svg', title: 'Draw circle' },
+    { id: SHAPE_TYPES.ELLIPSE, label: 'Ellipse', iconPath: '/icons/ellipse.svg', title: 'Draw ellipse' },
     { id: SHAPE_TYPES.TRIANGLE, label: 'Triangle', iconPath: '/icons/triangle.svg', title: 'Draw triangle' },
+    { id: SHAPE_TYPES.POLYGON, label: 'Polygon', iconPath: '/icons/polygon.svg', title: 'Draw polygon' },
+    { id: SHAPE_TYPES.STAR, label: 'Star', iconPath: '/icons/star.svg', title: 'Draw star' },
+    { id: SHAPE_TYPES.LINE, label: 'Line', iconPath: '/icons/line.svg', title: 'Draw line' },
+    { id: SHAPE_TYPES.ARROW, label: 'Arrow', iconPath: '/icons/arrow.svg', title: 'Draw arrow' },
+    { id: SHAPE_TYPES.PATH, label: 'Pen', iconPath: '/icons/pen.svg', title: 'Draw freehand' },
     { id: SHAPE_TYPES.TEXT, label: 'Text', iconPath: '/icons/text.svg', title: 'Add text' },
+    { id: SHAPE_TYPES.STICKY, label: 'Sticky', iconPath: '/icons/sticky.svg', title: 'Add sticky note' },
+    { id: SHAPE_TYPES.FRAME, label: 'Frame', iconPath: '/icons/frame.svg', title: 'Add frame' },
+    { id: SHAPE_TYPES.TABLE, label: 'Table', iconPath: '/icons/table.svg', title: 'Add table' },
   ];
 
+  // Viewers and commenters can only select and pan
+  const visibleTools = readOnly ? tools.filter(tool => !tool.id || tool.id === 'pan') : tools;
+
   const handleToolClick = (toolId) => {
     actions.setCurrentTool(toolId);
   };
 
+  // Images are placed straight away rather than with a click, so this isn't a tool
+  const handleImageFilesChosen = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Allow choosing the same file again
+    if (files.length > 0 && insertImagesRef.current) {
+      insertImagesRef.current(files);
+    }
+  };
+
   const handleExportClick = () => {
     setShowExportMenu(!showExportMenu);
   };
@@ -65,6 +100,7 @@ const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen
   const handleExportSVG = async () => {
     try {
       await exportCanvasToSVG(stageRef, undefined, {
+        vector: true,
         onBeforeExport: () => {
           // Hide UI elements (grid, transformer, selection box)
           if (setIsExportingRef.current) {
@@ -105,11 +141,24 @@ const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen
     }
   }, [showExportMenu]);
 
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (snapButtonRef.current && !snapButtonRef.current.contains(event.target)) {
+        setShowSnapMenu(false);
+      }
+    };
+
+    if (showSnapMenu) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [showSnapMenu]);
+
   return (
     <div className="toolbar" role="toolbar" aria-label="Drawing tools">
       <div className="toolbar-title">Tools</div>
       <div className="toolbar-buttons">
-        {tools.map((tool) => (
+        {visibleTools.map((tool) => (
           <button
             key={tool.id || 'select'}
             className={`toolbar-button ${currentTool === tool.id ? 'active' : ''}`}
@@ -122,6 +171,25 @@ const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen
             <span className="toolbar-label">{tool.label}</span>
           </button>
         ))}
+        {!readOnly && (
+          <button
+            className="toolbar-button"
+            onClick={() => imageInputRef.current?.click()}
+            title="Insert image (or drop / paste one onto the board)"
+            aria-label="Insert image"
+          >
+            <img src="/icons/image.svg" alt="" className="toolbar-icon" aria-hidden="true" />
+            <span className="toolbar-label">Image</span>
+          </button>
+        )}
+        <input
+          ref={imageInputRef}
+          type="file"
+          accept={SUPPORTED_IMAGE_TYPES.join(',')}
+          multiple
+          hidden
+          onChange={handleImageFilesChosen}
+        />
       </div>
       
       {/* Actions Section */}
@@ -129,18 +197,20 @@ const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen
       <div className="toolbar-title">Actions</div>
       <div className="toolbar-buttons">
         {/* AI Agent button */}
-        <button
-          className={`toolbar-button ${aiPanelOpen ? 'active' : ''}`}
-          onClick={onToggleAI}
-          title="AI Assistant (⌘K)"
-          aria-label="Toggle AI Assistant"
-          aria-pressed={aiPanelOpen}
-        >
-          <svg className="toolbar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-            <path d="M12 2L15 8.5L22 9L17 14L18.5 21L12 17.5L5.5 21L7 14L2 9L9 8.5L12 2Z" fill="currentColor" stroke="currentColor"/>
-          </svg>
-          <span className="toolbar-label">AI Assistant</span>
-        </button>
+        {onToggleAI && (
+          <button
+            className={`toolbar-button ${aiPanelOpen ? 'active' : ''}`}
+            onClick={onToggleAI}
+            title="AI Assistant (⌘K)"
+            aria-label="Toggle AI Assistant"
+            aria-pressed={aiPanelOpen}
+          >
+            <svg className="toolbar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M12 2L15 8.5L22 9L17 14L18.5 21L12 17.5L5.5 21L7 14L2 9L9 8.5L12 2Z" fill="currentColor" stroke="currentColor"/>
+            </svg>
+            <span className="toolbar-label">AI Assistant</span>
+          </button>
+        )}
 
         {/* Comments button */}
         <button
@@ -172,6 +242,88 @@ const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen
           <span className="toolbar-label">Layers</span>
         </button>
 
+        {/* Inspector button */}
+        <button
+          className={`toolbar-button ${inspectorPanelOpen ? 'active' : ''}`}
+          onClick={onToggleInspector}
+          title="Toggle inspector panel"
+          aria-label="Toggle inspector panel"
+          aria-pressed={inspectorPanelOpen}
+        >
+          <svg className="toolbar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <line x1="4" y1="6" x2="20" y2="6" />
+            <line x1="4" y1="12" x2="20" y2="12" />
+            <line x1="4" y1="18" x2="20" y2="18" />
+            <circle cx="9" cy="6" r="2" fill="currentColor" />
+            <circle cx="15" cy="12" r="2" fill="currentColor" />
+            <circle cx="7" cy="18" r="2" fill="currentColor" />
+          </svg>
+          <span className="toolbar-label">Inspector</span>
+        </button>
+
+        {/* Snapping options */}
+        {!readOnly && (
+          <div className="toolbar-export" ref={snapButtonRef}>
+            <button
+              className={`toolbar-button ${showSnapMenu ? 'active' : ''}`}
+              onClick={() => setShowSnapMenu(!showSnapMenu)}
+              title="Snapping options"
+              aria-label="Snapping options"
+              aria-expanded={showSnapMenu}
+            >
+              <svg className="toolbar-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M6 3v8a6 6 0 0 0 12 0V3" />
+                <line x1="6" y1="7" x2="10" y2="7" />
+                <line x1="14" y1="7" x2="18" y2="7" />
+                <line x1="10" y1="3" x2="10" y2="11" />
+                <line x1="14" y1="3" x2="14" y2="11" />
+              </svg>
+              <span className="toolbar-label">Snap</span>
+            </button>
+
+            {showSnapMenu && (
+              <div className="export-dropdown snap-dropdown" role="group" aria-label="Snapping">
+                <label className="snap-option">
+                  <input
+                    type="checkbox"
+                    checked={snapSettings.grid}
+                    onChange={(e) => actions.setSnapSettings({ grid: e.target.checked })}
+                  />
+                  Snap to grid
+                </label>
+                <label className="snap-option">
+                  Grid size
+                  <select
+                    value={snapSettings.gridSize}
+                    onChange={(e) => actions.setSnapSettings({ gridSize: Number(e.target.value) })}
+                  >
+                    {GRID_SIZES.map(size => (
+                      <option key={size} value={size}>{size}px</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="snap-option">
+                  <input
+                    type="checkbox"
+                    checked={snapSettings.guides}
+                    onChange={(e) => actions.setSnapSettings({ guides: e.target.checked })}
+                  />
+                  Smart guides
+                </label>
+                <label className="snap-option">
+                  <input
+                    type="checkbox"
+                    checked={snapSettings.rulers}
+                    onChange={(e) => actions.setSnapSettings({ rulers: e.target.checked })}
+                  />
+                  Rulers and guides
+                </label>
+                <p className="snap-hint">Hold Ctrl/⌘ while dragging to turn snapping off</p>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Export button with dropdown */}
         <div className="toolbar-export" ref={exportButtonRef}>
           <button
@@ -211,7 +363,9 @@ const Toolbar = ({ onToggleLayers, onToggleAI, onToggleComments, layersPanelOpen
       </div>
       
       <div className="toolbar-hint" aria-live="polite">
-        {currentTool === 'pan' ? (
+        {readOnly ? (
+          <span>View only - you can&apos;t edit this board</span>
+        ) : currentTool === 'pan' ? (
           <span>Drag to pan canvas</span>
         ) : currentTool ? (
           <span>Click on canvas to add {currentTool}</span>
@@ -112,8 +112,8 @@ describe('Canvas Keyboard Shortcuts', () => {
       // Fire copy event
       fireEvent.keyDown(window, { key: 'c', metaKey: true });
       
-      // Fire paste event
-      fireEvent.keyDown(window, { key: 'v', metaKey: true });
+      // Fire paste event (shapes are pasted from the browser's paste event)
+      fireEvent.paste(window);
       
       // Verify that the keyboard handler was set up
       expect(container).toBeInTheDocument();
@@ -141,7 +141,7 @@ describe('Canvas Keyboard Shortcuts', () => {
       });
 
       // Fire paste event with empty clipboard
-      fireEvent.keyDown(window, { key: 'v', metaKey: true });
+      fireEvent.paste(window);
       
       // Should not throw error
       expect(true).toBe(true);
@@ -71,6 +71,72 @@ describe('ColorPicker', () => {
     expect(picker).toHaveStyle({ left: '200px', top: '300px' });
   });
 
+  it('shows preset colors above the palette when given', () => {
+    const onSelectColor = jest.fn();
+    render(
+      <ColorPicker
+        {...defaultProps}
+        onSelectColor={onSelectColor}
+        presetColors={['#FFF59D', '#F8BBD0']}
+        presetLabel="Sticky colors"
+      />
+    );
+
+    expect(screen.getByText('Sticky colors')).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Select sticky colors #F8BBD0'));
+    expect(onSelectColor).toHaveBeenCalledWith('#F8BBD0');
+  });
+
+  it('has no preset section by default', () => {
+    render(<ColorPicker {...defaultProps} />);
+
+    expect(document.querySelector('.color-picker__grid--presets')).toBeNull();
+  });
+
+  it('has no gradient tab unless gradients are supported', () => {
+    render(<ColorPicker {...defaultProps} />);
+
+    expect(screen.queryByRole('tab', { name: 'Gradient' })).not.toBeInTheDocument();
+  });
+
+  it('edits and applies a gradient', () => {
+    const onSelectGradient = jest.fn();
+    const onClose = jest.fn();
+    render(
+      <ColorPicker
+        {...defaultProps}
+        onClose={onClose}
+        onSelectGradient={onSelectGradient}
+        currentColor="#FF6B6B"
+      />
+    );
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Gradient' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Radial' }));
+    fireEvent.click(screen.getByLabelText('Stop 2 at 100%'));
+    fireEvent.click(screen.getByLabelText('Set stop color #1D3557'));
+    fireEvent.click(screen.getByLabelText('Add stop'));
+    fireEvent.click(screen.getByText('Apply gradient'));
+
+    expect(onSelectGradient).toHaveBeenCalledWith({
+      type: 'radial',
+      stops: [
+        { offset: 0, color: '#FF6B6B' },
+        { offset: 1, color: '#1D3557' },
+        { offset: 0.5, color: '#1D3557' },
+      ],
+    });
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('opens on the gradient tab for a shape with a gradient', () => {
+    const gradient = { type: 'linear', angle: 45, stops: [{ offset: 0, color: '#fff' }, { offset: 1, color: '#000' }] };
+    render(<ColorPicker {...defaultProps} onSelectGradient={jest.fn()} gradient={gradient} />);
+
+    expect(screen.getByRole('tab', { name: 'Gradient' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByLabelText('Gradient angle')).toHaveValue('45');
+  });
+
   it('has appropriate accessibility attributes', () => {
     render(<ColorPicker {...defaultProps} />);
     
@@ -64,7 +64,7 @@ function Comment({ comment, currentUserId, onDelete }) {
  * Comments Panel
  */
 export default function CommentsPanel() {
-  const { isPanelOpen, closePanel, comments, addComment, removeComment, isLoading, commentCount } = useComments();
+  const { isPanelOpen, closePanel, comments, addComment, removeComment, isLoading, commentCount, canComment } = useComments();
   const { user } = useAuth();
   const panelRef = useRef(null);
   const messagesEndRef = useRef(null);
@@ -219,36 +219,40 @@ export default function CommentsPanel() {
       </div>
 
       <div className="comments-panel__footer">
-        <form onSubmit={handleSubmit}>
-          <textarea
-            ref={inputRef}
-            className="comments-panel__input"
-            placeholder="Add a comment..."
-            value={inputText}
-            onChange={(e) => setInputText(e.target.value)}
-            onKeyDown={handleKeyDown}
-            rows={2}
-            maxLength={500}
-            disabled={isSubmitting}
-          />
-          <div className="comments-panel__actions">
-            <span className="comments-panel__char-count">
-              {inputText.length}/500
-            </span>
-            <button
-              type="submit"
-              className="comments-panel__send-button"
-              disabled={!inputText.trim() || isSubmitting}
-              aria-label="Send comment"
-            >
-              {isSubmitting ? (
-                <div className="comments-panel__spinner--small" />
-              ) : (
-                '➤'
-              )}
-            </button>
-          </div>
-        </form>
+        {!canComment ? (
+          <p className="comments-panel__read-only">You have view-only access to this board.</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <textarea
+              ref={inputRef}
+              className="comments-panel__input"
+              placeholder="Add a comment..."
+              value={inputText}
+              onChange={(e) => setInputText(e.target.value)}
+              onKeyDown={handleKeyDown}
+              rows={2}
+              maxLength={500}
+              disabled={isSubmitting}
+            />
+            <div className="comments-panel__actions">
+              <span className="comments-panel__char-count">
+                {inputText.length}/500
+              </span>
+              <button
+                type="submit"
+                className="comments-panel__send-button"
+                disabled={!inputText.trim() || isSubmitting}
+                aria-label="Send comment"
+              >
+                {isSubmitting ? (
+                  <div className="comments-panel__spinner--small" />
+                ) : (
+                  '➤'
+                )}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,337 @@
+/**
+ * ShareDialog - Owner controls for who can open the board
+ * Invite by email, create expiring share links, and manage current members
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import toast from 'react-hot-toast';
+import { useBoard } from '../../hooks/useBoard';
+import {
+  inviteByEmail,
+  revokeInvite,
+  createShareLink,
+  revokeShareLink,
+  updateMemberRole,
+  removeMember,
+  subscribeToInvites,
+  subscribeToShareLinks,
+} from '../../services/shareService';
+import { setBoardPublic } from '../../services/boardService';
+import { buildPublicViewPath } from '../../utils/boardRoutes';
+import { BOARD_ROLES, ROLE_LABELS } from '../../utils/boardRoles';
+import {
+  SHAREABLE_ROLES,
+  SHARE_LINK_EXPIRY_OPTIONS,
+  buildShareUrl,
+  formatShareLinkExpiry,
+  getBoardMembers,
+  isBoardMemberEmail,
+  isShareLinkExpired,
+  normalizeEmail,
+} from '../../utils/boardSharing';
+import { getColorForUser } from '../../utils/cursorColors';
+import UserAvatar from './UserAvatar';
+import './ShareDialog.css';
+
+const DEFAULT_EXPIRY_INDEX = 1; // 7 days
+
+const RoleSelect = ({ value, onChange, disabled, label }) => (
+  <select
+    className="share-dialog__role-select"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    aria-label={label}
+  >
+    {SHAREABLE_ROLES.map(role => (
+      <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+    ))}
+  </select>
+);
+
+const ShareDialog = ({ isOpen, onClose }) => {
+  const { boardId, board } = useBoard();
+  const dialogRef = useRef(null);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState(BOARD_ROLES.EDITOR);
+  const [linkRole, setLinkRole] = useState(BOARD_ROLES.VIEWER);
+  const [linkExpiryIndex, setLinkExpiryIndex] = useState(DEFAULT_EXPIRY_INDEX);
+  const [invites, setInvites] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Pending invites and links are only loaded while the dialog is open
+  useEffect(() => {
+    if (!isOpen || !boardId) return;
+
+    const unsubscribeInvites = subscribeToInvites({
+      boardId,
+      onChange: setInvites,
+      onError: () => toast.error('Failed to load invites'),
+    });
+    const unsubscribeLinks = subscribeToShareLinks({
+      boardId,
+      onChange: setLinks,
+      onError: () => toast.error('Failed to load share links'),
+    });
+
+    return () => {
+      unsubscribeInvites();
+      unsubscribeLinks();
+    };
+  }, [isOpen, boardId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    dialogRef.current?.querySelector('input')?.focus();
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const members = getBoardMembers(board);
+  const now = Date.now();
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(boardId, token, window.location.origin));
+      toast.success('Link copied to clipboard');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const email = normalizeEmail(inviteEmail);
+    if (isBoardMemberEmail(board, email)) {
+      toast.error(`${email} is already a member`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await inviteByEmail(boardId, { email, role: inviteRole, boardName: board?.name ?? null });
+      toast.success(`Invited ${email}`);
+      setInviteEmail('');
+    } catch {
+      // Service already surfaced the error
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCreateLink = async () => {
+    setIsSubmitting(true);
+    try {
+      const { token } = await createShareLink(boardId, {
+        role: linkRole,
+        expiresInMs: SHARE_LINK_EXPIRY_OPTIONS[linkExpiryIndex].ms,
+      });
+      await copyLink(token);
+    } catch {
+      // Service already surfaced the error
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const copyPublicLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${buildPublicViewPath(boardId)}`);
+      toast.success('View link copied to clipboard');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleRemoveMember = (member) => {
+    if (!window.confirm(`Remove ${member.name} from this board?`)) return;
+    removeMember(boardId, member.userId).catch(() => {});
+  };
+
+  return createPortal(
+    <div className="share-dialog-overlay" onClick={onClose}>
+      <div
+        className="share-dialog"
+        onClick={(e) => e.stopPropagation()}
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="share-dialog-title"
+      >
+        <div className="share-dialog__header">
+          <h2 id="share-dialog-title">Share &ldquo;{board?.name}&rdquo;</h2>
+          <button className="share-dialog__close" onClick={onClose} aria-label="Close share dialog">
+            ×
+          </button>
+        </div>
+
+        <div className="share-dialog__content">
+          <section className="share-dialog__section" aria-label="Invite by email">
+            <h3 className="share-dialog__section-title">Invite by email</h3>
+            <form className="share-dialog__row" onSubmit={handleInvite}>
+              <input
+                type="email"
+                className="share-dialog__input"
+                placeholder="name@example.com"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                disabled={isSubmitting}
+                required
+              />
+              <RoleSelect value={inviteRole} onChange={setInviteRole} disabled={isSubmitting} label="Invite role" />
+              <button type="submit" className="share-dialog__primary" disabled={isSubmitting || !inviteEmail.trim()}>
+                Invite
+              </button>
+            </form>
+            <p className="share-dialog__hint">
+              They join when they open this board signed in with that email; it also appears on their dashboard.
+            </p>
+            {invites.length > 0 && (
+              <ul className="share-dialog__list">
+                {invites.map(invite => (
+                  <li key={invite.email} className="share-dialog__item">
+                    <span className="share-dialog__item-main">{invite.email}</span>
+                    <span className="share-dialog__item-meta">{ROLE_LABELS[invite.role]} · Pending</span>
+                    <button
+                      className="share-dialog__remove"
+                      onClick={() => revokeInvite(boardId, invite.email).catch(() => {})}
+                      aria-label={`Cancel invite for ${invite.email}`}
+                      title="Cancel invite"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="share-dialog__section" aria-label="Share links">
+            <h3 className="share-dialog__section-title">Share links</h3>
+            <div className="share-dialog__row">
+              <RoleSelect value={linkRole} onChange={setLinkRole} disabled={isSubmitting} label="Link role" />
+              <select
+                className="share-dialog__role-select"
+                value={linkExpiryIndex}
+                onChange={(e) => setLinkExpiryIndex(Number(e.target.value))}
+                disabled={isSubmitting}
+                aria-label="Link expires after"
+              >
+                {SHARE_LINK_EXPIRY_OPTIONS.map((option, index) => (
+                  <option key={option.label} value={index}>
+                    {option.ms ? `Expires after ${option.label}` : 'Never expires'}
+                  </option>
+                ))}
+              </select>
+              <button className="share-dialog__primary" onClick={handleCreateLink} disabled={isSubmitting}>
+                Create link
+              </button>
+            </div>
+            <p className="share-dialog__hint">
+              Anyone signed in who opens a link joins with its role. Revoking a link doesn&apos;t remove people who already joined.
+            </p>
+            {links.length > 0 && (
+              <ul className="share-dialog__list">
+                {links.map(link => {
+                  const expired = isShareLinkExpired(link, now);
+                  return (
+                    <li
+                      key={link.token}
+                      className={`share-dialog__item ${expired ? 'share-dialog__item--expired' : ''}`}
+                    >
+                      <span className="share-dialog__item-main">{ROLE_LABELS[link.role]} link</span>
+                      <span className="share-dialog__item-meta">{formatShareLinkExpiry(link.expiresAt, now)}</span>
+                      {!expired && (
+                        <button className="share-dialog__secondary" onClick={() => copyLink(link.token)}>
+                          Copy
+                        </button>
+                      )}
+                      <button
+                        className="share-dialog__remove"
+                        onClick={() => revokeShareLink(boardId, link.token).catch(() => {})}
+                        aria-label={`Revoke ${ROLE_LABELS[link.role]} link`}
+                        title="Revoke link"
+                      >
+                        ×
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+
+          <section className="share-dialog__section" aria-label="Public view">
+            <h3 className="share-dialog__section-title">Public view</h3>
+            <div className="share-dialog__row">
+              <label className="share-dialog__toggle">
+                <input
+                  type="checkbox"
+                  checked={!!board?.isPublic}
+                  onChange={(e) => setBoardPublic(boardId, e.target.checked).catch(() => {})}
+                />
+                Anyone with the view link can see this board without signing in
+              </label>
+              {board?.isPublic && (
+                <button className="share-dialog__secondary" onClick={copyPublicLink}>
+                  Copy view link
+                </button>
+              )}
+            </div>
+            <p className="share-dialog__hint">
+              The public view is read-only: pan and zoom, no comments, cursors or presence.
+            </p>
+          </section>
+
+          <section className="share-dialog__section" aria-label="Members">
+            <h3 className="share-dialog__section-title">Members ({members.length})</h3>
+            <ul className="share-dialog__list">
+              {members.map(member => (
+                <li key={member.userId} className="share-dialog__item">
+                  <UserAvatar name={member.name} color={getColorForUser(member.userId)} size={28} />
+                  <span className="share-dialog__item-main">
+                    {member.name}
+                    {member.email && <span className="share-dialog__item-email">{member.email}</span>}
+                  </span>
+                  {member.role === BOARD_ROLES.OWNER ? (
+                    <span className="share-dialog__item-meta">{ROLE_LABELS[BOARD_ROLES.OWNER]}</span>
+                  ) : (
+                    <>
+                      <RoleSelect
+                        value={member.role}
+                        onChange={(role) => updateMemberRole(boardId, member.userId, role).catch(() => {})}
+                        label={`Role for ${member.name}`}
+                      />
+                      <button
+                        className="share-dialog__remove"
+                        onClick={() => handleRemoveMember(member)}
+                        aria-label={`Remove ${member.name}`}
+                        title="Remove from board"
+                      >
+                        ×
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,22 @@
+/**
+ * BoardAccessDenied - Shown when the board doesn't exist or the user isn't a member
+ */
+
+import './BoardAccessDenied.css';
+
+const BoardAccessDenied = ({ onOpenDashboard }) => {
+  return (
+    <div className="board-access-denied" role="alert">
+      <h2>Board unavailable</h2>
+      <p>This board doesn&apos;t exist or you don&apos;t have access to it.</p>
+      <p className="board-access-denied__hint">Ask the board owner to invite you.</p>
+      {onOpenDashboard && (
+        <button className="board-access-denied__button" onClick={onOpenDashboard}>
+          Back to your boards
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default BoardAccessDenied;
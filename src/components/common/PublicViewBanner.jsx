@@ -0,0 +1,23 @@
+/**
+ * PublicViewBanner - Labels the signed-out public view of a board
+ * Members who happen to be signed in can jump to the full editor
+ */
+
+import './PublicViewBanner.css';
+
+const PublicViewBanner = ({ boardName, onOpenInEditor }) => {
+  return (
+    <div className="public-view-banner" role="status">
+      <span className="public-view-banner__text">
+        <strong>{boardName}</strong> &middot; View only
+      </span>
+      {onOpenInEditor && (
+        <button className="public-view-banner__button" onClick={onOpenInEditor}>
+          Open in editor
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PublicViewBanner;
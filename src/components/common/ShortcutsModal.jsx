@@ -50,18 +50,22 @@ const ShortcutsModal = ({ isOpen, onClose }) => {
     { key: 'H', description: 'Switch to pan mode' },
     { key: 'Click', description: 'Select single shape' },
     { key: 'Shift/Cmd + Click', description: 'Add/remove shape from selection' },
+    { key: 'Ctrl/Cmd + Click', description: 'Follow the link of a linked shape' },
     { key: 'Click + Drag (empty area)', description: 'Lasso select multiple shapes' },
     { key: 'Delete / Backspace', description: 'Delete selected shape(s)' },
     { key: 'Cmd/Ctrl + C', description: 'Copy selected shape(s)' },
     { key: 'Cmd/Ctrl + V', description: 'Paste shape(s)' },
     { key: 'Cmd/Ctrl + D', description: 'Duplicate selected shape(s)' },
+    { key: 'Cmd/Ctrl + G', description: 'Group selected shapes' },
+    { key: 'Cmd/Ctrl + Shift + G', description: 'Ungroup selected group(s)' },
+    { key: 'Cmd/Ctrl + Alt + K', description: 'Create component from selection' },
     { key: 'Cmd/Ctrl + Z', description: 'Undo last action' },
     { key: 'Cmd/Ctrl + Shift + Z', description: 'Redo last undone action' },
     { key: 'Cmd/Ctrl + Shift + C', description: 'Add/view comments on selected shape' },
     { key: 'Cmd/Ctrl + K', description: 'Toggle AI Assistant panel' },
     { key: 'Arrow Keys', description: 'Move selected shape(s) (5px)' },
     { key: 'Shift + Arrows', description: 'Move selected shape(s) (20px)' },
-    { key: 'Double-click', description: 'Edit text or change shape color' },
+    { key: 'Double-click', description: 'Edit text or a table cell, change shape color, or enter a group' },
     { key: 'Drag handles', description: 'Resize/rotate selected shape(s)' },
     { key: 'Click + Drag', description: 'Pan canvas (in select mode)' },
     { key: 'Scroll', description: 'Zoom in/out' },
@@ -73,6 +77,9 @@ const ShortcutsModal = ({ isOpen, onClose }) => {
     { key: 'Cmd/Ctrl + Shift + B', description: 'Align Bottom (2+ shapes)' },
     { key: 'Cmd/Ctrl + Shift + H', description: 'Distribute Horizontally (3+ shapes)' },
     { key: 'Cmd/Ctrl + Shift + V', description: 'Distribute Vertically (3+ shapes)' },
+    { key: 'Cmd/Ctrl + Alt + H / V', description: 'Stack in a Row / Column (2+ shapes)' },
+    { key: 'Cmd/Ctrl + Alt + Shift + T', description: 'Tidy Up into a Grid (2+ shapes)' },
+    { key: 'Cmd/Ctrl + Alt + Shift + W / H', description: 'Match Width / Height (2+ shapes)' },
     { key: '?', description: 'Show this help' },
   ];
 
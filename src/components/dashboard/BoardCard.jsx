@@ -0,0 +1,160 @@
+/**
+ * BoardCard - Single board tile on the dashboard
+ * Shows thumbnail, name and last-edited time, with rename/duplicate/archive/delete actions
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { formatLastEdited } from '../../utils/boardList';
+import { ROLE_LABELS } from '../../utils/boardRoles';
+import './BoardCard.css';
+
+const BoardCard = ({
+  board,
+  lastEditedAt,
+  role,
+  isOwner,
+  isBusy = false,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onToggleArchive,
+  onDelete,
+}) => {
+  const [showMenu, setShowMenu] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [nameInput, setNameInput] = useState(board.name);
+  const menuRef = useRef(null);
+  const inputRef = useRef(null);
+  const cancelRenameRef = useRef(false);
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setShowMenu(false);
+      }
+    };
+
+    if (showMenu) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [showMenu]);
+
+  useEffect(() => {
+    if (isRenaming) {
+      inputRef.current?.focus();
+      inputRef.current?.select();
+    }
+  }, [isRenaming]);
+
+  const handleAction = (action) => {
+    setShowMenu(false);
+    action();
+  };
+
+  const startRename = () => {
+    cancelRenameRef.current = false;
+    setNameInput(board.name);
+    setIsRenaming(true);
+  };
+
+  // Blur commits the rename; Enter and Escape both end editing via blur
+  const commitRename = () => {
+    setIsRenaming(false);
+    if (cancelRenameRef.current) return;
+    const trimmed = nameInput.trim();
+    if (trimmed && trimmed !== board.name) {
+      onRename(trimmed);
+    }
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      cancelRenameRef.current = true;
+      inputRef.current?.blur();
+    }
+  };
+
+  return (
+    <div className={`board-card ${board.archived ? 'board-card--archived' : ''} ${isBusy ? 'board-card--busy' : ''}`}>
+      <button
+        className="board-card__preview"
+        onClick={onOpen}
+        aria-label={`Open board ${board.name}`}
+        disabled={isBusy}
+      >
+        {board.thumbnail ? (
+          <img className="board-card__thumbnail" src={board.thumbnail} alt="" />
+        ) : (
+          <span className="board-card__placeholder" aria-hidden="true">
+            {board.name.charAt(0).toUpperCase()}
+          </span>
+        )}
+      </button>
+
+      <div className="board-card__body">
+        {isRenaming ? (
+          <form onSubmit={(e) => { e.preventDefault(); inputRef.current?.blur(); }}>
+            <input
+              ref={inputRef}
+              className="board-card__name-input"
+              value={nameInput}
+              onChange={(e) => setNameInput(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={handleRenameKeyDown}
+              maxLength={100}
+              aria-label="Board name"
+            />
+          </form>
+        ) : (
+          <button className="board-card__name" onClick={onOpen} title={board.name} disabled={isBusy}>
+            {board.name}
+          </button>
+        )}
+        <div className="board-card__meta">
+          <span>Edited {formatLastEdited(lastEditedAt ?? board.updatedAt)}</span>
+          {!isOwner && <span className="board-card__owner">· {board.ownerName}</span>}
+          {!isOwner && role && <span className="board-card__role">{ROLE_LABELS[role]}</span>}
+        </div>
+      </div>
+
+      <div className="board-card__actions" ref={menuRef}>
+        <button
+          className="board-card__menu-button"
+          onClick={() => setShowMenu(!showMenu)}
+          aria-label={`Board actions for ${board.name}`}
+          aria-expanded={showMenu}
+          aria-haspopup="menu"
+          disabled={isBusy}
+        >
+          ⋯
+        </button>
+        {showMenu && (
+          <div className="board-card__menu" role="menu">
+            {isOwner && (
+              <button role="menuitem" onClick={() => handleAction(startRename)}>Rename</button>
+            )}
+            <button role="menuitem" onClick={() => handleAction(onDuplicate)}>Duplicate</button>
+            {isOwner && (
+              <button role="menuitem" onClick={() => handleAction(onToggleArchive)}>
+                {board.archived ? 'Restore' : 'Archive'}
+              </button>
+            )}
+            {isOwner && (
+              <button
+                role="menuitem"
+                className="board-card__menu-item--danger"
+                onClick={() => handleAction(onDelete)}
+              >
+                Delete permanently
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BoardCard;
@@ -0,0 +1,220 @@
+/**
+ * BoardDashboard - Home screen listing the user's boards
+ * Boards the user owns and boards shared with them, with create/rename/duplicate/archive/delete
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  subscribeToUserBoards,
+  getBoardLastEditedAt,
+  createBoard,
+  renameBoard,
+  duplicateBoard,
+  setBoardArchived,
+  deleteBoard,
+} from '../../services/boardService';
+import { subscribeToMyInvites } from '../../services/shareService';
+import { groupBoards } from '../../utils/boardList';
+import { getBoardRole, ROLE_LABELS } from '../../utils/boardRoles';
+import Spinner from '../common/Spinner';
+import BoardCard from './BoardCard';
+import './BoardDashboard.css';
+
+const BoardDashboard = ({ onOpenBoard }) => {
+  const { user } = useAuth();
+  const [boards, setBoards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showArchived, setShowArchived] = useState(false);
+  const [lastEditedById, setLastEditedById] = useState({});
+  const [busyBoardIds, setBusyBoardIds] = useState(() => new Set());
+  const [isCreating, setIsCreating] = useState(false);
+  const [invites, setInvites] = useState([]);
+
+  // Subscribe to the user's boards
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    setLoading(true);
+    const unsubscribe = subscribeToUserBoards({
+      userId: user.uid,
+      onChange: (nextBoards) => {
+        setBoards(nextBoards);
+        setLoading(false);
+      },
+      onError: () => {
+        toast.error('Failed to load boards. Please refresh the page.');
+        setLoading(false);
+      },
+    });
+
+    return () => unsubscribe();
+  }, [user?.uid]);
+
+  // Pending email invites; opening the board accepts them
+  useEffect(() => {
+    if (!user?.email) return;
+
+    const unsubscribe = subscribeToMyInvites({
+      email: user.email,
+      onChange: setInvites,
+      onError: () => setInvites([]),
+    });
+
+    return () => unsubscribe();
+  }, [user?.email]);
+
+  // Last-edited comes from the newest shape on each board; fetch once per board
+  useEffect(() => {
+    const missing = boards.filter(board => !(board.id in lastEditedById));
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(
+      missing.map(board =>
+        getBoardLastEditedAt(board.id)
+          .then(time => [board.id, time])
+          .catch(() => [board.id, null])
+      )
+    ).then((entries) => {
+      if (cancelled) return;
+      setLastEditedById(prev => ({ ...prev, ...Object.fromEntries(entries) }));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [boards, lastEditedById]);
+
+  const { owned, shared } = useMemo(
+    () => groupBoards(boards, user?.uid, { showArchived, lastEditedById }),
+    [boards, user?.uid, showArchived, lastEditedById]
+  );
+
+  const withBusy = useCallback(async (boardId, action) => {
+    setBusyBoardIds(prev => new Set(prev).add(boardId));
+    try {
+      return await action();
+    } catch {
+      // Service already surfaced the error
+      return null;
+    } finally {
+      setBusyBoardIds(prev => {
+        const next = new Set(prev);
+        next.delete(boardId);
+        return next;
+      });
+    }
+  }, []);
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    try {
+      const { id } = await createBoard();
+      onOpenBoard(id);
+    } catch {
+      setIsCreating(false);
+    }
+  };
+
+  const handleDuplicate = (board) => withBusy(board.id, async () => {
+    await duplicateBoard(board.id);
+    toast.success(`Duplicated "${board.name}"`);
+  });
+
+  const handleDelete = (board) => {
+    if (!window.confirm(`Permanently delete "${board.name}"? This removes all shapes and comments and cannot be undone.`)) {
+      return;
+    }
+    withBusy(board.id, () => deleteBoard(board.id));
+  };
+
+  const renderCards = (list) => (
+    <div className="board-dashboard__grid">
+      {list.map(board => (
+        <BoardCard
+          key={board.id}
+          board={board}
+          lastEditedAt={lastEditedById[board.id]}
+          role={getBoardRole(board, user?.uid)}
+          isOwner={board.ownerId === user?.uid}
+          isBusy={busyBoardIds.has(board.id)}
+          onOpen={() => onOpenBoard(board.id)}
+          onRename={(name) => withBusy(board.id, () => renameBoard(board.id, name))}
+          onDuplicate={() => handleDuplicate(board)}
+          onToggleArchive={() => withBusy(board.id, () => setBoardArchived(board.id, !board.archived))}
+          onDelete={() => handleDelete(board)}
+        />
+      ))}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="app-loading">
+        <Spinner message="Loading boards..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="board-dashboard">
+      <div className="board-dashboard__toolbar">
+        <h2 className="board-dashboard__title">{showArchived ? 'Archived boards' : 'Boards'}</h2>
+        <label className="board-dashboard__toggle">
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+          />
+          Show archived
+        </label>
+        <button
+          className="board-dashboard__create"
+          onClick={handleCreate}
+          disabled={isCreating}
+        >
+          + New board
+        </button>
+      </div>
+
+      {invites.length > 0 && (
+        <section className="board-dashboard__section" aria-label="Invitations">
+          <h3 className="board-dashboard__section-title">Invitations</h3>
+          <ul className="board-dashboard__invites">
+            {invites.map(invite => (
+              <li key={invite.boardId} className="board-dashboard__invite">
+                <span className="board-dashboard__invite-text">
+                  <strong>{invite.invitedByName}</strong> invited you to{' '}
+                  <strong>{invite.boardName || 'a board'}</strong> as {ROLE_LABELS[invite.role]?.toLowerCase()}
+                </span>
+                <button className="board-dashboard__invite-open" onClick={() => onOpenBoard(invite.boardId)}>
+                  Open
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className="board-dashboard__section" aria-label="My boards">
+        <h3 className="board-dashboard__section-title">My boards</h3>
+        {owned.length > 0 ? renderCards(owned) : (
+          <p className="board-dashboard__empty">
+            {showArchived ? 'No archived boards.' : 'No boards yet. Create one to get started.'}
+          </p>
+        )}
+      </section>
+
+      {shared.length > 0 && (
+        <section className="board-dashboard__section" aria-label="Shared with me">
+          <h3 className="board-dashboard__section-title">Shared with me</h3>
+          {renderCards(shared)}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default BoardDashboard;
@@ -0,0 +1,135 @@
+/**
+ * BoardSwitcher - Header dropdown for moving between boards
+ * Lists recently visited boards, creates new boards, and opens a board by ID
+ */
+
+import { useState, useRef, useEffect } from 'react';
+import { getRecentBoards, generateBoardId, isValidBoardId } from '../../utils/boardRoutes';
+import './BoardSwitcher.css';
+
+const BoardSwitcher = ({ boardId, onSwitchBoard, onOpenDashboard }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [recentBoards, setRecentBoards] = useState([]);
+  const [boardIdInput, setBoardIdInput] = useState('');
+  const [inputError, setInputError] = useState('');
+  const containerRef = useRef(null);
+
+  // Refresh the recent list each time the menu opens
+  useEffect(() => {
+    if (isOpen) {
+      setRecentBoards(getRecentBoards());
+    }
+  }, [isOpen]);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  const switchTo = (nextBoardId) => {
+    onSwitchBoard(nextBoardId);
+    setIsOpen(false);
+    setBoardIdInput('');
+    setInputError('');
+  };
+
+  const handleOpenById = (e) => {
+    e.preventDefault();
+    const trimmed = boardIdInput.trim();
+    if (!isValidBoardId(trimmed)) {
+      setInputError('Use letters, numbers, "-" or "_" (max 64)');
+      return;
+    }
+    switchTo(trimmed);
+  };
+
+  return (
+    <div className="board-switcher" ref={containerRef}>
+      <button
+        className="board-switcher__trigger"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label="Switch board"
+        aria-expanded={isOpen}
+        aria-haspopup="menu"
+        title="Switch board"
+      >
+        <span className="board-switcher__current">{boardId}</span>
+        <span className="board-switcher__caret" aria-hidden="true">▾</span>
+      </button>
+
+      {isOpen && (
+        <div className="board-switcher__menu" role="menu">
+          {onOpenDashboard && (
+            <button
+              className="board-switcher__item"
+              onClick={() => {
+                setIsOpen(false);
+                onOpenDashboard();
+              }}
+              role="menuitem"
+            >
+              All boards
+            </button>
+          )}
+          <button
+            className="board-switcher__item board-switcher__item--new"
+            onClick={() => switchTo(generateBoardId())}
+            role="menuitem"
+          >
+            + New board
+          </button>
+
+          {recentBoards.length > 0 && (
+            <>
+              <div className="board-switcher__label">Recent boards</div>
+              {recentBoards.map((id) => (
+                <button
+                  key={id}
+                  className={`board-switcher__item ${id === boardId ? 'board-switcher__item--active' : ''}`}
+                  onClick={() => switchTo(id)}
+                  role="menuitem"
+                  aria-current={id === boardId ? 'page' : undefined}
+                >
+                  {id}
+                </button>
+              ))}
+            </>
+          )}
+
+          <form className="board-switcher__form" onSubmit={handleOpenById}>
+            <label className="board-switcher__label" htmlFor="board-switcher-input">
+              Open board by ID
+            </label>
+            <div className="board-switcher__form-row">
+              <input
+                id="board-switcher-input"
+                className="board-switcher__input"
+                type="text"
+                value={boardIdInput}
+                onChange={(e) => {
+                  setBoardIdInput(e.target.value);
+                  setInputError('');
+                }}
+                placeholder="board-id"
+                maxLength={64}
+              />
+              <button type="submit" className="board-switcher__go">Go</button>
+            </div>
+            {inputError && <div className="board-switcher__error" role="alert">{inputError}</div>}
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardSwitcher;
@@ -1,6 +1,7 @@
 import { useAuth } from '../../context/AuthContext';
 import LoginButton from '../auth/LoginButton';
 import UserAvatar from '../collaboration/UserAvatar';
+import BoardSwitcher from './BoardSwitcher';
 import './Header.css';
 import { useState, useEffect } from 'react';
 import { realtimeDB } from '../../services/firebase';
@@ -20,7 +21,7 @@ const getConnectionStatusTooltip = (state) => {
   return tooltips[state.status] || 'Connection status unknown';
 };
 
-const Header = ({ onMenuToggle, showMenuButton = true, onOpenShortcuts }) => {
+const Header = ({ onMenuToggle, showMenuButton = true, onOpenShortcuts, boardId, onSwitchBoard, onOpenDashboard, onOpenShare }) => {
   const { user } = useAuth();
   const [connectionState, setConnectionState] = useState(
     navigator.onLine ? CONNECTION_STATES.CONNECTED : CONNECTION_STATES.OFFLINE
@@ -112,8 +113,21 @@ const Header = ({ onMenuToggle, showMenuButton = true, onOpenShortcuts }) => {
         )}
         <img src="/logo.svg" alt="CollabCanvas logo" className="header__logo" />
         <h1 className="header__title">CollabCanvas</h1>
+        {user && boardId && onSwitchBoard && (
+          <BoardSwitcher boardId={boardId} onSwitchBoard={onSwitchBoard} onOpenDashboard={onOpenDashboard} />
+        )}
       </div>
       <div className="header__right">
+        {onOpenShare && (
+          <button
+            className="header__share-button"
+            onClick={onOpenShare}
+            aria-label="Share board"
+            title="Invite people and manage access"
+          >
+            Share
+          </button>
+        )}
         {onOpenShortcuts && (
           <button
             className="header__help-button"
@@ -0,0 +1,255 @@
+/**
+ * InspectorPanel - Sidebar panel for exact position, size, rotation and style of the selection
+ * With several shapes selected each field shows their shared value, or "Mixed" when they differ;
+ * typing a value sets it on every selected shape that has the property, as one undo step.
+ * A single selected frame also gets its auto-layout settings.
+ */
+
+import { useState, useMemo } from 'react';
+import { useCanvas } from '../../context/CanvasContext';
+import { UpdateShapeCommand, BatchCommand } from '../../utils/commands';
+import {
+  INSPECTOR_SECTIONS,
+  INSPECTOR_LABELS,
+  TEXT_PROPERTY_OPTIONS,
+  COLOR_PROPERTIES,
+  supportsProperty,
+  getPropertyValue,
+  getInspectorTargets,
+  getPropertyChanges,
+} from '../../utils/inspector';
+import { getStyleUpdate, getCommonValue, MIXED } from '../../utils/shapeStyle';
+import { isFrame } from '../../utils/frames';
+import { LAYOUT_AXES } from '../../utils/alignment';
+import {
+  AUTO_LAYOUT_ALIGNS,
+  AUTO_LAYOUT_SIZING,
+  CHILD_SIZING,
+  normalizeAutoLayout,
+  getAutoLayoutChanges,
+} from '../../utils/autoLayout';
+import StylePanel from '../canvas/StylePanel';
+import './InspectorPanel.css';
+
+const ALIGN_LABELS = {
+  left: 'Left',
+  center: 'Center',
+  right: 'Right',
+  justify: 'Justify',
+};
+
+const AUTO_LAYOUT_FIELDS = {
+  direction: { label: 'Direction', options: Object.values(LAYOUT_AXES), labels: { horizontal: 'Row', vertical: 'Column' } },
+  align: { label: 'Align', options: Object.values(AUTO_LAYOUT_ALIGNS), labels: { start: 'Start', center: 'Center', end: 'End' } },
+  sizing: { label: 'Frame', options: Object.values(AUTO_LAYOUT_SIZING), labels: { hug: 'Hug', fixed: 'Fixed' } },
+  childSizing: { label: 'Children', options: Object.values(CHILD_SIZING), labels: { fixed: 'Fixed', fill: 'Fill' } },
+};
+
+const formatValue = (value) => (typeof value === 'number' ? String(Math.round(value * 100) / 100) : value ?? '');
+
+// Text input that commits on Enter or blur, and goes back to the shape's value on Escape
+const InspectorField = ({ name, label = INSPECTOR_LABELS[name], value, type = 'number', disabled, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+  const mixed = value === MIXED;
+  const shown = draft ?? (mixed ? '' : formatValue(value));
+
+  const commit = () => {
+    if (draft === null) return;
+    setDraft(null);
+    if (draft !== formatValue(value)) onCommit(draft);
+  };
+
+  return (
+    <label className="inspector-panel__field">
+      <span className="inspector-panel__label">{label}</span>
+      {COLOR_PROPERTIES.includes(name) && (
+        <span
+          className="inspector-panel__swatch"
+          style={{ backgroundColor: mixed ? 'transparent' : value }}
+          aria-hidden="true"
+        />
+      )}
+      <input
+        type={type === 'number' ? 'number' : 'text'}
+        className="inspector-panel__input"
+        value={shown}
+        placeholder={mixed ? 'Mixed' : ''}
+        disabled={disabled}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commit();
+          if (e.key === 'Escape') setDraft(null);
+        }}
+        aria-label={label}
+      />
+    </label>
+  );
+};
+
+const InspectorSelect = ({ name, label = INSPECTOR_LABELS[name], options = TEXT_PROPERTY_OPTIONS[name], value, labels, disabled, onCommit }) => (
+  <label className="inspector-panel__field">
+    <span className="inspector-panel__label">{label}</span>
+    <select
+      className="inspector-panel__input"
+      value={value}
+      disabled={disabled}
+      onChange={(e) => onCommit(e.target.value)}
+      aria-label={label}
+    >
+      {value === MIXED && <option value={MIXED} disabled>Mixed</option>}
+      {options.map(option => (
+        <option key={option} value={option}>{labels?.[option] ?? option}</option>
+      ))}
+    </select>
+  </label>
+);
+
+const InspectorPanel = ({ isOpen, onClose }) => {
+  const { state, firestoreActions, commandActions, readOnly } = useCanvas();
+  const { shapes, selectedIds } = state;
+
+  const targets = useMemo(() => getInspectorTargets(shapes, selectedIds), [shapes, selectedIds]);
+
+  // Write every shape's updates as one undoable step
+  const executeChanges = (changes, description) => {
+    if (changes.length === 0) return;
+    const commands = changes.map(({ id, oldState, newState }) => (
+      new UpdateShapeCommand(id, oldState, newState, firestoreActions)
+    ));
+    commandActions.executeCommand(commands.length > 1 ? new BatchCommand(commands, description) : commands[0]);
+  };
+
+  const handlePropertyChange = (key, value) => {
+    executeChanges(getPropertyChanges(shapes, targets, key, value), `Set ${INSPECTOR_LABELS[key].toLowerCase()}`);
+  };
+
+  const handleStyleChange = (changes) => {
+    executeChanges(targets.flatMap((shape) => {
+      const updates = getStyleUpdate(shape, changes);
+      if (!updates) return [];
+      const oldState = Object.fromEntries(Object.keys(updates).map(key => [key, shape[key] ?? null]));
+      return [{ id: shape.id, oldState, newState: updates }];
+    }), 'Change appearance');
+  };
+
+  // Turns auto layout on ({}), changes its settings, or turns it off (null); undone with the re-flow
+  const handleAutoLayoutChange = (frame, changes) => {
+    executeChanges(getAutoLayoutChanges(shapes, frame, changes), 'Change auto layout');
+  };
+
+  if (!isOpen) return null;
+
+  const renderAutoLayoutSection = (frame) => {
+    const layout = frame.autoLayout ? normalizeAutoLayout(frame.autoLayout) : null;
+    const commit = key => next => handleAutoLayoutChange(frame, { [key]: next });
+    const commitNumber = key => (next) => {
+      if (next.trim() !== '' && Number.isFinite(Number(next))) handleAutoLayoutChange(frame, { [key]: Number(next) });
+    };
+
+    return (
+      <section className="inspector-panel__section" aria-label="Auto layout">
+        <h4 className="inspector-panel__section-title">Auto layout</h4>
+        {layout && (
+          <div className="inspector-panel__grid">
+            <InspectorSelect name="direction" {...AUTO_LAYOUT_FIELDS.direction} value={layout.direction} disabled={readOnly} onCommit={commit('direction')} />
+            <InspectorSelect name="align" {...AUTO_LAYOUT_FIELDS.align} value={layout.align} disabled={readOnly} onCommit={commit('align')} />
+            <InspectorField name="padding" label="Padding" value={layout.padding} disabled={readOnly} onCommit={commitNumber('padding')} />
+            <InspectorField name="gap" label="Gap" value={layout.gap} disabled={readOnly} onCommit={commitNumber('gap')} />
+            <InspectorSelect name="sizing" {...AUTO_LAYOUT_FIELDS.sizing} value={layout.sizing} disabled={readOnly} onCommit={commit('sizing')} />
+            <InspectorSelect name="childSizing" {...AUTO_LAYOUT_FIELDS.childSizing} value={layout.childSizing} disabled={readOnly} onCommit={commit('childSizing')} />
+          </div>
+        )}
+        {!readOnly && (
+          <button
+            type="button"
+            className="inspector-panel__button"
+            onClick={() => handleAutoLayoutChange(frame, layout ? null : {})}
+          >
+            {layout ? 'Remove auto layout' : 'Add auto layout'}
+          </button>
+        )}
+      </section>
+    );
+  };
+
+  const renderSection = (title, keys) => {
+    const fields = keys
+      .map(key => ({ key, shapes: targets.filter(shape => supportsProperty(shape, key)) }))
+      .filter(field => field.shapes.length > 0);
+    if (fields.length === 0) return null;
+
+    return (
+      <section className="inspector-panel__section" aria-label={title}>
+        <h4 className="inspector-panel__section-title">{title}</h4>
+        <div className="inspector-panel__grid">
+          {fields.map(({ key, shapes: fieldShapes }) => {
+            const value = getCommonValue(fieldShapes, shape => getPropertyValue(shape, key));
+            const commit = (next) => handlePropertyChange(key, next);
+            if (TEXT_PROPERTY_OPTIONS[key]) {
+              return (
+                <InspectorSelect
+                  key={key}
+                  name={key}
+                  value={value}
+                  labels={key === 'align' ? ALIGN_LABELS : null}
+                  disabled={readOnly}
+                  onCommit={commit}
+                />
+              );
+            }
+            return (
+              <InspectorField
+                key={key}
+                name={key}
+                value={value}
+                type={COLOR_PROPERTIES.includes(key) ? 'text' : 'number'}
+                disabled={readOnly}
+                onCommit={commit}
+              />
+            );
+          })}
+        </div>
+      </section>
+    );
+  };
+
+  return (
+    <div className="inspector-panel" role="complementary" aria-label="Inspector Panel">
+      <div className="inspector-panel__header">
+        <h3 className="inspector-panel__title">Inspector</h3>
+        <button
+          className="inspector-panel__close"
+          onClick={onClose}
+          aria-label="Close inspector panel"
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+
+      <div className="inspector-panel__content">
+        {targets.length === 0 ? (
+          <div className="inspector-panel__empty">
+            <p>Nothing selected</p>
+            <p className="inspector-panel__hint">Select shapes to edit their properties</p>
+          </div>
+        ) : (
+          <>
+            {targets.length > 1 && (
+              <p className="inspector-panel__count">{targets.length} shapes</p>
+            )}
+            {renderSection('Layout', INSPECTOR_SECTIONS.LAYOUT)}
+            {targets.length === 1 && isFrame(targets[0]) && renderAutoLayoutSection(targets[0])}
+            {renderSection('Color', INSPECTOR_SECTIONS.COLOR)}
+            {renderSection('Text', INSPECTOR_SECTIONS.TEXT)}
+            {!readOnly && <StylePanel shapes={targets} onStyleChange={handleStyleChange} embedded />}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InspectorPanel;
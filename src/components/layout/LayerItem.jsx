@@ -6,6 +6,8 @@
 import { useState } from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { isStrokeShape } from '../../utils/paths';
+import { getShapeName } from '../../utils/shapeNames';
 import './LayerItem.css';
 
 // Shape type icons (SVG components)
@@ -20,11 +22,83 @@ const SHAPE_ICONS = {
       <circle cx="12" cy="12" r="10"/>
     </svg>
   ),
+  ellipse: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <ellipse cx="12" cy="12" rx="10" ry="6"/>
+    </svg>
+  ),
+  polygon: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M12 2l8.7 5v10L12 22l-8.7-5V7z"/>
+    </svg>
+  ),
+  star: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M12 2l3 6.6 7 .7-5.4 4.7 1.6 7-6.2-3.7L5.8 21l1.6-7L2 9.3l7-.7z"/>
+    </svg>
+  ),
   triangle: () => (
     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
       <path d="M12 2L2 22h20z"/>
     </svg>
   ),
+  line: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M5 19L19 5"/>
+    </svg>
+  ),
+  arrow: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M5 19L19 5"/>
+      <path d="M10 5h9v9"/>
+    </svg>
+  ),
+  path: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M4 18c3-6 5 2 8-4s5-6 8-8"/>
+    </svg>
+  ),
+  image: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+      <circle cx="8.5" cy="8.5" r="1.5"/>
+      <path d="M21 15l-5-5L5 21"/>
+    </svg>
+  ),
+  frame: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M7 3v18M17 3v18M3 7h18M3 17h18"/>
+    </svg>
+  ),
+  table: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="3" y="4" width="18" height="16" rx="1"/>
+      <path d="M3 10h18M3 15h18M9 4v16M15 4v16"/>
+    </svg>
+  ),
+  component: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M12 2l4 4-4 4-4-4zM18 8l4 4-4 4-4-4zM6 8l4 4-4 4-4-4zM12 14l4 4-4 4-4-4z"/>
+    </svg>
+  ),
+  instance: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M12 3l9 9-9 9-9-9z"/>
+    </svg>
+  ),
+  group: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="3" y="3" width="18" height="18" rx="2" strokeDasharray="4 3"/>
+      <rect x="7" y="7" width="6" height="6"/>
+      <rect x="11" y="11" width="6" height="6"/>
+    </svg>
+  ),
+  sticky: () => (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M4 4h16v10l-6 6H4z"/>
+      <path d="M20 14h-6v6"/>
+    </svg>
+  ),
   text: () => (
     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
       <path d="M4 7V4h16v3"/>
@@ -34,27 +108,6 @@ const SHAPE_ICONS = {
   ),
 };
 
-// Generate a readable name for a shape
-const generateShapeName = (shape) => {
-  if (shape.text) {
-    // For text shapes, use the text content (truncated)
-    return shape.text.length > 20 ? `${shape.text.slice(0, 20)}...` : shape.text;
-  }
-  
-  // For other shapes, use type + dimensions or color
-  const type = shape.type.charAt(0).toUpperCase() + shape.type.slice(1);
-  
-  if (shape.type === 'circle') {
-    return `${type} ${shape.radius || 50}`;
-  }
-  
-  if (shape.width && shape.height) {
-    return `${type} ${Math.round(shape.width)}×${Math.round(shape.height)}`;
-  }
-  
-  return type;
-};
-
 const LayerItem = ({
   shape,
   index,
@@ -64,6 +117,7 @@ const LayerItem = ({
   onDuplicate,
   onDelete,
   isVisible = true,
+  depth = 0, // Nesting level inside frames and groups
 }) => {
   const [showMenu, setShowMenu] = useState(false);
   
@@ -80,10 +134,13 @@ const LayerItem = ({
     transform: CSS.Transform.toString(transform),
     transition,
     opacity: isDragging ? 0.5 : 1,
+    '--layer-depth': depth,
   };
   
-  const icon = SHAPE_ICONS[shape.type] || (() => '?');
-  const name = generateShapeName(shape);
+  const icon = (shape.isComponent ? SHAPE_ICONS.component : SHAPE_ICONS[shape.type]) || (() => '?');
+  // Lines, arrows and paths are colored by their stroke
+  const previewColor = isStrokeShape(shape) ? shape.stroke : shape.fill;
+  const name = getShapeName(shape);
 
   const handleMenuClick = (e) => {
     e.stopPropagation();
@@ -206,11 +263,11 @@ const LayerItem = ({
       </div>
 
       {/* Color preview for non-text shapes */}
-      {shape.type !== 'text' && shape.fill && (
+      {shape.type !== 'text' && previewColor && (
         <div
           className="layer-item__color-preview"
-          style={{ backgroundColor: shape.fill }}
-          aria-label={`Color: ${shape.fill}`}
+          style={{ backgroundColor: previewColor }}
+          aria-label={`Color: ${previewColor}`}
         />
       )}
     </div>
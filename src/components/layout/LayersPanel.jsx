@@ -1,6 +1,6 @@
 /**
  * LayersPanel - Sidebar panel for managing canvas layers
- * Displays all shapes sorted by z-index with drag-to-reorder functionality
+ * Displays all shapes sorted by z-index, nested under their frames and groups, with drag-to-reorder functionality
  */
 
 import { useState, useMemo } from 'react';
@@ -21,11 +21,14 @@ import {
 import { useCanvas } from '../../context/CanvasContext';
 import { CANVAS_ACTIONS } from '../../context/CanvasContext';
 import { normalizeZIndexes } from '../../utils/zIndex';
+import { routeConnectors, copyShapesWithBindings, getConnectorDetachUpdates } from '../../utils/connectors';
+import { withFrameContents, buildShapeTree, flattenShapeTree } from '../../utils/frames';
+import { withGroupMembers, getEmptiedGroupIds } from '../../utils/groups';
 import LayerItem from './LayerItem';
 import './LayersPanel.css';
 
 const LayersPanel = ({ isOpen, onClose }) => {
-  const { state, firestoreActions, dispatch } = useCanvas();
+  const { state, firestoreActions, directActions, dispatch } = useCanvas();
   const { shapes, selectedIds, selectedId, hiddenLayers } = state;
 
   // Setup drag-and-drop sensors
@@ -49,6 +52,9 @@ const LayersPanel = ({ isOpen, onClose }) => {
     });
   }, [shapes]);
 
+  // Rows in display order: each frame or group is followed by its contents, indented
+  const layerRows = useMemo(() => flattenShapeTree(buildShapeTree(sortedShapes)), [sortedShapes]);
+
   // Get the selected shape ID (support both single and multi-select)
   const currentSelectedId = useMemo(() => {
     if (selectedIds && selectedIds.length > 0) {
@@ -66,24 +72,35 @@ const LayersPanel = ({ isOpen, onClose }) => {
   };
 
   const handleDuplicate = (shapeId) => {
-    const shape = shapes.find(s => s.id === shapeId);
-    if (!shape) return;
-
-    // Create a duplicate with offset position
-    const duplicate = {
-      ...shape,
-      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      x: shape.x + 20,
-      y: shape.y + 20,
-      zIndex: (shape.zIndex ?? 0) + 1,
-    };
-
-    firestoreActions.addShape(duplicate);
+    // Connectors are copied where they're drawn, without their bindings
+    const routedShapes = routeConnectors(shapes);
+    if (!routedShapes.some(s => s.id === shapeId)) return;
+
+    // Create a duplicate with offset position (frames and groups are duplicated with their contents)
+    const copyIds = withFrameContents(routedShapes, withGroupMembers(routedShapes, [shapeId]));
+    const copies = copyShapesWithBindings(routedShapes.filter(s => copyIds.includes(s.id)), {
+      createId: () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    });
+
+    copies.forEach((copy) => {
+      directActions.addShape({
+        ...copy,
+        zIndex: (copy.zIndex ?? 0) + 1,
+      });
+    });
   };
 
   const handleDelete = (shapeId) => {
     if (window.confirm('Are you sure you want to delete this layer?')) {
-      firestoreActions.deleteShape(shapeId);
+      // Frames and groups are deleted with their contents, and a group left empty goes with them
+      const removedIds = withFrameContents(shapes, withGroupMembers(shapes, [shapeId]));
+      const deleteIds = [...removedIds, ...getEmptiedGroupIds(shapes, removedIds)];
+
+      // Leave connectors bound to deleted shapes in place, unbound
+      getConnectorDetachUpdates(shapes, deleteIds).forEach(({ id, newState }) => {
+        directActions.updateShape(id, newState);
+      });
+      deleteIds.forEach(id => directActions.deleteShape(id));
     }
   };
 
@@ -94,18 +111,19 @@ const LayersPanel = ({ isOpen, onClose }) => {
       return;
     }
 
-    const oldIndex = sortedShapes.findIndex(shape => shape.id === active.id);
-    const newIndex = sortedShapes.findIndex(shape => shape.id === over.id);
+    const rowShapes = layerRows.map(row => row.shape);
+    const oldIndex = rowShapes.findIndex(shape => shape.id === active.id);
+    const newIndex = rowShapes.findIndex(shape => shape.id === over.id);
 
     if (oldIndex === -1 || newIndex === -1) {
       return;
     }
 
-    // Reorder the shapes array
-    const reorderedShapes = arrayMove(sortedShapes, oldIndex, newIndex);
+    // Reorder the shapes array (shapes stay in their frame; only their order changes)
+    const reorderedShapes = arrayMove(rowShapes, oldIndex, newIndex);
 
     // Calculate new z-indexes (normalized sequential values)
-    // Since sortedShapes is in descending order (top to bottom),
+    // Since the rows are in descending order (top to bottom),
     // we need to reverse the index calculation
     const updates = reorderedShapes.map((shape, index) => ({
       id: shape.id,
@@ -153,15 +171,16 @@ const LayersPanel = ({ isOpen, onClose }) => {
             onDragEnd={handleDragEnd}
           >
             <SortableContext
-              items={sortedShapes.map(s => s.id)}
+              items={layerRows.map(row => row.shape.id)}
               strategy={verticalListSortingStrategy}
             >
               <div className="layers-panel__list">
-                {sortedShapes.map((shape, index) => (
+                {layerRows.map(({ shape, depth }, index) => (
                   <LayerItem
                     key={shape.id}
                     shape={shape}
                     index={index}
+                    depth={depth}
                     isSelected={shape.id === currentSelectedId}
                     isVisible={!hiddenLayers.has(shape.id)}
                     onClick={() => handleLayerClick(shape.id)}
@@ -0,0 +1,153 @@
+/**
+ * Tests for InspectorPanel editing of the selected shapes
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import InspectorPanel from '../InspectorPanel';
+import { useCanvas } from '../../../context/CanvasContext';
+
+jest.mock('../../../context/CanvasContext', () => ({
+  useCanvas: jest.fn(),
+}));
+
+const mockExecuteCommand = jest.fn();
+
+const shapes = [
+  { id: 'rect-1', type: 'rect', x: 10, y: 20, width: 100, height: 50, fill: '#ff0000', stroke: '#000000', strokeWidth: 2 },
+  { id: 'rect-2', type: 'rect', x: 30, y: 20, width: 100, height: 80, fill: '#ff0000', stroke: '#000000', strokeWidth: 2 },
+  { id: 'text-1', type: 'text', x: 0, y: 0, text: 'Hello', fontSize: 16, fill: '#000000' },
+  { id: 'frame-1', type: 'frame', x: 0, y: 200, width: 300, height: 200, fill: '#ffffff' },
+  {
+    id: 'frame-2',
+    type: 'frame',
+    x: 400,
+    y: 200,
+    width: 300,
+    height: 200,
+    fill: '#ffffff',
+    autoLayout: { direction: 'horizontal', padding: 10, gap: 8, align: 'start', sizing: 'hug', childSizing: 'fixed' },
+  },
+];
+
+const setup = ({ selectedIds = ['rect-1'], readOnly = false } = {}) => {
+  useCanvas.mockReturnValue({
+    state: { shapes, selectedIds },
+    firestoreActions: { updateShape: jest.fn() },
+    commandActions: { executeCommand: mockExecuteCommand },
+    readOnly,
+  });
+  return render(<InspectorPanel isOpen onClose={jest.fn()} />);
+};
+
+describe('InspectorPanel', () => {
+  beforeEach(() => {
+    mockExecuteCommand.mockClear();
+  });
+
+  it('does not render when closed', () => {
+    useCanvas.mockReturnValue({ state: { shapes, selectedIds: [] }, readOnly: false });
+    render(<InspectorPanel isOpen={false} onClose={jest.fn()} />);
+
+    expect(screen.queryByLabelText('Inspector Panel')).not.toBeInTheDocument();
+  });
+
+  it('asks for a selection when nothing is selected', () => {
+    setup({ selectedIds: [] });
+
+    expect(screen.getByText('Nothing selected')).toBeInTheDocument();
+  });
+
+  it('shows the properties of the selected shape', () => {
+    setup();
+
+    expect(screen.getByLabelText('X')).toHaveValue(10);
+    expect(screen.getByLabelText('W')).toHaveValue(100);
+    expect(screen.getByLabelText('Fill')).toHaveValue('#ff0000');
+    expect(screen.queryByLabelText('Font')).not.toBeInTheDocument();
+  });
+
+  it('shows shared values and "Mixed" across a multi-selection', () => {
+    setup({ selectedIds: ['rect-1', 'rect-2'] });
+
+    expect(screen.getByText('2 shapes')).toBeInTheDocument();
+    expect(screen.getByLabelText('Y')).toHaveValue(20);
+    expect(screen.getByLabelText('X')).toHaveValue(null);
+    expect(screen.getByLabelText('X')).toHaveAttribute('placeholder', 'Mixed');
+  });
+
+  it('commits an edited value to every selected shape as one undo step', () => {
+    setup({ selectedIds: ['rect-1', 'rect-2'] });
+
+    const input = screen.getByLabelText('X');
+    fireEvent.change(input, { target: { value: '200' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(mockExecuteCommand).toHaveBeenCalledTimes(1);
+    const command = mockExecuteCommand.mock.calls[0][0];
+    expect(command.description).toBe('Set x');
+    expect(command.commands.map(c => [c.shapeId, c.newProperties])).toEqual([
+      ['rect-1', { x: 200 }],
+      ['rect-2', { x: 200 }],
+    ]);
+  });
+
+  it('reverts on Escape without committing', () => {
+    setup();
+
+    const input = screen.getByLabelText('W');
+    fireEvent.change(input, { target: { value: '300' } });
+    fireEvent.keyDown(input, { key: 'Escape' });
+    fireEvent.blur(input);
+
+    expect(mockExecuteCommand).not.toHaveBeenCalled();
+    expect(input).toHaveValue(100);
+  });
+
+  it('edits text options of text shapes', () => {
+    setup({ selectedIds: ['text-1'] });
+
+    fireEvent.change(screen.getByLabelText('Align'), { target: { value: 'center' } });
+
+    const command = mockExecuteCommand.mock.calls[0][0];
+    expect(command.shapeId).toBe('text-1');
+    expect(command.newProperties).toEqual({ align: 'center' });
+  });
+
+  it('turns auto layout on for a frame', () => {
+    setup({ selectedIds: ['frame-1'] });
+
+    fireEvent.click(screen.getByText('Add auto layout'));
+
+    const command = mockExecuteCommand.mock.calls[0][0];
+    expect(command.shapeId).toBe('frame-1');
+    expect(command.oldProperties).toEqual({ autoLayout: null });
+    expect(command.newProperties.autoLayout).toMatchObject({ direction: 'vertical', sizing: 'hug' });
+  });
+
+  it('edits auto-layout settings as one undo step', () => {
+    setup({ selectedIds: ['frame-2'] });
+
+    expect(screen.getByLabelText('Direction')).toHaveValue('horizontal');
+    const gap = screen.getByLabelText('Gap');
+    fireEvent.change(gap, { target: { value: '24' } });
+    fireEvent.keyDown(gap, { key: 'Enter' });
+    fireEvent.change(screen.getByLabelText('Children'), { target: { value: 'fill' } });
+
+    expect(mockExecuteCommand).toHaveBeenCalledTimes(2);
+    expect(mockExecuteCommand.mock.calls[0][0].newProperties.autoLayout).toMatchObject({ gap: 24, padding: 10 });
+    expect(mockExecuteCommand.mock.calls[1][0].newProperties.autoLayout).toMatchObject({ childSizing: 'fill' });
+  });
+
+  it('only shows auto layout for a single frame', () => {
+    setup({ selectedIds: ['frame-1', 'rect-1'] });
+
+    expect(screen.queryByLabelText('Auto layout')).not.toBeInTheDocument();
+  });
+
+  it('disables editing for viewers', () => {
+    setup({ readOnly: true });
+
+    expect(screen.getByLabelText('X')).toBeDisabled();
+    expect(screen.queryByLabelText('Appearance')).not.toBeInTheDocument();
+  });
+});
@@ -75,6 +75,8 @@ describe('LayersPanel - Layer Reordering Integration Tests', () => {
       dispatch: mockDispatch,
       firestoreActions: {
         batchUpdateZIndex: mockBatchUpdateZIndex,
+      },
+      directActions: {
         addShape: mockAddShape,
         deleteShape: mockDeleteShape,
       },
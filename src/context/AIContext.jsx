@@ -27,16 +27,25 @@ export const useAI = () => {
   return context;
 };
 
+/**
+ * localStorage key for a board's conversation
+ * The default board keeps the original key so existing history survives
+ */
+const getMessagesStorageKey = (boardId) =>
+  !boardId || boardId === 'default' ? 'ai_messages' : `ai_messages:${boardId}`;
+
 /**
  * AI Provider Component
+ * Conversation history is scoped to the current board (remount per board to switch)
  */
 export const AIProvider = ({ children }) => {
   const { user } = useAuth();
   const canvas = useCanvas();
+  const messagesStorageKey = getMessagesStorageKey(canvas.boardId);
   const [messages, setMessages] = useState(() => {
     // Load messages from localStorage on init
     try {
-      const saved = localStorage.getItem('ai_messages');
+      const saved = localStorage.getItem(messagesStorageKey);
       if (saved) {
         const parsed = JSON.parse(saved);
         // Limit to last 50 messages to avoid storage bloat
@@ -69,11 +78,19 @@ export const AIProvider = ({ children }) => {
       const toSave = messages
         .filter(m => m.role === 'user' || m.role === 'assistant')
         .slice(-30); // Keep last 30 user/assistant messages
-      localStorage.setItem('ai_messages', JSON.stringify(toSave));
+      localStorage.setItem(messagesStorageKey, JSON.stringify(toSave));
     } catch (error) {
       console.error('Failed to save AI messages to localStorage:', error);
     }
-  }, [messages]);
+  }, [messages, messagesStorageKey]);
+
+  // Abort any in-flight request when leaving the board
+  useEffect(() => {
+    return () => {
+      abortControllerRef.current?.abort();
+      abortControllerRef.current = null;
+    };
+  }, []);
 
   // Persist panel state to localStorage
   useEffect(() => {
@@ -123,16 +140,16 @@ export const AIProvider = ({ children }) => {
    * @returns {Promise<boolean>} True if all tools executed successfully
    */
   const executeToolCalls = useCallback(async (toolCalls, assistantMessage) => {
-    if (!canvas || !canvas.firestoreActions || !canvas.state) {
+    if (!canvas || !canvas.directActions || !canvas.state) {
       console.error('Canvas context not available for tool execution');
       return false;
     }
 
     // Create tool executor with canvas dependencies
     const executor = createAIToolExecutor({
-      addShape: canvas.firestoreActions.addShape,
-      addShapesBatch: canvas.firestoreActions.addShapesBatch,
-      updateShape: canvas.firestoreActions.updateShape,
+      addShape: canvas.directActions.addShape,
+      addShapesBatch: canvas.directActions.addShapesBatch,
+      updateShape: canvas.directActions.updateShape,
       getShapes: () => canvas.state.shapes,
       getViewportCenter: () => {
         const { scale, position, stageSize } = canvas.state;
@@ -141,6 +158,15 @@ export const AIProvider = ({ children }) => {
         const canvasY = (stageSize.height / 2 - position.y) / scale;
         return { x: Math.round(canvasX), y: Math.round(canvasY) };
       },
+      getViewportBounds: () => {
+        const { scale, position, stageSize } = canvas.state;
+        return {
+          x: -position.x / scale,
+          y: -position.y / scale,
+          width: stageSize.width / scale,
+          height: stageSize.height / scale,
+        };
+      },
     });
 
     let allSuccessful = true;
@@ -162,10 +188,22 @@ export const AIProvider = ({ children }) => {
           result = await executor.executeRotateShape(args);
         } else if (name === 'createGrid') {
           result = await executor.executeCreateGrid(args);
+        } else if (name === 'createTable') {
+          result = await executor.executeCreateTable(args);
         } else if (name === 'createShapesVertically') {
           result = await executor.executeCreateShapesVertically(args);
         } else if (name === 'createShapesHorizontally') {
           result = await executor.executeCreateShapesHorizontally(args);
+        } else if (name === 'alignShapes') {
+          result = await executor.executeAlignShapes(args);
+        } else if (name === 'arrangeShapes') {
+          result = await executor.executeArrangeShapes(args);
+        } else if (name === 'arrangeHorizontally') {
+          result = await executor.executeArrangeShapes({ ...args, layout: 'stack-horizontal' });
+        } else if (name === 'distributeEvenly') {
+          result = await executor.executeArrangeShapes({ descriptors: args.descriptors, layout: `distribute-${args.axis}` });
+        } else if (name === 'matchSize') {
+          result = await executor.executeMatchSize(args);
         } else {
           result = { success: false, error: `Unknown tool: ${name}` };
         }
@@ -345,9 +383,9 @@ export const AIProvider = ({ children }) => {
             
             // Get the result of getCanvasState
             const executor = createAIToolExecutor({
-              addShape: canvas.firestoreActions.addShape,
-              addShapesBatch: canvas.firestoreActions.addShapesBatch,
-              updateShape: canvas.firestoreActions.updateShape,
+              addShape: canvas.directActions.addShape,
+              addShapesBatch: canvas.directActions.addShapesBatch,
+              updateShape: canvas.directActions.updateShape,
               getShapes: () => canvas.state.shapes,
               getViewportCenter: () => {
                 const { scale, position, stageSize } = canvas.state;
@@ -431,6 +469,8 @@ export const AIProvider = ({ children }) => {
                 summary = '✓ Shape rotated successfully!';
               } else if (toolNames.includes('createGrid')) {
                 summary = '✓ Grid created successfully!';
+              } else if (toolNames.includes('createTable')) {
+                summary = '✓ Table created successfully!';
               } else if (toolNames.includes('createShapesVertically')) {
                 summary = '✓ Shapes created vertically!';
               } else if (toolNames.includes('createShapesHorizontally')) {
@@ -0,0 +1,92 @@
+/**
+ * BoardContext - Metadata and the current user's role for the open board
+ * Joins the board on open and keeps role/permissions live as the owner changes them
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { ensureBoard, subscribeToBoard } from '../services/boardService';
+import { getBoardRole, canEditBoard, canCommentOnBoard, canViewBoard } from '../utils/boardRoles';
+import { BoardContext } from '../hooks/useBoard';
+import { useAuth } from './AuthContext';
+
+const isPermissionDenied = (error) =>
+  error?.code === 'permission-denied' || error?.message?.includes('permission-denied');
+
+export function BoardProvider({ children, boardId, shareToken = null }) {
+  const { user } = useAuth();
+  const [board, setBoard] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [accessDenied, setAccessDenied] = useState(false);
+
+  useEffect(() => {
+    setBoard(null);
+    setAccessDenied(false);
+
+    if (!user?.uid) {
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    let cancelled = false;
+    let unsubscribe = null;
+
+    const handleError = (error) => {
+      if (cancelled) return;
+      if (isPermissionDenied(error)) {
+        setAccessDenied(true);
+      } else {
+        console.error('[BoardContext] Failed to load board:', error);
+      }
+      setIsLoading(false);
+    };
+
+    const startSubscription = () => {
+      if (cancelled) return;
+      unsubscribe = subscribeToBoard({
+        boardId,
+        onChange: (nextBoard) => {
+          setBoard(nextBoard);
+          setIsLoading(false);
+        },
+        onError: handleError,
+      });
+    };
+
+    ensureBoard(boardId, { shareToken })
+      .then(startSubscription)
+      .catch((error) => {
+        if (isPermissionDenied(error)) {
+          handleError(error);
+          return;
+        }
+        // Joining needs the server (e.g. offline); fall back to cached metadata
+        console.warn('[BoardContext] Could not join board, using cached metadata:', error);
+        startSubscription();
+      });
+
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  }, [boardId, shareToken, user?.uid]);
+
+  const value = useMemo(() => {
+    const role = accessDenied ? null : getBoardRole(board, user?.uid);
+    return {
+      boardId,
+      board,
+      role,
+      canView: canViewBoard(role),
+      canEdit: canEditBoard(role),
+      canComment: canCommentOnBoard(role),
+      isLoading,
+    };
+  }, [boardId, board, user?.uid, accessDenied, isLoading]);
+
+  return (
+    <BoardContext.Provider value={value}>
+      {children}
+    </BoardContext.Provider>
+  );
+}
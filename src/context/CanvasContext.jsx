@@ -5,7 +5,7 @@
 
 import { createContext, useContext, useReducer, useMemo, useEffect, useRef, useCallback, useState } from 'react';
 import { getAllShapes, subscribeToShapes } from '../services/firestoreService';
-import { createShape as fsCreateShape, createShapesBatch as fsCreateShapesBatch, updateShape as fsUpdateShape, deleteShape as fsDeleteShape, updateShapeText as fsUpdateShapeText } from '../services/firestoreServiceWithQueue';
+import { createShape as fsCreateShape, createShapesBatch as fsCreateShapesBatch, updateShape as fsUpdateShape, deleteShape as fsDeleteShape, updateShapeText as fsUpdateShapeText, updateTableCell as fsUpdateTableCell } from '../services/firestoreServiceWithQueue';
 import { throttle } from '../utils/throttle';
 import { setCursorPosition, subscribeToCursors, removeCursor, registerDisconnectCleanup } from '../services/realtimeCursorService';
 import { subscribeToPresence } from '../services/presenceService';
@@ -17,9 +17,19 @@ import { flush as flushOperationQueue } from '../offline/operationQueue';
 import { ref, onValue } from 'firebase/database';
 import toast from 'react-hot-toast';
 import CommandHistory from '../utils/CommandHistory';
-import { CreateShapeCommand, DeleteShapeCommand } from '../utils/commands';
+import { CreateShapeCommand, DeleteShapeCommand, UpdateShapeCommand, BatchCommand } from '../utils/commands';
+import { applyShapeChanges } from '../utils/shapes';
+import { getAutoLayoutReflowChanges } from '../utils/autoLayout';
+import { getConnectorRouteUpdates } from '../utils/connectors';
+import { DEFAULT_SNAP_SETTINGS, loadSnapSettings, saveSnapSettings } from '../utils/snapping';
 
 const DEFAULT_BOARD_ID = 'default';
+const READ_ONLY_MESSAGE = "You don't have permission to edit this board";
+
+// Shown instead of writing when the user is a viewer or commenter (rules would reject it anyway)
+const rejectReadOnlyWrite = async () => {
+  toast.error(READ_ONLY_MESSAGE, { id: 'read-only-board' });
+};
 
 const CanvasContext = createContext(null);
 
@@ -28,6 +38,7 @@ export const CANVAS_ACTIONS = {
   // Shape actions
   ADD_SHAPE: 'ADD_SHAPE',
   UPDATE_SHAPE: 'UPDATE_SHAPE',
+  UPDATE_TABLE_CELL: 'UPDATE_TABLE_CELL',
   DELETE_SHAPE: 'DELETE_SHAPE',
   SET_SHAPES: 'SET_SHAPES',
   
@@ -54,6 +65,12 @@ export const CANVAS_ACTIONS = {
   // Layer actions
   TOGGLE_LAYER_VISIBILITY: 'TOGGLE_LAYER_VISIBILITY',
   SET_HIDDEN_LAYERS: 'SET_HIDDEN_LAYERS',
+
+  // Snapping actions
+  SET_SNAP_SETTINGS: 'SET_SNAP_SETTINGS',
+
+  // Board actions
+  RESET_BOARD_STATE: 'RESET_BOARD_STATE',
 };
 
 // Initial state
@@ -69,6 +86,7 @@ const initialState = {
   onlineUsers: [],
   loadingShapes: true,
   hiddenLayers: new Set(), // Set of shape IDs that are hidden
+  snapSettings: DEFAULT_SNAP_SETTINGS, // Snap to grid and smart guides
 };
 
 // Reducer
@@ -90,6 +108,18 @@ const canvasReducer = (state, action) => {
         ),
       };
       
+    case CANVAS_ACTIONS.UPDATE_TABLE_CELL: {
+      const { id, cellKey, text, updatedAt } = action.payload;
+      return {
+        ...state,
+        shapes: state.shapes.map(shape =>
+          shape.id === id
+            ? { ...shape, cells: { ...shape.cells, [cellKey]: text }, updatedAt }
+            : shape
+        ),
+      };
+    }
+
     case CANVAS_ACTIONS.DELETE_SHAPE:
       return {
         ...state,
@@ -239,6 +269,25 @@ const canvasReducer = (state, action) => {
         ...state,
         hiddenLayers: new Set(action.payload),
       };
+
+    case CANVAS_ACTIONS.SET_SNAP_SETTINGS:
+      return {
+        ...state,
+        snapSettings: { ...state.snapSettings, ...action.payload },
+      };
+
+    case CANVAS_ACTIONS.RESET_BOARD_STATE:
+      // Drop everything tied to the previous board; keep tool and viewport size
+      return {
+        ...state,
+        shapes: [],
+        selectedId: null,
+        selectedIds: [],
+        remoteCursors: [],
+        onlineUsers: [],
+        loadingShapes: true,
+        hiddenLayers: new Set(),
+      };
       
     default:
       return state;
@@ -248,9 +297,13 @@ const canvasReducer = (state, action) => {
 /**
  * CanvasProvider component
  * Wraps the application to provide canvas state
+ * @param {string} boardId - Board to load; changing it tears down and re-subscribes all board data
+ * @param {boolean} readOnly - Block shape writes (viewer and commenter roles)
+ * @param {boolean} publicView - Signed-out public view: loads shapes without auth and implies readOnly
  */
-export const CanvasProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(canvasReducer, initialState);
+export const CanvasProvider = ({ children, boardId = DEFAULT_BOARD_ID, readOnly: readOnlyProp = false, publicView = false }) => {
+  const readOnly = readOnlyProp || publicView;
+  const [state, dispatch] = useReducer(canvasReducer, initialState, (init) => ({ ...init, snapSettings: loadSnapSettings() }));
   const unsubscribeRef = useRef(null);
   const throttledUpdatesRef = useRef({});
   const cursorUnsubscribeRef = useRef(null);
@@ -261,6 +314,10 @@ export const CanvasProvider = ({ children }) => {
   const firstSnapshotReceivedRef = useRef(false);
   const stageRef = useRef(null); // Shared stage ref for export functionality
   const setIsExportingRef = useRef(null); // Callback to set export mode in Canvas
+  const insertImagesRef = useRef(null); // Canvas callback that uploads and places image files (Toolbar file picker)
+  const remoteEditIdsRef = useRef([]); // Shapes others are dragging or transforming (set by Canvas); their frames don't re-flow
+  const plannedShapesRef = useRef(state.shapes); // Shapes as this client's writes will leave them (see planFollowUps)
+  plannedShapesRef.current = state.shapes;
   const recentlyCreatedShapesRef = useRef(new Map()); // Track shapes created recently to skip redundant updates
   const lastCreationTimeRef = useRef(0);
   const CREATED_SHAPE_GRACE_MS = 10000; // 10 second grace period (was 5s)
@@ -335,7 +392,13 @@ export const CanvasProvider = ({ children }) => {
   const [canUndo, setCanUndo] = useState(false);
   const [canRedo, setCanRedo] = useState(false);
 
-  const setupCursorDisconnect = useCallback(({ uid, boardId = DEFAULT_BOARD_ID } = {}) => {
+  // Update undo/redo state
+  const updateUndoRedoState = useCallback(() => {
+    setCanUndo(commandHistory.canUndo());
+    setCanRedo(commandHistory.canRedo());
+  }, [commandHistory]);
+
+  const setupCursorDisconnect = useCallback(({ uid, boardId: targetBoardId = boardId } = {}) => {
     if (cursorDisconnectCancelRef.current) {
       cursorDisconnectCancelRef.current();
       cursorDisconnectCancelRef.current = null;
@@ -343,28 +406,28 @@ export const CanvasProvider = ({ children }) => {
     if (!uid) {
       return;
     }
-    cursorDisconnectCancelRef.current = registerDisconnectCleanup({ uid, boardId });
-  }, []);
+    cursorDisconnectCancelRef.current = registerDisconnectCleanup({ uid, boardId: targetBoardId });
+  }, [boardId]);
 
-  const publishCursor = useCallback(({ uid, boardId = DEFAULT_BOARD_ID, ...rest }) => {
+  const publishCursor = useCallback(({ uid, boardId: targetBoardId = boardId, ...rest }) => {
     if (!uid) {
       return Promise.resolve();
     }
-    return setCursorPosition({ uid, boardId, ...rest }).catch((err) => {
+    return setCursorPosition({ uid, boardId: targetBoardId, ...rest }).catch((err) => {
       // eslint-disable-next-line no-console
       console.error('[CanvasContext] Failed to set cursor position', err);
     });
-  }, []);
+  }, [boardId]);
 
-  const removeCursorCallback = useCallback(({ uid, boardId = DEFAULT_BOARD_ID }) => {
+  const removeCursorCallback = useCallback(({ uid, boardId: targetBoardId = boardId }) => {
     if (!uid) {
       return Promise.resolve();
     }
-    return removeCursor({ uid, boardId }).catch((err) => {
+    return removeCursor({ uid, boardId: targetBoardId }).catch((err) => {
       // eslint-disable-next-line no-console
       console.error('[CanvasContext] Failed to remove cursor', err);
     });
-  }, []);
+  }, [boardId]);
 
   const stopCursorSubscription = useCallback(() => {
     if (cursorUnsubscribeRef.current) {
@@ -381,14 +444,14 @@ export const CanvasProvider = ({ children }) => {
   }, []);
 
   const startCursorSubscription = useCallback(({
-    boardId = DEFAULT_BOARD_ID,
+    boardId: targetBoardId = boardId,
     uid,
     onUpdate,
     onError,
   } = {}) => {
     stopCursorSubscription();
     const unsubscribe = subscribeToCursors({
-      boardId,
+      boardId: targetBoardId,
       excludeUid: uid,
       onUpdate: (cursors) => {
         dispatch({ type: CANVAS_ACTIONS.SET_REMOTE_CURSORS, payload: cursors });
@@ -402,7 +465,7 @@ export const CanvasProvider = ({ children }) => {
     });
     cursorUnsubscribeRef.current = unsubscribe;
     return unsubscribe;
-  }, [stopCursorSubscription]);
+  }, [boardId, stopCursorSubscription]);
 
   // Drag broadcasting callbacks
   const stopDragSubscription = useCallback(() => {
@@ -413,12 +476,12 @@ export const CanvasProvider = ({ children }) => {
   }, []);
 
   const startDragSubscription = useCallback(({
-    boardId = DEFAULT_BOARD_ID,
+    boardId: targetBoardId = boardId,
     excludeUserId,
   } = {}) => {
     stopDragSubscription();
     const unsubscribe = subscribeToDragUpdates({
-      boardId,
+      boardId: targetBoardId,
       excludeUserId,
       onUpdate: (updates) => {
         // Apply drag updates as temporary position changes
@@ -442,15 +505,15 @@ export const CanvasProvider = ({ children }) => {
     });
     dragUnsubscribeRef.current = unsubscribe;
     return unsubscribe;
-  }, [stopDragSubscription]);
+  }, [boardId, stopDragSubscription]);
 
-  const publishDrag = useCallback(({ boardId = DEFAULT_BOARD_ID, shapeId, x, y }) => {
+  const publishDrag = useCallback(({ boardId: targetBoardId = boardId, shapeId, x, y }) => {
     const currentUser = auth.currentUser;
     if (!currentUser) {
       return Promise.resolve();
     }
     return publishDragPosition({
-      boardId,
+      boardId: targetBoardId,
       shapeId,
       x,
       y,
@@ -459,14 +522,14 @@ export const CanvasProvider = ({ children }) => {
       // eslint-disable-next-line no-console
       console.error('[CanvasContext] Failed to publish drag position', err);
     });
-  }, []);
+  }, [boardId]);
 
-  const clearDrag = useCallback(({ boardId = DEFAULT_BOARD_ID, shapeId }) => {
-    return clearDragPosition({ boardId, shapeId }).catch((err) => {
+  const clearDrag = useCallback(({ boardId: targetBoardId = boardId, shapeId }) => {
+    return clearDragPosition({ boardId: targetBoardId, shapeId }).catch((err) => {
       // eslint-disable-next-line no-console
       console.error('[CanvasContext] Failed to clear drag position', err);
     });
-  }, []);
+  }, [boardId]);
 
   // Transform broadcasting callbacks
   const stopTransformSubscription = useCallback(() => {
@@ -477,12 +540,12 @@ export const CanvasProvider = ({ children }) => {
   }, []);
 
   const startTransformSubscription = useCallback(({
-    boardId = DEFAULT_BOARD_ID,
+    boardId: targetBoardId = boardId,
     excludeUserId,
   } = {}) => {
     stopTransformSubscription();
     const unsubscribe = subscribeToTransformUpdates({
-      boardId,
+      boardId: targetBoardId,
       excludeUserId,
       onUpdate: (updates) => {
         // Apply transform updates as temporary changes
@@ -509,15 +572,15 @@ export const CanvasProvider = ({ children }) => {
     });
     transformUnsubscribeRef.current = unsubscribe;
     return unsubscribe;
-  }, [stopTransformSubscription]);
+  }, [boardId, stopTransformSubscription]);
 
-  const publishTransformUpdate = useCallback(({ boardId = DEFAULT_BOARD_ID, shapeId, x, y, scaleX, scaleY, rotation }) => {
+  const publishTransformUpdate = useCallback(({ boardId: targetBoardId = boardId, shapeId, x, y, scaleX, scaleY, rotation }) => {
     const currentUser = auth.currentUser;
     if (!currentUser) {
       return Promise.resolve();
     }
     return publishTransform({
-      boardId,
+      boardId: targetBoardId,
       shapeId,
       x,
       y,
@@ -529,14 +592,19 @@ export const CanvasProvider = ({ children }) => {
       // eslint-disable-next-line no-console
       console.error('[CanvasContext] Failed to publish transform', err);
     });
-  }, []);
+  }, [boardId]);
 
-  const clearTransformUpdate = useCallback(({ boardId = DEFAULT_BOARD_ID, shapeId }) => {
-    return clearTransform({ boardId, shapeId }).catch((err) => {
+  const clearTransformUpdate = useCallback(({ boardId: targetBoardId = boardId, shapeId }) => {
+    return clearTransform({ boardId: targetBoardId, shapeId }).catch((err) => {
       // eslint-disable-next-line no-console
       console.error('[CanvasContext] Failed to clear transform', err);
     });
-  }, []);
+  }, [boardId]);
+
+  // Snap settings are per browser, not per board
+  useEffect(() => {
+    saveSnapSettings(state.snapSettings);
+  }, [state.snapSettings]);
 
   // Beforeunload flush for edit buffers
   useEffect(() => {
@@ -553,7 +621,7 @@ export const CanvasProvider = ({ children }) => {
     let reconnectUnsubscribe;
 
     const handleOnline = async () => {
-      const results = await flushOperationQueue(DEFAULT_BOARD_ID);
+      const results = await flushOperationQueue(boardId);
       if (results.failed > 0) {
         toast.error(`Failed to sync ${results.failed} operation${results.failed === 1 ? '' : 's'}`);
       }
@@ -565,7 +633,7 @@ export const CanvasProvider = ({ children }) => {
         reconnectUnsubscribe = onValue(connectedRef, async (snapshot) => {
           const isConnected = snapshot.val();
           if (isConnected) {
-            await flushOperationQueue(DEFAULT_BOARD_ID);
+            await flushOperationQueue(boardId);
           }
         });
       } catch (error) {
@@ -580,7 +648,7 @@ export const CanvasProvider = ({ children }) => {
       window.removeEventListener('online', handleOnline);
       if (reconnectUnsubscribe) reconnectUnsubscribe();
     };
-  }, []);
+  }, [boardId]);
 
   // Periodic shape reconciliation (self-healing for missed updates)
   useEffect(() => {
@@ -625,7 +693,7 @@ export const CanvasProvider = ({ children }) => {
           return;
         }
 
-        const serverShapes = await getAllShapes();
+        const serverShapes = await getAllShapes(boardId);
         const serverShapeMap = new Map(serverShapes.map((s) => [s.id, s]));
         const localShapeMap = new Map(state.shapes.map((s) => [s.id, s]));
 
@@ -729,15 +797,22 @@ export const CanvasProvider = ({ children }) => {
       clearTimeout(leadershipCheckTimeout);
       if (reconnectUnsubscribe) reconnectUnsubscribe();
     };
-  }, [state.shapes, state.onlineUsers]);
+  }, [boardId, state.shapes, state.onlineUsers]);
 
   // Initial load then subscribe - WAIT FOR AUTH FIRST
+  // Re-runs on board change: previous board's shapes, selection and undo history are discarded
   useEffect(() => {
     let isMounted = true;
 
-    // Wait for auth to be ready before loading shapes
+    dispatch({ type: CANVAS_ACTIONS.RESET_BOARD_STATE });
+    commandHistory.clear();
+    updateUndoRedoState();
+    recentlyCreatedShapesRef.current.clear();
+    lastCreationTimeRef.current = 0;
+
+    // Wait for auth to be ready before loading shapes (public boards load signed out)
     const unsubscribeAuth = auth.onAuthStateChanged(async (user) => {
-      if (!user) {
+      if (!user && !publicView) {
         // User not authenticated, clear shapes and wait
         dispatch({ type: CANVAS_ACTIONS.SET_LOADING_SHAPES, payload: false });
         return;
@@ -746,11 +821,12 @@ export const CanvasProvider = ({ children }) => {
       // User is authenticated, proceed with loading shapes
       try {
         dispatch({ type: CANVAS_ACTIONS.SET_LOADING_SHAPES, payload: true });
-        let initial = await getAllShapes();
+        let initial = await getAllShapes(boardId);
         
         // Merge edit buffers from IndexedDB (full props, not just x,y)
         try {
-          const buffers = await getAllEditBuffers();
+          // Public viewers only ever see the server state
+          const buffers = publicView ? [] : await getAllEditBuffers();
           const bufferMap = new Map(buffers.map(b => [b.shapeId, b.data]));
           
           initial = initial.map((serverShape) => {
@@ -785,12 +861,15 @@ export const CanvasProvider = ({ children }) => {
           console.error('[CanvasContext] Error merging edit buffers:', error);
         }
         
-        if (isMounted) {
-          dispatch({ type: CANVAS_ACTIONS.SET_SHAPES, payload: initial });
+        if (!isMounted) {
+          // Board changed (or provider unmounted) while loading
+          return;
         }
+        dispatch({ type: CANVAS_ACTIONS.SET_SHAPES, payload: initial });
 
         // Subscribe to live updates
         unsubscribeRef.current = subscribeToShapes({
+          boardId,
           onChange: ({ type, shape }) => {
             if (shouldIgnoreServerShape(shape.id, 'live-update')) {
               return;
@@ -840,16 +919,16 @@ export const CanvasProvider = ({ children }) => {
       Object.values(throttledUpdatesRef.current).forEach((t) => t?.cancel?.());
       throttledUpdatesRef.current = {};
     };
-  }, [stopCursorSubscription, stopPresenceSubscription]);
+  }, [boardId, publicView, commandHistory, updateUndoRedoState, stopCursorSubscription, stopPresenceSubscription]);
 
   // Presence subscription
-  const startPresenceSubscription = useCallback(({ boardId = DEFAULT_BOARD_ID, uid } = {}) => {
+  const startPresenceSubscription = useCallback(({ boardId: targetBoardId = boardId, uid } = {}) => {
     if (presenceUnsubscribeRef.current) {
       presenceUnsubscribeRef.current();
       presenceUnsubscribeRef.current = null;
     }
     const unsubscribe = subscribeToPresence({
-      boardId,
+      boardId: targetBoardId,
       excludeUid: null, // Include current user to show "(You)" label
       onUpdate: (users) => {
         dispatch({ type: CANVAS_ACTIONS.SET_ONLINE_USERS, payload: users });
@@ -861,13 +940,7 @@ export const CanvasProvider = ({ children }) => {
     });
     presenceUnsubscribeRef.current = unsubscribe;
     return unsubscribe;
-  }, []);
-
-  // Update undo/redo state
-  const updateUndoRedoState = useCallback(() => {
-    setCanUndo(commandHistory.canUndo());
-    setCanRedo(commandHistory.canRedo());
-  }, [commandHistory]);
+  }, [boardId]);
 
   // Memoize context value to prevent unnecessary re-renders
   const firestoreActions = useMemo(() => {
@@ -877,7 +950,7 @@ export const CanvasProvider = ({ children }) => {
     const ensureThrottler = (id) => {
       if (!throttledUpdatesRef.current[id]) {
         throttledUpdatesRef.current[id] = throttle((shapeId, updates) => {
-          fsUpdateShape(shapeId, updates).catch((err) => {
+          fsUpdateShape(shapeId, updates, boardId).catch((err) => {
             // eslint-disable-next-line no-console
             console.error('Failed to update shape in Firestore', err);
           });
@@ -886,7 +959,7 @@ export const CanvasProvider = ({ children }) => {
       return throttledUpdatesRef.current[id];
     };
 
-    return {
+    const actions = {
       addShape: async (shape) => {
         const localTimestamp = Date.now();
         trackRecentlyCreatedShape(shape.id);
@@ -903,7 +976,7 @@ export const CanvasProvider = ({ children }) => {
         });
 
         try {
-          await fsCreateShape(shape);
+          await fsCreateShape(shape, boardId);
         } catch (err) {
           // rollback
           recentlyCreatedShapesRef.current.delete(shape.id);
@@ -929,7 +1002,7 @@ export const CanvasProvider = ({ children }) => {
           });
         });
         try {
-          await fsCreateShapesBatch(shapes);
+          await fsCreateShapesBatch(shapes, boardId);
         } catch (err) {
           // rollback all shapes on error
           shapes.forEach((shape) => {
@@ -951,16 +1024,24 @@ export const CanvasProvider = ({ children }) => {
       updateShapeText: (id, text) => {
         // optimistic
         dispatch({ type: CANVAS_ACTIONS.UPDATE_SHAPE, payload: { id, updates: { text, updatedAt: Date.now() } } });
-        fsUpdateShapeText(id, text).catch((err) => {
+        fsUpdateShapeText(id, text, boardId).catch((err) => {
           // eslint-disable-next-line no-console
           console.error('Failed to update shape text in Firestore', err);
         });
       },
+      updateTableCell: (id, cellKey, text) => {
+        // optimistic; only this cell is written, not the whole cells map
+        dispatch({ type: CANVAS_ACTIONS.UPDATE_TABLE_CELL, payload: { id, cellKey, text, updatedAt: Date.now() } });
+        fsUpdateTableCell(id, cellKey, text, boardId).catch((err) => {
+          // eslint-disable-next-line no-console
+          console.error('Failed to update table cell in Firestore', err);
+        });
+      },
       deleteShape: async (id) => {
         // optimistic
         dispatch({ type: CANVAS_ACTIONS.DELETE_SHAPE, payload: id });
         try {
-          await fsDeleteShape(id);
+          await fsDeleteShape(id, boardId);
         } catch (err) {
           // eslint-disable-next-line no-console
           console.error('Failed to delete shape in Firestore', err);
@@ -971,7 +1052,7 @@ export const CanvasProvider = ({ children }) => {
         dispatch({ type: CANVAS_ACTIONS.UPDATE_SHAPE, payload: { id, updates: { zIndex, updatedAt: Date.now() } } });
         try {
           const { updateZIndex: fsUpdateZIndex } = await import('../services/firestoreService');
-          await fsUpdateZIndex(id, zIndex);
+          await fsUpdateZIndex(id, zIndex, boardId);
         } catch (err) {
           // eslint-disable-next-line no-console
           console.error('Failed to update zIndex in Firestore', err);
@@ -984,7 +1065,7 @@ export const CanvasProvider = ({ children }) => {
         });
         try {
           const { batchUpdateZIndex: fsBatchUpdateZIndex } = await import('../services/firestoreService');
-          await fsBatchUpdateZIndex(updates);
+          await fsBatchUpdateZIndex(updates, boardId);
         } catch (err) {
           // eslint-disable-next-line no-console
           console.error('Failed to batch update zIndex in Firestore', err);
@@ -1000,22 +1081,88 @@ export const CanvasProvider = ({ children }) => {
         });
         try {
           const { batchUpdatePosition: fsBatchUpdatePosition } = await import('../services/firestoreService');
-          await fsBatchUpdatePosition(updates);
+          await fsBatchUpdatePosition(updates, boardId);
         } catch (err) {
           // eslint-disable-next-line no-console
           console.error('Failed to batch update positions in Firestore', err);
         }
       },
     };
+
+    if (!readOnly) {
+      return actions;
+    }
+    return Object.fromEntries(Object.keys(actions).map((name) => [name, rejectReadOnlyWrite]));
+  }, [boardId, readOnly]);
+
+  // Shape changes bring follow-ups: auto-layout frames re-flow around them, and connectors bound
+  // to what moved are saved where they're now drawn. Only the client making the changes saves
+  // these, worked out from the changes themselves before they're written; planned shapes carry
+  // writes state hasn't caught up with yet to the next plan.
+  const planFollowUps = useCallback((changes) => {
+    const toUpdates = (followUps) => followUps.map(({ id, newState }) => ({ type: 'update', id, props: newState }));
+    const reflowed = applyShapeChanges(plannedShapesRef.current, changes);
+    const reflow = getAutoLayoutReflowChanges(reflowed, { excludeIds: remoteEditIdsRef.current });
+    const routed = applyShapeChanges(reflowed, toUpdates(reflow));
+    const changedIds = [...changes.map(change => change.id ?? change.shape.id), ...reflow.map(({ id }) => id)];
+    const routes = getConnectorRouteUpdates(routed, changedIds);
+    plannedShapesRef.current = applyShapeChanges(routed, toUpdates(routes));
+    return [...reflow, ...routes];
   }, []);
 
+  // Writes that aren't undoable (typing, AI tools, layers panel), each saved with its follow-ups
+  const directActions = useMemo(() => {
+    if (readOnly) {
+      return firestoreActions;
+    }
+    const withFollowUps = (changes, write) => {
+      const followUps = planFollowUps(changes);
+      const result = write();
+      followUps.forEach(({ id, newState }) => firestoreActions.updateShape(id, newState));
+      return result;
+    };
+    return {
+      addShape: (shape) => withFollowUps([{ type: 'create', shape }], () => firestoreActions.addShape(shape)),
+      addShapesBatch: (shapes) => withFollowUps(
+        shapes.map(shape => ({ type: 'create', shape })),
+        () => firestoreActions.addShapesBatch(shapes)
+      ),
+      updateShape: (id, updates) => withFollowUps([{ type: 'update', id, props: updates }], () => firestoreActions.updateShape(id, updates)),
+      updateShapeText: (id, text) => withFollowUps([{ type: 'update', id, props: { text } }], () => firestoreActions.updateShapeText(id, text)),
+      updateTableCell: (id, cellKey, text) => withFollowUps(
+        [{ type: 'cell', id, cellKey, text }],
+        () => firestoreActions.updateTableCell(id, cellKey, text)
+      ),
+      deleteShape: (id) => withFollowUps([{ type: 'delete', id }], () => firestoreActions.deleteShape(id)),
+    };
+  }, [readOnly, firestoreActions, planFollowUps]);
+
+  // Drop any shape tool when edit access is lost
+  useEffect(() => {
+    if (readOnly) {
+      dispatch({ type: CANVAS_ACTIONS.SET_CURRENT_TOOL, payload: null });
+    }
+  }, [readOnly]);
+
   // Command history actions
   const commandActions = useMemo(() => ({
     executeCommand: async (command) => {
-      await commandHistory.execute(command);
+      if (readOnly) {
+        await rejectReadOnlyWrite();
+        return;
+      }
+      // Follow-ups go in the same undo step as the command
+      const followUps = planFollowUps(command.getShapeChanges()).map(({ id, oldState, newState }) => (
+        new UpdateShapeCommand(id, oldState, newState, firestoreActions)
+      ));
+      await commandHistory.execute(followUps.length > 0 ? new BatchCommand([command, ...followUps], command.description) : command);
       updateUndoRedoState();
     },
     undo: async () => {
+      if (readOnly) {
+        await rejectReadOnlyWrite();
+        return;
+      }
       try {
         await commandHistory.undo();
         updateUndoRedoState();
@@ -1025,6 +1172,10 @@ export const CanvasProvider = ({ children }) => {
       }
     },
     redo: async () => {
+      if (readOnly) {
+        await rejectReadOnlyWrite();
+        return;
+      }
       try {
         await commandHistory.redo();
         updateUndoRedoState();
@@ -1033,17 +1184,23 @@ export const CanvasProvider = ({ children }) => {
         console.error('Failed to redo:', err);
       }
     },
-    canUndo,
-    canRedo,
-  }), [commandHistory, updateUndoRedoState, canUndo, canRedo]);
+    canUndo: canUndo && !readOnly,
+    canRedo: canRedo && !readOnly,
+  }), [commandHistory, updateUndoRedoState, canUndo, canRedo, readOnly, firestoreActions, planFollowUps]);
 
   const value = useMemo(() => ({
+    boardId,
+    readOnly,
+    publicView,
     state,
     dispatch,
     firestoreActions,
+    directActions,
     commandActions,
     stageRef,
     setIsExportingRef,
+    insertImagesRef,
+    remoteEditIdsRef,
     cursor: {
       publishCursor,
       startCursorSubscription,
@@ -1067,7 +1224,7 @@ export const CanvasProvider = ({ children }) => {
       startTransformSubscription,
       stopTransformSubscription,
     },
-  }), [state, firestoreActions, commandActions, publishCursor, startCursorSubscription, stopCursorSubscription, setupCursorDisconnect, removeCursorCallback, startPresenceSubscription, stopPresenceSubscription, publishDrag, clearDrag, startDragSubscription, stopDragSubscription, publishTransformUpdate, clearTransformUpdate, startTransformSubscription, stopTransformSubscription]);
+  }), [boardId, readOnly, publicView, state, firestoreActions, directActions, commandActions, publishCursor, startCursorSubscription, stopCursorSubscription, setupCursorDisconnect, removeCursorCallback, startPresenceSubscription, stopPresenceSubscription, publishDrag, clearDrag, startDragSubscription, stopDragSubscription, publishTransformUpdate, clearTransformUpdate, startTransformSubscription, stopTransformSubscription]);
 
   return (
     <CanvasContext.Provider value={value}>
@@ -1108,6 +1265,7 @@ export const useCanvasActions = () => {
     setScale: (scale) => dispatch({ type: CANVAS_ACTIONS.SET_SCALE, payload: scale }),
     setPosition: (position) => dispatch({ type: CANVAS_ACTIONS.SET_POSITION, payload: position }),
     setStageSize: (size) => dispatch({ type: CANVAS_ACTIONS.SET_STAGE_SIZE, payload: size }),
+    setSnapSettings: (settings) => dispatch({ type: CANVAS_ACTIONS.SET_SNAP_SETTINGS, payload: settings }),
   }), [dispatch]);
 };
 
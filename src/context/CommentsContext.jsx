@@ -24,7 +24,7 @@ export const useComments = () => {
 
 const DEFAULT_BOARD_ID = 'default';
 
-export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID }) {
+export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID, canComment = true }) {
   const { user } = useAuth();
   
   // Panel state
@@ -37,7 +37,10 @@ export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID }) {
   const [isLoading, setIsLoading] = useState(true);
 
   // Subscribe to board comments - only when user is authenticated
+  // Re-subscribes when the board changes, discarding the previous board's comments
   useEffect(() => {
+    setComments([]);
+
     if (!user) {
       console.log('[CommentsContext] Waiting for user authentication before subscribing');
       setIsLoading(false);
@@ -103,6 +106,10 @@ export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID }) {
 
   // Create a new comment
   const addComment = useCallback(async (text) => {
+    if (!canComment) {
+      // Viewers can read the thread but not post
+      return false;
+    }
     try {
       console.log('[CommentsContext] Creating comment:', { text, boardId });
       const result = await createComment(text, boardId);
@@ -113,7 +120,7 @@ export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID }) {
       // Error toast already shown by commentService
       return false;
     }
-  }, [boardId]);
+  }, [boardId, canComment]);
 
   // Update an existing comment
   const editComment = useCallback(async (commentId, text) => {
@@ -154,6 +161,7 @@ export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID }) {
       comments,
       commentCount: comments.length,
       isLoading,
+      canComment,
     }),
     [
       isPanelOpen,
@@ -165,6 +173,7 @@ export function CommentsProvider({ children, boardId = DEFAULT_BOARD_ID }) {
       removeComment,
       comments,
       isLoading,
+      canComment,
     ]
   );
 
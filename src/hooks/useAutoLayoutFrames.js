@@ -0,0 +1,65 @@
+/**
+ * useAutoLayoutFrames Hook
+ * Canvas side of auto layout: turns it on and off for frames and keeps laid out nodes in their
+ * slots. The re-flow around edits is saved by CanvasContext.
+ */
+
+import { useCallback, useEffect } from 'react';
+import {
+  AUTO_LAYOUT_SIZING,
+  hasAutoLayout,
+  normalizeAutoLayout,
+  getAutoLayoutContentIds,
+  getAutoLayoutChanges,
+} from '../utils/autoLayout';
+import { UpdateShapeCommand, BatchCommand } from '../utils/commands';
+
+export const useAutoLayoutFrames = ({
+  routedShapes,
+  activeEdits,
+  shapesRef,
+  shapeRefsRef,
+  transformerRef,
+  remoteEditIdsRef,
+  firestoreActions,
+  commandActions,
+}) => {
+  // Commands leave frames others are dragging inside to re-flow once that drag is saved
+  remoteEditIdsRef.current = Object.keys(activeEdits);
+
+  // A child dropped or resized where its slot already was keeps the same props, so Konva isn't told
+  // to move it back; put the node in its slot directly
+  useEffect(() => {
+    if (transformerRef.current?.isTransforming()) return;
+    const shapesById = new Map(routedShapes.map(shape => [shape.id, shape]));
+    getAutoLayoutContentIds(routedShapes).forEach((id) => {
+      const node = shapeRefsRef.current[id];
+      const shape = shapesById.get(id);
+      if (!node || !shape || node.isDragging()) return;
+      if (node.x() !== shape.x || node.y() !== shape.y) node.position({ x: shape.x, y: shape.y });
+    });
+  }, [routedShapes, transformerRef, shapeRefsRef]);
+
+  // Turn a frame's auto layout on or off, along with the re-flow (undoable)
+  const toggleAutoLayout = useCallback((frame) => {
+    const commands = getAutoLayoutChanges(shapesRef.current, frame, frame.autoLayout ? null : {})
+      .map(({ id, oldState, newState }) => new UpdateShapeCommand(id, oldState, newState, firestoreActions));
+    commandActions.executeCommand(commands.length > 1 ? new BatchCommand(commands, 'Change auto layout') : commands[0]);
+  }, [shapesRef, firestoreActions, commandActions]);
+
+  /**
+   * Old and new state for a resize; resizing an auto-layout frame that hugs its children
+   * gives it a fixed size
+   * @returns {Object} { oldState, newState }
+   */
+  const getResizeStates = useCallback((shape, oldState, newState) => {
+    const layout = hasAutoLayout(shape) ? normalizeAutoLayout(shape.autoLayout) : null;
+    if (layout?.sizing !== AUTO_LAYOUT_SIZING.HUG) return { oldState, newState };
+    return {
+      oldState: { ...oldState, autoLayout: shape.autoLayout },
+      newState: { ...newState, autoLayout: { ...layout, sizing: AUTO_LAYOUT_SIZING.FIXED } },
+    };
+  }, []);
+
+  return { toggleAutoLayout, getResizeStates };
+};
@@ -0,0 +1,16 @@
+/**
+ * useBoard - Metadata and the current user's role for the open board
+ * The context lives here so BoardContext.jsx only exports its provider (fast refresh)
+ */
+
+import { createContext, useContext } from 'react';
+
+export const BoardContext = createContext(null);
+
+export const useBoard = () => {
+  const context = useContext(BoardContext);
+  if (!context) {
+    throw new Error('useBoard must be used within BoardProvider');
+  }
+  return context;
+};
@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react';
+import { subscribeToGuides, createGuide, updateGuide, deleteGuide } from '../services/guideService';
+
+/**
+ * Subscribe to a board's ruler guides and edit them
+ * Writes go straight to Firestore; its local snapshot updates the list before the server answers.
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {boolean} options.readOnly - Set true to ignore edits (viewers, commenters and the public view)
+ * @returns {Object} { guides, addGuide, moveGuide, removeGuide, toggleGuideLock }
+ */
+export function useBoardGuides({ boardId, readOnly = false } = {}) {
+  const [guides, setGuides] = useState([]);
+
+  useEffect(() => {
+    setGuides([]);
+    if (!boardId) return undefined;
+    return subscribeToGuides({ boardId, onChange: setGuides });
+  }, [boardId]);
+
+  // Errors are reported to the user by the service
+  const ignoreError = () => {};
+
+  const addGuide = useCallback((orientation, position) => {
+    if (readOnly) return;
+    createGuide(boardId, { orientation, position }).catch(ignoreError);
+  }, [boardId, readOnly]);
+
+  const moveGuide = useCallback((guideId, position) => {
+    if (readOnly) return;
+    updateGuide(boardId, guideId, { position }).catch(ignoreError);
+  }, [boardId, readOnly]);
+
+  const removeGuide = useCallback((guideId) => {
+    if (readOnly) return;
+    deleteGuide(boardId, guideId).catch(ignoreError);
+  }, [boardId, readOnly]);
+
+  const toggleGuideLock = useCallback((guideId) => {
+    if (readOnly) return;
+    const guide = guides.find(g => g.id === guideId);
+    if (!guide) return;
+    updateGuide(boardId, guideId, { locked: !guide.locked }).catch(ignoreError);
+  }, [boardId, readOnly, guides]);
+
+  return { guides, addGuide, moveGuide, removeGuide, toggleGuideLock };
+}
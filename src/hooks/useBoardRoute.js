@@ -0,0 +1,97 @@
+/**
+ * useBoardRoute Hook
+ * Minimal history-based router for the dashboard (/), /board/:boardId and /view/:boardId URLs
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  DASHBOARD_PATH,
+  parseBoardPath,
+  buildBoardPath,
+  parsePublicViewPath,
+  isValidBoardId,
+  addRecentBoard,
+} from '../utils/boardRoutes';
+import { SHARE_TOKEN_PARAM, readShareToken } from '../utils/boardSharing';
+import { buildShapeHash } from '../utils/links';
+
+const readBoardIdFromLocation = () => parseBoardPath(window.location.pathname);
+
+const readPublicBoardIdFromLocation = () => parsePublicViewPath(window.location.pathname);
+
+/**
+ * Track the board ID in the URL and navigate between boards
+ * boardId is null on the dashboard; unknown paths are redirected to the dashboard.
+ * publicBoardId is set instead of boardId on /view/:boardId (public, signed-out view).
+ * A share-link token (?share=...) is captured on first load and removed from the URL.
+ * @returns {Object} { boardId, publicBoardId, shareToken, navigateToBoard, navigateToDashboard }
+ */
+export function useBoardRoute() {
+  const [boardId, setBoardId] = useState(() => readBoardIdFromLocation());
+  const [publicBoardId, setPublicBoardId] = useState(() => readPublicBoardIdFromLocation());
+  const [shareToken, setShareToken] = useState(() => readShareToken(window.location.search));
+
+  // Normalize the URL on first load so unknown paths land on the dashboard
+  useEffect(() => {
+    if (!readBoardIdFromLocation() && !readPublicBoardIdFromLocation()
+        && window.location.pathname !== DASHBOARD_PATH) {
+      window.history.replaceState({ boardId: null }, '', DASHBOARD_PATH);
+      return;
+    }
+
+    // Keep share tokens out of the address bar and browser history
+    const params = new URLSearchParams(window.location.search);
+    if (params.has(SHARE_TOKEN_PARAM)) {
+      params.delete(SHARE_TOKEN_PARAM);
+      const search = params.toString();
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+    }
+  }, []);
+
+  // Browser back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      setBoardId(readBoardIdFromLocation());
+      setPublicBoardId(readPublicBoardIdFromLocation());
+      setShareToken(null);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Remember visited boards for the board switcher
+  useEffect(() => {
+    if (boardId) {
+      addRecentBoard(boardId);
+    }
+  }, [boardId]);
+
+  // A shapeId is kept in the URL hash for the canvas to move to once the board loads
+  const navigateToBoard = useCallback((nextBoardId, { shapeId = null } = {}) => {
+    if (!isValidBoardId(nextBoardId)) {
+      console.warn('[useBoardRoute] Ignoring navigation to invalid board ID:', nextBoardId);
+      return;
+    }
+    if (nextBoardId === readBoardIdFromLocation()) {
+      return;
+    }
+    const hash = shapeId ? buildShapeHash(shapeId) : '';
+    window.history.pushState({ boardId: nextBoardId }, '', `${buildBoardPath(nextBoardId)}${hash}`);
+    setBoardId(nextBoardId);
+    setPublicBoardId(null);
+    setShareToken(null);
+  }, []);
+
+  const navigateToDashboard = useCallback(() => {
+    if (window.location.pathname === DASHBOARD_PATH) {
+      return;
+    }
+    window.history.pushState({ boardId: null }, '', DASHBOARD_PATH);
+    setBoardId(null);
+    setPublicBoardId(null);
+    setShareToken(null);
+  }, []);
+
+  return { boardId, publicBoardId, shareToken, navigateToBoard, navigateToDashboard };
+}
@@ -0,0 +1,52 @@
+/**
+ * useBoardThumbnail Hook
+ * Keeps the dashboard preview of the current board up to date
+ */
+
+import { useEffect } from 'react';
+import { useCanvas } from '../context/CanvasContext';
+import { saveBoardThumbnail } from '../services/boardService';
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_DEBOUNCE_MS = 5000; // Wait for edits to settle before capturing
+
+/**
+ * Render the visible stage as a small JPEG data URL
+ * @param {Object} stage - Konva Stage
+ * @returns {string|null} Data URL, or null if the stage can't be captured
+ */
+const captureThumbnail = (stage) => {
+  if (!stage || !stage.width()) return null;
+  try {
+    return stage.toDataURL({
+      mimeType: 'image/jpeg',
+      quality: 0.7,
+      pixelRatio: THUMBNAIL_WIDTH / stage.width(),
+    });
+  } catch (error) {
+    console.warn('[useBoardThumbnail] Failed to capture thumbnail:', error);
+    return null;
+  }
+};
+
+/**
+ * Capture and save a board thumbnail a few seconds after shapes stop changing
+ * Only editors in the visible tab capture, so background tabs don't overwrite each other
+ */
+export function useBoardThumbnail() {
+  const { boardId, readOnly, stageRef, state: { shapes, loadingShapes } } = useCanvas();
+
+  useEffect(() => {
+    if (!boardId || loadingShapes || readOnly) return;
+
+    const timer = setTimeout(() => {
+      if (document.visibilityState !== 'visible') return;
+      const thumbnail = captureThumbnail(stageRef.current);
+      if (thumbnail) {
+        saveBoardThumbnail(boardId, thumbnail);
+      }
+    }, THUMBNAIL_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [boardId, shapes, loadingShapes, readOnly, stageRef]);
+}
@@ -8,24 +8,34 @@ import {
   CreateShapeCommand, 
   DeleteShapeCommand, 
   MoveShapeCommand, 
+  UpdateShapeCommand,
   BatchCommand,
   BringToFrontCommand,
   SendToBackCommand,
   BringForwardCommand,
-  SendBackwardCommand
+  SendBackwardCommand,
+  GroupShapesCommand,
+  UngroupShapesCommand
 } from '../utils/commands';
+import { copyShapesWithBindings, getConnectorDetachUpdates } from '../utils/connectors';
 import {
-  alignLeft,
-  alignCenter,
-  alignRight,
-  alignTop,
-  alignMiddle,
-  alignBottom,
   distributeHorizontally,
   distributeVertically,
+  alignShapes,
+  getKeyShape,
+  canAlignTo,
+  stackShapes,
+  tidyUp,
+  matchSize,
+  LAYOUT_AXES,
+  ALIGN_TARGETS,
 } from '../utils/alignment';
+import { getImageFiles } from '../utils/images';
+import { withFrameContents } from '../utils/frames';
+import { isGroup, withGroupMembers, createGroup, getEmptiedGroupIds } from '../utils/groups';
 
 export const useCanvasKeyboardShortcuts = ({
+  enabled = true,
   editingTextId,
   selectedIds,
   shapes,
@@ -35,10 +45,48 @@ export const useCanvasKeyboardShortcuts = ({
   firestoreActions,
   commandActions,
   handleAlign,
+  alignOptions = {},
   setShowShortcuts,
   setContextMenu,
+  onPasteImages,
+  onCreateComponent,
 }) => {
   useEffect(() => {
+    // Public view is pan/zoom only
+    if (!enabled) return undefined;
+
+    // Paste shapes copied on the board (connectors pasted with their shapes stay bound to the copies)
+    const pasteClipboardShapes = () => {
+      const clipboardArray = Array.isArray(clipboard) ? clipboard : [clipboard];
+      const newShapes = copyShapesWithBindings(clipboardArray, { createId: () => crypto.randomUUID() });
+      const newIds = [];
+    
+      // If multiple shapes are being pasted, batch the commands
+      if (newShapes.length > 1) {
+        const batchCommand = new BatchCommand([], 'Paste multiple shapes');
+      
+        newShapes.forEach((newShape) => {
+          const command = new CreateShapeCommand(newShape, firestoreActions, actions);
+          batchCommand.addCommand(command);
+          newIds.push(newShape.id);
+        });
+      
+        // Execute the entire batch as one undo/redo operation
+        if (!batchCommand.isEmpty()) {
+          commandActions.executeCommand(batchCommand);
+        }
+      } else {
+        // Single shape - no need for batch
+        const newShape = newShapes[0];
+        const command = new CreateShapeCommand(newShape, firestoreActions, actions);
+        commandActions.executeCommand(command);
+        newIds.push(newShape.id);
+      }
+    
+      // Select all newly pasted shapes (grouped copies through their group)
+      actions.setSelectedIds(newShapes.filter(s => !newIds.includes(s.groupId)).map(s => s.id));
+    };
+
     const handleKeyDown = (e) => {
       // Don't trigger shortcuts when editing text
       if (editingTextId) return;
@@ -81,73 +129,27 @@ export const useCanvasKeyboardShortcuts = ({
       // Copy selected shapes (Cmd/Ctrl + C)
       if ((e.metaKey || e.ctrlKey) && e.key === 'c' && selectedIds.length > 0) {
         e.preventDefault();
-        const shapesToCopy = shapes.filter(s => selectedIds.includes(s.id));
+        // Frames and groups are copied with their contents
+        const copyIds = withFrameContents(shapes, withGroupMembers(shapes, selectedIds));
+        const shapesToCopy = shapes.filter(s => copyIds.includes(s.id));
         if (shapesToCopy.length > 0) {
           setClipboard(shapesToCopy);
         }
       }
       
-      // Paste shapes (Cmd/Ctrl + V)
-      if ((e.metaKey || e.ctrlKey) && e.key === 'v' && clipboard) {
-        e.preventDefault();
-        const clipboardArray = Array.isArray(clipboard) ? clipboard : [clipboard];
-        const newIds = [];
-        
-        // If multiple shapes are being pasted, batch the commands
-        if (clipboardArray.length > 1) {
-          const batchCommand = new BatchCommand([], 'Paste multiple shapes');
-          
-          clipboardArray.forEach((shapeToPaste) => {
-            const newShape = {
-              ...shapeToPaste,
-              id: crypto.randomUUID(),
-              x: shapeToPaste.x + 20,
-              y: shapeToPaste.y + 20,
-            };
-            const command = new CreateShapeCommand(newShape, firestoreActions, actions);
-            batchCommand.addCommand(command);
-            newIds.push(newShape.id);
-          });
-          
-          // Execute the entire batch as one undo/redo operation
-          if (!batchCommand.isEmpty()) {
-            commandActions.executeCommand(batchCommand);
-          }
-        } else {
-          // Single shape - no need for batch
-          const shapeToPaste = clipboardArray[0];
-          const newShape = {
-            ...shapeToPaste,
-            id: crypto.randomUUID(),
-            x: shapeToPaste.x + 20,
-            y: shapeToPaste.y + 20,
-          };
-          const command = new CreateShapeCommand(newShape, firestoreActions, actions);
-          commandActions.executeCommand(command);
-          newIds.push(newShape.id);
-        }
-        
-        // Select all newly pasted shapes
-        actions.setSelectedIds(newIds);
-      }
-      
       // Duplicate selected shapes (Cmd/Ctrl + D)
       if ((e.metaKey || e.ctrlKey) && e.key === 'd' && selectedIds.length > 0) {
         e.preventDefault();
-        const shapesToDuplicate = shapes.filter(s => selectedIds.includes(s.id));
+        const duplicateIds = withFrameContents(shapes, withGroupMembers(shapes, selectedIds));
+        const shapesToDuplicate = shapes.filter(s => duplicateIds.includes(s.id));
+        const newShapes = copyShapesWithBindings(shapesToDuplicate, { createId: () => crypto.randomUUID() });
         const newIds = [];
         
         // If multiple shapes are being duplicated, batch the commands
-        if (shapesToDuplicate.length > 1) {
+        if (newShapes.length > 1) {
           const batchCommand = new BatchCommand([], 'Duplicate multiple shapes');
           
-          shapesToDuplicate.forEach((shapeToDuplicate) => {
-            const newShape = {
-              ...shapeToDuplicate,
-              id: crypto.randomUUID(),
-              x: shapeToDuplicate.x + 20,
-              y: shapeToDuplicate.y + 20,
-            };
+          newShapes.forEach((newShape) => {
             const command = new CreateShapeCommand(newShape, firestoreActions, actions);
             batchCommand.addCommand(command);
             newIds.push(newShape.id);
@@ -159,31 +161,73 @@ export const useCanvasKeyboardShortcuts = ({
           }
         } else {
           // Single shape - no need for batch
-          const shapeToDuplicate = shapesToDuplicate[0];
-          const newShape = {
-            ...shapeToDuplicate,
-            id: crypto.randomUUID(),
-            x: shapeToDuplicate.x + 20,
-            y: shapeToDuplicate.y + 20,
-          };
+          const newShape = newShapes[0];
           const command = new CreateShapeCommand(newShape, firestoreActions, actions);
           commandActions.executeCommand(command);
           newIds.push(newShape.id);
         }
         
-        // Select all newly duplicated shapes
-        actions.setSelectedIds(newIds);
+        // Select all newly duplicated shapes (grouped copies through their group)
+        actions.setSelectedIds(newShapes.filter(s => !newIds.includes(s.groupId)).map(s => s.id));
       }
       
+      // Group selected shapes (Cmd/Ctrl + G)
+      if ((e.metaKey || e.ctrlKey) && !e.shiftKey && (e.key === 'g' || e.key === 'G')) {
+        e.preventDefault();
+        const members = shapes.filter(s => selectedIds.includes(s.id));
+        if (members.length < 2) return;
+
+        const group = createGroup(members);
+        commandActions.executeCommand(new GroupShapesCommand(group, members, firestoreActions));
+        actions.setSelectedIds([group.id]);
+        return;
+      }
+
+      // Create a component from the selection (Cmd/Ctrl + Alt + K; the key code survives Option on macOS)
+      if ((e.metaKey || e.ctrlKey) && e.altKey && e.code === 'KeyK') {
+        e.preventDefault();
+        if (selectedIds.length > 0) onCreateComponent?.();
+        return;
+      }
+
+      // Ungroup selected groups (Cmd/Ctrl + Shift + G)
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'g' || e.key === 'G')) {
+        e.preventDefault();
+        const groups = shapes.filter(s => selectedIds.includes(s.id) && isGroup(s));
+        if (groups.length === 0) return;
+
+        const groupIds = groups.map(group => group.id);
+        const commands = groups.map(group => new UngroupShapesCommand(
+          group,
+          shapes.filter(s => s.groupId === group.id),
+          firestoreActions
+        ));
+        commandActions.executeCommand(commands.length > 1 ? new BatchCommand(commands, 'Ungroup multiple groups') : commands[0]);
+
+        // Select what the groups held
+        actions.setSelectedIds([
+          ...selectedIds.filter(id => !groupIds.includes(id)),
+          ...shapes.filter(s => groupIds.includes(s.groupId)).map(s => s.id),
+        ]);
+        return;
+      }
+
       // Delete selected shapes
       if ((e.key === 'Delete' || e.key === 'Backspace') && selectedIds.length > 0) {
         e.preventDefault();
+        // Deleting a frame or group deletes its contents, and a group left empty goes with them
+        const removedIds = withFrameContents(shapes, withGroupMembers(shapes, selectedIds));
+        const deleteIds = [...removedIds, ...getEmptiedGroupIds(shapes, removedIds)];
+
+        // Connectors bound to deleted shapes stay where they are, unbound (undo re-binds them)
+        const detachCommands = getConnectorDetachUpdates(shapes, deleteIds)
+          .map(({ id, oldState, newState }) => new UpdateShapeCommand(id, oldState, newState, firestoreActions));
         
-        // If multiple shapes are selected, batch the commands
-        if (selectedIds.length > 1) {
-          const batchCommand = new BatchCommand([], 'Multi-select delete');
+        // If multiple shapes are deleted (or connectors detach), batch the commands
+        if (deleteIds.length > 1 || detachCommands.length > 0) {
+          const batchCommand = new BatchCommand(detachCommands, 'Multi-select delete');
           
-          selectedIds.forEach(id => {
+          deleteIds.forEach(id => {
             const shape = shapes.find(s => s.id === id);
             if (shape) {
               const command = new DeleteShapeCommand(id, shape, firestoreActions);
@@ -210,12 +254,15 @@ export const useCanvasKeyboardShortcuts = ({
       if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key) && selectedIds.length > 0) {
         e.preventDefault();
         const step = e.shiftKey ? 20 : 5;
+        // Frames and groups move with their contents (groups have no position of their own)
+        const moveIds = withFrameContents(shapes, withGroupMembers(shapes, selectedIds))
+          .filter(id => !isGroup(shapes.find(s => s.id === id)));
         
-        // If multiple shapes are selected, batch the commands
-        if (selectedIds.length > 1) {
+        // If multiple shapes move, batch the commands
+        if (moveIds.length > 1) {
           const batchCommand = new BatchCommand([], 'Multi-select arrow key movement');
           
-          selectedIds.forEach(shapeId => {
+          moveIds.forEach(shapeId => {
             const shape = shapes.find(s => s.id === shapeId);
             if (!shape) return;
             
@@ -253,7 +300,7 @@ export const useCanvasKeyboardShortcuts = ({
           }
         } else {
           // Single shape - no need for batch
-          const shapeId = selectedIds[0];
+          const shapeId = moveIds[0];
           const shape = shapes.find(s => s.id === shapeId);
           if (shape) {
             const oldPosition = { x: shape.x, y: shape.y };
@@ -319,47 +366,46 @@ export const useCanvasKeyboardShortcuts = ({
         }
       }
       
-      // Alignment shortcuts (require 2+ selected shapes)
-      if (selectedIds.length >= 2) {
-        const selectedShapes = shapes.filter(s => selectedIds.includes(s.id));
-        
-        // Align Left: Ctrl/Cmd + Shift + L
-        if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'L' || e.key === 'l')) {
-          e.preventDefault();
-          const updates = alignLeft(selectedShapes);
-          handleAlign(updates, 'left');
-          return;
-        }
-        
-        // Align Right: Ctrl/Cmd + Shift + R
-        if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'R' || e.key === 'r')) {
-          e.preventDefault();
-          const updates = alignRight(selectedShapes);
-          handleAlign(updates, 'right');
-          return;
-        }
-        
-        // Align Top: Ctrl/Cmd + Shift + T
-        if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'T' || e.key === 't')) {
-          e.preventDefault();
-          const updates = alignTop(selectedShapes);
-          handleAlign(updates, 'top');
-          return;
-        }
-        
-        // Align Bottom: Ctrl/Cmd + Shift + B
-        if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'B' || e.key === 'b')) {
-          e.preventDefault();
-          const updates = alignBottom(selectedShapes);
-          handleAlign(updates, 'bottom');
-          return;
+      // Alignment shortcuts (require 2+ selected shapes, or 1+ when aligning to the canvas)
+      const selectedShapes = shapes.filter(s => selectedIds.includes(s.id) && !isGroup(s));
+      if (selectedIds.length > 0 && canAlignTo(selectedShapes, alignOptions.target)) {
+        const keyShape = getKeyShape(selectedShapes, selectedIds);
+        const alignTo = { target: alignOptions.target, viewport: alignOptions.viewport, keyShape };
+
+        // Layout shortcuts hold Alt as well (key codes, since Alt changes the typed character on macOS)
+        if ((e.metaKey || e.ctrlKey) && e.altKey) {
+          // Tidy Up: Ctrl/Cmd + Alt + Shift + T
+          if (e.shiftKey && e.code === 'KeyT') {
+            e.preventDefault();
+            handleAlign(tidyUp(selectedShapes, alignOptions.spacing), 'tidy-up');
+            return;
+          }
+
+          // Stack Horizontally / Vertically: Ctrl/Cmd + Alt + H / V
+          if (!e.shiftKey && (e.code === 'KeyH' || e.code === 'KeyV')) {
+            e.preventDefault();
+            const axis = e.code === 'KeyH' ? LAYOUT_AXES.HORIZONTAL : LAYOUT_AXES.VERTICAL;
+            handleAlign(stackShapes(selectedShapes, axis, alignOptions.spacing), `stack-${axis}`);
+            return;
+          }
+
+          // Match Width / Height: Ctrl/Cmd + Alt + Shift + W / H
+          if (e.shiftKey && (e.code === 'KeyW' || e.code === 'KeyH')) {
+            e.preventDefault();
+            const dimension = e.code === 'KeyW' ? 'width' : 'height';
+            const matchTo = alignOptions.target === ALIGN_TARGETS.KEY_OBJECT ? keyShape : null;
+            handleAlign(matchSize(selectedShapes, dimension, matchTo), `match-${dimension}`);
+            return;
+          }
         }
-        
-        // Align Middle (vertical): Ctrl/Cmd + Shift + M
-        if ((e.metaKey || e.ctrlKey) && e.shiftKey && (e.key === 'M' || e.key === 'm')) {
+
+        const ALIGN_KEYS = { L: 'left', R: 'right', T: 'top', B: 'bottom', M: 'middle' };
+        const alignType = ALIGN_KEYS[e.key.toUpperCase()];
+
+        // Align Left/Right/Top/Bottom/Middle: Ctrl/Cmd + Shift + L/R/T/B/M
+        if ((e.metaKey || e.ctrlKey) && e.shiftKey && !e.altKey && alignType) {
           e.preventDefault();
-          const updates = alignMiddle(selectedShapes);
-          handleAlign(updates, 'middle');
+          handleAlign(alignShapes(selectedShapes, alignType, alignTo), alignType);
           return;
         }
         
@@ -396,9 +442,38 @@ export const useCanvasKeyboardShortcuts = ({
       }
     };
 
+    // Paste (Cmd/Ctrl + V): images from the system clipboard (screenshots, copied images),
+    // otherwise shapes copied on the board
+    const handlePaste = (e) => {
+      if (editingTextId) return;
+
+      const activeElement = document.activeElement;
+      if (activeElement && (
+        activeElement.tagName === 'INPUT' ||
+        activeElement.tagName === 'TEXTAREA' ||
+        activeElement.isContentEditable
+      )) {
+        return;
+      }
+
+      const files = getImageFiles(e.clipboardData);
+      if (files.length > 0 && onPasteImages) {
+        e.preventDefault();
+        onPasteImages(files);
+      } else if (clipboard) {
+        e.preventDefault();
+        pasteClipboardShapes();
+      }
+    };
+
     window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('paste', handlePaste);
+    };
   }, [
+    enabled,
     editingTextId,
     selectedIds,
     shapes,
@@ -408,8 +483,11 @@ export const useCanvasKeyboardShortcuts = ({
     firestoreActions,
     commandActions,
     handleAlign,
+    alignOptions,
     setShowShortcuts,
     setContextMenu,
+    onPasteImages,
+    onCreateComponent,
   ]);
 };
 
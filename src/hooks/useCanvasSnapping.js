@@ -0,0 +1,162 @@
+/**
+ * useCanvasSnapping Hook
+ * Snaps dragged and resized shapes to the grid, to other shapes and to ruler guides,
+ * and shows the smart guides they line up on. Holding Ctrl/Cmd turns snapping off.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isSnapSuspended, getSnapOptions, getSnapTargets, getMoveSnap, getResizeSnap } from '../utils/snapping';
+import { getSelectionBounds } from '../utils/alignment';
+import { withFrameContents } from '../utils/frames';
+import { isGroup, withGroupMembers, getSelectionTargetId } from '../utils/groups';
+
+export const useCanvasSnapping = ({
+  stageRef,
+  transformerRef,
+  shapeRefsRef,
+  shapesRef,
+  selectedIdsRef,
+  enteredGroupIdRef,
+  visibleShapesRef,
+  snapSettings,
+  guides,
+}) => {
+  const [snapGuides, setSnapGuides] = useState([]); // Smart guides shown while dragging or resizing
+  const snapSettingsRef = useRef(snapSettings);
+  snapSettingsRef.current = snapSettings;
+  const snapSuspendedRef = useRef(false); // Ctrl/Cmd held down
+  const snapDragRef = useRef(null); // Drag being snapped: { leadId, starts, box, targets, offset }
+  const snapResizeRef = useRef(null); // Resize being snapped: { targets }
+  const rulerGuidesRef = useRef([]); // Ruler guides shapes snap to
+  rulerGuidesRef.current = snapSettings.rulers ? guides : [];
+
+  // Tracked on the window since Transformer resizes don't pass their events on
+  useEffect(() => {
+    const updateSuspended = (e) => {
+      snapSuspendedRef.current = isSnapSuspended(e);
+    };
+    const resetSuspended = () => {
+      snapSuspendedRef.current = false;
+    };
+    window.addEventListener('keydown', updateSuspended);
+    window.addEventListener('keyup', updateSuspended);
+    window.addEventListener('pointermove', updateSuspended);
+    window.addEventListener('blur', resetSuspended);
+    return () => {
+      window.removeEventListener('keydown', updateSuspended);
+      window.removeEventListener('keyup', updateSuspended);
+      window.removeEventListener('pointermove', updateSuspended);
+      window.removeEventListener('blur', resetSuspended);
+    };
+  }, []);
+
+  const showSnapGuides = useCallback((nextGuides) => {
+    setSnapGuides(prev => (JSON.stringify(prev) === JSON.stringify(nextGuides) ? prev : nextGuides));
+  }, []);
+
+  /**
+   * Drag bound for shape nodes: snaps the dragged shapes to the grid and to other shapes
+   * Shapes dragged together all move by the offset worked out for the shape under the pointer,
+   * which Konva positions first on every move.
+   * @returns {Object} Absolute position for the node
+   */
+  const snapDragPosition = useCallback((shapeId, node, pos) => {
+    const parentTransform = node.getParent().getAbsoluteTransform();
+
+    if (!snapDragRef.current) {
+      // Same shapes as the drag moves: the selection it belongs to, or its outermost group
+      const currentShapes = shapesRef.current;
+      const targetId = getSelectionTargetId(currentShapes, shapeId, enteredGroupIdRef.current);
+      const movedIds = withGroupMembers(
+        currentShapes,
+        selectedIdsRef.current.includes(targetId) ? selectedIdsRef.current : [targetId]
+      ).filter(id => shapeRefsRef.current[id]);
+      const movedShapes = currentShapes.filter(s => movedIds.includes(s.id) && !isGroup(s));
+      if (movedShapes.length === 0) return pos;
+
+      snapDragRef.current = {
+        leadId: shapeId,
+        starts: Object.fromEntries(movedShapes.map((s) => {
+          const movedNode = shapeRefsRef.current[s.id];
+          return [s.id, { x: movedNode.x(), y: movedNode.y() }];
+        })),
+        box: getSelectionBounds(movedShapes),
+        targets: [
+          ...getSnapTargets(visibleShapesRef.current, withFrameContents(currentShapes, movedIds)),
+          ...rulerGuidesRef.current,
+        ],
+        offset: null,
+      };
+    }
+
+    const session = snapDragRef.current;
+    const start = session.starts[shapeId];
+    if (!start) return pos;
+
+    if (shapeId === session.leadId) {
+      const dragged = parentTransform.copy().invert().point(pos);
+      const dx = dragged.x - start.x;
+      const dy = dragged.y - start.y;
+      const snap = getMoveSnap(
+        { ...session.box, x: session.box.x + dx, y: session.box.y + dy },
+        session.targets,
+        getSnapOptions(snapSettingsRef.current, node.getStage().scaleX(), snapSuspendedRef.current)
+      );
+      session.offset = { x: dx + snap.dx, y: dy + snap.dy };
+      showSnapGuides(snap.guides);
+    }
+    if (!session.offset) return pos;
+    return parentTransform.point({ x: start.x + session.offset.x, y: start.y + session.offset.y });
+  }, [shapesRef, selectedIdsRef, enteredGroupIdRef, shapeRefsRef, visibleShapesRef, showSnapGuides]);
+
+  /**
+   * Transformer bound for resizes: snaps the edges being dragged to the grid and to other shapes
+   * Boxes are in absolute (screen) coordinates; rotated boxes and rotations aren't snapped.
+   */
+  const snapResizeBox = useCallback((oldBox, newBox) => {
+    const transformer = transformerRef.current;
+    const stage = stageRef.current;
+    if (!transformer || !stage || transformer.getActiveAnchor() === 'rotater' || Math.abs(newBox.rotation) > 1e-6) {
+      return newBox;
+    }
+
+    if (!snapResizeRef.current) {
+      const resizedIds = transformer.nodes().map(node => node.id());
+      snapResizeRef.current = {
+        targets: [...getSnapTargets(visibleShapesRef.current, resizedIds), ...rulerGuidesRef.current],
+      };
+    }
+
+    const stageScale = stage.scaleX();
+    const toCanvas = (box) => ({
+      x: (box.x - stage.x()) / stageScale,
+      y: (box.y - stage.y()) / stageScale,
+      width: box.width / stageScale,
+      height: box.height / stageScale,
+    });
+    const { box, guides: lineGuides } = getResizeSnap(
+      toCanvas(newBox),
+      toCanvas(oldBox),
+      snapResizeRef.current.targets,
+      getSnapOptions(snapSettingsRef.current, stageScale, snapSuspendedRef.current)
+    );
+    const snapped = {
+      ...newBox,
+      x: box.x * stageScale + stage.x(),
+      y: box.y * stageScale + stage.y(),
+      width: box.width * stageScale,
+      height: box.height * stageScale,
+    };
+    if (snapped.width < 5 || snapped.height < 5) return newBox;
+    showSnapGuides(lineGuides);
+    return snapped;
+  }, [stageRef, transformerRef, visibleShapesRef, showSnapGuides]);
+
+  const endSnapping = useCallback(() => {
+    snapDragRef.current = null;
+    snapResizeRef.current = null;
+    showSnapGuides([]);
+  }, [showSnapGuides]);
+
+  return { snapGuides, snapDragPosition, snapResizeBox, endSnapping };
+};
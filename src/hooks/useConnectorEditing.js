@@ -0,0 +1,81 @@
+/**
+ * useConnectorEditing Hook
+ * Binds line and arrow ends to the shapes they're dropped on, with a preview of the
+ * anchor while an end is dragged
+ */
+
+import { useCallback, useState } from 'react';
+import {
+  BINDING_KEYS,
+  isConnector,
+  getLineEndPoint,
+  findBindingTarget,
+  resolveConnectorGeometry,
+} from '../utils/connectors';
+import { UpdateShapeCommand } from '../utils/commands';
+
+export const useConnectorEditing = ({ shapesRef, firestoreActions, commandActions }) => {
+  const [anchorHint, setAnchorHint] = useState(null); // { shapeId, anchor } a dragged line end would bind to
+
+  // Preview the shape a dragged line end would bind to
+  const handleEndpointDragMove = useCallback((line, end, points) => {
+    const point = getLineEndPoint({ ...line, points }, end);
+    const target = findBindingTarget(shapesRef.current, point, { excludeIds: [line.id] });
+    setAnchorHint(prev => (
+      prev?.shapeId === target?.shapeId && prev?.anchor === target?.anchor ? prev : target
+    ));
+  }, [shapesRef]);
+
+  /**
+   * Commit a line/arrow edit that changes its bindings
+   * Dropping an end on a shape binds it; dragging a whole connector detaches it.
+   * @returns {boolean} Whether the change was handled here
+   */
+  const commitConnectorChange = useCallback((line, newAttrs, metadata) => {
+    const stored = shapesRef.current.find(s => s.id === line.id) || line;
+    const shapesById = new Map(shapesRef.current.map(s => [s.id, s]));
+    let oldState;
+    let newState;
+
+    if (metadata.endpoint) {
+      setAnchorHint(null);
+      const bindingKey = BINDING_KEYS[metadata.endpoint];
+      const point = getLineEndPoint({ ...line, points: newAttrs.points }, metadata.endpoint);
+      const target = findBindingTarget(shapesRef.current, point, { excludeIds: [line.id] });
+      if (!target && !isConnector(stored)) return false;
+
+      oldState = { [bindingKey]: stored[bindingKey] ?? null };
+      newState = {
+        ...resolveConnectorGeometry({ ...line, points: newAttrs.points, [bindingKey]: target }, shapesById),
+        [bindingKey]: target,
+      };
+    } else if (metadata.isMove && isConnector(stored)) {
+      oldState = {
+        startBinding: stored.startBinding ?? null,
+        endBinding: stored.endBinding ?? null,
+      };
+      newState = {
+        x: newAttrs.x,
+        y: newAttrs.y,
+        points: line.points,
+        rotation: 0,
+        startBinding: null,
+        endBinding: null,
+      };
+    } else {
+      return false;
+    }
+
+    Object.assign(oldState, {
+      x: stored.x,
+      y: stored.y,
+      points: stored.points,
+      rotation: stored.rotation || 0,
+    });
+    const command = new UpdateShapeCommand(line.id, oldState, newState, firestoreActions);
+    commandActions.executeCommand(command);
+    return true;
+  }, [shapesRef, firestoreActions, commandActions]);
+
+  return { anchorHint, handleEndpointDragMove, commitConnectorChange };
+};
@@ -0,0 +1,60 @@
+/**
+ * useImageElement Hook
+ * Loads an image shape's picture into an HTMLImageElement for Konva
+ */
+
+import { useEffect, useState } from 'react';
+import { resolveImageUrl } from '../services/blobStore';
+
+const IDLE = { image: null, status: 'idle' };
+
+/**
+ * Load the image behind an image shape
+ * Remote URLs load with CORS so exports and thumbnails can still read the canvas.
+ * @param {Object|null} shape - Image shape (pass null for other shapes; hooks can't be conditional)
+ * @returns {Object} { image, status } - status is 'idle', 'loading', 'loaded' or 'error'
+ */
+export function useImageElement(shape) {
+  const src = shape?.src || null;
+  const storagePath = shape?.storagePath || null;
+  const [result, setResult] = useState(IDLE);
+
+  useEffect(() => {
+    if (!src && !storagePath) {
+      setResult(IDLE);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const image = new window.Image();
+    setResult({ image: null, status: 'loading' });
+
+    image.onload = () => {
+      if (!cancelled) setResult({ image, status: 'loaded' });
+    };
+    image.onerror = () => {
+      if (!cancelled) setResult({ image: null, status: 'error' });
+    };
+
+    resolveImageUrl({ src, storagePath })
+      .then((url) => {
+        if (cancelled || !url) return;
+        if (/^https?:/.test(url)) {
+          image.crossOrigin = 'anonymous';
+        }
+        image.src = url;
+      })
+      .catch((err) => {
+        console.error('[useImageElement] Failed to resolve image URL', err);
+        if (!cancelled) setResult({ image: null, status: 'error' });
+      });
+
+    return () => {
+      cancelled = true;
+      image.onload = null;
+      image.onerror = null;
+    };
+  }, [src, storagePath]);
+
+  return result;
+}
@@ -0,0 +1,128 @@
+/**
+ * useImageInsert Hook
+ * Uploads image files and places them on the canvas, whether they come from the Toolbar
+ * file picker, a paste or a drop onto the stage
+ */
+
+import { useCallback, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { uploadBoardImage } from '../services/blobStore';
+import { createShape, SHAPE_TYPES } from '../utils/shapes';
+import {
+  IMAGE_INSERT_OFFSET,
+  getImageFiles,
+  hasFiles,
+  fitImageSize,
+  validateImageFile,
+  readImageDimensions,
+} from '../utils/images';
+import { assignContainingFrame } from '../utils/frames';
+import { CreateShapeCommand, BatchCommand } from '../utils/commands';
+
+export const useImageInsert = ({
+  boardId,
+  readOnly,
+  publicView,
+  stageRef,
+  stageSize,
+  position,
+  scale,
+  shapesRef,
+  insertImagesRef,
+  actions,
+  firestoreActions,
+  commandActions,
+}) => {
+  /**
+   * Upload image files and place them on the canvas as one undoable step
+   * @param {Array<File>} files - Files from a drop, paste or the file picker
+   * @param {Object} point - Canvas position to center the first image on (defaults to the viewport center)
+   */
+  const insertImageFiles = useCallback(async (files, point) => {
+    if (readOnly || publicView) return;
+
+    const accepted = [];
+    files.forEach((file) => {
+      const error = validateImageFile(file);
+      if (error) {
+        toast.error(error);
+      } else {
+        accepted.push(file);
+      }
+    });
+    if (accepted.length === 0) return;
+
+    const center = point || {
+      x: (stageSize.width / 2 - position.x) / scale,
+      y: (stageSize.height / 2 - position.y) / scale,
+    };
+    const toastId = toast.loading(accepted.length > 1 ? `Uploading ${accepted.length} images…` : 'Uploading image…');
+
+    const results = await Promise.allSettled(accepted.map(async (file) => {
+      const natural = await readImageDimensions(file);
+      const upload = await uploadBoardImage({ boardId, file });
+      return { file, natural, upload };
+    }));
+    toast.dismiss(toastId);
+
+    const newShapes = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        toast.error(`Couldn't upload ${accepted[i].name || 'image'}`);
+        return;
+      }
+      const { file, natural, upload } = result.value;
+      const offset = newShapes.length * IMAGE_INSERT_OFFSET;
+      newShapes.push(assignContainingFrame(shapesRef.current, createShape(SHAPE_TYPES.IMAGE, center.x + offset, center.y + offset, {
+        ...fitImageSize(natural.width, natural.height),
+        src: upload.src,
+        storagePath: upload.storagePath,
+        name: file.name || null,
+      })));
+    });
+    if (newShapes.length === 0) return;
+
+    const commands = newShapes.map(shape => new CreateShapeCommand(shape, firestoreActions, actions));
+    commandActions.executeCommand(
+      commands.length > 1 ? new BatchCommand(commands, 'Insert images') : commands[0]
+    );
+    actions.setSelectedIds(newShapes.map(shape => shape.id));
+  }, [readOnly, publicView, boardId, stageSize, position, scale, shapesRef, firestoreActions, actions, commandActions]);
+
+  // Expose image insertion to context for the Toolbar file picker
+  useEffect(() => {
+    insertImagesRef.current = insertImageFiles;
+    return () => {
+      insertImagesRef.current = null;
+    };
+  }, [insertImagesRef, insertImageFiles]);
+
+  // Allow dropping files onto the stage
+  const handleDragOver = useCallback((e) => {
+    if (readOnly || publicView || !hasFiles(e.dataTransfer)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }, [readOnly, publicView]);
+
+  // Dropped images are centered on the drop point
+  const handleDrop = useCallback((e) => {
+    if (readOnly || publicView || !hasFiles(e.dataTransfer)) return;
+    e.preventDefault();
+
+    const files = getImageFiles(e.dataTransfer);
+    if (files.length === 0) {
+      toast.error('Only images can be dropped onto the board');
+      return;
+    }
+
+    const stage = stageRef.current;
+    stage.setPointersPositions(e);
+    const pointer = stage.getPointerPosition();
+    insertImageFiles(files, {
+      x: (pointer.x - position.x) / scale,
+      y: (pointer.y - position.y) / scale,
+    });
+  }, [readOnly, publicView, stageRef, position, scale, insertImageFiles]);
+
+  return { insertImageFiles, handleDragOver, handleDrop };
+};
@@ -7,7 +7,13 @@ import { getColorForUser, getInitials } from '../utils/cursorColors';
 // Cursor update throttle - configurable via env for production tuning
 const THROTTLE_MS = Number(import.meta.env.VITE_CURSOR_THROTTLE_MS) || 35;
 
-export function useRealtimeCursor({ boardId } = {}) {
+/**
+ * Publish the local cursor and subscribe to remote cursors on a board
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {boolean} options.enabled - Set false to neither publish nor subscribe (public view)
+ */
+export function useRealtimeCursor({ boardId, enabled = true } = {}) {
   const { user } = useAuth();
   const {
     state: { scale, remoteCursors },
@@ -38,7 +44,7 @@ export function useRealtimeCursor({ boardId } = {}) {
 
   const publishLocalCursor = useCallback(
     ({ x, y, scaleOverride }) => {
-      if (!user?.uid) {
+      if (!enabled || !user?.uid) {
         return;
       }
       const color = getColorForUser(user.uid);
@@ -56,19 +62,19 @@ export function useRealtimeCursor({ boardId } = {}) {
       const throttledFn = ensureThrottledPublish();
       throttledFn(cursorPayload);
     },
-    [boardId, ensureThrottledPublish, scale, user]
+    [boardId, enabled, ensureThrottledPublish, scale, user]
   );
 
   const clearLocalCursor = useCallback(async () => {
     throttledPublishRef.current?.cancel?.();
-    if (user?.uid) {
+    if (enabled && user?.uid) {
       await removeCursor({ uid: user.uid, boardId });
     }
     localCursorRef.current = null;
-  }, [boardId, removeCursor, user?.uid]);
+  }, [boardId, enabled, removeCursor, user?.uid]);
 
   useEffect(() => {
-    if (!user?.uid) {
+    if (!enabled || !user?.uid) {
       return undefined;
     }
     setupCursorDisconnect({ uid: user.uid, boardId });
@@ -77,7 +83,7 @@ export function useRealtimeCursor({ boardId } = {}) {
       stopCursorSubscription();
       removeCursor({ uid: user.uid, boardId }).catch(() => {});
     };
-  }, [boardId, removeCursor, setupCursorDisconnect, startCursorSubscription, stopCursorSubscription, user?.uid]);
+  }, [boardId, enabled, removeCursor, setupCursorDisconnect, startCursorSubscription, stopCursorSubscription, user?.uid]);
 
   const value = useMemo(
     () => ({
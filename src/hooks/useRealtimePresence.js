@@ -4,7 +4,13 @@ import { useAuth } from '../context/AuthContext';
 import { setPresence, removePresence, registerDisconnectCleanup, startPresenceHeartbeat } from '../services/presenceService';
 import { getColorForUser, getInitials } from '../utils/cursorColors';
 
-export function useRealtimePresence({ boardId = 'default' } = {}) {
+/**
+ * Publish the current user's presence on a board and subscribe to everyone else's
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {boolean} options.enabled - Set false to neither publish nor subscribe (public view)
+ */
+export function useRealtimePresence({ boardId = 'default', enabled = true } = {}) {
   const { user } = useAuth();
   const { presence: { startPresenceSubscription, stopPresenceSubscription } } = useCanvas();
 
@@ -18,6 +24,8 @@ export function useRealtimePresence({ boardId = 'default' } = {}) {
   }, [boardId, startPresenceSubscription, user?.displayName, user?.email, user?.uid]);
 
   useEffect(() => {
+    if (!enabled) return undefined;
+
     let stopHeartbeat = () => {};
     setup().then(() => {
       if (user?.uid) {
@@ -33,7 +41,7 @@ export function useRealtimePresence({ boardId = 'default' } = {}) {
         removePresence({ uid: user.uid, boardId }).catch(() => {});
       }
     };
-  }, [boardId, setup, stopPresenceSubscription, user?.uid, user?.displayName, user?.email]);
+  }, [boardId, enabled, setup, stopPresenceSubscription, user?.uid, user?.displayName, user?.email]);
 }
 
 
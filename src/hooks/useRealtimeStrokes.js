@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { throttle } from '../utils/throttle';
+import { publishStroke, clearStroke, subscribeToStrokes } from '../services/strokeBroadcastService';
+
+// Pen strokes stream a little slower than cursors; the whole point list is resent each time
+const STROKE_THROTTLE_MS = 50;
+
+/**
+ * Stream the local in-progress pen stroke and subscribe to collaborators' strokes
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {boolean} options.enabled - Set false to neither publish nor subscribe (public view)
+ * @returns {Object} { remoteStrokes, publishLocalStroke, clearLocalStroke }
+ */
+export function useRealtimeStrokes({ boardId, enabled = true } = {}) {
+  const { user } = useAuth();
+  const [remoteStrokes, setRemoteStrokes] = useState([]);
+  const throttledPublishRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || !user?.uid) {
+      setRemoteStrokes([]);
+      return undefined;
+    }
+
+    const unsubscribe = subscribeToStrokes({
+      boardId,
+      excludeUserId: user.uid,
+      onUpdate: setRemoteStrokes,
+    });
+
+    return () => {
+      unsubscribe();
+      throttledPublishRef.current?.cancel?.();
+      throttledPublishRef.current = null;
+    };
+  }, [boardId, enabled, user?.uid]);
+
+  const publishLocalStroke = useCallback(({ points, stroke, strokeWidth }) => {
+    if (!enabled || !user?.uid) {
+      return;
+    }
+    if (!throttledPublishRef.current) {
+      throttledPublishRef.current = throttle((payload) => {
+        publishStroke(payload).catch((err) => {
+          console.error('[useRealtimeStrokes] Failed to publish stroke', err);
+        });
+      }, STROKE_THROTTLE_MS);
+    }
+    throttledPublishRef.current({ boardId, userId: user.uid, points, stroke, strokeWidth });
+  }, [boardId, enabled, user?.uid]);
+
+  const clearLocalStroke = useCallback(() => {
+    throttledPublishRef.current?.cancel?.();
+    if (!enabled || !user?.uid) {
+      return Promise.resolve();
+    }
+    return clearStroke({ boardId, userId: user.uid }).catch((err) => {
+      console.error('[useRealtimeStrokes] Failed to clear stroke', err);
+    });
+  }, [boardId, enabled, user?.uid]);
+
+  return { remoteStrokes, publishLocalStroke, clearLocalStroke };
+}
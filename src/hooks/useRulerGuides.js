@@ -0,0 +1,37 @@
+/**
+ * useRulerGuides Hook
+ * Drags new guides out of the rulers and moves existing ones, landing on the grid when it's on
+ */
+
+import { useCallback, useState } from 'react';
+import { GUIDE_ORIENTATIONS, snapGuidePosition, isOverRuler } from '../utils/guides';
+
+export const useRulerGuides = ({ position, scale, snapSettings, addGuide, moveGuide }) => {
+  const [guidePreview, setGuidePreview] = useState(null); // Guide being dragged out of a ruler { orientation, position }
+
+  // Canvas coordinate a guide dragged out of a ruler lands on
+  const getGuidePosition = useCallback((orientation, screenPoint) => {
+    const value = orientation === GUIDE_ORIENTATIONS.VERTICAL
+      ? (screenPoint.x - position.x) / scale
+      : (screenPoint.y - position.y) / scale;
+    return snapGuidePosition(value, snapSettings.grid ? snapSettings.gridSize : null);
+  }, [position, scale, snapSettings]);
+
+  const handleRulerDrag = useCallback((orientation, screenPoint) => {
+    setGuidePreview(isOverRuler(orientation, screenPoint)
+      ? null
+      : { orientation, position: getGuidePosition(orientation, screenPoint) });
+  }, [getGuidePosition]);
+
+  const handleRulerDrop = useCallback((orientation, screenPoint) => {
+    setGuidePreview(null);
+    if (isOverRuler(orientation, screenPoint)) return;
+    addGuide(orientation, getGuidePosition(orientation, screenPoint));
+  }, [getGuidePosition, addGuide]);
+
+  const handleGuideMove = useCallback((guide, value) => {
+    moveGuide(guide.id, snapGuidePosition(value, snapSettings.grid ? snapSettings.gridSize : null));
+  }, [moveGuide, snapSettings]);
+
+  return { guidePreview, handleRulerDrag, handleRulerDrop, handleGuideMove };
+};
@@ -1,44 +1,34 @@
 /**
  * useShapeTransform Hook
  * Handles shape transformation (resize, rotate) logic with undo/redo support
+ * A single shape commits its own transform; several shapes on the Transformer
+ * (a multi-selection or a group) are committed here as one undoable step.
  */
 
 import { useCallback, useRef } from 'react';
 import { UpdateShapeCommand, BatchCommand } from '../utils/commands';
+import { getTransformedAttrs, getTransformStartState } from '../utils/shapeTransform';
 
-export const useShapeTransform = ({ 
-  selectedIds, 
-  shapes, 
-  transformerRef, 
-  firestoreActions, 
-  commandActions 
+export const useShapeTransform = ({
+  shapes,
+  transformerRef,
+  firestoreActions,
+  commandActions
 }) => {
   const transformStartStateRef = useRef({});
 
   // Handle transform start - capture state for undo
   const handleTransformStart = useCallback(() => {
-    // Store the current state of all selected shapes
+    // Store the current state of every shape on the Transformer (group members included)
     transformStartStateRef.current = {};
-    selectedIds.forEach(id => {
-      const shape = shapes.find(s => s.id === id);
+    const nodes = transformerRef.current?.nodes() ?? [];
+    nodes.forEach(node => {
+      const shape = shapes.find(s => s.id === node.id());
       if (shape) {
-        // Only capture properties that exist (not undefined)
-        const state = {
-          x: shape.x,
-          y: shape.y,
-          rotation: shape.rotation || 0,
-        };
-        
-        // Add shape-specific properties only if they exist
-        if (shape.width !== undefined) state.width = shape.width;
-        if (shape.height !== undefined) state.height = shape.height;
-        if (shape.radius !== undefined) state.radius = shape.radius;
-        if (shape.fontSize !== undefined) state.fontSize = shape.fontSize;
-        
-        transformStartStateRef.current[id] = state;
+        transformStartStateRef.current[shape.id] = getTransformStartState(shape);
       }
     });
-  }, [selectedIds, shapes]);
+  }, [shapes, transformerRef]);
 
   // Handle transform end - create undo commands
   const handleTransformEnd = useCallback(() => {
@@ -50,7 +40,7 @@ export const useShapeTransform = ({
     // If multiple shapes are being transformed, batch the commands
     if (nodes.length > 1) {
       const batchCommand = new BatchCommand([], 'Multi-select transform');
-      
+
       nodes.forEach(node => {
         const shapeId = node.id();
         const shape = shapes.find(s => s.id === shapeId);
@@ -59,30 +49,11 @@ export const useShapeTransform = ({
         const oldState = transformStartStateRef.current[shapeId];
         if (!oldState) return;
 
-        // Get the new state from the node
-        const scaleX = node.scaleX();
-        const scaleY = node.scaleY();
-
-        // Reset scale
+        // Bake the scale into the shape's dimensions, then reset it
+        const newState = getTransformedAttrs(node, shape);
         node.scaleX(1);
         node.scaleY(1);
 
-        const newState = {
-          x: node.x(),
-          y: node.y(),
-          rotation: node.rotation(),
-        };
-
-        // Update dimensions based on shape type (only add properties that should exist)
-        if (shape.type === 'rect' || shape.type === 'triangle') {
-          newState.width = Math.max(5, node.width() * scaleX);
-          newState.height = Math.max(5, node.height() * scaleY);
-        } else if (shape.type === 'circle') {
-          newState.radius = Math.max(5, node.radius() * Math.max(scaleX, scaleY));
-        } else if (shape.type === 'text') {
-          newState.fontSize = Math.max(5, node.fontSize() * scaleX);
-        }
-
         // Add command to batch
         const command = new UpdateShapeCommand(
           shapeId,
@@ -97,48 +68,6 @@ export const useShapeTransform = ({
       if (!batchCommand.isEmpty()) {
         commandActions.executeCommand(batchCommand);
       }
-    } else if (nodes.length === 1) {
-      // Single shape - no need for batch
-      const node = nodes[0];
-      const shapeId = node.id();
-      const shape = shapes.find(s => s.id === shapeId);
-      if (!shape) return;
-
-      const oldState = transformStartStateRef.current[shapeId];
-      if (!oldState) return;
-
-      // Get the new state from the node
-      const scaleX = node.scaleX();
-      const scaleY = node.scaleY();
-
-      // Reset scale
-      node.scaleX(1);
-      node.scaleY(1);
-
-      const newState = {
-        x: node.x(),
-        y: node.y(),
-        rotation: node.rotation(),
-      };
-
-      // Update dimensions based on shape type (only add properties that should exist)
-      if (shape.type === 'rect' || shape.type === 'triangle') {
-        newState.width = Math.max(5, node.width() * scaleX);
-        newState.height = Math.max(5, node.height() * scaleY);
-      } else if (shape.type === 'circle') {
-        newState.radius = Math.max(5, node.radius() * Math.max(scaleX, scaleY));
-      } else if (shape.type === 'text') {
-        newState.fontSize = Math.max(5, node.fontSize() * scaleX);
-      }
-
-      // Create and execute command
-      const command = new UpdateShapeCommand(
-        shapeId,
-        oldState,
-        newState,
-        firestoreActions
-      );
-      commandActions.executeCommand(command);
     }
 
     transformStartStateRef.current = {};
@@ -149,4 +78,3 @@ export const useShapeTransform = ({
     handleTransformEnd,
   };
 };
-
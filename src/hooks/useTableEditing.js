@@ -0,0 +1,65 @@
+/**
+ * useTableEditing Hook
+ * Opens the editor on a table cell, saves the finished edit, and adds or removes rows and
+ * columns (all undoable)
+ */
+
+import { useCallback, useRef } from 'react';
+import { isTable, getCellText, parseCellKey } from '../utils/tables';
+import { UpdateShapeCommand, UpdateTableCellCommand } from '../utils/commands';
+
+export const useTableEditing = ({
+  shapes,
+  contextMenu,
+  readOnly,
+  startTextEdit,
+  firestoreActions,
+  directActions,
+  commandActions,
+}) => {
+  const editStartRef = useRef(null); // { shapeId, cellKey, text } of the cell being edited
+
+  // Handle editing one cell of a table
+  const handleEditCell = useCallback((shapeId, cellKey) => {
+    if (readOnly) return;
+    const shape = shapes.find(s => s.id === shapeId);
+    if (isTable(shape) && parseCellKey(cellKey)) {
+      const text = getCellText(shape, cellKey);
+      editStartRef.current = { shapeId, cellKey, text };
+      startTextEdit(shapeId, { cellKey, text });
+    }
+  }, [shapes, startTextEdit, readOnly]);
+
+  // Save a finished cell edit as one undo step; typing saved it directly as it went
+  const commitCellEdit = useCallback((shapeId, cellKey, text) => {
+    const start = editStartRef.current;
+    editStartRef.current = null;
+    if (!shapes.some(s => s.id === shapeId)) return;
+    const oldText = start?.shapeId === shapeId && start.cellKey === cellKey ? start.text : text;
+    if (oldText === text) {
+      directActions.updateTableCell(shapeId, cellKey, text);
+      return;
+    }
+    commandActions.executeCommand(new UpdateTableCellCommand(shapeId, cellKey, oldText, text, firestoreActions));
+  }, [shapes, firestoreActions, directActions, commandActions]);
+
+  // Table options in the context menu: add or remove the last row/column
+  const contextTable = contextMenu.visible
+    ? shapes.find(s => s.id === contextMenu.shapeId && isTable(s)) || null
+    : null;
+
+  /**
+   * Change a table's rows or columns
+   * @param {Object} table - Table shape
+   * @param {Function} getUpdates - addTableRow, removeTableColumn, etc.
+   */
+  const handleChangeTable = useCallback((table, getUpdates) => {
+    const updates = getUpdates(table);
+    if (!updates) return;
+    const oldState = Object.fromEntries(Object.keys(updates).map(key => [key, table[key]]));
+    const command = new UpdateShapeCommand(table.id, oldState, updates, firestoreActions);
+    commandActions.executeCommand(command);
+  }, [firestoreActions, commandActions]);
+
+  return { contextTable, handleEditCell, commitCellEdit, handleChangeTable };
+};
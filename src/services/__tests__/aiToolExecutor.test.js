@@ -387,6 +387,128 @@ describe('aiToolExecutor', () => {
       });
     });
 
+    describe('line and arrow creation', () => {
+      test('creates line from start to end point with stroke color', async () => {
+        const args = {
+          shapeType: 'line',
+          x: 100,
+          y: 200,
+          endX: 300,
+          endY: 250,
+          fill: 'red',
+          strokeWidth: 4,
+          dashed: true,
+        };
+
+        const result = await executor.executeCreateShape(args);
+
+        expect(result.success).toBe(true);
+        const shape = mockAddShape.mock.calls[0][0];
+        expect(shape).toEqual(
+          expect.objectContaining({
+            type: SHAPE_TYPES.LINE,
+            x: 100,
+            y: 200,
+            points: [0, 0, 200, 50],
+            stroke: '#ff0000',
+            strokeWidth: 4,
+            dash: [12, 8],
+            startArrowhead: 'none',
+            endArrowhead: 'none',
+          })
+        );
+        expect(shape.fill).toBeUndefined();
+      });
+
+      test('arrow defaults to a triangle head at the end', async () => {
+        const args = {
+          shapeType: 'arrow',
+          x: 100,
+          y: 200,
+          fill: 'blue',
+        };
+
+        const result = await executor.executeCreateShape(args);
+
+        expect(result.success).toBe(true);
+        expect(mockAddShape).toHaveBeenCalledWith(
+          expect.objectContaining({
+            type: SHAPE_TYPES.ARROW,
+            points: [0, 0, 150, 0], // default length
+            strokeWidth: 3,
+            dash: [],
+            startArrowhead: 'none',
+            endArrowhead: 'triangle',
+          })
+        );
+      });
+
+      test('accepts arrowhead styles and ignores unknown ones', async () => {
+        await executor.executeCreateShape({
+          shapeType: 'arrow',
+          x: 100,
+          y: 200,
+          fill: 'blue',
+          startArrowhead: 'circle',
+          endArrowhead: 'sparkles',
+        });
+
+        expect(mockAddShape).toHaveBeenCalledWith(
+          expect.objectContaining({
+            startArrowhead: 'circle',
+            endArrowhead: 'triangle',
+          })
+        );
+      });
+    });
+
+    describe('ellipse, polygon, star and rounded rectangle creation', () => {
+      test('creates ellipse with separate radii', async () => {
+        const result = await executor.executeCreateShape({
+          shapeType: 'ellipse',
+          x: 300,
+          y: 300,
+          fill: 'green',
+          radiusX: 120,
+          radiusY: 40,
+        });
+
+        expect(result.success).toBe(true);
+        expect(mockAddShape).toHaveBeenCalledWith(
+          expect.objectContaining({ type: SHAPE_TYPES.ELLIPSE, radiusX: 120, radiusY: 40 })
+        );
+      });
+
+      test('creates polygon and clamps the side count', async () => {
+        await executor.executeCreateShape({ shapeType: 'polygon', fill: 'red', sides: 40 });
+
+        expect(mockAddShape).toHaveBeenCalledWith(
+          expect.objectContaining({ type: SHAPE_TYPES.POLYGON, sides: 12, radius: 50 })
+        );
+      });
+
+      test('creates star with inner radius defaulting to half the radius', async () => {
+        await executor.executeCreateShape({ shapeType: 'star', fill: 'yellow', radius: 80, numPoints: 6 });
+
+        expect(mockAddShape).toHaveBeenCalledWith(
+          expect.objectContaining({
+            type: SHAPE_TYPES.STAR,
+            numPoints: 6,
+            outerRadius: 80,
+            innerRadius: 40,
+          })
+        );
+      });
+
+      test('creates rectangle with rounded corners', async () => {
+        await executor.executeCreateShape({ shapeType: 'rectangle', fill: 'blue', cornerRadius: 12 });
+
+        expect(mockAddShape).toHaveBeenCalledWith(
+          expect.objectContaining({ type: SHAPE_TYPES.RECT, cornerRadius: 12 })
+        );
+      });
+    });
+
     describe('color normalization', () => {
       test('normalizes CSS color keywords', async () => {
         const args = {
@@ -757,6 +879,69 @@ describe('aiToolExecutor', () => {
     });
   });
 
+  describe('executeCreateTable', () => {
+    test('creates a table sized to its cells, centered in the viewport', async () => {
+      const result = await executor.executeCreateTable({
+        cells: [['Day', 'Task'], ['Mon', 'Plan'], ['Tue', 'Build']],
+      });
+
+      expect(result.success).toBe(true);
+      const table = mockAddShape.mock.calls[0][0];
+      expect(table).toMatchObject({
+        type: SHAPE_TYPES.TABLE,
+        columnWidths: [120, 120],
+        rowHeights: [40, 40, 40],
+        width: 240,
+        height: 120,
+        x: 380,
+        y: 340,
+        createdBy: 'AI',
+      });
+      expect(table.cells).toEqual({
+        r0c0: 'Day', r0c1: 'Task', r1c0: 'Mon', r1c1: 'Plan', r2c0: 'Tue', r2c1: 'Build',
+      });
+    });
+
+    test('uses explicit counts, sizes and position, dropping cells that do not fit', async () => {
+      const result = await executor.executeCreateTable({
+        rows: 1,
+        columns: 4,
+        cells: [['A', 'B'], ['C']],
+        x: 100,
+        y: 50,
+        columnWidth: 80,
+        rowHeight: 5,
+        fill: 'yellow',
+      });
+
+      expect(result.success).toBe(true);
+      const table = mockAddShape.mock.calls[0][0];
+      expect(table.x).toBe(100);
+      expect(table.y).toBe(50);
+      expect(table.columnWidths).toEqual([80, 80, 80, 80]);
+      expect(table.rowHeights).toEqual([20]); // Clamped to the minimum row height
+      expect(table.cells).toEqual({ r0c0: 'A', r0c1: 'B' });
+      expect(table.fill).toBe('#ffff00');
+    });
+
+    test('defaults to an empty 3×3 table', async () => {
+      await executor.executeCreateTable({});
+
+      const table = mockAddShape.mock.calls[0][0];
+      expect(table.columnWidths).toHaveLength(3);
+      expect(table.rowHeights).toHaveLength(3);
+      expect(table.cells).toEqual({});
+    });
+
+    test('rejects invalid colors', async () => {
+      const result = await executor.executeCreateTable({ fill: 'not-a-color' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid color');
+      expect(mockAddShape).not.toHaveBeenCalled();
+    });
+  });
+
   describe('executeGetCanvasState', () => {
     test('returns empty shapes array when canvas is empty', () => {
       mockGetShapes.mockReturnValue([]);
@@ -1390,5 +1575,139 @@ describe('aiToolExecutor', () => {
       expect(result.error).toContain('Failed to rotate shape');
     });
   });
+
+  describe('layout tools', () => {
+    const boardShapes = [
+      { id: 'red', type: 'rect', fill: '#ff0000', x: 100, y: 100, width: 100, height: 50, zIndex: 1 },
+      { id: 'blue', type: 'rect', fill: '#0000ff', x: 300, y: 260, width: 60, height: 80, zIndex: 2 },
+      { id: 'green', type: 'circle', fill: '#00ff00', x: 600, y: 400, radius: 30, zIndex: 3 },
+    ];
+
+    beforeEach(() => {
+      mockGetShapes.mockReturnValue(boardShapes);
+    });
+
+    describe('executeAlignShapes', () => {
+      test('aligns shapes to each other', async () => {
+        const result = await executor.executeAlignShapes({ descriptors: ['red rectangle', 'blue rectangle'], alignment: 'top' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateShape).toHaveBeenCalledTimes(1);
+        expect(mockUpdateShape).toHaveBeenCalledWith('blue', { y: 100 });
+      });
+
+      test('aligns to the first shape listed', async () => {
+        const result = await executor.executeAlignShapes({
+          descriptors: ['blue rectangle', 'red rectangle'],
+          alignment: 'left',
+          relativeTo: 'first',
+        });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateShape).toHaveBeenCalledWith('red', { x: 300 });
+      });
+
+      test('aligns a single shape to the visible canvas', async () => {
+        executor = createAIToolExecutor({
+          addShape: mockAddShape,
+          addShapesBatch: mockAddShapesBatch,
+          updateShape: mockUpdateShape,
+          getShapes: mockGetShapes,
+          getViewportCenter: mockGetViewportCenter,
+          getViewportBounds: () => ({ x: 0, y: 0, width: 1000, height: 500 }),
+        });
+
+        const result = await executor.executeAlignShapes({ descriptors: ['green circle'], alignment: 'bottom', relativeTo: 'canvas' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateShape).toHaveBeenCalledWith('green', { y: 470 });
+      });
+
+      test('rejects unknown alignments and single shapes', async () => {
+        expect((await executor.executeAlignShapes({ descriptors: ['red'], alignment: 'diagonal' })).success).toBe(false);
+
+        const result = await executor.executeAlignShapes({ descriptors: ['red rectangle'], alignment: 'left' });
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('at least 2 shapes');
+        expect(mockUpdateShape).not.toHaveBeenCalled();
+      });
+
+      test('reports shapes it cannot find', async () => {
+        const result = await executor.executeAlignShapes({ descriptors: ['red rectangle', 'purple star'], alignment: 'left' });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('purple star');
+      });
+    });
+
+    describe('executeArrangeShapes', () => {
+      test('stacks shapes in a row with the given gap', async () => {
+        const result = await executor.executeArrangeShapes({
+          descriptors: ['red rectangle', 'blue rectangle'],
+          layout: 'stack-horizontal',
+          spacing: 10,
+        });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateShape).toHaveBeenCalledWith('blue', { x: 210, y: 100 });
+      });
+
+      test('tidies shapes up into a grid', async () => {
+        const result = await executor.executeArrangeShapes({
+          descriptors: ['red rectangle', 'blue rectangle', 'green circle'],
+          layout: 'tidy-up',
+        });
+
+        expect(result.success).toBe(true);
+        // 2 columns: red and blue on the first row, the circle below the red rectangle
+        expect(mockUpdateShape).toHaveBeenCalledWith('blue', { x: 220, y: 100 });
+        expect(mockUpdateShape).toHaveBeenCalledWith('green', { x: 130, y: 230 });
+      });
+
+      test('needs 3 shapes to distribute', async () => {
+        const result = await executor.executeArrangeShapes({
+          descriptors: ['red rectangle', 'blue rectangle'],
+          layout: 'distribute-horizontal',
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('at least 3 shapes');
+      });
+
+      test('rejects unknown layouts', async () => {
+        const result = await executor.executeArrangeShapes({ descriptors: ['red'], layout: 'spiral' });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('Invalid layout');
+      });
+    });
+
+    describe('executeMatchSize', () => {
+      test('matches the largest width', async () => {
+        const result = await executor.executeMatchSize({ descriptors: ['red rectangle', 'blue rectangle'], dimension: 'width' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateShape).toHaveBeenCalledTimes(1);
+        expect(mockUpdateShape).toHaveBeenCalledWith('blue', { width: 100 });
+      });
+
+      test('matches both dimensions of the first shape listed', async () => {
+        const result = await executor.executeMatchSize({
+          descriptors: ['blue rectangle', 'red rectangle'],
+          dimension: 'both',
+          relativeTo: 'first',
+        });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateShape).toHaveBeenCalledWith('red', { width: 60, height: 80 });
+      });
+
+      test('rejects unknown dimensions', async () => {
+        const result = await executor.executeMatchSize({ descriptors: ['red', 'blue'], dimension: 'depth' });
+
+        expect(result.success).toBe(false);
+      });
+    });
+  });
 });
 
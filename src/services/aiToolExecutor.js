@@ -6,9 +6,44 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { normalizeColor } from '../utils/colorNormalizer';
-import { SHAPE_TYPES } from '../utils/shapes';
+import {
+  SHAPE_TYPES,
+  DEFAULT_LINE_LENGTH,
+  DEFAULT_LINE_STROKE_WIDTH,
+  DEFAULT_ELLIPSE_RADII,
+  DEFAULT_POLYGON_SIDES,
+  DEFAULT_POLYGON_RADIUS,
+  MIN_POLYGON_SIDES,
+  DEFAULT_STAR_POINTS,
+  DEFAULT_STAR_RADII,
+  DEFAULT_TABLE_SIZE,
+  DEFAULT_TABLE_CELL_SIZE,
+  createTable,
+} from '../utils/shapes';
+import {
+  MAX_TABLE_TRACKS,
+  MIN_TABLE_COLUMN_WIDTH,
+  MIN_TABLE_ROW_HEIGHT,
+  createCellsFromRows,
+} from '../utils/tables';
+import { ARROWHEAD_STYLES, DASH_PATTERNS, isArrowheadStyle } from '../utils/lines';
+import { isStrokeShape } from '../utils/paths';
 import { identifyShape } from '../utils/shapeIdentification';
 import { generateGrid, validateGridConfig } from '../utils/gridGenerator';
+import {
+  ALIGN_TARGETS,
+  LAYOUT_AXES,
+  DEFAULT_LAYOUT_SPACING,
+  alignShapes,
+  canAlignTo,
+  distributeHorizontally,
+  distributeVertically,
+  setSpacing,
+  stackShapes,
+  tidyUp,
+  matchSize,
+} from '../utils/alignment';
+import { getShapeUpdateChanges } from '../utils/frames';
 import { 
   normalizeShapeSpec, 
   calcVerticalPositions, 
@@ -32,6 +67,25 @@ function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
+// Upper limit for polygon sides and star points
+const MAX_VERTEX_COUNT = 12;
+
+/**
+ * Clamp a polygon side / star point count, falling back to a default
+ */
+function clampCount(value, fallback) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return fallback;
+  return clamp(Math.round(value), MIN_POLYGON_SIDES, MAX_VERTEX_COUNT);
+}
+
+/**
+ * Clamp a table row / column count, falling back to a default
+ */
+function clampTrackCount(value, fallback) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return fallback;
+  return clamp(Math.round(value), 1, MAX_TABLE_TRACKS);
+}
+
 /**
  * Validates and clamps coordinates to canvas bounds
  */
@@ -50,21 +104,34 @@ function validateCoordinates(x, y) {
  * @param {Function} deps.updateShape - Function to update a shape on the canvas
  * @param {Function} deps.getShapes - Function to get current canvas shapes
  * @param {Function} deps.getViewportCenter - Function to get the center of the user's viewport in canvas coordinates
+ * @param {Function} [deps.getViewportBounds] - Function to get the user's visible canvas area { x, y, width, height }
  * @returns {Object} Tool executor functions
  */
-export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, getShapes, getViewportCenter }) {
+export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, getShapes, getViewportCenter, getViewportBounds }) {
   /**
    * Execute createShape tool
    * @param {Object} args - Tool arguments from AI
-   * @param {string} args.shapeType - Shape type (rectangle, circle, text, triangle)
-   * @param {number} args.x - X coordinate
-   * @param {number} args.y - Y coordinate
+   * @param {string} args.shapeType - Shape type (rectangle, circle, ellipse, polygon, star, text, triangle, line, arrow)
+   * @param {number} args.x - X coordinate (start point for line/arrow)
+   * @param {number} args.y - Y coordinate (start point for line/arrow)
    * @param {string} args.fill - Color (hex, CSS keyword, rgb, hsl)
    * @param {number} [args.width] - Width (for rectangle/triangle)
    * @param {number} [args.height] - Height (for rectangle/triangle)
-   * @param {number} [args.radius] - Radius (for circle)
+   * @param {number} [args.radius] - Radius (for circle/polygon, outer radius for star)
+   * @param {number} [args.radiusX] - Horizontal radius (for ellipse)
+   * @param {number} [args.radiusY] - Vertical radius (for ellipse)
+   * @param {number} [args.sides] - Side count (for polygon)
+   * @param {number} [args.numPoints] - Point count (for star)
+   * @param {number} [args.innerRadius] - Inner radius (for star)
+   * @param {number} [args.cornerRadius] - Corner radius (for rectangle)
    * @param {string} [args.text] - Text content (for text shape)
    * @param {number} [args.fontSize] - Font size (for text shape)
+   * @param {number} [args.endX] - End point X (for line/arrow)
+   * @param {number} [args.endY] - End point Y (for line/arrow)
+   * @param {number} [args.strokeWidth] - Stroke width (for line/arrow)
+   * @param {string} [args.startArrowhead] - Start arrowhead style (for line/arrow)
+   * @param {string} [args.endArrowhead] - End arrowhead style (for line/arrow)
+   * @param {boolean} [args.dashed] - Dashed stroke (for line/arrow)
    * @returns {Promise<Object>} Result object { success: boolean, shapeId?: string, error?: string }
    */
   async function executeCreateShape(args) {
@@ -89,12 +156,22 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
         isSquare = true; // Flag to ensure equal sides
       } else if (typeNormalized === 'circle') {
         shapeType = SHAPE_TYPES.CIRCLE;
+      } else if (typeNormalized === 'ellipse' || typeNormalized === 'oval') {
+        shapeType = SHAPE_TYPES.ELLIPSE;
+      } else if (typeNormalized === 'polygon') {
+        shapeType = SHAPE_TYPES.POLYGON;
+      } else if (typeNormalized === 'star') {
+        shapeType = SHAPE_TYPES.STAR;
       } else if (typeNormalized === 'text') {
         shapeType = SHAPE_TYPES.TEXT;
       } else if (typeNormalized === 'triangle') {
         shapeType = SHAPE_TYPES.TRIANGLE;
+      } else if (typeNormalized === 'line') {
+        shapeType = SHAPE_TYPES.LINE;
+      } else if (typeNormalized === 'arrow') {
+        shapeType = SHAPE_TYPES.ARROW;
       } else {
-        return { success: false, error: `Invalid shape type: ${type}. Supported types: rectangle, circle, text, triangle, square` };
+        return { success: false, error: `Invalid shape type: ${type}. Supported types: rectangle, circle, ellipse, polygon, star, text, triangle, line, arrow, square` };
       }
 
       // Normalize color (default to blue if not provided)
@@ -164,6 +241,7 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
             ...baseShape,
             width: Math.max(10, rectWidth), // Min size 10px
             height: Math.max(10, rectHeight),
+            cornerRadius: typeof args.cornerRadius === 'number' ? Math.max(0, args.cornerRadius) : 0,
           };
           break;
 
@@ -177,6 +255,34 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
           };
           break;
 
+        case SHAPE_TYPES.ELLIPSE:
+          shape = {
+            ...baseShape,
+            radiusX: Math.max(5, typeof args.radiusX === 'number' ? args.radiusX : DEFAULT_ELLIPSE_RADII.radiusX),
+            radiusY: Math.max(5, typeof args.radiusY === 'number' ? args.radiusY : DEFAULT_ELLIPSE_RADII.radiusY),
+          };
+          break;
+
+        case SHAPE_TYPES.POLYGON:
+          shape = {
+            ...baseShape,
+            sides: clampCount(args.sides, DEFAULT_POLYGON_SIDES),
+            radius: Math.max(5, typeof args.radius === 'number' ? args.radius : DEFAULT_POLYGON_RADIUS),
+          };
+          break;
+
+        case SHAPE_TYPES.STAR: {
+          const outerRadius = Math.max(5, typeof args.radius === 'number' ? args.radius : DEFAULT_STAR_RADII.outerRadius);
+          const innerRadius = typeof args.innerRadius === 'number' ? args.innerRadius : outerRadius / 2;
+          shape = {
+            ...baseShape,
+            numPoints: clampCount(args.numPoints, DEFAULT_STAR_POINTS),
+            outerRadius,
+            innerRadius: Math.min(outerRadius, Math.max(2, innerRadius)),
+          };
+          break;
+        }
+
         case SHAPE_TYPES.TEXT:
           if (!args.text || typeof args.text !== 'string') {
             return { success: false, error: 'Text shape requires text content' };
@@ -201,6 +307,28 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
           };
           break;
 
+        case SHAPE_TYPES.LINE:
+        case SHAPE_TYPES.ARROW: {
+          // x,y is the start point; points are relative to it
+          const end = validateCoordinates(
+            typeof args.endX === 'number' ? args.endX : coords.x + DEFAULT_LINE_LENGTH,
+            typeof args.endY === 'number' ? args.endY : coords.y
+          );
+          const defaultEndArrowhead = shapeType === SHAPE_TYPES.ARROW ? ARROWHEAD_STYLES.TRIANGLE : ARROWHEAD_STYLES.NONE;
+          const { fill, ...lineBase } = baseShape;
+
+          shape = {
+            ...lineBase,
+            points: [0, 0, end.x - coords.x, end.y - coords.y],
+            stroke: fill,
+            strokeWidth: typeof args.strokeWidth === 'number' ? Math.max(1, args.strokeWidth) : DEFAULT_LINE_STROKE_WIDTH,
+            dash: args.dashed ? DASH_PATTERNS.dashed : DASH_PATTERNS.solid,
+            startArrowhead: isArrowheadStyle(args.startArrowhead) ? args.startArrowhead : ARROWHEAD_STYLES.NONE,
+            endArrowhead: isArrowheadStyle(args.endArrowhead) ? args.endArrowhead : defaultEndArrowhead,
+          };
+          break;
+        }
+
         default:
           return { success: false, error: `Unsupported shape type: ${shapeType}` };
       }
@@ -221,6 +349,75 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
     }
   }
 
+  /**
+   * Execute createTable tool
+   * @param {Object} args - Tool arguments from AI
+   * @param {number} [args.rows] - Row count (defaults to the rows given in cells, or 3)
+   * @param {number} [args.columns] - Column count (defaults to the longest row in cells, or 3)
+   * @param {Array<Array<string>>} [args.cells] - Cell texts, row by row
+   * @param {number} [args.x] - Left edge (centered in the viewport when x or y is left out)
+   * @param {number} [args.y] - Top edge
+   * @param {number} [args.columnWidth] - Width of every column
+   * @param {number} [args.rowHeight] - Height of every row
+   * @param {string} [args.fill] - Cell background color
+   * @returns {Promise<Object>} Result object { success: boolean, shapeId?: string, error?: string }
+   */
+  async function executeCreateTable(args = {}) {
+    try {
+      const cellRows = Array.isArray(args.cells) ? args.cells.filter(Array.isArray) : [];
+      const rows = clampTrackCount(args.rows, clamp(cellRows.length || DEFAULT_TABLE_SIZE.rows, 1, MAX_TABLE_TRACKS));
+      const longestRow = Math.max(0, ...cellRows.map(row => row.length));
+      const columns = clampTrackCount(args.columns, clamp(longestRow || DEFAULT_TABLE_SIZE.columns, 1, MAX_TABLE_TRACKS));
+
+      let fill = '#FFFFFF';
+      if (args.fill) {
+        try {
+          fill = normalizeColor(args.fill).hex;
+        } catch (error) {
+          return { success: false, error: `Invalid color: ${error.message}` };
+        }
+      }
+
+      const columnWidth = typeof args.columnWidth === 'number'
+        ? Math.max(MIN_TABLE_COLUMN_WIDTH, args.columnWidth)
+        : DEFAULT_TABLE_CELL_SIZE.width;
+      const rowHeight = typeof args.rowHeight === 'number'
+        ? Math.max(MIN_TABLE_ROW_HEIGHT, args.rowHeight)
+        : DEFAULT_TABLE_CELL_SIZE.height;
+
+      const table = createTable(0, 0, {
+        columnWidths: Array(columns).fill(columnWidth),
+        rowHeights: Array(rows).fill(rowHeight),
+        cells: createCellsFromRows(cellRows.slice(0, rows).map(row => row.slice(0, columns))),
+        fill,
+        createdBy: 'AI',
+      });
+
+      // x,y is the top-left corner; without it the table is centered in the viewport
+      let position;
+      if (typeof args.x === 'number' && typeof args.y === 'number') {
+        position = validateCoordinates(args.x, args.y);
+      } else {
+        const viewportCenter = getViewportCenter ? getViewportCenter() : { x: 500, y: 400 };
+        position = { x: viewportCenter.x - table.width / 2, y: viewportCenter.y - table.height / 2 };
+      }
+      const shape = { ...table, ...position };
+
+      await addShape(shape);
+
+      return {
+        success: true,
+        shapeId: shape.id,
+        message: `Created ${rows}×${columns} table at (${Math.round(shape.x)}, ${Math.round(shape.y)})`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create table: ${error.message}`,
+      };
+    }
+  }
+
   /**
    * Execute getCanvasState tool
    * Returns current shapes sorted by creation time (newest first)
@@ -245,7 +442,8 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
         type: shape.type,
         x: shape.x,
         y: shape.y,
-        fill: shape.fill,
+        fill: isStrokeShape(shape) ? shape.stroke : shape.fill,
+        ...(shape.points !== undefined && { points: shape.points }),
         ...(shape.width !== undefined && { width: shape.width }),
         ...(shape.height !== undefined && { height: shape.height }),
         ...(shape.radius !== undefined && { radius: shape.radius }),
@@ -386,7 +584,7 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
 
       // Check if shape type supports rotation
       // Note: Circles don't visually rotate, but we'll allow it for consistency
-      const supportsRotation = [SHAPE_TYPES.RECT, SHAPE_TYPES.TRIANGLE, SHAPE_TYPES.TEXT, SHAPE_TYPES.CIRCLE];
+      const supportsRotation = [SHAPE_TYPES.RECT, SHAPE_TYPES.TRIANGLE, SHAPE_TYPES.TEXT, SHAPE_TYPES.CIRCLE, SHAPE_TYPES.ELLIPSE, SHAPE_TYPES.POLYGON, SHAPE_TYPES.STAR, SHAPE_TYPES.LINE, SHAPE_TYPES.ARROW];
       if (!supportsRotation.includes(targetShape.type)) {
         return {
           success: false,
@@ -758,14 +956,213 @@ export function createAIToolExecutor({ addShape, addShapesBatch, updateShape, ge
     }
   }
 
+  /**
+   * Find the shapes a list of descriptors refers to, in descriptor order ("all circles" adds every match)
+   * @param {Array<string>} descriptors - Natural language descriptors
+   * @returns {Object} { shapes } or { error }
+   */
+  function identifyShapes(descriptors) {
+    if (!Array.isArray(descriptors) || descriptors.length === 0) {
+      return { error: 'Missing required field: descriptors (array of strings)' };
+    }
+
+    const shapes = getShapes();
+    if (!shapes || shapes.length === 0) {
+      return { error: 'Canvas is empty - no shapes to arrange' };
+    }
+
+    const found = [];
+    for (const descriptor of descriptors) {
+      let match;
+      try {
+        match = identifyShape(shapes, descriptor, { allowPartial: false });
+      } catch (error) {
+        return { error: `Could not find shape "${descriptor}": ${error.message}` };
+      }
+      [].concat(match || []).forEach((shape) => {
+        if (!found.includes(shape)) found.push(shape);
+      });
+    }
+    return { shapes: found };
+  }
+
+  /**
+   * Write layout updates; frames that move carry their contents along
+   * @param {Array<Object>} updates - [{ id, ...props }]
+   * @returns {Promise<number>} Number of shapes changed
+   */
+  async function applyLayoutUpdates(updates) {
+    const changes = getShapeUpdateChanges(getShapes(), updates);
+    await Promise.all(changes.map(({ id, newState }) => updateShape(id, newState)));
+    return changes.length;
+  }
+
+  /**
+   * Execute alignShapes tool
+   * Aligns shapes to each other, to the user's visible canvas, or to the first shape listed
+   * @param {Object} args - Tool arguments from AI
+   * @param {Array<string>} args.descriptors - Shape descriptors
+   * @param {string} args.alignment - left, center, right, top, middle or bottom
+   * @param {string} [args.relativeTo] - selection (default), canvas or first
+   * @returns {Promise<Object>} Result object { success: boolean, shapeIds?: Array, error?: string }
+   */
+  async function executeAlignShapes(args = {}) {
+    try {
+      const ALIGNMENTS = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+      if (!ALIGNMENTS.includes(args.alignment)) {
+        return { success: false, error: `Invalid alignment: ${args.alignment}. Use one of ${ALIGNMENTS.join(', ')}` };
+      }
+
+      const TARGETS = { selection: ALIGN_TARGETS.SELECTION, canvas: ALIGN_TARGETS.CANVAS, first: ALIGN_TARGETS.KEY_OBJECT };
+      const target = TARGETS[args.relativeTo || 'selection'];
+      if (!target) {
+        return { success: false, error: `Invalid relativeTo: ${args.relativeTo}. Use selection, canvas or first` };
+      }
+
+      const { shapes, error } = identifyShapes(args.descriptors);
+      if (error) return { success: false, error };
+      if (!canAlignTo(shapes, target)) {
+        return { success: false, error: 'Aligning needs at least 2 shapes (or 1 when aligning to the canvas)' };
+      }
+
+      const viewport = getViewportBounds?.() || {
+        x: CANVAS_BOUNDS.minX,
+        y: CANVAS_BOUNDS.minY,
+        width: CANVAS_BOUNDS.maxX - CANVAS_BOUNDS.minX,
+        height: CANVAS_BOUNDS.maxY - CANVAS_BOUNDS.minY,
+      };
+      const updates = alignShapes(shapes, args.alignment, { target, keyShape: shapes[0], viewport });
+      await applyLayoutUpdates(updates);
+
+      return {
+        success: true,
+        shapeIds: shapes.map(s => s.id),
+        message: `Aligned ${shapes.length} shape${shapes.length !== 1 ? 's' : ''} ${args.alignment}`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to align shapes: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Execute arrangeShapes tool
+   * Tidies shapes up into a grid, sets an exact gap between them, stacks or distributes them
+   * @param {Object} args - Tool arguments from AI
+   * @param {Array<string>} args.descriptors - Shape descriptors
+   * @param {string} args.layout - tidy-up, space-horizontal, space-vertical, stack-horizontal, stack-vertical,
+   *   distribute-horizontal or distribute-vertical
+   * @param {number} [args.spacing] - Gap between shapes in pixels (default: 20, range: 0-500)
+   * @returns {Promise<Object>} Result object { success: boolean, shapeIds?: Array, error?: string }
+   */
+  async function executeArrangeShapes(args = {}) {
+    try {
+      const spacing = typeof args.spacing === 'number' && !Number.isNaN(args.spacing)
+        ? clamp(args.spacing, 0, 500)
+        : DEFAULT_LAYOUT_SPACING;
+      const LAYOUTS = {
+        'tidy-up': shapes => tidyUp(shapes, spacing),
+        'space-horizontal': shapes => setSpacing(shapes, LAYOUT_AXES.HORIZONTAL, spacing),
+        'space-vertical': shapes => setSpacing(shapes, LAYOUT_AXES.VERTICAL, spacing),
+        'stack-horizontal': shapes => stackShapes(shapes, LAYOUT_AXES.HORIZONTAL, spacing),
+        'stack-vertical': shapes => stackShapes(shapes, LAYOUT_AXES.VERTICAL, spacing),
+        'distribute-horizontal': distributeHorizontally,
+        'distribute-vertical': distributeVertically,
+      };
+      const layout = LAYOUTS[args.layout];
+      if (!layout) {
+        return { success: false, error: `Invalid layout: ${args.layout}. Use one of ${Object.keys(LAYOUTS).join(', ')}` };
+      }
+
+      const { shapes, error } = identifyShapes(args.descriptors);
+      if (error) return { success: false, error };
+      const minimum = args.layout.startsWith('distribute') ? 3 : 2;
+      if (shapes.length < minimum) {
+        return { success: false, error: `${args.layout} needs at least ${minimum} shapes` };
+      }
+
+      await applyLayoutUpdates(layout(shapes));
+
+      return {
+        success: true,
+        shapeIds: shapes.map(s => s.id),
+        message: `Arranged ${shapes.length} shapes (${args.layout})`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to arrange shapes: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Execute matchSize tool
+   * Gives shapes the same width and/or height: the largest one's, or the first listed shape's
+   * @param {Object} args - Tool arguments from AI
+   * @param {Array<string>} args.descriptors - Shape descriptors
+   * @param {string} args.dimension - width, height or both
+   * @param {string} [args.relativeTo] - largest (default) or first
+   * @returns {Promise<Object>} Result object { success: boolean, shapeIds?: Array, error?: string }
+   */
+  async function executeMatchSize(args = {}) {
+    try {
+      const DIMENSIONS = { width: ['width'], height: ['height'], both: ['width', 'height'] };
+      const dimensions = DIMENSIONS[args.dimension];
+      if (!dimensions) {
+        return { success: false, error: `Invalid dimension: ${args.dimension}. Use width, height or both` };
+      }
+
+      const { shapes, error } = identifyShapes(args.descriptors);
+      if (error) return { success: false, error };
+      if (shapes.length < 2) {
+        return { success: false, error: 'Matching sizes needs at least 2 shapes' };
+      }
+
+      const keyShape = args.relativeTo === 'first' ? shapes[0] : null;
+      // Each dimension is matched on the shapes as the previous one left them
+      const merged = {};
+      let current = shapes;
+      dimensions.forEach((dimension) => {
+        matchSize(current, dimension, keyShape).forEach((update) => {
+          merged[update.id] = { ...merged[update.id], ...update };
+        });
+        current = current.map(shape => ({ ...shape, ...merged[shape.id] }));
+      });
+      const updates = Object.values(merged);
+
+      if (updates.length === 0) {
+        return { success: false, error: 'None of these shapes can be resized that way' };
+      }
+      await applyLayoutUpdates(updates);
+
+      return {
+        success: true,
+        shapeIds: updates.map(u => u.id),
+        message: `Matched the ${args.dimension === 'both' ? 'size' : args.dimension} of ${updates.length} shape${updates.length !== 1 ? 's' : ''}`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to match sizes: ${error.message}`,
+      };
+    }
+  }
+
   return {
     executeCreateShape,
     executeGetCanvasState,
     executeMoveShape,
     executeRotateShape,
     executeCreateGrid,
+    executeCreateTable,
     executeCreateShapesVertically,
     executeCreateShapesHorizontally,
+    executeAlignShapes,
+    executeArrangeShapes,
+    executeMatchSize,
   };
 }
 
@@ -20,7 +20,7 @@ export const AI_TOOLS = [
         properties: {
           shapeType: {
             type: 'string',
-            enum: ['rectangle', 'circle', 'text', 'triangle'],
+            enum: ['rectangle', 'circle', 'ellipse', 'polygon', 'star', 'text', 'triangle', 'line', 'arrow'],
             description: 'Type of shape to create',
           },
           x: {
@@ -33,7 +33,7 @@ export const AI_TOOLS = [
           },
           fill: {
             type: 'string',
-            description: 'Fill color as hex code (e.g., #FF0000 for red)',
+            description: 'Fill color as hex code (e.g., #FF0000 for red). For lines and arrows this is the stroke color.',
           },
           width: {
             type: 'number',
@@ -45,12 +45,62 @@ export const AI_TOOLS = [
           },
           radius: {
             type: 'number',
-            description: 'Radius in pixels (for circle)',
+            description: 'Radius in pixels (for circle and polygon; outer radius for star)',
+          },
+          radiusX: {
+            type: 'number',
+            description: 'Horizontal radius in pixels (for ellipse, default 75)',
+          },
+          radiusY: {
+            type: 'number',
+            description: 'Vertical radius in pixels (for ellipse, default 50)',
+          },
+          sides: {
+            type: 'number',
+            description: 'Number of sides (for polygon, 3-12, default 6)',
+          },
+          numPoints: {
+            type: 'number',
+            description: 'Number of points (for star, 3-12, default 5)',
+          },
+          innerRadius: {
+            type: 'number',
+            description: 'Inner radius in pixels (for star, default half the radius)',
+          },
+          cornerRadius: {
+            type: 'number',
+            description: 'Corner radius in pixels for rounded corners (for rectangle, default 0)',
           },
           text: {
             type: 'string',
             description: 'Text content (for text shapes)',
           },
+          endX: {
+            type: 'number',
+            description: 'End point X coordinate (for line and arrow; x,y is the start point). Defaults to 150px right of the start.',
+          },
+          endY: {
+            type: 'number',
+            description: 'End point Y coordinate (for line and arrow). Defaults to the start Y.',
+          },
+          strokeWidth: {
+            type: 'number',
+            description: 'Stroke width in pixels (for line and arrow, default 3)',
+          },
+          startArrowhead: {
+            type: 'string',
+            enum: ['none', 'triangle', 'open', 'circle', 'bar'],
+            description: 'Head at the start point (for line and arrow, default none)',
+          },
+          endArrowhead: {
+            type: 'string',
+            enum: ['none', 'triangle', 'open', 'circle', 'bar'],
+            description: 'Head at the end point (default none for line, triangle for arrow)',
+          },
+          dashed: {
+            type: 'boolean',
+            description: 'Draw a dashed line (for line and arrow)',
+          },
         },
         required: ['shapeType', 'fill'],
       },
@@ -203,6 +253,56 @@ export const AI_TOOLS = [
     },
   },
 
+  {
+    type: 'function',
+    function: {
+      name: 'createTable',
+      description: 'Create a table with rows and columns of editable text cells (e.g. a schedule, comparison or data table). Use this instead of a grid of rectangles and texts whenever the user asks for a table. IMPORTANT: If user does not specify position, OMIT x and y - the table will be centered in the user\'s viewport.',
+      parameters: {
+        type: 'object',
+        properties: {
+          rows: {
+            type: 'number',
+            description: 'Number of rows, header row included (1-50, default 3)',
+          },
+          columns: {
+            type: 'number',
+            description: 'Number of columns (1-50, default 3)',
+          },
+          cells: {
+            type: 'array',
+            description: 'Cell texts, row by row (first row is usually the header). Rows or cells left out stay empty.',
+            items: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+          },
+          x: {
+            type: 'number',
+            description: 'X coordinate of the top-left corner. OPTIONAL: Omit if user does not specify position.',
+          },
+          y: {
+            type: 'number',
+            description: 'Y coordinate of the top-left corner. OPTIONAL: Omit if user does not specify position.',
+          },
+          columnWidth: {
+            type: 'number',
+            description: 'Width of every column in pixels (default 120)',
+          },
+          rowHeight: {
+            type: 'number',
+            description: 'Height of every row in pixels (default 40)',
+          },
+          fill: {
+            type: 'string',
+            description: 'Cell background color as hex code (default white)',
+          },
+        },
+        required: [],
+      },
+    },
+  },
+
   {
     type: 'function',
     function: {
@@ -250,6 +350,101 @@ export const AI_TOOLS = [
     },
   },
 
+  {
+    type: 'function',
+    function: {
+      name: 'alignShapes',
+      description: 'Align existing shapes to each other, to the visible canvas, or to the first shape listed (which stays put).',
+      parameters: {
+        type: 'object',
+        properties: {
+          descriptors: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Shape descriptions (e.g., ["blue rectangle", "all circles"])',
+          },
+          alignment: {
+            type: 'string',
+            enum: ['left', 'center', 'right', 'top', 'middle', 'bottom'],
+            description: 'Edge or center to line up (center is horizontal, middle is vertical)',
+          },
+          relativeTo: {
+            type: 'string',
+            enum: ['selection', 'canvas', 'first'],
+            description: 'Align to the shapes\' own bounds (default), the visible canvas, or the first shape listed',
+          },
+        },
+        required: ['descriptors', 'alignment'],
+      },
+    },
+  },
+
+  {
+    type: 'function',
+    function: {
+      name: 'arrangeShapes',
+      description: 'Lay out existing shapes: tidy them up into a grid, set an exact gap between them, stack them in a row or column, or distribute them evenly.',
+      parameters: {
+        type: 'object',
+        properties: {
+          descriptors: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Shape descriptions (e.g., ["all rectangles"])',
+          },
+          layout: {
+            type: 'string',
+            enum: [
+              'tidy-up',
+              'space-horizontal',
+              'space-vertical',
+              'stack-horizontal',
+              'stack-vertical',
+              'distribute-horizontal',
+              'distribute-vertical',
+            ],
+            description: 'tidy-up: grid; space-*: exact gap, keeping the other axis; stack-*: row/column with edges lined up; distribute-*: even gaps within the current extent (3+ shapes)',
+          },
+          spacing: {
+            type: 'number',
+            description: 'Gap between shapes in pixels for tidy-up, space-* and stack-*. Default: 20, range: 0-500',
+            default: 20,
+          },
+        },
+        required: ['descriptors', 'layout'],
+      },
+    },
+  },
+
+  {
+    type: 'function',
+    function: {
+      name: 'matchSize',
+      description: 'Give existing shapes the same width and/or height.',
+      parameters: {
+        type: 'object',
+        properties: {
+          descriptors: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Shape descriptions',
+          },
+          dimension: {
+            type: 'string',
+            enum: ['width', 'height', 'both'],
+            description: 'Which size to match',
+          },
+          relativeTo: {
+            type: 'string',
+            enum: ['largest', 'first'],
+            description: 'Match the largest shape (default) or the first shape listed',
+          },
+        },
+        required: ['descriptors', 'dimension'],
+      },
+    },
+  },
+
   // Complex Layout Tools (PR 17) - Flexible multi-tool approach
   {
     type: 'function',
@@ -0,0 +1,198 @@
+/**
+ * Blob Store - Binary board assets (images) kept outside Firestore
+ * Shapes only store a storage path; the bytes live in a pluggable store:
+ * Firebase Storage in production (or its emulator with VITE_USE_EMULATOR=true),
+ * or this browser's IndexedDB with VITE_BLOB_STORE=local for offline development.
+ */
+
+import { ref as storageRef, uploadBytes, getBlob, deleteObject, connectStorageEmulator } from 'firebase/storage';
+import { get, set, del } from 'idb-keyval';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from './firebase';
+import { getImageExtension } from '../utils/images';
+import { logger } from '../utils/logger';
+
+const DEFAULT_BOARD_ID = 'default';
+const STORAGE_EMULATOR_PORT = 9199;
+const LOCAL_KEY_PREFIX = 'blob:';
+
+/**
+ * A blob store saves binaries under a path and hands out URLs to load them from
+ * @typedef {Object} BlobStore
+ * @property {string} kind - 'firebase' or 'local'
+ * @property {Function} put - (path, blob, { contentType }) => Promise<{ path, url }>
+ * @property {Function} get - (path) => Promise<Blob>
+ * @property {Function} getUrl - (path) => Promise<string>
+ * @property {Function} remove - (path) => Promise<void>
+ */
+
+/**
+ * Firebase Storage blob store
+ * Images are downloaded through the SDK with the user's credentials and handed out as object
+ * URLs, so storage rules check the board role on every load. Tokenized download URLs would
+ * skip those checks (and keep working for removed members), so none are stored or shared.
+ * @param {Object} options
+ * @param {Object} options.storage - Firebase Storage instance
+ * @param {boolean} options.useEmulator - Connect to the local Storage emulator
+ * @returns {BlobStore}
+ */
+export function createFirebaseBlobStore({ storage: storageInstance = storage, useEmulator = false } = {}) {
+  if (useEmulator) {
+    connectStorageEmulator(storageInstance, 'localhost', STORAGE_EMULATOR_PORT);
+  }
+
+  const objectUrls = new Map();
+
+  return {
+    kind: 'firebase',
+    async put(path, blob, { contentType } = {}) {
+      await uploadBytes(storageRef(storageInstance, path), blob, { contentType: contentType || blob.type });
+      return { path, url: null };
+    },
+    get(path) {
+      return getBlob(storageRef(storageInstance, path));
+    },
+    async getUrl(path) {
+      if (objectUrls.has(path)) {
+        return objectUrls.get(path);
+      }
+      const url = URL.createObjectURL(await getBlob(storageRef(storageInstance, path)));
+      objectUrls.set(path, url);
+      return url;
+    },
+    async remove(path) {
+      const url = objectUrls.get(path);
+      if (url) {
+        URL.revokeObjectURL(url);
+        objectUrls.delete(path);
+      }
+      await deleteObject(storageRef(storageInstance, path));
+    },
+  };
+}
+
+/**
+ * IndexedDB blob store for development without Firebase Storage
+ * Blobs only exist in this browser; like the Firebase store, getUrl() hands out
+ * object URLs, cached per path.
+ * @returns {BlobStore}
+ */
+export function createLocalBlobStore() {
+  const objectUrls = new Map();
+
+  const readBlob = async (path) => {
+    const blob = await get(`${LOCAL_KEY_PREFIX}${path}`);
+    if (!blob) {
+      throw new Error(`No local blob at ${path}`);
+    }
+    return blob;
+  };
+
+  return {
+    kind: 'local',
+    async put(path, blob) {
+      await set(`${LOCAL_KEY_PREFIX}${path}`, blob);
+      return { path, url: null };
+    },
+    get: readBlob,
+    async getUrl(path) {
+      if (objectUrls.has(path)) {
+        return objectUrls.get(path);
+      }
+      const url = URL.createObjectURL(await readBlob(path));
+      objectUrls.set(path, url);
+      return url;
+    },
+    async remove(path) {
+      const url = objectUrls.get(path);
+      if (url) {
+        URL.revokeObjectURL(url);
+        objectUrls.delete(path);
+      }
+      await del(`${LOCAL_KEY_PREFIX}${path}`);
+    },
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Get the blob store configured for this environment (created on first use)
+ * @returns {BlobStore}
+ */
+export function getBlobStore() {
+  if (!activeStore) {
+    activeStore = import.meta.env.VITE_BLOB_STORE === 'local'
+      ? createLocalBlobStore()
+      : createFirebaseBlobStore({
+        useEmulator: import.meta.env.DEV && import.meta.env.VITE_USE_EMULATOR === 'true',
+      });
+    logger.debug('blobStore: Using store', activeStore.kind);
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the blob store (another backend, or tests)
+ * @param {BlobStore|null} store - Store to use; null resets to the configured default
+ */
+export function setBlobStore(store) {
+  activeStore = store;
+}
+
+const buildImagePath = (boardId, extension) => `boards/${boardId}/images/${uuidv4()}.${extension}`;
+
+/**
+ * Upload an image file for a board
+ * @param {Object} params
+ * @param {string} params.boardId - Board the image belongs to
+ * @param {File|Blob} params.file - Image file
+ * @returns {Promise<Object>} { storagePath, src } - src is null; images load through their storage path
+ */
+export async function uploadBoardImage({ boardId = DEFAULT_BOARD_ID, file }) {
+  const path = buildImagePath(boardId, getImageExtension(file));
+
+  try {
+    const { url } = await getBlobStore().put(path, file, { contentType: file.type });
+    return { storagePath: path, src: url };
+  } catch (error) {
+    logger.error('blobStore: Error uploading image:', error);
+    throw error;
+  }
+}
+
+/**
+ * Copy an image into another board's storage (board duplication)
+ * @param {Object} params
+ * @param {string} params.storagePath - Path of the image to copy
+ * @param {string} params.boardId - Board the copy belongs to
+ * @returns {Promise<Object>} { storagePath, src } of the copy, like uploadBoardImage
+ */
+export async function copyBoardImage({ storagePath, boardId }) {
+  const extension = storagePath.split('.').pop();
+  const path = buildImagePath(boardId, extension);
+
+  try {
+    const store = getBlobStore();
+    const blob = await store.get(storagePath);
+    const { url } = await store.put(path, blob, { contentType: blob.type });
+    return { storagePath: path, src: url };
+  } catch (error) {
+    logger.error('blobStore: Error copying image:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the URL to load an image shape from
+ * Uploaded images always load through their storage path (role-checked), even when an older
+ * shape still carries a download URL; src is only used for images that live elsewhere.
+ * @param {Object} shape - Image shape with src and/or storagePath
+ * @returns {Promise<string|null>} URL, or null when the shape has neither
+ */
+export async function resolveImageUrl(shape) {
+  if (shape?.storagePath) {
+    return getBlobStore().getUrl(shape.storagePath);
+  }
+  return shape?.src || null;
+}
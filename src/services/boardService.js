@@ -0,0 +1,518 @@
+/**
+ * Firestore service for board metadata
+ * Path: boards/{boardId} (shapes and comments live in subcollections)
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  runTransaction,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import toast from 'react-hot-toast';
+import { v4 as uuidv4 } from 'uuid';
+
+import { firestore, auth, functions } from './firebase';
+import { copyBoardImage } from './blobStore';
+import { logger } from '../utils/logger';
+import { DEFAULT_BOARD_ID, generateBoardId, isValidBoardId } from '../utils/boardRoutes';
+import { getDuplicateBoardName } from '../utils/boardList';
+import { BOARD_ROLES } from '../utils/boardRoles';
+import { buildMemberProfile } from '../utils/boardSharing';
+import { copyShapesWithBindings } from '../utils/connectors';
+import { getLinkType, LINK_TYPES } from '../utils/links';
+import { redeemBoardAccess } from './shareService';
+
+export const DEFAULT_BOARD_NAME = 'Untitled board';
+const MAX_BOARD_NAME_LENGTH = 100;
+const BATCH_SIZE = 500; // Firestore batch limit
+
+// Subcollections removed on delete (duplicate copies only shapes and comments)
+const BOARD_SUBCOLLECTIONS = ['shapes', 'comments', 'invites', 'shareLinks', 'joins'];
+
+// Collection/doc refs
+const boardsCollectionRef = () => collection(firestore, 'boards');
+
+const boardDocRef = (boardId) => doc(firestore, 'boards', boardId);
+
+const boardSubcollectionRef = (boardId, name) =>
+  collection(firestore, 'boards', boardId, name);
+
+const getUserName = (user) => user.displayName || user.email?.split('@')[0] || 'Anonymous';
+
+const requireCurrentUser = () => {
+  const currentUser = auth.currentUser;
+  if (!currentUser?.uid) {
+    logger.error('boardService: No authenticated user found');
+    toast.error('You must be signed in to manage boards. Please refresh and sign in again.');
+    throw new Error('User must be authenticated to manage boards');
+  }
+  return currentUser;
+};
+
+const normalizeBoardName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    toast.error('Board name is required');
+    throw new Error('Board name must be a non-empty string');
+  }
+  if (trimmed.length > MAX_BOARD_NAME_LENGTH) {
+    toast.error(`Board name must be ${MAX_BOARD_NAME_LENGTH} characters or less`);
+    throw new Error(`Board name exceeds maximum length of ${MAX_BOARD_NAME_LENGTH}`);
+  }
+  return trimmed;
+};
+
+const isPermissionDenied = (error) =>
+  error?.code === 'permission-denied' || error?.message?.includes('permission-denied');
+
+const handleBoardError = (action, error) => {
+  logger.error(`boardService: Failed ${action}:`, error);
+
+  if (isPermissionDenied(error)) {
+    toast.error('Permission denied. Only the board owner can do that.');
+  } else if (!error.message?.includes('Board name')) {
+    // Name validation already showed a specific toast
+    toast.error(`Failed ${action}. Please try again.`);
+  }
+};
+
+// Mapping helpers: local board <-> firestore doc
+const toFirestoreDoc = (name, user) => ({
+  name,
+  ownerId: user.uid,
+  ownerName: getUserName(user),
+  memberIds: [user.uid],
+  roles: { [user.uid]: BOARD_ROLES.OWNER },
+  memberProfiles: { [user.uid]: buildMemberProfile(user) },
+  archived: false,
+  isPublic: false,
+  thumbnail: null,
+  createdAt: serverTimestamp(),
+  updatedAt: serverTimestamp(),
+});
+
+const buildLegacyRoles = ({ ownerId, memberIds = [] }) => ({
+  ...Object.fromEntries(memberIds.map(uid => [uid, BOARD_ROLES.EDITOR])),
+  [ownerId]: BOARD_ROLES.OWNER,
+});
+
+const fromFirestoreDoc = (docSnap) => {
+  const data = docSnap.data();
+  if (!data) return null;
+
+  const {
+    name,
+    ownerId,
+    ownerName,
+    memberIds = [],
+    roles,
+    memberProfiles = {},
+    archived = false,
+    isPublic = false,
+    thumbnail,
+    createdAt,
+    updatedAt,
+    archivedAt,
+  } = data;
+
+  return {
+    id: docSnap.id,
+    name: name || DEFAULT_BOARD_NAME,
+    ownerId: ownerId ?? null,
+    ownerName: ownerName ?? 'Unknown',
+    memberIds,
+    roles: roles ?? (ownerId ? { [ownerId]: BOARD_ROLES.OWNER } : {}),
+    memberProfiles,
+    archived,
+    isPublic: isPublic === true,
+    thumbnail: thumbnail ?? null,
+    createdAt: createdAt?.toMillis?.() ?? null,
+    updatedAt: updatedAt?.toMillis?.() ?? null,
+    archivedAt: archivedAt?.toMillis?.() ?? null,
+  };
+};
+
+/**
+ * Run a write for every doc in a list, committing in batches of 500
+ * @param {Array} items - Items to write
+ * @param {Function} applyFn - (batch, item) => void
+ * @returns {Promise<void>}
+ */
+const commitInChunks = async (items, applyFn) => {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = writeBatch(firestore);
+    items.slice(i, i + BATCH_SIZE).forEach((item) => applyFn(batch, item));
+    await batch.commit();
+  }
+};
+
+/**
+ * Copy a board's shape docs for another board
+ * Copies get new IDs, so per-shape state kept by ID (offline edit buffers, selection)
+ * never carries over, with frame, group, component, connector and link references
+ * pointed at the copies. Images are copied into the new board's storage.
+ * @param {Array} shapeSnaps - Source shape doc snapshots
+ * @param {string} boardId - Board the copies belong to
+ * @returns {Promise<Array<{id: string, data: Object}>>} New shape docs
+ */
+const copyShapeDocs = async (shapeSnaps, boardId) => {
+  const sources = shapeSnaps.map(snap => snap.data());
+  const copies = copyShapesWithBindings(
+    sources.map((data, index) => ({ ...data.props, id: shapeSnaps[index].id, type: data.type })),
+    { createId: uuidv4, offset: 0 }
+  );
+  const idMap = new Map(copies.map((copy, index) => [shapeSnaps[index].id, copy.id]));
+
+  return Promise.all(copies.map(async ({ id, type, ...props }, index) => {
+    if (getLinkType(props.link) === LINK_TYPES.SHAPE && idMap.has(props.link.shapeId)) {
+      props.link = { ...props.link, shapeId: idMap.get(props.link.shapeId) };
+    }
+    if (props.storagePath) {
+      Object.assign(props, await copyBoardImage({ storagePath: props.storagePath, boardId }));
+    }
+    return { id, data: { ...sources[index], id, type, props } };
+  }));
+};
+
+// CRUD operations
+
+/**
+ * Create a new board owned by the current user
+ * @param {Object} options
+ * @param {string} options.name - Board name
+ * @param {string} options.boardId - Optional board ID (generated if omitted)
+ * @returns {Promise<{id: string}>}
+ */
+export async function createBoard({ name = DEFAULT_BOARD_NAME, boardId = generateBoardId() } = {}) {
+  try {
+    if (!isValidBoardId(boardId)) {
+      throw new Error(`Invalid board ID: ${boardId}`);
+    }
+    const currentUser = requireCurrentUser();
+    const boardName = normalizeBoardName(name);
+
+    await setDoc(boardDocRef(boardId), toFirestoreDoc(boardName, currentUser));
+    logger.debug('boardService: Board created:', boardId);
+    return { id: boardId };
+  } catch (error) {
+    handleBoardError('to create board', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask the server to backfill metadata for the legacy "default" board, which has no doc
+ * @param {string} boardId - Board ID
+ * @returns {Promise<boolean>} True if the board now has a doc
+ */
+const backfillLegacyBoard = async (boardId) => {
+  const { data } = await httpsCallable(functions, 'backfillLegacyBoard')({ boardId });
+  return data?.backfilled === true;
+};
+
+/**
+ * Make sure a board has metadata and the current user is a member
+ * The legacy "default" board predates board metadata, so it's backfilled server-side
+ * with everyone who worked on it as members (the visitor owns it if nobody has);
+ * any other board without a doc is created with the visitor as owner.
+ * Non-members join with a share-link token or a pending email invite.
+ * Throws permission-denied when the user can't see the board.
+ * @param {string} boardId - Board ID
+ * @param {Object} options
+ * @param {string|null} options.shareToken - Share-link token from the URL
+ * @returns {Promise<void>}
+ */
+export async function ensureBoard(boardId, { shareToken = null } = {}) {
+  const currentUser = requireCurrentUser();
+  if (!isValidBoardId(boardId)) {
+    throw new Error(`Invalid board ID: ${boardId}`);
+  }
+
+  const ref = boardDocRef(boardId);
+  try {
+    const existing = await getDoc(ref);
+    if (!existing.exists() && boardId === DEFAULT_BOARD_ID && await backfillLegacyBoard(boardId)) {
+      // Re-read as a member (or fail over to joining below)
+      await getDoc(ref);
+      return;
+    }
+
+    await runTransaction(firestore, async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists()) {
+        tx.set(ref, toFirestoreDoc(DEFAULT_BOARD_NAME, currentUser));
+        return;
+      }
+      // Boards created before roles existed: the owner backfills them, keeping existing members as editors
+      if (!snap.data().roles && snap.data().ownerId === currentUser.uid) {
+        tx.update(ref, {
+          roles: buildLegacyRoles(snap.data()),
+          [`memberProfiles.${currentUser.uid}`]: buildMemberProfile(currentUser),
+        });
+      }
+    });
+  } catch (error) {
+    // Non-members can't read the board doc until they join
+    if (!isPermissionDenied(error)) throw error;
+    const joined = await redeemBoardAccess(boardId, { shareToken });
+    if (!joined) throw error;
+  }
+}
+
+/**
+ * Get board metadata
+ * @param {string} boardId - Board ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getBoard(boardId) {
+  const snap = await getDoc(boardDocRef(boardId));
+  if (!snap.exists()) return null;
+  return fromFirestoreDoc(snap);
+}
+
+/**
+ * Rename a board
+ * @param {string} boardId - Board ID
+ * @param {string} name - New board name
+ * @returns {Promise<{id: string}>}
+ */
+export async function renameBoard(boardId, name) {
+  try {
+    requireCurrentUser();
+    const boardName = normalizeBoardName(name);
+    await updateDoc(boardDocRef(boardId), {
+      name: boardName,
+      updatedAt: serverTimestamp(),
+    });
+    return { id: boardId };
+  } catch (error) {
+    handleBoardError('to rename board', error);
+    throw error;
+  }
+}
+
+/**
+ * Archive or restore a board
+ * Archived boards are hidden from the dashboard by default but keep their content
+ * @param {string} boardId - Board ID
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<{id: string}>}
+ */
+export async function setBoardArchived(boardId, archived) {
+  try {
+    requireCurrentUser();
+    await updateDoc(boardDocRef(boardId), {
+      archived: !!archived,
+      archivedAt: archived ? serverTimestamp() : null,
+      updatedAt: serverTimestamp(),
+    });
+    return { id: boardId };
+  } catch (error) {
+    handleBoardError(archived ? 'to archive board' : 'to restore board', error);
+    throw error;
+  }
+}
+
+/**
+ * Turn the signed-out public view on or off
+ * Public boards can be viewed read-only at /view/:boardId without signing in
+ * @param {string} boardId - Board ID
+ * @param {boolean} isPublic - Whether anyone with the view link can see the board
+ * @returns {Promise<{id: string}>}
+ */
+export async function setBoardPublic(boardId, isPublic) {
+  try {
+    requireCurrentUser();
+    await updateDoc(boardDocRef(boardId), {
+      isPublic: !!isPublic,
+      updatedAt: serverTimestamp(),
+    });
+    return { id: boardId };
+  } catch (error) {
+    handleBoardError(isPublic ? 'to make board public' : 'to make board private', error);
+    throw error;
+  }
+}
+
+/**
+ * Duplicate a board, deep-copying its shapes, their images and comments
+ * The copy is owned by the current user; deleted shapes are not copied
+ * @param {string} sourceBoardId - Board to copy
+ * @param {Object} options
+ * @param {string} options.name - Name for the copy (defaults to "Copy of <name>")
+ * @returns {Promise<{id: string}>}
+ */
+export async function duplicateBoard(sourceBoardId, { name } = {}) {
+  try {
+    const currentUser = requireCurrentUser();
+    const userName = getUserName(currentUser);
+    const source = await getBoard(sourceBoardId);
+    const boardName = normalizeBoardName(name ?? getDuplicateBoardName(source?.name ?? DEFAULT_BOARD_NAME));
+    const boardId = generateBoardId();
+
+    // Board doc first so the owner check in security rules passes for the copies
+    await setDoc(boardDocRef(boardId), toFirestoreDoc(boardName, currentUser));
+
+    const shapeSnaps = await getDocs(
+      query(boardSubcollectionRef(sourceBoardId, 'shapes'), where('deleted', '==', false))
+    );
+    const shapeCopies = await copyShapeDocs(shapeSnaps.docs, boardId);
+    await commitInChunks(shapeCopies, (batch, { id, data }) => {
+      batch.set(doc(firestore, 'boards', boardId, 'shapes', id), {
+        ...data,
+        updatedBy: currentUser.uid,
+        updatedByName: userName,
+        updatedAt: serverTimestamp(),
+      });
+    });
+
+    const commentSnaps = await getDocs(boardSubcollectionRef(sourceBoardId, 'comments'));
+    await commitInChunks(commentSnaps.docs, (batch, snap) => {
+      batch.set(doc(firestore, 'boards', boardId, 'comments', snap.id), snap.data());
+    });
+
+    logger.debug('boardService: Board duplicated:', {
+      sourceBoardId,
+      boardId,
+      shapes: shapeSnaps.size,
+      comments: commentSnaps.size,
+    });
+    return { id: boardId };
+  } catch (error) {
+    handleBoardError('to duplicate board', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete a board with all of its shapes and comments
+ * @param {string} boardId - Board ID
+ * @returns {Promise<{id: string}>}
+ */
+export async function deleteBoard(boardId) {
+  try {
+    requireCurrentUser();
+
+    for (const name of BOARD_SUBCOLLECTIONS) {
+      const snaps = await getDocs(boardSubcollectionRef(boardId, name));
+      await commitInChunks(snaps.docs, (batch, snap) => batch.delete(snap.ref));
+    }
+
+    // Board doc last so a partially failed delete still shows up and can be retried
+    await deleteDoc(boardDocRef(boardId));
+    logger.debug('boardService: Board deleted:', boardId);
+    return { id: boardId };
+  } catch (error) {
+    handleBoardError('to delete board', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a small preview image for the dashboard
+ * @param {string} boardId - Board ID
+ * @param {string} thumbnail - Image data URL
+ * @returns {Promise<void>}
+ */
+export async function saveBoardThumbnail(boardId, thumbnail) {
+  try {
+    await updateDoc(boardDocRef(boardId), {
+      thumbnail,
+      thumbnailUpdatedAt: serverTimestamp(),
+    });
+  } catch (error) {
+    // Thumbnails are best-effort; never interrupt editing
+    logger.warn('boardService: Failed to save board thumbnail:', error);
+  }
+}
+
+/**
+ * Get the last time any shape on the board was edited
+ * @param {string} boardId - Board ID
+ * @returns {Promise<number|null>} Milliseconds since epoch, or null for empty boards
+ */
+export async function getBoardLastEditedAt(boardId) {
+  const q = query(
+    boardSubcollectionRef(boardId, 'shapes'),
+    orderBy('updatedAt', 'desc'),
+    limit(1)
+  );
+  const snaps = await getDocs(q);
+  if (snaps.empty) return null;
+  return snaps.docs[0].data()?.updatedAt?.toMillis?.() ?? null;
+}
+
+// Real-time listeners
+
+/**
+ * Subscribe to a single board's metadata (name, roles, archived state)
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {Function} options.onChange - Called with board metadata, or null if the board was deleted
+ * @param {Function} options.onError - Called on listener errors
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToBoard({ boardId, onChange, onError } = {}) {
+  return onSnapshot(
+    boardDocRef(boardId),
+    (docSnap) => {
+      onChange?.(docSnap.exists() ? fromFirestoreDoc(docSnap) : null);
+    },
+    (err) => {
+      logger.error('boardService: Board subscription error:', err);
+      onError?.(err);
+    }
+  );
+}
+
+/**
+ * Subscribe to boards the user owns or has joined
+ * @param {Object} options
+ * @param {string} options.userId - User ID
+ * @param {Function} options.onChange - Called with the full array of boards
+ * @param {Function} options.onError - Called on listener errors
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToUserBoards({ userId, onChange, onError } = {}) {
+  if (!userId) {
+    onChange?.([]);
+    return () => {};
+  }
+
+  const q = query(boardsCollectionRef(), where('memberIds', 'array-contains', userId));
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      const boards = [];
+      snapshot.forEach((docSnap) => {
+        const board = fromFirestoreDoc(docSnap);
+        if (board) boards.push(board);
+      });
+      onChange?.(boards);
+    },
+    (err) => {
+      logger.error('boardService: Boards subscription error:', err);
+      onError?.(err);
+    }
+  );
+}
+
+export const __testables = {
+  toFirestoreDoc,
+  fromFirestoreDoc,
+  boardDocRef,
+  normalizeBoardName,
+};
@@ -2,6 +2,8 @@ import { initializeApp } from 'firebase/app';
 import { getAuth, GoogleAuthProvider } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
 import { getDatabase } from 'firebase/database';
+import { getStorage } from 'firebase/storage';
+import { getFunctions } from 'firebase/functions';
 import { logger } from '../utils/logger';
 
 const firebaseConfig = {
@@ -50,6 +52,8 @@ try {
 export const auth = getAuth(app);
 export const firestore = getFirestore(app);
 export const realtimeDB = getDatabase(app);
+export const storage = getStorage(app); // Board images; see blobStore.js
+export const functions = getFunctions(app); // Callable functions (legacy board backfill)
 export const googleProvider = new GoogleAuthProvider();
 
 // Utility function to check if Firebase is ready
@@ -134,6 +134,14 @@ export async function updateShapeText(shapeId, text, boardId = 'default') {
   return updateShape(shapeId, { text }, boardId);
 }
 
+/**
+ * Update one table cell with offline queue support
+ * Passes updateShape just `cells.<cellKey>` (stored under props), so concurrent edits to other cells survive.
+ */
+export async function updateTableCell(shapeId, cellKey, text, boardId = 'default') {
+  return updateShape(shapeId, { [`cells.${cellKey}`]: text }, boardId);
+}
+
 /**
  * Delete shape with offline queue support
  */
@@ -0,0 +1,166 @@
+/**
+ * Firestore service for board guides (lines dragged out of the rulers)
+ * Path: boards/{boardId}/guides/{guideId}
+ */
+
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  serverTimestamp,
+} from 'firebase/firestore';
+import toast from 'react-hot-toast';
+
+import { firestore, auth } from './firebase';
+import { logger } from '../utils/logger';
+import { isValidGuide } from '../utils/guides';
+
+// Collection/doc refs
+const guidesCollectionRef = (boardId) => collection(firestore, 'boards', boardId, 'guides');
+
+const guideDocRef = (boardId, guideId) => doc(firestore, 'boards', boardId, 'guides', guideId);
+
+const requireCurrentUser = () => {
+  const currentUser = auth.currentUser;
+  if (!currentUser?.uid) {
+    logger.error('guideService: No authenticated user found');
+    toast.error('You must be signed in to edit guides. Please refresh and sign in again.');
+    throw new Error('User must be authenticated to edit guides');
+  }
+  return currentUser;
+};
+
+const handleGuideError = (action, error) => {
+  logger.error(`guideService: Failed ${action}:`, error);
+
+  if (error.code === 'permission-denied' || error.message?.includes('permission-denied')) {
+    toast.error('Permission denied. Only editors can change guides.');
+  } else if (!error.message?.startsWith('Invalid')) {
+    toast.error(`Failed ${action}. Please try again.`);
+  }
+};
+
+// Mapping helpers
+const fromGuideDoc = (docSnap) => {
+  const data = docSnap.data();
+  if (!data) return null;
+  const guide = {
+    id: docSnap.id,
+    orientation: data.orientation,
+    position: data.position,
+    locked: data.locked === true,
+    createdAt: data.createdAt?.toMillis?.() ?? null,
+  };
+  return isValidGuide(guide) ? guide : null;
+};
+
+/**
+ * Add a guide to the board
+ * @param {string} boardId - Board ID
+ * @param {Object} guide - { orientation, position }
+ * @returns {Promise<{id: string}>}
+ */
+export async function createGuide(boardId, { orientation, position } = {}) {
+  try {
+    const currentUser = requireCurrentUser();
+    if (!isValidGuide({ orientation, position })) {
+      throw new Error(`Invalid guide: ${orientation} at ${position}`);
+    }
+
+    const docRef = await addDoc(guidesCollectionRef(boardId), {
+      orientation,
+      position,
+      locked: false,
+      createdBy: currentUser.uid,
+      updatedBy: currentUser.uid,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    return { id: docRef.id };
+  } catch (error) {
+    handleGuideError('to add guide', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a guide or lock/unlock it
+ * @param {string} boardId - Board ID
+ * @param {string} guideId - Guide ID
+ * @param {Object} updates - { position } and/or { locked }
+ * @returns {Promise<{id: string}>}
+ */
+export async function updateGuide(boardId, guideId, updates = {}) {
+  try {
+    const currentUser = requireCurrentUser();
+    const payload = {};
+    if ('position' in updates) {
+      if (!Number.isFinite(updates.position)) {
+        throw new Error(`Invalid guide position: ${updates.position}`);
+      }
+      payload.position = updates.position;
+    }
+    if ('locked' in updates) {
+      payload.locked = updates.locked === true;
+    }
+
+    await updateDoc(guideDocRef(boardId, guideId), {
+      ...payload,
+      updatedBy: currentUser.uid,
+      updatedAt: serverTimestamp(),
+    });
+    return { id: guideId };
+  } catch (error) {
+    handleGuideError('to update guide', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a guide from the board
+ * @param {string} boardId - Board ID
+ * @param {string} guideId - Guide ID
+ * @returns {Promise<{id: string}>}
+ */
+export async function deleteGuide(boardId, guideId) {
+  try {
+    await deleteDoc(guideDocRef(boardId, guideId));
+    return { id: guideId };
+  } catch (error) {
+    handleGuideError('to remove guide', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to a board's guides
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {Function} options.onChange - Called with the array of guides, oldest first
+ * @param {Function} options.onError - Called on listener errors
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToGuides({ boardId, onChange, onError } = {}) {
+  return onSnapshot(
+    guidesCollectionRef(boardId),
+    (snapshot) => {
+      const guides = snapshot.docs.map(fromGuideDoc).filter(Boolean);
+      // Guides just added locally have no server timestamp yet
+      guides.sort((a, b) => (a.createdAt ?? Number.MAX_SAFE_INTEGER) - (b.createdAt ?? Number.MAX_SAFE_INTEGER));
+      onChange?.(guides);
+    },
+    (err) => {
+      logger.error('guideService: Guides subscription error:', err);
+      onError?.(err);
+    }
+  );
+}
+
+export const __testables = {
+  fromGuideDoc,
+  guideDocRef,
+  guidesCollectionRef,
+};
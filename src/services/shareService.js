@@ -0,0 +1,404 @@
+/**
+ * Firestore service for sharing boards
+ * Paths: boards/{boardId}/invites/{email} (pending email invites)
+ *        boards/{boardId}/shareLinks/{token} (expiring share links)
+ *        boards/{boardId}/joins/{userId} (share link a member joined with)
+ * Membership itself lives on the board doc (memberIds, roles, memberProfiles)
+ */
+
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  onSnapshot,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+  Timestamp,
+} from 'firebase/firestore';
+import toast from 'react-hot-toast';
+
+import { firestore, auth } from './firebase';
+import { logger } from '../utils/logger';
+import {
+  normalizeEmail,
+  isValidEmail,
+  isShareableRole,
+  generateShareToken,
+  isValidShareToken,
+  getShareLinkExpiry,
+  isShareLinkExpired,
+  buildMemberProfile,
+} from '../utils/boardSharing';
+
+// Collection/doc refs
+const boardDocRef = (boardId) => doc(firestore, 'boards', boardId);
+
+const invitesCollectionRef = (boardId) => collection(firestore, 'boards', boardId, 'invites');
+
+const inviteDocRef = (boardId, email) => doc(firestore, 'boards', boardId, 'invites', email);
+
+const shareLinksCollectionRef = (boardId) => collection(firestore, 'boards', boardId, 'shareLinks');
+
+const shareLinkDocRef = (boardId, token) => doc(firestore, 'boards', boardId, 'shareLinks', token);
+
+const joinDocRef = (boardId, userId) => doc(firestore, 'boards', boardId, 'joins', userId);
+
+const requireCurrentUser = () => {
+  const currentUser = auth.currentUser;
+  if (!currentUser?.uid) {
+    logger.error('shareService: No authenticated user found');
+    toast.error('You must be signed in to share boards. Please refresh and sign in again.');
+    throw new Error('User must be authenticated to share boards');
+  }
+  return currentUser;
+};
+
+const requireShareableRole = (role) => {
+  if (!isShareableRole(role)) {
+    toast.error('Choose editor, commenter or viewer');
+    throw new Error(`Invalid share role: ${role}`);
+  }
+  return role;
+};
+
+const handleShareError = (action, error) => {
+  logger.error(`shareService: Failed ${action}:`, error);
+
+  if (error.code === 'permission-denied' || error.message?.includes('permission-denied')) {
+    toast.error('Permission denied. Only the board owner can manage sharing.');
+  } else if (!error.message?.startsWith('Invalid')) {
+    // Validation already showed a specific toast
+    toast.error(`Failed ${action}. Please try again.`);
+  }
+};
+
+// Mapping helpers
+const fromInviteDoc = (docSnap) => {
+  const data = docSnap.data();
+  if (!data) return null;
+  return {
+    email: docSnap.id,
+    boardId: data.boardId,
+    boardName: data.boardName ?? null,
+    role: data.role,
+    invitedByName: data.invitedByName ?? 'Unknown',
+    createdAt: data.createdAt?.toMillis?.() ?? null,
+  };
+};
+
+const fromShareLinkDoc = (docSnap) => {
+  const data = docSnap.data();
+  if (!data) return null;
+  return {
+    token: docSnap.id,
+    role: data.role,
+    createdByName: data.createdByName ?? 'Unknown',
+    createdAt: data.createdAt?.toMillis?.() ?? null,
+    expiresAt: data.expiresAt?.toMillis?.() ?? null,
+  };
+};
+
+// Invites
+
+/**
+ * Invite someone to the board by email
+ * They join with the given role the next time they open the board signed in with that email
+ * @param {string} boardId - Board ID
+ * @param {Object} options
+ * @param {string} options.email - Invitee email
+ * @param {string} options.role - Role to grant (editor/commenter/viewer)
+ * @param {string} options.boardName - Board name shown in the invitee's dashboard
+ * @returns {Promise<{email: string}>}
+ */
+export async function inviteByEmail(boardId, { email, role, boardName = null } = {}) {
+  try {
+    const currentUser = requireCurrentUser();
+    const normalized = normalizeEmail(email);
+    if (!isValidEmail(normalized)) {
+      toast.error('Enter a valid email address');
+      throw new Error(`Invalid email: ${email}`);
+    }
+    requireShareableRole(role);
+
+    await setDoc(inviteDocRef(boardId, normalized), {
+      email: normalized,
+      boardId,
+      boardName,
+      role,
+      invitedBy: currentUser.uid,
+      invitedByName: buildMemberProfile(currentUser).name,
+      createdAt: serverTimestamp(),
+    });
+    logger.debug('shareService: Invite created:', { boardId, role });
+    return { email: normalized };
+  } catch (error) {
+    handleShareError('to send invite', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a pending invite
+ * @param {string} boardId - Board ID
+ * @param {string} email - Invitee email
+ * @returns {Promise<void>}
+ */
+export async function revokeInvite(boardId, email) {
+  try {
+    await deleteDoc(inviteDocRef(boardId, normalizeEmail(email)));
+  } catch (error) {
+    handleShareError('to cancel invite', error);
+    throw error;
+  }
+}
+
+// Share links
+
+/**
+ * Create a share link that grants a role until it expires or is revoked
+ * @param {string} boardId - Board ID
+ * @param {Object} options
+ * @param {string} options.role - Role to grant (editor/commenter/viewer)
+ * @param {number|null} options.expiresInMs - Lifetime, or null for links that never expire
+ * @returns {Promise<{token: string}>}
+ */
+export async function createShareLink(boardId, { role, expiresInMs = null } = {}) {
+  try {
+    const currentUser = requireCurrentUser();
+    requireShareableRole(role);
+    const token = generateShareToken();
+    const expiresAt = getShareLinkExpiry(expiresInMs);
+
+    await setDoc(shareLinkDocRef(boardId, token), {
+      role,
+      createdBy: currentUser.uid,
+      createdByName: buildMemberProfile(currentUser).name,
+      createdAt: serverTimestamp(),
+      expiresAt: expiresAt ? Timestamp.fromMillis(expiresAt) : null,
+    });
+    logger.debug('shareService: Share link created:', { boardId, role, expiresAt });
+    return { token };
+  } catch (error) {
+    handleShareError('to create share link', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a share link; anyone who already joined keeps their role
+ * @param {string} boardId - Board ID
+ * @param {string} token - Share-link token
+ * @returns {Promise<void>}
+ */
+export async function revokeShareLink(boardId, token) {
+  try {
+    await deleteDoc(shareLinkDocRef(boardId, token));
+  } catch (error) {
+    handleShareError('to revoke share link', error);
+    throw error;
+  }
+}
+
+// Members
+
+/**
+ * Change a member's role
+ * @param {string} boardId - Board ID
+ * @param {string} userId - Member user ID
+ * @param {string} role - New role (editor/commenter/viewer)
+ * @returns {Promise<void>}
+ */
+export async function updateMemberRole(boardId, userId, role) {
+  try {
+    requireShareableRole(role);
+    await updateDoc(boardDocRef(boardId), { [`roles.${userId}`]: role });
+  } catch (error) {
+    handleShareError('to change role', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a member from the board
+ * @param {string} boardId - Board ID
+ * @param {string} userId - Member user ID
+ * @returns {Promise<void>}
+ */
+export async function removeMember(boardId, userId) {
+  try {
+    const batch = writeBatch(firestore);
+    batch.update(boardDocRef(boardId), {
+      memberIds: arrayRemove(userId),
+      [`roles.${userId}`]: deleteField(),
+      [`memberProfiles.${userId}`]: deleteField(),
+    });
+    batch.delete(joinDocRef(boardId, userId));
+    await batch.commit();
+  } catch (error) {
+    handleShareError('to remove member', error);
+    throw error;
+  }
+}
+
+/**
+ * Add the current user to the board with the given role
+ * Security rules check the role against the share link or the pending invite.
+ * The share token goes in the user's own joins doc in the same batch, not on the
+ * board doc, so other members can't read it back.
+ */
+const joinBoard = (boardId, currentUser, role, shareToken = null) => {
+  const batch = writeBatch(firestore);
+
+  if (shareToken) {
+    batch.set(joinDocRef(boardId, currentUser.uid), {
+      token: shareToken,
+      joinedAt: serverTimestamp(),
+    });
+  }
+
+  batch.update(boardDocRef(boardId), {
+    memberIds: arrayUnion(currentUser.uid),
+    [`roles.${currentUser.uid}`]: role,
+    [`memberProfiles.${currentUser.uid}`]: buildMemberProfile(currentUser),
+  });
+
+  return batch.commit();
+};
+
+/**
+ * Join a board the current user isn't a member of yet
+ * Tries the share-link token first, then a pending invite for the user's email
+ * @param {string} boardId - Board ID
+ * @param {Object} options
+ * @param {string|null} options.shareToken - Share-link token from the URL
+ * @returns {Promise<boolean>} True if the user joined
+ */
+export async function redeemBoardAccess(boardId, { shareToken = null } = {}) {
+  const currentUser = auth.currentUser;
+  if (!currentUser?.uid) return false;
+
+  if (isValidShareToken(shareToken)) {
+    const snap = await getDoc(shareLinkDocRef(boardId, shareToken));
+    const link = snap.exists() ? fromShareLinkDoc(snap) : null;
+
+    if (!link) {
+      toast.error('This share link is invalid or has been revoked.');
+    } else if (isShareLinkExpired(link)) {
+      toast.error('This share link has expired. Ask the board owner for a new one.');
+    } else {
+      await joinBoard(boardId, currentUser, link.role, shareToken);
+      logger.debug('shareService: Joined board with share link:', { boardId, role: link.role });
+      return true;
+    }
+  }
+
+  const email = normalizeEmail(currentUser.email);
+  if (!email) return false;
+
+  const inviteSnap = await getDoc(inviteDocRef(boardId, email));
+  if (!inviteSnap.exists()) return false;
+
+  const invite = fromInviteDoc(inviteSnap);
+  await joinBoard(boardId, currentUser, invite.role);
+  logger.debug('shareService: Accepted invite:', { boardId, role: invite.role });
+
+  try {
+    await deleteDoc(inviteDocRef(boardId, email));
+  } catch (error) {
+    // The owner can still cancel it; membership already granted
+    logger.warn('shareService: Failed to clear accepted invite:', error);
+  }
+  return true;
+}
+
+// Real-time listeners
+
+/**
+ * Subscribe to a board's pending invites (owner only)
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {Function} options.onChange - Called with the array of invites
+ * @param {Function} options.onError - Called on listener errors
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToInvites({ boardId, onChange, onError } = {}) {
+  return onSnapshot(
+    invitesCollectionRef(boardId),
+    (snapshot) => {
+      const invites = snapshot.docs.map(fromInviteDoc).filter(Boolean);
+      invites.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+      onChange?.(invites);
+    },
+    (err) => {
+      logger.error('shareService: Invites subscription error:', err);
+      onError?.(err);
+    }
+  );
+}
+
+/**
+ * Subscribe to a board's share links (owner only)
+ * @param {Object} options
+ * @param {string} options.boardId - Board ID
+ * @param {Function} options.onChange - Called with the array of links
+ * @param {Function} options.onError - Called on listener errors
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToShareLinks({ boardId, onChange, onError } = {}) {
+  return onSnapshot(
+    shareLinksCollectionRef(boardId),
+    (snapshot) => {
+      const links = snapshot.docs.map(fromShareLinkDoc).filter(Boolean);
+      links.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+      onChange?.(links);
+    },
+    (err) => {
+      logger.error('shareService: Share links subscription error:', err);
+      onError?.(err);
+    }
+  );
+}
+
+/**
+ * Subscribe to invites addressed to an email, across all boards
+ * @param {Object} options
+ * @param {string} options.email - Invitee email
+ * @param {Function} options.onChange - Called with the array of invites
+ * @param {Function} options.onError - Called on listener errors
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToMyInvites({ email, onChange, onError } = {}) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) {
+    onChange?.([]);
+    return () => {};
+  }
+
+  const q = query(collectionGroup(firestore, 'invites'), where('email', '==', normalized));
+  return onSnapshot(
+    q,
+    (snapshot) => {
+      onChange?.(snapshot.docs.map(fromInviteDoc).filter(Boolean));
+    },
+    (err) => {
+      logger.error('shareService: My invites subscription error:', err);
+      onError?.(err);
+    }
+  );
+}
+
+export const __testables = {
+  fromInviteDoc,
+  fromShareLinkDoc,
+  inviteDocRef,
+  shareLinkDocRef,
+};
@@ -0,0 +1,134 @@
+/**
+ * Stroke Broadcast Service - Real-time pen strokes while they're being drawn
+ * Uses RTDB so collaborators see the stroke grow; the finished path is saved to Firestore
+ */
+
+import { ref, set, remove, onValue, onDisconnect } from 'firebase/database';
+import { realtimeDB } from './firebase';
+import { logger } from '../utils/logger';
+
+const DEFAULT_BOARD_ID = 'default';
+
+/**
+ * Get reference to a user's in-progress stroke
+ */
+const activeStrokeRef = (boardId, userId) =>
+  ref(realtimeDB, `boards/${boardId}/activeStrokes/${userId}`);
+
+/**
+ * Get reference to all in-progress strokes for a board
+ */
+const activeStrokesRef = (boardId) =>
+  ref(realtimeDB, `boards/${boardId}/activeStrokes`);
+
+/**
+ * Publish the in-progress stroke (throttled by caller)
+ * @param {Object} params
+ * @param {string} params.boardId - Board ID
+ * @param {string} params.userId - User drawing the stroke
+ * @param {Array<number>} params.points - Flat canvas points so far
+ * @param {string} params.stroke - Stroke color
+ * @param {number} params.strokeWidth - Stroke width
+ */
+export async function publishStroke({
+  boardId = DEFAULT_BOARD_ID,
+  userId,
+  points,
+  stroke,
+  strokeWidth,
+}) {
+  if (!userId || !points?.length) {
+    return Promise.resolve();
+  }
+
+  const refToUse = activeStrokeRef(boardId, userId);
+  const payload = {
+    points,
+    stroke,
+    strokeWidth,
+    userId,
+    timestamp: Date.now(),
+  };
+
+  try {
+    await set(refToUse, payload);
+    // Setup disconnect cleanup
+    const disconnect = onDisconnect(refToUse);
+    await disconnect.remove();
+  } catch (error) {
+    logger.error('strokeBroadcastService: Error publishing stroke:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the user's in-progress stroke (call when the stroke ends)
+ * @param {Object} params
+ * @param {string} params.boardId - Board ID
+ * @param {string} params.userId - User who drew the stroke
+ */
+export async function clearStroke({ boardId = DEFAULT_BOARD_ID, userId }) {
+  if (!userId) {
+    return Promise.resolve();
+  }
+
+  try {
+    await remove(activeStrokeRef(boardId, userId));
+  } catch (error) {
+    logger.error('strokeBroadcastService: Error clearing stroke:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to all in-progress strokes on a board
+ * @param {Object} params
+ * @param {string} params.boardId - Board ID
+ * @param {string} params.excludeUserId - Don't emit this user's stroke
+ * @param {Function} params.onUpdate - Callback with the current strokes (empty when none)
+ * @param {Function} params.onError - Error callback
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToStrokes({
+  boardId = DEFAULT_BOARD_ID,
+  excludeUserId,
+  onUpdate,
+  onError,
+}) {
+  const unsubscribe = onValue(
+    activeStrokesRef(boardId),
+    (snapshot) => {
+      const strokes = [];
+      snapshot.forEach((child) => {
+        const value = child.val();
+        if (!value?.points) return;
+
+        // Skip the current user's own stroke
+        if (excludeUserId && child.key === excludeUserId) return;
+
+        strokes.push({
+          userId: child.key,
+          points: value.points,
+          stroke: value.stroke,
+          strokeWidth: value.strokeWidth,
+          timestamp: value.timestamp,
+        });
+      });
+
+      // Always emit so finished strokes disappear
+      onUpdate?.(strokes);
+    },
+    (error) => {
+      logger.error('strokeBroadcastService: Subscription error:', error);
+      onError?.(error);
+    }
+  );
+
+  return unsubscribe;
+}
+
+export const __testables = {
+  DEFAULT_BOARD_ID,
+  activeStrokeRef,
+  activeStrokesRef,
+};
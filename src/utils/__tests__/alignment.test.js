@@ -16,6 +16,16 @@ import {
   distributeVertically,
   canAlign,
   canDistribute,
+  ALIGN_TARGETS,
+  LAYOUT_AXES,
+  alignToBounds,
+  alignShapes,
+  getKeyShape,
+  setSpacing,
+  stackShapes,
+  tidyUp,
+  matchSize,
+  canAlignTo,
 } from '../alignment';
 
 describe('alignment utilities', () => {
@@ -46,6 +56,23 @@ describe('alignment utilities', () => {
       });
     });
 
+    it('calculates bounds for a line from its points', () => {
+      const shape = {
+        id: 'line1',
+        type: 'line',
+        x: 100,
+        y: 200,
+        points: [0, 0, -50, 80],
+      };
+
+      const bounds = getShapeBounds(shape);
+
+      expect(bounds.x).toBe(50);
+      expect(bounds.y).toBe(200);
+      expect(bounds.width).toBe(50);
+      expect(bounds.height).toBe(80);
+    });
+
     it('calculates bounds for a circle', () => {
       const shape = {
         id: 'circle1',
@@ -71,6 +98,44 @@ describe('alignment utilities', () => {
       });
     });
 
+    it('calculates bounds for an ellipse', () => {
+      const bounds = getShapeBounds({ id: 'e1', type: 'ellipse', x: 100, y: 100, radiusX: 60, radiusY: 30 });
+
+      expect(bounds.x).toBe(40);
+      expect(bounds.y).toBe(70);
+      expect(bounds.width).toBe(120);
+      expect(bounds.height).toBe(60);
+      expect(bounds.centerX).toBe(100);
+      expect(bounds.centerY).toBe(100);
+    });
+
+    it('calculates bounds for a polygon from its vertices', () => {
+      // Square with a vertex at the top: a diamond reaching the radius on every side
+      const bounds = getShapeBounds({ id: 'p1', type: 'polygon', x: 100, y: 100, sides: 4, radius: 50 });
+
+      expect(bounds.x).toBeCloseTo(50);
+      expect(bounds.y).toBeCloseTo(50);
+      expect(bounds.width).toBeCloseTo(100);
+      expect(bounds.height).toBeCloseTo(100);
+    });
+
+    it('calculates bounds for a star from its outer points', () => {
+      const bounds = getShapeBounds({
+        id: 's1',
+        type: 'star',
+        x: 0,
+        y: 0,
+        numPoints: 5,
+        innerRadius: 20,
+        outerRadius: 50,
+      });
+
+      // Top point reaches the outer radius; bottom points sit at cos(36°) of it
+      expect(bounds.y).toBeCloseTo(-50);
+      expect(bounds.height).toBeCloseTo(50 + 50 * Math.cos(Math.PI / 5));
+      expect(bounds.width).toBeCloseTo(2 * 50 * Math.sin((2 * Math.PI) / 5));
+    });
+
     it('calculates bounds for text', () => {
       const shape = {
         id: 'text1',
@@ -499,6 +564,210 @@ describe('alignment utilities', () => {
     });
   });
 
+  describe('alignShapes', () => {
+    const shapes = [
+      { id: 'a', type: 'rectangle', x: 100, y: 100, width: 100, height: 50 },
+      { id: 'b', type: 'circle', x: 400, y: 300, radius: 25 },
+    ];
+
+    it('aligns to the selection by default', () => {
+      expect(alignShapes(shapes, 'left')).toEqual(alignLeft(shapes));
+      expect(alignShapes(shapes, 'middle')).toEqual(alignMiddle(shapes));
+    });
+
+    it('aligns to the visible canvas', () => {
+      const viewport = { x: 0, y: 0, width: 1000, height: 800 };
+
+      const updates = alignShapes(shapes, 'center', { target: ALIGN_TARGETS.CANVAS, viewport });
+
+      expect(updates).toEqual([
+        { id: 'a', x: 450, y: 100 },
+        { id: 'b', x: 500, y: 300 },
+      ]);
+    });
+
+    it('aligns a single shape to the canvas', () => {
+      const viewport = { x: -50, y: 20, width: 500, height: 500 };
+
+      expect(alignShapes([shapes[0]], 'bottom', { target: ALIGN_TARGETS.CANVAS, viewport }))
+        .toEqual([{ id: 'a', x: 100, y: 470 }]);
+      expect(alignShapes([shapes[0]], 'left')).toEqual([]);
+    });
+
+    it('aligns to the key object, which stays put', () => {
+      const updates = alignShapes(shapes, 'right', { target: ALIGN_TARGETS.KEY_OBJECT, keyShape: shapes[1] });
+
+      // Circle spans 375-425
+      expect(updates).toEqual([{ id: 'a', x: 325, y: 100 }]);
+    });
+
+    it('returns no updates without a key object or for unknown alignments', () => {
+      expect(alignShapes(shapes, 'left', { target: ALIGN_TARGETS.KEY_OBJECT })).toEqual([]);
+      expect(alignShapes(shapes, 'diagonal')).toEqual([]);
+    });
+  });
+
+  describe('alignToBounds', () => {
+    it('aligns each edge and center to the target box', () => {
+      const shape = { id: 'a', type: 'rectangle', x: 10, y: 10, width: 20, height: 40 };
+      const target = { x: 100, y: 200, width: 100, height: 100 };
+
+      expect(alignToBounds([shape], 'left', target)[0]).toEqual({ id: 'a', x: 100, y: 10 });
+      expect(alignToBounds([shape], 'right', target)[0]).toEqual({ id: 'a', x: 180, y: 10 });
+      expect(alignToBounds([shape], 'top', target)[0]).toEqual({ id: 'a', x: 10, y: 200 });
+      expect(alignToBounds([shape], 'middle', target)[0]).toEqual({ id: 'a', x: 10, y: 230 });
+    });
+  });
+
+  describe('getKeyShape', () => {
+    it('returns the first selected shape among the shapes', () => {
+      const shapes = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+      expect(getKeyShape(shapes, ['c', 'a'])).toBe(shapes[2]);
+      expect(getKeyShape(shapes, ['group-1', 'b'])).toBe(shapes[1]);
+      expect(getKeyShape(shapes, [])).toBeNull();
+    });
+  });
+
+  describe('setSpacing', () => {
+    const shapes = [
+      { id: 'b', type: 'rectangle', x: 300, y: 40, width: 50, height: 50 },
+      { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 },
+      { id: 'c', type: 'circle', x: 700, y: 90, radius: 20 },
+    ];
+
+    it('sets an exact horizontal gap in left-to-right order', () => {
+      const updates = setSpacing(shapes, LAYOUT_AXES.HORIZONTAL, 10);
+
+      expect(updates).toEqual([
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 110, y: 40 },
+        { id: 'c', x: 190, y: 90 }, // Circle's left edge at 170
+      ]);
+    });
+
+    it('sets an exact vertical gap in top-to-bottom order', () => {
+      const updates = setSpacing(shapes, LAYOUT_AXES.VERTICAL, 0);
+
+      expect(updates.map(u => [u.id, u.y])).toEqual([['a', 0], ['b', 50], ['c', 120]]);
+      expect(updates.map(u => u.x)).toEqual([0, 300, 700]);
+    });
+
+    it('needs 2+ shapes and a known axis', () => {
+      expect(setSpacing([shapes[0]], LAYOUT_AXES.HORIZONTAL, 10)).toEqual([]);
+      expect(setSpacing(shapes, 'diagonal', 10)).toEqual([]);
+    });
+  });
+
+  describe('stackShapes', () => {
+    it('stacks a column with left edges lined up', () => {
+      const shapes = [
+        { id: 'a', type: 'rectangle', x: 50, y: 0, width: 100, height: 30 },
+        { id: 'b', type: 'rectangle', x: 20, y: 200, width: 60, height: 40 },
+      ];
+
+      expect(stackShapes(shapes, LAYOUT_AXES.VERTICAL, 15)).toEqual([
+        { id: 'a', x: 20, y: 0 },
+        { id: 'b', x: 20, y: 45 },
+      ]);
+    });
+
+    it('stacks a row with top edges lined up', () => {
+      const shapes = [
+        { id: 'a', type: 'rectangle', x: 300, y: 10, width: 100, height: 30 },
+        { id: 'b', type: 'rectangle', x: 0, y: 80, width: 60, height: 40 },
+      ];
+
+      expect(stackShapes(shapes, LAYOUT_AXES.HORIZONTAL, 20)).toEqual([
+        { id: 'b', x: 0, y: 10 },
+        { id: 'a', x: 80, y: 10 },
+      ]);
+    });
+  });
+
+  describe('tidyUp', () => {
+    it('arranges shapes into a grid in reading order', () => {
+      const shapes = [
+        { id: 'd', type: 'rectangle', x: 210, y: 190, width: 50, height: 50 },
+        { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 40 },
+        { id: 'c', type: 'rectangle', x: 30, y: 170, width: 50, height: 50 },
+        { id: 'b', type: 'rectangle', x: 180, y: 10, width: 60, height: 80 },
+      ];
+
+      const updates = tidyUp(shapes, 10);
+
+      // 2 columns (100 and 60 wide), 2 rows (80 and 50 tall)
+      expect(updates).toEqual([
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 110, y: 0 },
+        { id: 'c', x: 0, y: 90 },
+        { id: 'd', x: 110, y: 90 },
+      ]);
+    });
+
+    it('fills the last row partially', () => {
+      const shapes = [0, 1, 2, 3, 4].map(i => ({ id: `s${i}`, type: 'rectangle', x: i * 200, y: 0, width: 50, height: 50 }));
+
+      const updates = tidyUp(shapes, 0);
+
+      expect(updates.map(u => [u.x, u.y])).toEqual([[0, 0], [50, 0], [100, 0], [0, 50], [50, 50]]);
+    });
+  });
+
+  describe('matchSize', () => {
+    const shapes = [
+      { id: 'rect', type: 'rect', x: 0, y: 0, width: 100, height: 40 },
+      { id: 'wide', type: 'rect', x: 0, y: 100, width: 180, height: 20 },
+      { id: 'circle', type: 'circle', x: 300, y: 300, radius: 25 },
+      { id: 'line', type: 'line', x: 0, y: 0, points: [0, 0, 400, 0] },
+    ];
+
+    it('matches the largest width, leaving lines alone', () => {
+      expect(matchSize(shapes, 'width')).toEqual([
+        { id: 'rect', width: 180 },
+        { id: 'wide', width: 180 },
+        { id: 'circle', radius: 90 },
+      ]);
+    });
+
+    it("matches the key object's height", () => {
+      expect(matchSize(shapes, 'height', shapes[2])).toEqual([
+        { id: 'rect', height: 50 },
+        { id: 'wide', height: 50 },
+      ]);
+    });
+
+    it('scales polygons and stars as a whole', () => {
+      const star = { id: 'star', type: 'star', x: 0, y: 0, numPoints: 4, outerRadius: 50, innerRadius: 20 };
+      const box = { id: 'box', type: 'rect', x: 0, y: 0, width: 200, height: 200 };
+
+      const [update] = matchSize([star, box], 'width');
+
+      expect(update.outerRadius).toBeCloseTo(100);
+      expect(update.innerRadius).toBeCloseTo(40);
+    });
+
+    it('only widens text boxes with a fixed width', () => {
+      const text = { id: 'text', type: 'text', x: 0, y: 0, width: 80, fontSize: 16 };
+      const box = { id: 'box', type: 'rect', x: 0, y: 0, width: 200, height: 200 };
+
+      expect(matchSize([text, box], 'width')).toEqual([{ id: 'box', width: 200 }]);
+      expect(matchSize([{ ...text, fixedWidth: true }, box], 'width')).toEqual([
+        { id: 'text', width: 200 },
+        { id: 'box', width: 200 },
+      ]);
+    });
+  });
+
+  describe('canAlignTo', () => {
+    it('takes a single shape for the canvas and 2+ otherwise', () => {
+      expect(canAlignTo([{}], ALIGN_TARGETS.CANVAS)).toBe(true);
+      expect(canAlignTo([], ALIGN_TARGETS.CANVAS)).toBe(false);
+      expect(canAlignTo([{}], ALIGN_TARGETS.KEY_OBJECT)).toBe(false);
+      expect(canAlignTo([{}, {}], ALIGN_TARGETS.SELECTION)).toBe(true);
+    });
+  });
+
   describe('edge cases', () => {
     it('handles negative coordinates', () => {
       const shapes = [
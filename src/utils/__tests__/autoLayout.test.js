@@ -0,0 +1,279 @@
+/**
+ * Unit tests for auto-layout frames
+ */
+
+import {
+  AUTO_LAYOUT_SIZING,
+  CHILD_SIZING,
+  DEFAULT_AUTO_LAYOUT,
+  hasAutoLayout,
+  normalizeAutoLayout,
+  applyAutoLayouts,
+  getAutoLayoutUpdates,
+  getAutoLayoutReflowChanges,
+  getAutoLayoutContentIds,
+  getAutoLayoutUpdate,
+  getAutoLayoutChanges,
+} from '../autoLayout';
+
+const byId = (shapes) => Object.fromEntries(shapes.map(shape => [shape.id, shape]));
+
+describe('Auto Layout Utilities', () => {
+  const mockFrame = {
+    id: 'frame-1',
+    type: 'frame',
+    x: 100,
+    y: 100,
+    width: 400,
+    height: 300,
+    zIndex: 1,
+    autoLayout: { direction: 'vertical', padding: 10, gap: 5, align: 'start', sizing: 'hug', childSizing: 'fixed' },
+  };
+
+  describe('normalizeAutoLayout', () => {
+    it('fills in defaults', () => {
+      expect(normalizeAutoLayout({})).toEqual(DEFAULT_AUTO_LAYOUT);
+    });
+
+    it('rejects invalid values and clamps spacing', () => {
+      const layout = normalizeAutoLayout({ direction: 'diagonal', padding: -4, gap: 9000, align: 'middle', sizing: 'grow' });
+
+      expect(layout.direction).toBe(DEFAULT_AUTO_LAYOUT.direction);
+      expect(layout.padding).toBe(0);
+      expect(layout.gap).toBe(500);
+      expect(layout.align).toBe(DEFAULT_AUTO_LAYOUT.align);
+      expect(layout.sizing).toBe(DEFAULT_AUTO_LAYOUT.sizing);
+    });
+  });
+
+  describe('hasAutoLayout', () => {
+    it('is only true for frames with a layout', () => {
+      expect(hasAutoLayout(mockFrame)).toBe(true);
+      expect(hasAutoLayout({ ...mockFrame, autoLayout: null })).toBe(false);
+      expect(hasAutoLayout({ id: 'a', type: 'rect', autoLayout: {} })).toBe(false);
+    });
+  });
+
+  describe('applyAutoLayouts', () => {
+    it('returns the same shapes when there are no layouts', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: null },
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+      expect(applyAutoLayouts(shapes)).toBe(shapes);
+    });
+
+    it('stacks children in a column in their vertical order, hugging them', () => {
+      const shapes = [
+        mockFrame,
+        { id: 'b', type: 'rect', x: 0, y: 300, width: 50, height: 40, parentId: 'frame-1' },
+        { id: 'a', type: 'rect', x: 0, y: 150, width: 80, height: 20, parentId: 'frame-1' },
+      ];
+
+      const result = byId(applyAutoLayouts(shapes));
+
+      expect(result.a).toMatchObject({ x: 110, y: 110 });
+      expect(result.b).toMatchObject({ x: 110, y: 135 }); // 110 + 20 + 5
+      expect(result['frame-1']).toMatchObject({ width: 100, height: 85 }); // 80 + 2*10; 20 + 5 + 40 + 2*10
+    });
+
+    it('lays out rows and aligns children across the row', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: { direction: 'horizontal', padding: 0, gap: 10, align: 'center' } },
+        { id: 'a', type: 'rect', x: 120, y: 0, width: 50, height: 40, parentId: 'frame-1' },
+        { id: 'b', type: 'rect', x: 200, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+
+      const result = byId(applyAutoLayouts(shapes));
+
+      expect(result.a).toMatchObject({ x: 100, y: 100 });
+      expect(result.b).toMatchObject({ x: 160, y: 110 });
+      expect(result['frame-1']).toMatchObject({ width: 110, height: 40 });
+    });
+
+    it('keeps a fixed frame size and stretches children that fill it', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: { padding: 20, gap: 0, sizing: AUTO_LAYOUT_SIZING.FIXED, childSizing: CHILD_SIZING.FILL } },
+        { id: 'a', type: 'rect', x: 0, y: 150, width: 50, height: 20, parentId: 'frame-1' },
+        { id: 'c', type: 'circle', x: 0, y: 300, radius: 10, parentId: 'frame-1' },
+      ];
+
+      const result = byId(applyAutoLayouts(shapes));
+
+      expect(result['frame-1']).toMatchObject({ width: 400, height: 300 });
+      expect(result.a).toMatchObject({ x: 120, y: 120, width: 360, height: 20 });
+      // Circles scale as a whole: 360 wide, centered on x, y
+      expect(result.c).toMatchObject({ radius: 180, x: 300, y: 320 });
+    });
+
+    it('aligns children to the end of a fixed frame', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: { padding: 10, sizing: 'fixed', align: 'end' } },
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+
+      expect(byId(applyAutoLayouts(shapes)).a).toMatchObject({ x: 440, y: 110 });
+    });
+
+    it('moves groups and nested frames with their contents', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: { padding: 0, gap: 0 } },
+        { id: 'group-1', type: 'group', parentId: 'frame-1', zIndex: 2 },
+        { id: 'g1', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1', groupId: 'group-1' },
+        { id: 'g2', type: 'rect', x: 60, y: 0, width: 50, height: 20, parentId: 'frame-1', groupId: 'group-1' },
+        { id: 'inner', type: 'frame', x: 0, y: 100, width: 30, height: 30, parentId: 'frame-1', zIndex: 3 },
+        { id: 'nested', type: 'rect', x: 5, y: 105, width: 10, height: 10, parentId: 'inner' },
+      ];
+
+      const result = byId(applyAutoLayouts(shapes));
+
+      expect(result.g1).toMatchObject({ x: 100, y: 100 });
+      expect(result.g2).toMatchObject({ x: 160, y: 100 });
+      expect(result.inner).toMatchObject({ x: 100, y: 120 });
+      expect(result.nested).toMatchObject({ x: 105, y: 125 });
+      expect(result['frame-1']).toMatchObject({ width: 110, height: 50 });
+    });
+
+    it('sizes nested hugging frames before placing them', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: { direction: 'horizontal', padding: 0, gap: 10 } },
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+        {
+          id: 'inner',
+          type: 'frame',
+          x: 300,
+          y: 0,
+          width: 5,
+          height: 5,
+          parentId: 'frame-1',
+          autoLayout: { padding: 5, gap: 0 },
+        },
+        { id: 'in-1', type: 'rect', x: 300, y: 0, width: 50, height: 20, parentId: 'inner' },
+        { id: 'in-2', type: 'rect', x: 300, y: 50, width: 50, height: 20, parentId: 'inner' },
+      ];
+
+      const result = byId(applyAutoLayouts(shapes));
+
+      expect(result.inner).toMatchObject({ x: 160, y: 100, width: 60, height: 50 });
+      expect(result['in-1']).toMatchObject({ x: 165, y: 105 });
+      expect(result['in-2']).toMatchObject({ x: 165, y: 125 });
+      expect(result['frame-1']).toMatchObject({ width: 120, height: 50 });
+    });
+
+    it('leaves connectors and shapes outside the frame alone', () => {
+      const line = { id: 'line', type: 'arrow', x: 0, y: 0, points: [0, 0, 10, 10], parentId: 'frame-1', startBinding: { shapeId: 'a' } };
+      const outside = { id: 'out', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: null };
+      const shapes = [
+        mockFrame,
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+        line,
+        outside,
+      ];
+
+      const result = applyAutoLayouts(shapes);
+
+      expect(result[2]).toBe(line);
+      expect(result[3]).toBe(outside);
+    });
+
+    it('is stable once applied', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: { align: 'center', childSizing: 'fill' } },
+        { id: 'a', type: 'rect', x: 0, y: 10, width: 50, height: 20, parentId: 'frame-1' },
+        { id: 'c', type: 'circle', x: 0, y: 90, radius: 7, parentId: 'frame-1' },
+        { id: 'e', type: 'ellipse', x: 0, y: 200, radiusX: 20, radiusY: 5, parentId: 'frame-1' },
+      ];
+
+      const once = applyAutoLayouts(shapes);
+      expect(applyAutoLayouts(once)).toBe(once);
+    });
+  });
+
+  describe('getAutoLayoutUpdates', () => {
+    it('returns only the props that changed', () => {
+      const shapes = [
+        { ...mockFrame, width: 70, height: 65 },
+        { id: 'a', type: 'rect', x: 110, y: 110, width: 50, height: 20, parentId: 'frame-1' },
+        { id: 'b', type: 'rect', x: 0, y: 500, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+
+      expect(getAutoLayoutUpdates(shapes)).toEqual([
+        { id: 'b', x: 110, y: 135 },
+      ]);
+    });
+
+    it('skips frames with contents being edited', () => {
+      const shapes = [mockFrame, { id: 'a', type: 'rect', x: 0, y: 500, width: 50, height: 20, parentId: 'frame-1' }];
+
+      expect(getAutoLayoutUpdates(shapes, { excludeIds: ['a'] })).toEqual([]);
+      expect(getAutoLayoutUpdates(shapes, { excludeIds: ['other'] })).not.toEqual([]);
+    });
+  });
+
+  describe('getAutoLayoutReflowChanges', () => {
+    it('keeps the props the re-flow replaces for undo', () => {
+      const shapes = [
+        { ...mockFrame, width: 70, height: 65 },
+        { id: 'a', type: 'rect', x: 110, y: 110, width: 50, height: 20, parentId: 'frame-1' },
+        { id: 'b', type: 'rect', x: 0, y: 500, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+
+      expect(getAutoLayoutReflowChanges(shapes)).toEqual([
+        { id: 'b', oldState: { x: 0, y: 500 }, newState: { x: 110, y: 135 } },
+      ]);
+    });
+  });
+
+  describe('getAutoLayoutContentIds', () => {
+    it('lists what layouts position, without groups or connectors', () => {
+      const shapes = [
+        mockFrame,
+        { id: 'group-1', type: 'group', parentId: 'frame-1' },
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1', groupId: 'group-1' },
+        { id: 'line', type: 'line', parentId: 'frame-1', points: [0, 0, 1, 1], endBinding: { shapeId: 'a' } },
+        { id: 'out', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: null },
+      ];
+
+      expect([...getAutoLayoutContentIds(shapes)]).toEqual(['a']);
+    });
+  });
+
+  describe('getAutoLayoutUpdate', () => {
+    it('picks the direction children are spread along when turned on', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: undefined },
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+        { id: 'b', type: 'rect', x: 200, y: 0, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+
+      expect(getAutoLayoutUpdate(shapes, shapes[0], {}).autoLayout).toEqual({ ...DEFAULT_AUTO_LAYOUT, direction: 'horizontal' });
+    });
+
+    it('changes settings and turns the layout off', () => {
+      const shapes = [mockFrame];
+
+      expect(getAutoLayoutUpdate(shapes, shapes[0], { gap: 30 }).autoLayout).toMatchObject({ gap: 30, padding: 10 });
+      expect(getAutoLayoutUpdate(shapes, shapes[0], null)).toEqual({ autoLayout: null });
+    });
+  });
+
+  describe('getAutoLayoutChanges', () => {
+    it('includes the re-flow so undo restores it', () => {
+      const shapes = [
+        { ...mockFrame, autoLayout: null },
+        { id: 'a', type: 'rect', x: 110, y: 110, width: 50, height: 20, parentId: 'frame-1' },
+        { id: 'b', type: 'rect', x: 300, y: 300, width: 50, height: 20, parentId: 'frame-1' },
+      ];
+
+      const changes = getAutoLayoutChanges(shapes, shapes[0], { padding: 10, gap: 5 });
+
+      expect(changes[0].id).toBe('frame-1');
+      expect(changes[0].oldState).toEqual({ autoLayout: null, width: 400, height: 300 });
+      expect(changes[0].newState).toMatchObject({ width: 125, height: 40 });
+      expect(changes[0].newState.autoLayout).toMatchObject({ direction: 'horizontal', padding: 10, gap: 5 });
+      expect(changes.slice(1)).toEqual([
+        { id: 'b', oldState: { x: 300, y: 300 }, newState: { x: 165, y: 110 } },
+      ]);
+    });
+  });
+});
@@ -307,6 +307,24 @@ describe('calcVerticalPositions', () => {
 
     expect(result[1].y).toBe(650); // 100 + 50 + 500 (clamped to max 500)
   });
+
+  it('should allow a lower minimum spacing and custom sizes', () => {
+    const shapes = [
+      { id: 'a', size: { width: 10, height: 30 } },
+      { id: 'b', size: { width: 10, height: 45 } },
+      { id: 'c', size: { width: 10, height: 20 } },
+    ];
+
+    const result = calcVerticalPositions(shapes, {
+      originX: 0,
+      originY: 10,
+      spacing: 0,
+      minSpacing: 0,
+      getSize: shape => shape.size,
+    });
+
+    expect(result.map(shape => shape.y)).toEqual([10, 40, 85]);
+  });
 });
 
 describe('calcHorizontalPositions', () => {
@@ -361,6 +379,19 @@ describe('calcHorizontalPositions', () => {
     expect(result[1].y).toBe(200);
     expect(result[2].y).toBe(200);
   });
+
+  it('should measure shapes with a custom size function', () => {
+    const shapes = [{ id: 'a', w: 30 }, { id: 'b', w: 40 }];
+
+    const result = calcHorizontalPositions(shapes, {
+      originX: 0,
+      originY: 0,
+      spacing: 2, // below the default min (5)
+      getSize: shape => ({ width: shape.w, height: 10 }),
+    });
+
+    expect(result[1].x).toBe(35); // 0 + 30 + 5
+  });
 });
 
 describe('convertToShapeObjects', () => {
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for board list utilities
+ */
+
+import { getDuplicateBoardName, getBoardActivityTime, groupBoards, formatLastEdited } from '../boardList';
+
+describe('Board List Utilities', () => {
+  describe('getDuplicateBoardName', () => {
+    it('prefixes the source name', () => {
+      expect(getDuplicateBoardName('Roadmap')).toBe('Copy of Roadmap');
+    });
+
+    it('falls back for empty names', () => {
+      expect(getDuplicateBoardName('   ')).toBe('Copy of Untitled board');
+      expect(getDuplicateBoardName(undefined)).toBe('Copy of Untitled board');
+    });
+  });
+
+  describe('getBoardActivityTime', () => {
+    const board = { id: 'b1', createdAt: 100, updatedAt: 200 };
+
+    it('prefers the last shape edit', () => {
+      expect(getBoardActivityTime(board, { b1: 500 })).toBe(500);
+    });
+
+    it('falls back to metadata timestamps', () => {
+      expect(getBoardActivityTime(board)).toBe(200);
+      expect(getBoardActivityTime({ id: 'b2', createdAt: 100 })).toBe(100);
+      expect(getBoardActivityTime({ id: 'b3' })).toBe(0);
+    });
+  });
+
+  describe('groupBoards', () => {
+    const boards = [
+      { id: 'old-mine', ownerId: 'me', updatedAt: 100 },
+      { id: 'new-mine', ownerId: 'me', updatedAt: 300 },
+      { id: 'shared', ownerId: 'other', updatedAt: 200 },
+      { id: 'archived', ownerId: 'me', updatedAt: 400, archived: true },
+    ];
+
+    it('splits owned and shared boards sorted by recent activity', () => {
+      const { owned, shared } = groupBoards(boards, 'me');
+      expect(owned.map(b => b.id)).toEqual(['new-mine', 'old-mine']);
+      expect(shared.map(b => b.id)).toEqual(['shared']);
+    });
+
+    it('sorts by last shape edit when provided', () => {
+      const { owned } = groupBoards(boards, 'me', { lastEditedById: { 'old-mine': 1000 } });
+      expect(owned.map(b => b.id)).toEqual(['old-mine', 'new-mine']);
+    });
+
+    it('shows only archived boards when requested', () => {
+      const { owned, shared } = groupBoards(boards, 'me', { showArchived: true });
+      expect(owned.map(b => b.id)).toEqual(['archived']);
+      expect(shared).toEqual([]);
+    });
+
+    it('handles missing input', () => {
+      expect(groupBoards(undefined, 'me')).toEqual({ owned: [], shared: [] });
+    });
+  });
+
+  describe('formatLastEdited', () => {
+    const now = 1_700_000_000_000;
+
+    it('handles missing timestamps', () => {
+      expect(formatLastEdited(null, now)).toBe('Never edited');
+    });
+
+    it('formats recent times relatively', () => {
+      expect(formatLastEdited(now - 10 * 1000, now)).toBe('Just now');
+      expect(formatLastEdited(now - 5 * 60000, now)).toBe('5m ago');
+      expect(formatLastEdited(now - 3 * 3600000, now)).toBe('3h ago');
+      expect(formatLastEdited(now - 2 * 86400000, now)).toBe('2d ago');
+    });
+
+    it('formats older times as a date', () => {
+      const timestamp = now - 30 * 86400000;
+      expect(formatLastEdited(timestamp, now)).toBe(new Date(timestamp).toLocaleDateString());
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for board role utilities
+ */
+
+import {
+  BOARD_ROLES,
+  isValidRole,
+  getBoardRole,
+  canEditBoard,
+  canCommentOnBoard,
+  canViewBoard,
+} from '../boardRoles';
+
+describe('Board Role Utilities', () => {
+  describe('isValidRole', () => {
+    it('accepts known roles', () => {
+      Object.values(BOARD_ROLES).forEach(role => {
+        expect(isValidRole(role)).toBe(true);
+      });
+    });
+
+    it('rejects unknown values', () => {
+      expect(isValidRole('admin')).toBe(false);
+      expect(isValidRole(null)).toBe(false);
+      expect(isValidRole('toString')).toBe(false);
+    });
+  });
+
+  describe('getBoardRole', () => {
+    const board = {
+      ownerId: 'owner-1',
+      roles: { 'owner-1': 'owner', 'user-2': 'commenter', 'user-3': 'bogus' },
+    };
+
+    it('returns the owner role for the owner', () => {
+      expect(getBoardRole(board, 'owner-1')).toBe(BOARD_ROLES.OWNER);
+      expect(getBoardRole({ ownerId: 'owner-1' }, 'owner-1')).toBe(BOARD_ROLES.OWNER);
+    });
+
+    it('returns member roles from the roles map', () => {
+      expect(getBoardRole(board, 'user-2')).toBe(BOARD_ROLES.COMMENTER);
+    });
+
+    it('returns null for non-members and invalid roles', () => {
+      expect(getBoardRole(board, 'stranger')).toBeNull();
+      expect(getBoardRole(board, 'user-3')).toBeNull();
+      expect(getBoardRole(null, 'owner-1')).toBeNull();
+      expect(getBoardRole(board, null)).toBeNull();
+    });
+  });
+
+  describe('permissions', () => {
+    it('lets owners and editors edit', () => {
+      expect(canEditBoard(BOARD_ROLES.OWNER)).toBe(true);
+      expect(canEditBoard(BOARD_ROLES.EDITOR)).toBe(true);
+      expect(canEditBoard(BOARD_ROLES.COMMENTER)).toBe(false);
+      expect(canEditBoard(BOARD_ROLES.VIEWER)).toBe(false);
+      expect(canEditBoard(null)).toBe(false);
+    });
+
+    it('lets commenters and above comment', () => {
+      expect(canCommentOnBoard(BOARD_ROLES.EDITOR)).toBe(true);
+      expect(canCommentOnBoard(BOARD_ROLES.COMMENTER)).toBe(true);
+      expect(canCommentOnBoard(BOARD_ROLES.VIEWER)).toBe(false);
+    });
+
+    it('lets any member view', () => {
+      expect(canViewBoard(BOARD_ROLES.VIEWER)).toBe(true);
+      expect(canViewBoard(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for board routing utilities
+ */
+
+import {
+  DEFAULT_BOARD_ID,
+  isValidBoardId,
+  parseBoardPath,
+  buildBoardPath,
+  parsePublicViewPath,
+  buildPublicViewPath,
+  generateBoardId,
+  getRecentBoards,
+  addRecentBoard,
+} from '../boardRoutes';
+
+describe('Board Routing Utilities', () => {
+  describe('isValidBoardId', () => {
+    it('accepts letters, numbers, dashes and underscores', () => {
+      expect(isValidBoardId('default')).toBe(true);
+      expect(isValidBoardId('Team_Roadmap-2024')).toBe(true);
+    });
+
+    it('rejects empty, oversized or unsafe IDs', () => {
+      expect(isValidBoardId('')).toBe(false);
+      expect(isValidBoardId('a'.repeat(65))).toBe(false);
+      expect(isValidBoardId('has space')).toBe(false);
+      expect(isValidBoardId('a/b')).toBe(false);
+      expect(isValidBoardId('a.b')).toBe(false);
+      expect(isValidBoardId(null)).toBe(false);
+    });
+  });
+
+  describe('parseBoardPath', () => {
+    it('extracts the board ID from a board path', () => {
+      expect(parseBoardPath('/board/team-roadmap')).toBe('team-roadmap');
+    });
+
+    it('ignores trailing segments', () => {
+      expect(parseBoardPath('/board/abc/extra')).toBe('abc');
+    });
+
+    it('returns null for non-board paths', () => {
+      expect(parseBoardPath('/')).toBeNull();
+      expect(parseBoardPath('/settings')).toBeNull();
+      expect(parseBoardPath('/board/')).toBeNull();
+    });
+
+    it('returns null for invalid or malformed IDs', () => {
+      expect(parseBoardPath('/board/a%20b')).toBeNull();
+      expect(parseBoardPath('/board/%E0%A4%A')).toBeNull();
+    });
+  });
+
+  describe('buildBoardPath', () => {
+    it('builds a board path', () => {
+      expect(buildBoardPath(DEFAULT_BOARD_ID)).toBe('/board/default');
+    });
+
+    it('round-trips through parseBoardPath', () => {
+      expect(parseBoardPath(buildBoardPath('my_board-1'))).toBe('my_board-1');
+    });
+
+    it('throws on invalid IDs', () => {
+      expect(() => buildBoardPath('bad id')).toThrow('Invalid board ID');
+    });
+  });
+
+  describe('public view paths', () => {
+    it('builds and parses public view paths', () => {
+      expect(buildPublicViewPath('team-roadmap')).toBe('/view/team-roadmap');
+      expect(parsePublicViewPath('/view/team-roadmap')).toBe('team-roadmap');
+    });
+
+    it('does not confuse board and public view paths', () => {
+      expect(parsePublicViewPath('/board/team-roadmap')).toBeNull();
+      expect(parseBoardPath('/view/team-roadmap')).toBeNull();
+    });
+
+    it('rejects invalid IDs', () => {
+      expect(parsePublicViewPath('/view/bad%20id')).toBeNull();
+      expect(() => buildPublicViewPath('bad id')).toThrow('Invalid board ID');
+    });
+  });
+
+  describe('generateBoardId', () => {
+    it('generates valid 12-character IDs', () => {
+      const id = generateBoardId();
+      expect(id).toHaveLength(12);
+      expect(isValidBoardId(id)).toBe(true);
+    });
+
+    it('generates different IDs', () => {
+      expect(generateBoardId()).not.toBe(generateBoardId());
+    });
+  });
+
+  describe('recent boards', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('returns an empty list when nothing is stored', () => {
+      expect(getRecentBoards()).toEqual([]);
+    });
+
+    it('keeps the most recent board first without duplicates', () => {
+      addRecentBoard('a');
+      addRecentBoard('b');
+      addRecentBoard('a');
+      expect(getRecentBoards()).toEqual(['a', 'b']);
+    });
+
+    it('caps the list at 10 boards', () => {
+      for (let i = 0; i < 12; i++) {
+        addRecentBoard(`board-${i}`);
+      }
+      const recent = getRecentBoards();
+      expect(recent).toHaveLength(10);
+      expect(recent[0]).toBe('board-11');
+    });
+
+    it('ignores invalid IDs', () => {
+      addRecentBoard('bad id');
+      expect(getRecentBoards()).toEqual([]);
+    });
+
+    it('recovers from corrupted storage', () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      localStorage.setItem('recentBoards', '{not json');
+      expect(getRecentBoards()).toEqual([]);
+      consoleSpy.mockRestore();
+    });
+  });
+});
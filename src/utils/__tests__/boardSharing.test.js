@@ -0,0 +1,132 @@
+/**
+ * Unit tests for board sharing utilities
+ */
+
+import {
+  normalizeEmail,
+  isValidEmail,
+  isShareableRole,
+  generateShareToken,
+  isValidShareToken,
+  readShareToken,
+  buildShareUrl,
+  getShareLinkExpiry,
+  isShareLinkExpired,
+  formatShareLinkExpiry,
+  getBoardMembers,
+  isBoardMemberEmail,
+} from '../boardSharing';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('Board Sharing Utilities', () => {
+  describe('emails', () => {
+    it('trims and lower-cases emails', () => {
+      expect(normalizeEmail('  Ada@Example.COM ')).toBe('ada@example.com');
+      expect(normalizeEmail(null)).toBe('');
+    });
+
+    it('validates email shape', () => {
+      expect(isValidEmail('ada@example.com')).toBe(true);
+      expect(isValidEmail(' Ada@Example.com ')).toBe(true);
+      expect(isValidEmail('ada@example')).toBe(false);
+      expect(isValidEmail('ada example.com')).toBe(false);
+      expect(isValidEmail('')).toBe(false);
+    });
+  });
+
+  describe('isShareableRole', () => {
+    it('allows every role except owner', () => {
+      expect(isShareableRole('editor')).toBe(true);
+      expect(isShareableRole('commenter')).toBe(true);
+      expect(isShareableRole('viewer')).toBe(true);
+      expect(isShareableRole('owner')).toBe(false);
+      expect(isShareableRole('admin')).toBe(false);
+    });
+  });
+
+  describe('share tokens', () => {
+    it('generates valid, distinct tokens', () => {
+      const a = generateShareToken();
+      const b = generateShareToken();
+      expect(isValidShareToken(a)).toBe(true);
+      expect(a).toHaveLength(32);
+      expect(a).not.toBe(b);
+    });
+
+    it('rejects malformed tokens', () => {
+      expect(isValidShareToken('short')).toBe(false);
+      expect(isValidShareToken('a'.repeat(20) + '/')).toBe(false);
+      expect(isValidShareToken(undefined)).toBe(false);
+    });
+
+    it('reads the token from a query string', () => {
+      const token = 'a'.repeat(32);
+      expect(readShareToken(`?share=${token}`)).toBe(token);
+      expect(readShareToken(`?foo=1&share=${token}`)).toBe(token);
+      expect(readShareToken('?share=bad')).toBeNull();
+      expect(readShareToken('')).toBeNull();
+    });
+
+    it('builds a redeemable URL', () => {
+      const token = 'b'.repeat(32);
+      const url = buildShareUrl('team-board', token, 'https://example.com');
+      expect(url).toBe(`https://example.com/board/team-board?share=${token}`);
+      expect(readShareToken(new URL(url).search)).toBe(token);
+    });
+  });
+
+  describe('expiry', () => {
+    const now = 1_000_000_000_000;
+
+    it('computes expiry from a lifetime', () => {
+      expect(getShareLinkExpiry(DAY, now)).toBe(now + DAY);
+      expect(getShareLinkExpiry(null, now)).toBeNull();
+    });
+
+    it('detects expired links', () => {
+      expect(isShareLinkExpired({ expiresAt: now - 1 }, now)).toBe(true);
+      expect(isShareLinkExpired({ expiresAt: now }, now)).toBe(true);
+      expect(isShareLinkExpired({ expiresAt: now + 1 }, now)).toBe(false);
+      expect(isShareLinkExpired({ expiresAt: null }, now)).toBe(false);
+    });
+
+    it('describes expiry', () => {
+      expect(formatShareLinkExpiry(null, now)).toBe('Never expires');
+      expect(formatShareLinkExpiry(now - 1, now)).toBe('Expired');
+      expect(formatShareLinkExpiry(now + 90 * 60 * 1000, now)).toBe('Expires in 2h');
+      expect(formatShareLinkExpiry(now + 7 * DAY, now)).toBe('Expires in 7d');
+    });
+  });
+
+  describe('getBoardMembers', () => {
+    const board = {
+      ownerId: 'owner',
+      roles: { zed: 'viewer', owner: 'owner', amy: 'editor', ghost: 'admin' },
+      memberProfiles: {
+        owner: { name: 'Olive', email: 'olive@example.com' },
+        amy: { name: 'Amy', email: 'amy@example.com' },
+        zed: { name: 'Zed', email: 'Zed@Example.com' },
+      },
+    };
+
+    it('lists valid members owner first, then by name', () => {
+      expect(getBoardMembers(board).map(m => m.userId)).toEqual(['owner', 'amy', 'zed']);
+    });
+
+    it('falls back when a profile is missing', () => {
+      const [member] = getBoardMembers({ ownerId: 'o', roles: { o: 'owner' } });
+      expect(member).toEqual({ userId: 'o', role: 'owner', name: 'Unknown user', email: null });
+    });
+
+    it('handles missing boards', () => {
+      expect(getBoardMembers(null)).toEqual([]);
+    });
+
+    it('matches member emails case-insensitively', () => {
+      expect(isBoardMemberEmail(board, 'zed@example.com')).toBe(true);
+      expect(isBoardMemberEmail(board, 'new@example.com')).toBe(false);
+    });
+  });
+});
@@ -9,6 +9,9 @@ import {
   constrainScale,
   calculateNewScale,
   calculateZoomPosition,
+  FOCUS_PADDING,
+  calculateViewportForBounds,
+  interpolateViewport,
 } from '../canvas';
 
 describe('Canvas Utilities', () => {
@@ -157,5 +160,42 @@ describe('Canvas Utilities', () => {
       expect(newPosition.y).toBe(-175);
     });
   });
-});
 
+  describe('calculateViewportForBounds', () => {
+    const stageSize = { width: 1000, height: 800 };
+
+    it('should center bounds at the current zoom when they fit', () => {
+      const viewport = calculateViewportForBounds({ x: 100, y: 100, width: 200, height: 100 }, stageSize, 1.5);
+      expect(viewport.scale).toBe(1.5);
+      expect(viewport.position).toEqual({ x: 500 - 200 * 1.5, y: 400 - 150 * 1.5 });
+    });
+
+    it('should zoom out so large bounds fit with padding', () => {
+      const viewport = calculateViewportForBounds({ x: 0, y: 0, width: 2000, height: 500 }, stageSize, 1);
+      expect(viewport.scale).toBeCloseTo((1000 - FOCUS_PADDING * 2) / 2000);
+    });
+
+    it('should not zoom out past the minimum scale', () => {
+      const viewport = calculateViewportForBounds({ x: 0, y: 0, width: 100000, height: 100 }, stageSize, 1);
+      expect(viewport.scale).toBe(MIN_SCALE);
+    });
+  });
+
+  describe('interpolateViewport', () => {
+    const stageSize = { width: 1000, height: 800 };
+    const from = { scale: 1, position: { x: 0, y: 0 } };
+    const to = { scale: 2, position: { x: -500, y: -400 } };
+
+    it('should start and end at the given viewports', () => {
+      expect(interpolateViewport(from, to, 0, stageSize)).toEqual(from);
+      expect(interpolateViewport(from, to, 1, stageSize)).toEqual(to);
+      expect(interpolateViewport(from, to, 2, stageSize)).toEqual(to);
+    });
+
+    it('should ease the zoom in between', () => {
+      const halfway = interpolateViewport(from, to, 0.5, stageSize);
+      expect(halfway.scale).toBeCloseTo(1.5);
+      expect(interpolateViewport(from, to, 0.25, stageSize).scale).toBeLessThan(1.25);
+    });
+  });
+});
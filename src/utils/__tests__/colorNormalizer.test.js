@@ -2,7 +2,16 @@
  * Tests for colorNormalizer utility
  */
 
-import { isValidColor, toHex, normalizeColor, normalizeColorSafe } from '../colorNormalizer';
+import {
+  isValidColor,
+  toHex,
+  normalizeColor,
+  normalizeColorSafe,
+  normalizeGradient,
+  normalizeGradientSafe,
+  getGradientColorWeights,
+  getPredominantColor,
+} from '../colorNormalizer';
 
 describe('colorNormalizer', () => {
   describe('isValidColor', () => {
@@ -229,5 +238,90 @@ describe('colorNormalizer', () => {
       expect(normalizeColorSafe('rgb(255, 0, 0)')).toEqual({ ok: true, hex: '#ff0000' });
     });
   });
-});
 
+  describe('normalizeGradient', () => {
+    test('converts stop colors to hex and sorts stops', () => {
+      const { gradient } = normalizeGradient({
+        type: 'linear',
+        angle: -90,
+        stops: [{ offset: 1, color: 'blue' }, { offset: 0, color: '#F00' }],
+      });
+      expect(gradient).toEqual({
+        type: 'linear',
+        angle: 270,
+        stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }],
+      });
+    });
+
+    test('clamps offsets and drops the angle of radial gradients', () => {
+      const { gradient } = normalizeGradient({
+        type: 'radial',
+        angle: 45,
+        stops: [{ offset: -1, color: 'red' }, { offset: 2, color: 'blue' }],
+      });
+      expect(gradient).toEqual({
+        type: 'radial',
+        stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }],
+      });
+    });
+
+    test('throws on unknown types, too few stops and invalid colors', () => {
+      const stops = [{ offset: 0, color: 'red' }, { offset: 1, color: 'blue' }];
+      expect(() => normalizeGradient({ type: 'conic', stops })).toThrow('Invalid gradient type');
+      expect(() => normalizeGradient({ type: 'linear', stops: stops.slice(1) })).toThrow('at least two');
+      expect(() => normalizeGradient({ type: 'linear', stops: [...stops, { offset: 1, color: 'blurple' }] }))
+        .toThrow('Invalid color format');
+    });
+
+    test('safe variant returns an error object', () => {
+      expect(normalizeGradientSafe(null)).toEqual({ ok: false, error: expect.any(String) });
+    });
+  });
+
+  describe('getGradientColorWeights', () => {
+    test('gives each stop the span halfway to its neighbours', () => {
+      const weights = getGradientColorWeights({
+        type: 'linear',
+        stops: [
+          { offset: 0, color: '#ff0000' },
+          { offset: 0.5, color: '#00ff00' },
+          { offset: 1, color: '#0000ff' },
+        ],
+      });
+      expect(weights).toEqual([
+        { color: '#ff0000', weight: 0.25 },
+        { color: '#00ff00', weight: 0.5 },
+        { color: '#0000ff', weight: 0.25 },
+      ]);
+    });
+
+    test('weights radial gradients by ring area and merges repeated colors', () => {
+      const weights = getGradientColorWeights({
+        type: 'radial',
+        stops: [
+          { offset: 0, color: 'red' },
+          { offset: 0.4, color: 'red' },
+          { offset: 1, color: 'blue' },
+        ],
+      });
+      expect(weights).toHaveLength(2);
+      expect(weights[0].color).toBe('#ff0000');
+      expect(weights[0].weight).toBeCloseTo(0.49);
+      expect(weights[1].weight).toBeCloseTo(0.51);
+    });
+
+    test('is empty for invalid gradients', () => {
+      expect(getGradientColorWeights({ type: 'linear', stops: [] })).toEqual([]);
+    });
+  });
+
+  describe('getPredominantColor', () => {
+    test('returns the color covering most of the gradient', () => {
+      expect(getPredominantColor({
+        type: 'linear',
+        stops: [{ offset: 0, color: 'red' }, { offset: 0.8, color: 'blue' }, { offset: 1, color: 'blue' }],
+      })).toBe('#0000ff');
+      expect(getPredominantColor(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for component (symbol) helpers
+ */
+
+import {
+  isComponent,
+  isInstance,
+  getComponentContents,
+  getInstanceMembers,
+  getInstanceScale,
+  placeInstanceMember,
+  createComponent,
+  createInstance,
+  setInstanceOverride,
+} from '../components';
+
+describe('components utilities', () => {
+  // A button: background rect with a label on top
+  const board = [
+    { id: 'button', type: 'group', name: 'Button', isComponent: true, zIndex: 3 },
+    { id: 'rect-1', type: 'rect', x: 100, y: 100, width: 100, height: 40, fill: '#3B82F6', groupId: 'button', zIndex: 2 },
+    { id: 'label', type: 'text', text: 'OK', x: 120, y: 110, width: 60, fontSize: 16, groupId: 'button', zIndex: 3 },
+    { id: 'plain-group', type: 'group', zIndex: 1 },
+    { id: 'instance-1', type: 'instance', componentId: 'button', x: 500, y: 0, width: 200, height: 80, overrides: { label: { text: 'Cancel' } } },
+  ];
+
+  it('identifies components and instances', () => {
+    expect(isComponent(board[0])).toBe(true);
+    expect(isComponent(board[3])).toBe(false);
+    expect(isComponent({ ...board[1], isComponent: true })).toBe(false);
+    expect(isInstance(board[4])).toBe(true);
+    expect(isInstance(board[1])).toBe(false);
+  });
+
+  describe('getComponentContents', () => {
+    it('collects each component\'s bounds and members in stacking order', () => {
+      const contents = getComponentContents(board);
+      expect(Object.keys(contents)).toEqual(['button']);
+      expect(contents.button.bounds).toEqual({ x: 100, y: 100, width: 100, height: 40 });
+      expect(contents.button.shapes.map(shape => shape.id)).toEqual(['rect-1', 'label']);
+    });
+
+    it('never draws an instance inside a component', () => {
+      const shapes = [...board, { ...board[4], id: 'nested', groupId: 'button' }];
+      expect(getComponentContents(shapes).button.shapes.map(shape => shape.id)).toEqual(['rect-1', 'label']);
+    });
+  });
+
+  it('applies an instance\'s overrides to the master\'s members', () => {
+    const content = getComponentContents(board).button;
+    const members = getInstanceMembers(board[4], content);
+    expect(members.find(m => m.id === 'label').text).toBe('Cancel');
+    expect(members.find(m => m.id === 'rect-1').fill).toBe('#3B82F6');
+    expect(getInstanceMembers(board[4], undefined)).toEqual([]);
+  });
+
+  it('scales and places members at the instance', () => {
+    const content = getComponentContents(board).button;
+    expect(getInstanceScale(board[4], content)).toEqual({ scaleX: 2, scaleY: 2 });
+
+    const label = placeInstanceMember(board[4], content, content.shapes[1]);
+    expect(label).toEqual(expect.objectContaining({ x: 540, y: 20, fontSize: 32 }));
+  });
+
+  it('creates components as flagged groups and instances the size of the master', () => {
+    const component = createComponent([
+      { id: 'rect-1', type: 'rect', x: 100, y: 100, width: 100, height: 40, zIndex: 2 },
+      { id: 'rect-2', type: 'rect', x: 100, y: 100, width: 100, height: 40, zIndex: 9 },
+    ]);
+    expect(component).toEqual(expect.objectContaining({ type: 'group', isComponent: true, name: 'Component', zIndex: 9 }));
+
+    const instance = createInstance(board[0], getComponentContents(board).button, 10, 20);
+    expect(instance).toEqual(expect.objectContaining({
+      type: 'instance',
+      componentId: 'button',
+      name: 'Button',
+      x: 10,
+      y: 20,
+      width: 100,
+      height: 40,
+      overrides: {},
+    }));
+  });
+
+  describe('setInstanceOverride', () => {
+    const master = board[1];
+
+    it('overrides fill and text only', () => {
+      const overrides = setInstanceOverride(board[4], master, { fill: 'red', x: 5 });
+      expect(overrides).toEqual({ label: { text: 'Cancel' }, 'rect-1': { fill: 'red' } });
+    });
+
+    it('drops an override set back to the master\'s value', () => {
+      const instance = { ...board[4], overrides: { 'rect-1': { fill: 'red' } } };
+      expect(setInstanceOverride(instance, master, { fill: '#3B82F6' })).toEqual({});
+    });
+
+    it('overrides a gradient fill and drops clearing one the master never had', () => {
+      const fillGradient = { type: 'radial', stops: [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#0000ff' }] };
+      const instance = { ...board[4], overrides: {} };
+      const overrides = setInstanceOverride(instance, master, { fill: '#0000ff', fillGradient });
+      expect(overrides['rect-1']).toEqual({ fill: '#0000ff', fillGradient });
+
+      const cleared = setInstanceOverride({ ...instance, overrides }, master, { fill: '#3B82F6', fillGradient: null });
+      expect(cleared).toEqual({});
+    });
+  });
+});
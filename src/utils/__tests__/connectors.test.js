@@ -0,0 +1,256 @@
+/**
+ * Unit tests for connector binding and routing
+ */
+
+import {
+  ANCHORS,
+  isConnector,
+  getShapeCenterPoint,
+  getSideAnchorPoint,
+  getAnchorPoint,
+  resolveConnectorGeometry,
+  routeConnectors,
+  getBoundShapeIds,
+  findBindingTarget,
+  getConnectorDetachUpdates,
+  getConnectorRouteUpdates,
+  copyShapesWithBindings,
+} from '../connectors';
+
+describe('connectors utilities', () => {
+  const mockRect = { id: 'rect-1', type: 'rect', x: 0, y: 0, width: 100, height: 50, zIndex: 0 };
+  const mockCircle = { id: 'circle-1', type: 'circle', x: 300, y: 25, radius: 25, zIndex: 1 };
+  const mockArrow = {
+    id: 'arrow-1',
+    type: 'arrow',
+    x: 0,
+    y: 0,
+    points: [0, 0, 10, 10],
+    startBinding: { shapeId: 'rect-1', anchor: ANCHORS.RIGHT },
+    endBinding: { shapeId: 'circle-1', anchor: ANCHORS.LEFT },
+    zIndex: 2,
+  };
+
+  describe('isConnector', () => {
+    it('requires a line or arrow with a binding', () => {
+      expect(isConnector(mockArrow)).toBe(true);
+      expect(isConnector({ ...mockArrow, startBinding: null, endBinding: null })).toBe(false);
+      expect(isConnector({ ...mockRect, startBinding: { shapeId: 'x' } })).toBe(false);
+    });
+  });
+
+  describe('anchor points', () => {
+    it('places side anchors at the middle of each side', () => {
+      expect(getSideAnchorPoint(mockRect, ANCHORS.TOP)).toEqual({ x: 50, y: 0 });
+      expect(getSideAnchorPoint(mockRect, ANCHORS.RIGHT)).toEqual({ x: 100, y: 25 });
+      expect(getSideAnchorPoint(mockCircle, ANCHORS.LEFT)).toEqual({ x: 275, y: 25 });
+    });
+
+    it('follows rotation around the top-left origin', () => {
+      const point = getSideAnchorPoint({ ...mockRect, rotation: 90 }, ANCHORS.RIGHT);
+      expect(point.x).toBeCloseTo(-25);
+      expect(point.y).toBeCloseTo(100);
+    });
+
+    it('uses the center of circles', () => {
+      expect(getShapeCenterPoint(mockCircle)).toEqual({ x: 300, y: 25 });
+      expect(getShapeCenterPoint(mockRect)).toEqual({ x: 50, y: 25 });
+    });
+
+    it('picks the side facing the target for auto anchors', () => {
+      expect(getAnchorPoint(mockRect, ANCHORS.AUTO, { x: 50, y: 500 })).toEqual({ x: 50, y: 50 });
+      expect(getAnchorPoint(mockRect, ANCHORS.AUTO, { x: -200, y: 25 })).toEqual({ x: 0, y: 25 });
+    });
+  });
+
+  describe('resolveConnectorGeometry', () => {
+    it('routes between the bound anchors', () => {
+      const shapesById = new Map([['rect-1', mockRect], ['circle-1', mockCircle]]);
+      expect(resolveConnectorGeometry(mockArrow, shapesById)).toEqual({
+        x: 100,
+        y: 25,
+        points: [0, 0, 175, 0],
+        rotation: 0,
+      });
+    });
+
+    it('keeps unbound ends where they are stored', () => {
+      const shapesById = new Map([['rect-1', mockRect]]);
+      const geometry = resolveConnectorGeometry(
+        { ...mockArrow, x: 400, y: 400, points: [0, 0, 50, 0], endBinding: null },
+        shapesById
+      );
+      expect(geometry).toEqual({ x: 100, y: 25, points: [0, 0, 350, 375], rotation: 0 });
+    });
+
+    it('treats bindings to missing shapes as free ends', () => {
+      const geometry = resolveConnectorGeometry({ ...mockArrow, x: 5, y: 5 }, new Map());
+      expect(geometry).toEqual({ x: 5, y: 5, points: [0, 0, 10, 10], rotation: 0 });
+    });
+  });
+
+  describe('routeConnectors', () => {
+    it('returns the same array when there are no connectors', () => {
+      const shapes = [mockRect, mockCircle];
+      expect(routeConnectors(shapes)).toBe(shapes);
+    });
+
+    it('keeps connectors that are already routed', () => {
+      const routed = { ...mockArrow, x: 100, y: 25, points: [0, 0, 175, 0] };
+      const [, , result] = routeConnectors([mockRect, mockCircle, routed]);
+      expect(result).toBe(routed);
+    });
+
+    it('re-routes when a bound shape moves', () => {
+      const shapes = [{ ...mockRect, y: 100 }, mockCircle, mockArrow];
+      const result = routeConnectors(shapes);
+      expect(result[2]).toMatchObject({ x: 100, y: 125, points: [0, 0, 175, -100] });
+      expect(result[0]).toBe(shapes[0]);
+    });
+
+    it('uses in-progress overrides for bound shapes', () => {
+      const result = routeConnectors([mockRect, mockCircle, mockArrow], {
+        'circle-1': { x: 400 },
+      });
+      expect(result[2]).toMatchObject({ x: 100, y: 25, points: [0, 0, 275, 0] });
+    });
+  });
+
+  describe('getBoundShapeIds', () => {
+    it('collects both ends of every connector', () => {
+      const ids = getBoundShapeIds([mockRect, mockCircle, mockArrow]);
+      expect([...ids].sort()).toEqual(['circle-1', 'rect-1']);
+    });
+  });
+
+  describe('findBindingTarget', () => {
+    const shapes = [mockRect, mockCircle, mockArrow];
+
+    it('snaps to a nearby side anchor', () => {
+      expect(findBindingTarget(shapes, { x: 95, y: 30 }))
+        .toEqual({ shapeId: 'rect-1', anchor: ANCHORS.RIGHT });
+    });
+
+    it('binds with an auto anchor anywhere inside a shape', () => {
+      expect(findBindingTarget(shapes, { x: 40, y: 20 }))
+        .toEqual({ shapeId: 'rect-1', anchor: ANCHORS.AUTO });
+    });
+
+    it('skips excluded shapes, lines and empty space', () => {
+      expect(findBindingTarget(shapes, { x: 40, y: 20 }, { excludeIds: ['rect-1'] })).toBeNull();
+      expect(findBindingTarget(shapes, { x: 600, y: 600 })).toBeNull();
+    });
+
+    it('prefers the topmost shape', () => {
+      const overlapping = [mockRect, { ...mockRect, id: 'rect-2', zIndex: 5 }];
+      expect(findBindingTarget(overlapping, { x: 40, y: 20 }).shapeId).toBe('rect-2');
+    });
+  });
+
+  describe('getConnectorDetachUpdates', () => {
+    it('freezes the connector and clears bindings to removed shapes', () => {
+      const updates = getConnectorDetachUpdates([mockRect, mockCircle, mockArrow], ['circle-1']);
+      expect(updates).toEqual([{
+        id: 'arrow-1',
+        oldState: {
+          x: 0,
+          y: 0,
+          points: [0, 0, 10, 10],
+          rotation: 0,
+          endBinding: { shapeId: 'circle-1', anchor: ANCHORS.LEFT },
+        },
+        newState: {
+          x: 100,
+          y: 25,
+          points: [0, 0, 175, 0],
+          rotation: 0,
+          endBinding: null,
+        },
+      }]);
+    });
+
+    it('ignores connectors that are themselves removed', () => {
+      expect(getConnectorDetachUpdates([mockRect, mockCircle, mockArrow], ['rect-1', 'arrow-1']))
+        .toEqual([]);
+    });
+  });
+
+  describe('getConnectorRouteUpdates', () => {
+    it('saves where connectors bound to a moved shape are drawn', () => {
+      const movedCircle = { ...mockCircle, y: 125 };
+      const updates = getConnectorRouteUpdates([mockRect, movedCircle, mockArrow], ['circle-1']);
+      expect(updates).toEqual([{
+        id: 'arrow-1',
+        oldState: { x: 0, y: 0, points: [0, 0, 10, 10], rotation: 0 },
+        newState: { x: 100, y: 25, points: [0, 0, 175, 100], rotation: 0 },
+      }]);
+    });
+
+    it('leaves connectors alone when none of their shapes changed', () => {
+      expect(getConnectorRouteUpdates([mockRect, mockCircle, mockArrow], ['other'])).toEqual([]);
+    });
+
+    it('skips connectors already stored where they are drawn', () => {
+      const [routed] = getConnectorRouteUpdates([mockRect, mockCircle, mockArrow], ['arrow-1']);
+      const stored = { ...mockArrow, ...routed.newState };
+      expect(getConnectorRouteUpdates([mockRect, mockCircle, stored], ['rect-1'])).toEqual([]);
+    });
+  });
+
+  describe('copyShapesWithBindings', () => {
+    const createId = (() => {
+      let next = 0;
+      return () => `copy-${++next}`;
+    })();
+
+    it('remaps bindings within the copied set and drops the rest', () => {
+      const copies = copyShapesWithBindings([mockRect, mockArrow], { createId });
+      expect(copies[0]).toMatchObject({ id: 'copy-1', x: 20, y: 20 });
+      expect(copies[1].startBinding).toEqual({ shapeId: 'copy-1', anchor: ANCHORS.RIGHT });
+      expect(copies[1].endBinding).toBeNull();
+    });
+
+    it('keeps copies inside a copied frame', () => {
+      const frame = { id: 'frame-1', type: 'frame', x: 0, y: 0, width: 100, height: 50 };
+      const child = { id: 'circle-1', type: 'circle', x: 30, y: 25, radius: 10, parentId: 'frame-1' };
+      const other = { id: 'rect-2', type: 'rect', x: 0, y: 0, width: 10, height: 10, parentId: 'frame-2' };
+
+      const copies = copyShapesWithBindings([frame, child, other], { createId });
+      expect(copies[1].parentId).toBe(copies[0].id);
+      expect(copies[2].parentId).toBe('frame-2');
+    });
+
+    it('points instances copied with their component at the copied component', () => {
+      const component = { id: 'component-1', type: 'group', isComponent: true };
+      const member = { ...mockRect, groupId: 'component-1' };
+      const instance = {
+        id: 'instance-1',
+        type: 'instance',
+        componentId: 'component-1',
+        x: 200,
+        y: 0,
+        width: 100,
+        height: 50,
+        overrides: { 'rect-1': { fill: 'red' } },
+      };
+      const loose = { id: 'instance-2', type: 'instance', componentId: 'component-1', x: 0, y: 0, overrides: {} };
+
+      const copies = copyShapesWithBindings([component, member, instance], { createId });
+      expect(copies[2].componentId).toBe(copies[0].id);
+      expect(copies[2].overrides).toEqual({ [copies[1].id]: { fill: 'red' } });
+      expect(copyShapesWithBindings([loose], { createId })[0].componentId).toBe('component-1');
+    });
+
+    it('keeps copies inside a copied group, which has no position to offset', () => {
+      const group = { id: 'group-1', type: 'group', groupId: null };
+      const member = { ...mockRect, groupId: 'group-1' };
+      const other = { ...mockCircle, groupId: 'group-2' };
+
+      const copies = copyShapesWithBindings([group, member, other], { createId });
+      expect(copies[0]).not.toHaveProperty('x');
+      expect(copies[1].groupId).toBe(copies[0].id);
+      expect(copies[1].x).toBe(member.x + 20);
+      expect(copies[2].groupId).toBe('group-2');
+    });
+  });
+});
@@ -2,7 +2,7 @@
  * Export Canvas Unit Tests
  */
 
-import { exportCanvasToPNG, exportCanvasToSVG } from '../exportCanvas';
+import { exportCanvasToPNG, exportCanvasToSVG, exportFrameToPNG } from '../exportCanvas';
 
 describe('exportCanvas', () => {
   let mockStageRef;
@@ -129,6 +129,21 @@ describe('exportCanvas', () => {
       expect(result).toContain('<image');
     });
 
+    it('should write vector shapes instead of an image when asked', async () => {
+      mockStage.findOne = jest.fn().mockReturnValue({
+        getChildren: () => [],
+        getClientRect: () => ({ x: 0, y: 0, width: 0, height: 0 }),
+      });
+
+      const result = await exportCanvasToSVG(mockStageRef, undefined, { vector: true });
+
+      expect(mockStage.findOne).toHaveBeenCalledWith('.shapes-layer');
+      expect(mockStage.toDataURL).not.toHaveBeenCalled();
+      expect(result).toContain('<svg');
+      expect(result).not.toContain('<image');
+      expect(clickSpy).toHaveBeenCalled();
+    });
+
     it('should use custom filename if provided', async () => {
       const mockAnchor = { download: '', href: '', click: clickSpy };
       createElementSpy.mockReturnValue(mockAnchor);
@@ -166,5 +181,54 @@ describe('exportCanvas', () => {
       expect(result).toContain('height="1200"');
     });
   });
+
+  describe('exportFrameToPNG', () => {
+    const frame = { id: 'frame-1', type: 'frame', name: 'Mobile', clipContent: true };
+    let contentNode;
+    let frameNode;
+
+    beforeEach(() => {
+      contentNode = {
+        toDataURL: jest.fn().mockReturnValue('data:image/png;base64,frame'),
+        getClientRect: jest.fn().mockReturnValue({ x: 0, y: 0, width: 900, height: 700 }),
+      };
+      frameNode = {
+        getClientRect: jest.fn().mockReturnValue({ x: 10, y: 20, width: 400, height: 300 }),
+      };
+      mockStage.scaleX.mockReturnValue(2);
+      mockStage.findOne = jest.fn(selector => (
+        selector === '#frame-content-frame-1' ? contentNode : selector === '#frame-1' ? frameNode : undefined
+      ));
+    });
+
+    it('exports the frame bounds at 2x canvas resolution', async () => {
+      const result = await exportFrameToPNG(mockStageRef, frame);
+
+      expect(contentNode.toDataURL).toHaveBeenCalledWith({
+        x: 10,
+        y: 20,
+        width: 400,
+        height: 300,
+        pixelRatio: 1,
+        mimeType: 'image/png',
+      });
+      expect(result).toBe('data:image/png;base64,frame');
+    });
+
+    it('includes overflowing contents when the frame does not clip', async () => {
+      await exportFrameToPNG(mockStageRef, { ...frame, clipContent: false }, 'mobile.png');
+
+      expect(contentNode.toDataURL).toHaveBeenCalledWith(expect.objectContaining({ width: 900, height: 700 }));
+    });
+
+    it('restores the UI and throws if the frame is not rendered', async () => {
+      const onAfterExport = jest.fn();
+      mockStage.findOne.mockReturnValue(undefined);
+
+      await expect(exportFrameToPNG(mockStageRef, frame, undefined, { onAfterExport }))
+        .rejects.toThrow('Failed to export frame as PNG');
+      expect(onAfterExport).toHaveBeenCalled();
+    });
+  });
 });
 
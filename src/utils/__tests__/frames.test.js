@@ -0,0 +1,159 @@
+/**
+ * Unit tests for frame helpers
+ */
+
+import {
+  isFrame,
+  getFrameDescendantIds,
+  withFrameContents,
+  findContainingFrame,
+  assignContainingFrame,
+  getFrameChildOverrides,
+  getFrameContentMoves,
+  getShapeUpdateChanges,
+  buildShapeTree,
+  flattenShapeTree,
+} from '../frames';
+
+describe('frames utilities', () => {
+  const board = [
+    { id: 'frame-1', type: 'frame', x: 0, y: 0, width: 400, height: 300, zIndex: 1 },
+    { id: 'frame-2', type: 'frame', x: 20, y: 20, width: 200, height: 200, parentId: 'frame-1', zIndex: 2 },
+    { id: 'rect-1', type: 'rect', x: 50, y: 50, width: 100, height: 100, parentId: 'frame-2', zIndex: 5 },
+    { id: 'rect-2', type: 'rect', x: 300, y: 200, width: 100, height: 100, parentId: 'frame-1', zIndex: 5 },
+    { id: 'rect-3', type: 'rect', x: 600, y: 600, width: 100, height: 100, zIndex: 5 },
+  ];
+
+  it('identifies frames', () => {
+    expect(isFrame(board[0])).toBe(true);
+    expect(isFrame(board[2])).toBe(false);
+    expect(isFrame(undefined)).toBe(false);
+  });
+
+  describe('getFrameDescendantIds', () => {
+    it('collects contents at any depth', () => {
+      expect([...getFrameDescendantIds(board, ['frame-1'])].sort()).toEqual(['frame-2', 'rect-1', 'rect-2']);
+      expect([...getFrameDescendantIds(board, ['frame-2'])]).toEqual(['rect-1']);
+      expect(getFrameDescendantIds(board, ['rect-3']).size).toBe(0);
+    });
+
+    it('stops at parentId cycles', () => {
+      const cyclic = [
+        { id: 'frame-1', type: 'frame', x: 0, y: 0, width: 400, height: 300, parentId: 'frame-2' },
+        { id: 'frame-2', type: 'frame', x: 0, y: 0, width: 400, height: 300, parentId: 'frame-1' },
+      ];
+      expect([...getFrameDescendantIds(cyclic, ['frame-1'])]).toEqual(['frame-2']);
+    });
+  });
+
+  it('adds frame contents to a selection without duplicates', () => {
+    expect(withFrameContents(board, ['frame-2', 'rect-1', 'rect-3'])).toEqual(['frame-2', 'rect-1', 'rect-3']);
+    expect(withFrameContents(board, ['rect-3', 'frame-2'])).toEqual(['rect-3', 'frame-2', 'rect-1']);
+  });
+
+  describe('findContainingFrame', () => {
+    it('picks the topmost frame containing the shape center', () => {
+      const shape = { id: 'new', type: 'rect', width: 100, height: 100 };
+      expect(findContainingFrame(board, { ...shape, x: 60, y: 60 }).id).toBe('frame-2');
+      expect(findContainingFrame(board, { ...shape, x: 250, y: 150 }).id).toBe('frame-1');
+      expect(findContainingFrame(board, { ...shape, x: 500, y: 500 })).toBeNull();
+    });
+
+    it('never puts a frame inside itself or its own contents', () => {
+      expect(findContainingFrame(board, board[0])).toBeNull();
+      expect(findContainingFrame(board, board[1]).id).toBe('frame-1');
+    });
+
+    it('assigns new shapes to their frame', () => {
+      const shape = { id: 'new', type: 'rect', x: 50, y: 50, width: 100, height: 100 };
+      expect(assignContainingFrame(board, shape).parentId).toBe('frame-2');
+      expect(assignContainingFrame(board, { ...shape, x: 800 })).not.toHaveProperty('parentId');
+    });
+  });
+
+  it('offsets frame contents while the frame is dragged', () => {
+    expect(getFrameChildOverrides(board, { 'frame-2': { x: 30, y: 10 } })).toEqual({
+      'rect-1': { x: 60, y: 40 },
+    });
+    expect(getFrameChildOverrides(board, { missing: { x: 0, y: 0 } })).toEqual({});
+  });
+
+  it('moves frame contents with the frame', () => {
+    expect(getFrameContentMoves(board, 'frame-2', 10, -5)).toEqual([
+      { id: 'rect-1', oldState: { x: 50, y: 50 }, newState: { x: 60, y: 45 } },
+    ]);
+    expect(getFrameContentMoves(board, 'frame-2', 0, 0)).toEqual([]);
+  });
+
+  it('leaves groups out of frame content moves (they have no position)', () => {
+    const shapes = [...board, { id: 'group-1', type: 'group', parentId: 'frame-2' }];
+    expect(getFrameContentMoves(shapes, 'frame-2', 10, 0).map(move => move.id)).toEqual(['rect-1']);
+    expect(Object.keys(getFrameChildOverrides(shapes, { 'frame-2': { x: 30, y: 10 } }))).toEqual(['rect-1']);
+  });
+
+  it('turns shape updates into changes, carrying moved frames\' contents', () => {
+    expect(getShapeUpdateChanges(board, [
+      { id: 'frame-2', x: 30, y: 20 },
+      { id: 'rect-3', x: 600, y: 600, width: 150 },
+    ])).toEqual([
+      { id: 'frame-2', oldState: { x: 20 }, newState: { x: 30 } },
+      { id: 'rect-1', oldState: { x: 50, y: 50 }, newState: { x: 60, y: 50 } },
+      { id: 'rect-3', oldState: { width: 100 }, newState: { width: 150 } },
+    ]);
+  });
+
+  it('leaves frame contents that are updated themselves to their own update', () => {
+    const changes = getShapeUpdateChanges(board, [
+      { id: 'frame-2', x: 40, y: 20 },
+      { id: 'rect-1', x: 0, y: 0 },
+    ]);
+    expect(changes.filter(change => change.id === 'rect-1')).toEqual([
+      { id: 'rect-1', oldState: { x: 50, y: 50 }, newState: { x: 0, y: 0 } },
+    ]);
+    expect(getShapeUpdateChanges(board, [{ id: 'rect-3', x: 600 }, { id: 'missing', x: 1 }])).toEqual([]);
+  });
+
+  describe('buildShapeTree', () => {
+    it('nests contents under their frames in input order', () => {
+      const rows = flattenShapeTree(buildShapeTree(board));
+      expect(rows.map(({ shape, depth }) => [shape.id, depth])).toEqual([
+        ['frame-1', 0],
+        ['frame-2', 1],
+        ['rect-1', 2],
+        ['rect-2', 1],
+        ['rect-3', 0],
+      ]);
+    });
+
+    it('keeps shapes whose frame is missing at the top level', () => {
+      const roots = buildShapeTree([
+        { id: 'rect-1', type: 'rect', parentId: 'gone' },
+        { id: 'rect-2', type: 'rect', parentId: 'rect-1' },
+      ]);
+      expect(roots.map(node => node.shape.id)).toEqual(['rect-1', 'rect-2']);
+    });
+
+    it('nests group members under their group, inside the group\'s frame', () => {
+      const rows = flattenShapeTree(buildShapeTree([
+        board[0],
+        { id: 'group-1', type: 'group', parentId: 'frame-1', zIndex: 6 },
+        { id: 'rect-1', type: 'rect', x: 50, y: 50, width: 100, height: 100, groupId: 'group-1', parentId: 'frame-1' },
+        { id: 'rect-2', type: 'rect', x: 50, y: 50, width: 100, height: 100, groupId: 'group-1', parentId: 'frame-1' },
+      ]));
+      expect(rows.map(({ shape, depth }) => [shape.id, depth])).toEqual([
+        ['frame-1', 0],
+        ['group-1', 1],
+        ['rect-1', 2],
+        ['rect-2', 2],
+      ]);
+    });
+
+    it('surfaces parentId cycles instead of dropping them', () => {
+      const roots = buildShapeTree([
+        { id: 'frame-1', type: 'frame', parentId: 'frame-2' },
+        { id: 'frame-2', type: 'frame', parentId: 'frame-1' },
+      ]);
+      expect(flattenShapeTree(roots).map(row => row.shape.id).sort()).toEqual(['frame-1', 'frame-2']);
+    });
+  });
+});
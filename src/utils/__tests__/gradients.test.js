@@ -0,0 +1,128 @@
+/**
+ * Unit tests for gradient fills
+ */
+
+import {
+  GRADIENT_TYPES,
+  supportsGradient,
+  createDefaultGradient,
+  getShapeGradient,
+  getLinearGradientPoints,
+  getGradientFillProps,
+  gradientToCSS,
+} from '../gradients';
+
+const stops = [
+  { offset: 0, color: '#ff0000' },
+  { offset: 1, color: '#0000ff' },
+];
+
+describe('Gradient Utilities', () => {
+  describe('supportsGradient', () => {
+    it('allows filled shapes only', () => {
+      expect(supportsGradient({ type: 'rect' })).toBe(true);
+      expect(supportsGradient({ type: 'star' })).toBe(true);
+      expect(supportsGradient({ type: 'sticky' })).toBe(true);
+      expect(supportsGradient({ type: 'line' })).toBe(false);
+      expect(supportsGradient({ type: 'text' })).toBe(false);
+      expect(supportsGradient(null)).toBe(false);
+    });
+  });
+
+  describe('createDefaultGradient', () => {
+    it('runs from the given color to white', () => {
+      expect(createDefaultGradient('#123456')).toEqual({
+        type: GRADIENT_TYPES.LINEAR,
+        angle: 90,
+        stops: [{ offset: 0, color: '#123456' }, { offset: 1, color: '#ffffff' }],
+      });
+    });
+  });
+
+  describe('getShapeGradient', () => {
+    it('normalizes a stored gradient', () => {
+      const shape = { type: 'rect', fillGradient: { type: 'linear', angle: 45, stops: [...stops].reverse() } };
+      expect(getShapeGradient(shape)).toEqual({ type: 'linear', angle: 45, stops });
+    });
+
+    it('returns null for solid, invalid or unsupported fills', () => {
+      expect(getShapeGradient({ type: 'rect', fillGradient: null })).toBeNull();
+      expect(getShapeGradient({ type: 'rect', fillGradient: { type: 'linear', stops: [] } })).toBeNull();
+      expect(getShapeGradient({ type: 'line', fillGradient: { type: 'linear', stops } })).toBeNull();
+    });
+  });
+
+  describe('getLinearGradientPoints', () => {
+    const box = { x: 0, y: 0, width: 100, height: 50 };
+
+    it('runs across the box at 0 degrees', () => {
+      expect(getLinearGradientPoints(box, 0)).toEqual({ start: { x: 0, y: 25 }, end: { x: 100, y: 25 } });
+    });
+
+    it('runs top to bottom at 90 degrees', () => {
+      const { start, end } = getLinearGradientPoints(box, 90);
+      expect(start.x).toBeCloseTo(50);
+      expect(start.y).toBeCloseTo(0);
+      expect(end.y).toBeCloseTo(50);
+    });
+
+    it('reaches the corners on a diagonal', () => {
+      const { start, end } = getLinearGradientPoints({ x: 0, y: 0, width: 100, height: 100 }, 45);
+      expect(start.x).toBeCloseTo(0);
+      expect(start.y).toBeCloseTo(0);
+      expect(end.x).toBeCloseTo(100);
+      expect(end.y).toBeCloseTo(100);
+    });
+  });
+
+  describe('getGradientFillProps', () => {
+    it('is empty for a solid fill', () => {
+      expect(getGradientFillProps({ type: 'rect', fill: '#ff0000' })).toEqual({});
+    });
+
+    it('covers a rectangle from its corner', () => {
+      const props = getGradientFillProps({
+        type: 'rect',
+        width: 100,
+        height: 50,
+        fillGradient: { type: 'linear', angle: 0, stops },
+      });
+      expect(props).toEqual({
+        fillPriority: 'linear-gradient',
+        fillLinearGradientStartPoint: { x: 0, y: 25 },
+        fillLinearGradientEndPoint: { x: 100, y: 25 },
+        fillLinearGradientColorStops: [0, '#ff0000', 1, '#0000ff'],
+      });
+    });
+
+    it('centers radial gradients on centered shapes', () => {
+      const props = getGradientFillProps({
+        type: 'ellipse',
+        radiusX: 40,
+        radiusY: 20,
+        fillGradient: { type: 'radial', stops },
+      });
+      expect(props).toEqual({
+        fillPriority: 'radial-gradient',
+        fillRadialGradientStartPoint: { x: 0, y: 0 },
+        fillRadialGradientEndPoint: { x: 0, y: 0 },
+        fillRadialGradientStartRadius: 0,
+        fillRadialGradientEndRadius: 40,
+        fillRadialGradientColorStops: [0, '#ff0000', 1, '#0000ff'],
+      });
+    });
+  });
+
+  describe('gradientToCSS', () => {
+    it('turns angles into CSS directions', () => {
+      expect(gradientToCSS({ type: 'linear', angle: 0, stops }))
+        .toBe('linear-gradient(90deg, #ff0000 0%, #0000ff 100%)');
+      expect(gradientToCSS({ type: 'radial', stops }))
+        .toBe('radial-gradient(circle, #ff0000 0%, #0000ff 100%)');
+    });
+
+    it('is empty for invalid gradients', () => {
+      expect(gradientToCSS(null)).toBe('');
+    });
+  });
+});
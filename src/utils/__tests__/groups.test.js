@@ -0,0 +1,114 @@
+/**
+ * Unit tests for group helpers
+ */
+
+import {
+  isGroup,
+  getGroupMemberIds,
+  withGroupMembers,
+  getGroupChain,
+  getSelectionTargetId,
+  getGroupBounds,
+  createGroup,
+  getEmptiedGroupIds,
+} from '../groups';
+
+describe('groups utilities', () => {
+  // group-outer holds group-inner and rect-3; group-inner holds rect-1 and rect-2
+  const board = [
+    { id: 'group-outer', type: 'group', name: 'Group', groupId: null, parentId: null, zIndex: 4 },
+    { id: 'group-inner', type: 'group', name: 'Group', groupId: 'group-outer', parentId: null, zIndex: 3 },
+    { id: 'rect-1', type: 'rect', x: 0, y: 0, width: 100, height: 50, groupId: 'group-inner', zIndex: 1 },
+    { id: 'rect-2', type: 'rect', x: 200, y: 100, width: 100, height: 50, groupId: 'group-inner', zIndex: 2 },
+    { id: 'rect-3', type: 'rect', x: -50, y: 300, width: 100, height: 50, groupId: 'group-outer', zIndex: 4 },
+    { id: 'rect-4', type: 'rect', x: 500, y: 0, width: 100, height: 50, zIndex: 1 },
+  ];
+
+  it('identifies groups', () => {
+    expect(isGroup(board[0])).toBe(true);
+    expect(isGroup(board[2])).toBe(false);
+    expect(isGroup(undefined)).toBe(false);
+  });
+
+  describe('getGroupMemberIds', () => {
+    it('collects members at any depth', () => {
+      expect([...getGroupMemberIds(board, ['group-outer'])].sort())
+        .toEqual(['group-inner', 'rect-1', 'rect-2', 'rect-3']);
+      expect([...getGroupMemberIds(board, ['rect-4'])]).toEqual([]);
+    });
+
+    it('stops at groupId cycles', () => {
+      const shapes = [
+        { id: 'group-1', type: 'group', groupId: 'group-2' },
+        { id: 'group-2', type: 'group', groupId: 'group-1' },
+      ];
+      expect([...getGroupMemberIds(shapes, ['group-1'])]).toEqual(['group-2']);
+    });
+  });
+
+  it('adds group members to a selection without duplicates', () => {
+    expect(withGroupMembers(board, ['group-inner', 'rect-1', 'rect-4']))
+      .toEqual(['group-inner', 'rect-1', 'rect-4', 'rect-2']);
+  });
+
+  it('lists the groups a shape is in, innermost first', () => {
+    expect(getGroupChain(board, 'rect-1')).toEqual(['group-inner', 'group-outer']);
+    expect(getGroupChain(board, 'rect-4')).toEqual([]);
+    expect(getGroupChain(board, 'missing')).toEqual([]);
+  });
+
+  describe('getSelectionTargetId', () => {
+    it('selects the outermost group until a group is entered', () => {
+      expect(getSelectionTargetId(board, 'rect-1')).toBe('group-outer');
+      expect(getSelectionTargetId(board, 'rect-4')).toBe('rect-4');
+    });
+
+    it('selects the entered group\'s direct member on the way to the shape', () => {
+      expect(getSelectionTargetId(board, 'rect-1', 'group-outer')).toBe('group-inner');
+      expect(getSelectionTargetId(board, 'rect-3', 'group-outer')).toBe('rect-3');
+      expect(getSelectionTargetId(board, 'rect-1', 'group-inner')).toBe('rect-1');
+    });
+
+    it('ignores an entered group the shape is not in', () => {
+      expect(getSelectionTargetId(board, 'rect-1', 'other-group')).toBe('group-outer');
+    });
+  });
+
+  it('measures a group by its members', () => {
+    expect(getGroupBounds(board, 'group-outer')).toEqual({ x: -50, y: 0, width: 350, height: 350 });
+    expect(getGroupBounds(board, 'group-inner')).toEqual({ x: 0, y: 0, width: 300, height: 150 });
+    expect(getGroupBounds([{ id: 'group-1', type: 'group', groupId: null }], 'group-1')).toBeNull();
+  });
+
+  describe('createGroup', () => {
+    it('stacks the group where its topmost member is', () => {
+      const created = createGroup([
+        { id: 'rect-1', type: 'rect', x: 0, y: 0, width: 100, height: 50, zIndex: 2 },
+        { id: 'rect-2', type: 'rect', x: 0, y: 0, width: 100, height: 50, zIndex: 7 },
+      ]);
+      expect(created).toEqual(expect.objectContaining({
+        type: 'group',
+        name: 'Group',
+        groupId: null,
+        parentId: null,
+        zIndex: 7,
+      }));
+      expect(typeof created.id).toBe('string');
+    });
+
+    it('stays in the group and frame its members share', () => {
+      const created = createGroup([
+        { id: 'rect-1', type: 'rect', x: 0, y: 0, width: 100, height: 50, groupId: 'group-1', parentId: 'frame-1' },
+        { id: 'rect-2', type: 'rect', x: 0, y: 0, width: 100, height: 50, groupId: 'group-1', parentId: 'frame-2' },
+      ]);
+      expect(created.groupId).toBe('group-1');
+      expect(created.parentId).toBeNull();
+    });
+  });
+
+  it('finds groups emptied by a delete, including their parent groups', () => {
+    expect(getEmptiedGroupIds(board, ['rect-1'])).toEqual([]);
+    expect(getEmptiedGroupIds(board, ['rect-1', 'rect-2'])).toEqual(['group-inner']);
+    expect(getEmptiedGroupIds(board, ['rect-1', 'rect-2', 'rect-3']).sort()).toEqual(['group-inner', 'group-outer']);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for rulers and ruler guides
+ */
+
+import {
+  GUIDE_ORIENTATIONS,
+  RULER_SIZE,
+  isValidGuide,
+  getRulerStep,
+  getRulerTicks,
+  snapGuidePosition,
+  isOverRuler,
+} from '../guides';
+
+describe('Guide Utilities', () => {
+  describe('isValidGuide', () => {
+    it('accepts horizontal and vertical guides', () => {
+      expect(isValidGuide({ orientation: GUIDE_ORIENTATIONS.HORIZONTAL, position: 120 })).toBe(true);
+      expect(isValidGuide({ orientation: GUIDE_ORIENTATIONS.VERTICAL, position: -40.5 })).toBe(true);
+    });
+
+    it('rejects unknown orientations and missing positions', () => {
+      expect(isValidGuide(null)).toBe(false);
+      expect(isValidGuide({ orientation: 'diagonal', position: 10 })).toBe(false);
+      expect(isValidGuide({ orientation: GUIDE_ORIENTATIONS.VERTICAL })).toBe(false);
+      expect(isValidGuide({ orientation: GUIDE_ORIENTATIONS.VERTICAL, position: NaN })).toBe(false);
+    });
+  });
+
+  describe('getRulerStep', () => {
+    it('keeps labeled ticks at least 60px apart', () => {
+      expect(getRulerStep(1)).toBe(100);
+      expect(getRulerStep(0.5)).toBe(200);
+      expect(getRulerStep(2)).toBe(50);
+      expect(getRulerStep(0.1)).toBe(1000);
+      expect(getRulerStep(10)).toBe(10);
+    });
+  });
+
+  describe('getRulerTicks', () => {
+    it('labels every fifth tick with its canvas coordinate', () => {
+      const ticks = getRulerTicks(0, 200, 1);
+
+      expect(ticks).toHaveLength(11);
+      expect(ticks.filter(t => t.major).map(t => t.value)).toEqual([0, 100, 200]);
+      expect(ticks[1]).toEqual({ screen: 20, value: 20, major: false });
+    });
+
+    it('follows pan and zoom', () => {
+      const ticks = getRulerTicks(-150, 300, 2);
+      const majors = ticks.filter(t => t.major);
+
+      // Canvas 75 is at the left edge; labels every 50 canvas units
+      expect(majors.map(t => t.value)).toEqual([100, 150, 200]);
+      expect(majors[0].screen).toBe(50);
+      expect(ticks[0].screen).toBeGreaterThanOrEqual(0);
+      expect(ticks[ticks.length - 1].screen).toBeLessThanOrEqual(300);
+    });
+
+    it('labels negative coordinates', () => {
+      const majors = getRulerTicks(250, 100, 1).filter(t => t.major);
+      expect(majors.map(t => t.value)).toEqual([-200]);
+      expect(majors[0].screen).toBe(50);
+    });
+  });
+
+  describe('snapGuidePosition', () => {
+    it('rounds to whole units', () => {
+      expect(snapGuidePosition(12.6)).toBe(13);
+    });
+
+    it('snaps to the grid when given a grid size', () => {
+      expect(snapGuidePosition(137, 50)).toBe(150);
+      expect(snapGuidePosition(-30, 25)).toBe(-25);
+    });
+  });
+
+  describe('isOverRuler', () => {
+    it('checks the top ruler for horizontal guides', () => {
+      expect(isOverRuler(GUIDE_ORIENTATIONS.HORIZONTAL, { x: 300, y: RULER_SIZE - 1 })).toBe(true);
+      expect(isOverRuler(GUIDE_ORIENTATIONS.HORIZONTAL, { x: 5, y: RULER_SIZE + 1 })).toBe(false);
+    });
+
+    it('checks the left ruler for vertical guides', () => {
+      expect(isOverRuler(GUIDE_ORIENTATIONS.VERTICAL, { x: 4, y: 300 })).toBe(true);
+      expect(isOverRuler(GUIDE_ORIENTATIONS.VERTICAL, { x: RULER_SIZE + 1, y: 5 })).toBe(false);
+    });
+  });
+});
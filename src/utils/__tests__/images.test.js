@@ -0,0 +1,102 @@
+/**
+ * Unit tests for image insertion helpers
+ */
+
+import {
+  MAX_IMAGE_FILE_BYTES,
+  isImageFile,
+  getImageFiles,
+  hasFiles,
+  fitImageSize,
+  getImageExtension,
+  validateImageFile,
+} from '../images';
+
+const makeFile = (name, type, size = 1024) => ({ name, type, size });
+
+describe('images utilities', () => {
+  describe('isImageFile', () => {
+    it('accepts supported image types', () => {
+      expect(isImageFile(makeFile('a.png', 'image/png'))).toBe(true);
+      expect(isImageFile(makeFile('a.webp', 'image/webp'))).toBe(true);
+    });
+
+    it('rejects other files', () => {
+      expect(isImageFile(makeFile('a.pdf', 'application/pdf'))).toBe(false);
+      expect(isImageFile(makeFile('a.tiff', 'image/tiff'))).toBe(false);
+      expect(isImageFile(makeFile('a.svg', 'image/svg+xml'))).toBe(false);
+      expect(isImageFile(null)).toBe(false);
+    });
+  });
+
+  describe('getImageFiles', () => {
+    it('reads files from a drop', () => {
+      const png = makeFile('a.png', 'image/png');
+      const text = makeFile('a.txt', 'text/plain');
+      expect(getImageFiles({ files: [png, text], items: [] })).toEqual([png]);
+    });
+
+    it('falls back to clipboard items when there are no files', () => {
+      const screenshot = makeFile('image.png', 'image/png');
+      const clipboardData = {
+        files: [],
+        items: [
+          { kind: 'string', getAsFile: () => null },
+          { kind: 'file', getAsFile: () => screenshot },
+        ],
+      };
+      expect(getImageFiles(clipboardData)).toEqual([screenshot]);
+    });
+
+    it('accepts a plain file list', () => {
+      const jpeg = makeFile('a.jpg', 'image/jpeg');
+      expect(getImageFiles([jpeg])).toEqual([jpeg]);
+      expect(getImageFiles(null)).toEqual([]);
+    });
+  });
+
+  describe('hasFiles', () => {
+    it('checks drag types for files', () => {
+      expect(hasFiles({ types: ['Files'] })).toBe(true);
+      expect(hasFiles({ types: ['text/plain'] })).toBe(false);
+      expect(hasFiles(undefined)).toBe(false);
+    });
+  });
+
+  describe('fitImageSize', () => {
+    it('scales large images down to the longest side', () => {
+      expect(fitImageSize(1600, 900, 400)).toEqual({ width: 400, height: 225 });
+      expect(fitImageSize(500, 1000, 400)).toEqual({ width: 200, height: 400 });
+    });
+
+    it('keeps small images at their natural size', () => {
+      expect(fitImageSize(120, 80, 400)).toEqual({ width: 120, height: 80 });
+    });
+
+    it('uses a square when dimensions are unknown', () => {
+      expect(fitImageSize(0, 0, 300)).toEqual({ width: 300, height: 300 });
+    });
+  });
+
+  describe('getImageExtension', () => {
+    it('maps content types to extensions', () => {
+      expect(getImageExtension(makeFile('a', 'image/jpeg'))).toBe('jpg');
+      expect(getImageExtension(makeFile('a', 'image/webp'))).toBe('webp');
+      expect(getImageExtension(makeFile('a', 'image/unknown'))).toBe('img');
+    });
+  });
+
+  describe('validateImageFile', () => {
+    it('accepts supported images within the size limit', () => {
+      expect(validateImageFile(makeFile('a.png', 'image/png'))).toBeNull();
+    });
+
+    it('rejects unsupported types', () => {
+      expect(validateImageFile(makeFile('notes.txt', 'text/plain'))).toMatch(/notes\.txt is not a supported image/);
+    });
+
+    it('rejects files over the size limit', () => {
+      expect(validateImageFile(makeFile('big.png', 'image/png', MAX_IMAGE_FILE_BYTES + 1))).toMatch(/larger than 10 MB/);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for properties inspector helpers
+ */
+
+import {
+  supportsProperty,
+  getPropertyValue,
+  getPropertyUpdate,
+  getInspectorTargets,
+  getPropertyChanges,
+} from '../inspector';
+
+describe('Inspector Utilities', () => {
+  const mockRect = {
+    id: 'rect-1',
+    type: 'rect',
+    x: 10,
+    y: 20,
+    width: 100,
+    height: 50,
+    fill: '#ff0000',
+    stroke: '#000000',
+    strokeWidth: 2,
+  };
+
+  describe('supportsProperty', () => {
+    it('shows sizes that match the shape type', () => {
+      expect(supportsProperty(mockRect, 'width')).toBe(true);
+      expect(supportsProperty(mockRect, 'radius')).toBe(false);
+      expect(supportsProperty({ type: 'circle' }, 'radius')).toBe(true);
+      expect(supportsProperty({ type: 'ellipse' }, 'radiusX')).toBe(true);
+      expect(supportsProperty({ type: 'star' }, 'innerRadius')).toBe(true);
+      expect(supportsProperty({ type: 'sticky' }, 'width')).toBe(true);
+      expect(supportsProperty({ type: 'sticky' }, 'height')).toBe(false);
+    });
+
+    it('only sizes text boxes with a fixed width', () => {
+      expect(supportsProperty({ type: 'text' }, 'width')).toBe(false);
+      expect(supportsProperty({ type: 'text', fixedWidth: true }, 'width')).toBe(true);
+    });
+
+    it('leaves out properties a shape does not draw', () => {
+      expect(supportsProperty({ type: 'line' }, 'fill')).toBe(false);
+      expect(supportsProperty({ type: 'line' }, 'stroke')).toBe(true);
+      expect(supportsProperty({ type: 'text' }, 'stroke')).toBe(false);
+      expect(supportsProperty({ type: 'text' }, 'fontFamily')).toBe(true);
+      expect(supportsProperty({ type: 'circle' }, 'rotation')).toBe(false);
+      expect(supportsProperty({ type: 'group' }, 'x')).toBe(false);
+    });
+  });
+
+  describe('getPropertyValue', () => {
+    it('fills in drawing defaults', () => {
+      expect(getPropertyValue(mockRect, 'rotation')).toBe(0);
+      expect(getPropertyValue({ type: 'line' }, 'strokeWidth')).toBe(2);
+      expect(getPropertyValue({ type: 'text' }, 'fontFamily')).toBe('Arial');
+      expect(getPropertyValue({ type: 'text' }, 'align')).toBe('left');
+      expect(getPropertyValue({ type: 'line' }, 'fill')).toBeUndefined();
+    });
+  });
+
+  describe('getPropertyUpdate', () => {
+    it('parses and rounds numbers', () => {
+      expect(getPropertyUpdate(mockRect, 'x', '42.456')).toEqual({ x: 42.46 });
+      expect(getPropertyUpdate(mockRect, 'x', 'abc')).toBeNull();
+      expect(getPropertyUpdate(mockRect, 'x', '')).toBeNull();
+    });
+
+    it('keeps sizes above their minimums', () => {
+      expect(getPropertyUpdate(mockRect, 'width', '1')).toEqual({ width: 5 });
+      expect(getPropertyUpdate({ type: 'star', innerRadius: 10 }, 'innerRadius', '0')).toEqual({ innerRadius: 2 });
+    });
+
+    it('wraps rotation into 0-360', () => {
+      expect(getPropertyUpdate(mockRect, 'rotation', '-90')).toEqual({ rotation: 270 });
+    });
+
+    it('scales every table track', () => {
+      const table = { type: 'table', width: 200, height: 60, columnWidths: [100, 100], rowHeights: [30, 30] };
+      expect(getPropertyUpdate(table, 'width', '300')).toEqual({ columnWidths: [150, 150], width: 300 });
+    });
+
+    it('normalizes colors and drops a gradient for a solid fill', () => {
+      expect(getPropertyUpdate(mockRect, 'stroke', 'blue')).toEqual({ stroke: '#0000ff' });
+      expect(getPropertyUpdate({ ...mockRect, fillGradient: { type: 'radial', stops: [] } }, 'fill', '#00f'))
+        .toEqual({ fill: '#0000ff', fillGradient: null });
+      expect(getPropertyUpdate(mockRect, 'fill', 'blurple')).toBeNull();
+    });
+
+    it('accepts only known text options', () => {
+      expect(getPropertyUpdate({ type: 'text' }, 'align', 'center')).toEqual({ align: 'center' });
+      expect(getPropertyUpdate({ type: 'text' }, 'fontFamily', 'Comic Sans')).toBeNull();
+    });
+
+    it('returns null when nothing changes', () => {
+      expect(getPropertyUpdate(mockRect, 'width', '100')).toBeNull();
+      expect(getPropertyUpdate(mockRect, 'fill', '#FF0000')).toBeNull();
+    });
+  });
+
+  describe('getInspectorTargets', () => {
+    it('expands groups into their members', () => {
+      const shapes = [
+        { id: 'group-1', type: 'group' },
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 100, height: 50, groupId: 'group-1' },
+        { id: 'b', type: 'rect', x: 0, y: 0, width: 100, height: 50, groupId: 'group-1' },
+        { id: 'c', type: 'rect', x: 0, y: 0, width: 100, height: 50 },
+      ];
+      expect(getInspectorTargets(shapes, ['group-1']).map(s => s.id)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('getPropertyChanges', () => {
+    it('sets the value on every target that has the property', () => {
+      const targets = [{ ...mockRect, id: 'a' }, { id: 'b', type: 'circle', x: 0, y: 0, radius: 10 }];
+      expect(getPropertyChanges(targets, targets, 'width', '80')).toEqual([
+        { id: 'a', oldState: { width: 100 }, newState: { width: 80 } },
+      ]);
+    });
+
+    it('carries frame contents along with the frame', () => {
+      const frame = { id: 'frame-1', type: 'frame', x: 0, y: 20, width: 100, height: 50 };
+      const child = { id: 'child', type: 'rect', x: 10, y: 20, width: 100, height: 50, parentId: 'frame-1' };
+      const changes = getPropertyChanges([frame, child], [frame], 'x', '50');
+      expect(changes).toEqual([
+        { id: 'frame-1', oldState: { x: 0 }, newState: { x: 50 } },
+        { id: 'child', oldState: { x: 10, y: 20 }, newState: { x: 60, y: 20 } },
+      ]);
+    });
+
+    it('does not move frame contents that are edited themselves', () => {
+      const frame = { id: 'frame-1', type: 'frame', x: 0, y: 20, width: 100, height: 50 };
+      const child = { id: 'child', type: 'rect', x: 10, y: 20, width: 100, height: 50, parentId: 'frame-1' };
+      const changes = getPropertyChanges([frame, child], [frame, child], 'x', '50');
+      expect(changes.map(change => change.id)).toEqual(['frame-1', 'child']);
+      expect(changes[1].newState).toEqual({ x: 50 });
+    });
+  });
+});
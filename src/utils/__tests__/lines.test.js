@@ -0,0 +1,134 @@
+/**
+ * Unit tests for line and arrow geometry helpers
+ */
+
+import {
+  ARROWHEAD_STYLES,
+  DASH_PATTERNS,
+  LINE_ENDS,
+  isLinearShape,
+  isArrowheadStyle,
+  getDashPatternName,
+  getArrowheadSize,
+  getEndpoint,
+  setEndpoint,
+  getEndpointAngle,
+  getTrimmedLinePoints,
+  getLineBounds,
+  getLineLength,
+} from '../lines';
+
+describe('lines utilities', () => {
+  describe('isLinearShape', () => {
+    it('is true for lines and arrows only', () => {
+      expect(isLinearShape({ type: 'line' })).toBe(true);
+      expect(isLinearShape({ type: 'arrow' })).toBe(true);
+      expect(isLinearShape({ type: 'rect' })).toBe(false);
+      expect(isLinearShape(null)).toBe(false);
+    });
+  });
+
+  describe('isArrowheadStyle', () => {
+    it('accepts known styles', () => {
+      Object.values(ARROWHEAD_STYLES).forEach(style => {
+        expect(isArrowheadStyle(style)).toBe(true);
+      });
+    });
+
+    it('rejects unknown styles', () => {
+      expect(isArrowheadStyle('diamond')).toBe(false);
+      expect(isArrowheadStyle(undefined)).toBe(false);
+    });
+  });
+
+  describe('getDashPatternName', () => {
+    it('maps dash arrays back to pattern names', () => {
+      expect(getDashPatternName(DASH_PATTERNS.dashed)).toBe('dashed');
+      expect(getDashPatternName([2, 6])).toBe('dotted');
+    });
+
+    it('falls back to solid for empty or unknown dashes', () => {
+      expect(getDashPatternName([])).toBe('solid');
+      expect(getDashPatternName(undefined)).toBe('solid');
+      expect(getDashPatternName([5, 5])).toBe('solid');
+    });
+  });
+
+  describe('getArrowheadSize', () => {
+    it('scales with stroke width above a minimum', () => {
+      expect(getArrowheadSize(1)).toBe(8);
+      expect(getArrowheadSize(3)).toBe(12);
+    });
+  });
+
+  describe('endpoints', () => {
+    const points = [0, 0, 100, 50];
+
+    it('reads the start and end points', () => {
+      expect(getEndpoint(points, LINE_ENDS.START)).toEqual({ x: 0, y: 0 });
+      expect(getEndpoint(points, LINE_ENDS.END)).toEqual({ x: 100, y: 50 });
+    });
+
+    it('moves one endpoint without mutating the input', () => {
+      expect(setEndpoint(points, LINE_ENDS.START, 10, 20)).toEqual([10, 20, 100, 50]);
+      expect(setEndpoint(points, LINE_ENDS.END, 30, 40)).toEqual([0, 0, 30, 40]);
+      expect(points).toEqual([0, 0, 100, 50]);
+    });
+
+    it('gives the direction pointing out of each end', () => {
+      const horizontal = [0, 0, 100, 0];
+      expect(getEndpointAngle(horizontal, LINE_ENDS.END)).toBe(0);
+      expect(getEndpointAngle(horizontal, LINE_ENDS.START)).toBe(180);
+      expect(getEndpointAngle([0, 0, 0, 100], LINE_ENDS.END)).toBe(90);
+    });
+  });
+
+  describe('getTrimmedLinePoints', () => {
+    it('leaves lines without filled heads untouched', () => {
+      const points = [0, 0, 100, 0];
+      expect(getTrimmedLinePoints(points, { startArrowhead: 'none', endArrowhead: 'open', strokeWidth: 2 }))
+        .toEqual(points);
+    });
+
+    it('pulls the stroke back under filled heads', () => {
+      const trimmed = getTrimmedLinePoints([0, 0, 100, 0], {
+        startArrowhead: 'circle',
+        endArrowhead: 'triangle',
+        strokeWidth: 2,
+      });
+      // Head size 8, trimmed by 80%
+      expect(trimmed[0]).toBeCloseTo(6.4);
+      expect(trimmed[2]).toBeCloseTo(93.6);
+      expect(trimmed[1]).toBe(0);
+      expect(trimmed[3]).toBe(0);
+    });
+
+    it('never trims more than half of a short line', () => {
+      const trimmed = getTrimmedLinePoints([0, 0, 10, 0], { endArrowhead: 'triangle', strokeWidth: 4 });
+      expect(trimmed[2]).toBeCloseTo(5);
+    });
+
+    it('ignores zero-length lines', () => {
+      expect(getTrimmedLinePoints([5, 5, 5, 5], { endArrowhead: 'triangle' })).toEqual([5, 5, 5, 5]);
+    });
+  });
+
+  describe('getLineBounds', () => {
+    it('offsets point bounds by the shape origin', () => {
+      expect(getLineBounds({ x: 100, y: 100, points: [0, 0, -40, 60] }))
+        .toEqual({ x: 60, y: 100, width: 40, height: 60 });
+    });
+
+    it('handles missing points', () => {
+      expect(getLineBounds({ x: 10, y: 20 })).toEqual({ x: 10, y: 20, width: 0, height: 0 });
+    });
+  });
+
+  describe('getLineLength', () => {
+    it('sums segment lengths', () => {
+      expect(getLineLength([0, 0, 3, 4])).toBe(5);
+      expect(getLineLength([0, 0, 3, 4, 3, 10])).toBe(11);
+      expect(getLineLength()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for shape link helpers
+ */
+
+import {
+  LINK_TYPES,
+  getLinkType,
+  isSafeUrl,
+  buildShapeHash,
+  parseShapeHash,
+  buildShapeUrl,
+  parseLinkInput,
+  getLinkInputValue,
+  getLinkLabel,
+} from '../links';
+
+const ORIGIN = 'https://boards.example.com';
+
+describe('Link Utilities', () => {
+  describe('getLinkType', () => {
+    it('tells the kinds of links apart', () => {
+      expect(getLinkType({ url: 'https://example.com/' })).toBe(LINK_TYPES.URL);
+      expect(getLinkType({ shapeId: 'shape-1' })).toBe(LINK_TYPES.SHAPE);
+      expect(getLinkType({ boardId: 'board-1' })).toBe(LINK_TYPES.BOARD);
+      expect(getLinkType({ boardId: 'board-1', shapeId: 'shape-1' })).toBe(LINK_TYPES.BOARD);
+    });
+
+    it('returns null for missing or unsafe links', () => {
+      expect(getLinkType(null)).toBeNull();
+      expect(getLinkType({})).toBeNull();
+      expect(getLinkType({ url: 'javascript:alert(1)' })).toBeNull();
+      expect(getLinkType({ boardId: 'not a board!' })).toBeNull();
+    });
+  });
+
+  describe('isSafeUrl', () => {
+    it('only allows web and mail addresses', () => {
+      expect(isSafeUrl('https://example.com')).toBe(true);
+      expect(isSafeUrl('http://example.com')).toBe(true);
+      expect(isSafeUrl('mailto:someone@example.com')).toBe(true);
+      expect(isSafeUrl('data:text/html,hi')).toBe(false);
+      expect(isSafeUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('shape hashes', () => {
+    it('round-trips shape IDs', () => {
+      expect(buildShapeHash('shape 1')).toBe('#shape=shape%201');
+      expect(parseShapeHash(buildShapeHash('shape 1'))).toBe('shape 1');
+    });
+
+    it('ignores other hashes', () => {
+      expect(parseShapeHash('')).toBeNull();
+      expect(parseShapeHash('#other')).toBeNull();
+      expect(parseShapeHash('#shape=')).toBeNull();
+      expect(parseShapeHash('#shape=%E0')).toBeNull();
+    });
+
+    it('builds board URLs with an optional shape', () => {
+      expect(buildShapeUrl('board-1', null, ORIGIN)).toBe(`${ORIGIN}/board/board-1`);
+      expect(buildShapeUrl('board-1', 'shape-1', ORIGIN)).toBe(`${ORIGIN}/board/board-1#shape=shape-1`);
+    });
+  });
+
+  describe('parseLinkInput', () => {
+    const context = { origin: ORIGIN, boardId: 'board-1' };
+
+    it('assumes https for bare web addresses', () => {
+      expect(parseLinkInput('example.com/page', context)).toEqual({ url: 'https://example.com/page' });
+      expect(parseLinkInput('  http://example.com  ', context)).toEqual({ url: 'http://example.com/' });
+      expect(parseLinkInput('mailto:someone@example.com', context)).toEqual({ url: 'mailto:someone@example.com' });
+    });
+
+    it('turns board URLs of this app into internal links', () => {
+      expect(parseLinkInput(`${ORIGIN}/board/board-2`, context)).toEqual({ boardId: 'board-2' });
+      expect(parseLinkInput(`${ORIGIN}/board/board-2#shape=s1`, context)).toEqual({ boardId: 'board-2', shapeId: 's1' });
+      expect(parseLinkInput('/board/board-2', context)).toEqual({ boardId: 'board-2' });
+    });
+
+    it('links shapes on the same board directly', () => {
+      expect(parseLinkInput(`${ORIGIN}/board/board-1#shape=s1`, context)).toEqual({ shapeId: 's1' });
+    });
+
+    it('rejects empty, unsafe and host-less input', () => {
+      expect(parseLinkInput('', context)).toBeNull();
+      expect(parseLinkInput('   ', context)).toBeNull();
+      expect(parseLinkInput('javascript:alert(1)', context)).toBeNull();
+      expect(parseLinkInput('typo', context)).toBeNull();
+    });
+  });
+
+  describe('getLinkInputValue', () => {
+    it('shows the address of web and board links', () => {
+      expect(getLinkInputValue({ url: 'https://example.com/' }, ORIGIN)).toBe('https://example.com/');
+      expect(getLinkInputValue({ boardId: 'board-2', shapeId: 's1' }, ORIGIN)).toBe(`${ORIGIN}/board/board-2#shape=s1`);
+      expect(getLinkInputValue({ shapeId: 's1' }, ORIGIN)).toBe('');
+      expect(getLinkInputValue(null, ORIGIN)).toBe('');
+    });
+  });
+
+  describe('getLinkLabel', () => {
+    const shapes = [{ id: 's1', type: 'text', text: 'Overview' }];
+
+    it('describes where a link goes', () => {
+      expect(getLinkLabel({ url: 'https://example.com/' })).toBe('example.com');
+      expect(getLinkLabel({ shapeId: 's1' }, shapes)).toBe('Go to “Overview”');
+      expect(getLinkLabel({ shapeId: 'gone' }, shapes)).toBe('Go to a deleted shape');
+      expect(getLinkLabel({ boardId: 'board-2' })).toBe('Open board board-2');
+      expect(getLinkLabel({ boardId: 'board-2', shapeId: 's1' })).toBe('Open a shape on board board-2');
+      expect(getLinkLabel(null)).toBeNull();
+    });
+
+    it('shortens long addresses', () => {
+      const label = getLinkLabel({ url: `https://example.com/${'a'.repeat(60)}` });
+      expect(label).toHaveLength(43);
+      expect(label.endsWith('...')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for freehand path helpers
+ */
+
+import {
+  isPathShape,
+  isStrokeShape,
+  appendStrokePoint,
+  simplifyPoints,
+  strokeToPath,
+} from '../paths';
+
+describe('paths utilities', () => {
+  describe('isPathShape / isStrokeShape', () => {
+    it('identifies freehand paths', () => {
+      expect(isPathShape({ type: 'path' })).toBe(true);
+      expect(isPathShape({ type: 'line' })).toBe(false);
+      expect(isPathShape(undefined)).toBe(false);
+    });
+
+    it('groups paths with lines and arrows as stroke shapes', () => {
+      expect(isStrokeShape({ type: 'path' })).toBe(true);
+      expect(isStrokeShape({ type: 'arrow' })).toBe(true);
+      expect(isStrokeShape({ type: 'rect' })).toBe(false);
+    });
+  });
+
+  describe('appendStrokePoint', () => {
+    it('adds samples far enough from the last point', () => {
+      expect(appendStrokePoint([0, 0], 3, 4, 2)).toEqual([0, 0, 3, 4]);
+      expect(appendStrokePoint([], 1, 1, 2)).toEqual([1, 1]);
+    });
+
+    it('drops samples too close to the last point', () => {
+      const points = [0, 0];
+      expect(appendStrokePoint(points, 1, 1, 2)).toBe(points);
+    });
+  });
+
+  describe('simplifyPoints', () => {
+    it('removes points that lie on a straight run', () => {
+      expect(simplifyPoints([0, 0, 10, 0.5, 20, -0.5, 30, 0], 1)).toEqual([0, 0, 30, 0]);
+    });
+
+    it('keeps corners', () => {
+      expect(simplifyPoints([0, 0, 5, 0, 10, 0, 10, 5, 10, 10], 1)).toEqual([0, 0, 10, 0, 10, 10]);
+    });
+
+    it('leaves two-point strokes alone', () => {
+      expect(simplifyPoints([0, 0, 10, 10])).toEqual([0, 0, 10, 10]);
+    });
+
+    it('does not mutate the input', () => {
+      const points = [0, 0, 10, 0.1, 20, 0];
+      simplifyPoints(points, 1);
+      expect(points).toEqual([0, 0, 10, 0.1, 20, 0]);
+    });
+  });
+
+  describe('strokeToPath', () => {
+    it('moves the origin to the first point', () => {
+      expect(strokeToPath([100, 50, 110, 50, 110, 70], 0.5)).toEqual({
+        x: 100,
+        y: 50,
+        points: [0, 0, 10, 0, 10, 20],
+      });
+    });
+
+    it('turns a single tap into a dot', () => {
+      expect(strokeToPath([5, 5])).toEqual({ x: 5, y: 5, points: [0, 0, 0, 0] });
+    });
+
+    it('returns null for an empty stroke', () => {
+      expect(strokeToPath([])).toBeNull();
+    });
+  });
+});
@@ -162,6 +162,43 @@ describe('shapeIdentification', () => {
     });
   });
 
+  describe('identifyShape - gradient fills', () => {
+    const gradient = (stops, type = 'linear') => ({
+      type,
+      angle: 0,
+      stops: stops.map(([offset, color]) => ({ offset, color })),
+    });
+
+    test('should match a gradient that is mostly the queried color', () => {
+      const mostlyBlue = createTestShape({
+        fill: '#ffffff',
+        fillGradient: gradient([[0, '#0000ff'], [0.7, '#1e90ff'], [1, '#ffffff']]),
+        zIndex: 1000,
+      });
+      const mostlyRed = createTestShape({
+        fill: '#0000ff',
+        fillGradient: gradient([[0, '#ff0000'], [0.8, '#ff0000'], [1, '#0000ff']]),
+        zIndex: 2000,
+      });
+
+      expect(identifyShape([mostlyBlue, mostlyRed], 'blue')).toBe(mostlyBlue);
+      expect(identifyShape([mostlyBlue, mostlyRed], 'red')).toBe(mostlyRed);
+    });
+
+    test('should not match a color covering only a small part of a gradient', () => {
+      const shape = createTestShape({
+        fillGradient: gradient([[0, '#00ff00'], [0.9, '#00ff00'], [1, '#0000ff']], 'radial'),
+      });
+      expect(identifyShapesByColor([shape], 'blue')).toEqual([]);
+      expect(identifyShapesByColor([shape], 'green')).toEqual([shape]);
+    });
+
+    test('should fall back to the solid fill when the gradient is invalid', () => {
+      const shape = createTestShape({ fill: '#0000ff', fillGradient: { type: 'linear', stops: [] } });
+      expect(identifyShapesByColor([shape], 'blue')).toEqual([shape]);
+    });
+  });
+
   describe('identifyShape - type matching', () => {
     test('should match rectangle alias', () => {
       const shapes = [
@@ -213,6 +250,17 @@ describe('shapeIdentification', () => {
       expect(result).toBeTruthy();
       expect(result.type).toBe('text');
     });
+
+    test('should match arrows by their stroke color', () => {
+      const arrow = createTestShape({ type: 'arrow', fill: undefined, stroke: '#0000ff', zIndex: 1000 });
+      const shapes = [
+        arrow,
+        createTestShape({ type: 'line', fill: undefined, stroke: '#ff0000', zIndex: 2000 }),
+      ];
+
+      const result = identifyShape(shapes, 'blue arrow');
+      expect(result).toBe(arrow);
+    });
   });
 
   describe('identifyShape - recency bias', () => {
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for shape appearance helpers
+ */
+
+import {
+  DEFAULT_SHADOW,
+  MIXED,
+  supportsShadow,
+  supportsStrokeStyle,
+  getShapeOpacity,
+  getShapeShadow,
+  getLineCap,
+  getLineJoin,
+  getShadowProps,
+  getStrokeStyleProps,
+  getCommonValue,
+  getStyleUpdate,
+} from '../shapeStyle';
+
+describe('Shape Style Utilities', () => {
+  describe('getShapeOpacity', () => {
+    it('defaults to fully opaque', () => {
+      expect(getShapeOpacity({ type: 'rect' })).toBe(1);
+      expect(getShapeOpacity({ type: 'rect', opacity: null })).toBe(1);
+    });
+
+    it('clamps stored values', () => {
+      expect(getShapeOpacity({ type: 'rect', opacity: 0.4 })).toBe(0.4);
+      expect(getShapeOpacity({ type: 'rect', opacity: 0 })).toBe(0);
+      expect(getShapeOpacity({ type: 'rect', opacity: 3 })).toBe(1);
+    });
+  });
+
+  describe('getShapeShadow', () => {
+    it('returns null without a shadow', () => {
+      expect(getShapeShadow({ type: 'rect' })).toBeNull();
+      expect(getShapeShadow({ type: 'rect', shadow: null })).toBeNull();
+    });
+
+    it('fills in missing values', () => {
+      expect(getShapeShadow({ type: 'rect', shadow: { color: '#FF0000', blur: 80 } })).toEqual({
+        ...DEFAULT_SHADOW,
+        color: '#FF0000',
+        blur: 50,
+      });
+    });
+  });
+
+  describe('supported properties', () => {
+    it('leaves shadows to the shapes an instance draws', () => {
+      expect(supportsShadow({ type: 'rect' })).toBe(true);
+      expect(supportsShadow({ type: 'instance' })).toBe(false);
+      expect(supportsShadow({ type: 'group' })).toBe(false);
+    });
+
+    it('only styles outlines of outlined shapes', () => {
+      expect(supportsStrokeStyle({ type: 'star' })).toBe(true);
+      expect(supportsStrokeStyle({ type: 'path' })).toBe(true);
+      expect(supportsStrokeStyle({ type: 'text' })).toBe(false);
+      expect(supportsStrokeStyle({ type: 'sticky' })).toBe(false);
+    });
+  });
+
+  describe('caps and joins', () => {
+    it('rounds strokes and keeps outlines sharp by default', () => {
+      expect(getLineCap({ type: 'line' })).toBe('round');
+      expect(getLineJoin({ type: 'path' })).toBe('round');
+      expect(getLineCap({ type: 'rect' })).toBe('butt');
+      expect(getLineJoin({ type: 'rect' })).toBe('miter');
+    });
+
+    it('uses stored values and ignores unknown ones', () => {
+      expect(getLineCap({ type: 'line', lineCap: 'square' })).toBe('square');
+      expect(getLineJoin({ type: 'rect', lineJoin: 'bevel' })).toBe('bevel');
+      expect(getLineJoin({ type: 'rect', lineJoin: 'wavy' })).toBe('miter');
+    });
+  });
+
+  describe('Konva props', () => {
+    it('maps a shadow to Konva shadow props', () => {
+      const shape = { type: 'rect', shadow: { color: '#000000', blur: 6, offsetX: 2, offsetY: 3, opacity: 0.5 } };
+      expect(getShadowProps(shape)).toEqual({
+        shadowColor: '#000000',
+        shadowBlur: 6,
+        shadowOffsetX: 2,
+        shadowOffsetY: 3,
+        shadowOpacity: 0.5,
+      });
+      expect(getShadowProps({ type: 'rect' })).toEqual({});
+    });
+
+    it('leaves solid outlines without a dash', () => {
+      expect(getStrokeStyleProps({ type: 'rect', dash: [] })).toEqual({ dash: undefined, lineCap: 'butt', lineJoin: 'miter' });
+      expect(getStrokeStyleProps({ type: 'rect', dash: [12, 8] }).dash).toEqual([12, 8]);
+    });
+  });
+
+  describe('getCommonValue', () => {
+    it('returns the shared value or MIXED', () => {
+      const shapes = [{ opacity: 0.5 }, { opacity: 0.5 }];
+      expect(getCommonValue(shapes, getShapeOpacity)).toBe(0.5);
+      expect(getCommonValue([...shapes, {}], getShapeOpacity)).toBe(MIXED);
+      expect(getCommonValue([], getShapeOpacity)).toBeUndefined();
+    });
+
+    it('compares objects by value', () => {
+      const shapes = [{ shadow: { blur: 4 } }, { shadow: { blur: 4 } }];
+      expect(getCommonValue(shapes, getShapeShadow)).toEqual({ ...DEFAULT_SHADOW, blur: 4 });
+    });
+  });
+
+  describe('getStyleUpdate', () => {
+    it('merges shadow changes into the shape shadow', () => {
+      const shape = { type: 'rect', shadow: { color: '#FF0000', blur: 4 } };
+      expect(getStyleUpdate(shape, { shadow: { blur: 12 } })).toEqual({
+        shadow: { ...DEFAULT_SHADOW, color: '#FF0000', blur: 12 },
+      });
+    });
+
+    it('adds a default shadow and removes it with null', () => {
+      expect(getStyleUpdate({ type: 'circle' }, { shadow: {} })).toEqual({ shadow: DEFAULT_SHADOW });
+      expect(getStyleUpdate({ type: 'circle', shadow: DEFAULT_SHADOW }, { shadow: null })).toEqual({ shadow: null });
+    });
+
+    it('skips properties the shape does not support', () => {
+      expect(getStyleUpdate({ type: 'text' }, { opacity: 0.5, dash: [12, 8] })).toEqual({ opacity: 0.5 });
+      expect(getStyleUpdate({ type: 'instance' }, { shadow: {} })).toBeNull();
+    });
+
+    it('returns null when nothing changes', () => {
+      expect(getStyleUpdate({ type: 'rect', opacity: 0.5 }, { opacity: 0.5 })).toBeNull();
+      expect(getStyleUpdate({ type: 'rect', shadow: DEFAULT_SHADOW }, { shadow: {} })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for Transformer helpers
+ */
+
+import { getTransformedAttrs, getTransformStartState } from '../shapeTransform';
+
+// Sticky notes measure their text with Konva, which doesn't load under jsdom
+jest.mock('../textMeasure', () => ({
+  measureTextHeight: () => 20,
+}));
+
+// Minimal stand-in for a Konva node mid-transform
+const node = (attrs) => {
+  const fake = {};
+  Object.entries({ x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1, ...attrs }).forEach(([key, value]) => {
+    fake[key] = () => value;
+  });
+  return fake;
+};
+
+describe('shapeTransform utilities', () => {
+  it('bakes the scale into rectangle sizes', () => {
+    const attrs = getTransformedAttrs(
+      node({ x: 10, y: 20, rotation: 45, width: 100, height: 50, scaleX: 2, scaleY: 0.5 }),
+      { type: 'rect' }
+    );
+    expect(attrs).toEqual({ x: 10, y: 20, rotation: 45, width: 200, height: 25 });
+  });
+
+  it('bakes the scale into ellipse radii and star radii', () => {
+    expect(getTransformedAttrs(node({ radiusX: 40, radiusY: 20, scaleX: 2, scaleY: 3 }), { type: 'ellipse' }))
+      .toEqual(expect.objectContaining({ radiusX: 80, radiusY: 60 }));
+    expect(getTransformedAttrs(node({ innerRadius: 10, outerRadius: 30, scaleX: 2, scaleY: 1 }), { type: 'star' }))
+      .toEqual(expect.objectContaining({ innerRadius: 20, outerRadius: 60 }));
+  });
+
+  it('resizes component instances through their stored size', () => {
+    const attrs = getTransformedAttrs(node({ scaleX: 2, scaleY: 0.5 }), { type: 'instance', width: 120, height: 40 });
+    expect(attrs).toEqual(expect.objectContaining({ width: 240, height: 20 }));
+  });
+
+  it('scales auto-width text by font size but rewraps fixed-width text', () => {
+    expect(getTransformedAttrs(node({ fontSize: 10, width: 50, scaleX: 2, scaleY: 2 }), { type: 'text', fontSize: 10 }))
+      .toEqual(expect.objectContaining({ fontSize: 20 }));
+    const attrs = getTransformedAttrs(
+      node({ fontSize: 10, width: 200, scaleX: 1.5, scaleY: 2 }),
+      { type: 'text', fixedWidth: true, width: 200 }
+    );
+    expect(attrs.width).toBe(300);
+    expect(attrs).not.toHaveProperty('fontSize');
+  });
+
+  it('resizes tables by scaling every column and row', () => {
+    const table = { type: 'table', width: 300, height: 80, columnWidths: [100, 200], rowHeights: [40, 40] };
+    const attrs = getTransformedAttrs(node({ scaleX: 2, scaleY: 0.5 }), table);
+    expect(attrs).toEqual(expect.objectContaining({
+      columnWidths: [200, 400],
+      rowHeights: [20, 20],
+      width: 600,
+      height: 40,
+    }));
+    expect(getTransformStartState({ ...table, x: 0, y: 0 })).toEqual(expect.objectContaining({
+      columnWidths: [100, 200],
+      rowHeights: [40, 40],
+    }));
+  });
+
+  it('scales line and path points', () => {
+    const attrs = getTransformedAttrs(node({ scaleX: 2, scaleY: 3 }), { type: 'line', points: [0, 0, 10, 10] });
+    expect(attrs.points).toEqual([0, 0, 20, 30]);
+  });
+
+  it('never shrinks below the minimum size', () => {
+    const attrs = getTransformedAttrs(node({ width: 100, height: 100, scaleX: 0.01, scaleY: 0.01 }), { type: 'frame' });
+    expect(attrs.width).toBe(5);
+    expect(attrs.height).toBe(5);
+  });
+
+  it('captures the properties a transform can change', () => {
+    expect(getTransformStartState({ type: 'polygon', x: 1, y: 2, radius: 30, fill: 'red' }))
+      .toEqual({ x: 1, y: 2, rotation: 0, radius: 30 });
+    expect(getTransformStartState({ type: 'arrow', x: 0, y: 0, rotation: 10, points: [0, 0, 5, 5] }))
+      .toEqual({ x: 0, y: 0, rotation: 10, points: [0, 0, 5, 5] });
+  });
+});
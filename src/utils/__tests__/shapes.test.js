@@ -10,14 +10,30 @@ jest.mock('uuid', () => ({
 import {
   SHAPE_TYPES,
   DEFAULT_RECT_SIZE,
+  STICKY_COLORS,
   DEFAULT_CIRCLE_RADIUS,
   DEFAULT_TEXT_SIZE,
   DEFAULT_TRIANGLE_SIZE,
+  DEFAULT_LINE_LENGTH,
   createRectangle,
   createCircle,
   createText,
   createTriangle,
+  createLine,
+  createArrow,
+  createPath,
+  createEllipse,
+  createPolygon,
+  createStar,
+  createImage,
+  createSticky,
+  createFrame,
+  createTable,
   createShape,
+  applyShapeChanges,
+  isCenteredShape,
+  getShapeVertices,
+  getCenteredShapeExtent,
 } from '../shapes';
 
 describe('Shape Utilities', () => {
@@ -27,6 +43,226 @@ describe('Shape Utilities', () => {
       expect(SHAPE_TYPES.CIRCLE).toBe('circle');
       expect(SHAPE_TYPES.TEXT).toBe('text');
       expect(SHAPE_TYPES.TRIANGLE).toBe('triangle');
+      expect(SHAPE_TYPES.LINE).toBe('line');
+      expect(SHAPE_TYPES.ARROW).toBe('arrow');
+      expect(SHAPE_TYPES.PATH).toBe('path');
+      expect(SHAPE_TYPES.ELLIPSE).toBe('ellipse');
+      expect(SHAPE_TYPES.POLYGON).toBe('polygon');
+      expect(SHAPE_TYPES.STAR).toBe('star');
+      expect(SHAPE_TYPES.IMAGE).toBe('image');
+      expect(SHAPE_TYPES.STICKY).toBe('sticky');
+      expect(SHAPE_TYPES.FRAME).toBe('frame');
+    });
+  });
+
+  describe('createLine', () => {
+    it('should create a horizontal line centered at given position', () => {
+      const line = createLine(100, 200);
+
+      expect(line.type).toBe(SHAPE_TYPES.LINE);
+      expect(line.x).toBe(100 - DEFAULT_LINE_LENGTH / 2);
+      expect(line.y).toBe(200);
+      expect(line.points).toEqual([0, 0, DEFAULT_LINE_LENGTH, 0]);
+      expect(line.stroke).toBe('#000000');
+      expect(line.dash).toEqual([]);
+      expect(line.startArrowhead).toBe('none');
+      expect(line.endArrowhead).toBe('none');
+      expect(line.fill).toBeUndefined();
+    });
+
+    it('should accept override properties', () => {
+      const line = createLine(0, 0, { points: [0, 0, 10, 10], strokeWidth: 6 });
+
+      expect(line.points).toEqual([0, 0, 10, 10]);
+      expect(line.strokeWidth).toBe(6);
+    });
+  });
+
+  describe('createArrow', () => {
+    it('should create a line with a triangle head at the end', () => {
+      const arrow = createArrow(100, 200);
+
+      expect(arrow.type).toBe(SHAPE_TYPES.ARROW);
+      expect(arrow.points).toEqual([0, 0, DEFAULT_LINE_LENGTH, 0]);
+      expect(arrow.startArrowhead).toBe('none');
+      expect(arrow.endArrowhead).toBe('triangle');
+    });
+
+    it('should let overrides change the heads', () => {
+      const arrow = createArrow(100, 200, { startArrowhead: 'circle', endArrowhead: 'open' });
+
+      expect(arrow.type).toBe(SHAPE_TYPES.ARROW);
+      expect(arrow.startArrowhead).toBe('circle');
+      expect(arrow.endArrowhead).toBe('open');
+    });
+  });
+
+  describe('createPath', () => {
+    it('should create an unfilled stroke starting at the given position', () => {
+      const path = createPath(100, 200, { points: [0, 0, 5, 10, 20, 15] });
+
+      expect(path.type).toBe(SHAPE_TYPES.PATH);
+      expect(path.x).toBe(100);
+      expect(path.y).toBe(200);
+      expect(path.points).toEqual([0, 0, 5, 10, 20, 15]);
+      expect(path.stroke).toBe('#000000');
+      expect(path.fill).toBeUndefined();
+    });
+  });
+
+  describe('createEllipse', () => {
+    it('should create an ellipse centered at the given position', () => {
+      const ellipse = createEllipse(100, 200, { radiusY: 20 });
+
+      expect(ellipse.type).toBe(SHAPE_TYPES.ELLIPSE);
+      expect(ellipse.x).toBe(100);
+      expect(ellipse.y).toBe(200);
+      expect(ellipse.radiusX).toBe(75);
+      expect(ellipse.radiusY).toBe(20);
+    });
+  });
+
+  describe('createPolygon', () => {
+    it('should create a hexagon by default', () => {
+      const polygon = createPolygon(100, 200);
+
+      expect(polygon.type).toBe(SHAPE_TYPES.POLYGON);
+      expect(polygon.sides).toBe(6);
+      expect(polygon.radius).toBe(50);
+    });
+  });
+
+  describe('createStar', () => {
+    it('should create a five-point star by default', () => {
+      const star = createStar(100, 200, { numPoints: 7 });
+
+      expect(star.type).toBe(SHAPE_TYPES.STAR);
+      expect(star.numPoints).toBe(7);
+      expect(star.innerRadius).toBe(25);
+      expect(star.outerRadius).toBe(50);
+    });
+  });
+
+  describe('createImage', () => {
+    it('should center the image on the given position', () => {
+      const image = createImage(300, 200, {
+        width: 400,
+        height: 100,
+        src: 'https://example.com/a.png',
+        storagePath: 'boards/b1/images/a.png',
+      });
+
+      expect(image.type).toBe(SHAPE_TYPES.IMAGE);
+      expect(image.x).toBe(100);
+      expect(image.y).toBe(150);
+      expect(image.src).toBe('https://example.com/a.png');
+      expect(image.storagePath).toBe('boards/b1/images/a.png');
+    });
+
+    it('should default to no source', () => {
+      const image = createImage(0, 0);
+
+      expect(image.src).toBeNull();
+      expect(image.storagePath).toBeNull();
+      expect(image.width).toBe(200);
+      expect(image.height).toBe(150);
+    });
+  });
+
+  describe('createSticky', () => {
+    it('should create an empty note centered at the given position', () => {
+      const sticky = createSticky(300, 200);
+
+      expect(sticky.type).toBe(SHAPE_TYPES.STICKY);
+      expect(sticky.x).toBe(200);
+      expect(sticky.y).toBe(100);
+      expect(sticky.text).toBe('');
+      expect(sticky.minHeight).toBe(sticky.height);
+      expect(STICKY_COLORS).toContain(sticky.fill);
+    });
+
+    it('should use the given height as the minimum height', () => {
+      const sticky = createSticky(0, 0, { height: 120, fill: STICKY_COLORS[2] });
+
+      expect(sticky.height).toBe(120);
+      expect(sticky.minHeight).toBe(120);
+      expect(sticky.fill).toBe(STICKY_COLORS[2]);
+    });
+  });
+
+  describe('createFrame', () => {
+    it('should create a clipping frame centered at the given position', () => {
+      const frame = createFrame(300, 200);
+
+      expect(frame.type).toBe(SHAPE_TYPES.FRAME);
+      expect(frame.x).toBe(100);
+      expect(frame.y).toBe(50);
+      expect(frame.width).toBe(400);
+      expect(frame.height).toBe(300);
+      expect(frame.name).toBe('Frame');
+      expect(frame.clipContent).toBe(true);
+    });
+
+    it('should be created by createShape', () => {
+      expect(createShape(SHAPE_TYPES.FRAME, 0, 0, { name: 'Mobile' })).toMatchObject({
+        type: SHAPE_TYPES.FRAME,
+        name: 'Mobile',
+      });
+    });
+  });
+
+  describe('createTable', () => {
+    it('should create an empty 3×3 table centered at the given position', () => {
+      const table = createTable(300, 200);
+
+      expect(table.type).toBe(SHAPE_TYPES.TABLE);
+      expect(table.columnWidths).toEqual([120, 120, 120]);
+      expect(table.rowHeights).toEqual([40, 40, 40]);
+      expect(table.width).toBe(360);
+      expect(table.height).toBe(120);
+      expect(table.x).toBe(120);
+      expect(table.y).toBe(140);
+      expect(table.cells).toEqual({});
+    });
+
+    it('should take row and column counts', () => {
+      const table = createShape(SHAPE_TYPES.TABLE, 0, 0, { rows: 2, columns: 4 });
+
+      expect(table.rowHeights).toHaveLength(2);
+      expect(table.columnWidths).toHaveLength(4);
+      expect(table).not.toHaveProperty('rows');
+      expect(table).not.toHaveProperty('columns');
+    });
+  });
+
+  describe('centered shape geometry', () => {
+    it('should identify shapes positioned by their center', () => {
+      expect(isCenteredShape({ type: 'circle' })).toBe(true);
+      expect(isCenteredShape({ type: 'star' })).toBe(true);
+      expect(isCenteredShape({ type: 'rect' })).toBe(false);
+    });
+
+    it('should place the first vertex straight up', () => {
+      const [first, second] = getShapeVertices({ type: 'polygon', sides: 4, radius: 10 });
+
+      expect(first.x).toBeCloseTo(0);
+      expect(first.y).toBeCloseTo(-10);
+      expect(second.x).toBeCloseTo(10);
+      expect(second.y).toBeCloseTo(0);
+    });
+
+    it('should alternate outer and inner star radii', () => {
+      const vertices = getShapeVertices({ type: 'star', numPoints: 5, innerRadius: 10, outerRadius: 30 });
+
+      expect(vertices).toHaveLength(10);
+      expect(Math.hypot(vertices[0].x, vertices[0].y)).toBeCloseTo(30);
+      expect(Math.hypot(vertices[1].x, vertices[1].y)).toBeCloseTo(10);
+    });
+
+    it('should give the extent around the center', () => {
+      expect(getCenteredShapeExtent({ type: 'ellipse', radiusX: 30, radiusY: 10 }))
+        .toEqual({ left: -30, top: -10, width: 60, height: 20 });
+      expect(getCenteredShapeExtent({ type: 'rect' })).toBeNull();
     });
   });
 
@@ -44,6 +280,7 @@ describe('Shape Utilities', () => {
       expect(rect.fill).toMatch(/^#[0-9A-F]{6}$/i);
       expect(rect.stroke).toBe('#000000');
       expect(rect.strokeWidth).toBe(2);
+      expect(rect.cornerRadius).toBe(0);
       expect(rect.draggable).toBe(true);
     });
 
@@ -112,6 +349,17 @@ describe('Shape Utilities', () => {
       expect(text.draggable).toBe(true);
     });
 
+    it('should start as auto-width, left-aligned plain text', () => {
+      expect(createText(0, 0)).toMatchObject({
+        fontFamily: 'Arial',
+        align: 'left',
+        lineHeight: 1,
+        letterSpacing: 0,
+        listStyle: 'none',
+        fixedWidth: false,
+      });
+    });
+
     it('should accept custom text content and center accordingly', () => {
       const text = createText(100, 200, 'Hello World');
       
@@ -195,6 +443,23 @@ describe('Shape Utilities', () => {
       expect(shape.height).toBeDefined();
     });
 
+    it('should create lines and arrows by type', () => {
+      expect(createShape(SHAPE_TYPES.LINE, 100, 200).type).toBe(SHAPE_TYPES.LINE);
+      expect(createShape(SHAPE_TYPES.ARROW, 100, 200).type).toBe(SHAPE_TYPES.ARROW);
+    });
+
+    it('should create ellipses, polygons and stars by type', () => {
+      expect(createShape(SHAPE_TYPES.ELLIPSE, 100, 200).type).toBe(SHAPE_TYPES.ELLIPSE);
+      expect(createShape(SHAPE_TYPES.POLYGON, 100, 200).type).toBe(SHAPE_TYPES.POLYGON);
+      expect(createShape(SHAPE_TYPES.STAR, 100, 200).type).toBe(SHAPE_TYPES.STAR);
+      expect(createShape(SHAPE_TYPES.IMAGE, 100, 200).type).toBe(SHAPE_TYPES.IMAGE);
+      expect(createShape(SHAPE_TYPES.STICKY, 100, 200).type).toBe(SHAPE_TYPES.STICKY);
+    });
+
+    it('should create a path when type is path', () => {
+      expect(createShape(SHAPE_TYPES.PATH, 100, 200).type).toBe(SHAPE_TYPES.PATH);
+    });
+
     it('should throw error for unknown shape type', () => {
       expect(() => createShape('unknown', 100, 200)).toThrow('Unknown shape type: unknown');
     });
@@ -205,5 +470,35 @@ describe('Shape Utilities', () => {
       expect(shape.fill).toBe('#ABCDEF');
     });
   });
+
+  describe('applyShapeChanges', () => {
+    const shapes = [
+      { id: 'a', type: 'rect', x: 0, y: 0 },
+      { id: 't', type: 'table', cells: { r0c0: 'A', r0c1: 'B' } },
+    ];
+
+    it('creates, updates and deletes shapes in order', () => {
+      const result = applyShapeChanges(shapes, [
+        { type: 'create', shape: { id: 'b', type: 'rect', x: 5, y: 5 } },
+        { type: 'update', id: 'b', props: { x: 10 } },
+        { type: 'delete', id: 'a' },
+      ]);
+
+      expect(result.map(shape => shape.id)).toEqual(['t', 'b']);
+      expect(result[1]).toEqual({ id: 'b', type: 'rect', x: 10, y: 5 });
+    });
+
+    it('changes one table cell and keeps the rest', () => {
+      const result = applyShapeChanges(shapes, [{ type: 'cell', id: 't', cellKey: 'r0c1', text: 'C' }]);
+
+      expect(result[1].cells).toEqual({ r0c0: 'A', r0c1: 'C' });
+    });
+
+    it('leaves the shapes passed in alone', () => {
+      applyShapeChanges(shapes, [{ type: 'update', id: 'a', props: { x: 50 } }]);
+
+      expect(shapes[0].x).toBe(0);
+    });
+  });
 });
 
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for snap-to-grid and smart guide snapping
+ */
+
+import {
+  DEFAULT_SNAP_SETTINGS,
+  loadSnapSettings,
+  saveSnapSettings,
+  isSnapSuspended,
+  getSnapOptions,
+  snapToGrid,
+  getGridDrawSize,
+  getSnapTargets,
+  getAlignmentGuides,
+  getMoveSnap,
+  getResizeSnap,
+} from '../snapping';
+
+const box = (x, y, width = 100, height = 50) => ({ x, y, width, height });
+
+describe('Snapping Utilities', () => {
+  describe('snap settings', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('defaults when nothing is saved', () => {
+      expect(loadSnapSettings()).toEqual(DEFAULT_SNAP_SETTINGS);
+    });
+
+    it('round-trips saved settings', () => {
+      saveSnapSettings({ grid: true, gridSize: 20, guides: false, rulers: false });
+      expect(loadSnapSettings()).toEqual({ grid: true, gridSize: 20, guides: false, rulers: false });
+    });
+
+    it('replaces invalid saved values with defaults', () => {
+      localStorage.setItem('snapSettings', JSON.stringify({ grid: 'yes', gridSize: 13 }));
+      expect(loadSnapSettings()).toEqual(DEFAULT_SNAP_SETTINGS);
+    });
+  });
+
+  describe('isSnapSuspended', () => {
+    it('holds off snapping while Ctrl or Cmd is down', () => {
+      expect(isSnapSuspended({ ctrlKey: true })).toBe(true);
+      expect(isSnapSuspended({ metaKey: true })).toBe(true);
+      expect(isSnapSuspended({ shiftKey: true })).toBe(false);
+      expect(isSnapSuspended(undefined)).toBe(false);
+    });
+  });
+
+  describe('getSnapOptions', () => {
+    it('keeps the threshold constant on screen', () => {
+      expect(getSnapOptions(DEFAULT_SNAP_SETTINGS, 2).threshold).toBe(3);
+    });
+
+    it('turns everything off while suspended', () => {
+      const settings = { grid: true, gridSize: 20, guides: true };
+      expect(getSnapOptions(settings, 1)).toEqual({ threshold: 6, gridSize: 20, guides: true });
+      expect(getSnapOptions(settings, 1, true)).toEqual({ threshold: 6, gridSize: null, guides: false });
+    });
+  });
+
+  describe('grid', () => {
+    it('rounds to the nearest grid line', () => {
+      expect(snapToGrid(74, 50)).toBe(50);
+      expect(snapToGrid(76, 50)).toBe(100);
+      expect(snapToGrid(-12, 10)).toBe(-10);
+    });
+
+    it('draws a coarser grid when zoomed out', () => {
+      expect(getGridDrawSize(10, 1)).toBe(10);
+      expect(getGridDrawSize(10, 0.25)).toBe(40);
+    });
+  });
+
+  describe('getSnapTargets', () => {
+    it('uses the bounds of every other shape except groups', () => {
+      const shapes = [
+        { id: 'a', type: 'rect', x: 0, y: 0, width: 10, height: 10 },
+        { id: 'b', type: 'circle', x: 50, y: 50, radius: 5 },
+        { id: 'g', type: 'group' },
+      ];
+      expect(getSnapTargets(shapes, ['a'])).toEqual([{ x: 45, y: 45, width: 10, height: 10 }]);
+    });
+  });
+
+  describe('getMoveSnap', () => {
+    const targets = [box(200, 0)];
+
+    it('snaps an edge to a nearby shape edge', () => {
+      const { dx, dy } = getMoveSnap(box(96, 300), targets);
+      expect(dx).toBe(4); // Right edge onto the target's left edge
+      expect(dy).toBe(0);
+    });
+
+    it('snaps centers', () => {
+      expect(getMoveSnap(box(203, 300), targets).dx).toBe(-3);
+    });
+
+    it('leaves shapes out of range alone', () => {
+      expect(getMoveSnap(box(50, 300), targets)).toEqual({ dx: 0, dy: 0, guides: [] });
+    });
+
+    it('falls back to the grid', () => {
+      const { dx, dy } = getMoveSnap(box(50, 312), targets, { gridSize: 25 });
+      expect(dx).toBe(0);
+      expect(dy).toBe(-12);
+    });
+
+    it('snaps to ruler guides along their own axis', () => {
+      const rulerGuides = [{ orientation: 'vertical', position: 52 }, { orientation: 'horizontal', position: 298 }];
+      expect(getMoveSnap(box(50, 300), rulerGuides)).toEqual({ dx: 2, dy: -2, guides: [] });
+    });
+
+    it('prefers shapes to the grid', () => {
+      expect(getMoveSnap(box(96, 300), targets, { gridSize: 25 }).dx).toBe(4);
+    });
+
+    it('only uses the grid without guides', () => {
+      expect(getMoveSnap(box(96, 300), targets, { gridSize: 25, guides: false })).toEqual({ dx: 4, dy: 0, guides: [] });
+      expect(getMoveSnap(box(96, 300), targets, { guides: false })).toEqual({ dx: 0, dy: 0, guides: [] });
+    });
+
+    it('shows a guide with the distance to the aligned shape', () => {
+      const { guides } = getMoveSnap(box(202, 100), targets);
+      expect(guides).toEqual([
+        {
+          orientation: 'vertical',
+          position: 200,
+          start: 0,
+          end: 150,
+          distance: { start: 50, end: 100, length: 50 },
+        },
+        expect.objectContaining({ position: 250 }),
+        expect.objectContaining({ position: 300 }),
+      ]);
+    });
+  });
+
+  describe('getAlignmentGuides', () => {
+    it('joins shapes aligned on the same line into one guide', () => {
+      const guides = getAlignmentGuides(box(0, 100, 50, 50), [box(100, 100, 20, 20), box(300, 80, 20, 20)]);
+      const top = guides.find(guide => guide.orientation === 'horizontal' && guide.position === 100);
+      expect(top).toEqual({
+        orientation: 'horizontal',
+        position: 100,
+        start: 0,
+        end: 320, // The second shape's bottom edge lines up too
+        distance: { start: 50, end: 100, length: 50 },
+      });
+    });
+  });
+
+  describe('getResizeSnap', () => {
+    const targets = [box(200, 0)];
+
+    it('snaps only the edge being dragged', () => {
+      const { box: snapped } = getResizeSnap(box(0, 0, 197, 50), box(0, 0, 150, 50), targets);
+      expect(snapped).toEqual({ x: 0, y: 0, width: 200, height: 50 });
+    });
+
+    it('snaps a dragged left edge', () => {
+      const { box: snapped } = getResizeSnap(box(203, 100, 97, 50), box(210, 100, 90, 50), targets);
+      expect(snapped).toEqual({ x: 200, y: 100, width: 100, height: 50 });
+    });
+
+    it('snaps edges to the grid', () => {
+      const { box: snapped } = getResizeSnap(box(0, 300, 62, 50), box(0, 300, 60, 50), [], { gridSize: 25 });
+      expect(snapped.width).toBe(50);
+    });
+
+    it('keeps the aspect ratio of corner resizes', () => {
+      const { box: snapped } = getResizeSnap(box(0, 100, 196, 98), box(0, 100, 100, 50), targets);
+      expect(snapped).toEqual({ x: 0, y: 100, width: 200, height: 100 });
+    });
+
+    it('leaves resizes from the center alone', () => {
+      const { box: snapped } = getResizeSnap(box(-2, 100, 204, 50), box(0, 100, 200, 50), targets);
+      expect(snapped).toEqual(box(-2, 100, 204, 50));
+    });
+  });
+});
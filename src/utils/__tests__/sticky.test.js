@@ -0,0 +1,49 @@
+/**
+ * Unit tests for sticky note layout helpers
+ */
+
+import {
+  STICKY_PADDING,
+  STICKY_LINE_HEIGHT,
+  isStickyShape,
+  getStickyTextWidth,
+  getStickyTextStyle,
+  getStickyHeight,
+} from '../sticky';
+
+describe('sticky utilities', () => {
+  const sticky = { type: 'sticky', width: 200, height: 200, minHeight: 200, fontSize: 18 };
+
+  it('identifies sticky notes', () => {
+    expect(isStickyShape(sticky)).toBe(true);
+    expect(isStickyShape({ type: 'text' })).toBe(false);
+    expect(isStickyShape(null)).toBe(false);
+  });
+
+  it('wraps text inside the padding', () => {
+    expect(getStickyTextWidth(sticky)).toBe(200 - STICKY_PADDING * 2);
+    expect(getStickyTextStyle(sticky)).toEqual(expect.objectContaining({
+      width: 200 - STICKY_PADDING * 2,
+      fontSize: 18,
+      lineHeight: STICKY_LINE_HEIGHT,
+    }));
+  });
+
+  describe('getStickyHeight', () => {
+    it('keeps the chosen size while the text fits', () => {
+      expect(getStickyHeight(sticky, 40)).toBe(200);
+    });
+
+    it('grows to fit longer text', () => {
+      expect(getStickyHeight(sticky, 300)).toBe(300 + STICKY_PADDING * 2);
+    });
+
+    it('shrinks back to minHeight when text is removed', () => {
+      expect(getStickyHeight({ ...sticky, height: 400 }, 20)).toBe(200);
+    });
+
+    it('falls back to height for notes without minHeight', () => {
+      expect(getStickyHeight({ width: 200, height: 150 }, 10)).toBe(150);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit tests for vector SVG export
+ */
+
+import { SHAPES_LAYER_NAME, nodeToSVG, stageToSVG } from '../svgExport';
+
+// Konva nodes answer attribute getters with their defaults when an attribute isn't set
+const KONVA_DEFAULTS = {
+  visible: true,
+  opacity: 1,
+  strokeWidth: 2,
+  fillEnabled: true,
+  strokeEnabled: true,
+  dashEnabled: true,
+  tension: 0,
+  closed: false,
+  hasShadow: false,
+  fillPriority: 'color',
+  absoluteRotation: 0,
+  padding: 0,
+  lineHeight: 1,
+  align: 'left',
+  verticalAlign: 'top',
+  fontFamily: 'Arial',
+  fontStyle: 'normal',
+  textDecoration: '',
+  letterSpacing: 0,
+};
+
+const fakeNode = (className, attrs = {}, children = []) => {
+  const values = { ...KONVA_DEFAULTS, ...attrs };
+  const methods = {
+    getClassName: () => className,
+    getChildren: () => children,
+    getTransform: () => ({ getMatrix: () => values.matrix || [1, 0, 0, 1, 0, 0] }),
+    getAbsoluteRotation: () => values.absoluteRotation,
+    getWidth: () => values.width,
+    getHeight: () => values.height,
+    textArr: values.textArr,
+  };
+  return new Proxy(methods, {
+    get: (target, key) => (key in target ? target[key] : () => values[key]),
+  });
+};
+
+const render = (node) => {
+  const context = { defs: [], nextId: 1 };
+  return { markup: nodeToSVG(node, context), defs: context.defs };
+};
+
+describe('svgExport', () => {
+  describe('nodeToSVG', () => {
+    it('writes fills, outlines, dashes, caps and joins', () => {
+      const { markup } = render(fakeNode('Rect', {
+        width: 100,
+        height: 50,
+        cornerRadius: 8,
+        fill: '#FF0000',
+        stroke: '#000000',
+        strokeWidth: 3,
+        dash: [12, 8],
+        lineCap: 'round',
+        lineJoin: 'bevel',
+        matrix: [1, 0, 0, 1, 10, 20],
+      }));
+      expect(markup).toBe('<rect transform="matrix(1 0 0 1 10 20)" width="100" height="50" rx="8" fill="#FF0000" '
+        + 'stroke="#000000" stroke-width="3" stroke-dasharray="12 8" stroke-linecap="round" stroke-linejoin="bevel"/>');
+    });
+
+    it('writes opacity and a drop shadow filter', () => {
+      const { markup, defs } = render(fakeNode('Circle', {
+        radius: 20,
+        fill: '#00FF00',
+        opacity: 0.5,
+        hasShadow: true,
+        shadowColor: '#000000',
+        shadowBlur: 10,
+        shadowOffsetX: 4,
+        shadowOffsetY: 6,
+        shadowOpacity: 0.3,
+      }));
+      expect(markup).toBe('<circle r="20" fill="#00FF00" opacity="0.5" filter="url(#shadow-1)"/>');
+      expect(defs[0]).toContain('<feDropShadow dx="4" dy="6" stdDeviation="5" flood-color="#000000" flood-opacity="0.3"/>');
+    });
+
+    it('keeps shadow offsets on screen for rotated shapes', () => {
+      const { defs } = render(fakeNode('Rect', {
+        width: 10,
+        height: 10,
+        fill: '#000000',
+        hasShadow: true,
+        shadowOffsetX: 4,
+        shadowOffsetY: 0,
+        absoluteRotation: 90,
+      }));
+      expect(defs[0]).toContain('dx="0" dy="-4"');
+    });
+
+    it('skips hidden nodes, editing UI and invisible hit areas', () => {
+      expect(render(fakeNode('Rect', { width: 10, height: 10, fill: '#000000', visible: false })).markup).toBe('');
+      expect(render(fakeNode('Transformer')).markup).toBe('');
+      expect(render(fakeNode('Rect', { width: 10, height: 10, fill: 'transparent' })).markup).toBe('');
+    });
+
+    it('draws open lines as unfilled paths', () => {
+      const { markup } = render(fakeNode('Line', { points: [0, 0, 10, 10, 20, 0], stroke: '#0000FF' }));
+      expect(markup).toBe('<path d="M0 0 L10 10 L20 0" fill="none" stroke="#0000FF" stroke-width="2"/>');
+    });
+
+    it('closes and fills closed lines', () => {
+      const { markup } = render(fakeNode('Line', { points: [0, 0, 10, 10, 0, 10], closed: true, fill: '#123456' }));
+      expect(markup).toBe('<path d="M0 0 L10 10 L0 10 Z" fill="#123456"/>');
+    });
+
+    it('follows Konva curves for lines with tension', () => {
+      const line = fakeNode('Line', {
+        points: [0, 0, 10, 10, 20, 0],
+        tension: 0.4,
+        stroke: '#000000',
+        getTensionPoints: [6, 10, 10, 10, 14, 10],
+      });
+      expect(render(line).markup).toContain('d="M0 0 Q6 10 10 10 Q14 10 20 0"');
+    });
+
+    it('clips group contents like a clipping frame', () => {
+      const group = fakeNode('Group', { clipX: 0, clipY: 0, clipWidth: 50, clipHeight: 40, opacity: 0.8 }, [
+        fakeNode('Ellipse', { radiusX: 30, radiusY: 20, fill: '#FFFFFF', stroke: '#000000', strokeWidth: 1 }),
+      ]);
+      const { markup, defs } = render(group);
+      expect(markup).toBe('<g opacity="0.8" clip-path="url(#clip-1)"><ellipse rx="30" ry="20" fill="#FFFFFF" stroke="#000000" stroke-width="1"/></g>');
+      expect(defs[0]).toBe('<clipPath id="clip-1"><rect x="0" y="0" width="50" height="40"/></clipPath>');
+    });
+
+    it('drops empty groups', () => {
+      expect(render(fakeNode('Group', {}, [fakeNode('Rect', { fill: 'transparent' })])).markup).toBe('');
+    });
+
+    it('lays out text lines as escaped tspans', () => {
+      const { markup } = render(fakeNode('Text', {
+        text: 'A & B\nC',
+        fontSize: 20,
+        lineHeight: 1.5,
+        width: 100,
+        height: 60,
+        align: 'center',
+        fontStyle: 'bold',
+        fill: '#333333',
+        textArr: [
+          { text: 'A & B', width: 50, lastInParagraph: true },
+          { text: 'C', width: 10, lastInParagraph: true },
+        ],
+      }));
+      expect(markup).toContain('font-weight="bold"');
+      expect(markup).toContain('<tspan x="25" y="15">A &amp; B</tspan><tspan x="45" y="45">C</tspan>');
+    });
+
+    it('embeds images by address', () => {
+      const { markup } = render(fakeNode('Image', { width: 40, height: 30, image: { src: 'https://example.com/a.png' } }));
+      expect(markup).toBe('<g><image width="40" height="30" href="https://example.com/a.png" preserveAspectRatio="none"/></g>');
+    });
+
+    it('inlines images loaded from object URLs', () => {
+      const drawImage = jest.fn();
+      const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage });
+      const toDataURL = jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+      const image = { src: 'blob:http://localhost/1', naturalWidth: 40, naturalHeight: 30 };
+
+      const { markup } = render(fakeNode('Image', { width: 40, height: 30, image }));
+      expect(drawImage).toHaveBeenCalledWith(image, 0, 0);
+      expect(markup).toContain('href="data:image/png;base64,AAAA"');
+
+      getContext.mockRestore();
+      toDataURL.mockRestore();
+    });
+
+    it('writes linear gradient fills as gradient defs', () => {
+      const { markup, defs } = render(fakeNode('Rect', {
+        width: 100,
+        height: 50,
+        fill: '#FF0000',
+        fillPriority: 'linear-gradient',
+        fillLinearGradientStartPoint: { x: 0, y: 25 },
+        fillLinearGradientEndPoint: { x: 100, y: 25 },
+        fillLinearGradientColorStops: [0, '#ff0000', 1, '#0000ff'],
+      }));
+
+      expect(markup).toBe('<rect width="100" height="50" fill="url(#gradient-1)"/>');
+      expect(defs).toEqual([
+        '<linearGradient id="gradient-1" gradientUnits="userSpaceOnUse" x1="0" y1="25" x2="100" y2="25">'
+        + '<stop offset="0" stop-color="#ff0000"/><stop offset="1" stop-color="#0000ff"/></linearGradient>',
+      ]);
+    });
+
+    it('writes radial gradient fills around their center', () => {
+      const { markup, defs } = render(fakeNode('Circle', {
+        radius: 20,
+        fill: '#FF0000',
+        fillPriority: 'radial-gradient',
+        fillRadialGradientStartPoint: { x: 0, y: 0 },
+        fillRadialGradientEndPoint: { x: 0, y: 0 },
+        fillRadialGradientStartRadius: 0,
+        fillRadialGradientEndRadius: 20,
+        fillRadialGradientColorStops: [0, '#ffffff', 0.5, '#00ff00', 1, '#0000ff'],
+      }));
+
+      expect(markup).toContain('fill="url(#gradient-1)"');
+      expect(defs[0]).toMatch(/^<radialGradient id="gradient-1" gradientUnits="userSpaceOnUse" cx="0" cy="0" r="20" fx="0" fy="0">/);
+      expect(defs[0]).toContain('<stop offset="0.5" stop-color="#00ff00"/>');
+    });
+
+    it('falls back to the solid fill without gradient stops', () => {
+      const { markup, defs } = render(fakeNode('Rect', {
+        width: 10,
+        height: 10,
+        fill: '#FF0000',
+        fillPriority: 'linear-gradient',
+      }));
+      expect(markup).toContain('fill="#FF0000"');
+      expect(defs).toEqual([]);
+    });
+
+    it('draws regular polygons and stars around their center', () => {
+      const { markup } = render(fakeNode('RegularPolygon', { sides: 4, radius: 10, fill: '#000000' }));
+      expect(markup).toBe('<polygon points="0,-10 10,0 0,10 -10,0" fill="#000000"/>');
+      expect(render(fakeNode('Star', { numPoints: 5, innerRadius: 5, outerRadius: 10, fill: '#000000' })).markup)
+        .toMatch(/^<polygon points="0,-10 2.939,-4.045 /);
+    });
+  });
+
+  describe('stageToSVG', () => {
+    it('covers the shapes layer with padding', () => {
+      const layer = fakeNode('Layer', {}, [fakeNode('Rect', { width: 100, height: 50, fill: '#FF0000' })]);
+      layer.getClientRect = () => ({ x: 10, y: 20, width: 100, height: 50 });
+      const stage = { findOne: jest.fn(() => layer) };
+
+      const svg = stageToSVG(stage, { padding: 10 });
+
+      expect(stage.findOne).toHaveBeenCalledWith(`.${SHAPES_LAYER_NAME}`);
+      expect(svg).toContain('<?xml version');
+      expect(svg).toContain('width="120" height="70" viewBox="0 10 120 70"');
+      expect(svg).toContain('<rect width="100" height="50" fill="#FF0000"/>');
+      expect(svg).not.toContain('<defs>');
+    });
+
+    it('throws without a shapes layer', () => {
+      expect(() => stageToSVG({ findOne: () => undefined })).toThrow('Shapes layer is not on the canvas');
+    });
+  });
+});
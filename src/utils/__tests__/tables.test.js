@@ -0,0 +1,136 @@
+/**
+ * Tests for table layout helpers
+ */
+
+import {
+  MIN_TABLE_COLUMN_WIDTH,
+  getCellKey,
+  getCellText,
+  getTrackOffsets,
+  getCellRect,
+  getCellAt,
+  parseCellKey,
+  resizeTableColumn,
+  resizeTableRow,
+  scaleTable,
+  addTableRow,
+  addTableColumn,
+  removeTableRow,
+  removeTableColumn,
+  createCellsFromRows,
+} from '../tables';
+
+const table = {
+  id: 'table',
+  type: 'table',
+  x: 0,
+  y: 0,
+  width: 300,
+  height: 80,
+  columnWidths: [100, 200],
+  rowHeights: [30, 50],
+  cells: { r0c0: 'Name', r0c1: 'Role', r1c0: 'Ada', r1c1: 'Engineer' },
+};
+
+describe('tables', () => {
+  describe('cell keys', () => {
+    test('round-trip through parseCellKey', () => {
+      expect(getCellKey(3, 12)).toBe('r3c12');
+      expect(parseCellKey('r3c12')).toEqual({ row: 3, column: 12 });
+    });
+
+    test('reject malformed keys', () => {
+      expect(parseCellKey('cells.r0c0')).toBeNull();
+      expect(parseCellKey(null)).toBeNull();
+    });
+
+    test('read empty text for cells never written', () => {
+      expect(getCellText(table, 'r1c0')).toBe('Ada');
+      expect(getCellText(table, 'r5c5')).toBe('');
+      expect(getCellText({ ...table, cells: undefined }, 'r0c0')).toBe('');
+    });
+  });
+
+  describe('geometry', () => {
+    test('getTrackOffsets lists every start plus the end', () => {
+      expect(getTrackOffsets([100, 200])).toEqual([0, 100, 300]);
+    });
+
+    test('getCellRect is relative to the table corner', () => {
+      expect(getCellRect(table, 1, 1)).toEqual({ x: 100, y: 30, width: 200, height: 50 });
+    });
+
+    test('getCellAt finds the cell under a point', () => {
+      expect(getCellAt(table, 150, 10)).toEqual({ row: 0, column: 1 });
+      expect(getCellAt(table, 0, 30)).toEqual({ row: 1, column: 0 });
+      expect(getCellAt(table, 300, 10)).toBeNull();
+      expect(getCellAt(table, -1, 10)).toBeNull();
+    });
+  });
+
+  describe('resizing', () => {
+    test('a column keeps the table width in sync', () => {
+      expect(resizeTableColumn(table, 0, 150)).toEqual({ columnWidths: [150, 200], width: 350 });
+    });
+
+    test('a column never gets narrower than the minimum', () => {
+      expect(resizeTableColumn(table, 1, -20).columnWidths[1]).toBe(MIN_TABLE_COLUMN_WIDTH);
+    });
+
+    test('a row keeps the table height in sync', () => {
+      expect(resizeTableRow(table, 1, 20)).toEqual({ rowHeights: [30, 20], height: 50 });
+    });
+
+    test('scaleTable scales every track', () => {
+      expect(scaleTable(table, 2, 0.5)).toEqual({
+        columnWidths: [200, 400],
+        rowHeights: [20, 25],
+        width: 600,
+        height: 45,
+      });
+    });
+  });
+
+  describe('adding and removing tracks', () => {
+    test('adds a row and a column like the last ones', () => {
+      expect(addTableRow(table)).toEqual({ rowHeights: [30, 50, 50], height: 130 });
+      expect(addTableColumn(table)).toEqual({ columnWidths: [100, 200, 200], width: 500 });
+    });
+
+    test('removing the last row drops its cells', () => {
+      expect(removeTableRow(table)).toEqual({
+        rowHeights: [30],
+        height: 30,
+        cells: { r0c0: 'Name', r0c1: 'Role' },
+      });
+    });
+
+    test('removing the last column drops its cells', () => {
+      expect(removeTableColumn(table)).toEqual({
+        columnWidths: [100],
+        width: 100,
+        cells: { r0c0: 'Name', r1c0: 'Ada' },
+      });
+    });
+
+    test('keeps at least one row and column', () => {
+      const single = { ...table, columnWidths: [100], rowHeights: [30] };
+      expect(removeTableRow(single)).toBeNull();
+      expect(removeTableColumn(single)).toBeNull();
+    });
+  });
+
+  describe('createCellsFromRows', () => {
+    test('keys texts by position and skips empty cells', () => {
+      expect(createCellsFromRows([['A', '', 'C'], [null, 2]])).toEqual({
+        r0c0: 'A',
+        r0c2: 'C',
+        r1c1: '2',
+      });
+    });
+
+    test('ignores rows that are not arrays', () => {
+      expect(createCellsFromRows(['oops', ['x']])).toEqual({ r1c0: 'x' });
+    });
+  });
+});
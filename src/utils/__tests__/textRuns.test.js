@@ -0,0 +1,161 @@
+/**
+ * Tests for rich text runs
+ */
+
+import {
+  normalizeRuns,
+  getRunsText,
+  hasRunFormatting,
+  getTextRuns,
+  getRunStyle,
+  layoutTextRuns,
+  writeRunsToElement,
+  readRunsFromElement,
+} from '../textRuns';
+
+// Every character is 10 wide, bold ones 12
+const measure = (text, fontStyle) => text.length * (fontStyle.includes('bold') ? 12 : 10);
+
+const fragmentsOf = (layout) => layout.lines.map(line => line.fragments.map(f => f.text));
+
+describe('textRuns', () => {
+  describe('normalizeRuns', () => {
+    test('merges neighbours with the same formatting and drops empty runs', () => {
+      expect(normalizeRuns([
+        { text: 'Hello ', bold: true },
+        { text: '' },
+        { text: 'world', bold: true },
+        { text: '!' },
+      ])).toEqual([{ text: 'Hello world', bold: true }, { text: '!' }]);
+    });
+
+    test('leaves out unknown keys and undefined values', () => {
+      expect(normalizeRuns([{ text: 'a', bold: undefined, color: '#ff0000', size: 40 }]))
+        .toEqual([{ text: 'a', color: '#ff0000' }]);
+    });
+  });
+
+  test('hasRunFormatting is false for plain runs', () => {
+    expect(hasRunFormatting([{ text: 'plain' }])).toBe(false);
+    expect(hasRunFormatting([{ text: 'plain' }, { text: 'red', color: '#ff0000' }])).toBe(true);
+  });
+
+  describe('getTextRuns', () => {
+    test('uses the runs while they spell out the text', () => {
+      const shape = { text: 'Hi there', runs: [{ text: 'Hi', bold: true }, { text: ' there' }] };
+      expect(getTextRuns(shape)).toEqual(shape.runs);
+    });
+
+    test('falls back to plain text when the text was changed without them', () => {
+      const shape = { text: 'Changed', runs: [{ text: 'Hi', bold: true }] };
+      expect(getTextRuns(shape)).toEqual([{ text: 'Changed' }]);
+      expect(getTextRuns({ text: '' })).toEqual([]);
+    });
+  });
+
+  test('getRunStyle layers run formatting over the shape', () => {
+    const base = { fontStyle: 'italic', textDecoration: 'underline', fill: '#000000' };
+    expect(getRunStyle({ text: 'a', bold: true, underline: false, color: '#ff0000' }, base)).toEqual({
+      fontStyle: 'bold italic',
+      textDecoration: '',
+      fill: '#ff0000',
+    });
+    expect(getRunStyle({ text: 'a', italic: false, strike: true }, base)).toEqual({
+      fontStyle: 'normal',
+      textDecoration: 'underline line-through',
+      fill: '#000000',
+    });
+  });
+
+  describe('layoutTextRuns', () => {
+    const options = { fontSize: 10, fill: '#000000' };
+
+    test('measures each run in its own format', () => {
+      const layout = layoutTextRuns([{ text: 'ab', bold: true }, { text: 'cd' }], options, measure);
+      expect(layout.width).toBe(44);
+      expect(layout.lines[0].fragments).toEqual([
+        { x: 0, text: 'ab', width: 24, fontStyle: 'bold', textDecoration: '', fill: '#000000' },
+        { x: 24, text: 'cd', width: 20, fontStyle: 'normal', textDecoration: '', fill: '#000000' },
+      ]);
+    });
+
+    test('starts a line at every line break', () => {
+      const layout = layoutTextRuns([{ text: 'one\n' }, { text: 'two', color: '#ff0000' }], { ...options, lineHeight: 1.5 }, measure);
+      expect(fragmentsOf(layout)).toEqual([['one'], ['two']]);
+      expect(layout.lines[1].y).toBe(15);
+      expect(layout.height).toBe(30);
+    });
+
+    test('wraps at word boundaries inside a fixed width', () => {
+      const layout = layoutTextRuns([{ text: 'aaa bbb ', bold: true }, { text: 'cc' }], { ...options, width: 100 }, measure);
+      // "aaa bbb" is 84 wide, so "cc" goes on the next line and the space before it is dropped
+      expect(fragmentsOf(layout)).toEqual([['aaa bbb'], ['cc']]);
+      expect(layout.width).toBe(100);
+    });
+
+    test('keeps a word that spans runs together and breaks words wider than the box', () => {
+      const layout = layoutTextRuns([{ text: 'x ab', bold: true }, { text: 'cdefgh' }], { ...options, width: 50 }, measure);
+      expect(fragmentsOf(layout)).toEqual([['x'], ['ab', 'cd'], ['efgh']]);
+    });
+
+    test('aligns lines inside the box', () => {
+      const layout = layoutTextRuns([{ text: 'ab\nabcd', italic: true }], { ...options, align: 'right' }, measure);
+      expect(layout.lines[0].fragments[0].x).toBe(20);
+      expect(layout.lines[1].fragments[0].x).toBe(0);
+    });
+
+    test('justify stretches the spaces of every line but the last', () => {
+      const layout = layoutTextRuns([{ text: 'a b c', bold: true }], { ...options, width: 40, align: 'justify' }, measure);
+      expect(fragmentsOf(layout)).toEqual([['a', ' ', 'b'], ['c']]);
+      expect(layout.lines[0].fragments[2].x).toBe(28);
+      expect(layout.lines[1].fragments[0].x).toBe(0);
+    });
+
+    test('adds list markers in the shape format', () => {
+      const layout = layoutTextRuns([{ text: 'one\n\ntwo', bold: true }], { ...options, listStyle: 'numbered' }, measure);
+      expect(fragmentsOf(layout)).toEqual([['1. ', 'one'], [], ['2. ', 'two']]);
+      expect(layout.lines[0].fragments[0].fontStyle).toBe('normal');
+    });
+  });
+
+  describe('contenteditable round trip', () => {
+    test('reads back the runs it writes', () => {
+      const element = document.createElement('div');
+      const runs = [
+        { text: 'Bold', bold: true },
+        { text: ' and\n' },
+        { text: 'red', color: '#ff0000', italic: false },
+        { text: ' struck', strike: true, underline: false },
+        { text: '\n' },
+      ];
+      writeRunsToElement(element, runs);
+      expect(readRunsFromElement(element)).toEqual(normalizeRuns(runs));
+      expect(getRunsText(readRunsFromElement(element))).toBe('Bold and\nred struck\n');
+    });
+
+    test('keeps a stored color from adding other styles', () => {
+      const element = document.createElement('div');
+      writeRunsToElement(element, [{ text: 'x', color: 'red; background-image: url(https://example.com/a.png)' }]);
+      expect(element.querySelector('span')?.style.backgroundImage || '').toBe('');
+    });
+
+    test('understands the markup browsers insert while editing', () => {
+      const element = document.createElement('div');
+      element.innerHTML = 'a<b>b</b><div><br></div><div><i>c</i> <font color="#00ff00">d</font></div>';
+      expect(readRunsFromElement(element)).toEqual([
+        { text: 'a' },
+        { text: 'b', bold: true },
+        { text: '\n\n' },
+        { text: 'c', italic: true },
+        { text: ' ' },
+        { text: 'd', color: '#00ff00' },
+      ]);
+    });
+
+    test('converts rgb colors to hex', () => {
+      const element = document.createElement('div');
+      element.innerHTML = '<span style="color: rgb(255, 0, 16)">x</span>';
+      expect(readRunsFromElement(element)).toEqual([{ text: 'x', color: '#ff0010' }]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for text shape styling helpers
+ */
+
+import {
+  LIST_STYLES,
+  MIN_TEXT_BOX_WIDTH,
+  formatListText,
+  getTextShapeStyle,
+} from '../textStyle';
+
+describe('textStyle', () => {
+  describe('formatListText', () => {
+    test('leaves plain text untouched', () => {
+      expect(formatListText('a\nb', LIST_STYLES.NONE)).toBe('a\nb');
+      expect(formatListText('a\nb')).toBe('a\nb');
+    });
+
+    test('adds a bullet to every non-empty line', () => {
+      expect(formatListText('Milk\n\nEggs', LIST_STYLES.BULLET)).toBe('• Milk\n\n• Eggs');
+    });
+
+    test('numbers non-empty lines in order', () => {
+      expect(formatListText('One\n  \nTwo\nThree', LIST_STYLES.NUMBERED)).toBe('1. One\n  \n2. Two\n3. Three');
+    });
+  });
+
+  describe('getTextShapeStyle', () => {
+    test('fills in defaults for older text shapes', () => {
+      expect(getTextShapeStyle({ type: 'text', text: 'Hi' })).toEqual({
+        fontFamily: 'Arial',
+        fontStyle: 'normal',
+        textDecoration: '',
+        align: 'left',
+        lineHeight: 1,
+        letterSpacing: 0,
+        width: undefined,
+        wrap: 'none',
+      });
+    });
+
+    test('wraps fixed-width text at its width', () => {
+      const style = getTextShapeStyle({ type: 'text', fixedWidth: true, width: 240, align: 'justify', lineHeight: 1.5 });
+      expect(style).toMatchObject({ width: 240, wrap: 'word', align: 'justify', lineHeight: 1.5 });
+    });
+
+    test('ignores width on auto-width text and clamps tiny boxes', () => {
+      expect(getTextShapeStyle({ type: 'text', width: 240 }).width).toBeUndefined();
+      expect(getTextShapeStyle({ type: 'text', fixedWidth: true, width: 2 }).width).toBe(MIN_TEXT_BOX_WIDTH);
+    });
+
+    test('falls back to left for unknown alignments', () => {
+      expect(getTextShapeStyle({ type: 'text', align: 'middle' }).align).toBe('left');
+    });
+  });
+});
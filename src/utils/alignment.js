@@ -1,8 +1,40 @@
 /**
  * Alignment and distribution utilities for canvas shapes
- * Provides functions to align and distribute multiple shapes
+ * Provides functions to align, distribute, space, stack, tidy up and match the size of multiple shapes
  */
 
+import { getLineBounds } from './lines';
+import { getCenteredShapeExtent, SHAPE_TYPES, DEFAULT_POLYGON_RADIUS, DEFAULT_STAR_RADII } from './shapes';
+import { scaleTable } from './tables';
+import { STICKY_PADDING } from './sticky';
+import { MIN_TEXT_BOX_WIDTH } from './textStyle';
+
+// What shapes are aligned to
+export const ALIGN_TARGETS = {
+  SELECTION: 'selection', // The selection's own bounds
+  CANVAS: 'canvas', // The visible canvas
+  KEY_OBJECT: 'key', // The shape selected first, which stays put
+};
+
+export const LAYOUT_AXES = {
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical',
+};
+
+export const DEFAULT_LAYOUT_SPACING = 20;
+
+const MIN_SIZE = 5; // Same floor as Transformer resizes
+
+// Shapes whose width and height are set directly
+const BOX_TYPES = [
+  SHAPE_TYPES.RECT,
+  SHAPE_TYPES.FRAME,
+  SHAPE_TYPES.TRIANGLE,
+  SHAPE_TYPES.IMAGE,
+  SHAPE_TYPES.INSTANCE,
+  SHAPE_TYPES.TABLE,
+];
+
 /**
  * Get the bounding box for a shape, accounting for its type and transformations
  * @param {Object} shape - Shape object with x, y, and dimensions
@@ -31,6 +63,24 @@ export function getShapeBounds(shape) {
       width = shape.width || 100;
       height = shape.height || 100;
       break;
+
+    case 'ellipse':
+    case 'polygon':
+    case 'star': {
+      // Centered on x,y; polygons and stars use their actual vertex extent
+      const extent = getCenteredShapeExtent(shape);
+      x += extent.left;
+      y += extent.top;
+      ({ width, height } = extent);
+      break;
+    }
+
+    case 'line':
+    case 'arrow':
+    case 'path':
+      // Points are relative to x,y and may extend in any direction
+      ({ x, y, width, height } = getLineBounds(shape));
+      break;
     
     case 'rectangle':
     default:
@@ -325,6 +375,254 @@ export function distributeVertically(shapes) {
   });
 }
 
+const AXIS_PROPS = {
+  [LAYOUT_AXES.HORIZONTAL]: { pos: 'x', size: 'width', cross: 'y' },
+  [LAYOUT_AXES.VERTICAL]: { pos: 'y', size: 'height', cross: 'x' },
+};
+
+// Move a shape so its bounding box starts at (x, y)
+const moveBoundsTo = (shape, bounds, x, y) => ({
+  id: shape.id,
+  x: shape.x + (x - bounds.x),
+  y: shape.y + (y - bounds.y),
+});
+
+/**
+ * Align shapes to an edge or center of a box, such as the visible canvas or a key object
+ * @param {Array} shapes - Array of shape objects
+ * @param {string} type - left, center, right, top, middle or bottom
+ * @param {Object} target - { x, y, width, height }
+ * @returns {Array} - Array of { id, x, y } updates
+ */
+export function alignToBounds(shapes, type, target) {
+  if (!shapes || shapes.length === 0 || !target) return [];
+
+  return shapes.map((shape) => {
+    const bounds = getShapeBounds(shape);
+    let { x, y } = bounds;
+    switch (type) {
+      case 'left': x = target.x; break;
+      case 'center': x = target.x + (target.width - bounds.width) / 2; break;
+      case 'right': x = target.x + target.width - bounds.width; break;
+      case 'top': y = target.y; break;
+      case 'middle': y = target.y + (target.height - bounds.height) / 2; break;
+      case 'bottom': y = target.y + target.height - bounds.height; break;
+      default: break;
+    }
+    return moveBoundsTo(shape, bounds, x, y);
+  });
+}
+
+const SELECTION_ALIGNERS = {
+  left: alignLeft,
+  center: alignCenter,
+  right: alignRight,
+  top: alignTop,
+  middle: alignMiddle,
+  bottom: alignBottom,
+};
+
+/**
+ * Align shapes to the selection, the visible canvas or a key object
+ * @param {Array} shapes - Array of shape objects
+ * @param {string} type - left, center, right, top, middle or bottom
+ * @param {Object} options
+ * @param {string} options.target - ALIGN_TARGETS value
+ * @param {Object} options.keyShape - Shape the others align to (KEY_OBJECT)
+ * @param {Object} options.viewport - Visible canvas { x, y, width, height } (CANVAS)
+ * @returns {Array} - Array of { id, x, y } updates
+ */
+export function alignShapes(shapes, type, { target = ALIGN_TARGETS.SELECTION, keyShape = null, viewport = null } = {}) {
+  if (!canAlignTo(shapes, target) || !SELECTION_ALIGNERS[type]) return [];
+
+  switch (target) {
+    case ALIGN_TARGETS.CANVAS:
+      return alignToBounds(shapes, type, viewport);
+    case ALIGN_TARGETS.KEY_OBJECT:
+      if (!keyShape) return [];
+      return alignToBounds(shapes.filter(s => s.id !== keyShape.id), type, getShapeBounds(keyShape));
+    default:
+      return SELECTION_ALIGNERS[type](shapes);
+  }
+}
+
+/**
+ * The key object of a selection: the first selected shape that's among the given shapes
+ * @param {Array} shapes - Array of shape objects
+ * @param {Array<string>} selectedIds - Selected ids, in the order they were selected
+ * @returns {Object|null}
+ */
+export function getKeyShape(shapes, selectedIds) {
+  const id = (selectedIds || []).find(selectedId => shapes.some(s => s.id === selectedId));
+  return shapes.find(s => s.id === id) || null;
+}
+
+// Shapes with their bounds, in order along an axis
+const sortAlong = (shapes, axis) => {
+  const { pos } = AXIS_PROPS[axis];
+  return shapes
+    .map(shape => ({ shape, bounds: getShapeBounds(shape) }))
+    .sort((a, b) => a.bounds[pos] - b.bounds[pos]);
+};
+
+/**
+ * Set an exact gap between shapes along an axis, keeping their order and the first shape in place
+ * @param {Array} shapes - Array of shape objects
+ * @param {string} axis - LAYOUT_AXES value
+ * @param {number} spacing - Gap between neighbouring shapes in pixels
+ * @returns {Array} - Array of { id, x, y } updates
+ */
+export function setSpacing(shapes, axis, spacing = DEFAULT_LAYOUT_SPACING) {
+  if (!canAlign(shapes) || !AXIS_PROPS[axis]) return [];
+  const { pos, size } = AXIS_PROPS[axis];
+
+  const sorted = sortAlong(shapes, axis);
+  let next = sorted[0].bounds[pos];
+  return sorted.map(({ shape, bounds }) => {
+    const start = { x: bounds.x, y: bounds.y, [pos]: next };
+    next += bounds[size] + spacing;
+    return moveBoundsTo(shape, bounds, start.x, start.y);
+  });
+}
+
+/**
+ * Stack shapes in a row (top edges lined up) or a column (left edges lined up) with a gap between them
+ * @param {Array} shapes - Array of shape objects
+ * @param {string} axis - LAYOUT_AXES value: horizontal stacks a row, vertical a column
+ * @param {number} spacing - Gap between neighbouring shapes in pixels
+ * @returns {Array} - Array of { id, x, y } updates
+ */
+export function stackShapes(shapes, axis, spacing = DEFAULT_LAYOUT_SPACING) {
+  if (!canAlign(shapes) || !AXIS_PROPS[axis]) return [];
+  const { pos, size, cross } = AXIS_PROPS[axis];
+
+  const sorted = sortAlong(shapes, axis);
+  const crossStart = Math.min(...sorted.map(({ bounds }) => bounds[cross]));
+  let next = sorted[0].bounds[pos];
+  return sorted.map(({ shape, bounds }) => {
+    const start = { [pos]: next, [cross]: crossStart };
+    next += bounds[size] + spacing;
+    return moveBoundsTo(shape, bounds, start.x, start.y);
+  });
+}
+
+/**
+ * Tidy shapes up into a grid, in reading order, from the selection's top-left corner
+ * Columns are as wide as their widest shape and rows as tall as their tallest.
+ * @param {Array} shapes - Array of shape objects
+ * @param {number} spacing - Gap between rows and columns in pixels
+ * @returns {Array} - Array of { id, x, y } updates
+ */
+export function tidyUp(shapes, spacing = DEFAULT_LAYOUT_SPACING) {
+  if (!canAlign(shapes)) return [];
+
+  const columnCount = Math.ceil(Math.sqrt(shapes.length));
+  const byTop = sortAlong(shapes, LAYOUT_AXES.VERTICAL);
+  const rows = [];
+  for (let i = 0; i < byTop.length; i += columnCount) {
+    rows.push(byTop.slice(i, i + columnCount).sort((a, b) => a.bounds.x - b.bounds.x));
+  }
+
+  const columnWidths = Array.from({ length: columnCount }, (_, column) => (
+    Math.max(0, ...rows.map(row => row[column]?.bounds.width ?? 0))
+  ));
+  const rowHeights = rows.map(row => Math.max(...row.map(({ bounds }) => bounds.height)));
+  const origin = getSelectionBounds(shapes);
+
+  const updates = [];
+  let y = origin.y;
+  rows.forEach((row, rowIndex) => {
+    let x = origin.x;
+    row.forEach(({ shape, bounds }, column) => {
+      updates.push(moveBoundsTo(shape, bounds, x, y));
+      x += columnWidths[column] + spacing;
+    });
+    y += rowHeights[rowIndex] + spacing;
+  });
+  return updates;
+}
+
+/**
+ * Props that give a shape an unrotated width or height
+ * @param {Object} shape - Shape object
+ * @param {string} dimension - 'width' or 'height'
+ * @param {number} value - Size in pixels
+ * @returns {Object|null} Size props, or null when the shape can't be sized that way
+ */
+export const getSizeUpdate = (shape, dimension, value) => {
+  const bounds = getShapeBounds(shape);
+  const current = dimension === 'width' ? bounds.originalWidth : bounds.originalHeight;
+  const radiusKey = dimension === 'width' ? 'radiusX' : 'radiusY';
+
+  switch (shape.type) {
+    case SHAPE_TYPES.CIRCLE:
+      return { radius: Math.max(MIN_SIZE, value / 2) };
+    case SHAPE_TYPES.ELLIPSE:
+      return { [radiusKey]: Math.max(MIN_SIZE, value / 2) };
+    case SHAPE_TYPES.POLYGON:
+    case SHAPE_TYPES.STAR: {
+      // Scaled as a whole so the outline keeps its proportions
+      if (!current) return null;
+      const factor = Math.max(MIN_SIZE, value) / current;
+      return shape.type === SHAPE_TYPES.POLYGON
+        ? { radius: (shape.radius ?? DEFAULT_POLYGON_RADIUS) * factor }
+        : {
+          outerRadius: (shape.outerRadius ?? DEFAULT_STAR_RADII.outerRadius) * factor,
+          innerRadius: (shape.innerRadius ?? DEFAULT_STAR_RADII.innerRadius) * factor,
+        };
+    }
+    case SHAPE_TYPES.TABLE:
+      return dimension === 'width'
+        ? scaleTable(shape, Math.max(MIN_SIZE, value) / shape.width, 1)
+        : scaleTable(shape, 1, Math.max(MIN_SIZE, value) / shape.height);
+    case SHAPE_TYPES.STICKY:
+      // Sticky notes grow to fit their text
+      return dimension === 'width' ? { width: Math.max(STICKY_PADDING * 4, value) } : null;
+    case SHAPE_TYPES.TEXT:
+      return dimension === 'width' && shape.fixedWidth ? { width: Math.max(MIN_TEXT_BOX_WIDTH, value) } : null;
+    default:
+      return BOX_TYPES.includes(shape.type) ? { [dimension]: Math.max(MIN_SIZE, value) } : null;
+  }
+};
+
+/**
+ * Give shapes the same width or height: the key object's when given, otherwise the largest
+ * Lines, paths, auto-sized text and sticky note heights are left alone.
+ * @param {Array} shapes - Array of shape objects
+ * @param {string} dimension - 'width' or 'height'
+ * @param {Object} keyShape - Shape whose size the others take (optional)
+ * @returns {Array} - Array of { id, ...sizeProps } updates
+ */
+export function matchSize(shapes, dimension, keyShape = null) {
+  if (!canAlign(shapes) || !['width', 'height'].includes(dimension)) return [];
+
+  const sizable = shapes.filter(shape => getSizeUpdate(shape, dimension, 1));
+  if (sizable.length === 0) return [];
+
+  const getSize = (shape) => {
+    const bounds = getShapeBounds(shape);
+    return dimension === 'width' ? bounds.originalWidth : bounds.originalHeight;
+  };
+  const reference = keyShape && sizable.some(s => s.id === keyShape.id)
+    ? getSize(keyShape)
+    : Math.max(...sizable.map(getSize));
+
+  return sizable
+    .filter(shape => !keyShape || shape.id !== keyShape.id)
+    .map(shape => ({ id: shape.id, ...getSizeUpdate(shape, dimension, reference) }));
+}
+
+/**
+ * Check if shapes can be aligned to a target: the visible canvas takes a single shape, others 2+
+ * @param {Array} shapes - Array of shape objects
+ * @param {string} target - ALIGN_TARGETS value
+ * @returns {boolean}
+ */
+export function canAlignTo(shapes, target) {
+  if (target === ALIGN_TARGETS.CANVAS) return !!(shapes && shapes.length >= 1);
+  return canAlign(shapes);
+}
+
 /**
  * Check if shapes can be aligned (2+ shapes required)
  * @param {Array} shapes - Array of shape objects
@@ -0,0 +1,324 @@
+/**
+ * Auto-layout frames
+ * A frame with an autoLayout setting stacks its direct children in a row or a column, with padding
+ * inside its edges and a gap between children, in the order they sit along that axis.
+ * The layout is worked out from the stored shapes wherever they're drawn, so a frame re-flows as
+ * children are added, removed, moved or resized, by anyone; editing clients save the result.
+ */
+
+import { getShapeBounds, getSizeUpdate, LAYOUT_AXES } from './alignment';
+import { calcHorizontalPositions, calcVerticalPositions } from './batchCreate';
+import { isFrame, getFrameDescendantIds } from './frames';
+import { isGroup, getGroupMemberIds, getGroupBounds } from './groups';
+import { isConnector } from './connectors';
+
+// Where children sit across the layout axis
+export const AUTO_LAYOUT_ALIGNS = {
+  START: 'start',
+  CENTER: 'center',
+  END: 'end',
+};
+
+// How big the frame is
+export const AUTO_LAYOUT_SIZING = {
+  HUG: 'hug', // Shrinks or grows to fit its children
+  FIXED: 'fixed', // Keeps its own size
+};
+
+// How big the children are across the layout axis
+export const CHILD_SIZING = {
+  FIXED: 'fixed', // Keep their own size
+  FILL: 'fill', // Stretch to the frame's inner width (columns) or height (rows)
+};
+
+export const DEFAULT_AUTO_LAYOUT = {
+  direction: LAYOUT_AXES.VERTICAL,
+  padding: 16,
+  gap: 12,
+  align: AUTO_LAYOUT_ALIGNS.START,
+  sizing: AUTO_LAYOUT_SIZING.HUG,
+  childSizing: CHILD_SIZING.FIXED,
+};
+
+export const MAX_AUTO_LAYOUT_SPACING = 500; // Same cap as batch creation spacing
+
+const EPSILON = 0.01; // Smaller differences are rounding noise, not a change
+
+const AXIS_PROPS = {
+  [LAYOUT_AXES.HORIZONTAL]: { pos: 'x', size: 'width', cross: 'y', crossSize: 'height' },
+  [LAYOUT_AXES.VERTICAL]: { pos: 'y', size: 'height', cross: 'x', crossSize: 'width' },
+};
+
+/**
+ * Check whether a shape is a frame that lays out its children
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const hasAutoLayout = (shape) => isFrame(shape) && !!shape.autoLayout;
+
+const pick = (value, allowed, fallback) => (Object.values(allowed).includes(value) ? value : fallback);
+
+const clampSpacing = (value, fallback) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.max(0, Math.min(MAX_AUTO_LAYOUT_SPACING, Math.round(number)));
+};
+
+/**
+ * Complete auto-layout settings, with defaults for anything missing or invalid
+ * @param {Object} layout - Stored autoLayout setting (possibly partial)
+ * @returns {Object} { direction, padding, gap, align, sizing, childSizing }
+ */
+export const normalizeAutoLayout = (layout = {}) => ({
+  direction: pick(layout?.direction, LAYOUT_AXES, DEFAULT_AUTO_LAYOUT.direction),
+  padding: clampSpacing(layout?.padding, DEFAULT_AUTO_LAYOUT.padding),
+  gap: clampSpacing(layout?.gap, DEFAULT_AUTO_LAYOUT.gap),
+  align: pick(layout?.align, AUTO_LAYOUT_ALIGNS, DEFAULT_AUTO_LAYOUT.align),
+  sizing: pick(layout?.sizing, AUTO_LAYOUT_SIZING, DEFAULT_AUTO_LAYOUT.sizing),
+  childSizing: pick(layout?.childSizing, CHILD_SIZING, DEFAULT_AUTO_LAYOUT.childSizing),
+});
+
+const isSameValue = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < EPSILON;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => isSameValue(value, b[i]));
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Props of `next` that differ from `shape`
+const getChangedProps = (shape, next) => Object.fromEntries(
+  Object.entries(next).filter(([key, value]) => !isSameValue(value, shape[key]))
+);
+
+// How many frames a shape is nested in
+const getFrameDepth = (shapesById, shape) => {
+  const seen = new Set();
+  let depth = 0;
+  let parent = shapesById.get(shape.parentId);
+  while (parent && isFrame(parent) && !seen.has(parent.id)) {
+    seen.add(parent.id);
+    depth += 1;
+    parent = shapesById.get(parent.parentId);
+  }
+  return depth;
+};
+
+/**
+ * What a frame lays out: its direct children, with grouped shapes laid out as their group
+ * Groups and frames move with everything in them. Connectors follow the shapes they're bound to instead.
+ */
+const getLayoutItems = (shapesById, frame) => {
+  const shapes = [...shapesById.values()];
+  return shapes
+    .filter(shape => shape.parentId === frame.id && shape.id !== frame.id && !isConnector(shape))
+    .filter(shape => !isGroup(shapesById.get(shape.groupId)))
+    .map((shape) => {
+      if (isGroup(shape)) {
+        const memberIds = [...getGroupMemberIds(shapes, [shape.id])];
+        return { shape, bounds: getGroupBounds(shapes, shape.id), movedIds: memberIds };
+      }
+      const movedIds = isFrame(shape) ? [shape.id, ...getFrameDescendantIds(shapes, [shape.id])] : [shape.id];
+      return { shape, bounds: getShapeBounds(shape), movedIds };
+    })
+    .filter(item => item.bounds);
+};
+
+// Stretch a child across the layout; groups, rotated shapes and frames that hug their own children keep their size
+const fillItem = (shapesById, item, dimension, value) => {
+  const { shape } = item;
+  if (isGroup(shape) || shape.rotation || (hasAutoLayout(shape) && normalizeAutoLayout(shape.autoLayout).sizing === AUTO_LAYOUT_SIZING.HUG)) {
+    return item;
+  }
+  const update = getSizeUpdate(shape, dimension, value);
+  if (!update || Object.keys(getChangedProps(shape, update)).length === 0) return item;
+
+  const resized = { ...shape, ...update };
+  shapesById.set(shape.id, resized);
+  return { ...item, shape: resized, bounds: getShapeBounds(resized) };
+};
+
+// Lay out one frame's children (and size the frame when it hugs them), updating shapesById
+const layoutFrame = (shapesById, frame) => {
+  const layout = normalizeAutoLayout(frame.autoLayout);
+  const { pos, size, cross, crossSize } = AXIS_PROPS[layout.direction];
+  const hug = layout.sizing === AUTO_LAYOUT_SIZING.HUG;
+
+  let items = getLayoutItems(shapesById, frame)
+    .sort((a, b) => (a.bounds[pos] + a.bounds[size] / 2) - (b.bounds[pos] + b.bounds[size] / 2));
+  if (items.length === 0) return;
+
+  const innerCross = hug
+    ? Math.max(...items.map(item => item.bounds[crossSize]))
+    : Math.max(0, frame[crossSize] - layout.padding * 2);
+  if (layout.childSizing === CHILD_SIZING.FILL) {
+    items = items.map(item => fillItem(shapesById, item, crossSize, innerCross));
+  }
+
+  const calcPositions = layout.direction === LAYOUT_AXES.HORIZONTAL ? calcHorizontalPositions : calcVerticalPositions;
+  const placed = calcPositions(items, {
+    originX: frame.x + layout.padding,
+    originY: frame.y + layout.padding,
+    spacing: layout.gap,
+    minSpacing: 0,
+    getSize: item => item.bounds,
+  });
+
+  placed.forEach(({ bounds, movedIds, ...position }) => {
+    const slack = innerCross - bounds[crossSize];
+    const crossOffset = { start: 0, center: slack / 2, end: slack }[layout.align];
+    const dx = (cross === 'x' ? position.x + crossOffset : position.x) - bounds.x;
+    const dy = (cross === 'y' ? position.y + crossOffset : position.y) - bounds.y;
+    if (Math.abs(dx) < EPSILON && Math.abs(dy) < EPSILON) return;
+
+    movedIds.forEach((id) => {
+      const shape = shapesById.get(id);
+      // Groups have no position of their own
+      if (shape && !isGroup(shape)) shapesById.set(id, { ...shape, x: shape.x + dx, y: shape.y + dy });
+    });
+  });
+
+  if (hug) {
+    const last = placed[placed.length - 1];
+    const frameSize = {
+      [size]: last[pos] + last.bounds[size] + layout.padding - frame[pos],
+      [crossSize]: innerCross + layout.padding * 2,
+    };
+    const changes = getChangedProps(frame, frameSize);
+    if (Object.keys(changes).length > 0) shapesById.set(frame.id, { ...frame, ...changes });
+  }
+};
+
+/**
+ * Shapes as every auto-layout frame arranges them
+ * Nested frames are laid out first, so a frame that hugs its children is sized before
+ * the frame around it places it. Shapes that don't change keep their object.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @returns {Array<Object>} Laid out shapes (the same array when nothing moves)
+ */
+export const applyAutoLayouts = (shapes) => {
+  if (!shapes.some(hasAutoLayout)) return shapes;
+
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+  shapes
+    .filter(hasAutoLayout)
+    .map(frame => ({ id: frame.id, depth: getFrameDepth(shapesById, frame) }))
+    .sort((a, b) => b.depth - a.depth)
+    .forEach(({ id }) => layoutFrame(shapesById, shapesById.get(id)));
+
+  let changed = false;
+  const laidOut = shapes.map((shape) => {
+    const next = shapesById.get(shape.id);
+    if (next !== shape) changed = true;
+    return next;
+  });
+  return changed ? laidOut : shapes;
+};
+
+/**
+ * Stored shapes that auto layout has moved or resized, to save
+ * Frames with something inside being edited elsewhere (e.g. a remote drag) are left until it ends.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} options
+ * @param {Array<string>} options.excludeIds - Shapes being edited
+ * @returns {Array<Object>} [{ id, ...changedProps }]
+ */
+export const getAutoLayoutUpdates = (shapes, { excludeIds = [] } = {}) => {
+  const laidOut = applyAutoLayouts(shapes);
+  if (laidOut === shapes) return [];
+
+  const skippedIds = new Set();
+  shapes.filter(hasAutoLayout).forEach((frame) => {
+    const contents = getFrameDescendantIds(shapes, [frame.id]);
+    if (excludeIds.some(id => id === frame.id || contents.has(id))) {
+      skippedIds.add(frame.id);
+      contents.forEach(id => skippedIds.add(id));
+    }
+  });
+
+  return laidOut.flatMap((shape, i) => {
+    if (shape === shapes[i] || skippedIds.has(shape.id)) return [];
+    const changes = getChangedProps(shapes[i], shape);
+    return Object.keys(changes).length > 0 ? [{ id: shape.id, ...changes }] : [];
+  });
+};
+
+// Undoable form of a saved change: the props it sets, before and after
+const toUndoableChange = (shapesById, { id, ...newState }) => ({
+  id,
+  oldState: Object.fromEntries(Object.keys(newState).map(key => [key, shapesById.get(id)[key] ?? null])),
+  newState,
+});
+
+/**
+ * Undoable changes that save the re-flow of every auto-layout frame
+ * @param {Array<Object>} shapes - Shapes after a change, before their frames re-flow
+ * @param {Object} options - Same as getAutoLayoutUpdates
+ * @returns {Array<Object>} [{ id, oldState, newState }]
+ */
+export const getAutoLayoutReflowChanges = (shapes, options) => {
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+  return getAutoLayoutUpdates(shapes, options).map(update => toUndoableChange(shapesById, update));
+};
+
+/**
+ * IDs of the shapes auto-layout frames position
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @returns {Set<string>}
+ */
+export const getAutoLayoutContentIds = (shapes) => {
+  const frameIds = shapes.filter(hasAutoLayout).map(frame => frame.id);
+  if (frameIds.length === 0) return new Set();
+  const contentIds = getFrameDescendantIds(shapes, frameIds);
+  shapes.forEach((shape) => {
+    if (isGroup(shape) || isConnector(shape)) contentIds.delete(shape.id);
+  });
+  return contentIds;
+};
+
+/**
+ * Update that turns a frame's auto layout on, changes its settings, or turns it off (null)
+ * A frame given auto layout stacks its children along the axis they're spread out the most.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} frame - Frame shape
+ * @param {Object|null} changes - Settings to change, or null to turn auto layout off
+ * @returns {Object} { autoLayout }
+ */
+export const getAutoLayoutUpdate = (shapes, frame, changes) => {
+  if (changes === null) return { autoLayout: null };
+  if (frame.autoLayout) return { autoLayout: normalizeAutoLayout({ ...frame.autoLayout, ...changes }) };
+
+  const children = shapes.filter(shape => shape.parentId === frame.id && !isConnector(shape) && !isGroup(shape));
+  const spread = (key, sizeKey) => {
+    const bounds = children.map(getShapeBounds);
+    if (bounds.length === 0) return 0;
+    return Math.max(...bounds.map(b => b[key] + b[sizeKey])) - Math.min(...bounds.map(b => b[key]));
+  };
+  const direction = spread('x', 'width') > spread('y', 'height') ? LAYOUT_AXES.HORIZONTAL : LAYOUT_AXES.VERTICAL;
+  return { autoLayout: normalizeAutoLayout({ direction, ...changes }) };
+};
+
+/**
+ * Undoable changes for turning a frame's auto layout on or off or changing its settings,
+ * along with the re-flow that follows, so undo puts the children back too
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} frame - Frame shape
+ * @param {Object|null} changes - Settings to change, or null to turn auto layout off
+ * @returns {Array<Object>} [{ id, oldState, newState }], the frame first
+ */
+export const getAutoLayoutChanges = (shapes, frame, changes) => {
+  const update = getAutoLayoutUpdate(shapes, frame, changes);
+  const updatedShapes = shapes.map(shape => (shape.id === frame.id ? { ...shape, ...update } : shape));
+  const reflow = getAutoLayoutUpdates(updatedShapes);
+
+  const frameReflow = reflow.find(({ id }) => id === frame.id);
+  const frameSize = Object.fromEntries(Object.entries(frameReflow ?? {}).filter(([key]) => key !== 'id'));
+  const frameState = { ...update, ...frameSize };
+
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+  const toChange = update => toUndoableChange(shapesById, update);
+  return [
+    toChange({ id: frame.id, ...frameState }),
+    ...reflow.filter(({ id }) => id !== frame.id).map(toChange),
+  ];
+};
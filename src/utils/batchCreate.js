@@ -203,16 +203,24 @@ export function getShapeSize(shape) {
  * @param {number} options.originX - Starting X coordinate
  * @param {number} options.originY - Starting Y coordinate  
  * @param {number} [options.spacing=25] - Vertical spacing between shapes (5-200)
+ * @param {number} [options.minSpacing=5] - Smallest spacing allowed
+ * @param {Function} [options.getSize=getShapeSize] - Returns { width, height } for a shape
  * @returns {Array} Array of shape configs with x, y positions
  */
-export function calcVerticalPositions(shapes, { originX, originY, spacing = DEFAULTS.spacing.vertical }) {
+export function calcVerticalPositions(shapes, {
+  originX,
+  originY,
+  spacing = DEFAULTS.spacing.vertical,
+  minSpacing = DEFAULTS.minSpacing,
+  getSize = getShapeSize,
+}) {
   // Validate and clamp spacing
-  const safeSpacing = Math.max(DEFAULTS.minSpacing, Math.min(DEFAULTS.maxSpacing, spacing));
+  const safeSpacing = Math.max(minSpacing, Math.min(DEFAULTS.maxSpacing, spacing));
   
   let currentY = originY;
   
   return shapes.map((shape, index) => {
-    const size = getShapeSize(shape);
+    const size = getSize(shape);
     
     // Center shape horizontally at originX
     const x = originX;
@@ -237,16 +245,24 @@ export function calcVerticalPositions(shapes, { originX, originY, spacing = DEFA
  * @param {number} options.originX - Starting X coordinate
  * @param {number} options.originY - Y coordinate (same for all shapes)
  * @param {number} [options.spacing=20] - Horizontal spacing between shapes (5-500)
+ * @param {number} [options.minSpacing=5] - Smallest spacing allowed
+ * @param {Function} [options.getSize=getShapeSize] - Returns { width, height } for a shape
  * @returns {Array} Array of shape configs with x, y positions
  */
-export function calcHorizontalPositions(shapes, { originX, originY, spacing = DEFAULTS.spacing.horizontal }) {
+export function calcHorizontalPositions(shapes, {
+  originX,
+  originY,
+  spacing = DEFAULTS.spacing.horizontal,
+  minSpacing = DEFAULTS.minSpacing,
+  getSize = getShapeSize,
+}) {
   // Validate and clamp spacing
-  const safeSpacing = Math.max(DEFAULTS.minSpacing, Math.min(DEFAULTS.maxSpacing, spacing));
+  const safeSpacing = Math.max(minSpacing, Math.min(DEFAULTS.maxSpacing, spacing));
   
   let currentX = originX;
   
   return shapes.map((shape, index) => {
-    const size = getShapeSize(shape);
+    const size = getSize(shape);
     
     const x = currentX;
     const y = originY;
@@ -0,0 +1,69 @@
+/**
+ * Board list utilities for the dashboard
+ * Grouping, sorting and display helpers for board metadata
+ */
+
+/**
+ * Build the default name for a duplicated board
+ * @param {string} name - Source board name
+ * @returns {string} e.g. "Copy of Roadmap"
+ */
+export const getDuplicateBoardName = (name) => {
+  const base = (name || '').trim() || 'Untitled board';
+  return `Copy of ${base}`;
+};
+
+/**
+ * Most recent activity for a board: last shape edit, falling back to metadata timestamps
+ * @param {Object} board - Board metadata
+ * @param {Object} lastEditedById - Map of boardId -> last shape updatedAt (ms)
+ * @returns {number} Milliseconds since epoch (0 if unknown)
+ */
+export const getBoardActivityTime = (board, lastEditedById = {}) => {
+  return lastEditedById[board.id] ?? board.updatedAt ?? board.createdAt ?? 0;
+};
+
+/**
+ * Split boards into the ones the user owns and the ones shared with them
+ * Each group is sorted by most recent activity first
+ * @param {Array} boards - Board metadata list
+ * @param {string} userId - Current user ID
+ * @param {Object} options
+ * @param {boolean} options.showArchived - Show only archived boards instead of active ones
+ * @param {Object} options.lastEditedById - Map of boardId -> last shape updatedAt (ms)
+ * @returns {{owned: Array, shared: Array}}
+ */
+export const groupBoards = (boards, userId, { showArchived = false, lastEditedById = {} } = {}) => {
+  const byActivity = (a, b) =>
+    getBoardActivityTime(b, lastEditedById) - getBoardActivityTime(a, lastEditedById);
+
+  const visible = (boards || [])
+    .filter(board => !!board.archived === showArchived)
+    .sort(byActivity);
+
+  return {
+    owned: visible.filter(board => board.ownerId === userId),
+    shared: visible.filter(board => board.ownerId !== userId),
+  };
+};
+
+/**
+ * Format a timestamp relative to now for board cards
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @param {number} now - Current time (injectable for tests)
+ * @returns {string} e.g. "Just now", "5m ago", "3h ago", "2d ago", or a date
+ */
+export const formatLastEdited = (timestamp, now = Date.now()) => {
+  if (!timestamp) return 'Never edited';
+
+  const diffMs = now - timestamp;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
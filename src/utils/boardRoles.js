@@ -0,0 +1,70 @@
+/**
+ * Board role utilities
+ * Roles are stored on the board doc as roles: { [uid]: role } and enforced by security rules
+ */
+
+export const BOARD_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  COMMENTER: 'commenter',
+  VIEWER: 'viewer',
+};
+
+// Ordered from most to least privileged
+const ROLE_RANK = {
+  [BOARD_ROLES.OWNER]: 4,
+  [BOARD_ROLES.EDITOR]: 3,
+  [BOARD_ROLES.COMMENTER]: 2,
+  [BOARD_ROLES.VIEWER]: 1,
+};
+
+export const ROLE_LABELS = {
+  [BOARD_ROLES.OWNER]: 'Owner',
+  [BOARD_ROLES.EDITOR]: 'Editor',
+  [BOARD_ROLES.COMMENTER]: 'Commenter',
+  [BOARD_ROLES.VIEWER]: 'Viewer',
+};
+
+/**
+ * Check whether a value is a known role
+ * @param {string} role - Candidate role
+ * @returns {boolean}
+ */
+export const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+
+/**
+ * Look up a user's role on a board
+ * @param {Object|null} board - Board metadata ({ ownerId, roles })
+ * @param {string} userId - User ID
+ * @returns {string|null} Role, or null if the user is not a member
+ */
+export const getBoardRole = (board, userId) => {
+  if (!board || !userId) return null;
+  if (board.ownerId === userId) return BOARD_ROLES.OWNER;
+  const role = board.roles?.[userId];
+  return isValidRole(role) ? role : null;
+};
+
+const hasAtLeast = (role, minimumRole) =>
+  isValidRole(role) && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+
+/**
+ * Can this role create, move, edit or delete shapes?
+ * @param {string|null} role
+ * @returns {boolean}
+ */
+export const canEditBoard = (role) => hasAtLeast(role, BOARD_ROLES.EDITOR);
+
+/**
+ * Can this role post comments?
+ * @param {string|null} role
+ * @returns {boolean}
+ */
+export const canCommentOnBoard = (role) => hasAtLeast(role, BOARD_ROLES.COMMENTER);
+
+/**
+ * Can this role open the board at all?
+ * @param {string|null} role
+ * @returns {boolean}
+ */
+export const canViewBoard = (role) => hasAtLeast(role, BOARD_ROLES.VIEWER);
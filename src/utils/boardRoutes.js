@@ -0,0 +1,124 @@
+/**
+ * Board routing utilities
+ * Maps between URL paths (/board/:boardId, /view/:boardId) and board IDs, and tracks recently visited boards
+ */
+
+export const DEFAULT_BOARD_ID = 'default';
+export const BOARD_PATH_PREFIX = '/board/';
+// Signed-out, read-only view of boards the owner has made public
+export const PUBLIC_VIEW_PATH_PREFIX = '/view/';
+export const DASHBOARD_PATH = '/';
+
+const RECENT_BOARDS_KEY = 'recentBoards';
+const MAX_RECENT_BOARDS = 10;
+
+// Board IDs become Firestore doc IDs and RTDB keys, so keep them URL- and key-safe
+const BOARD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check whether a string is a usable board ID
+ * @param {string} boardId - Candidate board ID
+ * @returns {boolean}
+ */
+export const isValidBoardId = (boardId) => {
+  return typeof boardId === 'string' && BOARD_ID_PATTERN.test(boardId);
+};
+
+const parseBoardIdAfterPrefix = (pathname, prefix) => {
+  if (!pathname.startsWith(prefix)) {
+    return null;
+  }
+
+  const segment = pathname.slice(prefix.length).split('/')[0];
+  let boardId;
+  try {
+    boardId = decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+
+  return isValidBoardId(boardId) ? boardId : null;
+};
+
+const buildPathWithBoardId = (prefix, boardId) => {
+  if (!isValidBoardId(boardId)) {
+    throw new Error(`Invalid board ID: ${boardId}`);
+  }
+  return `${prefix}${encodeURIComponent(boardId)}`;
+};
+
+/**
+ * Extract the board ID from a URL path
+ * @param {string} pathname - URL path, e.g. "/board/team-roadmap"
+ * @returns {string|null} Board ID, or null if the path is not a board route
+ */
+export const parseBoardPath = (pathname = '') => parseBoardIdAfterPrefix(pathname, BOARD_PATH_PREFIX);
+
+/**
+ * Build the URL path for a board
+ * @param {string} boardId - Board ID
+ * @returns {string} URL path
+ */
+export const buildBoardPath = (boardId) => buildPathWithBoardId(BOARD_PATH_PREFIX, boardId);
+
+/**
+ * Extract the board ID from a public view path
+ * @param {string} pathname - URL path, e.g. "/view/team-roadmap"
+ * @returns {string|null} Board ID, or null if the path is not a public view route
+ */
+export const parsePublicViewPath = (pathname = '') =>
+  parseBoardIdAfterPrefix(pathname, PUBLIC_VIEW_PATH_PREFIX);
+
+/**
+ * Build the public view path for a board
+ * @param {string} boardId - Board ID
+ * @returns {string} URL path
+ */
+export const buildPublicViewPath = (boardId) => buildPathWithBoardId(PUBLIC_VIEW_PATH_PREFIX, boardId);
+
+/**
+ * Generate a new random board ID
+ * @returns {string} Board ID (12 URL-safe characters)
+ */
+export const generateBoardId = () => {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 12; i++) {
+    id += alphabet[Math.floor(Math.random() * alphabet.length)];
+  }
+  return id;
+};
+
+/**
+ * Read recently visited board IDs (most recent first)
+ * @returns {Array<string>}
+ */
+export const getRecentBoards = () => {
+  try {
+    const saved = localStorage.getItem(RECENT_BOARDS_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed.filter(isValidBoardId) : [];
+  } catch (error) {
+    console.error('Failed to load recent boards from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Record a board visit, moving it to the front of the recent list
+ * @param {string} boardId - Board ID
+ * @returns {Array<string>} Updated recent board list
+ */
+export const addRecentBoard = (boardId) => {
+  if (!isValidBoardId(boardId)) {
+    return getRecentBoards();
+  }
+
+  const recent = [boardId, ...getRecentBoards().filter(id => id !== boardId)].slice(0, MAX_RECENT_BOARDS);
+  try {
+    localStorage.setItem(RECENT_BOARDS_KEY, JSON.stringify(recent));
+  } catch (error) {
+    console.error('Failed to save recent boards to localStorage:', error);
+  }
+  return recent;
+};
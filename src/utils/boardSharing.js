@@ -0,0 +1,167 @@
+/**
+ * Board sharing utilities
+ * Email invites, expiring share-link tokens and the member list shown in the share dialog
+ */
+
+import { BOARD_ROLES, isValidRole } from './boardRoles';
+import { buildBoardPath } from './boardRoutes';
+
+// Query parameter carrying a share-link token: /board/<boardId>?share=<token>
+export const SHARE_TOKEN_PARAM = 'share';
+
+const SHARE_TOKEN_LENGTH = 32;
+const SHARE_TOKEN_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9]{20,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles that can be handed out by invite or link (ownership is never shared)
+export const SHAREABLE_ROLES = [BOARD_ROLES.EDITOR, BOARD_ROLES.COMMENTER, BOARD_ROLES.VIEWER];
+
+export const SHARE_LINK_EXPIRY_OPTIONS = [
+  { label: '1 day', ms: DAY_MS },
+  { label: '7 days', ms: 7 * DAY_MS },
+  { label: '30 days', ms: 30 * DAY_MS },
+  { label: 'Never', ms: null },
+];
+
+/**
+ * Check whether a role may be granted through sharing
+ * @param {string} role - Candidate role
+ * @returns {boolean}
+ */
+export const isShareableRole = (role) => isValidRole(role) && role !== BOARD_ROLES.OWNER;
+
+/**
+ * Normalize an email address for use as an invite ID
+ * @param {string} email - Raw input
+ * @returns {string} Trimmed, lower-cased email ('' for non-strings)
+ */
+export const normalizeEmail = (email) =>
+  typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+/**
+ * Loose email validation (the invitee's sign-in is the real check)
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+export const isValidEmail = (email) => EMAIL_PATTERN.test(normalizeEmail(email));
+
+/**
+ * Generate an unguessable share-link token
+ * @returns {string}
+ */
+export const generateShareToken = () => {
+  const bytes = new Uint8Array(SHARE_TOKEN_LENGTH);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => SHARE_TOKEN_ALPHABET[byte % SHARE_TOKEN_ALPHABET.length]).join('');
+};
+
+/**
+ * Check whether a string looks like a share-link token
+ * @param {string} token - Candidate token
+ * @returns {boolean}
+ */
+export const isValidShareToken = (token) =>
+  typeof token === 'string' && SHARE_TOKEN_PATTERN.test(token);
+
+/**
+ * Read the share-link token from a URL query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {string|null}
+ */
+export const readShareToken = (search) => {
+  const token = new URLSearchParams(search || '').get(SHARE_TOKEN_PARAM);
+  return isValidShareToken(token) ? token : null;
+};
+
+/**
+ * Build the absolute URL that redeems a share link
+ * @param {string} boardId - Board ID
+ * @param {string} token - Share-link token
+ * @param {string} origin - Site origin, e.g. window.location.origin
+ * @returns {string}
+ */
+export const buildShareUrl = (boardId, token, origin) =>
+  `${origin}${buildBoardPath(boardId)}?${SHARE_TOKEN_PARAM}=${encodeURIComponent(token)}`;
+
+/**
+ * Compute when a new link expires
+ * @param {number|null} expiresInMs - Lifetime, or null for links that never expire
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Expiry in milliseconds since epoch
+ */
+export const getShareLinkExpiry = (expiresInMs, now = Date.now()) =>
+  expiresInMs ? now + expiresInMs : null;
+
+/**
+ * Has a share link expired?
+ * @param {Object} link - Share link ({ expiresAt } in milliseconds or null)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isShareLinkExpired = (link, now = Date.now()) =>
+  link?.expiresAt != null && link.expiresAt <= now;
+
+/**
+ * Describe when a share link expires
+ * @param {number|null} expiresAt - Expiry in milliseconds since epoch
+ * @param {number} now - Current time in milliseconds
+ * @returns {string}
+ */
+export const formatShareLinkExpiry = (expiresAt, now = Date.now()) => {
+  if (expiresAt == null) return 'Never expires';
+
+  const remaining = expiresAt - now;
+  if (remaining <= 0) return 'Expired';
+
+  const hours = Math.ceil(remaining / (60 * 60 * 1000));
+  if (hours < 24) return `Expires in ${hours}h`;
+  return `Expires in ${Math.ceil(remaining / DAY_MS)}d`;
+};
+
+/**
+ * Profile stored on the board doc so the share dialog can show who each member is
+ * @param {Object} user - Firebase user
+ * @returns {{name: string, email: string|null}}
+ */
+export const buildMemberProfile = (user) => ({
+  name: user.displayName || user.email?.split('@')[0] || 'Anonymous',
+  email: normalizeEmail(user.email) || null,
+});
+
+/**
+ * List a board's members for display, owner first then by name
+ * @param {Object|null} board - Board metadata ({ ownerId, roles, memberProfiles })
+ * @returns {Array<{userId: string, role: string, name: string, email: string|null}>}
+ */
+export const getBoardMembers = (board) => {
+  if (!board) return [];
+  const profiles = board.memberProfiles || {};
+
+  return Object.entries(board.roles || {})
+    .filter(([, role]) => isValidRole(role))
+    .map(([userId, role]) => ({
+      userId,
+      role: userId === board.ownerId ? BOARD_ROLES.OWNER : role,
+      name: profiles[userId]?.name || profiles[userId]?.email || 'Unknown user',
+      email: profiles[userId]?.email ?? null,
+    }))
+    .sort((a, b) => {
+      if (a.role === BOARD_ROLES.OWNER) return -1;
+      if (b.role === BOARD_ROLES.OWNER) return 1;
+      return a.name.localeCompare(b.name);
+    });
+};
+
+/**
+ * Is this email already a board member?
+ * @param {Object|null} board - Board metadata
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+export const isBoardMemberEmail = (board, email) => {
+  const normalized = normalizeEmail(email);
+  return getBoardMembers(board).some(member => normalizeEmail(member.email) === normalized);
+};
@@ -49,3 +49,58 @@ export const calculateZoomPosition = (stage, oldScale, newScale, pointerPosition
   };
 };
 
+
+export const FOCUS_PADDING = 80; // Screen pixels kept around a shape the viewport moves to
+
+/**
+ * Viewport that centers some bounds on screen
+ * Keeps the current zoom, zooming out only if the bounds wouldn't fit.
+ * @param {Object} bounds - { x, y, width, height } in canvas coordinates
+ * @param {Object} stageSize - { width, height } of the stage in screen pixels
+ * @param {number} currentScale - Current scale
+ * @returns {Object} { scale, position }
+ */
+export const calculateViewportForBounds = (bounds, stageSize, currentScale) => {
+  const fitScale = Math.min(
+    (stageSize.width - FOCUS_PADDING * 2) / Math.max(1, bounds.width),
+    (stageSize.height - FOCUS_PADDING * 2) / Math.max(1, bounds.height)
+  );
+  const scale = constrainScale(fitScale > 0 ? Math.min(currentScale, fitScale) : currentScale);
+  return {
+    scale,
+    position: {
+      x: stageSize.width / 2 - (bounds.x + bounds.width / 2) * scale,
+      y: stageSize.height / 2 - (bounds.y + bounds.height / 2) * scale,
+    },
+  };
+};
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2);
+
+/**
+ * Viewport part-way through an animated move
+ * The canvas point at the center of the screen travels in a straight line while the zoom changes.
+ * @param {Object} from - { scale, position } at the start
+ * @param {Object} to - { scale, position } at the end
+ * @param {number} progress - 0 to 1 (eased)
+ * @param {Object} stageSize - { width, height } of the stage in screen pixels
+ * @returns {Object} { scale, position }
+ */
+export const interpolateViewport = (from, to, progress, stageSize) => {
+  const t = easeInOutCubic(Math.max(0, Math.min(1, progress)));
+  const centerOf = ({ scale, position }) => ({
+    x: (stageSize.width / 2 - position.x) / scale,
+    y: (stageSize.height / 2 - position.y) / scale,
+  });
+  const start = centerOf(from);
+  const end = centerOf(to);
+  const scale = from.scale + (to.scale - from.scale) * t;
+  const center = { x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t };
+  return {
+    scale,
+    position: {
+      x: stageSize.width / 2 - center.x * scale,
+      y: stageSize.height / 2 - center.y * scale,
+    },
+  };
+};
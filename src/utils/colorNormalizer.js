@@ -330,3 +330,91 @@ export function normalizeColorSafe(color) {
   }
 }
 
+
+const GRADIENT_TYPES = ['linear', 'radial'];
+
+/**
+ * Normalizes a gradient fill: stop colors to hex, offsets clamped to 0-1 and sorted
+ * @param {object} gradient - { type: 'linear'|'radial', angle?, stops: [{ offset, color }] }
+ * @returns {object} - { ok: true, gradient: object } or throws error
+ * @throws {Error} - If the type is unknown, there are fewer than two stops, or a stop color is invalid
+ */
+export function normalizeGradient(gradient) {
+  if (!gradient || typeof gradient !== 'object') {
+    throw new Error('Invalid gradient: must be an object');
+  }
+  if (!GRADIENT_TYPES.includes(gradient.type)) {
+    throw new Error(`Invalid gradient type: "${gradient.type}". Supported types: ${GRADIENT_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(gradient.stops) || gradient.stops.length < 2) {
+    throw new Error('Invalid gradient: needs at least two color stops');
+  }
+
+  const stops = gradient.stops
+    .map(stop => ({
+      offset: Math.max(0, Math.min(1, Number(stop?.offset) || 0)),
+      color: toHex(stop?.color),
+    }))
+    .sort((a, b) => a.offset - b.offset);
+
+  const normalized = { type: gradient.type, stops };
+  if (gradient.type === 'linear') {
+    const angle = Number(gradient.angle) || 0;
+    normalized.angle = ((angle % 360) + 360) % 360;
+  }
+  return { ok: true, gradient: normalized };
+}
+
+/**
+ * Safely normalizes a gradient, returning an error object instead of throwing
+ * @param {object} gradient - { type, angle?, stops }
+ * @returns {object} - { ok: true, gradient: object } or { ok: false, error: string }
+ */
+export function normalizeGradientSafe(gradient) {
+  try {
+    return normalizeGradient(gradient);
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Share of a gradient's area covered by each stop color
+ * Each stop owns the span halfway to its neighbours (plus the solid ends before the first and
+ * after the last stop). Radial spans are weighted by ring area, so outer colors count for more.
+ * @param {object} gradient - { type, stops }
+ * @returns {Array<object>} - [{ color: hex, weight }] with weights summing to 1; empty if invalid
+ */
+export function getGradientColorWeights(gradient) {
+  const result = normalizeGradientSafe(gradient);
+  if (!result.ok) return [];
+
+  const { type, stops } = result.gradient;
+  const area = (from, to) => (type === 'radial' ? to * to - from * from : to - from);
+
+  const weights = stops.map((stop, i) => {
+    const start = i === 0 ? 0 : (stops[i - 1].offset + stop.offset) / 2;
+    const end = i === stops.length - 1 ? 1 : (stop.offset + stops[i + 1].offset) / 2;
+    return { color: stop.color, weight: area(start, end) };
+  });
+
+  // Merge repeated colors so each color appears once
+  const merged = [];
+  weights.forEach(({ color, weight }) => {
+    const existing = merged.find(entry => entry.color === color);
+    if (existing) existing.weight += weight;
+    else merged.push({ color, weight });
+  });
+  return merged;
+}
+
+/**
+ * Color covering most of a gradient
+ * @param {object} gradient - { type, stops }
+ * @returns {string|null} - Hex color, or null if the gradient is invalid
+ */
+export function getPredominantColor(gradient) {
+  const weights = getGradientColorWeights(gradient);
+  if (weights.length === 0) return null;
+  return weights.reduce((best, entry) => (entry.weight > best.weight ? entry : best)).color;
+}
@@ -43,6 +43,14 @@ class BatchCommand {
     }
   }
 
+  /**
+   * Shape changes made by all commands in the batch, in order
+   * @returns {Array<Object>}
+   */
+  getShapeChanges() {
+    return this.commands.flatMap(command => command.getShapeChanges());
+  }
+
   /**
    * Check if batch is empty
    * @returns {boolean}
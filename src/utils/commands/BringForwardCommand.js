@@ -55,6 +55,16 @@ class BringForwardCommand {
       { id: this.nextShapeId, zIndex: this.nextPreviousZ },
     ]);
   }
+
+  getShapeChanges() {
+    if (!this.canExecute) {
+      return [];
+    }
+    return [
+      { type: 'update', id: this.currentShapeId, props: { zIndex: this.currentNewZ } },
+      { type: 'update', id: this.nextShapeId, props: { zIndex: this.nextNewZ } },
+    ];
+  }
 }
 
 export default BringForwardCommand;
@@ -21,6 +21,10 @@ class CreateShapeCommand {
     // Delete the shape from Firestore
     await this.firestoreActions.deleteShape(this.shapeId);
   }
+
+  getShapeChanges() {
+    return [{ type: 'create', shape: this.shapeData }];
+  }
 }
 
 export default CreateShapeCommand;
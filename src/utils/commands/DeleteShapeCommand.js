@@ -20,6 +20,10 @@ class DeleteShapeCommand {
     // Recreate the shape with the same ID and data
     await this.firestoreActions.addShape(this.shapeData);
   }
+
+  getShapeChanges() {
+    return [{ type: 'delete', id: this.shapeId }];
+  }
 }
 
 export default DeleteShapeCommand;
@@ -0,0 +1,43 @@
+/**
+ * GroupShapesCommand - Command for grouping shapes
+ * Execute: Creates the group and points its members at it
+ * Undo: Restores the members' previous group and deletes the group
+ */
+
+class GroupShapesCommand {
+  /**
+   * @param {Object} group - Group shape to create
+   * @param {Array<Object>} members - Shapes (or groups) joining the group
+   * @param {Object} firestoreActions - Firestore actions
+   */
+  constructor(group, members, firestoreActions) {
+    this.group = { ...group };
+    this.members = members.map(member => ({ id: member.id, groupId: member.groupId ?? null }));
+    this.firestoreActions = firestoreActions;
+  }
+
+  async execute() {
+    // addShape is optimistic, so the members can join before the write finishes
+    const created = this.firestoreActions.addShape(this.group);
+    this.members.forEach(member => {
+      this.firestoreActions.updateShape(member.id, { groupId: this.group.id });
+    });
+    await created;
+  }
+
+  async undo() {
+    this.members.forEach(member => {
+      this.firestoreActions.updateShape(member.id, { groupId: member.groupId });
+    });
+    await this.firestoreActions.deleteShape(this.group.id);
+  }
+
+  getShapeChanges() {
+    return [
+      { type: 'create', shape: this.group },
+      ...this.members.map(member => ({ type: 'update', id: member.id, props: { groupId: this.group.id } })),
+    ];
+  }
+}
+
+export default GroupShapesCommand;
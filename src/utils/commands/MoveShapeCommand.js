@@ -21,6 +21,10 @@ class MoveShapeCommand {
     // Restore the old position
     this.firestoreActions.updateShape(this.shapeId, this.oldPosition);
   }
+
+  getShapeChanges() {
+    return [{ type: 'update', id: this.shapeId, props: this.newPosition }];
+  }
 }
 
 export default MoveShapeCommand;
@@ -55,6 +55,16 @@ class SendBackwardCommand {
       { id: this.prevShapeId, zIndex: this.prevPreviousZ },
     ]);
   }
+
+  getShapeChanges() {
+    if (!this.canExecute) {
+      return [];
+    }
+    return [
+      { type: 'update', id: this.currentShapeId, props: { zIndex: this.currentNewZ } },
+      { type: 'update', id: this.prevShapeId, props: { zIndex: this.prevNewZ } },
+    ];
+  }
 }
 
 export default SendBackwardCommand;
@@ -25,6 +25,10 @@ class SendToBackCommand {
   async undo() {
     await this.firestoreActions.updateZIndex(this.shapeId, this.previousZIndex);
   }
+
+  getShapeChanges() {
+    return [{ type: 'update', id: this.shapeId, props: { zIndex: this.newZIndex } }];
+  }
 }
 
 export default SendToBackCommand;
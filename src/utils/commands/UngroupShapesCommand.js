@@ -0,0 +1,43 @@
+/**
+ * UngroupShapesCommand - Command for ungrouping shapes
+ * Execute: Moves the members up to the group's own group (if any) and deletes the group
+ * Undo: Recreates the group and puts its members back in it
+ */
+
+class UngroupShapesCommand {
+  /**
+   * @param {Object} group - Group shape being removed
+   * @param {Array<Object>} members - Its direct members
+   * @param {Object} firestoreActions - Firestore actions
+   */
+  constructor(group, members, firestoreActions) {
+    this.group = { ...group };
+    this.memberIds = members.map(member => member.id);
+    this.firestoreActions = firestoreActions;
+  }
+
+  async execute() {
+    this.memberIds.forEach(id => {
+      this.firestoreActions.updateShape(id, { groupId: this.group.groupId ?? null });
+    });
+    await this.firestoreActions.deleteShape(this.group.id);
+  }
+
+  async undo() {
+    // addShape is optimistic, so the members can rejoin before the write finishes
+    const created = this.firestoreActions.addShape(this.group);
+    this.memberIds.forEach(id => {
+      this.firestoreActions.updateShape(id, { groupId: this.group.id });
+    });
+    await created;
+  }
+
+  getShapeChanges() {
+    return [
+      ...this.memberIds.map(id => ({ type: 'update', id, props: { groupId: this.group.groupId ?? null } })),
+      { type: 'delete', id: this.group.id },
+    ];
+  }
+}
+
+export default UngroupShapesCommand;
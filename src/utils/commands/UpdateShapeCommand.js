@@ -33,6 +33,10 @@ class UpdateShapeCommand {
     // Restore the old properties
     this.firestoreActions.updateShape(this.shapeId, this.oldProperties);
   }
+
+  getShapeChanges() {
+    return [{ type: 'update', id: this.shapeId, props: this.newProperties }];
+  }
 }
 
 export default UpdateShapeCommand;
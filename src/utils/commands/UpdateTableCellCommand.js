@@ -0,0 +1,36 @@
+/**
+ * UpdateTableCellCommand - Command for editing one table cell
+ * Execute: Writes the cell's new text (only that cell, so edits to other cells survive)
+ * Undo: Writes the cell's previous text back
+ */
+
+class UpdateTableCellCommand {
+  /**
+   * @param {string} shapeId - Table shape
+   * @param {string} cellKey - Cell key (getCellKey)
+   * @param {string} oldText - Cell text before the edit
+   * @param {string} newText - Cell text after the edit
+   * @param {Object} firestoreActions - Firestore actions
+   */
+  constructor(shapeId, cellKey, oldText, newText, firestoreActions) {
+    this.shapeId = shapeId;
+    this.cellKey = cellKey;
+    this.oldText = oldText;
+    this.newText = newText;
+    this.firestoreActions = firestoreActions;
+  }
+
+  async execute() {
+    this.firestoreActions.updateTableCell(this.shapeId, this.cellKey, this.newText);
+  }
+
+  async undo() {
+    this.firestoreActions.updateTableCell(this.shapeId, this.cellKey, this.oldText);
+  }
+
+  getShapeChanges() {
+    return [{ type: 'cell', id: this.shapeId, cellKey: this.cellKey, text: this.newText }];
+  }
+}
+
+export default UpdateTableCellCommand;
@@ -134,6 +134,20 @@ describe('BatchCommand', () => {
     });
   });
 
+  describe('getShapeChanges', () => {
+    it('should list every command\'s shape changes in order', () => {
+      mockCommand1.getShapeChanges = () => [{ type: 'update', id: 'a', props: { x: 1 } }];
+      mockCommand2.getShapeChanges = () => [];
+      mockCommand3.getShapeChanges = () => [{ type: 'delete', id: 'b' }];
+      const batch = new BatchCommand([mockCommand1, mockCommand2, mockCommand3]);
+
+      expect(batch.getShapeChanges()).toEqual([
+        { type: 'update', id: 'a', props: { x: 1 } },
+        { type: 'delete', id: 'b' },
+      ]);
+    });
+  });
+
   describe('isEmpty', () => {
     it('should return true for empty batch', () => {
       const batch = new BatchCommand();
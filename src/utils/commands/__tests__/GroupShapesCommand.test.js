@@ -0,0 +1,63 @@
+/**
+ * Tests for GroupShapesCommand
+ */
+
+import GroupShapesCommand from '../GroupShapesCommand';
+
+describe('GroupShapesCommand', () => {
+  let firestoreActions;
+  const group = { id: 'group-1', type: 'group', name: 'Group', groupId: null, parentId: null, zIndex: 2 };
+  const members = [
+    { id: 'rect-1', type: 'rect' },
+    { id: 'rect-2', type: 'rect', groupId: 'group-0' },
+  ];
+
+  beforeEach(() => {
+    firestoreActions = {
+      addShape: jest.fn().mockResolvedValue(undefined),
+      updateShape: jest.fn(),
+      deleteShape: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('creates the group and points its members at it', async () => {
+    const command = new GroupShapesCommand(group, members, firestoreActions);
+    await command.execute();
+
+    expect(firestoreActions.addShape).toHaveBeenCalledWith(group);
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-1', { groupId: 'group-1' });
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-2', { groupId: 'group-1' });
+  });
+
+  it('restores the members\' previous groups and deletes the group on undo', async () => {
+    const command = new GroupShapesCommand(group, members, firestoreActions);
+    await command.execute();
+    firestoreActions.updateShape.mockClear();
+
+    await command.undo();
+
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-1', { groupId: null });
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-2', { groupId: 'group-0' });
+    expect(firestoreActions.deleteShape).toHaveBeenCalledWith('group-1');
+  });
+
+  it('recreates the same group on redo', async () => {
+    const command = new GroupShapesCommand(group, members, firestoreActions);
+    await command.execute();
+    await command.undo();
+    await command.execute();
+
+    expect(firestoreActions.addShape).toHaveBeenCalledTimes(2);
+    expect(firestoreActions.addShape.mock.calls[1][0].id).toBe('group-1');
+  });
+
+  it('declares the group and its members\' new groupId as its shape changes', () => {
+    const command = new GroupShapesCommand(group, members, firestoreActions);
+
+    expect(command.getShapeChanges()).toEqual([
+      { type: 'create', shape: group },
+      { type: 'update', id: 'rect-1', props: { groupId: 'group-1' } },
+      { type: 'update', id: 'rect-2', props: { groupId: 'group-1' } },
+    ]);
+  });
+});
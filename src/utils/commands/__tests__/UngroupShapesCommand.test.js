@@ -0,0 +1,60 @@
+/**
+ * Tests for UngroupShapesCommand
+ */
+
+import UngroupShapesCommand from '../UngroupShapesCommand';
+
+describe('UngroupShapesCommand', () => {
+  let firestoreActions;
+  const members = [{ id: 'rect-1', groupId: 'group-1' }, { id: 'rect-2', groupId: 'group-1' }];
+
+  beforeEach(() => {
+    firestoreActions = {
+      addShape: jest.fn().mockResolvedValue(undefined),
+      updateShape: jest.fn(),
+      deleteShape: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('moves the members out and deletes the group', async () => {
+    const group = { id: 'group-1', type: 'group', groupId: null };
+    const command = new UngroupShapesCommand(group, members, firestoreActions);
+    await command.execute();
+
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-1', { groupId: null });
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-2', { groupId: null });
+    expect(firestoreActions.deleteShape).toHaveBeenCalledWith('group-1');
+  });
+
+  it('keeps the members in the parent group of a nested group', async () => {
+    const group = { id: 'group-1', type: 'group', groupId: 'group-outer' };
+    const command = new UngroupShapesCommand(group, members, firestoreActions);
+    await command.execute();
+
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-1', { groupId: 'group-outer' });
+  });
+
+  it('recreates the group and its membership on undo', async () => {
+    const group = { id: 'group-1', type: 'group', name: 'Group', groupId: null };
+    const command = new UngroupShapesCommand(group, members, firestoreActions);
+    await command.execute();
+    firestoreActions.updateShape.mockClear();
+
+    await command.undo();
+
+    expect(firestoreActions.addShape).toHaveBeenCalledWith(group);
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-1', { groupId: 'group-1' });
+    expect(firestoreActions.updateShape).toHaveBeenCalledWith('rect-2', { groupId: 'group-1' });
+  });
+
+  it('declares the members moving out and the group going as its shape changes', () => {
+    const group = { id: 'group-1', type: 'group', groupId: 'group-0' };
+    const command = new UngroupShapesCommand(group, members, firestoreActions);
+
+    expect(command.getShapeChanges()).toEqual([
+      { type: 'update', id: 'rect-1', props: { groupId: 'group-0' } },
+      { type: 'update', id: 'rect-2', props: { groupId: 'group-0' } },
+      { type: 'delete', id: 'group-1' },
+    ]);
+  });
+});
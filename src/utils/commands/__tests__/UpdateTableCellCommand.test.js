@@ -0,0 +1,38 @@
+/**
+ * Tests for UpdateTableCellCommand
+ */
+
+import UpdateTableCellCommand from '../UpdateTableCellCommand';
+
+describe('UpdateTableCellCommand', () => {
+  let firestoreActions;
+
+  beforeEach(() => {
+    firestoreActions = {
+      updateTableCell: jest.fn(),
+      updateShape: jest.fn(),
+    };
+  });
+
+  it('writes just the cell\'s new text', async () => {
+    const command = new UpdateTableCellCommand('table-1', 'r1c2', 'Old', 'New', firestoreActions);
+    await command.execute();
+
+    expect(firestoreActions.updateTableCell).toHaveBeenCalledWith('table-1', 'r1c2', 'New');
+    expect(firestoreActions.updateShape).not.toHaveBeenCalled();
+  });
+
+  it('writes the previous text back on undo', async () => {
+    const command = new UpdateTableCellCommand('table-1', 'r1c2', 'Old', 'New', firestoreActions);
+    await command.execute();
+    await command.undo();
+
+    expect(firestoreActions.updateTableCell).toHaveBeenLastCalledWith('table-1', 'r1c2', 'Old');
+  });
+
+  it('declares the cell change as its shape change', () => {
+    const command = new UpdateTableCellCommand('table-1', 'r1c2', 'Old', 'New', firestoreActions);
+
+    expect(command.getShapeChanges()).toEqual([{ type: 'cell', id: 'table-1', cellKey: 'r1c2', text: 'New' }]);
+  });
+});
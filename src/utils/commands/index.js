@@ -5,10 +5,13 @@
 export { default as CreateShapeCommand } from './CreateShapeCommand';
 export { default as DeleteShapeCommand } from './DeleteShapeCommand';
 export { default as UpdateShapeCommand } from './UpdateShapeCommand';
+export { default as UpdateTableCellCommand } from './UpdateTableCellCommand';
 export { default as MoveShapeCommand } from './MoveShapeCommand';
 export { default as BringToFrontCommand } from './BringToFrontCommand';
 export { default as SendToBackCommand } from './SendToBackCommand';
 export { default as BringForwardCommand } from './BringForwardCommand';
 export { default as SendBackwardCommand } from './SendBackwardCommand';
 export { default as BatchCommand } from './BatchCommand';
+export { default as GroupShapesCommand } from './GroupShapesCommand';
+export { default as UngroupShapesCommand } from './UngroupShapesCommand';
 
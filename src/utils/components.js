@@ -0,0 +1,165 @@
+/**
+ * Component (symbol) helpers
+ * A component's master is a group flagged with isComponent; its members are drawn normally.
+ * An instance is a single shape that draws the master's members, scaled to its own size,
+ * so edits to the master show up in every instance. Instances keep per-member overrides.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { SHAPE_TYPES } from './shapes';
+import { isGroup, getGroupMemberIds, getGroupBounds, createGroup } from './groups';
+
+// Member properties an instance can change
+export const OVERRIDABLE_KEYS = ['fill', 'fillGradient', 'text'];
+
+export const INSTANCE_GAP = 40; // Space between a new instance and the shape it's placed next to
+
+/**
+ * Check whether a shape is a component master
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isComponent = (shape) => isGroup(shape) && Boolean(shape.isComponent);
+
+/**
+ * Check whether a shape is a component instance
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isInstance = (shape) => shape?.type === SHAPE_TYPES.INSTANCE;
+
+/**
+ * Konva node id of a member drawn inside an instance (unique next to the master's own node)
+ * @param {string} instanceId - Instance shape ID
+ * @param {string} memberId - Master member ID
+ * @returns {string}
+ */
+export const getInstanceMemberNodeId = (instanceId, memberId) => `${instanceId}:${memberId}`;
+
+/**
+ * What each component on the board looks like: its bounds and the shapes it draws
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @returns {Object} Map of componentId -> { name, bounds, shapes } (shapes in stacking order, groups left out)
+ */
+export const getComponentContents = (shapes) => {
+  const contents = {};
+  shapes.filter(isComponent).forEach((component) => {
+    const bounds = getGroupBounds(shapes, component.id);
+    if (!bounds) return;
+    const memberIds = getGroupMemberIds(shapes, [component.id]);
+    contents[component.id] = {
+      name: component.name,
+      bounds,
+      shapes: shapes
+        // Instances of other components aren't drawn inside an instance, which also rules out cycles
+        .filter(shape => memberIds.has(shape.id) && !isGroup(shape) && !isInstance(shape))
+        .sort((a, b) => (a.zIndex ?? 0) - (b.zIndex ?? 0)),
+    };
+  });
+  return contents;
+};
+
+/**
+ * The master's members as an instance draws them, with the instance's overrides applied
+ * Positions stay in the master's coordinates; the instance scales and offsets them.
+ * @param {Object} instance - Instance shape
+ * @param {Object} content - Entry of getComponentContents for its component
+ * @returns {Array<Object>} Member shapes
+ */
+export const getInstanceMembers = (instance, content) => {
+  if (!content) return [];
+  const overrides = instance.overrides || {};
+  return content.shapes.map(member => ({ ...member, ...overrides[member.id] }));
+};
+
+/**
+ * Scale from the master's size to the instance's size
+ * @param {Object} instance - Instance shape
+ * @param {Object} content - Entry of getComponentContents for its component
+ * @returns {Object} { scaleX, scaleY }
+ */
+export const getInstanceScale = (instance, content) => ({
+  scaleX: content?.bounds.width ? instance.width / content.bounds.width : 1,
+  scaleY: content?.bounds.height ? instance.height / content.bounds.height : 1,
+});
+
+/**
+ * Where a member of an instance sits on the canvas (for editors drawn over it)
+ * Rotation of the instance is not taken into account.
+ * @param {Object} instance - Instance shape
+ * @param {Object} content - Entry of getComponentContents for its component
+ * @param {Object} member - Member as returned by getInstanceMembers
+ * @returns {Object} The member with x, y, width and fontSize in canvas units
+ */
+export const placeInstanceMember = (instance, content, member) => {
+  const { scaleX, scaleY } = getInstanceScale(instance, content);
+  return {
+    ...member,
+    x: instance.x + (member.x - content.bounds.x) * scaleX,
+    y: instance.y + (member.y - content.bounds.y) * scaleY,
+    ...(member.width != null && { width: member.width * scaleX }),
+    ...(member.fontSize != null && { fontSize: member.fontSize * scaleY }),
+  };
+};
+
+/**
+ * Create a component master for the given shapes (a group flagged as a component)
+ * @param {Array<Object>} members - Shapes (or groups) making up the component
+ * @returns {Object} Group shape object
+ */
+export const createComponent = (members) => ({
+  ...createGroup(members),
+  name: 'Component',
+  isComponent: true,
+});
+
+/**
+ * Create an instance of a component
+ * @param {Object} component - Component master (group)
+ * @param {Object} content - Entry of getComponentContents for it
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @returns {Object} Instance shape object, the size of the master
+ */
+export const createInstance = (component, content, x, y) => ({
+  id: uuidv4(),
+  type: SHAPE_TYPES.INSTANCE,
+  componentId: component.id,
+  name: component.name || 'Component',
+  x,
+  y,
+  width: content.bounds.width,
+  height: content.bounds.height,
+  rotation: 0,
+  overrides: {},
+  zIndex: Date.now(),
+});
+
+/**
+ * Overrides after changing a member of an instance
+ * A value equal to the master's removes the override, so master edits show through again.
+ * @param {Object} instance - Instance shape
+ * @param {Object} master - The master's member being overridden
+ * @param {Object} updates - e.g. { fill }, { fillGradient } or { text } (other keys are ignored)
+ * @returns {Object} New overrides map
+ */
+export const setInstanceOverride = (instance, master, updates) => {
+  const memberOverrides = { ...(instance.overrides || {})[master.id] };
+  Object.entries(updates)
+    .filter(([key]) => OVERRIDABLE_KEYS.includes(key))
+    .forEach(([key, value]) => {
+      if (JSON.stringify(value ?? null) === JSON.stringify(master[key] ?? null)) {
+        delete memberOverrides[key];
+      } else {
+        memberOverrides[key] = value;
+      }
+    });
+
+  const overrides = { ...(instance.overrides || {}) };
+  if (Object.keys(memberOverrides).length > 0) {
+    overrides[master.id] = memberOverrides;
+  } else {
+    delete overrides[master.id];
+  }
+  return overrides;
+};
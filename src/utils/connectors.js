@@ -0,0 +1,408 @@
+/**
+ * Connector utilities
+ * A connector is a line or arrow whose endpoints bind to other shapes:
+ * startBinding / endBinding = { shapeId, anchor } or null.
+ * Bound endpoints are re-routed from the bound shapes' current geometry at render time,
+ * so connectors follow local edits and remote drags without extra writes.
+ */
+
+import { isLinearShape, LINE_ENDS } from './lines';
+import { isStrokeShape } from './paths';
+import { getCenteredShapeExtent } from './shapes';
+import { isGroup } from './groups';
+
+// Side of the bound shape an endpoint attaches to; auto picks the side facing the other end
+export const ANCHORS = {
+  TOP: 'top',
+  RIGHT: 'right',
+  BOTTOM: 'bottom',
+  LEFT: 'left',
+  AUTO: 'auto',
+};
+
+const SIDE_ANCHORS = [ANCHORS.TOP, ANCHORS.RIGHT, ANCHORS.BOTTOM, ANCHORS.LEFT];
+
+// How close (canvas px) an endpoint must be dropped to an anchor to snap to that side
+export const ANCHOR_SNAP_DISTANCE = 16;
+
+const POSITION_EPSILON = 0.5;
+
+export const BINDING_KEYS = {
+  [LINE_ENDS.START]: 'startBinding',
+  [LINE_ENDS.END]: 'endBinding',
+};
+
+/**
+ * Check whether a shape is a line or arrow with at least one bound endpoint
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isConnector = (shape) =>
+  isLinearShape(shape) && !!(shape.startBinding?.shapeId || shape.endBinding?.shapeId);
+
+/**
+ * Check whether a shape can be a connector target
+ * Connectors don't bind to other lines, arrows or freehand paths
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const canBindTo = (shape) => !!shape && !shape.deleted && !isStrokeShape(shape);
+
+const rotatePoint = (x, y, degrees) => {
+  if (!degrees) return { x, y };
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+/**
+ * Local frame of a bindable shape: the box it's drawn in and how it's placed
+ * Box shapes (rect, triangle, text) rotate around their top-left x,y like Konva does;
+ * circles, ellipses, polygons and stars are centered on x,y and rotate around it.
+ * @param {Object} shape - Shape object
+ * @returns {Object} { originX, originY, left, top, width, height, rotation }
+ */
+export const getShapeFrame = (shape) => {
+  const extent = getCenteredShapeExtent(shape);
+  if (extent) {
+    return {
+      originX: shape.x,
+      originY: shape.y,
+      ...extent,
+      rotation: shape.type === 'circle' ? 0 : shape.rotation || 0,
+    };
+  }
+
+  let width = shape.width;
+  let height = shape.height;
+  if (shape.type === 'text') {
+    const fontSize = shape.fontSize || 16;
+    width = width || (shape.text || '').length * fontSize * 0.6;
+    height = height || fontSize;
+  }
+
+  return {
+    originX: shape.x,
+    originY: shape.y,
+    left: 0,
+    top: 0,
+    width: width ?? 100,
+    height: height ?? 100,
+    rotation: shape.rotation || 0,
+  };
+};
+
+const frameToCanvas = (frame, localX, localY) => {
+  const rotated = rotatePoint(localX, localY, frame.rotation);
+  return { x: frame.originX + rotated.x, y: frame.originY + rotated.y };
+};
+
+/**
+ * Center of a bindable shape in canvas coordinates
+ * @param {Object} shape - Shape object
+ * @returns {Object} { x, y }
+ */
+export const getShapeCenterPoint = (shape) => {
+  const frame = getShapeFrame(shape);
+  return frameToCanvas(frame, frame.left + frame.width / 2, frame.top + frame.height / 2);
+};
+
+/**
+ * Canvas point of a side anchor (midpoint of that side)
+ * @param {Object} shape - Shape object
+ * @param {string} side - ANCHORS.TOP/RIGHT/BOTTOM/LEFT
+ * @returns {Object} { x, y }
+ */
+export const getSideAnchorPoint = (shape, side) => {
+  const frame = getShapeFrame(shape);
+  const { left, top, width, height } = frame;
+  switch (side) {
+    case ANCHORS.TOP:
+      return frameToCanvas(frame, left + width / 2, top);
+    case ANCHORS.RIGHT:
+      return frameToCanvas(frame, left + width, top + height / 2);
+    case ANCHORS.BOTTOM:
+      return frameToCanvas(frame, left + width / 2, top + height);
+    case ANCHORS.LEFT:
+      return frameToCanvas(frame, left, top + height / 2);
+    default:
+      return getShapeCenterPoint(shape);
+  }
+};
+
+/**
+ * All four side anchors of a shape
+ * @param {Object} shape - Shape object
+ * @returns {Array<Object>} [{ anchor, x, y }]
+ */
+export const getSideAnchors = (shape) =>
+  SIDE_ANCHORS.map(anchor => ({ anchor, ...getSideAnchorPoint(shape, anchor) }));
+
+/**
+ * Resolve an anchor to a canvas point
+ * Auto anchors use the side closest to the point the connector heads towards
+ * @param {Object} shape - Bound shape
+ * @param {string} anchor - Anchor side or ANCHORS.AUTO
+ * @param {Object} towards - { x, y } the other end of the connector
+ * @returns {Object} { x, y }
+ */
+export const getAnchorPoint = (shape, anchor, towards) => {
+  if (SIDE_ANCHORS.includes(anchor)) {
+    return getSideAnchorPoint(shape, anchor);
+  }
+  const anchors = getSideAnchors(shape);
+  const closest = anchors.reduce((best, candidate) => {
+    const distance = Math.hypot(candidate.x - towards.x, candidate.y - towards.y);
+    return distance < best.distance ? { point: candidate, distance } : best;
+  }, { point: anchors[0], distance: Infinity });
+  return { x: closest.point.x, y: closest.point.y };
+};
+
+/**
+ * Canvas point of one end of a line as currently stored
+ * @param {Object} shape - Line or arrow
+ * @param {string} end - LINE_ENDS.START or LINE_ENDS.END
+ * @returns {Object} { x, y }
+ */
+export const getLineEndPoint = (shape, end) => {
+  const points = shape.points || [0, 0, 0, 0];
+  const index = end === LINE_ENDS.START ? 0 : points.length - 2;
+  const rotated = rotatePoint(points[index], points[index + 1], shape.rotation || 0);
+  return { x: (shape.x || 0) + rotated.x, y: (shape.y || 0) + rotated.y };
+};
+
+const getBoundShape = (binding, shapesById) => {
+  if (!binding?.shapeId) return null;
+  const shape = shapesById.get(binding.shapeId);
+  return canBindTo(shape) ? shape : null;
+};
+
+/**
+ * Compute a connector's geometry from its bindings
+ * Unbound (or dangling) ends keep their stored position.
+ * @param {Object} connector - Line or arrow with bindings
+ * @param {Map<string, Object>} shapesById - Current shapes by ID
+ * @returns {Object} { x, y, points, rotation }
+ */
+export const resolveConnectorGeometry = (connector, shapesById) => {
+  const startShape = getBoundShape(connector.startBinding, shapesById);
+  const endShape = getBoundShape(connector.endBinding, shapesById);
+
+  const storedStart = getLineEndPoint(connector, LINE_ENDS.START);
+  const storedEnd = getLineEndPoint(connector, LINE_ENDS.END);
+
+  // Auto anchors aim at the other shape's center, or the other free end
+  const startTarget = endShape ? getShapeCenterPoint(endShape) : storedEnd;
+  const endTarget = startShape ? getShapeCenterPoint(startShape) : storedStart;
+
+  const start = startShape
+    ? getAnchorPoint(startShape, connector.startBinding.anchor, startTarget)
+    : storedStart;
+  const end = endShape
+    ? getAnchorPoint(endShape, connector.endBinding.anchor, endTarget)
+    : storedEnd;
+
+  return {
+    x: start.x,
+    y: start.y,
+    points: [0, 0, end.x - start.x, end.y - start.y],
+    rotation: 0,
+  };
+};
+
+const sameGeometry = (shape, geometry) =>
+  Math.abs((shape.x || 0) - geometry.x) < POSITION_EPSILON &&
+  Math.abs((shape.y || 0) - geometry.y) < POSITION_EPSILON &&
+  !(shape.rotation) &&
+  Array.isArray(shape.points) &&
+  shape.points.length === geometry.points.length &&
+  shape.points.every((value, i) => Math.abs(value - geometry.points[i]) < POSITION_EPSILON);
+
+/**
+ * Re-route every connector against the current shapes
+ * Shapes that don't change keep their identity so memoized renders are skipped.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} overrides - In-progress local edits by shape ID ({ x, y, width, ... })
+ * @returns {Array<Object>} Shapes with connector geometry resolved
+ */
+export const routeConnectors = (shapes, overrides = {}) => {
+  if (!shapes.some(isConnector)) return shapes;
+
+  const shapesById = new Map(
+    shapes.map(shape => [shape.id, overrides[shape.id] ? { ...shape, ...overrides[shape.id] } : shape])
+  );
+
+  return shapes.map(shape => {
+    if (!isConnector(shape)) return shape;
+    const geometry = resolveConnectorGeometry(shape, shapesById);
+    return sameGeometry(shape, geometry) ? shape : { ...shape, ...geometry };
+  });
+};
+
+/**
+ * IDs of all shapes some connector is bound to
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @returns {Set<string>}
+ */
+export const getBoundShapeIds = (shapes) => {
+  const ids = new Set();
+  shapes.forEach(shape => {
+    if (!isConnector(shape)) return;
+    if (shape.startBinding?.shapeId) ids.add(shape.startBinding.shapeId);
+    if (shape.endBinding?.shapeId) ids.add(shape.endBinding.shapeId);
+  });
+  return ids;
+};
+
+const containsPoint = (shape, point) => {
+  const frame = getShapeFrame(shape);
+  const local = rotatePoint(point.x - frame.originX, point.y - frame.originY, -frame.rotation);
+  if (shape.type === 'circle') {
+    return Math.hypot(local.x, local.y) <= frame.width / 2;
+  }
+  return (
+    local.x >= frame.left && local.x <= frame.left + frame.width &&
+    local.y >= frame.top && local.y <= frame.top + frame.height
+  );
+};
+
+/**
+ * Find the shape (and anchor) an endpoint dropped at a point should bind to
+ * Near a side anchor snaps to that side; anywhere inside a shape binds with an auto anchor.
+ * Topmost shapes win.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} point - { x, y } in canvas coordinates
+ * @param {Object} options
+ * @param {Array<string>} options.excludeIds - Shapes that can't be targets (the connector itself)
+ * @param {number} options.snapDistance - Anchor snap distance in canvas px
+ * @returns {Object|null} { shapeId, anchor } or null
+ */
+export const findBindingTarget = (shapes, point, { excludeIds = [], snapDistance = ANCHOR_SNAP_DISTANCE } = {}) => {
+  const candidates = shapes
+    .filter(shape => canBindTo(shape) && !excludeIds.includes(shape.id))
+    .sort((a, b) => (b.zIndex ?? 0) - (a.zIndex ?? 0));
+
+  for (const shape of candidates) {
+    const nearAnchor = getSideAnchors(shape)
+      .find(anchor => Math.hypot(anchor.x - point.x, anchor.y - point.y) <= snapDistance);
+    if (nearAnchor) {
+      return { shapeId: shape.id, anchor: nearAnchor.anchor };
+    }
+    if (containsPoint(shape, point)) {
+      return { shapeId: shape.id, anchor: ANCHORS.AUTO };
+    }
+  }
+  return null;
+};
+
+/**
+ * Updates that detach connectors from shapes that are going away
+ * Each detached connector is frozen at its current routed geometry.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} removedIds - Shapes being deleted
+ * @returns {Array<Object>} [{ id, oldState, newState }] for UpdateShapeCommand
+ */
+export const getConnectorDetachUpdates = (shapes, removedIds) => {
+  const removed = new Set(removedIds);
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+
+  return shapes
+    .filter(shape => isConnector(shape) && !removed.has(shape.id))
+    .filter(shape => removed.has(shape.startBinding?.shapeId) || removed.has(shape.endBinding?.shapeId))
+    .map(connector => {
+      const geometry = resolveConnectorGeometry(connector, shapesById);
+      const newState = { ...geometry };
+      const oldState = {
+        x: connector.x,
+        y: connector.y,
+        points: connector.points,
+        rotation: connector.rotation || 0,
+      };
+      Object.values(BINDING_KEYS).forEach(key => {
+        if (removed.has(connector[key]?.shapeId)) {
+          oldState[key] = connector[key];
+          newState[key] = null;
+        }
+      });
+      return { id: connector.id, oldState, newState };
+    });
+};
+
+/**
+ * Updates that save the routed geometry of connectors bound to changed shapes
+ * Stored points then match what's drawn for anything reading shapes directly.
+ * @param {Array<Object>} shapes - Shapes as the change leaves them
+ * @param {Array<string>} changedIds - Shapes the change touched (connectors included)
+ * @returns {Array<Object>} [{ id, oldState, newState }] for UpdateShapeCommand
+ */
+export const getConnectorRouteUpdates = (shapes, changedIds) => {
+  const changed = new Set(changedIds);
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+  const boundIds = (connector) => [connector.startBinding?.shapeId, connector.endBinding?.shapeId]
+    .filter(id => id && shapesById.has(id));
+
+  return shapes
+    .filter(shape => isConnector(shape) && boundIds(shape).length > 0)
+    .filter(connector => changed.has(connector.id) || boundIds(connector).some(id => changed.has(id)))
+    .map(connector => ({ connector, geometry: resolveConnectorGeometry(connector, shapesById) }))
+    .filter(({ connector, geometry }) => !sameGeometry(connector, geometry))
+    .map(({ connector, geometry }) => ({
+      id: connector.id,
+      oldState: {
+        x: connector.x,
+        y: connector.y,
+        points: connector.points,
+        rotation: connector.rotation || 0,
+      },
+      newState: geometry,
+    }));
+};
+
+/**
+ * Copy shapes (paste/duplicate), keeping connector bindings inside the copied set
+ * Bindings to shapes that weren't copied are dropped so the copy doesn't jump back.
+ * @param {Array<Object>} shapesToCopy - Shapes being copied
+ * @param {Object} options
+ * @param {Function} options.createId - Returns a new shape ID
+ * @param {number} options.offset - Offset applied to x and y
+ * @returns {Array<Object>} New shapes
+ */
+export const copyShapesWithBindings = (shapesToCopy, { createId, offset = 20 }) => {
+  const idMap = new Map(shapesToCopy.map(shape => [shape.id, createId()]));
+
+  const remap = (binding) => {
+    if (!binding?.shapeId) return binding ?? null;
+    return idMap.has(binding.shapeId) ? { ...binding, shapeId: idMap.get(binding.shapeId) } : null;
+  };
+
+  return shapesToCopy.map(shape => {
+    const copy = {
+      ...shape,
+      id: idMap.get(shape.id),
+    };
+    // Groups have no position of their own
+    if (!isGroup(shape)) {
+      copy.x = shape.x + offset;
+      copy.y = shape.y + offset;
+    }
+    if (isLinearShape(shape)) {
+      copy.startBinding = remap(shape.startBinding);
+      copy.endBinding = remap(shape.endBinding);
+    }
+    // Copies stay in a copied frame or group; otherwise they land beside the original in its frame or group
+    if (shape.parentId && idMap.has(shape.parentId)) {
+      copy.parentId = idMap.get(shape.parentId);
+    }
+    if (shape.groupId && idMap.has(shape.groupId)) {
+      copy.groupId = idMap.get(shape.groupId);
+    }
+    // Instances copied with their component follow the copied component, overrides included
+    if (shape.componentId && idMap.has(shape.componentId)) {
+      copy.componentId = idMap.get(shape.componentId);
+      copy.overrides = Object.fromEntries(Object.entries(shape.overrides || {})
+        .map(([memberId, values]) => [idMap.get(memberId) ?? memberId, values]));
+    }
+    return copy;
+  });
+};
@@ -2,6 +2,9 @@
  * exportCanvas - Utilities for exporting canvas to various formats
  */
 
+import { getFrameContentNodeId } from './frames';
+import { stageToSVG } from './svgExport';
+
 /**
  * Export canvas as PNG image
  * @param {Object} stageRef - React ref to Konva Stage
@@ -58,14 +61,79 @@ export const exportCanvasToPNG = async (stageRef, filename, options = {}) => {
   }
 };
 
+/**
+ * Export a single frame (and what's inside it) as PNG
+ * The image covers the frame's bounds, or all of its contents when the frame doesn't clip them.
+ * @param {Object} stageRef - React ref to Konva Stage
+ * @param {Object} frame - Frame shape
+ * @param {string} filename - Optional filename (default: {frame name}-{timestamp}.png)
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onBeforeExport - Callback to hide UI elements
+ * @param {Function} options.onAfterExport - Callback to restore UI elements
+ * @returns {Promise<string>} PNG data URL
+ */
+export const exportFrameToPNG = async (stageRef, frame, filename, options = {}) => {
+  if (!stageRef || !stageRef.current) {
+    throw new Error('Stage reference is not available');
+  }
+
+  try {
+    const stage = stageRef.current;
+
+    // Hide UI elements before export (transformer, selection box)
+    if (options.onBeforeExport) {
+      options.onBeforeExport();
+    }
+
+    // Wait for next frame to ensure UI updates are applied
+    await new Promise(resolve => requestAnimationFrame(resolve));
+
+    const contentNode = stage.findOne(`#${getFrameContentNodeId(frame.id)}`);
+    const frameNode = stage.findOne(`#${frame.id}`);
+    if (!contentNode || !frameNode) {
+      throw new Error(`Frame ${frame.id} is not on the canvas`);
+    }
+
+    // Same 2x density as a full export, independent of the current zoom
+    const area = frame.clipContent === false ? contentNode.getClientRect() : frameNode.getClientRect();
+    const dataURL = contentNode.toDataURL({
+      ...area,
+      pixelRatio: 2 / stage.scaleX(),
+      mimeType: 'image/png',
+    });
+
+    // Restore UI elements after export
+    if (options.onAfterExport) {
+      options.onAfterExport();
+    }
+
+    // Trigger download
+    const link = document.createElement('a');
+    link.download = filename || `${frame.name || 'frame'}-${Date.now()}.png`;
+    link.href = dataURL;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    return dataURL;
+  } catch (error) {
+    // Ensure UI is restored even on error
+    if (options.onAfterExport) {
+      options.onAfterExport();
+    }
+    console.error('[exportCanvas] Failed to export frame PNG:', error);
+    throw new Error('Failed to export frame as PNG');
+  }
+};
+
 /**
  * Export canvas as SVG
- * Note: Konva doesn't have native SVG export, so we'll generate SVG manually from shapes
- * For now, we'll use a simpler approach: export as data URL then create SVG wrapper
- * A more robust solution would iterate through shapes and generate SVG elements
+ * With options.vector the board's shapes are written as SVG elements (see svgExport), covering
+ * every shape; otherwise the visible canvas is embedded as a PNG image.
  * @param {Object} stageRef - React ref to Konva Stage
  * @param {string} filename - Optional filename (default: canvas-{timestamp}.svg)
  * @param {Object} options - Optional configuration
+ * @param {boolean} options.vector - Write vector shapes instead of an embedded image
  * @param {Function} options.onBeforeExport - Callback to hide UI elements
  * @param {Function} options.onAfterExport - Callback to restore UI elements
  * @returns {Promise<void>}
@@ -86,28 +154,32 @@ export const exportCanvasToSVG = async (stageRef, filename, options = {}) => {
     // Wait for next frame to ensure UI updates are applied
     await new Promise(resolve => requestAnimationFrame(resolve));
     
-    // Get PNG data URL
-    const dataURL = stage.toDataURL({
-      pixelRatio: 2,
-      mimeType: 'image/png',
-    });
+    let svgContent;
+    if (options.vector) {
+      svgContent = stageToSVG(stage);
+    } else {
+      // Get PNG data URL
+      const dataURL = stage.toDataURL({
+        pixelRatio: 2,
+        mimeType: 'image/png',
+      });
 
-    // Restore UI elements after export
-    if (options.onAfterExport) {
-      options.onAfterExport();
-    }
+      // Get stage dimensions
+      const width = stage.width();
+      const height = stage.height();
+      const scale = stage.scaleX();
 
-    // Get stage dimensions
-    const width = stage.width();
-    const height = stage.height();
-    const scale = stage.scaleX();
-
-    // Create SVG with embedded PNG image
-    // This is a basic approach; a more advanced version would convert shapes to SVG elements
-    const svgContent = `<?xml version="1.0" encoding="UTF-8"?>
+      // Create SVG with embedded PNG image
+      svgContent = `<?xml version="1.0" encoding="UTF-8"?>
 <svg width="${width * scale}" height="${height * scale}" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
   <image width="${width * scale}" height="${height * scale}" xlink:href="${dataURL}"/>
 </svg>`;
+    }
+
+    // Restore UI elements after export
+    if (options.onAfterExport) {
+      options.onAfterExport();
+    }
 
     // Create blob and trigger download
     const blob = new Blob([svgContent], { type: 'image/svg+xml' });
@@ -0,0 +1,240 @@
+/**
+ * Frame (artboard) helpers
+ * Shapes stay flat in Firestore; a child points at its frame with parentId.
+ * Frames can nest, so "contents" always means all descendants.
+ */
+
+import { getShapeBounds } from './alignment';
+import { isGroup } from './groups';
+
+export const FRAME_LABEL_FONT_SIZE = 12; // Screen pixels, kept constant across zoom levels
+export const FRAME_LABEL_GAP = 4;
+
+/**
+ * Check whether a shape is a frame
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isFrame = (shape) => shape?.type === 'frame';
+
+/**
+ * Konva node id of the group holding a frame and its contents (used for export)
+ * @param {string} frameId - Frame shape ID
+ * @returns {string}
+ */
+export const getFrameContentNodeId = (frameId) => `frame-content-${frameId}`;
+
+/**
+ * IDs of everything inside the given frames, at any depth
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} frameIds - Frames (other IDs are ignored)
+ * @returns {Set<string>} Descendant IDs, not including the frames themselves
+ */
+export const getFrameDescendantIds = (shapes, frameIds) => {
+  const childrenByParent = new Map();
+  shapes.forEach((shape) => {
+    if (!shape.parentId) return;
+    if (!childrenByParent.has(shape.parentId)) childrenByParent.set(shape.parentId, []);
+    childrenByParent.get(shape.parentId).push(shape.id);
+  });
+
+  const descendants = new Set();
+  const stack = [...frameIds];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    (childrenByParent.get(id) || []).forEach((childId) => {
+      // Guard against parentId cycles written by concurrent edits
+      if (descendants.has(childId) || frameIds.includes(childId)) return;
+      descendants.add(childId);
+      stack.push(childId);
+    });
+  }
+  return descendants;
+};
+
+/**
+ * Add the contents of any frames to a list of shape IDs (move, delete, copy)
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} ids - Selected IDs
+ * @returns {Array<string>} The IDs followed by any frame contents not already listed
+ */
+export const withFrameContents = (shapes, ids) => {
+  const descendants = getFrameDescendantIds(shapes, ids);
+  return [...ids, ...[...descendants].filter(id => !ids.includes(id))];
+};
+
+/**
+ * Find the frame a shape should belong to: the topmost frame containing the center of its bounds
+ * A frame never contains itself or one of its own descendants.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} shape - Shape being dropped or created (at its new position)
+ * @param {Object} options
+ * @param {Array<string>} options.excludeIds - Other frames that can't contain it (e.g. members of a dragged group)
+ * @returns {Object|null} Frame shape, or null for the canvas
+ */
+export const findContainingFrame = (shapes, shape, { excludeIds = [] } = {}) => {
+  const bounds = getShapeBounds(shape);
+  const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+  const excluded = getFrameDescendantIds(shapes, [shape.id, ...excludeIds]);
+  excluded.add(shape.id);
+  excludeIds.forEach(id => excluded.add(id));
+
+  return shapes
+    .filter(candidate => isFrame(candidate) && !excluded.has(candidate.id))
+    .filter(frame => (
+      center.x >= frame.x && center.x <= frame.x + frame.width &&
+      center.y >= frame.y && center.y <= frame.y + frame.height
+    ))
+    .reduce((top, frame) => (!top || (frame.zIndex ?? 0) > (top.zIndex ?? 0) ? frame : top), null);
+};
+
+/**
+ * Put a new shape in the frame it was created inside, if any
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} shape - New shape
+ * @returns {Object} The shape, with parentId set when it lands in a frame
+ */
+export const assignContainingFrame = (shapes, shape) => {
+  const frame = findContainingFrame(shapes, shape);
+  return frame ? { ...shape, parentId: frame.id } : shape;
+};
+
+/**
+ * Positions of frame contents while frames are dragged
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Object} frameMoves - Map of frameId -> live { x, y } of the dragged frame
+ * @returns {Object} Map of descendant id -> { x, y }
+ */
+export const getFrameChildOverrides = (shapes, frameMoves) => {
+  const overrides = {};
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+
+  Object.entries(frameMoves).forEach(([frameId, position]) => {
+    const frame = shapesById.get(frameId);
+    if (!frame) return;
+    const dx = position.x - frame.x;
+    const dy = position.y - frame.y;
+    getFrameDescendantIds(shapes, [frameId]).forEach((id) => {
+      const child = shapesById.get(id);
+      // Groups have no position of their own
+      if (child && !isGroup(child)) overrides[id] = { x: child.x + dx, y: child.y + dy };
+    });
+  });
+  return overrides;
+};
+
+/**
+ * Moves that carry a frame's contents along with it
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {string} frameId - Frame that moved
+ * @param {number} dx - Horizontal distance moved
+ * @param {number} dy - Vertical distance moved
+ * @returns {Array<Object>} [{ id, oldState: { x, y }, newState: { x, y } }]
+ */
+export const getFrameContentMoves = (shapes, frameId, dx, dy) => {
+  if (!dx && !dy) return [];
+  const descendants = getFrameDescendantIds(shapes, [frameId]);
+  return shapes
+    .filter(shape => descendants.has(shape.id) && !isGroup(shape))
+    .map(shape => ({
+      id: shape.id,
+      oldState: { x: shape.x, y: shape.y },
+      newState: { x: shape.x + dx, y: shape.y + dy },
+    }));
+};
+
+/**
+ * Undoable changes for a set of shape updates, such as an alignment or a layout
+ * Props that already have their value are dropped; frames that move carry their contents along,
+ * unless the contents are updated themselves.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<Object>} updates - [{ id, ...props }]
+ * @returns {Array<Object>} [{ id, oldState, newState }]
+ */
+export const getShapeUpdateChanges = (shapes, updates) => {
+  const updatedIds = new Set(updates.map(update => update.id));
+  const changes = [];
+
+  updates.forEach(({ id, ...props }) => {
+    const shape = shapes.find(s => s.id === id);
+    if (!shape) return;
+    const newState = Object.fromEntries(Object.entries(props)
+      .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(shape[key] ?? null)));
+    if (Object.keys(newState).length === 0) return;
+    const oldState = Object.fromEntries(Object.keys(newState).map(key => [key, shape[key] ?? null]));
+    changes.push({ id, oldState, newState });
+
+    if (isFrame(shape)) {
+      const dx = (newState.x ?? shape.x) - shape.x;
+      const dy = (newState.y ?? shape.y) - shape.y;
+      getFrameContentMoves(shapes, id, dx, dy).forEach((move) => {
+        if (updatedIds.has(move.id)) return;
+        updatedIds.add(move.id);
+        changes.push(move);
+      });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Nest shapes under their groups and frames, keeping the input order at every level
+ * A shape's group takes precedence over its frame (the group itself sits in the frame).
+ * Shapes whose group or frame isn't in the list are treated as top level.
+ * @param {Array<Object>} shapes - Shapes in display order
+ * @returns {Array<Object>} Roots as [{ shape, children: [...] }]
+ */
+export const buildShapeTree = (shapes) => {
+  const nodes = new Map(shapes.map(shape => [shape.id, { shape, children: [] }]));
+  const roots = [];
+
+  const getParentNode = (shape) => {
+    const group = shape.groupId && shape.groupId !== shape.id ? nodes.get(shape.groupId) : null;
+    if (group && isGroup(group.shape)) return group;
+    const frame = shape.parentId && shape.parentId !== shape.id ? nodes.get(shape.parentId) : null;
+    return frame && isFrame(frame.shape) ? frame : null;
+  };
+
+  shapes.forEach((shape) => {
+    const node = nodes.get(shape.id);
+    const parent = getParentNode(shape);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  // A parentId cycle leaves nodes unreachable from any root; surface them at the top level
+  const reachable = new Set();
+  const visit = (node) => {
+    reachable.add(node.shape.id);
+    node.children.forEach(visit);
+  };
+  roots.forEach(visit);
+  shapes.forEach((shape) => {
+    if (!reachable.has(shape.id)) {
+      const node = nodes.get(shape.id);
+      node.children = [];
+      roots.push(node);
+      reachable.add(shape.id);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Flatten a shape tree into display rows with their nesting depth
+ * @param {Array<Object>} roots - Result of buildShapeTree
+ * @returns {Array<Object>} [{ shape, depth }]
+ */
+export const flattenShapeTree = (roots) => {
+  const rows = [];
+  const visit = (node, depth) => {
+    rows.push({ shape: node.shape, depth });
+    node.children.forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(root => visit(root, 0));
+  return rows;
+};
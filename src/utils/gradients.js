@@ -0,0 +1,143 @@
+/**
+ * Gradient fills
+ * Stored on a shape as fillGradient, next to its solid fill (which is kept as the gradient's
+ * predominant color, so anything reading shape.fill still gets a sensible color):
+ *   fillGradient - { type: 'linear', angle, stops } or { type: 'radial', stops }, or null/missing for solid
+ *   angle        - degrees clockwise, 0 runs left to right
+ *   stops        - [{ offset: 0-1, color }], at least two
+ */
+
+import { SHAPE_TYPES, getCenteredShapeExtent } from './shapes';
+import { normalizeGradientSafe } from './colorNormalizer';
+
+export const GRADIENT_TYPES = {
+  LINEAR: 'linear',
+  RADIAL: 'radial',
+};
+
+export const MIN_GRADIENT_STOPS = 2;
+export const MAX_GRADIENT_STOPS = 6;
+
+// Shapes with a fill area a gradient can cover
+const GRADIENT_TYPES_SUPPORTED = [
+  SHAPE_TYPES.RECT,
+  SHAPE_TYPES.FRAME,
+  SHAPE_TYPES.CIRCLE,
+  SHAPE_TYPES.ELLIPSE,
+  SHAPE_TYPES.POLYGON,
+  SHAPE_TYPES.STAR,
+  SHAPE_TYPES.TRIANGLE,
+  SHAPE_TYPES.STICKY,
+  SHAPE_TYPES.TABLE,
+];
+
+/**
+ * Check whether a shape's fill can be a gradient
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const supportsGradient = (shape) => GRADIENT_TYPES_SUPPORTED.includes(shape?.type);
+
+/**
+ * Starting gradient for a shape, running from its current fill to white
+ * @param {string} [color] - Shape's solid fill
+ * @returns {Object} Linear gradient
+ */
+export const createDefaultGradient = (color = '#4ECDC4') => ({
+  type: GRADIENT_TYPES.LINEAR,
+  angle: 90,
+  stops: [
+    { offset: 0, color },
+    { offset: 1, color: '#ffffff' },
+  ],
+});
+
+/**
+ * Valid gradient fill of a shape
+ * @param {Object} shape - Shape object
+ * @returns {Object|null} Normalized gradient, or null for a solid (or invalid) fill
+ */
+export const getShapeGradient = (shape) => {
+  if (!supportsGradient(shape) || !shape.fillGradient) return null;
+  const result = normalizeGradientSafe(shape.fillGradient);
+  return result.ok ? result.gradient : null;
+};
+
+/**
+ * Unrotated fill box of a shape in its own coordinates (relative to its x,y)
+ * @param {Object} shape - Shape object
+ * @returns {Object} { x, y, width, height }
+ */
+const getLocalFillBox = (shape) => {
+  const extent = getCenteredShapeExtent(shape);
+  if (extent) return { x: extent.left, y: extent.top, width: extent.width, height: extent.height };
+  return { x: 0, y: 0, width: shape.width || 0, height: shape.height || 0 };
+};
+
+/**
+ * Ends of a linear gradient line through a box, so that the first and last stops land on the
+ * box's corners whatever the angle (the same rule CSS uses)
+ * @param {Object} box - { x, y, width, height }
+ * @param {number} angle - Degrees clockwise, 0 runs left to right
+ * @returns {Object} { start: {x, y}, end: {x, y} }
+ */
+export const getLinearGradientPoints = (box, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const halfLength = (Math.abs(box.width * cos) + Math.abs(box.height * sin)) / 2;
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  return {
+    start: { x: cx - cos * halfLength, y: cy - sin * halfLength },
+    end: { x: cx + cos * halfLength, y: cy + sin * halfLength },
+  };
+};
+
+/**
+ * Konva fill props for a shape's gradient
+ * @param {Object} shape - Shape object
+ * @returns {Object} Empty for a solid fill
+ */
+export const getGradientFillProps = (shape) => {
+  const gradient = getShapeGradient(shape);
+  if (!gradient) return {};
+
+  const box = getLocalFillBox(shape);
+  const colorStops = gradient.stops.flatMap(stop => [stop.offset, stop.color]);
+
+  if (gradient.type === GRADIENT_TYPES.RADIAL) {
+    const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    return {
+      fillPriority: 'radial-gradient',
+      fillRadialGradientStartPoint: center,
+      fillRadialGradientEndPoint: center,
+      fillRadialGradientStartRadius: 0,
+      fillRadialGradientEndRadius: Math.max(box.width, box.height) / 2,
+      fillRadialGradientColorStops: colorStops,
+    };
+  }
+
+  const { start, end } = getLinearGradientPoints(box, gradient.angle);
+  return {
+    fillPriority: 'linear-gradient',
+    fillLinearGradientStartPoint: start,
+    fillLinearGradientEndPoint: end,
+    fillLinearGradientColorStops: colorStops,
+  };
+};
+
+/**
+ * CSS background for previewing a gradient
+ * @param {Object} gradient - Gradient fill
+ * @returns {string} CSS gradient, or '' if the gradient is invalid
+ */
+export const gradientToCSS = (gradient) => {
+  const result = normalizeGradientSafe(gradient);
+  if (!result.ok) return '';
+  const { type, angle, stops } = result.gradient;
+  const stopList = stops.map(stop => `${stop.color} ${Math.round(stop.offset * 100)}%`).join(', ');
+  return type === GRADIENT_TYPES.RADIAL
+    ? `radial-gradient(circle, ${stopList})`
+    : `linear-gradient(${(angle + 90) % 360}deg, ${stopList})`; // CSS 0deg points up, ours points right
+};
@@ -0,0 +1,158 @@
+/**
+ * Group helpers
+ * A group is its own shape document with no geometry; members point at it with groupId.
+ * Groups can contain groups, and clicks select the outermost group until a group is entered.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getShapeBounds } from './alignment';
+import { SHAPE_TYPES } from './shapes';
+
+/**
+ * Check whether a shape is a group
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isGroup = (shape) => shape?.type === SHAPE_TYPES.GROUP;
+
+/**
+ * IDs of every member of the given groups, at any depth (nested group documents included)
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} groupIds - Groups (other IDs are ignored)
+ * @returns {Set<string>} Member IDs, not including the groups themselves
+ */
+export const getGroupMemberIds = (shapes, groupIds) => {
+  const membersByGroup = new Map();
+  shapes.forEach((shape) => {
+    if (!shape.groupId) return;
+    if (!membersByGroup.has(shape.groupId)) membersByGroup.set(shape.groupId, []);
+    membersByGroup.get(shape.groupId).push(shape.id);
+  });
+
+  const members = new Set();
+  const stack = [...groupIds];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    (membersByGroup.get(id) || []).forEach((memberId) => {
+      // Guard against groupId cycles written by concurrent edits
+      if (members.has(memberId) || groupIds.includes(memberId)) return;
+      members.add(memberId);
+      stack.push(memberId);
+    });
+  }
+  return members;
+};
+
+/**
+ * Add the members of any groups to a list of shape IDs (transform, move, delete, copy)
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} ids - Selected IDs
+ * @returns {Array<string>} The IDs followed by any group members not already listed
+ */
+export const withGroupMembers = (shapes, ids) => {
+  const members = getGroupMemberIds(shapes, ids);
+  return [...ids, ...[...members].filter(id => !ids.includes(id))];
+};
+
+/**
+ * Groups a shape belongs to, innermost first
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {string} shapeId - Shape ID
+ * @returns {Array<string>} Group IDs
+ */
+export const getGroupChain = (shapes, shapeId) => {
+  const shapesById = new Map(shapes.map(shape => [shape.id, shape]));
+  const chain = [];
+  let groupId = shapesById.get(shapeId)?.groupId;
+  while (groupId && isGroup(shapesById.get(groupId)) && !chain.includes(groupId) && groupId !== shapeId) {
+    chain.push(groupId);
+    groupId = shapesById.get(groupId).groupId;
+  }
+  return chain;
+};
+
+/**
+ * The shape or group that clicking a shape selects
+ * Outside any entered group that's the outermost group; inside an entered group,
+ * it's the entered group's direct member on the way to the shape.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {string} shapeId - Clicked shape
+ * @param {string|null} enteredGroupId - Group entered with a double-click, if any
+ * @returns {string} ID to select
+ */
+export const getSelectionTargetId = (shapes, shapeId, enteredGroupId = null) => {
+  const chain = getGroupChain(shapes, shapeId);
+  const enteredIndex = enteredGroupId ? chain.indexOf(enteredGroupId) : -1;
+  if (enteredIndex === -1) {
+    return chain.length > 0 ? chain[chain.length - 1] : shapeId;
+  }
+  return enteredIndex === 0 ? shapeId : chain[enteredIndex - 1];
+};
+
+/**
+ * Bounding box of everything in a group
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {string} groupId - Group ID
+ * @returns {Object|null} { x, y, width, height }, or null for an empty group
+ */
+export const getGroupBounds = (shapes, groupId) => {
+  const members = getGroupMemberIds(shapes, [groupId]);
+  const bounds = shapes
+    .filter(shape => members.has(shape.id) && !isGroup(shape))
+    .map(getShapeBounds);
+  if (bounds.length === 0) return null;
+
+  const minX = Math.min(...bounds.map(b => b.x));
+  const minY = Math.min(...bounds.map(b => b.y));
+  const maxX = Math.max(...bounds.map(b => b.x + b.width));
+  const maxY = Math.max(...bounds.map(b => b.y + b.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Create a group document for the given shapes
+ * The group takes the topmost member's place in the stacking order and stays inside
+ * the group or frame its members share.
+ * @param {Array<Object>} members - Shapes (or groups) being grouped
+ * @returns {Object} Group shape object
+ */
+export const createGroup = (members) => {
+  const shared = (key) => {
+    const value = members[0]?.[key] ?? null;
+    return members.every(member => (member[key] ?? null) === value) ? value : null;
+  };
+
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.GROUP,
+    name: 'Group',
+    groupId: shared('groupId'),
+    parentId: shared('parentId'),
+    zIndex: Math.max(...members.map(member => member.zIndex ?? 0)),
+  };
+};
+
+/**
+ * Groups left without members once some shapes are removed (nested groups included)
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} removedIds - Shapes being deleted
+ * @returns {Array<string>} Group IDs that should be deleted with them
+ */
+export const getEmptiedGroupIds = (shapes, removedIds) => {
+  const removed = new Set(removedIds);
+  const emptied = [];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    shapes.forEach((shape) => {
+      if (!isGroup(shape) || removed.has(shape.id)) return;
+      const members = shapes.filter(member => member.groupId === shape.id);
+      if (members.every(member => removed.has(member.id))) {
+        removed.add(shape.id);
+        emptied.push(shape.id);
+        changed = true;
+      }
+    });
+  }
+  return emptied;
+};
@@ -0,0 +1,82 @@
+/**
+ * Ruler and guide utilities
+ * Guides are horizontal or vertical lines at a canvas coordinate, kept per board; rulers along the
+ * top and left of the canvas show canvas coordinates at the current pan and zoom.
+ */
+
+import { snapToGrid } from './snapping';
+
+export const GUIDE_ORIENTATIONS = {
+  HORIZONTAL: 'horizontal', // Dragged down from the top ruler
+  VERTICAL: 'vertical', // Dragged right from the left ruler
+};
+
+export const RULER_SIZE = 20; // Screen pixels
+export const GUIDE_COLOR = '#EC4899';
+
+const MIN_MAJOR_TICK_SPACING = 60; // Screen pixels between labeled ticks
+const MINOR_TICKS = 5; // Ticks per labeled step
+
+/**
+ * Check a guide has an orientation and a finite position
+ * @param {Object} guide - { orientation, position }
+ * @returns {boolean}
+ */
+export const isValidGuide = (guide) => (
+  Boolean(guide)
+  && Object.values(GUIDE_ORIENTATIONS).includes(guide.orientation)
+  && Number.isFinite(guide.position)
+);
+
+/**
+ * Canvas distance between labeled ruler ticks: 1, 2 or 5 times a power of ten, at least 60px apart on screen
+ * @param {number} scale - Canvas zoom
+ * @returns {number}
+ */
+export const getRulerStep = (scale) => {
+  const minStep = MIN_MAJOR_TICK_SPACING / scale;
+  const magnitude = 10 ** Math.floor(Math.log10(minStep));
+  return [1, 2, 5, 10].map(factor => factor * magnitude).find(step => step >= minStep);
+};
+
+/**
+ * Ticks along a ruler
+ * @param {number} offset - Screen position of canvas 0 along the ruler (stage x for the top ruler, y for the left)
+ * @param {number} length - Ruler length in screen pixels
+ * @param {number} scale - Canvas zoom
+ * @returns {Array<Object>} [{ screen, value, major }] - major ticks are labeled with their canvas value
+ */
+export const getRulerTicks = (offset, length, scale) => {
+  const step = getRulerStep(scale);
+  const minor = step / MINOR_TICKS;
+  const first = Math.ceil(-offset / scale / minor);
+  const last = Math.floor((length - offset) / scale / minor);
+
+  const ticks = [];
+  for (let i = first; i <= last; i += 1) {
+    const value = Number((i * minor).toFixed(6));
+    ticks.push({ screen: value * scale + offset, value, major: i % MINOR_TICKS === 0 });
+  }
+  return ticks;
+};
+
+/**
+ * Where a dropped guide lands: on whole units, or the nearest grid line when snapping to the grid
+ * @param {number} value - Canvas coordinate the guide was dropped at
+ * @param {number|null} gridSize - Grid size to snap to, or null
+ * @returns {number}
+ */
+export const snapGuidePosition = (value, gridSize = null) => (
+  gridSize ? snapToGrid(value, gridSize) : Math.round(value)
+);
+
+/**
+ * Whether a screen point (relative to the canvas) is over the ruler a guide belongs to
+ * Guides dropped there are removed.
+ * @param {string} orientation - GUIDE_ORIENTATIONS value
+ * @param {Object} screenPoint - { x, y } in screen pixels from the canvas' top-left
+ * @returns {boolean}
+ */
+export const isOverRuler = (orientation, screenPoint) => (
+  orientation === GUIDE_ORIENTATIONS.VERTICAL ? screenPoint.x < RULER_SIZE : screenPoint.y < RULER_SIZE
+);
@@ -0,0 +1,113 @@
+/**
+ * Image helpers for inserting files onto the canvas (drag-and-drop, paste, file picker)
+ */
+
+export const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+export const MAX_IMAGE_FILE_BYTES = 10 * 1024 * 1024; // 10 MB
+export const MAX_INSERTED_IMAGE_SIZE = 400; // Longest side when first placed, in canvas units
+export const IMAGE_INSERT_OFFSET = 20; // Stagger when several images are inserted at once
+
+const EXTENSIONS_BY_TYPE = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+/**
+ * Check whether a file is an image we can place on the canvas
+ * @param {File|Blob} file - File to check
+ * @returns {boolean}
+ */
+export const isImageFile = (file) => SUPPORTED_IMAGE_TYPES.includes(file?.type);
+
+/**
+ * Collect supported image files from a DataTransfer (drop or paste) or a FileList
+ * Clipboard screenshots only show up in items, so both files and items are read.
+ * @param {DataTransfer|FileList|Array<File>} source - Where the files came from
+ * @returns {Array<File>} Image files, in order
+ */
+export const getImageFiles = (source) => {
+  if (!source) return [];
+
+  let files = [];
+  if (source.files?.length) {
+    files = Array.from(source.files);
+  } else if (source.items?.length) {
+    files = Array.from(source.items)
+      .filter(item => item.kind === 'file')
+      .map(item => item.getAsFile())
+      .filter(Boolean);
+  } else if (typeof source.length === 'number') {
+    files = Array.from(source);
+  }
+
+  return files.filter(isImageFile);
+};
+
+/**
+ * Check whether a drag carries files, before they can be read (dragover)
+ * @param {DataTransfer} dataTransfer - Drag data
+ * @returns {boolean}
+ */
+export const hasFiles = (dataTransfer) => Array.from(dataTransfer?.types || []).includes('Files');
+
+/**
+ * Scale natural image dimensions down to fit within maxSize, keeping the aspect ratio
+ * Images already smaller than maxSize keep their size.
+ * @param {number} width - Natural width
+ * @param {number} height - Natural height
+ * @param {number} maxSize - Longest allowed side
+ * @returns {Object} { width, height }
+ */
+export const fitImageSize = (width, height, maxSize = MAX_INSERTED_IMAGE_SIZE) => {
+  if (!width || !height) {
+    return { width: maxSize, height: maxSize };
+  }
+  const ratio = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.round(width * ratio),
+    height: Math.round(height * ratio),
+  };
+};
+
+/**
+ * File extension for an image's storage path
+ * @param {File|Blob} file - Image file
+ * @returns {string} Extension without the dot
+ */
+export const getImageExtension = (file) => EXTENSIONS_BY_TYPE[file?.type] || 'img';
+
+/**
+ * Validate an image file before upload
+ * @param {File} file - File to check
+ * @returns {string|null} Error message, or null when the file is fine
+ */
+export const validateImageFile = (file) => {
+  if (!isImageFile(file)) {
+    return `${file?.name || 'File'} is not a supported image (PNG, JPEG, GIF or WebP)`;
+  }
+  if (file.size > MAX_IMAGE_FILE_BYTES) {
+    return `${file.name || 'Image'} is larger than ${MAX_IMAGE_FILE_BYTES / (1024 * 1024)} MB`;
+  }
+  return null;
+};
+
+/**
+ * Read an image file's natural dimensions
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<Object>} { width, height }
+ */
+export const readImageDimensions = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new window.Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve({ width: image.naturalWidth, height: image.naturalHeight });
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read image ${file.name || ''}`.trim()));
+  };
+  image.src = url;
+});
@@ -0,0 +1,238 @@
+/**
+ * Properties inspector helpers
+ * Each property the inspector edits has a key; these read it from a shape and turn an edited value
+ * into the shape props to write (sizes go through the same rules as Transformer resizes).
+ */
+
+import { SHAPE_TYPES } from './shapes';
+import { isStrokeShape } from './paths';
+import { isGroup, withGroupMembers } from './groups';
+import { isFrame, getFrameContentMoves } from './frames';
+import { scaleTable } from './tables';
+import { STICKY_PADDING } from './sticky';
+import { getTextShapeStyle, MIN_TEXT_BOX_WIDTH, TEXT_ALIGNS, FONT_FAMILIES } from './textStyle';
+import { supportsStrokeStyle } from './shapeStyle';
+import { normalizeColorSafe } from './colorNormalizer';
+
+export const INSPECTOR_SECTIONS = {
+  LAYOUT: ['x', 'y', 'width', 'height', 'radius', 'radiusX', 'radiusY', 'outerRadius', 'innerRadius', 'rotation'],
+  COLOR: ['fill', 'stroke', 'strokeWidth'],
+  TEXT: ['fontSize', 'fontFamily', 'align'],
+};
+
+export const INSPECTOR_LABELS = {
+  x: 'X',
+  y: 'Y',
+  width: 'W',
+  height: 'H',
+  radius: 'Radius',
+  radiusX: 'Radius X',
+  radiusY: 'Radius Y',
+  outerRadius: 'Outer',
+  innerRadius: 'Inner',
+  rotation: 'Rotation',
+  fill: 'Fill',
+  stroke: 'Stroke',
+  strokeWidth: 'Stroke W',
+  fontSize: 'Size',
+  fontFamily: 'Font',
+  align: 'Align',
+};
+
+export const TEXT_PROPERTY_OPTIONS = {
+  fontFamily: FONT_FAMILIES,
+  align: TEXT_ALIGNS,
+};
+
+export const COLOR_PROPERTIES = ['fill', 'stroke'];
+
+const MIN_SIZE = 5; // Same floor as Transformer resizes
+const MIN_INNER_RADIUS = 2;
+const MIN_FONT_SIZE = 5;
+
+const BOX_TYPES = [
+  SHAPE_TYPES.RECT,
+  SHAPE_TYPES.FRAME,
+  SHAPE_TYPES.TRIANGLE,
+  SHAPE_TYPES.IMAGE,
+  SHAPE_TYPES.INSTANCE,
+  SHAPE_TYPES.TABLE,
+];
+
+// Circles and text are drawn unrotated
+const UNROTATED_TYPES = [SHAPE_TYPES.CIRCLE, SHAPE_TYPES.TEXT];
+
+// Shapes without a fill of their own (instances are recolored member by member)
+const UNFILLED_TYPES = [SHAPE_TYPES.IMAGE, SHAPE_TYPES.INSTANCE];
+
+const FONT_SIZE_TYPES = [SHAPE_TYPES.TEXT, SHAPE_TYPES.STICKY, SHAPE_TYPES.TABLE];
+
+const isType = (shape, ...types) => types.includes(shape?.type);
+
+/**
+ * Check whether the inspector shows a property for a shape
+ * @param {Object} shape - Shape object
+ * @param {string} key - Property key (see INSPECTOR_SECTIONS)
+ * @returns {boolean}
+ */
+export const supportsProperty = (shape, key) => {
+  if (!shape || isGroup(shape)) return false;
+  switch (key) {
+    case 'x':
+    case 'y':
+      return true;
+    case 'width':
+      return BOX_TYPES.includes(shape.type) || isType(shape, SHAPE_TYPES.STICKY)
+        || (isType(shape, SHAPE_TYPES.TEXT) && Boolean(shape.fixedWidth));
+    case 'height':
+      return BOX_TYPES.includes(shape.type);
+    case 'radius':
+      return isType(shape, SHAPE_TYPES.CIRCLE, SHAPE_TYPES.POLYGON);
+    case 'radiusX':
+    case 'radiusY':
+      return isType(shape, SHAPE_TYPES.ELLIPSE);
+    case 'outerRadius':
+    case 'innerRadius':
+      return isType(shape, SHAPE_TYPES.STAR);
+    case 'rotation':
+      return !UNROTATED_TYPES.includes(shape.type);
+    case 'fill':
+      return !isStrokeShape(shape) && !UNFILLED_TYPES.includes(shape.type);
+    case 'stroke':
+    case 'strokeWidth':
+      return supportsStrokeStyle(shape);
+    case 'fontSize':
+      return FONT_SIZE_TYPES.includes(shape.type);
+    case 'fontFamily':
+    case 'align':
+      return isType(shape, SHAPE_TYPES.TEXT);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Current value of a property
+ * @param {Object} shape - Shape object
+ * @param {string} key - Property key
+ * @returns {*} The value, or undefined when the shape doesn't have the property
+ */
+export const getPropertyValue = (shape, key) => {
+  if (!supportsProperty(shape, key)) return undefined;
+  switch (key) {
+    case 'rotation':
+      return shape.rotation || 0;
+    case 'strokeWidth':
+      return shape.strokeWidth ?? (isStrokeShape(shape) ? 2 : 0);
+    case 'fontFamily':
+    case 'align':
+      return getTextShapeStyle(shape)[key];
+    default:
+      return shape[key];
+  }
+};
+
+const roundValue = (value) => Math.round(value * 100) / 100;
+
+// Sizes keep the same minimums as Transformer resizes; tables scale all their tracks
+const getNumericUpdate = (shape, key, value) => {
+  switch (key) {
+    case 'width':
+      if (isType(shape, SHAPE_TYPES.TABLE)) return scaleTable(shape, Math.max(MIN_SIZE, value) / shape.width, 1);
+      if (isType(shape, SHAPE_TYPES.TEXT)) return { width: Math.max(MIN_TEXT_BOX_WIDTH, value) };
+      if (isType(shape, SHAPE_TYPES.STICKY)) return { width: Math.max(STICKY_PADDING * 4, value) };
+      return { width: Math.max(MIN_SIZE, value) };
+    case 'height':
+      if (isType(shape, SHAPE_TYPES.TABLE)) return scaleTable(shape, 1, Math.max(MIN_SIZE, value) / shape.height);
+      return { height: Math.max(MIN_SIZE, value) };
+    case 'innerRadius':
+      return { innerRadius: Math.max(MIN_INNER_RADIUS, value) };
+    case 'radius':
+    case 'radiusX':
+    case 'radiusY':
+    case 'outerRadius':
+      return { [key]: Math.max(MIN_SIZE, value) };
+    case 'rotation':
+      return { rotation: ((value % 360) + 360) % 360 };
+    case 'strokeWidth':
+      return { strokeWidth: Math.max(0, value) };
+    case 'fontSize':
+      return { fontSize: Math.max(MIN_FONT_SIZE, value) };
+    default:
+      return { [key]: value };
+  }
+};
+
+/**
+ * Props to write after editing a property of one shape
+ * @param {Object} shape - Shape object
+ * @param {string} key - Property key
+ * @param {*} value - Edited value (numbers for geometry, a color for fill/stroke, a name for text options)
+ * @returns {Object|null} Props to update, or null when the value is invalid or nothing changes
+ */
+export const getPropertyUpdate = (shape, key, value) => {
+  if (!supportsProperty(shape, key)) return null;
+
+  let updates;
+  if (COLOR_PROPERTIES.includes(key)) {
+    const result = normalizeColorSafe(value);
+    if (!result.ok) return null;
+    // A solid fill replaces a gradient
+    updates = key === 'fill' && shape.fillGradient ? { fill: result.hex, fillGradient: null } : { [key]: result.hex };
+  } else if (key === 'fontFamily' || key === 'align') {
+    if (!TEXT_PROPERTY_OPTIONS[key].includes(value)) return null;
+    updates = { [key]: value };
+  } else {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isFinite(number)) return null;
+    updates = getNumericUpdate(shape, key, roundValue(number));
+  }
+
+  const changed = Object.entries(updates)
+    .filter(([prop, next]) => JSON.stringify(next) !== JSON.stringify(shape[prop] ?? null));
+  return changed.length > 0 ? Object.fromEntries(changed) : null;
+};
+
+/**
+ * Shapes the inspector edits for a selection: groups stand for their members
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<string>} selectedIds - Selected shape ids
+ * @returns {Array<Object>}
+ */
+export const getInspectorTargets = (shapes, selectedIds) => {
+  const ids = new Set(withGroupMembers(shapes, selectedIds));
+  return shapes.filter(shape => ids.has(shape.id) && !isGroup(shape));
+};
+
+/**
+ * Shape updates for setting a property on every target
+ * Frames that move carry their contents along, as when they're dragged.
+ * @param {Array<Object>} shapes - Shapes from canvas state
+ * @param {Array<Object>} targets - Shapes being edited
+ * @param {string} key - Property key
+ * @param {*} value - Edited value
+ * @returns {Array<Object>} [{ id, oldState, newState }], empty when nothing changes
+ */
+export const getPropertyChanges = (shapes, targets, key, value) => {
+  // Contents of a moved frame move once, and not at all when they're edited themselves
+  const movedIds = new Set(targets.map(shape => shape.id));
+  const changes = [];
+
+  targets.forEach((shape) => {
+    const updates = getPropertyUpdate(shape, key, value);
+    if (!updates) return;
+    const oldState = Object.fromEntries(Object.keys(updates).map(prop => [prop, shape[prop] ?? null]));
+    changes.push({ id: shape.id, oldState, newState: updates });
+
+    if (isFrame(shape) && (key === 'x' || key === 'y')) {
+      const dx = key === 'x' ? updates.x - shape.x : 0;
+      const dy = key === 'y' ? updates.y - shape.y : 0;
+      getFrameContentMoves(shapes, shape.id, dx, dy).forEach((move) => {
+        if (movedIds.has(move.id)) return;
+        movedIds.add(move.id);
+        changes.push(move);
+      });
+    }
+  });
+  return changes;
+};
@@ -0,0 +1,190 @@
+/**
+ * Line and arrow geometry helpers
+ * Points are stored flat ([x1, y1, x2, y2]) relative to the shape's x, y
+ */
+
+// Arrowhead styles for either end of a line or arrow
+export const ARROWHEAD_STYLES = {
+  NONE: 'none',
+  TRIANGLE: 'triangle',
+  OPEN: 'open',
+  CIRCLE: 'circle',
+  BAR: 'bar',
+};
+
+export const ARROWHEAD_LABELS = {
+  [ARROWHEAD_STYLES.NONE]: 'None',
+  [ARROWHEAD_STYLES.TRIANGLE]: 'Triangle',
+  [ARROWHEAD_STYLES.OPEN]: 'Open',
+  [ARROWHEAD_STYLES.CIRCLE]: 'Circle',
+  [ARROWHEAD_STYLES.BAR]: 'Bar',
+};
+
+// Dash patterns (Konva dash arrays); solid is an empty array
+export const DASH_PATTERNS = {
+  solid: [],
+  dashed: [12, 8],
+  dotted: [2, 6],
+};
+
+export const LINE_STROKE_WIDTHS = [1, 2, 3, 4, 6, 8];
+
+export const LINE_ENDS = {
+  START: 'start',
+  END: 'end',
+};
+
+const MIN_ARROWHEAD_SIZE = 8;
+const ARROWHEAD_SIZE_PER_STROKE = 4;
+
+// Filled heads cover the line's end, so the stroke is trimmed back under them
+const TRIMMED_STYLES = [ARROWHEAD_STYLES.TRIANGLE, ARROWHEAD_STYLES.CIRCLE];
+
+/**
+ * Check whether a shape is drawn from a points array (line or arrow)
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isLinearShape = (shape) => shape?.type === 'line' || shape?.type === 'arrow';
+
+/**
+ * Check whether a value is a known arrowhead style
+ * @param {string} style - Arrowhead style
+ * @returns {boolean}
+ */
+export const isArrowheadStyle = (style) => Object.values(ARROWHEAD_STYLES).includes(style);
+
+/**
+ * Find the dash pattern name for a dash array
+ * @param {Array<number>} dash - Konva dash array
+ * @returns {string} Key of DASH_PATTERNS, 'solid' when unknown or empty
+ */
+export const getDashPatternName = (dash) => {
+  if (!Array.isArray(dash) || dash.length === 0) return 'solid';
+  const match = Object.entries(DASH_PATTERNS)
+    .find(([, pattern]) => pattern.length === dash.length && pattern.every((value, i) => value === dash[i]));
+  return match ? match[0] : 'solid';
+};
+
+/**
+ * Arrowhead length for a given stroke width
+ * @param {number} strokeWidth - Line stroke width
+ * @returns {number}
+ */
+export const getArrowheadSize = (strokeWidth = 2) =>
+  Math.max(MIN_ARROWHEAD_SIZE, strokeWidth * ARROWHEAD_SIZE_PER_STROKE);
+
+/**
+ * Get one endpoint of a line
+ * @param {Array<number>} points - Flat points array
+ * @param {string} end - LINE_ENDS.START or LINE_ENDS.END
+ * @returns {Object} { x, y } relative to the shape origin
+ */
+export const getEndpoint = (points, end) => {
+  if (end === LINE_ENDS.START) {
+    return { x: points[0], y: points[1] };
+  }
+  return { x: points[points.length - 2], y: points[points.length - 1] };
+};
+
+/**
+ * Move one endpoint of a line
+ * @param {Array<number>} points - Flat points array
+ * @param {string} end - LINE_ENDS.START or LINE_ENDS.END
+ * @param {number} x - New X relative to the shape origin
+ * @param {number} y - New Y relative to the shape origin
+ * @returns {Array<number>} New points array
+ */
+export const setEndpoint = (points, end, x, y) => {
+  const next = [...points];
+  const index = end === LINE_ENDS.START ? 0 : next.length - 2;
+  next[index] = x;
+  next[index + 1] = y;
+  return next;
+};
+
+/**
+ * Angle (degrees) of the line's direction as it arrives at an endpoint
+ * Used to rotate arrowheads so they point away from the line
+ * @param {Array<number>} points - Flat points array
+ * @param {string} end - LINE_ENDS.START or LINE_ENDS.END
+ * @returns {number}
+ */
+export const getEndpointAngle = (points, end) => {
+  const n = points.length;
+  const [fromX, fromY, toX, toY] = end === LINE_ENDS.START
+    ? [points[2], points[3], points[0], points[1]]
+    : [points[n - 4], points[n - 3], points[n - 2], points[n - 1]];
+  return (Math.atan2(toY - fromY, toX - fromX) * 180) / Math.PI;
+};
+
+/**
+ * Shorten a line so its stroke ends under filled arrowheads
+ * Never trims more than half the segment, so short arrows keep a visible line
+ * @param {Array<number>} points - Flat points array
+ * @param {Object} options
+ * @param {string} options.startArrowhead - Start arrowhead style
+ * @param {string} options.endArrowhead - End arrowhead style
+ * @param {number} options.strokeWidth - Line stroke width
+ * @returns {Array<number>} Points for the stroked line
+ */
+export const getTrimmedLinePoints = (points, { startArrowhead, endArrowhead, strokeWidth } = {}) => {
+  const size = getArrowheadSize(strokeWidth);
+
+  const trimEnd = (current, end) => {
+    const n = current.length;
+    const tip = getEndpoint(current, end);
+    const neighbour = end === LINE_ENDS.START
+      ? { x: current[2], y: current[3] }
+      : { x: current[n - 4], y: current[n - 3] };
+    const length = Math.hypot(tip.x - neighbour.x, tip.y - neighbour.y);
+    if (length === 0) return current;
+    const amount = Math.min(size * 0.8, length / 2) / length;
+    return setEndpoint(
+      current,
+      end,
+      tip.x - (tip.x - neighbour.x) * amount,
+      tip.y - (tip.y - neighbour.y) * amount
+    );
+  };
+
+  let trimmed = [...points];
+  if (TRIMMED_STYLES.includes(startArrowhead)) trimmed = trimEnd(trimmed, LINE_ENDS.START);
+  if (TRIMMED_STYLES.includes(endArrowhead)) trimmed = trimEnd(trimmed, LINE_ENDS.END);
+  return trimmed;
+};
+
+/**
+ * Axis-aligned bounds of a line or arrow in canvas coordinates
+ * @param {Object} shape - Line or arrow shape with x, y and points
+ * @returns {Object} { x, y, width, height }
+ */
+export const getLineBounds = (shape) => {
+  const points = shape.points || [];
+  const xs = points.filter((_, i) => i % 2 === 0);
+  const ys = points.filter((_, i) => i % 2 === 1);
+  if (xs.length === 0) {
+    return { x: shape.x || 0, y: shape.y || 0, width: 0, height: 0 };
+  }
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return {
+    x: (shape.x || 0) + minX,
+    y: (shape.y || 0) + minY,
+    width: Math.max(...xs) - minX,
+    height: Math.max(...ys) - minY,
+  };
+};
+
+/**
+ * Length of a line or arrow (sum of its segments)
+ * @param {Array<number>} points - Flat points array
+ * @returns {number}
+ */
+export const getLineLength = (points = []) => {
+  let length = 0;
+  for (let i = 2; i < points.length; i += 2) {
+    length += Math.hypot(points[i] - points[i - 2], points[i + 1] - points[i - 1]);
+  }
+  return length;
+};
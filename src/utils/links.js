@@ -0,0 +1,164 @@
+/**
+ * Shape link helpers
+ * A shape's `link` is one of:
+ *   { url }               - an external web address
+ *   { shapeId }           - another shape on the same board
+ *   { boardId, shapeId }  - another board, optionally a shape on it
+ * Links into the app are written as board URLs (/board/:boardId#shape=:shapeId),
+ * so they can be pasted from the address bar or copied from a shape.
+ */
+
+import { parseBoardPath, buildBoardPath, isValidBoardId } from './boardRoutes';
+import { getShapeName } from './shapeNames';
+
+export const LINK_TYPES = {
+  URL: 'url',
+  SHAPE: 'shape',
+  BOARD: 'board',
+};
+
+export const SHAPE_HASH_PREFIX = '#shape=';
+
+// javascript: and data: addresses are never opened
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Kind of link
+ * @param {Object} link - Shape link
+ * @returns {string|null} One of LINK_TYPES, or null for a missing or malformed link
+ */
+export const getLinkType = (link) => {
+  if (!link || typeof link !== 'object') return null;
+  if (typeof link.url === 'string' && isSafeUrl(link.url)) return LINK_TYPES.URL;
+  if (isValidBoardId(link.boardId)) return LINK_TYPES.BOARD;
+  if (typeof link.shapeId === 'string' && link.shapeId) return LINK_TYPES.SHAPE;
+  return null;
+};
+
+/**
+ * Check whether an external address may be opened
+ * @param {string} url - Absolute URL
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url) => {
+  try {
+    return ALLOWED_PROTOCOLS.includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * URL hash pointing at a shape
+ * @param {string} shapeId - Shape ID
+ * @returns {string} e.g. "#shape=abc"
+ */
+export const buildShapeHash = (shapeId) => `${SHAPE_HASH_PREFIX}${encodeURIComponent(shapeId)}`;
+
+/**
+ * Shape a URL hash points at
+ * @param {string} hash - location.hash
+ * @returns {string|null} Shape ID, or null when the hash isn't a shape link
+ */
+export const parseShapeHash = (hash = '') => {
+  if (!hash.startsWith(SHAPE_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(SHAPE_HASH_PREFIX.length)) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Full URL of a board, or of a shape on it
+ * @param {string} boardId - Board ID
+ * @param {string|null} shapeId - Shape to go to, if any
+ * @param {string} origin - window.location.origin
+ * @returns {string}
+ */
+export const buildShapeUrl = (boardId, shapeId, origin) => (
+  `${origin}${buildBoardPath(boardId)}${shapeId ? buildShapeHash(shapeId) : ''}`
+);
+
+/**
+ * Turn what was typed into the link dialog into a link
+ * Board URLs of this app become internal links; anything else is a web address
+ * (https:// is assumed when no scheme is given).
+ * @param {string} input - Typed or pasted address
+ * @param {Object} context
+ * @param {string} context.origin - window.location.origin
+ * @param {string} context.boardId - Board being edited (its shapes get plain shape links)
+ * @returns {Object|null} Link, or null when the input isn't a usable address
+ */
+export const parseLinkInput = (input, { origin, boardId }) => {
+  const value = (input || '').trim();
+  if (!value) return null;
+
+  let url = null;
+  try {
+    url = new URL(value, origin);
+  } catch {
+    url = null;
+  }
+  const linkedBoardId = url?.origin === origin ? parseBoardPath(url.pathname) : null;
+  if (linkedBoardId) {
+    const shapeId = parseShapeHash(url.hash);
+    if (linkedBoardId === boardId && shapeId) return { shapeId };
+    return shapeId ? { boardId: linkedBoardId, shapeId } : { boardId: linkedBoardId };
+  }
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+  try {
+    const external = new URL(withScheme);
+    if (!ALLOWED_PROTOCOLS.includes(external.protocol)) return null;
+    // "foo" on its own is more likely a typo than a host
+    if (external.protocol !== 'mailto:' && !external.hostname.includes('.') && external.hostname !== 'localhost') {
+      return null;
+    }
+    return { url: external.href };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Address shown in the link dialog for an existing link
+ * @param {Object} link - Shape link
+ * @param {string} origin - window.location.origin
+ * @returns {string} Empty for links to shapes on the same board (picked from a list instead)
+ */
+export const getLinkInputValue = (link, origin) => {
+  switch (getLinkType(link)) {
+    case LINK_TYPES.URL:
+      return link.url;
+    case LINK_TYPES.BOARD:
+      return buildShapeUrl(link.boardId, link.shapeId, origin);
+    default:
+      return '';
+  }
+};
+
+const truncate = (text) => (text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH)}...` : text);
+
+/**
+ * Short description of where a link goes (hover tooltip)
+ * @param {Object} link - Shape link
+ * @param {Array<Object>} shapes - Shapes on the board, to name linked shapes
+ * @returns {string|null} Null for a missing or malformed link
+ */
+export const getLinkLabel = (link, shapes = []) => {
+  switch (getLinkType(link)) {
+    case LINK_TYPES.URL:
+      return truncate(link.url.replace(/^https?:\/\//, '').replace(/\/$/, ''));
+    case LINK_TYPES.SHAPE: {
+      const target = shapes.find(shape => shape.id === link.shapeId);
+      return target ? `Go to “${getShapeName(target)}”` : 'Go to a deleted shape';
+    }
+    case LINK_TYPES.BOARD:
+      return link.shapeId ? `Open a shape on board ${link.boardId}` : `Open board ${link.boardId}`;
+    default:
+      return null;
+  }
+};
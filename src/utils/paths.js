@@ -0,0 +1,126 @@
+/**
+ * Freehand path helpers (pen tool)
+ * Strokes are captured as flat canvas points, simplified, then stored relative to the
+ * path's x, y like lines ([x1, y1, x2, y2, ...])
+ */
+
+import { isLinearShape } from './lines';
+
+// Screen pixels; divided by zoom so strokes keep the same feel at any scale
+export const PEN_MIN_POINT_DISTANCE = 2;
+export const PEN_SIMPLIFY_TOLERANCE = 1.5;
+
+// Konva curve tension used to smooth simplified strokes
+export const PATH_TENSION = 0.4;
+
+/**
+ * Check whether a shape is a freehand path
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isPathShape = (shape) => shape?.type === 'path';
+
+/**
+ * Check whether a shape is drawn as a stroke along points, with no fill
+ * (lines, arrows and freehand paths)
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isStrokeShape = (shape) => isLinearShape(shape) || isPathShape(shape);
+
+/**
+ * Add a pointer sample to an in-progress stroke
+ * Samples closer than minDistance to the last point are dropped.
+ * @param {Array<number>} points - Flat stroke points so far
+ * @param {number} x - Sample x
+ * @param {number} y - Sample y
+ * @param {number} minDistance - Minimum distance from the last point
+ * @returns {Array<number>} New points array, or the same array if the sample was dropped
+ */
+export const appendStrokePoint = (points, x, y, minDistance = PEN_MIN_POINT_DISTANCE) => {
+  if (points.length >= 2) {
+    const lastX = points[points.length - 2];
+    const lastY = points[points.length - 1];
+    if (Math.hypot(x - lastX, y - lastY) < minDistance) {
+      return points;
+    }
+  }
+  return [...points, x, y];
+};
+
+// Distance from p to the segment a-b
+const distanceToSegment = (px, py, ax, ay, bx, by) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) {
+    return Math.hypot(px - ax, py - ay);
+  }
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+/**
+ * Simplify a stroke with the Ramer–Douglas–Peucker algorithm
+ * Keeps the end points and any point further than tolerance from the simplified line.
+ * @param {Array<number>} points - Flat points
+ * @param {number} tolerance - Maximum deviation allowed
+ * @returns {Array<number>} Simplified flat points
+ */
+export const simplifyPoints = (points, tolerance = PEN_SIMPLIFY_TOLERANCE) => {
+  const count = Math.floor(points.length / 2);
+  if (count <= 2) return points.slice(0, count * 2);
+
+  const keep = new Array(count).fill(false);
+  keep[0] = true;
+  keep[count - 1] = true;
+
+  // Iterative to avoid deep recursion on long strokes
+  const stack = [[0, count - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(
+        points[i * 2], points[i * 2 + 1],
+        points[first * 2], points[first * 2 + 1],
+        points[last * 2], points[last * 2 + 1]
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return keep.flatMap((kept, i) => (kept ? [points[i * 2], points[i * 2 + 1]] : []));
+};
+
+/**
+ * Turn a finished stroke in canvas coordinates into path geometry
+ * The first point becomes the path's origin; a single tap becomes a dot.
+ * @param {Array<number>} points - Flat canvas points
+ * @param {number} tolerance - Simplification tolerance in canvas units
+ * @returns {Object|null} { x, y, points } or null for an empty stroke
+ */
+export const strokeToPath = (points, tolerance = PEN_SIMPLIFY_TOLERANCE) => {
+  let simplified = simplifyPoints(points, tolerance);
+  if (simplified.length < 2) return null;
+  if (simplified.length === 2) {
+    simplified = [...simplified, ...simplified];
+  }
+
+  const [x, y] = simplified;
+  return {
+    x,
+    y,
+    points: simplified.map((value, i) => value - (i % 2 === 0 ? x : y)),
+  };
+};
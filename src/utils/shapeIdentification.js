@@ -4,7 +4,8 @@
  * Supports: color names, type keywords, color+type combos, recency bias, "all X" queries
  */
 
-import { toHex, isValidColor } from './colorNormalizer';
+import { toHex, isValidColor, getGradientColorWeights } from './colorNormalizer';
+import { isStrokeShape } from './paths';
 
 // Shape type aliases (support both internal and user-friendly names)
 const TYPE_ALIASES = {
@@ -12,10 +13,33 @@ const TYPE_ALIASES = {
   rect: 'rect',
   square: 'rect', // Treat square as rectangle (can check width === height later)
   circle: 'circle',
+  ellipse: 'ellipse',
+  oval: 'ellipse',
+  polygon: 'polygon',
+  hexagon: 'polygon',
+  star: 'star',
   text: 'text',
   triangle: 'triangle',
+  line: 'line',
+  arrow: 'arrow',
+  path: 'path',
+  drawing: 'path',
+  scribble: 'path',
+  image: 'image',
+  picture: 'image',
+  screenshot: 'image',
+  sticky: 'sticky',
+  note: 'sticky',
+  postit: 'sticky',
+  frame: 'frame',
+  artboard: 'frame',
+  table: 'table',
+  spreadsheet: 'table',
 };
 
+// Lines, arrows and paths have no fill; they're identified by their stroke color
+const getShapeColor = (shape) => (isStrokeShape(shape) ? shape.stroke : shape.fill);
+
 /**
  * Color families map - groups similar colors together
  * Each family contains CSS color keywords and hex values that belong to that family
@@ -161,6 +185,28 @@ function isColorMatch(shapeColor, queryColor, tolerance = 30) {
   }
 }
 
+/**
+ * Check if a shape's color matches the query color
+ * A gradient fill matches when colors matching the query cover at least half of it.
+ * @param {object} shape - Shape object
+ * @param {string} queryColor - Query color (name or hex)
+ * @param {number} tolerance - HSL hue tolerance in degrees
+ * @returns {boolean}
+ */
+function isShapeColorMatch(shape, queryColor, tolerance = 30) {
+  const weights = !isStrokeShape(shape) && shape.fillGradient
+    ? getGradientColorWeights(shape.fillGradient)
+    : [];
+  if (weights.length === 0) {
+    return isColorMatch(getShapeColor(shape), queryColor, tolerance);
+  }
+
+  const matched = weights
+    .filter(({ color }) => isColorMatch(color, queryColor, tolerance))
+    .reduce((sum, { weight }) => sum + weight, 0);
+  return matched >= 0.5;
+}
+
 /**
  * Check if a shape type matches the query type
  * @param {string} shapeType - Shape's type ('rect', 'circle', etc.)
@@ -252,7 +298,7 @@ function calculateScore(shape, criteria, currentTime) {
   
   // Color match (weight: 2)
   if (criteria.color) {
-    if (isColorMatch(shape.fill, criteria.color)) {
+    if (isShapeColorMatch(shape, criteria.color)) {
       score += 2;
     } else {
       return -1; // No match
@@ -400,6 +446,6 @@ export function identifyShapesByType(shapes, type) {
  * @returns {Array} - Array of matching shapes
  */
 export function identifyShapesByColor(shapes, color, tolerance = 30) {
-  return shapes.filter(s => isColorMatch(s.fill, color, tolerance));
+  return shapes.filter(s => isShapeColorMatch(s, color, tolerance));
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Shape naming helpers
+ */
+
+import { isLinearShape, getLineLength } from './lines';
+
+/**
+ * Readable name for a shape (layers panel, link targets)
+ * @param {Object} shape - Shape object
+ * @returns {string} Its text or own name when it has one, otherwise its type and size
+ */
+export const getShapeName = (shape) => {
+  if (shape.text) {
+    // For text shapes, use the text content (truncated)
+    return shape.text.length > 20 ? `${shape.text.slice(0, 20)}...` : shape.text;
+  }
+  
+  // Images keep the name of the file they came from; frames, groups and instances have their own name
+  if (['image', 'frame', 'group', 'instance'].includes(shape.type) && shape.name) {
+    return shape.name.length > 20 ? `${shape.name.slice(0, 20)}...` : shape.name;
+  }
+
+  // For other shapes, use type + dimensions or color
+  const type = shape.type.charAt(0).toUpperCase() + shape.type.slice(1);
+  
+  if (shape.type === 'circle') {
+    return `${type} ${shape.radius || 50}`;
+  }
+
+  if (shape.type === 'ellipse') {
+    return `${type} ${Math.round(shape.radiusX * 2)}×${Math.round(shape.radiusY * 2)}`;
+  }
+
+  if (shape.type === 'polygon') {
+    return `${type} ${shape.sides}-sided`;
+  }
+
+  if (shape.type === 'star') {
+    return `${type} ${shape.numPoints}-point`;
+  }
+
+  if (isLinearShape(shape)) {
+    return `${type} ${Math.round(getLineLength(shape.points))}`;
+  }
+
+  if (shape.type === 'table') {
+    return `${type} ${shape.rowHeights.length}×${shape.columnWidths.length}`;
+  }
+  
+  if (shape.width && shape.height) {
+    return `${type} ${Math.round(shape.width)}×${Math.round(shape.height)}`;
+  }
+  
+  return type;
+};
@@ -0,0 +1,183 @@
+/**
+ * Shape appearance helpers: opacity, drop shadow, dash pattern, line caps and joins
+ * Stored as plain shape props:
+ *   opacity  - 0 to 1 (fully opaque when missing)
+ *   shadow   - { color, blur, offsetX, offsetY, opacity }, or null/missing for none
+ *   dash     - Konva dash array (see DASH_PATTERNS); empty or missing is solid
+ *   lineCap  - 'butt', 'round' or 'square'
+ *   lineJoin - 'miter', 'round' or 'bevel'
+ */
+
+import { SHAPE_TYPES } from './shapes';
+import { isStrokeShape } from './paths';
+import { COLOR_PALETTE } from './colors';
+
+export const LINE_CAPS = ['butt', 'round', 'square'];
+export const LINE_JOINS = ['miter', 'round', 'bevel'];
+
+export const DEFAULT_SHADOW = { color: '#000000', blur: 10, offsetX: 4, offsetY: 4, opacity: 0.3 };
+export const MAX_SHADOW_BLUR = 50;
+export const MAX_SHADOW_OFFSET = 50;
+export const SHADOW_COLORS = ['#000000', ...COLOR_PALETTE];
+
+// Returned by getCommonValue when selected shapes disagree
+export const MIXED = 'mixed';
+
+// Shapes drawn with an outline that dash, cap and join apply to
+const STROKE_STYLE_TYPES = [
+  SHAPE_TYPES.RECT,
+  SHAPE_TYPES.FRAME,
+  SHAPE_TYPES.CIRCLE,
+  SHAPE_TYPES.ELLIPSE,
+  SHAPE_TYPES.POLYGON,
+  SHAPE_TYPES.STAR,
+  SHAPE_TYPES.TRIANGLE,
+  SHAPE_TYPES.TABLE,
+  SHAPE_TYPES.LINE,
+  SHAPE_TYPES.ARROW,
+  SHAPE_TYPES.PATH,
+];
+
+const SHADOW_KEYS = Object.keys(DEFAULT_SHADOW);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Check whether a shape has its own opacity (groups only hold their members)
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const supportsOpacity = (shape) => Boolean(shape) && shape.type !== SHAPE_TYPES.GROUP;
+
+/**
+ * Check whether a shape can cast a drop shadow (instances draw their component's shapes)
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const supportsShadow = (shape) => supportsOpacity(shape) && shape.type !== SHAPE_TYPES.INSTANCE;
+
+/**
+ * Check whether dash, cap and join apply to a shape's outline
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const supportsStrokeStyle = (shape) => STROKE_STYLE_TYPES.includes(shape?.type);
+
+/**
+ * Opacity of a shape
+ * @param {Object} shape - Shape object
+ * @returns {number} 0 to 1
+ */
+export const getShapeOpacity = (shape) => {
+  const opacity = Number(shape?.opacity);
+  return shape?.opacity != null && Number.isFinite(opacity) ? clamp(opacity, 0, 1) : 1;
+};
+
+/**
+ * Drop shadow of a shape, with defaults for missing values
+ * @param {Object} shape - Shape object
+ * @returns {Object|null} { color, blur, offsetX, offsetY, opacity }, or null without a shadow
+ */
+export const getShapeShadow = (shape) => {
+  if (!shape?.shadow || typeof shape.shadow !== 'object') return null;
+  const shadow = { ...DEFAULT_SHADOW };
+  SHADOW_KEYS.forEach(key => {
+    const value = shape.shadow[key];
+    if (key === 'color') {
+      if (typeof value === 'string' && value) shadow.color = value;
+    } else if (Number.isFinite(value)) {
+      shadow[key] = value;
+    }
+  });
+  shadow.blur = clamp(shadow.blur, 0, MAX_SHADOW_BLUR);
+  shadow.opacity = clamp(shadow.opacity, 0, 1);
+  return shadow;
+};
+
+/**
+ * Line cap of a shape's outline (strokes default to round ends, outlines to square-cut ones)
+ * @param {Object} shape - Shape object
+ * @returns {string} One of LINE_CAPS
+ */
+export const getLineCap = (shape) => {
+  if (LINE_CAPS.includes(shape?.lineCap)) return shape.lineCap;
+  return isStrokeShape(shape) ? 'round' : 'butt';
+};
+
+/**
+ * Line join of a shape's outline (strokes default to round corners, outlines to sharp ones)
+ * @param {Object} shape - Shape object
+ * @returns {string} One of LINE_JOINS
+ */
+export const getLineJoin = (shape) => {
+  if (LINE_JOINS.includes(shape?.lineJoin)) return shape.lineJoin;
+  return isStrokeShape(shape) ? 'round' : 'miter';
+};
+
+/**
+ * Konva shadow props for a shape
+ * @param {Object} shape - Shape object
+ * @returns {Object} Empty when the shape has no shadow
+ */
+export const getShadowProps = (shape) => {
+  const shadow = supportsShadow(shape) ? getShapeShadow(shape) : null;
+  if (!shadow) return {};
+  return {
+    shadowColor: shadow.color,
+    shadowBlur: shadow.blur,
+    shadowOffsetX: shadow.offsetX,
+    shadowOffsetY: shadow.offsetY,
+    shadowOpacity: shadow.opacity,
+  };
+};
+
+/**
+ * Konva dash, cap and join props for a shape's outline
+ * @param {Object} shape - Shape object
+ * @returns {Object} { dash, lineCap, lineJoin }
+ */
+export const getStrokeStyleProps = (shape) => ({
+  dash: Array.isArray(shape?.dash) && shape.dash.length > 0 ? shape.dash : undefined,
+  lineCap: getLineCap(shape),
+  lineJoin: getLineJoin(shape),
+});
+
+/**
+ * Value shared by all shapes, for editing several shapes at once
+ * @param {Array<Object>} shapes - Shapes being edited
+ * @param {Function} getValue - (shape) => value
+ * @returns {*} The shared value, MIXED when they differ, or undefined for no shapes
+ */
+export const getCommonValue = (shapes, getValue) => {
+  if (shapes.length === 0) return undefined;
+  const first = getValue(shapes[0]);
+  const key = JSON.stringify(first);
+  return shapes.every(shape => JSON.stringify(getValue(shape)) === key) ? first : MIXED;
+};
+
+/**
+ * Props to write for an appearance change to one shape
+ * Shadow changes are merged into the shape's own shadow (so editing the blur of several shapes
+ * keeps their colors), and changes the shape doesn't support are left out.
+ * @param {Object} shape - Shape object
+ * @param {Object} changes - Any of { opacity, shadow, dash, lineCap, lineJoin }; shadow: null removes it
+ * @returns {Object|null} Props to update, or null when nothing changes
+ */
+export const getStyleUpdate = (shape, changes) => {
+  const updates = {};
+  if ('opacity' in changes && supportsOpacity(shape)) {
+    updates.opacity = clamp(Number(changes.opacity) || 0, 0, 1);
+  }
+  if ('shadow' in changes && supportsShadow(shape)) {
+    updates.shadow = changes.shadow
+      ? { ...(getShapeShadow(shape) || DEFAULT_SHADOW), ...changes.shadow }
+      : null;
+  }
+  ['dash', 'lineCap', 'lineJoin'].forEach(key => {
+    if (key in changes && supportsStrokeStyle(shape)) updates[key] = changes[key];
+  });
+
+  const changed = Object.entries(updates)
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(shape[key] ?? null));
+  return changed.length > 0 ? Object.fromEntries(changed) : null;
+};
@@ -0,0 +1,120 @@
+/**
+ * Transformer helpers shared by single-shape and multi-shape (selection or group) transforms
+ * Konva resizes by scaling nodes; these bake the scale back into each type's size properties.
+ */
+
+import { SHAPE_TYPES } from './shapes';
+import { isLinearShape } from './lines';
+import { STICKY_PADDING, getStickyTextStyle, getStickyHeight } from './sticky';
+import { measureTextHeight } from './textMeasure';
+import { scaleTable } from './tables';
+import { MIN_TEXT_BOX_WIDTH } from './textStyle';
+
+/**
+ * Geometry of a node mid-transform, with its scale baked into dimensions
+ * @param {Object} node - Konva node being transformed
+ * @param {Object} shape - Shape being transformed
+ * @returns {Object} { x, y, rotation } plus the type's size properties (width/height, radii, fontSize or points)
+ */
+export const getTransformedAttrs = (node, shape) => {
+  const { type } = shape;
+  const scaleX = node.scaleX();
+  const scaleY = node.scaleY();
+  const attrs = {
+    x: node.x(),
+    y: node.y(),
+    rotation: node.rotation(),
+  };
+
+  if (type === SHAPE_TYPES.RECT || type === SHAPE_TYPES.TRIANGLE || type === SHAPE_TYPES.IMAGE || type === SHAPE_TYPES.FRAME) {
+    attrs.width = Math.max(5, node.width() * scaleX);
+    attrs.height = Math.max(5, node.height() * scaleY);
+  } else if (type === SHAPE_TYPES.INSTANCE) {
+    // Instances are groups; their stored size sets the scale of the master's drawing
+    attrs.width = Math.max(5, shape.width * scaleX);
+    attrs.height = Math.max(5, shape.height * scaleY);
+  } else if (type === SHAPE_TYPES.TABLE) {
+    // Every column and row scales, keeping their proportions
+    Object.assign(attrs, scaleTable(shape, scaleX, scaleY));
+  } else if (type === SHAPE_TYPES.CIRCLE || type === SHAPE_TYPES.POLYGON) {
+    attrs.radius = Math.max(5, node.radius() * Math.max(scaleX, scaleY));
+  } else if (type === SHAPE_TYPES.ELLIPSE) {
+    attrs.radiusX = Math.max(5, node.radiusX() * scaleX);
+    attrs.radiusY = Math.max(5, node.radiusY() * scaleY);
+  } else if (type === SHAPE_TYPES.STAR) {
+    const scale = Math.max(scaleX, scaleY);
+    attrs.innerRadius = Math.max(2, node.innerRadius() * scale);
+    attrs.outerRadius = Math.max(5, node.outerRadius() * scale);
+  } else if (type === SHAPE_TYPES.TEXT && shape.fixedWidth) {
+    // Fixed-width text boxes rewrap to the new width; the font keeps its size
+    attrs.width = Math.max(MIN_TEXT_BOX_WIDTH, node.width() * scaleX);
+  } else if (type === SHAPE_TYPES.TEXT) {
+    // Formatted text is drawn as a group, so the size comes from the shape rather than the node
+    attrs.fontSize = Math.max(5, shape.fontSize * scaleX);
+  } else if (type === SHAPE_TYPES.PATH || isLinearShape(shape)) {
+    // Lines and arrows are groups (line plus arrowheads), so scale the stored points
+    attrs.points = (shape.points || []).map((value, i) => value * (i % 2 === 0 ? scaleX : scaleY));
+  } else if (type === SHAPE_TYPES.STICKY) {
+    // The dragged size becomes the minimum; the note still grows to fit its text
+    attrs.width = Math.max(STICKY_PADDING * 4, node.width() * scaleX);
+    attrs.minHeight = Math.max(STICKY_PADDING * 4, node.height() * scaleY);
+    const resized = { ...shape, width: attrs.width, minHeight: attrs.minHeight };
+    attrs.height = getStickyHeight(resized, measureTextHeight({ ...getStickyTextStyle(resized), text: shape.text }));
+  }
+  return attrs;
+};
+
+/**
+ * The properties a transform can change, captured before it starts (for undo)
+ * @param {Object} shape - Shape about to be transformed
+ * @returns {Object} { x, y, rotation } plus the type's size properties
+ */
+export const getTransformStartState = (shape) => {
+  const state = {
+    x: shape.x,
+    y: shape.y,
+    rotation: shape.rotation || 0,
+  };
+
+  switch (shape.type) {
+    case SHAPE_TYPES.RECT:
+    case SHAPE_TYPES.TRIANGLE:
+    case SHAPE_TYPES.IMAGE:
+    case SHAPE_TYPES.FRAME:
+    case SHAPE_TYPES.INSTANCE:
+      state.width = shape.width;
+      state.height = shape.height;
+      break;
+    case SHAPE_TYPES.CIRCLE:
+    case SHAPE_TYPES.POLYGON:
+      state.radius = shape.radius;
+      break;
+    case SHAPE_TYPES.ELLIPSE:
+      state.radiusX = shape.radiusX;
+      state.radiusY = shape.radiusY;
+      break;
+    case SHAPE_TYPES.STAR:
+      state.innerRadius = shape.innerRadius;
+      state.outerRadius = shape.outerRadius;
+      break;
+    case SHAPE_TYPES.TEXT:
+      state.fontSize = shape.fontSize;
+      if (shape.fixedWidth) state.width = shape.width;
+      break;
+    case SHAPE_TYPES.STICKY:
+      state.width = shape.width;
+      state.height = shape.height;
+      state.minHeight = shape.minHeight ?? shape.height;
+      break;
+    case SHAPE_TYPES.TABLE:
+      state.width = shape.width;
+      state.height = shape.height;
+      state.columnWidths = shape.columnWidths;
+      state.rowHeights = shape.rowHeights;
+      break;
+    default:
+      if (Array.isArray(shape.points)) state.points = shape.points;
+      break;
+  }
+  return state;
+};
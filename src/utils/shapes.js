@@ -4,6 +4,7 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { getRandomColor } from './colors';
+import { ARROWHEAD_STYLES, DASH_PATTERNS } from './lines';
 
 // Shape type constants
 export const SHAPE_TYPES = {
@@ -11,13 +12,49 @@ export const SHAPE_TYPES = {
   CIRCLE: 'circle',
   TEXT: 'text',
   TRIANGLE: 'triangle',
+  LINE: 'line',
+  ARROW: 'arrow',
+  PATH: 'path',
+  ELLIPSE: 'ellipse',
+  POLYGON: 'polygon',
+  STAR: 'star',
+  IMAGE: 'image',
+  STICKY: 'sticky',
+  FRAME: 'frame',
+  GROUP: 'group',
+  INSTANCE: 'instance',
+  TABLE: 'table',
 };
 
+// Shapes positioned by their center (x,y) rather than their top-left corner
+const CENTERED_SHAPE_TYPES = [SHAPE_TYPES.CIRCLE, SHAPE_TYPES.ELLIPSE, SHAPE_TYPES.POLYGON, SHAPE_TYPES.STAR];
+
 // Default dimensions
 export const DEFAULT_RECT_SIZE = { width: 100, height: 100 };
 export const DEFAULT_CIRCLE_RADIUS = 50;
+export const DEFAULT_ELLIPSE_RADII = { radiusX: 75, radiusY: 50 };
+export const DEFAULT_POLYGON_SIDES = 6;
+export const DEFAULT_POLYGON_RADIUS = 50;
+export const MIN_POLYGON_SIDES = 3;
+export const DEFAULT_STAR_POINTS = 5;
+export const DEFAULT_STAR_RADII = { innerRadius: 25, outerRadius: 50 };
 export const DEFAULT_TEXT_SIZE = 16;
 export const DEFAULT_TRIANGLE_SIZE = { width: 100, height: 100 };
+export const DEFAULT_LINE_LENGTH = 150;
+export const DEFAULT_LINE_STROKE_WIDTH = 3;
+export const DEFAULT_PEN_STROKE_WIDTH = 3;
+export const DEFAULT_PEN_COLOR = '#000000';
+export const DEFAULT_IMAGE_SIZE = { width: 200, height: 150 };
+export const DEFAULT_STICKY_SIZE = { width: 200, height: 200 };
+export const DEFAULT_STICKY_FONT_SIZE = 18;
+export const DEFAULT_STICKY_TEXT_COLOR = '#1F2937';
+export const DEFAULT_FRAME_SIZE = { width: 400, height: 300 };
+export const DEFAULT_TABLE_SIZE = { rows: 3, columns: 3 };
+export const DEFAULT_TABLE_CELL_SIZE = { width: 120, height: 40 };
+export const DEFAULT_TABLE_FONT_SIZE = 14;
+
+// Preset sticky note colors (yellow, pink, green, blue, orange, purple)
+export const STICKY_COLORS = ['#FFF59D', '#F8BBD0', '#C5E1A5', '#B3E5FC', '#FFCC80', '#D1C4E9'];
 
 /**
  * Create a new rectangle shape
@@ -40,6 +77,7 @@ export const createRectangle = (x, y, overrides = {}) => {
     fill: getRandomColor(),
     stroke: '#000000',
     strokeWidth: 2,
+    cornerRadius: 0,
     draggable: true,
     zIndex: Date.now(), // Default to timestamp for creation order
     ...overrides,
@@ -69,6 +107,79 @@ export const createCircle = (x, y, overrides = {}) => {
   };
 };
 
+/**
+ * Create a new ellipse shape
+ * @param {number} x - X position (center)
+ * @param {number} y - Y position (center)
+ * @param {Object} overrides - Additional properties to override defaults
+ * @returns {Object} Ellipse shape object
+ */
+export const createEllipse = (x, y, overrides = {}) => {
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.ELLIPSE,
+    x,
+    y,
+    radiusX: DEFAULT_ELLIPSE_RADII.radiusX,
+    radiusY: DEFAULT_ELLIPSE_RADII.radiusY,
+    fill: getRandomColor(),
+    stroke: '#000000',
+    strokeWidth: 2,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new regular polygon shape (first vertex points up)
+ * @param {number} x - X position (center)
+ * @param {number} y - Y position (center)
+ * @param {Object} overrides - Additional properties to override defaults (sides, radius)
+ * @returns {Object} Polygon shape object
+ */
+export const createPolygon = (x, y, overrides = {}) => {
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.POLYGON,
+    x,
+    y,
+    sides: DEFAULT_POLYGON_SIDES,
+    radius: DEFAULT_POLYGON_RADIUS,
+    fill: getRandomColor(),
+    stroke: '#000000',
+    strokeWidth: 2,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new star shape (first point up)
+ * @param {number} x - X position (center)
+ * @param {number} y - Y position (center)
+ * @param {Object} overrides - Additional properties to override defaults (numPoints, innerRadius, outerRadius)
+ * @returns {Object} Star shape object
+ */
+export const createStar = (x, y, overrides = {}) => {
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.STAR,
+    x,
+    y,
+    numPoints: DEFAULT_STAR_POINTS,
+    innerRadius: DEFAULT_STAR_RADII.innerRadius,
+    outerRadius: DEFAULT_STAR_RADII.outerRadius,
+    fill: getRandomColor(),
+    stroke: '#000000',
+    strokeWidth: 2,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
 /**
  * Create a new triangle shape (isosceles, centered at x,y)
  * Uses width/height similar to rect for consistency
@@ -95,6 +206,194 @@ export const createTriangle = (x, y, overrides = {}) => {
   };
 };
 
+/**
+ * Create a new line shape (horizontal, centered at x,y)
+ * x,y is the line's origin; points are relative to it ([x1, y1, x2, y2])
+ * @param {number} x - X position (center of line)
+ * @param {number} y - Y position (center of line)
+ * @param {Object} overrides - Additional properties to override defaults
+ * @returns {Object} Line shape object
+ */
+export const createLine = (x, y, overrides = {}) => {
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.LINE,
+    x: x - DEFAULT_LINE_LENGTH / 2,
+    y,
+    points: [0, 0, DEFAULT_LINE_LENGTH, 0],
+    stroke: '#000000',
+    strokeWidth: DEFAULT_LINE_STROKE_WIDTH,
+    dash: DASH_PATTERNS.solid,
+    startArrowhead: ARROWHEAD_STYLES.NONE,
+    endArrowhead: ARROWHEAD_STYLES.NONE,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new arrow shape - a line with a triangle head at its end
+ * @param {number} x - X position (center of arrow)
+ * @param {number} y - Y position (center of arrow)
+ * @param {Object} overrides - Additional properties to override defaults
+ * @returns {Object} Arrow shape object
+ */
+export const createArrow = (x, y, overrides = {}) => {
+  return createLine(x, y, {
+    type: SHAPE_TYPES.ARROW,
+    endArrowhead: ARROWHEAD_STYLES.TRIANGLE,
+    ...overrides,
+  });
+};
+
+/**
+ * Create a new freehand path (pen stroke)
+ * x,y is the first point of the stroke; points are relative to it
+ * @param {number} x - X position (stroke start)
+ * @param {number} y - Y position (stroke start)
+ * @param {Object} overrides - Additional properties to override defaults (usually points)
+ * @returns {Object} Path shape object
+ */
+export const createPath = (x, y, overrides = {}) => {
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.PATH,
+    x,
+    y,
+    points: [0, 0, 0, 0],
+    stroke: DEFAULT_PEN_COLOR,
+    strokeWidth: DEFAULT_PEN_STROKE_WIDTH,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new image shape
+ * The binary lives in the blob store; the shape keeps its URL and storage path.
+ * @param {number} x - X position (center of image)
+ * @param {number} y - Y position (center of image)
+ * @param {Object} overrides - Additional properties to override defaults (usually src, storagePath and size)
+ * @returns {Object} Image shape object
+ */
+export const createImage = (x, y, overrides = {}) => {
+  const width = overrides.width || DEFAULT_IMAGE_SIZE.width;
+  const height = overrides.height || DEFAULT_IMAGE_SIZE.height;
+
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.IMAGE,
+    x: x - width / 2,  // Center the image at the drop position
+    y: y - height / 2,
+    width,
+    height,
+    src: null,
+    storagePath: null,
+    name: null,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new sticky note
+ * A colored note with wrapped text; height grows past minHeight to fit the text.
+ * @param {number} x - X position (center of note)
+ * @param {number} y - Y position (center of note)
+ * @param {Object} overrides - Additional properties to override defaults
+ * @returns {Object} Sticky note shape object
+ */
+export const createSticky = (x, y, overrides = {}) => {
+  const width = overrides.width || DEFAULT_STICKY_SIZE.width;
+  const height = overrides.height || DEFAULT_STICKY_SIZE.height;
+
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.STICKY,
+    x: x - width / 2,  // Center the note at cursor position
+    y: y - height / 2,
+    width,
+    height,
+    minHeight: height,
+    text: '',
+    fontSize: DEFAULT_STICKY_FONT_SIZE,
+    fill: STICKY_COLORS[0],
+    textColor: DEFAULT_STICKY_TEXT_COLOR,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new frame (artboard) that contains the shapes placed inside it
+ * @param {number} x - X position (center of frame)
+ * @param {number} y - Y position (center of frame)
+ * @param {Object} overrides - Additional properties to override defaults
+ * @returns {Object} Frame shape object
+ */
+export const createFrame = (x, y, overrides = {}) => {
+  const width = overrides.width || DEFAULT_FRAME_SIZE.width;
+  const height = overrides.height || DEFAULT_FRAME_SIZE.height;
+
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.FRAME,
+    x: x - width / 2,  // Center the frame at cursor position
+    y: y - height / 2,
+    width,
+    height,
+    name: 'Frame',
+    fill: '#FFFFFF',
+    stroke: '#9CA3AF',
+    strokeWidth: 1,
+    clipContent: true,
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...overrides,
+  };
+};
+
+/**
+ * Create a new table with empty cells
+ * @param {number} x - X position (center of table)
+ * @param {number} y - Y position (center of table)
+ * @param {Object} overrides - Additional properties to override defaults
+ * @param {number} overrides.rows - Row count (default 3)
+ * @param {number} overrides.columns - Column count (default 3)
+ * @returns {Object} Table shape object
+ */
+export const createTable = (x, y, overrides = {}) => {
+  const { rows = DEFAULT_TABLE_SIZE.rows, columns = DEFAULT_TABLE_SIZE.columns, ...rest } = overrides;
+  const columnWidths = rest.columnWidths || Array(columns).fill(DEFAULT_TABLE_CELL_SIZE.width);
+  const rowHeights = rest.rowHeights || Array(rows).fill(DEFAULT_TABLE_CELL_SIZE.height);
+  const width = columnWidths.reduce((total, size) => total + size, 0);
+  const height = rowHeights.reduce((total, size) => total + size, 0);
+
+  return {
+    id: uuidv4(),
+    type: SHAPE_TYPES.TABLE,
+    x: x - width / 2,  // Center the table at cursor position
+    y: y - height / 2,
+    width,
+    height,
+    columnWidths,
+    rowHeights,
+    cells: {},
+    fontSize: DEFAULT_TABLE_FONT_SIZE,
+    fill: '#FFFFFF',
+    stroke: '#9CA3AF',
+    strokeWidth: 1,
+    textColor: '#111827',
+    draggable: true,
+    zIndex: Date.now(), // Default to timestamp for creation order
+    ...rest,
+  };
+};
+
 /**
  * Create a new text shape
  * @param {number} x - X position (approximately centered)
@@ -117,6 +416,12 @@ export const createText = (x, y, text = 'Double-click to edit', overrides = {})
     fontSize,
     fontStyle: 'normal',         // 'normal', 'bold', 'italic', or 'bold italic'
     textDecoration: '',          // '', 'underline', 'line-through', or 'underline line-through'
+    fontFamily: 'Arial',
+    align: 'left',               // 'left', 'center', 'right', or 'justify'
+    lineHeight: 1,
+    letterSpacing: 0,
+    listStyle: 'none',           // 'none', 'bullet', or 'numbered'
+    fixedWidth: false,           // true wraps the text inside width
     fill: '#000000',
     draggable: true,
     zIndex: Date.now(), // Default to timestamp for creation order
@@ -126,7 +431,7 @@ export const createText = (x, y, text = 'Double-click to edit', overrides = {})
 
 /**
  * Helper to create shape by type
- * @param {string} type - Shape type (rect, circle, text)
+ * @param {string} type - Shape type (rect, circle, ellipse, polygon, star, text, triangle, line, arrow, path, image, sticky, frame, table)
  * @param {number} x - X position
  * @param {number} y - Y position
  * @param {Object} overrides - Additional properties
@@ -138,12 +443,122 @@ export const createShape = (type, x, y, overrides = {}) => {
       return createRectangle(x, y, overrides);
     case SHAPE_TYPES.CIRCLE:
       return createCircle(x, y, overrides);
+    case SHAPE_TYPES.ELLIPSE:
+      return createEllipse(x, y, overrides);
+    case SHAPE_TYPES.POLYGON:
+      return createPolygon(x, y, overrides);
+    case SHAPE_TYPES.STAR:
+      return createStar(x, y, overrides);
     case SHAPE_TYPES.TEXT:
       return createText(x, y, 'Double-click to edit', overrides);
     case SHAPE_TYPES.TRIANGLE:
       return createTriangle(x, y, overrides);
+    case SHAPE_TYPES.LINE:
+      return createLine(x, y, overrides);
+    case SHAPE_TYPES.ARROW:
+      return createArrow(x, y, overrides);
+    case SHAPE_TYPES.PATH:
+      return createPath(x, y, overrides);
+    case SHAPE_TYPES.IMAGE:
+      return createImage(x, y, overrides);
+    case SHAPE_TYPES.STICKY:
+      return createSticky(x, y, overrides);
+    case SHAPE_TYPES.FRAME:
+      return createFrame(x, y, overrides);
+    case SHAPE_TYPES.TABLE:
+      return createTable(x, y, overrides);
     default:
       throw new Error(`Unknown shape type: ${type}`);
   }
 };
 
+
+/**
+ * Check whether a shape is positioned by its center (circle, ellipse, polygon, star)
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isCenteredShape = (shape) => CENTERED_SHAPE_TYPES.includes(shape?.type);
+
+/**
+ * Vertices of a regular polygon or star around its center, matching Konva's layout
+ * @param {Object} shape - Polygon or star shape
+ * @returns {Array<Object>} [{ x, y }] relative to the shape's x,y
+ */
+export const getShapeVertices = (shape) => {
+  if (shape.type === SHAPE_TYPES.POLYGON) {
+    const sides = Math.max(MIN_POLYGON_SIDES, shape.sides || DEFAULT_POLYGON_SIDES);
+    const radius = shape.radius ?? DEFAULT_POLYGON_RADIUS;
+    return Array.from({ length: sides }, (_, i) => {
+      const angle = (i * 2 * Math.PI) / sides;
+      return { x: radius * Math.sin(angle), y: -radius * Math.cos(angle) };
+    });
+  }
+
+  if (shape.type === SHAPE_TYPES.STAR) {
+    const numPoints = shape.numPoints || DEFAULT_STAR_POINTS;
+    const outer = shape.outerRadius ?? DEFAULT_STAR_RADII.outerRadius;
+    const inner = shape.innerRadius ?? DEFAULT_STAR_RADII.innerRadius;
+    return Array.from({ length: numPoints * 2 }, (_, i) => {
+      const radius = i % 2 === 0 ? outer : inner;
+      const angle = (i * Math.PI) / numPoints;
+      return { x: radius * Math.sin(angle), y: -radius * Math.cos(angle) };
+    });
+  }
+
+  return [];
+};
+
+/**
+ * Unrotated extent of a centered shape relative to its x,y
+ * @param {Object} shape - Circle, ellipse, polygon or star
+ * @returns {Object|null} { left, top, width, height }, or null for other shapes
+ */
+export const getCenteredShapeExtent = (shape) => {
+  switch (shape?.type) {
+    case SHAPE_TYPES.CIRCLE: {
+      const radius = shape.radius || 0;
+      return { left: -radius, top: -radius, width: radius * 2, height: radius * 2 };
+    }
+    case SHAPE_TYPES.ELLIPSE: {
+      const radiusX = shape.radiusX ?? DEFAULT_ELLIPSE_RADII.radiusX;
+      const radiusY = shape.radiusY ?? DEFAULT_ELLIPSE_RADII.radiusY;
+      return { left: -radiusX, top: -radiusY, width: radiusX * 2, height: radiusY * 2 };
+    }
+    case SHAPE_TYPES.POLYGON:
+    case SHAPE_TYPES.STAR: {
+      const vertices = getShapeVertices(shape);
+      const xs = vertices.map(v => v.x);
+      const ys = vertices.map(v => v.y);
+      const left = Math.min(...xs);
+      const top = Math.min(...ys);
+      return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Shapes as they'll be once some changes are made (commands describe theirs with getShapeChanges)
+ * @param {Array<Object>} shapes - Current shapes
+ * @param {Array<Object>} changes - { type: 'create', shape }, { type: 'update', id, props },
+ *   { type: 'cell', id, cellKey, text } or { type: 'delete', id }
+ * @returns {Array<Object>} Shapes after the changes
+ */
+export const applyShapeChanges = (shapes, changes) => changes.reduce((result, change) => {
+  switch (change.type) {
+    case 'create':
+      return [...result, change.shape];
+    case 'update':
+      return result.map(shape => (shape.id === change.id ? { ...shape, ...change.props } : shape));
+    case 'cell':
+      return result.map(shape => (shape.id === change.id
+        ? { ...shape, cells: { ...shape.cells, [change.cellKey]: change.text } }
+        : shape));
+    case 'delete':
+      return result.filter(shape => shape.id !== change.id);
+    default:
+      return result;
+  }
+}, shapes);
@@ -0,0 +1,288 @@
+/**
+ * Snapping utilities for dragging and resizing shapes
+ * Shapes snap to the grid, and with smart guides to other shapes' edges and centers.
+ * Everything here works in canvas coordinates on axis-aligned boxes ({ x, y, width, height });
+ * targets may also be ruler guides ({ orientation, position }), which snap along one axis only.
+ */
+
+import { getShapeBounds } from './alignment';
+import { isGroup } from './groups';
+
+export const GRID_SIZES = [10, 20, 25, 50, 100];
+
+export const DEFAULT_SNAP_SETTINGS = {
+  grid: false, // Snap to the grid
+  gridSize: 50,
+  guides: true, // Snap to other shapes and show guides
+  rulers: true, // Show rulers and ruler guides (shapes snap to the guides)
+};
+
+export const SNAP_THRESHOLD = 6; // Screen pixels
+
+const SNAP_SETTINGS_KEY = 'snapSettings';
+const MIN_GRID_SPACING = 8; // Screen pixels between drawn grid lines
+const ALIGN_TOLERANCE = 0.5; // Canvas units within which two lines count as aligned
+const EDGE_EPSILON = 0.01;
+const RATIO_EPSILON = 0.001;
+
+/**
+ * Load snap settings saved in localStorage, falling back to the defaults
+ * @returns {Object} { grid, gridSize, guides }
+ */
+export const loadSnapSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SNAP_SETTINGS_KEY) || 'null');
+    if (!saved || typeof saved !== 'object') return { ...DEFAULT_SNAP_SETTINGS };
+    return {
+      grid: typeof saved.grid === 'boolean' ? saved.grid : DEFAULT_SNAP_SETTINGS.grid,
+      gridSize: GRID_SIZES.includes(saved.gridSize) ? saved.gridSize : DEFAULT_SNAP_SETTINGS.gridSize,
+      guides: typeof saved.guides === 'boolean' ? saved.guides : DEFAULT_SNAP_SETTINGS.guides,
+      rulers: typeof saved.rulers === 'boolean' ? saved.rulers : DEFAULT_SNAP_SETTINGS.rulers,
+    };
+  } catch (error) {
+    console.error('Failed to load snap settings from localStorage:', error);
+    return { ...DEFAULT_SNAP_SETTINGS };
+  }
+};
+
+/**
+ * Save snap settings to localStorage
+ * @param {Object} settings - { grid, gridSize, guides }
+ */
+export const saveSnapSettings = (settings) => {
+  try {
+    localStorage.setItem(SNAP_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Failed to save snap settings to localStorage:', error);
+  }
+};
+
+/**
+ * Whether snapping is held off for an event (Ctrl/Cmd held down)
+ * @param {Event} evt - Mouse, pointer or keyboard event
+ * @returns {boolean}
+ */
+export const isSnapSuspended = (evt) => Boolean(evt?.ctrlKey || evt?.metaKey);
+
+/**
+ * Snapping options for the current settings and zoom
+ * @param {Object} settings - Snap settings
+ * @param {number} scale - Canvas zoom
+ * @param {boolean} suspended - Whether snapping is held off
+ * @returns {Object} { threshold, gridSize, guides } for getMoveSnap/getResizeSnap
+ */
+export const getSnapOptions = (settings, scale, suspended = false) => ({
+  threshold: SNAP_THRESHOLD / (scale || 1),
+  gridSize: !suspended && settings?.grid ? settings.gridSize : null,
+  guides: !suspended && Boolean(settings?.guides),
+});
+
+/**
+ * Round a value to the nearest grid line
+ * @param {number} value - Canvas coordinate
+ * @param {number} gridSize - Grid spacing
+ * @returns {number}
+ */
+export const snapToGrid = (value, gridSize) => Math.round(value / gridSize) * gridSize;
+
+/**
+ * Spacing to draw the grid at: a multiple of the grid size, so lines don't crowd together when zoomed out
+ * @param {number} gridSize - Grid spacing
+ * @param {number} scale - Canvas zoom
+ * @returns {number}
+ */
+export const getGridDrawSize = (gridSize, scale) => {
+  let size = gridSize;
+  while (size * scale < MIN_GRID_SPACING) size *= 2;
+  return size;
+};
+
+/**
+ * Boxes of the shapes a moved or resized shape can snap to
+ * @param {Array<Object>} shapes - Shapes to snap to (usually the visible ones)
+ * @param {Iterable<string>} excludeIds - Shapes being moved or resized
+ * @returns {Array<Object>} Boxes { x, y, width, height }
+ */
+export const getSnapTargets = (shapes, excludeIds = []) => {
+  const excluded = new Set(excludeIds);
+  return shapes
+    .filter(shape => !excluded.has(shape.id) && !isGroup(shape))
+    .map((shape) => {
+      const { x, y, width, height } = getShapeBounds(shape);
+      return { x, y, width, height };
+    });
+};
+
+const isRulerGuide = (target) => Boolean(target.orientation);
+
+// Start, center and end of a box along one axis; a ruler guide only has a line across its own axis
+const getLines = (box, axis) => {
+  if (isRulerGuide(box)) return (box.orientation === 'vertical') === (axis === 'x') ? [box.position] : [];
+  return axis === 'x'
+    ? [box.x, box.x + box.width / 2, box.x + box.width]
+    : [box.y, box.y + box.height / 2, box.y + box.height];
+};
+
+// Smallest offset that brings one of the lines onto a target's line, or null when none is close enough
+const findNearestOffset = (lines, targets, axis, threshold) => {
+  let best = null;
+  targets.forEach((target) => {
+    getLines(target, axis).forEach((targetLine) => {
+      lines.forEach((line) => {
+        const offset = targetLine - line;
+        if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) {
+          best = offset;
+        }
+      });
+    });
+  });
+  return best;
+};
+
+// Space between two boxes along an axis, or null when they overlap on it
+const getGap = (box, target, axis) => {
+  const size = axis === 'x' ? 'width' : 'height';
+  const boxEnd = box[axis] + box[size];
+  const targetEnd = target[axis] + target[size];
+  if (target[axis] > boxEnd) return { start: boxEnd, end: target[axis], length: target[axis] - boxEnd };
+  if (box[axis] > targetEnd) return { start: targetEnd, end: box[axis], length: box[axis] - targetEnd };
+  return null;
+};
+
+/**
+ * Guides for every edge or center of a box that lines up with another shape's
+ * Each guide runs across the box and all shapes aligned on it, with the distance to the nearest of them.
+ * Ruler guides are already drawn, so lining up with one adds no guide.
+ * @param {Object} box - Box being moved or resized
+ * @param {Array<Object>} targets - Boxes of the other shapes
+ * @returns {Array<Object>} [{ orientation: 'vertical'|'horizontal', position, start, end, distance: { start, end, length }|null }]
+ */
+export const getAlignmentGuides = (box, targets) => {
+  const guides = [];
+  [['x', 'vertical'], ['y', 'horizontal']].forEach(([axis, orientation]) => {
+    const cross = axis === 'x' ? 'y' : 'x';
+    const crossSize = cross === 'x' ? 'width' : 'height';
+    const byPosition = new Map();
+
+    targets.filter(target => !isRulerGuide(target)).forEach((target) => {
+      const targetLines = getLines(target, axis);
+      getLines(box, axis).forEach((line) => {
+        if (!targetLines.some(targetLine => Math.abs(targetLine - line) <= ALIGN_TOLERANCE)) return;
+        const guide = byPosition.get(line) ?? {
+          orientation,
+          position: line,
+          start: box[cross],
+          end: box[cross] + box[crossSize],
+          distance: null,
+        };
+        guide.start = Math.min(guide.start, target[cross]);
+        guide.end = Math.max(guide.end, target[cross] + target[crossSize]);
+        const gap = getGap(box, target, cross);
+        if (gap && (!guide.distance || gap.length < guide.distance.length)) guide.distance = gap;
+        byPosition.set(line, guide);
+      });
+    });
+    guides.push(...byPosition.values());
+  });
+  return guides;
+};
+
+/**
+ * Snap a moved box: edges and centers snap to other shapes' within the threshold,
+ * otherwise the top-left corner snaps to the grid
+ * @param {Object} box - Box at the position it was dragged to
+ * @param {Array<Object>} targets - Boxes of the other shapes
+ * @param {Object} options - { threshold, gridSize (null for no grid), guides }
+ * @returns {Object} { dx, dy, guides } - Offset to add to the position, and guides to show
+ */
+export const getMoveSnap = (box, targets, { threshold = SNAP_THRESHOLD, gridSize = null, guides = true } = {}) => {
+  const snapAxis = (axis) => {
+    if (guides) {
+      const offset = findNearestOffset(getLines(box, axis), targets, axis, threshold);
+      if (offset !== null) return offset;
+    }
+    return gridSize ? snapToGrid(box[axis], gridSize) - box[axis] : 0;
+  };
+
+  const dx = snapAxis('x');
+  const dy = snapAxis('y');
+  return {
+    dx,
+    dy,
+    guides: guides ? getAlignmentGuides({ ...box, x: box.x + dx, y: box.y + dy }, targets) : [],
+  };
+};
+
+/**
+ * Snap a resized box: each edge that moved snaps to other shapes' edges and centers, or to the grid
+ * Resizes that keep the aspect ratio snap their nearest edge and scale the other side to match;
+ * an axis resized from the center on both sides isn't snapped.
+ * @param {Object} newBox - Box the resize would give
+ * @param {Object} oldBox - Box before this step of the resize
+ * @param {Array<Object>} targets - Boxes of the other shapes
+ * @param {Object} options - { threshold, gridSize (null for no grid), guides }
+ * @returns {Object} { box, guides }
+ */
+export const getResizeSnap = (newBox, oldBox, targets, { threshold = SNAP_THRESHOLD, gridSize = null, guides = true } = {}) => {
+  const edges = {
+    left: newBox.x,
+    right: newBox.x + newBox.width,
+    top: newBox.y,
+    bottom: newBox.y + newBox.height,
+  };
+  const moved = {
+    left: Math.abs(newBox.x - oldBox.x) > EDGE_EPSILON,
+    right: Math.abs(edges.right - (oldBox.x + oldBox.width)) > EDGE_EPSILON,
+    top: Math.abs(newBox.y - oldBox.y) > EDGE_EPSILON,
+    bottom: Math.abs(edges.bottom - (oldBox.y + oldBox.height)) > EDGE_EPSILON,
+  };
+  const snapped = {};
+  const snapEdge = (edge, axis) => {
+    if (!moved[edge]) return;
+    const value = edges[edge];
+    const offset = guides ? findNearestOffset([value], targets, axis, threshold) : null;
+    if (offset !== null) {
+      snapped[edge] = { value: value + offset, distance: Math.abs(offset) };
+    } else if (gridSize) {
+      const onGrid = snapToGrid(value, gridSize);
+      snapped[edge] = { value: onGrid, distance: Math.abs(onGrid - value) };
+    }
+  };
+  // Both sides of an axis move when resizing from the center
+  if (!(moved.left && moved.right)) ['left', 'right'].forEach(edge => snapEdge(edge, 'x'));
+  if (!(moved.top && moved.bottom)) ['top', 'bottom'].forEach(edge => snapEdge(edge, 'y'));
+
+  const keepRatio = (moved.left || moved.right) && (moved.top || moved.bottom)
+    && Math.abs(newBox.width * oldBox.height - newBox.height * oldBox.width)
+      <= RATIO_EPSILON * newBox.height * oldBox.height;
+
+  let box = { x: newBox.x, y: newBox.y, width: newBox.width, height: newBox.height };
+  if (keepRatio) {
+    const [edge, nearest] = Object.entries(snapped).sort(([, a], [, b]) => a.distance - b.distance)[0] ?? [];
+    if (edge) {
+      const size = {
+        left: edges.right - nearest.value,
+        right: nearest.value - edges.left,
+        top: edges.bottom - nearest.value,
+        bottom: nearest.value - edges.top,
+      }[edge];
+      const factor = size / (edge === 'left' || edge === 'right' ? newBox.width : newBox.height);
+      const width = newBox.width * factor;
+      const height = newBox.height * factor;
+      box = {
+        x: moved.left ? edges.right - width : edges.left,
+        y: moved.top ? edges.bottom - height : edges.top,
+        width,
+        height,
+      };
+    }
+  } else {
+    const left = snapped.left?.value ?? edges.left;
+    const right = snapped.right?.value ?? edges.right;
+    const top = snapped.top?.value ?? edges.top;
+    const bottom = snapped.bottom?.value ?? edges.bottom;
+    box = { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  return { box, guides: guides ? getAlignmentGuides(box, targets) : [] };
+};
@@ -0,0 +1,50 @@
+/**
+ * Sticky note layout helpers
+ * A sticky is a colored box with text wrapped inside its padding; when the text
+ * needs more room than minHeight the note grows downwards.
+ */
+
+import { DEFAULT_STICKY_FONT_SIZE } from './shapes';
+
+export const STICKY_PADDING = 12;
+export const STICKY_LINE_HEIGHT = 1.3;
+export const STICKY_FONT_FAMILY = 'Arial, sans-serif';
+export const STICKY_CORNER_RADIUS = 4;
+
+/**
+ * Check whether a shape is a sticky note
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isStickyShape = (shape) => shape?.type === 'sticky';
+
+/**
+ * Width available to a sticky's text
+ * @param {Object} sticky - Sticky shape
+ * @returns {number}
+ */
+export const getStickyTextWidth = (sticky) => Math.max(1, sticky.width - STICKY_PADDING * 2);
+
+/**
+ * Text settings shared by the canvas rendering, the editor and measurement,
+ * so all three wrap the same way
+ * @param {Object} sticky - Sticky shape
+ * @returns {Object} { width, fontSize, fontFamily, lineHeight }
+ */
+export const getStickyTextStyle = (sticky) => ({
+  width: getStickyTextWidth(sticky),
+  fontSize: sticky.fontSize || DEFAULT_STICKY_FONT_SIZE,
+  fontFamily: STICKY_FONT_FAMILY,
+  lineHeight: STICKY_LINE_HEIGHT,
+});
+
+/**
+ * Height a sticky needs for its text
+ * @param {Object} sticky - Sticky shape (minHeight is the size the user chose)
+ * @param {number} textHeight - Measured height of the wrapped text
+ * @returns {number} The larger of minHeight and the padded text height
+ */
+export const getStickyHeight = (sticky, textHeight) => {
+  const minHeight = sticky.minHeight ?? sticky.height;
+  return Math.max(minHeight, Math.ceil(textHeight + STICKY_PADDING * 2));
+};
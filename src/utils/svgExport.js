@@ -0,0 +1,382 @@
+/**
+ * svgExport - Vector SVG from the Konva nodes the canvas draws
+ * Walking the drawn nodes (rather than the stored shapes) keeps the file identical to the
+ * screen: fills, outlines, dash patterns, caps and joins, opacity, drop shadows, frame
+ * clipping, instances and rich text all come out as their SVG equivalents.
+ */
+
+// Name of the canvas layer holding the board's shapes (other layers are cursors and tooltips)
+export const SHAPES_LAYER_NAME = 'shapes-layer';
+
+export const SVG_EXPORT_PADDING = 20;
+
+// Editing UI that never belongs in an export
+const SKIPPED_CLASSES = ['Transformer'];
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatNumber = (value) => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Serialize element attributes, leaving out empty ones
+ * @param {Object} attrs - Attribute names and values
+ * @returns {string} e.g. ' x="1" fill="red"'
+ */
+const toAttributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([name, value]) => ` ${name}="${escapeXML(typeof value === 'number' ? formatNumber(value) : value)}"`)
+  .join('');
+
+const isVisiblePaint = (color) => Boolean(color) && color !== 'transparent';
+
+/**
+ * SVG transform for a node's own position, rotation, scale and offset
+ * @param {Object} node - Konva node
+ * @returns {string|undefined}
+ */
+const getTransformAttribute = (node) => {
+  const matrix = node.getTransform().getMatrix();
+  if (matrix.every((value, i) => value === IDENTITY_MATRIX[i])) return undefined;
+  return `matrix(${matrix.map(formatNumber).join(' ')})`;
+};
+
+/**
+ * Add a drop shadow filter for a node to the document's defs
+ * Canvas shadows keep their offset on screen however the shape is rotated, so the offset is
+ * turned back by the node's rotation.
+ * @param {Object} node - Konva shape node
+ * @param {Object} context - Export context ({ defs, nextId })
+ * @returns {string|undefined} filter attribute value
+ */
+const addShadowFilter = (node, context) => {
+  if (!node.hasShadow()) return undefined;
+  const angle = (-(node.getAbsoluteRotation() || 0) * Math.PI) / 180;
+  const offsetX = node.shadowOffsetX() || 0;
+  const offsetY = node.shadowOffsetY() || 0;
+  const id = `shadow-${context.nextId++}`;
+  context.defs.push(`<filter${toAttributes({ id, x: '-50%', y: '-50%', width: '200%', height: '200%' })}>`
+    + `<feDropShadow${toAttributes({
+      dx: offsetX * Math.cos(angle) - offsetY * Math.sin(angle),
+      dy: offsetX * Math.sin(angle) + offsetY * Math.cos(angle),
+      stdDeviation: (node.shadowBlur() || 0) / 2, // Canvas blur is about twice the Gaussian deviation
+      'flood-color': node.shadowColor() || '#000000',
+      'flood-opacity': node.shadowOpacity() ?? 1,
+    })}/></filter>`);
+  return `url(#${id})`;
+};
+
+/**
+ * Add a node's gradient fill to the document's defs
+ * Gradient points are in the node's own coordinates, which is where its element is drawn.
+ * @param {Object} node - Konva shape node
+ * @param {Object} context - Export context ({ defs, nextId })
+ * @returns {string|undefined} fill attribute value, or undefined when the fill is solid
+ */
+const addGradientFill = (node, context) => {
+  const priority = node.fillPriority();
+  const radial = priority === 'radial-gradient';
+  if (!radial && priority !== 'linear-gradient') return undefined;
+
+  const colorStops = radial ? node.fillRadialGradientColorStops() : node.fillLinearGradientColorStops();
+  if (!Array.isArray(colorStops) || colorStops.length < 4) return undefined;
+
+  const start = (radial ? node.fillRadialGradientStartPoint() : node.fillLinearGradientStartPoint()) || { x: 0, y: 0 };
+  const end = (radial ? node.fillRadialGradientEndPoint() : node.fillLinearGradientEndPoint()) || { x: 0, y: 0 };
+  const id = `gradient-${context.nextId++}`;
+  const stops = [];
+  for (let i = 0; i < colorStops.length - 1; i += 2) {
+    stops.push(`<stop${toAttributes({ offset: colorStops[i], 'stop-color': colorStops[i + 1] })}/>`);
+  }
+
+  // Canvas radial gradients run from the start circle (the focus) out to the end circle
+  const element = radial ? 'radialGradient' : 'linearGradient';
+  const attrs = radial
+    ? {
+      cx: end.x,
+      cy: end.y,
+      r: node.fillRadialGradientEndRadius() || 0,
+      fx: start.x,
+      fy: start.y,
+      fr: node.fillRadialGradientStartRadius() || undefined,
+    }
+    : { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+  context.defs.push(`<${element}${toAttributes({ id, gradientUnits: 'userSpaceOnUse', ...attrs })}>`
+    + `${stops.join('')}</${element}>`);
+  return `url(#${id})`;
+};
+
+/**
+ * Fill, outline and effect attributes of a shape node
+ * @param {Object} node - Konva shape node
+ * @param {Object} context - Export context
+ * @param {Object} options
+ * @param {boolean} options.filled - Whether the node's geometry is filled (open lines are stroke-only)
+ * @returns {Object|null} Attributes, or null when the node paints nothing
+ */
+const getPaintAttributes = (node, context, { filled = true } = {}) => {
+  const fillEnabled = filled && node.fillEnabled() !== false;
+  const fill = (fillEnabled && addGradientFill(node, context))
+    || (fillEnabled && isVisiblePaint(node.fill()) ? node.fill() : null);
+  const strokeWidth = node.strokeWidth() || 0;
+  const stroke = node.strokeEnabled() !== false && strokeWidth > 0 && isVisiblePaint(node.stroke()) ? node.stroke() : null;
+  if (!fill && !stroke) return null;
+
+  const dash = node.dashEnabled() !== false ? node.dash() : null;
+  return {
+    fill: fill || 'none',
+    ...(stroke && {
+      stroke,
+      'stroke-width': strokeWidth,
+      'stroke-dasharray': Array.isArray(dash) && dash.length > 0 ? dash.map(formatNumber).join(' ') : undefined,
+      'stroke-linecap': node.lineCap() || undefined,
+      'stroke-linejoin': node.lineJoin() || undefined,
+    }),
+    opacity: node.opacity() !== 1 ? node.opacity() : undefined,
+    filter: addShadowFilter(node, context),
+  };
+};
+
+const regularPolygonPoints = (sides, radius) => Array.from({ length: sides }, (_, i) => {
+  const angle = (i * 2 * Math.PI) / sides;
+  return [radius * Math.sin(angle), -radius * Math.cos(angle)];
+});
+
+const starPoints = (numPoints, innerRadius, outerRadius) => Array.from({ length: numPoints * 2 }, (_, i) => {
+  const radius = i % 2 === 0 ? outerRadius : innerRadius;
+  const angle = (i * Math.PI) / numPoints;
+  return [radius * Math.sin(angle), -radius * Math.cos(angle)];
+});
+
+const toPointsAttribute = (points) => points.map(([x, y]) => `${formatNumber(x)},${formatNumber(y)}`).join(' ');
+
+/**
+ * Path data for a Konva Line, following Konva's own drawing (including curve tension)
+ * @param {Object} node - Konva Line node
+ * @returns {string}
+ */
+const getLinePathData = (node) => {
+  const points = node.points() || [];
+  const length = points.length;
+  const closed = node.closed();
+  const commands = [`M${formatNumber(points[0])} ${formatNumber(points[1])}`];
+  const pair = (values) => values.map(formatNumber).join(' ');
+
+  if (node.tension() && length > 4) {
+    const tp = node.getTensionPoints();
+    const len = tp.length;
+    let n = closed ? 0 : 4;
+    if (!closed) commands.push(`Q${pair(tp.slice(0, 4))}`);
+    while (n < len - 2) {
+      commands.push(`C${pair(tp.slice(n, n + 6))}`);
+      n += 6;
+    }
+    if (!closed) commands.push(`Q${pair([tp[len - 2], tp[len - 1], points[length - 2], points[length - 1]])}`);
+  } else {
+    for (let n = 2; n < length; n += 2) {
+      commands.push(`L${formatNumber(points[n])} ${formatNumber(points[n + 1])}`);
+    }
+  }
+  if (closed) commands.push('Z');
+  return commands.join(' ');
+};
+
+// Object URLs only live in this tab, so those images are inlined as data URLs
+const inlineImage = (image, src) => {
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return canvas.toDataURL('image/png');
+  } catch {
+    return src;
+  }
+};
+
+const getImageSource = (image) => {
+  if (!image) return null;
+  if (typeof image.toDataURL === 'function') return image.toDataURL();
+  const src = image.currentSrc || image.src || null;
+  return src?.startsWith('blob:') ? inlineImage(image, src) : src;
+};
+
+/**
+ * SVG text element for a Konva Text, one tspan per laid out line
+ * @param {Object} node - Konva Text node
+ * @param {Object} context - Export context
+ * @returns {string}
+ */
+const textToSVG = (node, context) => {
+  const text = node.text();
+  const paint = text ? getPaintAttributes(node, context) : null;
+  if (!paint) return '';
+
+  const fontSize = node.fontSize();
+  const lineHeightPx = node.lineHeight() * fontSize;
+  const padding = node.padding() || 0;
+  const width = node.getWidth();
+  const align = node.align();
+  const lines = node.textArr || text.split('\n').map(line => ({ text: line, width: 0, lastInParagraph: true }));
+
+  let top = padding;
+  if (node.verticalAlign() === 'middle') {
+    top += (node.getHeight() - lines.length * lineHeightPx - padding * 2) / 2;
+  } else if (node.verticalAlign() === 'bottom') {
+    top += node.getHeight() - lines.length * lineHeightPx - padding * 2;
+  }
+
+  const tspans = lines.map((line, i) => {
+    let x = padding;
+    if (align === 'right') x += width - line.width - padding * 2;
+    if (align === 'center') x += (width - line.width - padding * 2) / 2;
+    const justified = align === 'justify' && !line.lastInParagraph && line.text.includes(' ');
+    return `<tspan${toAttributes({
+      x,
+      y: top + lineHeightPx * (i + 0.5),
+      textLength: justified ? width - padding * 2 : undefined,
+      lengthAdjust: justified ? 'spacing' : undefined,
+    })}>${escapeXML(line.text)}</tspan>`;
+  }).join('');
+
+  const fontStyle = node.fontStyle() || 'normal';
+  return `<text${toAttributes({
+    transform: getTransformAttribute(node),
+    'font-family': node.fontFamily(),
+    'font-size': fontSize,
+    'font-weight': fontStyle.includes('bold') ? 'bold' : undefined,
+    'font-style': fontStyle.includes('italic') ? 'italic' : undefined,
+    'text-decoration': node.textDecoration() || undefined,
+    'letter-spacing': node.letterSpacing() || undefined,
+    'dominant-baseline': 'central',
+    'xml:space': 'preserve',
+    ...paint,
+  })}>${tspans}</text>`;
+};
+
+/**
+ * SVG markup for a Konva node and everything inside it
+ * @param {Object} node - Konva node (layer, group or shape)
+ * @param {Object} context - Export context ({ defs, nextId })
+ * @returns {string} Empty for hidden nodes and nodes that paint nothing
+ */
+export const nodeToSVG = (node, context) => {
+  const className = node.getClassName();
+  if (!node.visible() || SKIPPED_CLASSES.includes(className)) return '';
+
+  if (className === 'Layer' || className === 'Group') {
+    const content = node.getChildren().map(child => nodeToSVG(child, context)).join('');
+    if (!content) return '';
+    let clipPath;
+    if (node.clipWidth() && node.clipHeight()) {
+      const id = `clip-${context.nextId++}`;
+      context.defs.push(`<clipPath${toAttributes({ id })}><rect${toAttributes({
+        x: node.clipX() || 0,
+        y: node.clipY() || 0,
+        width: node.clipWidth(),
+        height: node.clipHeight(),
+      })}/></clipPath>`);
+      clipPath = `url(#${id})`;
+    }
+    return `<g${toAttributes({
+      transform: getTransformAttribute(node),
+      opacity: node.opacity() !== 1 ? node.opacity() : undefined,
+      'clip-path': clipPath,
+    })}>${content}</g>`;
+  }
+
+  if (className === 'Text') return textToSVG(node, context);
+
+  if (className === 'Image') {
+    const href = getImageSource(node.image());
+    const paint = getPaintAttributes(node, context);
+    const frame = paint ? `<rect${toAttributes({ width: node.width(), height: node.height(), ...paint })}/>` : '';
+    const image = href ? `<image${toAttributes({
+      width: node.width(),
+      height: node.height(),
+      href,
+      preserveAspectRatio: 'none',
+      opacity: node.opacity() !== 1 ? node.opacity() : undefined,
+      filter: paint ? undefined : addShadowFilter(node, context),
+    })}/>` : '';
+    if (!frame && !image) return '';
+    return `<g${toAttributes({ transform: getTransformAttribute(node) })}>${frame}${image}</g>`;
+  }
+
+  const filled = className !== 'Line' || node.closed();
+  const paint = getPaintAttributes(node, context, { filled });
+  if (!paint) return '';
+  const transform = getTransformAttribute(node);
+
+  switch (className) {
+    case 'Rect': {
+      const radius = node.cornerRadius();
+      return `<rect${toAttributes({
+        transform,
+        width: node.width(),
+        height: node.height(),
+        rx: (Array.isArray(radius) ? radius[0] : radius) || undefined,
+        ...paint,
+      })}/>`;
+    }
+    case 'Circle':
+      return `<circle${toAttributes({ transform, r: node.radius(), ...paint })}/>`;
+    case 'Ellipse':
+      return `<ellipse${toAttributes({ transform, rx: node.radiusX(), ry: node.radiusY(), ...paint })}/>`;
+    case 'RegularPolygon':
+      return `<polygon${toAttributes({
+        transform,
+        points: toPointsAttribute(regularPolygonPoints(node.sides(), node.radius())),
+        ...paint,
+      })}/>`;
+    case 'Star':
+      return `<polygon${toAttributes({
+        transform,
+        points: toPointsAttribute(starPoints(node.numPoints(), node.innerRadius(), node.outerRadius())),
+        ...paint,
+      })}/>`;
+    case 'Line':
+      if ((node.points() || []).length < 2) return '';
+      return `<path${toAttributes({ transform, d: getLinePathData(node), ...paint })}/>`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Build an SVG document of everything on the canvas's shapes layer
+ * The document covers all shapes (not just the part on screen), in canvas units.
+ * @param {Object} stage - Konva Stage
+ * @param {Object} options
+ * @param {number} options.padding - Space around the shapes
+ * @returns {string} SVG markup
+ */
+export const stageToSVG = (stage, { padding = SVG_EXPORT_PADDING } = {}) => {
+  const layer = stage.findOne(`.${SHAPES_LAYER_NAME}`);
+  if (!layer) {
+    throw new Error('Shapes layer is not on the canvas');
+  }
+
+  const context = { defs: [], nextId: 1 };
+  const content = layer.getChildren().map(child => nodeToSVG(child, context)).join('');
+  const bounds = layer.getClientRect({ relativeTo: stage });
+  const hasContent = Boolean(content) && Number.isFinite(bounds.x) && (bounds.width > 0 || bounds.height > 0);
+  const box = hasContent
+    ? { x: bounds.x - padding, y: bounds.y - padding, width: bounds.width + padding * 2, height: bounds.height + padding * 2 }
+    : { x: 0, y: 0, width: padding * 2, height: padding * 2 };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg${toAttributes({
+    xmlns: 'http://www.w3.org/2000/svg',
+    width: box.width,
+    height: box.height,
+    viewBox: [box.x, box.y, box.width, box.height].map(formatNumber).join(' '),
+  })}>
+${context.defs.length > 0 ? `<defs>${context.defs.join('')}</defs>\n` : ''}${content}
+</svg>`;
+};
@@ -0,0 +1,207 @@
+/**
+ * Table layout helpers
+ * A table stores its column widths and row heights, plus a map of cell texts keyed by
+ * cell ("r0c1"), so one cell can be written to Firestore without rewriting the others.
+ * width and height are kept equal to the summed tracks so bounds work like any box.
+ */
+
+import { SHAPE_TYPES } from './shapes';
+
+export const TABLE_CELL_PADDING = 8;
+export const TABLE_LINE_HEIGHT = 1.2;
+export const TABLE_FONT_FAMILY = 'Arial, sans-serif';
+export const MIN_TABLE_COLUMN_WIDTH = 30;
+export const MIN_TABLE_ROW_HEIGHT = 20;
+export const MAX_TABLE_TRACKS = 50; // Most rows (or columns) a table can have
+
+/**
+ * Check whether a shape is a table
+ * @param {Object} shape - Shape object
+ * @returns {boolean}
+ */
+export const isTable = (shape) => shape?.type === SHAPE_TYPES.TABLE;
+
+/**
+ * Key of a cell in a table's cells map (also its Firestore field name)
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @returns {string}
+ */
+export const getCellKey = (row, column) => `r${row}c${column}`;
+
+/**
+ * Text of a cell
+ * @param {Object} table - Table shape
+ * @param {string} cellKey - Cell key
+ * @returns {string} Empty for cells never written
+ */
+export const getCellText = (table, cellKey) => table.cells?.[cellKey] ?? '';
+
+/**
+ * Where each column (or row) starts, plus where the last one ends
+ * @param {Array<number>} sizes - Column widths or row heights
+ * @returns {Array<number>} sizes.length + 1 offsets, starting at 0
+ */
+export const getTrackOffsets = (sizes) => sizes.reduce(
+  (offsets, size) => [...offsets, offsets[offsets.length - 1] + size],
+  [0]
+);
+
+const sum = (sizes) => sizes.reduce((total, size) => total + size, 0);
+
+/**
+ * Cell box relative to the table's top-left corner
+ * @param {Object} table - Table shape
+ * @param {number} row - Row index
+ * @param {number} column - Column index
+ * @returns {Object} { x, y, width, height }
+ */
+export const getCellRect = (table, row, column) => ({
+  x: sum(table.columnWidths.slice(0, column)),
+  y: sum(table.rowHeights.slice(0, row)),
+  width: table.columnWidths[column],
+  height: table.rowHeights[row],
+});
+
+/**
+ * The cell under a point
+ * @param {Object} table - Table shape
+ * @param {number} x - X relative to the table's top-left corner
+ * @param {number} y - Y relative to the table's top-left corner
+ * @returns {Object|null} { row, column }, or null outside the table
+ */
+export const getCellAt = (table, x, y) => {
+  const findTrack = (offsets, value) => offsets.findIndex((start, i) => (
+    i < offsets.length - 1 && value >= start && value < offsets[i + 1]
+  ));
+  const column = findTrack(getTrackOffsets(table.columnWidths), x);
+  const row = findTrack(getTrackOffsets(table.rowHeights), y);
+  return column === -1 || row === -1 ? null : { row, column };
+};
+
+/**
+ * Row and column of a cell key
+ * @param {string} cellKey - Cell key
+ * @returns {Object|null} { row, column }, or null for a malformed key
+ */
+export const parseCellKey = (cellKey) => {
+  const match = /^r(\d+)c(\d+)$/.exec(cellKey || '');
+  return match ? { row: Number(match[1]), column: Number(match[2]) } : null;
+};
+
+/**
+ * Text settings shared by the canvas rendering and the cell editor
+ * @param {Object} table - Table shape
+ * @returns {Object} { fontSize, fontFamily, lineHeight }
+ */
+export const getTableTextStyle = (table) => ({
+  fontSize: table.fontSize,
+  fontFamily: TABLE_FONT_FAMILY,
+  lineHeight: TABLE_LINE_HEIGHT,
+});
+
+/**
+ * Updates after setting one column's width
+ * @param {Object} table - Table shape
+ * @param {number} column - Column index
+ * @param {number} width - New width (clamped to the minimum)
+ * @returns {Object} { columnWidths, width }
+ */
+export const resizeTableColumn = (table, column, width) => {
+  const columnWidths = table.columnWidths.map((size, i) => (
+    i === column ? Math.max(MIN_TABLE_COLUMN_WIDTH, width) : size
+  ));
+  return { columnWidths, width: sum(columnWidths) };
+};
+
+/**
+ * Updates after setting one row's height
+ * @param {Object} table - Table shape
+ * @param {number} row - Row index
+ * @param {number} height - New height (clamped to the minimum)
+ * @returns {Object} { rowHeights, height }
+ */
+export const resizeTableRow = (table, row, height) => {
+  const rowHeights = table.rowHeights.map((size, i) => (
+    i === row ? Math.max(MIN_TABLE_ROW_HEIGHT, height) : size
+  ));
+  return { rowHeights, height: sum(rowHeights) };
+};
+
+/**
+ * Updates after scaling the whole table (Transformer resize)
+ * @param {Object} table - Table shape
+ * @param {number} scaleX - Horizontal scale
+ * @param {number} scaleY - Vertical scale
+ * @returns {Object} { columnWidths, rowHeights, width, height }
+ */
+export const scaleTable = (table, scaleX, scaleY) => {
+  const columnWidths = table.columnWidths.map(size => Math.max(MIN_TABLE_COLUMN_WIDTH, size * scaleX));
+  const rowHeights = table.rowHeights.map(size => Math.max(MIN_TABLE_ROW_HEIGHT, size * scaleY));
+  return { columnWidths, rowHeights, width: sum(columnWidths), height: sum(rowHeights) };
+};
+
+/**
+ * Updates that add a row at the bottom, as tall as the current last row
+ * @param {Object} table - Table shape
+ * @returns {Object|null} { rowHeights, height }, or null at the row limit
+ */
+export const addTableRow = (table) => {
+  if (table.rowHeights.length >= MAX_TABLE_TRACKS) return null;
+  const rowHeights = [...table.rowHeights, table.rowHeights[table.rowHeights.length - 1]];
+  return { rowHeights, height: sum(rowHeights) };
+};
+
+/**
+ * Updates that add a column on the right, as wide as the current last column
+ * @param {Object} table - Table shape
+ * @returns {Object|null} { columnWidths, width }, or null at the column limit
+ */
+export const addTableColumn = (table) => {
+  if (table.columnWidths.length >= MAX_TABLE_TRACKS) return null;
+  const columnWidths = [...table.columnWidths, table.columnWidths[table.columnWidths.length - 1]];
+  return { columnWidths, width: sum(columnWidths) };
+};
+
+/**
+ * Updates that remove the bottom row and its cell texts
+ * @param {Object} table - Table shape
+ * @returns {Object|null} { rowHeights, height, cells }, or null when one row is left
+ */
+export const removeTableRow = (table) => {
+  if (table.rowHeights.length <= 1) return null;
+  const rowHeights = table.rowHeights.slice(0, -1);
+  const cells = Object.fromEntries(Object.entries(table.cells || {})
+    .filter(([key]) => (parseCellKey(key)?.row ?? 0) < rowHeights.length));
+  return { rowHeights, height: sum(rowHeights), cells };
+};
+
+/**
+ * Updates that remove the rightmost column and its cell texts
+ * @param {Object} table - Table shape
+ * @returns {Object|null} { columnWidths, width, cells }, or null when one column is left
+ */
+export const removeTableColumn = (table) => {
+  if (table.columnWidths.length <= 1) return null;
+  const columnWidths = table.columnWidths.slice(0, -1);
+  const cells = Object.fromEntries(Object.entries(table.cells || {})
+    .filter(([key]) => (parseCellKey(key)?.column ?? 0) < columnWidths.length));
+  return { columnWidths, width: sum(columnWidths), cells };
+};
+
+/**
+ * Build a cells map from rows of texts (empty texts are left out)
+ * @param {Array<Array<string>>} rows - Cell texts, row by row
+ * @returns {Object} Map of cell key -> text
+ */
+export const createCellsFromRows = (rows = []) => {
+  const cells = {};
+  rows.forEach((row, rowIndex) => {
+    (Array.isArray(row) ? row : []).forEach((text, columnIndex) => {
+      if (text !== null && text !== undefined && String(text) !== '') {
+        cells[getCellKey(rowIndex, columnIndex)] = String(text);
+      }
+    });
+  });
+  return cells;
+};
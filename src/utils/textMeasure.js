@@ -0,0 +1,77 @@
+/**
+ * Text measurement with the same layout engine the canvas renders with
+ * A single off-screen Konva.Text is reused, so wrapping matches what Konva draws.
+ */
+
+import Konva from 'konva';
+
+let measureNode = null;
+
+/**
+ * Measure the height of wrapped text
+ * @param {Object} params
+ * @param {string} params.text - Text to lay out
+ * @param {number} params.width - Wrap width
+ * @param {number} params.fontSize - Font size
+ * @param {string} params.fontFamily - Font family
+ * @param {string} params.fontStyle - 'normal', 'bold', 'italic' or 'bold italic'
+ * @param {number} params.lineHeight - Line height multiplier
+ * @param {number} params.letterSpacing - Extra space between letters
+ * @returns {number} Height of the laid-out text
+ */
+export const measureTextHeight = ({
+  text,
+  width,
+  fontSize,
+  fontFamily = 'Arial',
+  fontStyle = 'normal',
+  lineHeight = 1,
+  letterSpacing = 0,
+}) => {
+  if (!measureNode) {
+    measureNode = new Konva.Text({ wrap: 'word' });
+  }
+  measureNode.setAttrs({
+    // An empty line still takes up a line
+    text: text || ' ',
+    width,
+    fontSize,
+    fontFamily,
+    fontStyle,
+    lineHeight,
+    letterSpacing,
+  });
+  return measureNode.height();
+};
+
+/**
+ * Measure the width of unwrapped text (its longest line)
+ * @param {Object} params
+ * @param {string} params.text - Text to lay out
+ * @param {number} params.fontSize - Font size
+ * @param {string} params.fontFamily - Font family
+ * @param {string} params.fontStyle - 'normal', 'bold', 'italic' or 'bold italic'
+ * @param {number} params.letterSpacing - Extra space between letters
+ * @returns {number} Width of the laid-out text
+ */
+export const measureTextWidth = ({
+  text,
+  fontSize,
+  fontFamily = 'Arial',
+  fontStyle = 'normal',
+  letterSpacing = 0,
+}) => {
+  if (!measureNode) {
+    measureNode = new Konva.Text({ wrap: 'word' });
+  }
+  measureNode.setAttrs({
+    text: text || ' ',
+    width: 'auto',
+    fontSize,
+    fontFamily,
+    fontStyle,
+    letterSpacing,
+    lineHeight: 1,
+  });
+  return measureNode.width();
+};
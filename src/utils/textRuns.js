@@ -0,0 +1,370 @@
+/**
+ * Rich text runs
+ * A text shape can format individual words: its `runs` are pieces of text with their own
+ * bold / italic / underline / strike / color, on top of the shape's own formatting.
+ * `text` always holds the plain text as well, and runs are only drawn while they spell it out,
+ * so anything that rewrites just the text (instance overrides, the AI) falls back to plain text.
+ */
+
+import { formatListText, LIST_STYLES } from './textStyle';
+
+const FLAG_KEYS = ['bold', 'italic', 'underline', 'strike'];
+
+/**
+ * Clean up runs: drop empty ones and unknown keys, and merge neighbours with the same formatting
+ * Never leaves undefined values behind (Firestore rejects them).
+ * @param {Array<Object>} runs - [{ text, bold, italic, underline, strike, color }]
+ * @returns {Array<Object>}
+ */
+export const normalizeRuns = (runs = []) => {
+  const normalized = [];
+  runs.forEach((run) => {
+    if (!run || typeof run.text !== 'string' || run.text === '') return;
+    const clean = { text: run.text };
+    FLAG_KEYS.forEach((key) => {
+      if (typeof run[key] === 'boolean') clean[key] = run[key];
+    });
+    if (typeof run.color === 'string' && run.color) clean.color = run.color;
+
+    const previous = normalized[normalized.length - 1];
+    if (previous && isSameFormat(previous, clean)) {
+      previous.text += clean.text;
+    } else {
+      normalized.push(clean);
+    }
+  });
+  return normalized;
+};
+
+const isSameFormat = (a, b) => (
+  FLAG_KEYS.every(key => a[key] === b[key]) && a.color === b.color
+);
+
+/**
+ * Plain text of some runs
+ * @param {Array<Object>} runs - Text runs
+ * @returns {string}
+ */
+export const getRunsText = (runs = []) => runs.map(run => run.text).join('');
+
+/**
+ * Check whether any run carries formatting of its own
+ * @param {Array<Object>} runs - Text runs
+ * @returns {boolean}
+ */
+export const hasRunFormatting = (runs = []) => normalizeRuns(runs).some(run => (
+  FLAG_KEYS.some(key => key in run) || 'color' in run
+));
+
+/**
+ * Runs of a text shape; a single unformatted run when it has none (or they're out of date)
+ * @param {Object} shape - Text shape
+ * @returns {Array<Object>}
+ */
+export const getTextRuns = (shape) => {
+  const text = shape.text ?? '';
+  if (Array.isArray(shape.runs) && getRunsText(shape.runs) === text) {
+    return normalizeRuns(shape.runs);
+  }
+  return text ? [{ text }] : [];
+};
+
+/**
+ * Konva formatting of a run on top of the shape's own formatting
+ * @param {Object} run - Text run
+ * @param {Object} base - { fontStyle, textDecoration, fill } of the shape
+ * @returns {Object} { fontStyle, textDecoration, fill }
+ */
+export const getRunStyle = (run, { fontStyle = 'normal', textDecoration = '', fill } = {}) => {
+  const bold = run.bold ?? fontStyle.includes('bold');
+  const italic = run.italic ?? fontStyle.includes('italic');
+  const underline = run.underline ?? textDecoration.includes('underline');
+  const strike = run.strike ?? textDecoration.includes('line-through');
+  return {
+    fontStyle: [bold && 'bold', italic && 'italic'].filter(Boolean).join(' ') || 'normal',
+    textDecoration: [underline && 'underline', strike && 'line-through'].filter(Boolean).join(' '),
+    fill: run.color || fill,
+  };
+};
+
+// Runs split at line breaks, each paragraph a list of runs
+const splitParagraphs = (runs) => {
+  const paragraphs = [[]];
+  runs.forEach((run) => {
+    run.text.split('\n').forEach((part, i) => {
+      if (i > 0) paragraphs.push([]);
+      if (part) paragraphs[paragraphs.length - 1].push({ ...run, text: part });
+    });
+  });
+  return paragraphs;
+};
+
+// Tokens of a paragraph: words (possibly spanning runs) and the spaces between them
+const tokenize = (paragraph, measure) => {
+  const tokens = [];
+  paragraph.forEach((run) => {
+    run.text.split(/(\s+)/).filter(Boolean).forEach((text) => {
+      const space = /^\s+$/.test(text);
+      const piece = { text, run, width: measure(text, run) };
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.space === space) {
+        previous.pieces.push(piece);
+        previous.width += piece.width;
+      } else {
+        tokens.push({ space, pieces: [piece], width: piece.width });
+      }
+    });
+  });
+  return tokens;
+};
+
+// Split a word wider than the box into chunks that fit, character by character
+const breakWord = (word, maxWidth, measure) => {
+  const chunks = [];
+  let pieces = [];
+  let width = 0;
+  const addPiece = (text, run) => {
+    const piece = { text, run, width: measure(text, run) };
+    pieces.push(piece);
+    width += piece.width;
+  };
+  const endChunk = () => {
+    chunks.push({ space: false, pieces, width });
+    pieces = [];
+    width = 0;
+  };
+
+  word.pieces.forEach((piece) => {
+    let text = '';
+    Array.from(piece.text).forEach((char) => {
+      if (width + measure(text + char, piece.run) > maxWidth && (pieces.length > 0 || text)) {
+        if (text) addPiece(text, piece.run);
+        endChunk();
+        text = char;
+      } else {
+        text += char;
+      }
+    });
+    if (text) addPiece(text, piece.run);
+  });
+  if (pieces.length > 0) endChunk();
+  return chunks;
+};
+
+// Lines of tokens; wraps at word boundaries when there is a box width
+const wrapTokens = (tokens, maxWidth, measure) => {
+  const lines = [[]];
+  const lineWidth = (line) => line.reduce((total, token) => total + token.width, 0);
+  const trimEnd = (line) => {
+    while (line.length > 0 && line[line.length - 1].space) line.pop();
+  };
+
+  tokens.forEach((token) => {
+    const line = lines[lines.length - 1];
+    if (maxWidth === undefined || token.space) {
+      // Spaces never start a wrapped line
+      if (!(token.space && line.length === 0 && lines.length > 1)) line.push(token);
+      return;
+    }
+    if (line.some(t => !t.space) && lineWidth(line) + token.width > maxWidth) {
+      trimEnd(line);
+      lines.push([]);
+    }
+    const current = lines[lines.length - 1];
+    if (token.width > maxWidth && lineWidth(current) === 0) {
+      const chunks = breakWord(token, maxWidth, measure);
+      chunks.forEach((chunk, i) => {
+        if (i > 0) lines.push([]);
+        lines[lines.length - 1].push(chunk);
+      });
+    } else {
+      current.push(token);
+    }
+  });
+  if (maxWidth !== undefined) trimEnd(lines[lines.length - 1]);
+  return lines;
+};
+
+/**
+ * Lay out runs the way Konva lays out plain text (alignment, line height, wrapping, lists)
+ * Every fragment is a piece of one line in one format, to be drawn as its own Konva.Text.
+ * @param {Array<Object>} runs - Text runs
+ * @param {Object} options
+ * @param {number} options.fontSize - Font size
+ * @param {string} options.fontStyle - Shape font style
+ * @param {string} options.textDecoration - Shape text decoration
+ * @param {string} options.fill - Shape text color
+ * @param {string} options.align - 'left', 'center', 'right' or 'justify'
+ * @param {number} options.lineHeight - Line height multiplier
+ * @param {number} options.width - Wrap width (undefined for auto-width text)
+ * @param {string} options.listStyle - One of LIST_STYLES
+ * @param {Function} measure - (text, fontStyle) => width, for the shape's font
+ * @returns {Object} { width, height, lines: [{ y, width, fragments: [{ x, text, width, fontStyle, textDecoration, fill }] }] }
+ */
+export const layoutTextRuns = (runs, {
+  fontSize,
+  fontStyle = 'normal',
+  textDecoration = '',
+  fill,
+  align = 'left',
+  lineHeight = 1,
+  width,
+  listStyle = LIST_STYLES.NONE,
+}, measure) => {
+  const base = { fontStyle, textDecoration, fill };
+  const measureRun = (text, run) => measure(text, getRunStyle(run, base).fontStyle);
+  const lineHeightPx = fontSize * lineHeight;
+
+  // List markers are drawn in the shape's own format
+  const markers = formatListText(splitParagraphs(runs).map(p => getRunsText(p)).join('\n'), listStyle)
+    .split('\n');
+  const lines = [];
+  splitParagraphs(runs).forEach((paragraph, i) => {
+    const marker = markers[i].slice(0, markers[i].length - getRunsText(paragraph).length);
+    const tokens = tokenize(marker ? [{ text: marker }, ...paragraph] : paragraph, measureRun);
+    const paragraphLines = wrapTokens(tokens, width, measureRun);
+    paragraphLines.forEach((tokensOfLine, j) => {
+      lines.push({ tokens: tokensOfLine, lastInParagraph: j === paragraphLines.length - 1 });
+    });
+  });
+
+  const lineWidths = lines.map(line => line.tokens.reduce((total, token) => total + token.width, 0));
+  const boxWidth = width ?? Math.max(0, ...lineWidths);
+
+  const laidOut = lines.map((line, i) => {
+    const spaces = line.tokens.filter(token => token.space).length;
+    const justify = align === 'justify' && !line.lastInParagraph && spaces > 0 && width !== undefined;
+    const extra = justify ? (boxWidth - lineWidths[i]) / spaces : 0;
+    let x = 0;
+    if (align === 'center') x = (boxWidth - lineWidths[i]) / 2;
+    if (align === 'right') x = boxWidth - lineWidths[i];
+
+    const fragments = [];
+    line.tokens.forEach((token) => {
+      token.pieces.forEach((piece) => {
+        const style = getRunStyle(piece.run, base);
+        const previous = fragments[fragments.length - 1];
+        // Stretched spaces are drawn on their own so the words around them move apart
+        if (previous && !justify && previous.fontStyle === style.fontStyle &&
+          previous.textDecoration === style.textDecoration && previous.fill === style.fill) {
+          previous.text += piece.text;
+          previous.width += piece.width;
+        } else {
+          fragments.push({ x, text: piece.text, width: piece.width, ...style });
+        }
+        x += piece.width;
+      });
+      if (token.space && extra) {
+        fragments[fragments.length - 1].width += extra;
+        x += extra;
+      }
+    });
+    return { y: i * lineHeightPx, width: lineWidths[i], fragments };
+  });
+
+  return { width: boxWidth, height: laidOut.length * lineHeightPx, lines: laidOut };
+};
+
+const RGB_PATTERN = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i;
+
+// Colors come back from the editor as rgb(); runs store hex like the rest of the app
+const toHexColor = (color) => {
+  const match = RGB_PATTERN.exec(color || '');
+  if (!match) return color || undefined;
+  return `#${match.slice(1, 4).map(value => Number(value).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Fill a contenteditable element with runs (spans with inline styles, <br> for line breaks)
+ * @param {HTMLElement} element - Editor element
+ * @param {Array<Object>} runs - Text runs
+ */
+export const writeRunsToElement = (element, runs) => {
+  const doc = element.ownerDocument;
+  element.replaceChildren();
+  runs.forEach((run) => {
+    const style = {};
+    if (typeof run.bold === 'boolean') style.fontWeight = run.bold ? 'bold' : 'normal';
+    if (typeof run.italic === 'boolean') style.fontStyle = run.italic ? 'italic' : 'normal';
+    if (typeof run.underline === 'boolean' || typeof run.strike === 'boolean') {
+      const lines = [run.underline && 'underline', run.strike && 'line-through'].filter(Boolean);
+      style.textDecoration = lines.join(' ') || 'none';
+    }
+    if (run.color) style.color = run.color;
+
+    let parent = element;
+    if (Object.keys(style).length > 0) {
+      parent = doc.createElement('span');
+      // Set through the style object so a stored color can't smuggle in other declarations
+      Object.assign(parent.style, style);
+      element.appendChild(parent);
+    }
+    run.text.split('\n').forEach((part, i) => {
+      if (i > 0) parent.appendChild(doc.createElement('br'));
+      if (part) parent.appendChild(doc.createTextNode(part));
+    });
+  });
+  // A trailing line break only shows when something follows it
+  if (getRunsText(runs).endsWith('\n')) element.appendChild(doc.createElement('br'));
+};
+
+// Formatting an element adds for its contents (tags from the browser's own commands, or inline styles)
+const getElementFormat = (node) => {
+  const format = {};
+  const tag = node.tagName;
+  if (tag === 'B' || tag === 'STRONG') format.bold = true;
+  if (tag === 'I' || tag === 'EM') format.italic = true;
+  if (tag === 'U') format.underline = true;
+  if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL') format.strike = true;
+  if (tag === 'FONT' && node.getAttribute('color')) format.color = toHexColor(node.getAttribute('color'));
+
+  const { style } = node;
+  if (style?.fontWeight) format.bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 600;
+  if (style?.fontStyle) format.italic = style.fontStyle === 'italic';
+  const decoration = style?.textDecorationLine || style?.textDecoration;
+  if (decoration) {
+    format.underline = decoration.includes('underline');
+    format.strike = decoration.includes('line-through');
+  }
+  if (style?.color) format.color = toHexColor(style.color);
+  return format;
+};
+
+/**
+ * Read runs back from a contenteditable element
+ * Understands the spans written by writeRunsToElement as well as the markup browsers insert
+ * while editing (<b>, <i>, <font color>, <div> per line, ...).
+ * @param {HTMLElement} element - Editor element
+ * @returns {Array<Object>} Normalized runs
+ */
+export const readRunsFromElement = (element) => {
+  const runs = [];
+  const append = (text, format) => runs.push({ ...format, text });
+  const endsWithBreak = () => runs.length === 0 || runs[runs.length - 1].text.endsWith('\n');
+
+  const visit = (node, format) => {
+    if (node.nodeType === 3) {
+      if (node.nodeValue) append(node.nodeValue, format);
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    if (node.tagName === 'BR') {
+      append('\n', format);
+      return;
+    }
+    const isBlock = node.tagName === 'DIV' || node.tagName === 'P';
+    if (isBlock && !endsWithBreak()) append('\n', format);
+    const childFormat = { ...format, ...getElementFormat(node) };
+    node.childNodes.forEach(child => visit(child, childFormat));
+    // An empty line is a block holding just a <br>, which already ended the line
+    if (isBlock && node.nextSibling && !endsWithBreak()) append('\n', format);
+  };
+  element.childNodes.forEach(child => visit(child, {}));
+
+  // The browser's placeholder <br> at the very end isn't part of the text
+  if (element.lastChild?.nodeName === 'BR' && runs.length > 0) {
+    const last = runs[runs.length - 1];
+    last.text = last.text.slice(0, -1);
+  }
+  return normalizeRuns(runs);
+};
@@ -0,0 +1,63 @@
+/**
+ * Text shape styling helpers
+ * Text shapes store their typography (font family, alignment, spacing, list style) as plain
+ * props. The stored text never contains list markers; they're added when the text is drawn.
+ * A text is either auto width (grows with its longest line) or a fixed-width wrapping box.
+ */
+
+import { COLOR_PALETTE } from './colors';
+
+export const DEFAULT_FONT_FAMILY = 'Arial';
+export const DEFAULT_TEXT_LINE_HEIGHT = 1;
+
+// Web-safe fonts, so exports draw the same font the canvas shows
+export const FONT_FAMILIES = ['Arial', 'Helvetica', 'Verdana', 'Trebuchet MS', 'Georgia', 'Times New Roman', 'Courier New'];
+
+export const TEXT_ALIGNS = ['left', 'center', 'right', 'justify'];
+
+export const LINE_HEIGHTS = [1, 1.15, 1.5, 2];
+
+export const LETTER_SPACINGS = [-1, 0, 1, 2, 4];
+
+export const TEXT_COLORS = ['#000000', ...COLOR_PALETTE];
+
+export const LIST_STYLES = {
+  NONE: 'none',
+  BULLET: 'bullet',
+  NUMBERED: 'numbered',
+};
+
+export const MIN_TEXT_BOX_WIDTH = 20;
+
+/**
+ * Text as drawn: each non-empty line gets a bullet or its number
+ * @param {string} text - Stored text
+ * @param {string} listStyle - One of LIST_STYLES
+ * @returns {string}
+ */
+export const formatListText = (text = '', listStyle = LIST_STYLES.NONE) => {
+  if (listStyle !== LIST_STYLES.BULLET && listStyle !== LIST_STYLES.NUMBERED) return text;
+  let number = 0;
+  return text.split('\n').map((line) => {
+    if (!line.trim()) return line;
+    number += 1;
+    return listStyle === LIST_STYLES.BULLET ? `• ${line}` : `${number}. ${line}`;
+  }).join('\n');
+};
+
+/**
+ * Konva text attributes for a text shape, shared by the canvas, the editor and measurement
+ * @param {Object} shape - Text shape
+ * @returns {Object} { fontFamily, fontStyle, textDecoration, align, lineHeight, letterSpacing, width, wrap }
+ *   (width is undefined for auto-width text)
+ */
+export const getTextShapeStyle = (shape) => ({
+  fontFamily: shape.fontFamily || DEFAULT_FONT_FAMILY,
+  fontStyle: shape.fontStyle || 'normal',
+  textDecoration: shape.textDecoration || '',
+  align: TEXT_ALIGNS.includes(shape.align) ? shape.align : 'left',
+  lineHeight: shape.lineHeight || DEFAULT_TEXT_LINE_HEIGHT,
+  letterSpacing: shape.letterSpacing || 0,
+  width: shape.fixedWidth && shape.width ? Math.max(MIN_TEXT_BOX_WIDTH, shape.width) : undefined,
+  wrap: shape.fixedWidth ? 'word' : 'none',
+});